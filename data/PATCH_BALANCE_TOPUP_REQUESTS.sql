@@ -0,0 +1,200 @@
+-- =============================================================================
+-- PATCH_BALANCE_TOPUP_REQUESTS.sql
+-- Date: 2026-02-27
+-- Purpose:
+--   Master-initiated prepaid balance top-ups:
+--     - private Storage bucket `balance-proofs` (5MB, jpeg/png/webp), files under
+--       `<masterId>/`; masters upload their own, admins read all
+--     - balance_topup_requests: amount (100..100000), method, proof path, notes,
+--       status requested -> approved / rejected, reviewer and review notes;
+--       at most one open request per master
+--     - verify_topup_proof(p_request_id, p_is_valid, p_notes): admin decision;
+--       approval credits the balance through add_master_balance (type top_up)
+--       in the same transaction, rejection requires a note
+--   Limits mirror src/utils/balanceTopUps.js.
+-- =============================================================================
+
+BEGIN;
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('balance-proofs', 'balance-proofs', FALSE, 5242880, ARRAY['image/jpeg', 'image/png', 'image/webp'])
+ON CONFLICT (id) DO UPDATE
+SET public = EXCLUDED.public,
+    file_size_limit = EXCLUDED.file_size_limit,
+    allowed_mime_types = EXCLUDED.allowed_mime_types;
+
+CREATE TABLE IF NOT EXISTS public.balance_topup_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  master_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  amount NUMERIC(12,2) NOT NULL CHECK (amount BETWEEN 100 AND 100000),
+  method TEXT NOT NULL CHECK (method IN ('transfer', 'card', 'cash')),
+  proof_path TEXT NOT NULL,
+  notes TEXT CHECK (notes IS NULL OR char_length(notes) <= 500),
+  status TEXT NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'rejected')),
+  reviewed_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_notes TEXT,
+  balance_after NUMERIC,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_balance_topup_requests_one_open
+  ON public.balance_topup_requests (master_id)
+  WHERE status = 'requested';
+
+CREATE INDEX IF NOT EXISTS idx_balance_topup_requests_status_created_at
+  ON public.balance_topup_requests (status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_balance_topup_requests_master_created_at
+  ON public.balance_topup_requests (master_id, created_at DESC);
+
+ALTER TABLE public.balance_topup_requests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS balance_topup_requests_select_scope ON public.balance_topup_requests;
+CREATE POLICY balance_topup_requests_select_scope ON public.balance_topup_requests
+  FOR SELECT TO authenticated
+  USING (
+    master_id = auth.uid()
+    OR EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid() AND p.role = 'admin' AND p.is_active IS TRUE
+    )
+  );
+
+-- Masters create open requests only; decisions go through verify_topup_proof.
+DROP POLICY IF EXISTS balance_topup_requests_insert_own ON public.balance_topup_requests;
+CREATE POLICY balance_topup_requests_insert_own ON public.balance_topup_requests
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    master_id = auth.uid()
+    AND status = 'requested'
+    AND reviewed_by IS NULL
+    AND reviewed_at IS NULL
+    AND balance_after IS NULL
+    AND split_part(proof_path, '/', 1) = auth.uid()::TEXT
+    AND EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid() AND p.role = 'master' AND p.is_active IS TRUE
+    )
+  );
+
+DROP POLICY IF EXISTS balance_proofs_storage_select ON storage.objects;
+CREATE POLICY balance_proofs_storage_select ON storage.objects
+  FOR SELECT TO authenticated
+  USING (
+    bucket_id = 'balance-proofs'
+    AND (
+      (storage.foldername(name))[1] = auth.uid()::TEXT
+      OR EXISTS (
+        SELECT 1 FROM public.profiles p
+        WHERE p.id = auth.uid() AND p.role = 'admin' AND p.is_active IS TRUE
+      )
+    )
+  );
+
+DROP POLICY IF EXISTS balance_proofs_storage_insert ON storage.objects;
+CREATE POLICY balance_proofs_storage_insert ON storage.objects
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    bucket_id = 'balance-proofs'
+    AND (storage.foldername(name))[1] = auth.uid()::TEXT
+  );
+
+-- Lets the uploader roll back files whose request row could not be written.
+DROP POLICY IF EXISTS balance_proofs_storage_delete_own ON storage.objects;
+CREATE POLICY balance_proofs_storage_delete_own ON storage.objects
+  FOR DELETE TO authenticated
+  USING (
+    bucket_id = 'balance-proofs'
+    AND owner = auth.uid()
+  );
+
+CREATE OR REPLACE FUNCTION public.verify_topup_proof(
+  p_request_id UUID,
+  p_is_valid BOOLEAN,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_request public.balance_topup_requests%ROWTYPE;
+  v_notes TEXT := NULLIF(btrim(COALESCE(p_notes, '')), '');
+  v_balance_result JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT * INTO v_request
+  FROM public.balance_topup_requests r
+  WHERE r.id = p_request_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'NOT_FOUND', 'message', 'Top-up request not found');
+  END IF;
+
+  IF v_request.status <> 'requested' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'ALREADY_REVIEWED', 'message', 'Top-up request was already reviewed');
+  END IF;
+
+  IF p_is_valid IS NOT TRUE THEN
+    IF v_notes IS NULL THEN
+      RETURN jsonb_build_object('success', FALSE, 'error', 'NOTES_REQUIRED', 'message', 'A reason is required to reject a top-up');
+    END IF;
+
+    UPDATE public.balance_topup_requests
+    SET status = 'rejected',
+        reviewed_by = v_uid,
+        reviewed_at = NOW(),
+        review_notes = v_notes
+    WHERE id = p_request_id;
+
+    RETURN jsonb_build_object('success', TRUE, 'request_id', p_request_id, 'status', 'rejected', 'verified', FALSE);
+  END IF;
+
+  v_balance_result := public.add_master_balance(
+    v_request.master_id,
+    v_request.amount,
+    'top_up',
+    COALESCE(v_notes || ' ', '') || 'topup_request=' || v_request.id::TEXT
+  );
+  IF COALESCE((v_balance_result->>'success')::BOOLEAN, FALSE) IS NOT TRUE THEN
+    RAISE EXCEPTION 'Balance top-up failed: %', COALESCE(v_balance_result->>'message', 'unknown error');
+  END IF;
+
+  UPDATE public.balance_topup_requests
+  SET status = 'approved',
+      reviewed_by = v_uid,
+      reviewed_at = NOW(),
+      review_notes = v_notes,
+      balance_after = (v_balance_result->>'balance_after')::NUMERIC
+  WHERE id = p_request_id;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'request_id', p_request_id,
+    'status', 'approved',
+    'verified', TRUE,
+    'balance_before', v_balance_result->'balance_before',
+    'balance_after', v_balance_result->'balance_after'
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.verify_topup_proof(UUID, BOOLEAN, TEXT) TO authenticated;
+
+COMMIT;
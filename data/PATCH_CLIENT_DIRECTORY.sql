@@ -0,0 +1,303 @@
+-- =============================================================================
+-- PATCH_CLIENT_DIRECTORY.sql
+-- Date: 2026-02-19
+-- Purpose:
+--   First-class client directory keyed by normalized Kyrgyz phone (+996XXXXXXXXX):
+--     - public.clients: one row per phone (latest name, linked client profile if any)
+--     - orders.directory_client_id, kept in sync by trg_sync_order_client_directory
+--     - backfill from existing orders and registered client profiles
+--     - lookup_client_by_phone(p_phone, p_order_limit): name, stats, past addresses,
+--       recent orders (+ dispute history for admins) for the create-order forms
+--     - search_clients(p_query, p_limit, p_offset): admin client list with lifetime
+--       order count, spend and disputes
+--   Phones are normalized client-side (src/utils/phone.js) before they reach orders.
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.clients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone TEXT NOT NULL UNIQUE,
+  full_name TEXT,
+  profile_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  first_order_at TIMESTAMPTZ,
+  last_order_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chk_clients_phone_format CHECK (phone ~ '^\+996[0-9]{9}$')
+);
+
+ALTER TABLE public.clients ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS clients_admin_read ON public.clients;
+CREATE POLICY clients_admin_read ON public.clients
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid() AND p.role = 'admin' AND p.is_active IS TRUE
+    )
+  );
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS directory_client_id UUID REFERENCES public.clients(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_client_phone ON public.orders (client_phone);
+CREATE INDEX IF NOT EXISTS idx_orders_directory_client_id ON public.orders (directory_client_id);
+CREATE INDEX IF NOT EXISTS idx_clients_last_order_at ON public.clients (last_order_at DESC);
+
+-- Upsert the directory row for the order's phone and link the order to it.
+CREATE OR REPLACE FUNCTION public.sync_order_client_directory()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_client_id UUID;
+  v_stamp TIMESTAMPTZ := COALESCE(NEW.created_at, NOW());
+BEGIN
+  IF NEW.client_phone IS NULL OR NEW.client_phone !~ '^\+996[0-9]{9}$' THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO public.clients (phone, full_name, profile_id, first_order_at, last_order_at)
+  VALUES (NEW.client_phone, NULLIF(btrim(NEW.client_name), ''), NEW.client_id, v_stamp, v_stamp)
+  ON CONFLICT (phone) DO UPDATE
+    SET full_name = COALESCE(EXCLUDED.full_name, public.clients.full_name),
+        profile_id = COALESCE(public.clients.profile_id, EXCLUDED.profile_id),
+        first_order_at = LEAST(public.clients.first_order_at, EXCLUDED.first_order_at),
+        last_order_at = GREATEST(public.clients.last_order_at, EXCLUDED.last_order_at),
+        updated_at = NOW()
+  RETURNING id INTO v_client_id;
+
+  NEW.directory_client_id := v_client_id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_sync_order_client_directory ON public.orders;
+CREATE TRIGGER trg_sync_order_client_directory
+  BEFORE INSERT OR UPDATE OF client_phone, client_name ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_order_client_directory();
+
+-- Backfill: one row per phone seen on orders (latest non-empty name wins).
+INSERT INTO public.clients (phone, full_name, profile_id, first_order_at, last_order_at)
+SELECT agg.phone, latest.client_name, agg.profile_id, agg.first_order_at, agg.last_order_at
+FROM (
+  SELECT o.client_phone AS phone,
+         MIN(o.created_at) AS first_order_at,
+         MAX(o.created_at) AS last_order_at,
+         (ARRAY_AGG(o.client_id ORDER BY o.created_at DESC) FILTER (WHERE o.client_id IS NOT NULL))[1] AS profile_id
+  FROM public.orders o
+  WHERE o.client_phone ~ '^\+996[0-9]{9}$'
+  GROUP BY o.client_phone
+) agg
+LEFT JOIN LATERAL (
+  SELECT NULLIF(btrim(o2.client_name), '') AS client_name
+  FROM public.orders o2
+  WHERE o2.client_phone = agg.phone
+    AND NULLIF(btrim(o2.client_name), '') IS NOT NULL
+  ORDER BY o2.created_at DESC
+  LIMIT 1
+) latest ON TRUE
+ON CONFLICT (phone) DO NOTHING;
+
+INSERT INTO public.clients (phone, full_name, profile_id)
+SELECT p.phone, NULLIF(btrim(p.full_name), ''), p.id
+FROM public.profiles p
+WHERE p.role = 'client'
+  AND p.phone ~ '^\+996[0-9]{9}$'
+ON CONFLICT (phone) DO UPDATE
+  SET profile_id = COALESCE(public.clients.profile_id, EXCLUDED.profile_id),
+      full_name = COALESCE(public.clients.full_name, EXCLUDED.full_name);
+
+UPDATE public.orders o
+SET directory_client_id = c.id
+FROM public.clients c
+WHERE c.phone = o.client_phone
+  AND o.directory_client_id IS NULL;
+
+CREATE OR REPLACE FUNCTION public.lookup_client_by_phone(
+  p_phone TEXT,
+  p_order_limit INT DEFAULT 5
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_client public.clients%ROWTYPE;
+  v_limit INT := LEAST(GREATEST(COALESCE(p_order_limit, 5), 1), 50);
+  v_stats JSONB;
+  v_addresses JSONB;
+  v_orders JSONB;
+  v_disputes JSONB := '[]'::jsonb;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('admin', 'dispatcher', 'partner') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT * INTO v_client FROM public.clients c WHERE c.phone = p_phone;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', TRUE, 'client', NULL);
+  END IF;
+
+  SELECT jsonb_build_object(
+           'order_count', COUNT(*),
+           'completed_count', COUNT(*) FILTER (WHERE o.status IN ('completed', 'confirmed')),
+           'canceled_count', COUNT(*) FILTER (WHERE o.status IN ('canceled_by_master', 'canceled_by_client')),
+           'lifetime_spend', COALESCE(SUM(o.final_price) FILTER (WHERE o.status = 'confirmed'), 0),
+           'dispute_count', COUNT(*) FILTER (
+             WHERE o.is_disputed IS TRUE
+                OR EXISTS (SELECT 1 FROM public.disputes d WHERE d.order_id = o.id)
+           ),
+           'last_order_at', MAX(o.created_at)
+         )
+  INTO v_stats
+  FROM public.orders o
+  WHERE o.client_phone = p_phone;
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(a) ORDER BY a.last_used_at DESC), '[]'::jsonb)
+  INTO v_addresses
+  FROM (
+    SELECT DISTINCT ON (lower(btrim(o.full_address)))
+           o.area, o.full_address, o.orientir, o.latitude, o.longitude, o.created_at AS last_used_at
+    FROM public.orders o
+    WHERE o.client_phone = p_phone
+      AND NULLIF(btrim(o.full_address), '') IS NOT NULL
+    ORDER BY lower(btrim(o.full_address)), o.created_at DESC
+  ) a;
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(r) ORDER BY r.created_at DESC), '[]'::jsonb)
+  INTO v_orders
+  FROM (
+    SELECT o.id, o.status, o.service_type, o.urgency, o.area, o.full_address,
+           o.initial_price, o.final_price, o.is_disputed, o.created_at,
+           m.full_name AS master_name
+    FROM public.orders o
+    LEFT JOIN public.profiles m ON m.id = o.master_id
+    WHERE o.client_phone = p_phone
+    ORDER BY o.created_at DESC
+    LIMIT v_limit
+  ) r;
+
+  IF v_role = 'admin' THEN
+    SELECT COALESCE(jsonb_agg(to_jsonb(x) ORDER BY x.created_at DESC), '[]'::jsonb)
+    INTO v_disputes
+    FROM (
+      SELECT d.id, d.order_id, d.dispute_type, d.status, d.reason, d.created_at, d.resolved_at
+      FROM public.disputes d
+      JOIN public.orders o ON o.id = d.order_id
+      WHERE o.client_phone = p_phone
+      ORDER BY d.created_at DESC
+      LIMIT 20
+    ) x;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'client', jsonb_build_object(
+      'id', v_client.id,
+      'phone', v_client.phone,
+      'full_name', v_client.full_name,
+      'profile_id', v_client.profile_id,
+      'first_order_at', v_client.first_order_at
+    ),
+    'stats', v_stats,
+    'addresses', v_addresses,
+    'recent_orders', v_orders,
+    'disputes', v_disputes
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.lookup_client_by_phone(TEXT, INT) TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.search_clients(
+  p_query TEXT DEFAULT NULL,
+  p_limit INT DEFAULT 50,
+  p_offset INT DEFAULT 0
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_query TEXT := NULLIF(btrim(COALESCE(p_query, '')), '');
+  v_digits TEXT := NULLIF(regexp_replace(COALESCE(p_query, ''), '[^0-9]', '', 'g'), '');
+  v_limit INT := LEAST(GREATEST(COALESCE(p_limit, 50), 1), 200);
+  v_offset INT := GREATEST(COALESCE(p_offset, 0), 0);
+  v_total BIGINT;
+  v_items JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT COUNT(*) INTO v_total
+  FROM public.clients c
+  WHERE v_query IS NULL
+     OR c.full_name ILIKE '%' || v_query || '%'
+     OR (v_digits IS NOT NULL AND c.phone LIKE '%' || v_digits || '%');
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(r) ORDER BY r.last_order_at DESC NULLS LAST, r.phone), '[]'::jsonb)
+  INTO v_items
+  FROM (
+    SELECT c.id, c.phone, c.full_name, c.profile_id, c.first_order_at, c.last_order_at,
+           COALESCE(s.order_count, 0) AS order_count,
+           COALESCE(s.completed_count, 0) AS completed_count,
+           COALESCE(s.lifetime_spend, 0) AS lifetime_spend,
+           COALESCE(s.dispute_count, 0) AS dispute_count
+    FROM public.clients c
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*) AS order_count,
+             COUNT(*) FILTER (WHERE o.status IN ('completed', 'confirmed')) AS completed_count,
+             SUM(o.final_price) FILTER (WHERE o.status = 'confirmed') AS lifetime_spend,
+             COUNT(*) FILTER (
+               WHERE o.is_disputed IS TRUE
+                  OR EXISTS (SELECT 1 FROM public.disputes d WHERE d.order_id = o.id)
+             ) AS dispute_count
+      FROM public.orders o
+      WHERE o.client_phone = c.phone
+    ) s ON TRUE
+    WHERE v_query IS NULL
+       OR c.full_name ILIKE '%' || v_query || '%'
+       OR (v_digits IS NOT NULL AND c.phone LIKE '%' || v_digits || '%')
+    ORDER BY c.last_order_at DESC NULLS LAST, c.phone
+    LIMIT v_limit
+    OFFSET v_offset
+  ) r;
+
+  RETURN jsonb_build_object('success', TRUE, 'items', v_items, 'total', v_total);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_clients(TEXT, INT, INT) TO authenticated;
+
+COMMIT;
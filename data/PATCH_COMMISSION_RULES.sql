@@ -0,0 +1,465 @@
+-- =============================================================================
+-- PATCH_COMMISSION_RULES.sql
+-- Date: 2026-02-26
+-- Purpose:
+--   Rule-based platform commission:
+--     - platform_settings.commission_rules: JSONB array of
+--       { id, service_type, area, urgency, tier, min_monthly_orders, rate };
+--       empty match fields mean "any", rate is a ratio (0.12)
+--     - profiles.commission_tier (standard/silver/gold) and
+--       profiles.commission_rate_override; only admins may change either
+--     - master_monthly_confirmed_orders(p_master_id, p_before): volume this month
+--     - resolve_commission_rate(...): override, else the most specific matching
+--       rule (ties -> higher min_monthly_orders, then list order), else
+--       platform_settings.commission_rate
+--     - get_order_commission(p_order_id): rate/base/amount for one order, for
+--       admins, its master and its dispatcher/partner; the rate resolution and
+--       calculation helpers are internal (not executable by app roles)
+--     - trg_master_earnings_commission_rules: after payment confirmation or a
+--       final price override writes the earning with the flat commission_rate,
+--       re-prices it with the same calculation and books the difference on the
+--       prepaid balance (transaction type commission)
+--     - get_commission_context(p_master_id): tier, override, monthly volume and
+--       the rules, so the app can evaluate estimates locally
+--   Evaluation mirrors src/utils/commissionRules.js.
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE public.platform_settings
+  ADD COLUMN IF NOT EXISTS commission_rules JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS commission_tier TEXT NOT NULL DEFAULT 'standard',
+  ADD COLUMN IF NOT EXISTS commission_rate_override NUMERIC(6,5);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'chk_profiles_commission_tier'
+      AND conrelid = 'public.profiles'::regclass
+  ) THEN
+    ALTER TABLE public.profiles
+      ADD CONSTRAINT chk_profiles_commission_tier
+      CHECK (commission_tier IN ('standard', 'silver', 'gold'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'chk_profiles_commission_rate_override'
+      AND conrelid = 'public.profiles'::regclass
+  ) THEN
+    ALTER TABLE public.profiles
+      ADD CONSTRAINT chk_profiles_commission_rate_override
+      CHECK (commission_rate_override IS NULL OR (commission_rate_override >= 0 AND commission_rate_override <= 1));
+  END IF;
+END $$;
+
+-- Masters can update their own profile row; keep commission terms admin-only.
+CREATE OR REPLACE FUNCTION public.guard_profile_commission_fields()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+BEGIN
+  IF NEW.commission_tier IS NOT DISTINCT FROM OLD.commission_tier
+    AND NEW.commission_rate_override IS NOT DISTINCT FROM OLD.commission_rate_override THEN
+    RETURN NEW;
+  END IF;
+
+  -- Service role / SQL editor
+  IF v_uid IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION 'Only admins can change commission terms' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_profiles_guard_commission_fields ON public.profiles;
+CREATE TRIGGER trg_profiles_guard_commission_fields
+BEFORE UPDATE OF commission_tier, commission_rate_override ON public.profiles
+FOR EACH ROW
+EXECUTE FUNCTION public.guard_profile_commission_fields();
+
+CREATE OR REPLACE FUNCTION public.master_monthly_confirmed_orders(
+  p_master_id UUID,
+  p_before TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM public.orders o
+  WHERE o.master_id = p_master_id
+    AND o.status = 'confirmed'
+    AND o.confirmed_at >= date_trunc('month', p_before)
+    AND o.confirmed_at < p_before;
+$$;
+
+CREATE OR REPLACE FUNCTION public.resolve_commission_rate(
+  p_master_id UUID,
+  p_service_type TEXT,
+  p_area TEXT,
+  p_urgency TEXT,
+  p_monthly_orders INTEGER
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_rules JSONB := '[]'::jsonb;
+  v_base_rate NUMERIC;
+  v_tier TEXT := 'standard';
+  v_override NUMERIC;
+  v_rule JSONB;
+  v_index BIGINT;
+  v_rate NUMERIC;
+  v_min_orders INTEGER;
+  v_specificity INTEGER;
+  v_best_rate NUMERIC;
+  v_best_id TEXT;
+  v_best_specificity INTEGER := -1;
+  v_best_min_orders INTEGER := -1;
+  v_monthly INTEGER := GREATEST(COALESCE(p_monthly_orders, 0), 0);
+BEGIN
+  SELECT COALESCE(s.commission_rules, '[]'::jsonb), COALESCE(s.commission_rate, 0.15)
+  INTO v_rules, v_base_rate
+  FROM public.platform_settings s
+  WHERE s.id = 1;
+
+  IF p_master_id IS NOT NULL THEN
+    SELECT COALESCE(p.commission_tier, 'standard'), p.commission_rate_override
+    INTO v_tier, v_override
+    FROM public.profiles p
+    WHERE p.id = p_master_id;
+  END IF;
+
+  IF v_override IS NOT NULL THEN
+    RETURN jsonb_build_object('rate', v_override, 'source', 'override', 'rule_id', NULL);
+  END IF;
+
+  IF jsonb_typeof(v_rules) = 'array' THEN
+    FOR v_rule, v_index IN
+      SELECT r.value, r.ordinality
+      FROM jsonb_array_elements(v_rules) WITH ORDINALITY AS r(value, ordinality)
+    LOOP
+      BEGIN
+        v_rate := NULLIF(btrim(v_rule->>'rate'), '')::NUMERIC;
+        v_min_orders := GREATEST(FLOOR(COALESCE(NULLIF(btrim(v_rule->>'min_monthly_orders'), '')::NUMERIC, 0))::INTEGER, 0);
+      EXCEPTION WHEN invalid_text_representation THEN
+        CONTINUE;
+      END;
+
+      IF v_rate IS NULL OR v_rate < 0 THEN
+        CONTINUE;
+      END IF;
+      IF v_rate > 1 THEN
+        v_rate := v_rate / 100;
+      END IF;
+      IF v_rate > 1 THEN
+        CONTINUE;
+      END IF;
+
+      IF NULLIF(btrim(v_rule->>'service_type'), '') IS NOT NULL
+        AND btrim(v_rule->>'service_type') IS DISTINCT FROM NULLIF(btrim(p_service_type), '') THEN
+        CONTINUE;
+      END IF;
+      IF NULLIF(btrim(v_rule->>'area'), '') IS NOT NULL
+        AND btrim(v_rule->>'area') IS DISTINCT FROM NULLIF(btrim(p_area), '') THEN
+        CONTINUE;
+      END IF;
+      IF NULLIF(btrim(v_rule->>'urgency'), '') IS NOT NULL
+        AND btrim(v_rule->>'urgency') IS DISTINCT FROM NULLIF(btrim(p_urgency), '') THEN
+        CONTINUE;
+      END IF;
+      IF NULLIF(btrim(v_rule->>'tier'), '') IN ('standard', 'silver', 'gold')
+        AND btrim(v_rule->>'tier') <> v_tier THEN
+        CONTINUE;
+      END IF;
+      IF v_monthly < v_min_orders THEN
+        CONTINUE;
+      END IF;
+
+      v_specificity :=
+        (CASE WHEN NULLIF(btrim(v_rule->>'service_type'), '') IS NOT NULL THEN 1 ELSE 0 END)
+        + (CASE WHEN NULLIF(btrim(v_rule->>'area'), '') IS NOT NULL THEN 1 ELSE 0 END)
+        + (CASE WHEN NULLIF(btrim(v_rule->>'urgency'), '') IS NOT NULL THEN 1 ELSE 0 END)
+        + (CASE WHEN NULLIF(btrim(v_rule->>'tier'), '') IN ('standard', 'silver', 'gold') THEN 1 ELSE 0 END)
+        + (CASE WHEN v_min_orders > 0 THEN 1 ELSE 0 END);
+
+      IF v_specificity > v_best_specificity
+        OR (v_specificity = v_best_specificity AND v_min_orders > v_best_min_orders) THEN
+        v_best_specificity := v_specificity;
+        v_best_min_orders := v_min_orders;
+        v_best_rate := ROUND(v_rate, 4);
+        v_best_id := COALESCE(NULLIF(btrim(v_rule->>'id'), ''), 'rule-' || v_index);
+      END IF;
+    END LOOP;
+  END IF;
+
+  IF v_best_rate IS NOT NULL THEN
+    RETURN jsonb_build_object('rate', v_best_rate, 'source', 'rule', 'rule_id', v_best_id);
+  END IF;
+
+  RETURN jsonb_build_object('rate', v_base_rate, 'source', 'default', 'rule_id', NULL);
+END;
+$$;
+
+-- Internal: no caller check, not granted to app roles. Callers go through
+-- get_order_commission or the earning trigger below.
+CREATE OR REPLACE FUNCTION public.calculate_order_commission(p_order_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_order RECORD;
+  v_exempt BOOLEAN := FALSE;
+  v_resolved JSONB;
+  v_price NUMERIC;
+  v_base NUMERIC;
+BEGIN
+  SELECT o.id, o.master_id, o.service_type, o.area, o.urgency, o.status,
+         o.final_price, o.initial_price, o.callout_fee, o.confirmed_at
+  INTO v_order
+  FROM public.orders o
+  WHERE o.id = p_order_id;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT COALESCE(s.commission_exempt_base_fee, FALSE)
+  INTO v_exempt
+  FROM public.platform_settings s
+  WHERE s.id = 1;
+
+  v_resolved := public.resolve_commission_rate(
+    v_order.master_id,
+    v_order.service_type,
+    v_order.area,
+    v_order.urgency,
+    public.master_monthly_confirmed_orders(
+      v_order.master_id,
+      CASE WHEN v_order.status = 'confirmed' THEN COALESCE(v_order.confirmed_at, NOW()) ELSE NOW() END
+    )
+  );
+
+  v_price := COALESCE(v_order.final_price, v_order.initial_price, 0);
+  v_base := CASE
+    WHEN v_price <= 0 THEN 0
+    WHEN v_exempt THEN GREATEST(v_price - COALESCE(v_order.callout_fee, 0), 0)
+    ELSE v_price
+  END;
+
+  RETURN v_resolved || jsonb_build_object(
+    'base', v_base,
+    'amount', ROUND(v_base * (v_resolved->>'rate')::NUMERIC, 2)
+  );
+END;
+$$;
+
+-- Admins, the assigned master and the order's dispatcher/partner only.
+CREATE OR REPLACE FUNCTION public.get_order_commission(p_order_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+BEGIN
+  -- Service role / SQL editor
+  IF v_uid IS NULL THEN
+    RETURN public.calculate_order_commission(p_order_id);
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_role <> 'admin' AND NOT EXISTS (
+    SELECT 1
+    FROM public.orders o
+    WHERE o.id = p_order_id
+      AND (
+        (v_role IN ('dispatcher', 'partner') AND v_uid IN (o.dispatcher_id, o.assigned_dispatcher_id))
+        OR (v_role = 'master' AND o.master_id = v_uid)
+      )
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN public.calculate_order_commission(p_order_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_commission_context(p_master_id UUID DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_master_id UUID := COALESCE(p_master_id, auth.uid());
+  v_settings RECORD;
+  v_profile RECORD;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_master_id <> v_uid AND COALESCE(v_role, '') NOT IN ('admin', 'dispatcher', 'partner') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT COALESCE(s.commission_rate, 0.15) AS commission_rate,
+         COALESCE(s.commission_rules, '[]'::jsonb) AS commission_rules,
+         COALESCE(s.commission_exempt_base_fee, FALSE) AS commission_exempt_base_fee
+  INTO v_settings
+  FROM public.platform_settings s
+  WHERE s.id = 1;
+
+  SELECT COALESCE(p.commission_tier, 'standard') AS commission_tier, p.commission_rate_override
+  INTO v_profile
+  FROM public.profiles p
+  WHERE p.id = v_master_id;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'commission_tier', COALESCE(v_profile.commission_tier, 'standard'),
+    'commission_rate_override', v_profile.commission_rate_override,
+    'monthly_orders', public.master_monthly_confirmed_orders(v_master_id, NOW()),
+    'commission_rate', COALESCE(v_settings.commission_rate, 0.15),
+    'commission_rules', COALESCE(v_settings.commission_rules, '[]'::jsonb),
+    'commission_exempt_base_fee', COALESCE(v_settings.commission_exempt_base_fee, FALSE)
+  );
+END;
+$$;
+
+-- The base earning-on-confirm trigger and admin_override_final_price charge the flat
+-- commission_rate. Once they have written the earning, re-price it with the rules and
+-- book the difference on the prepaid balance, so the charged amount is the shown one.
+CREATE OR REPLACE FUNCTION public.apply_commission_rules_to_earning()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_commission JSONB;
+  v_rate NUMERIC;
+  v_amount NUMERIC;
+  v_delta NUMERIC;
+  v_balance_before NUMERIC;
+BEGIN
+  IF NEW.order_id IS NULL OR NEW.master_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  v_commission := public.calculate_order_commission(NEW.order_id);
+  IF v_commission IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  v_rate := (v_commission->>'rate')::NUMERIC;
+  v_amount := (v_commission->>'amount')::NUMERIC;
+  v_delta := v_amount - COALESCE(NEW.commission_amount, 0);
+
+  IF v_delta = 0 AND NEW.commission_rate IS NOT DISTINCT FROM v_rate THEN
+    RETURN NULL;
+  END IF;
+
+  -- Re-fires this trigger once; the amounts match then and it stops above.
+  UPDATE public.master_earnings
+  SET commission_rate = v_rate,
+      commission_amount = v_amount
+  WHERE id = NEW.id;
+
+  UPDATE public.orders
+  SET commission_amount = v_amount
+  WHERE id = NEW.order_id;
+
+  IF v_delta = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  IF NEW.status = 'pending' THEN
+    UPDATE public.profiles
+    SET total_commission_owed = COALESCE(total_commission_owed, 0) + v_delta
+    WHERE id = NEW.master_id;
+  END IF;
+
+  SELECT COALESCE(p.prepaid_balance, 0) INTO v_balance_before
+  FROM public.profiles p
+  WHERE p.id = NEW.master_id
+  FOR UPDATE;
+
+  UPDATE public.profiles
+  SET prepaid_balance = v_balance_before - v_delta
+  WHERE id = NEW.master_id;
+
+  INSERT INTO public.balance_transactions (
+    master_id, amount, transaction_type, balance_before, balance_after, notes
+  ) VALUES (
+    NEW.master_id,
+    -v_delta,
+    'commission',
+    v_balance_before,
+    v_balance_before - v_delta,
+    'order=' || NEW.order_id::TEXT || ' commission_rule=' || COALESCE(v_commission->>'rule_id', v_commission->>'source')
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_master_earnings_commission_rules ON public.master_earnings;
+CREATE TRIGGER trg_master_earnings_commission_rules
+AFTER INSERT OR UPDATE OF amount, commission_amount ON public.master_earnings
+FOR EACH ROW
+EXECUTE FUNCTION public.apply_commission_rules_to_earning();
+
+REVOKE ALL ON FUNCTION public.resolve_commission_rate(UUID, TEXT, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.calculate_order_commission(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.master_monthly_confirmed_orders(UUID, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.get_order_commission(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.get_order_commission(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_commission_context(UUID) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,475 @@
+-- =============================================================================
+-- PATCH_DISPUTE_CASES.sql
+-- Date: 2026-02-25
+-- Purpose:
+--   Case management for payment disputes:
+--     - disputes: assigned admin, review/rejection stamps, recorded outcome,
+--       `rejected` status
+--     - dispute_messages: per-dispute thread for admins and the order's
+--       dispatcher/partner and master
+--     - order_photos kind `evidence` for case attachments
+--     - clients.balance + client_balance_transactions for dispute refunds
+--     - assign_dispute(p_dispute_id, p_admin_id): take/assign a case (open -> in_review)
+--     - set_dispute_status(p_dispute_id, p_status, p_notes): in_review or rejected;
+--       rejecting returns the order to the payment queue with the master's price
+--     - resolve_dispute_case(...): adjust price / line items, penalize the master
+--       (add_master_balance, negative amount) and refund the client in one step
+--   Transitions and outcome checks mirror src/utils/disputeCases.js.
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE public.disputes
+  ADD COLUMN IF NOT EXISTS assigned_admin_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS review_started_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS outcome JSONB;
+
+-- Replace whatever status check the base schema created with one that allows `rejected`.
+DO $$
+DECLARE
+  v_constraint RECORD;
+BEGIN
+  FOR v_constraint IN
+    SELECT c.conname
+    FROM pg_constraint c
+    WHERE c.conrelid = 'public.disputes'::regclass
+      AND c.contype = 'c'
+      AND pg_get_constraintdef(c.oid) ILIKE '%status%'
+  LOOP
+    EXECUTE format('ALTER TABLE public.disputes DROP CONSTRAINT %I', v_constraint.conname);
+  END LOOP;
+
+  ALTER TABLE public.disputes
+    ADD CONSTRAINT chk_disputes_status
+    CHECK (status IN ('open', 'in_review', 'resolved', 'rejected', 'closed'));
+END;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_disputes_assigned_admin
+  ON public.disputes (assigned_admin_id)
+  WHERE status IN ('open', 'in_review');
+
+ALTER TABLE public.order_photos DROP CONSTRAINT IF EXISTS chk_order_photos_kind;
+ALTER TABLE public.order_photos
+  ADD CONSTRAINT chk_order_photos_kind CHECK (kind IN ('problem', 'before', 'after', 'evidence'));
+
+CREATE OR REPLACE FUNCTION public.can_access_dispute(p_dispute_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  IF v_role = 'admin' THEN
+    RETURN EXISTS (SELECT 1 FROM public.disputes d WHERE d.id = p_dispute_id);
+  END IF;
+
+  RETURN EXISTS (
+    SELECT 1
+    FROM public.disputes d
+    JOIN public.orders o ON o.id = d.order_id
+    WHERE d.id = p_dispute_id
+      AND (
+        (v_role IN ('dispatcher', 'partner') AND v_uid IN (d.dispatcher_id, o.dispatcher_id, o.assigned_dispatcher_id))
+        OR (v_role = 'master' AND v_uid = d.master_id)
+      )
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.can_access_dispute(UUID) TO authenticated;
+
+CREATE TABLE IF NOT EXISTS public.dispute_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  dispute_id UUID NOT NULL REFERENCES public.disputes(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  body TEXT NOT NULL CHECK (char_length(btrim(body)) BETWEEN 1 AND 2000),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispute_messages_dispute_created_at
+  ON public.dispute_messages (dispute_id, created_at);
+
+ALTER TABLE public.dispute_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS dispute_messages_select_scope ON public.dispute_messages;
+CREATE POLICY dispute_messages_select_scope ON public.dispute_messages
+  FOR SELECT TO authenticated
+  USING (public.can_access_dispute(dispute_id));
+
+DROP POLICY IF EXISTS dispute_messages_insert_scope ON public.dispute_messages;
+CREATE POLICY dispute_messages_insert_scope ON public.dispute_messages
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    author_id = auth.uid()
+    AND public.can_access_dispute(dispute_id)
+  );
+
+ALTER TABLE public.clients
+  ADD COLUMN IF NOT EXISTS balance NUMERIC NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.client_balance_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES public.clients(id) ON DELETE CASCADE,
+  order_id UUID REFERENCES public.orders(id) ON DELETE SET NULL,
+  dispute_id UUID REFERENCES public.disputes(id) ON DELETE SET NULL,
+  amount NUMERIC NOT NULL,
+  transaction_type TEXT NOT NULL CHECK (transaction_type IN ('dispute_refund', 'adjustment')),
+  balance_before NUMERIC NOT NULL,
+  balance_after NUMERIC NOT NULL,
+  notes TEXT,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_balance_transactions_client
+  ON public.client_balance_transactions (client_id, created_at DESC);
+
+ALTER TABLE public.client_balance_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS client_balance_transactions_admin_read ON public.client_balance_transactions;
+CREATE POLICY client_balance_transactions_admin_read ON public.client_balance_transactions
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid() AND p.role = 'admin' AND p.is_active IS TRUE
+    )
+  );
+
+CREATE OR REPLACE FUNCTION public.assign_dispute(
+  p_dispute_id UUID,
+  p_admin_id UUID DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_assignee UUID := COALESCE(p_admin_id, auth.uid());
+  v_dispute public.disputes%ROWTYPE;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.profiles p
+    WHERE p.id = v_assignee AND p.role = 'admin' AND p.is_active IS TRUE
+  ) THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_ASSIGNEE', 'message', 'Assignee must be an active admin');
+  END IF;
+
+  SELECT * INTO v_dispute
+  FROM public.disputes d
+  WHERE d.id = p_dispute_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'NOT_FOUND', 'message', 'Dispute not found');
+  END IF;
+
+  IF v_dispute.status NOT IN ('open', 'in_review') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_STATUS', 'message', 'Dispute is already closed');
+  END IF;
+
+  UPDATE public.disputes
+  SET assigned_admin_id = v_assignee,
+      assigned_at = NOW(),
+      status = 'in_review',
+      review_started_at = COALESCE(review_started_at, NOW()),
+      updated_at = NOW()
+  WHERE id = p_dispute_id;
+
+  RETURN jsonb_build_object('success', TRUE, 'dispute_id', p_dispute_id, 'assigned_admin_id', v_assignee, 'status', 'in_review');
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.set_dispute_status(
+  p_dispute_id UUID,
+  p_status TEXT,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_status TEXT := lower(btrim(COALESCE(p_status, '')));
+  v_notes TEXT := NULLIF(btrim(COALESCE(p_notes, '')), '');
+  v_dispute public.disputes%ROWTYPE;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  IF v_status NOT IN ('in_review', 'rejected') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_STATUS', 'message', 'Use resolve_dispute_case to resolve');
+  END IF;
+
+  IF v_status = 'rejected' AND v_notes IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'NOTES_REQUIRED', 'message', 'Rejection reason is required');
+  END IF;
+
+  SELECT * INTO v_dispute
+  FROM public.disputes d
+  WHERE d.id = p_dispute_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'NOT_FOUND', 'message', 'Dispute not found');
+  END IF;
+
+  IF NOT (
+    (v_dispute.status = 'open' AND v_status IN ('in_review', 'rejected'))
+    OR (v_dispute.status = 'in_review' AND v_status = 'rejected')
+  ) THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_TRANSITION', 'message', 'Status change not allowed');
+  END IF;
+
+  IF v_status = 'in_review' THEN
+    UPDATE public.disputes
+    SET status = 'in_review',
+        review_started_at = COALESCE(review_started_at, NOW()),
+        assigned_admin_id = COALESCE(assigned_admin_id, v_uid),
+        assigned_at = COALESCE(assigned_at, NOW()),
+        updated_at = NOW()
+    WHERE id = p_dispute_id;
+  ELSE
+    UPDATE public.disputes
+    SET status = 'rejected',
+        rejected_at = NOW(),
+        resolved_by = v_uid,
+        resolution_notes = v_notes,
+        outcome = jsonb_build_object('decision', 'rejected'),
+        updated_at = NOW()
+    WHERE id = p_dispute_id;
+
+    -- The report was unfounded: the order goes back to payment with the master's price.
+    UPDATE public.orders
+    SET is_disputed = FALSE,
+        requires_review = FALSE,
+        updated_at = NOW()
+    WHERE id = v_dispute.order_id
+      AND is_disputed IS TRUE
+      AND NOT EXISTS (
+        SELECT 1 FROM public.disputes d
+        WHERE d.order_id = v_dispute.order_id
+          AND d.id <> p_dispute_id
+          AND d.status IN ('open', 'in_review')
+      );
+  END IF;
+
+  IF v_notes IS NOT NULL THEN
+    INSERT INTO public.dispute_messages (dispute_id, author_id, body)
+    VALUES (p_dispute_id, v_uid, v_notes);
+  END IF;
+
+  RETURN jsonb_build_object('success', TRUE, 'dispute_id', p_dispute_id, 'status', v_status);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.resolve_dispute_case(
+  p_dispute_id UUID,
+  p_final_price NUMERIC DEFAULT NULL,
+  p_line_items JSONB DEFAULT NULL,
+  p_penalty_amount NUMERIC DEFAULT 0,
+  p_refund_amount NUMERIC DEFAULT 0,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_dispute public.disputes%ROWTYPE;
+  v_order public.orders%ROWTYPE;
+  v_penalty NUMERIC := COALESCE(p_penalty_amount, 0);
+  v_refund NUMERIC := COALESCE(p_refund_amount, 0);
+  v_next_price NUMERIC;
+  v_penalty_result JSONB;
+  v_client_balance NUMERIC;
+  v_outcome JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT * INTO v_dispute
+  FROM public.disputes d
+  WHERE d.id = p_dispute_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'NOT_FOUND', 'message', 'Dispute not found');
+  END IF;
+
+  IF v_dispute.status NOT IN ('open', 'in_review') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_STATUS', 'message', 'Dispute is already closed');
+  END IF;
+
+  SELECT * INTO v_order
+  FROM public.orders o
+  WHERE o.id = v_dispute.order_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'NOT_FOUND', 'message', 'Order not found');
+  END IF;
+
+  IF v_order.status <> 'completed' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_STATUS', 'message', 'Only completed orders can be resolved');
+  END IF;
+
+  v_next_price := COALESCE(p_final_price, v_order.final_price);
+
+  IF v_next_price IS NULL OR v_next_price <= 0 THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_PRICE', 'message', 'Invalid final amount');
+  END IF;
+
+  IF v_order.callout_fee IS NOT NULL AND v_next_price < v_order.callout_fee THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'BELOW_CALLOUT', 'message', 'Final price cannot be lower than call-out fee');
+  END IF;
+
+  IF v_penalty < 0 OR v_refund < 0 THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_AMOUNT', 'message', 'Amounts cannot be negative');
+  END IF;
+
+  IF v_refund > v_next_price THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'REFUND_EXCEEDS_PRICE', 'message', 'Refund cannot exceed the final price');
+  END IF;
+
+  IF v_refund > 0 AND v_order.directory_client_id IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'NO_CLIENT', 'message', 'Order is not linked to a client');
+  END IF;
+
+  IF v_penalty > 0 THEN
+    IF v_order.master_id IS NULL THEN
+      RETURN jsonb_build_object('success', FALSE, 'error', 'NO_MASTER', 'message', 'Order has no assigned master');
+    END IF;
+    v_penalty_result := public.add_master_balance(
+      v_order.master_id,
+      -v_penalty,
+      'adjustment',
+      'dispute_penalty order=' || v_order.id::TEXT
+    );
+    IF COALESCE((v_penalty_result->>'success')::BOOLEAN, FALSE) IS NOT TRUE THEN
+      RAISE EXCEPTION 'Master penalty failed: %', COALESCE(v_penalty_result->>'message', 'unknown error');
+    END IF;
+  END IF;
+
+  IF v_refund > 0 THEN
+    UPDATE public.clients
+    SET balance = balance + v_refund,
+        updated_at = NOW()
+    WHERE id = v_order.directory_client_id
+    RETURNING balance INTO v_client_balance;
+
+    INSERT INTO public.client_balance_transactions (
+      client_id, order_id, dispute_id, amount, transaction_type,
+      balance_before, balance_after, notes, created_by
+    )
+    VALUES (
+      v_order.directory_client_id, v_order.id, p_dispute_id, v_refund, 'dispute_refund',
+      v_client_balance - v_refund, v_client_balance,
+      NULLIF(btrim(COALESCE(p_notes, '')), ''), v_uid
+    );
+  END IF;
+
+  UPDATE public.orders
+  SET final_price = v_next_price,
+      line_items = COALESCE(p_line_items, line_items),
+      is_disputed = FALSE,
+      requires_review = FALSE,
+      updated_at = NOW()
+  WHERE id = v_order.id;
+
+  v_outcome := jsonb_build_object(
+    'decision', 'resolved',
+    'previous_final_price', v_order.final_price,
+    'final_price', v_next_price,
+    'penalty_amount', v_penalty,
+    'refund_amount', v_refund
+  );
+
+  UPDATE public.disputes
+  SET status = 'resolved',
+      resolved_at = NOW(),
+      resolved_by = v_uid,
+      resolution_notes = COALESCE(NULLIF(btrim(COALESCE(p_notes, '')), ''), 'Resolved by case review.'),
+      outcome = v_outcome,
+      assigned_admin_id = COALESCE(assigned_admin_id, v_uid),
+      updated_at = NOW()
+  WHERE id = p_dispute_id;
+
+  -- Other active reports on the same order are settled by this decision.
+  UPDATE public.disputes
+  SET status = 'resolved',
+      resolved_at = NOW(),
+      resolved_by = v_uid,
+      resolution_notes = 'Resolved with dispute ' || p_dispute_id::TEXT,
+      updated_at = NOW()
+  WHERE order_id = v_order.id
+    AND id <> p_dispute_id
+    AND status IN ('open', 'in_review');
+
+  RETURN jsonb_build_object('success', TRUE, 'dispute_id', p_dispute_id, 'outcome', v_outcome);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.assign_dispute(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_dispute_status(UUID, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_dispute_case(UUID, NUMERIC, JSONB, NUMERIC, NUMERIC, TEXT) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,146 @@
+-- =============================================================================
+-- PATCH_JOB_TIME_TRACKING.sql
+-- Date: 2026-03-03
+-- Purpose:
+--   Job timer for masters (start on startJob, pause/resume, hours worked on completion):
+--     - orders.work_segments: JSON array of { start, end } timestamps; end is null while
+--       the timer runs. Written by the master app while the job is started and with
+--       completeJob, so disputes have the worked periods as evidence
+--     - order_work_minutes(p_segments): total minutes of the closed segments
+--     - trg_check_order_work_segments: segments must be well formed, lie between the
+--       order's started_at and now (5 minutes of clock skew), can only change
+--       while the order is started (or on the claimed -> started / started -> completed
+--       transitions, or by an admin); a segment left running at completion is closed
+--   Segment shape and rounding match src/utils/jobTimer.js.
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS work_segments JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_orders_work_segments_array'
+  ) THEN
+    ALTER TABLE public.orders
+      ADD CONSTRAINT chk_orders_work_segments_array CHECK (jsonb_typeof(work_segments) = 'array');
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.order_work_minutes(p_segments JSONB)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(FLOOR(SUM(
+    EXTRACT(EPOCH FROM ((seg->>'end')::TIMESTAMPTZ - (seg->>'start')::TIMESTAMPTZ))
+  ) / 60), 0)::INTEGER
+  FROM jsonb_array_elements(
+    CASE WHEN jsonb_typeof(p_segments) = 'array' THEN p_segments ELSE '[]'::jsonb END
+  ) AS seg
+  WHERE jsonb_typeof(seg->'start') = 'string'
+    AND jsonb_typeof(seg->'end') = 'string';
+$$;
+
+CREATE OR REPLACE FUNCTION public.check_order_work_segments()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_role TEXT;
+  v_seg JSONB;
+  v_start TIMESTAMPTZ;
+  v_end TIMESTAMPTZ;
+  v_prev_end TIMESTAMPTZ;
+  v_index INTEGER := 0;
+  v_count INTEGER;
+BEGIN
+  IF NEW.work_segments IS NOT DISTINCT FROM OLD.work_segments THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT (
+    OLD.status = 'started'
+    OR (OLD.status = 'claimed' AND NEW.status = 'started')
+  ) THEN
+    SELECT p.role INTO v_role
+    FROM public.profiles p
+    WHERE p.id = auth.uid() AND p.is_active IS TRUE;
+
+    IF v_role IS DISTINCT FROM 'admin' THEN
+      RAISE EXCEPTION 'Work time can only change while the job is in progress'
+        USING ERRCODE = 'check_violation';
+    END IF;
+  END IF;
+
+  v_count := jsonb_array_length(NEW.work_segments);
+  FOR v_seg IN SELECT value FROM jsonb_array_elements(NEW.work_segments) LOOP
+    v_index := v_index + 1;
+    IF jsonb_typeof(v_seg) <> 'object' OR jsonb_typeof(v_seg->'start') IS DISTINCT FROM 'string' THEN
+      RAISE EXCEPTION 'Invalid work segment' USING ERRCODE = 'check_violation';
+    END IF;
+    BEGIN
+      v_start := (v_seg->>'start')::TIMESTAMPTZ;
+      v_end := CASE WHEN jsonb_typeof(v_seg->'end') = 'string' THEN (v_seg->>'end')::TIMESTAMPTZ ELSE NULL END;
+    EXCEPTION WHEN others THEN
+      RAISE EXCEPTION 'Invalid work segment' USING ERRCODE = 'check_violation';
+    END;
+    -- Masters write their own segments: nothing before the job started or after now
+    -- (5 minutes of device clock skew allowed either way).
+    IF v_start > NOW() + INTERVAL '5 minutes'
+      OR v_start < COALESCE(NEW.started_at, OLD.started_at, v_start) - INTERVAL '5 minutes'
+      OR (v_end IS NOT NULL AND v_end > NOW() + INTERVAL '5 minutes')
+      OR (v_end IS NOT NULL AND v_end < v_start)
+      OR (v_end IS NULL AND v_index < v_count)
+      OR (v_prev_end IS NOT NULL AND v_start < v_prev_end) THEN
+      RAISE EXCEPTION 'Invalid work segment' USING ERRCODE = 'check_violation';
+    END IF;
+    v_prev_end := v_end;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_check_order_work_segments ON public.orders;
+CREATE TRIGGER trg_check_order_work_segments
+  BEFORE UPDATE OF work_segments ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_order_work_segments();
+
+-- A timer still running when the job is completed stops at completion time.
+CREATE OR REPLACE FUNCTION public.close_order_work_segments()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_last INTEGER;
+BEGIN
+  IF NEW.status = 'completed' AND OLD.status = 'started' THEN
+    v_last := jsonb_array_length(NEW.work_segments) - 1;
+    IF v_last >= 0 AND jsonb_typeof(NEW.work_segments->v_last->'end') IS DISTINCT FROM 'string' THEN
+      NEW.work_segments := jsonb_set(
+        NEW.work_segments,
+        ARRAY[v_last::TEXT, 'end'],
+        to_jsonb(COALESCE(NEW.completed_at, NOW()))
+      );
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_close_order_work_segments ON public.orders;
+CREATE TRIGGER trg_close_order_work_segments
+  BEFORE UPDATE OF status ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.close_order_work_segments();
+
+GRANT EXECUTE ON FUNCTION public.order_work_minutes(JSONB) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,324 @@
+-- =============================================================================
+-- PATCH_MASTER_AVAILABILITY.sql
+-- Date: 2026-03-01
+-- Purpose:
+--   Master availability on top of the presence columns (PATCH_PROFILE_PRESENCE_COLUMNS.sql):
+--     - profiles.is_on_duty / on_duty_changed_at: on-duty toggle from My Account
+--     - profiles.availability_schedule: weekly hours, {"mon":[{"start":"09:00","end":"18:00"}],...};
+--       '{}' means no hours restriction, otherwise days without intervals are off
+--     - profiles.time_off: vacation periods, [{"start":"YYYY-MM-DD","end":"YYYY-MM-DD","note":""}]
+--     - update_master_availability(p_is_on_duty, p_schedule, p_time_off): master saves own settings
+--     - is_master_available(p_master_id, p_at): the same rules as src/utils/masterAvailability.js
+--       in Asia/Bishkek time
+--     - claims and assignments (orders.master_id set on a placed order) are rejected for
+--       unavailable masters
+--     - get_master_assignment_candidates() also returns the availability columns
+--     - search_available_masters(p_search, p_limit, p_offset, p_include_unavailable): the
+--       assignment search drops unavailable masters before paging, ranked like the app's
+--       local search (name prefix, phone prefix, name/phone/area match, phone digits)
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS is_on_duty BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS on_duty_changed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS availability_schedule JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS time_off JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE OR REPLACE FUNCTION public.is_master_available(
+  p_master_id UUID,
+  p_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_profile RECORD;
+  v_local TIMESTAMP := p_at AT TIME ZONE 'Asia/Bishkek';
+  v_day TEXT := lower(to_char(p_at AT TIME ZONE 'Asia/Bishkek', 'Dy'));
+BEGIN
+  SELECT p.is_on_duty, p.availability_schedule, p.time_off
+  INTO v_profile
+  FROM public.profiles p
+  WHERE p.id = p_master_id;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  IF v_profile.is_on_duty IS FALSE THEN
+    RETURN FALSE;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(COALESCE(v_profile.time_off, '[]'::jsonb)) t
+    WHERE (t->>'start')::date <= v_local::date
+      AND (t->>'end')::date >= v_local::date
+  ) THEN
+    RETURN FALSE;
+  END IF;
+
+  IF COALESCE(v_profile.availability_schedule, '{}'::jsonb) = '{}'::jsonb THEN
+    RETURN TRUE;
+  END IF;
+
+  RETURN EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(COALESCE(v_profile.availability_schedule->v_day, '[]'::jsonb)) i
+    WHERE v_local::time >= (i->>'start')::time
+      AND v_local::time < (i->>'end')::time
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_master_available(UUID, TIMESTAMPTZ) TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.update_master_availability(
+  p_is_on_duty BOOLEAN,
+  p_schedule JSONB DEFAULT NULL,
+  p_time_off JSONB DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_key TEXT;
+  v_value JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'master' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Only masters can change availability');
+  END IF;
+
+  IF p_is_on_duty IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_STATUS', 'message', 'On-duty status is required');
+  END IF;
+
+  IF p_schedule IS NOT NULL THEN
+    IF jsonb_typeof(p_schedule) <> 'object' THEN
+      RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_SCHEDULE', 'message', 'Schedule must be an object');
+    END IF;
+    FOR v_key, v_value IN SELECT * FROM jsonb_each(p_schedule) LOOP
+      IF v_key NOT IN ('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun')
+         OR jsonb_typeof(v_value) <> 'array'
+         OR jsonb_array_length(v_value) > 3
+         OR EXISTS (
+           SELECT 1
+           FROM jsonb_array_elements(v_value) i
+           WHERE CASE
+             WHEN COALESCE(i->>'start', '') ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+              AND COALESCE(i->>'end', '') ~ '^(([01][0-9]|2[0-3]):[0-5][0-9]|24:00)$'
+               THEN (i->>'end')::time <= (i->>'start')::time
+             ELSE TRUE
+           END
+         ) THEN
+        RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_SCHEDULE', 'message', 'Invalid working hours for ' || v_key);
+      END IF;
+    END LOOP;
+  END IF;
+
+  IF p_time_off IS NOT NULL THEN
+    IF jsonb_typeof(p_time_off) <> 'array' OR jsonb_array_length(p_time_off) > 20 THEN
+      RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_TIME_OFF', 'message', 'Invalid vacation periods');
+    END IF;
+    IF EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(p_time_off) t
+      WHERE CASE
+        WHEN COALESCE(t->>'start', '') ~ '^\d{4}-\d{2}-\d{2}$'
+         AND COALESCE(t->>'end', '') ~ '^\d{4}-\d{2}-\d{2}$'
+          THEN (t->>'end')::date < (t->>'start')::date
+        ELSE TRUE
+      END
+    ) THEN
+      RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_TIME_OFF', 'message', 'Invalid vacation periods');
+    END IF;
+  END IF;
+
+  UPDATE public.profiles
+  SET on_duty_changed_at = CASE WHEN is_on_duty IS DISTINCT FROM p_is_on_duty THEN NOW() ELSE on_duty_changed_at END,
+      is_on_duty = p_is_on_duty,
+      availability_schedule = COALESCE(p_schedule, availability_schedule),
+      time_off = COALESCE(p_time_off, time_off)
+  WHERE id = v_uid;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'is_on_duty', p_is_on_duty,
+    'is_available', public.is_master_available(v_uid)
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.update_master_availability(BOOLEAN, JSONB, JSONB) TO authenticated;
+
+-- Claims from the pool and dispatcher/admin assignments both set master_id on a placed order.
+CREATE OR REPLACE FUNCTION public.enforce_master_availability_on_assign()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.master_id IS NOT NULL
+     AND NEW.master_id IS DISTINCT FROM OLD.master_id
+     AND NEW.status = 'claimed'
+     AND NOT public.is_master_available(NEW.master_id) THEN
+    RAISE EXCEPTION 'Master is not available (off duty, on vacation or outside working hours)'
+      USING ERRCODE = 'P0001';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_orders_master_availability ON public.orders;
+CREATE TRIGGER trg_orders_master_availability
+BEFORE UPDATE OF master_id ON public.orders
+FOR EACH ROW
+EXECUTE FUNCTION public.enforce_master_availability_on_assign();
+
+CREATE OR REPLACE FUNCTION public.get_master_assignment_candidates()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_items JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('admin', 'dispatcher', 'partner') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(c) ORDER BY c.full_name), '[]'::jsonb)
+  INTO v_items
+  FROM (
+    SELECT m.id, m.full_name, m.phone, m.service_area, m.specializations,
+           m.rating, COALESCE(m.refusal_count, 0) AS refusal_count,
+           m.max_active_jobs, m.completed_jobs_count,
+           (m.balance_blocked_at IS NOT NULL) AS balance_blocked,
+           COALESCE(w.active_jobs, 0) AS active_jobs,
+           m.is_on_duty, m.availability_schedule, m.time_off,
+           m.is_online, m.last_seen_at
+    FROM public.profiles m
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*) AS active_jobs
+      FROM public.orders o
+      WHERE o.master_id = m.id
+        AND o.status IN ('claimed', 'started')
+    ) w ON TRUE
+    WHERE m.role = 'master'
+      AND m.is_active IS TRUE
+      AND m.is_verified IS TRUE
+  ) c;
+
+  RETURN jsonb_build_object('success', TRUE, 'items', v_items);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_master_assignment_candidates() TO authenticated;
+
+DROP FUNCTION IF EXISTS public.search_available_masters(TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION public.search_available_masters(
+  p_search TEXT,
+  p_limit INTEGER DEFAULT 80,
+  p_offset INTEGER DEFAULT 0,
+  p_include_unavailable BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_needle TEXT := lower(btrim(COALESCE(p_search, '')));
+  v_digits TEXT := NULLIF(regexp_replace(COALESCE(p_search, ''), '\D', '', 'g'), '');
+  v_items JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('admin', 'dispatcher', 'partner') THEN
+    RAISE EXCEPTION 'Access denied' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(c) - 'search_rank' ORDER BY c.search_rank, c.full_name), '[]'::jsonb)
+  INTO v_items
+  FROM (
+    SELECT ranked.*
+    FROM (
+      SELECT m.id, m.full_name, m.phone, m.service_area, m.specializations,
+             m.rating, m.is_verified, COALESCE(m.refusal_count, 0) AS refusal_count,
+             m.max_active_jobs, m.completed_jobs_count,
+             (m.balance_blocked_at IS NOT NULL) AS balance_blocked,
+             COALESCE(w.active_jobs, 0) AS active_jobs,
+             m.is_on_duty, m.availability_schedule, m.time_off,
+             m.is_online, m.last_seen_at,
+             CASE
+               WHEN v_needle <> '' AND lower(COALESCE(m.full_name, '')) LIKE v_needle || '%' THEN 0
+               WHEN v_digits IS NOT NULL AND regexp_replace(COALESCE(m.phone, ''), '\D', '', 'g') LIKE v_digits || '%' THEN 1
+               WHEN v_needle <> '' AND lower(concat_ws(' ', m.full_name, m.phone, m.service_area)) LIKE '%' || v_needle || '%' THEN 2
+               WHEN v_digits IS NOT NULL AND regexp_replace(COALESCE(m.phone, ''), '\D', '', 'g') LIKE '%' || v_digits || '%' THEN 3
+               ELSE 99
+             END AS search_rank
+      FROM public.profiles m
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) AS active_jobs
+        FROM public.orders o
+        WHERE o.master_id = m.id
+          AND o.status IN ('claimed', 'started')
+      ) w ON TRUE
+      WHERE m.role = 'master'
+        AND m.is_active IS TRUE
+        AND m.is_verified IS TRUE
+        AND (p_include_unavailable IS TRUE OR public.is_master_available(m.id))
+    ) ranked
+    WHERE ranked.search_rank < 99
+    ORDER BY ranked.search_rank, ranked.full_name
+    OFFSET GREATEST(COALESCE(p_offset, 0), 0)
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 80), 1), 200)
+  ) c;
+
+  RETURN v_items;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_available_masters(TEXT, INTEGER, INTEGER, BOOLEAN) TO authenticated;
+
+COMMIT;
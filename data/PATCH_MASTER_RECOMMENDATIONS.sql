@@ -0,0 +1,69 @@
+-- =============================================================================
+-- PATCH_MASTER_RECOMMENDATIONS.sql
+-- Date: 2026-02-20
+-- Purpose:
+--   Candidate data for ranked master recommendations in the assign modal:
+--     - get_master_assignment_candidates() returns active verified masters with
+--       specializations, service area, live workload (claimed/started orders),
+--       rating, refusal count and balance-blocked state
+--   Scoring happens client-side (src/utils/masterRecommendations.js) so the
+--   breakdown shown to dispatchers and the ranking always agree.
+-- =============================================================================
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_orders_master_active
+  ON public.orders (master_id)
+  WHERE status IN ('claimed', 'started');
+
+CREATE OR REPLACE FUNCTION public.get_master_assignment_candidates()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_items JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('admin', 'dispatcher', 'partner') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(c) ORDER BY c.full_name), '[]'::jsonb)
+  INTO v_items
+  FROM (
+    SELECT m.id, m.full_name, m.phone, m.service_area, m.specializations,
+           m.rating, COALESCE(m.refusal_count, 0) AS refusal_count,
+           m.max_active_jobs, m.completed_jobs_count,
+           (m.balance_blocked_at IS NOT NULL) AS balance_blocked,
+           COALESCE(w.active_jobs, 0) AS active_jobs
+    FROM public.profiles m
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*) AS active_jobs
+      FROM public.orders o
+      WHERE o.master_id = m.id
+        AND o.status IN ('claimed', 'started')
+    ) w ON TRUE
+    WHERE m.role = 'master'
+      AND m.is_active IS TRUE
+      AND m.is_verified IS TRUE
+  ) c;
+
+  RETURN jsonb_build_object('success', TRUE, 'items', v_items);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_master_assignment_candidates() TO authenticated;
+
+COMMIT;
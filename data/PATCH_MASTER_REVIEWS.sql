@@ -0,0 +1,173 @@
+-- =============================================================================
+-- PATCH_MASTER_REVIEWS.sql
+-- Date: 2026-02-14
+-- Purpose:
+--   Wire the client review pipeline used by dispatcher payment confirmation:
+--     - reviews table (one review per confirmed order)
+--     - trg_recalculate_rating keeps profiles.rating in sync with reviews
+--     - submit_order_review RPC (dispatcher/partner/admin, confirmed orders only)
+--   Safe to re-run: all objects are created with IF NOT EXISTS / OR REPLACE.
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  master_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  dispatcher_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  rating SMALLINT NOT NULL,
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Older environments created reviews without these columns.
+ALTER TABLE public.reviews
+  ADD COLUMN IF NOT EXISTS dispatcher_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS comment TEXT,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_reviews_rating_range'
+  ) THEN
+    ALTER TABLE public.reviews
+      ADD CONSTRAINT chk_reviews_rating_range CHECK (rating BETWEEN 1 AND 5);
+  END IF;
+END;
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reviews_order_unique
+  ON public.reviews (order_id);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_master_created_at
+  ON public.reviews (master_id, created_at DESC);
+
+-- Recalculate the average rating for every master touched by the change.
+CREATE OR REPLACE FUNCTION public.recalculate_master_rating()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_master_ids UUID[] := ARRAY[]::UUID[];
+  v_master_id UUID;
+BEGIN
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    v_master_ids := array_append(v_master_ids, NEW.master_id);
+  END IF;
+  IF TG_OP = 'DELETE' THEN
+    v_master_ids := array_append(v_master_ids, OLD.master_id);
+  ELSIF TG_OP = 'UPDATE' THEN
+    IF OLD.master_id IS DISTINCT FROM NEW.master_id THEN
+      v_master_ids := array_append(v_master_ids, OLD.master_id);
+    END IF;
+  END IF;
+
+  FOREACH v_master_id IN ARRAY v_master_ids
+  LOOP
+    CONTINUE WHEN v_master_id IS NULL;
+    UPDATE public.profiles p
+    SET rating = COALESCE((
+      SELECT ROUND(AVG(r.rating)::NUMERIC, 2)
+      FROM public.reviews r
+      WHERE r.master_id = v_master_id
+    ), 0)
+    WHERE p.id = v_master_id;
+  END LOOP;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_recalculate_rating ON public.reviews;
+CREATE TRIGGER trg_recalculate_rating
+AFTER INSERT OR UPDATE OF rating, master_id OR DELETE ON public.reviews
+FOR EACH ROW
+EXECUTE FUNCTION public.recalculate_master_rating();
+
+-- RPC: record (or update) the client review for a confirmed order.
+CREATE OR REPLACE FUNCTION public.submit_order_review(
+  p_order_id UUID,
+  p_rating INTEGER,
+  p_comment TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_order RECORD;
+  v_review_id UUID;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  IF p_rating IS NULL OR p_rating < 1 OR p_rating > 5 THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_RATING', 'message', 'Rating must be between 1 and 5');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('admin', 'dispatcher', 'partner') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Only dispatchers can record reviews');
+  END IF;
+
+  SELECT o.id, o.status, o.master_id, o.dispatcher_id, o.assigned_dispatcher_id
+  INTO v_order
+  FROM public.orders o
+  WHERE o.id = p_order_id;
+
+  IF v_order.id IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'ORDER_NOT_FOUND', 'message', 'Order not found');
+  END IF;
+
+  IF v_role <> 'admin'
+    AND v_uid IS DISTINCT FROM v_order.dispatcher_id
+    AND v_uid IS DISTINCT FROM v_order.assigned_dispatcher_id THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Order is outside your queue');
+  END IF;
+
+  IF v_order.status <> 'confirmed' OR v_order.master_id IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_STATUS', 'message', 'Only confirmed orders can be reviewed');
+  END IF;
+
+  INSERT INTO public.reviews (order_id, master_id, dispatcher_id, rating, comment)
+  VALUES (v_order.id, v_order.master_id, v_uid, p_rating, NULLIF(TRIM(COALESCE(p_comment, '')), ''))
+  ON CONFLICT (order_id) DO UPDATE
+  SET rating = EXCLUDED.rating,
+      comment = EXCLUDED.comment,
+      dispatcher_id = EXCLUDED.dispatcher_id,
+      updated_at = NOW()
+  RETURNING id INTO v_review_id;
+
+  RETURN jsonb_build_object('success', TRUE, 'message', 'Review saved', 'review_id', v_review_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.submit_order_review TO authenticated;
+
+ALTER TABLE public.reviews ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS reviews_select_scope ON public.reviews;
+CREATE POLICY reviews_select_scope ON public.reviews
+  FOR SELECT TO authenticated
+  USING (
+    master_id = auth.uid()
+    OR EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid()
+        AND p.role IN ('admin', 'dispatcher', 'partner')
+    )
+  );
+
+COMMIT;
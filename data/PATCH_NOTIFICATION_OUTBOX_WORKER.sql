@@ -0,0 +1,83 @@
+-- =============================================================================
+-- PATCH_NOTIFICATION_OUTBOX_WORKER.sql
+-- Date: 2026-02-15
+-- Purpose:
+--   Delivery of notification_outbox (PATCH_PUSH_NOTIFICATIONS.sql, PATCH_SLA_RULES.sql)
+--   to the Expo push service:
+--     - drain_notification_outbox(p_limit): posts up to 100 pending rows (oldest
+--       first) to https://exp.host/--/api/v2/push/send through pg_net and marks
+--       them sent; service role / cron only
+--     - pg_cron job 'drain-notification-outbox' runs it every minute
+--   Requires the pg_net and pg_cron extensions (Supabase: Database -> Extensions).
+--   pg_net posts asynchronously: Expo tickets land in net._http_response and are
+--   not read back, so a row marked sent was handed to Expo, not confirmed delivered.
+-- =============================================================================
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pg_net;
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+CREATE OR REPLACE FUNCTION public.drain_notification_outbox(p_limit INTEGER DEFAULT 100)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_limit INTEGER := LEAST(GREATEST(COALESCE(p_limit, 100), 1), 100);
+  v_ids UUID[];
+  v_messages JSONB;
+BEGIN
+  SELECT array_agg(n.id),
+         jsonb_agg(jsonb_build_object(
+           'to', n.push_token,
+           'title', n.title,
+           'body', n.body,
+           'data', n.data,
+           'sound', 'default',
+           'channelId', 'orders'
+         ) ORDER BY n.created_at)
+  INTO v_ids, v_messages
+  FROM (
+    SELECT o.id, o.push_token, o.title, o.body, o.data, o.created_at
+    FROM public.notification_outbox o
+    WHERE o.status = 'pending'
+    ORDER BY o.created_at
+    LIMIT v_limit
+    FOR UPDATE SKIP LOCKED
+  ) n;
+
+  IF v_ids IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  PERFORM net.http_post(
+    url := 'https://exp.host/--/api/v2/push/send',
+    body := v_messages,
+    headers := jsonb_build_object('Content-Type', 'application/json', 'Accept', 'application/json')
+  );
+
+  UPDATE public.notification_outbox
+  SET status = 'sent',
+      sent_at = NOW(),
+      attempts = attempts + 1
+  WHERE id = ANY(v_ids);
+
+  RETURN array_length(v_ids, 1);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.drain_notification_outbox(INTEGER) FROM PUBLIC, anon, authenticated;
+
+SELECT cron.unschedule(j.jobid)
+FROM cron.job j
+WHERE j.jobname = 'drain-notification-outbox';
+
+SELECT cron.schedule(
+  'drain-notification-outbox',
+  '* * * * *',
+  'SELECT public.drain_notification_outbox(100);'
+);
+
+COMMIT;
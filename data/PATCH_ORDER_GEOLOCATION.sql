@@ -0,0 +1,250 @@
+-- =============================================================================
+-- PATCH_ORDER_GEOLOCATION.sql
+-- Date: 2026-02-18
+-- Purpose:
+--   Optional coordinates for orders and masters (distance filter/sort in the master pool):
+--     - orders.latitude / orders.longitude (captured in admin/dispatcher create-order forms)
+--     - profiles.location_latitude / location_longitude / location_updated_at (master home/current location)
+--     - update_master_location(p_latitude, p_longitude): master saves or clears own location
+--     - get_pool_order_locations(p_order_ids): approximate (~1km, 2 decimals) coordinates
+--       for pool orders only, so exact addresses stay hidden until the job is started
+--     - get_nearby_pool_orders(...): pool page filtered by radius and sorted by distance
+--       from the master's location, measured on the same approximate coordinates
+--   Haversine distance in SQL matches src/utils/geo.js; no PostGIS required.
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6),
+  ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS location_latitude NUMERIC(9, 6),
+  ADD COLUMN IF NOT EXISTS location_longitude NUMERIC(9, 6),
+  ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMPTZ;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_orders_coordinates'
+  ) THEN
+    ALTER TABLE public.orders
+      ADD CONSTRAINT chk_orders_coordinates CHECK (
+        (latitude IS NULL AND longitude IS NULL)
+        OR (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+      );
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_profiles_location_coordinates'
+  ) THEN
+    ALTER TABLE public.profiles
+      ADD CONSTRAINT chk_profiles_location_coordinates CHECK (
+        (location_latitude IS NULL AND location_longitude IS NULL)
+        OR (location_latitude BETWEEN -90 AND 90 AND location_longitude BETWEEN -180 AND 180)
+      );
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.update_master_location(
+  p_latitude NUMERIC,
+  p_longitude NUMERIC
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  IF (p_latitude IS NULL) <> (p_longitude IS NULL) THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_COORDINATES', 'message', 'Latitude and longitude must be set together');
+  END IF;
+
+  IF p_latitude IS NOT NULL
+     AND (p_latitude NOT BETWEEN -90 AND 90 OR p_longitude NOT BETWEEN -180 AND 180) THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_COORDINATES', 'message', 'Coordinates out of range');
+  END IF;
+
+  UPDATE public.profiles
+  SET location_latitude = p_latitude,
+      location_longitude = p_longitude,
+      location_updated_at = CASE WHEN p_latitude IS NULL THEN NULL ELSE NOW() END
+  WHERE id = v_uid
+    AND role = 'master';
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Only masters can save a work location');
+  END IF;
+
+  RETURN jsonb_build_object('success', TRUE);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.update_master_location(NUMERIC, NUMERIC) TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.get_pool_order_locations(p_order_ids UUID[])
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_items JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('master', 'admin') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'id', o.id,
+           'latitude', ROUND(o.latitude, 2),
+           'longitude', ROUND(o.longitude, 2)
+         )), '[]'::jsonb)
+  INTO v_items
+  FROM public.orders o
+  WHERE o.id = ANY(COALESCE(p_order_ids, ARRAY[]::UUID[]))
+    AND o.status IN ('placed', 'reopened')
+    AND o.master_id IS NULL
+    AND o.latitude IS NOT NULL
+    AND o.longitude IS NOT NULL;
+
+  RETURN jsonb_build_object('success', TRUE, 'items', v_items);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_pool_order_locations(UUID[]) TO authenticated;
+
+-- Pool page for the master distance filter: same filters as the pool RPC, plus an
+-- optional radius (NULL = nearest first without a limit). Orders without coordinates
+-- only show without a radius, after the located ones.
+CREATE OR REPLACE FUNCTION public.get_nearby_pool_orders(
+  p_latitude NUMERIC,
+  p_longitude NUMERIC,
+  p_max_km NUMERIC DEFAULT NULL,
+  p_page INTEGER DEFAULT 1,
+  p_limit INTEGER DEFAULT 10,
+  p_urgency TEXT DEFAULT 'all',
+  p_service TEXT DEFAULT 'all',
+  p_area TEXT DEFAULT 'all',
+  p_pricing TEXT DEFAULT 'all'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_page INTEGER := GREATEST(COALESCE(p_page, 1), 1);
+  v_limit INTEGER := LEAST(GREATEST(COALESCE(p_limit, 10), 1), 100);
+  v_total INTEGER;
+  v_items JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('master', 'admin') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  IF p_latitude IS NULL OR p_longitude IS NULL
+     OR p_latitude NOT BETWEEN -90 AND 90 OR p_longitude NOT BETWEEN -180 AND 180 THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_COORDINATES', 'message', 'Coordinates out of range');
+  END IF;
+
+  WITH pool AS (
+    SELECT
+      o.id, o.status, o.service_type, o.urgency, o.problem_description, o.area, o.orientir,
+      o.pricing_type, o.initial_price, o.guaranteed_payout, o.preferred_date, o.preferred_time,
+      o.created_at,
+      ROUND(o.latitude, 2) AS approx_latitude,
+      ROUND(o.longitude, 2) AS approx_longitude
+    FROM public.orders o
+    WHERE o.status IN ('placed', 'reopened')
+      AND o.master_id IS NULL
+      AND (COALESCE(p_urgency, 'all') = 'all' OR o.urgency = p_urgency)
+      AND (COALESCE(p_service, 'all') = 'all' OR o.service_type = p_service)
+      AND (COALESCE(p_area, 'all') = 'all' OR o.area = p_area)
+      AND (COALESCE(p_pricing, 'all') = 'all' OR o.pricing_type = p_pricing)
+  ),
+  measured AS (
+    SELECT
+      pool.*,
+      CASE WHEN pool.approx_latitude IS NULL OR pool.approx_longitude IS NULL THEN NULL
+      ELSE 2 * 6371 * ASIN(LEAST(1, SQRT(
+        POWER(SIN(RADIANS((pool.approx_latitude - p_latitude)::DOUBLE PRECISION) / 2), 2)
+        + COS(RADIANS(p_latitude::DOUBLE PRECISION))
+          * COS(RADIANS(pool.approx_latitude::DOUBLE PRECISION))
+          * POWER(SIN(RADIANS((pool.approx_longitude - p_longitude)::DOUBLE PRECISION) / 2), 2)
+      )))
+      END AS distance_km
+    FROM pool
+  ),
+  matched AS (
+    SELECT * FROM measured
+    WHERE p_max_km IS NULL OR measured.distance_km <= p_max_km
+  ),
+  page AS (
+    SELECT * FROM matched
+    ORDER BY matched.distance_km ASC NULLS LAST, matched.created_at DESC
+    LIMIT v_limit
+    OFFSET (v_page - 1) * v_limit
+  )
+  SELECT
+    (SELECT COUNT(*) FROM matched)::INTEGER,
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'id', page.id,
+               'status', page.status,
+               'service_type', page.service_type,
+               'urgency', page.urgency,
+               'problem_description', page.problem_description,
+               'area', page.area,
+               'orientir', page.orientir,
+               'pricing_type', page.pricing_type,
+               'initial_price', page.initial_price,
+               'guaranteed_payout', page.guaranteed_payout,
+               'preferred_date', page.preferred_date,
+               'preferred_time', page.preferred_time,
+               'created_at', page.created_at,
+               'latitude', page.approx_latitude,
+               'longitude', page.approx_longitude,
+               'distance_km', ROUND(page.distance_km::NUMERIC, 2)
+             ) ORDER BY page.distance_km ASC NULLS LAST, page.created_at DESC)
+      FROM page
+    ), '[]'::jsonb)
+  INTO v_total, v_items;
+
+  RETURN jsonb_build_object('success', TRUE, 'items', v_items, 'total_count', v_total);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_nearby_pool_orders(NUMERIC, NUMERIC, NUMERIC, INTEGER, INTEGER, TEXT, TEXT, TEXT, TEXT) TO authenticated;
+
+COMMIT;
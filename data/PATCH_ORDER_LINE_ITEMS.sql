@@ -0,0 +1,70 @@
+-- =============================================================================
+-- PATCH_ORDER_LINE_ITEMS.sql
+-- Date: 2026-02-22
+-- Purpose:
+--   Itemized work and materials breakdown on job completion:
+--     - orders.line_items: JSON array of { id, kind (labor/material/callout),
+--       description, quantity, unit_price, amount } written by completeJob
+--     - order_line_items_total(p_items): sum of line amounts
+--     - trg_check_order_line_items: an order completed with line items must have
+--       final_price equal to their sum (later admin overrides are not blocked)
+--     - disputes.disputed_line_ids: line ids a payment dispute refers to
+--   Line shape and rounding match src/utils/lineItems.js.
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS line_items JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_orders_line_items_array'
+  ) THEN
+    ALTER TABLE public.orders
+      ADD CONSTRAINT chk_orders_line_items_array CHECK (jsonb_typeof(line_items) = 'array');
+  END IF;
+END;
+$$;
+
+ALTER TABLE public.disputes
+  ADD COLUMN IF NOT EXISTS disputed_line_ids TEXT[] NOT NULL DEFAULT '{}'::text[];
+
+CREATE OR REPLACE FUNCTION public.order_line_items_total(p_items JSONB)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(ROUND(SUM((item->>'amount')::NUMERIC), 2), 0)
+  FROM jsonb_array_elements(
+    CASE WHEN jsonb_typeof(p_items) = 'array' THEN p_items ELSE '[]'::jsonb END
+  ) AS item
+  WHERE (item->>'amount') ~ '^-?[0-9]+(\.[0-9]+)?$';
+$$;
+
+CREATE OR REPLACE FUNCTION public.check_order_line_items()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.status = 'completed'
+    AND OLD.status IS DISTINCT FROM 'completed'
+    AND jsonb_array_length(NEW.line_items) > 0
+    AND NEW.final_price IS DISTINCT FROM public.order_line_items_total(NEW.line_items) THEN
+    RAISE EXCEPTION 'Line items must add up to the final price'
+      USING ERRCODE = 'check_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_check_order_line_items ON public.orders;
+CREATE TRIGGER trg_check_order_line_items
+  BEFORE UPDATE OF status, final_price, line_items ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_order_line_items();
+
+GRANT EXECUTE ON FUNCTION public.order_line_items_total(JSONB) TO authenticated;
+
+COMMIT;
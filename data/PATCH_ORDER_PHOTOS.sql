@@ -0,0 +1,139 @@
+-- =============================================================================
+-- PATCH_ORDER_PHOTOS.sql
+-- Date: 2026-02-16
+-- Purpose:
+--   Photo attachments for orders:
+--     - private Storage bucket `order-photos` (5MB, jpeg/png/webp)
+--     - order_photos index table (problem / before / after)
+--     - can_access_order_photos() shared by table and storage policies:
+--         admin: all orders; dispatcher/partner: own orders; master: assigned orders
+--   Safe to re-run: all objects are created with IF NOT EXISTS / OR REPLACE.
+-- =============================================================================
+
+BEGIN;
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('order-photos', 'order-photos', FALSE, 5242880, ARRAY['image/jpeg', 'image/png', 'image/webp'])
+ON CONFLICT (id) DO UPDATE
+SET public = EXCLUDED.public,
+    file_size_limit = EXCLUDED.file_size_limit,
+    allowed_mime_types = EXCLUDED.allowed_mime_types;
+
+CREATE TABLE IF NOT EXISTS public.order_photos (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL,
+  storage_path TEXT NOT NULL,
+  mime_type TEXT,
+  size_bytes INT,
+  uploaded_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_order_photos_kind'
+  ) THEN
+    ALTER TABLE public.order_photos
+      ADD CONSTRAINT chk_order_photos_kind CHECK (kind IN ('problem', 'before', 'after'));
+  END IF;
+END;
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_photos_storage_path
+  ON public.order_photos (storage_path);
+
+CREATE INDEX IF NOT EXISTS idx_order_photos_order_created_at
+  ON public.order_photos (order_id, created_at);
+
+-- Takes TEXT so storage policies can pass the first folder of the object name.
+CREATE OR REPLACE FUNCTION public.can_access_order_photos(p_order_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_order_id UUID;
+  v_role TEXT;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  BEGIN
+    v_order_id := p_order_id::UUID;
+  EXCEPTION WHEN invalid_text_representation THEN
+    RETURN FALSE;
+  END;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  IF v_role = 'admin' THEN
+    RETURN EXISTS (SELECT 1 FROM public.orders o WHERE o.id = v_order_id);
+  END IF;
+
+  RETURN EXISTS (
+    SELECT 1
+    FROM public.orders o
+    WHERE o.id = v_order_id
+      AND (
+        (v_role IN ('dispatcher', 'partner') AND v_uid IN (o.dispatcher_id, o.assigned_dispatcher_id))
+        OR (v_role = 'master' AND o.master_id = v_uid)
+      )
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.can_access_order_photos TO authenticated;
+
+ALTER TABLE public.order_photos ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS order_photos_select_scope ON public.order_photos;
+CREATE POLICY order_photos_select_scope ON public.order_photos
+  FOR SELECT TO authenticated
+  USING (public.can_access_order_photos(order_id::TEXT));
+
+DROP POLICY IF EXISTS order_photos_insert_scope ON public.order_photos;
+CREATE POLICY order_photos_insert_scope ON public.order_photos
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    uploaded_by = auth.uid()
+    AND public.can_access_order_photos(order_id::TEXT)
+  );
+
+DROP POLICY IF EXISTS order_photos_storage_select ON storage.objects;
+CREATE POLICY order_photos_storage_select ON storage.objects
+  FOR SELECT TO authenticated
+  USING (
+    bucket_id = 'order-photos'
+    AND public.can_access_order_photos((storage.foldername(name))[1])
+  );
+
+DROP POLICY IF EXISTS order_photos_storage_insert ON storage.objects;
+CREATE POLICY order_photos_storage_insert ON storage.objects
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    bucket_id = 'order-photos'
+    AND public.can_access_order_photos((storage.foldername(name))[1])
+  );
+
+-- Lets the uploader roll back files whose index row could not be written.
+DROP POLICY IF EXISTS order_photos_storage_delete_own ON storage.objects;
+CREATE POLICY order_photos_storage_delete_own ON storage.objects
+  FOR DELETE TO authenticated
+  USING (
+    bucket_id = 'order-photos'
+    AND owner = auth.uid()
+  );
+
+COMMIT;
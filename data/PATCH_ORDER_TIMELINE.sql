@@ -0,0 +1,69 @@
+-- =============================================================================
+-- PATCH_ORDER_TIMELINE.sql
+-- Date: 2026-02-17
+-- Purpose:
+--   Read access to order_audit_log for the order timeline view:
+--     - get_order_timeline(p_order_id) returns audit rows oldest first with the
+--       actor's name/role, so masters do not need direct profiles access
+--     - scope: admin all orders; dispatcher/partner own orders; master assigned orders
+--   Rows are returned as-is (to_jsonb) because trigger and inline-edit rows use
+--   different columns; the client normalizes them (src/utils/orderTimeline.js).
+-- =============================================================================
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_order_audit_log_order_created_at
+  ON public.order_audit_log (order_id, created_at);
+
+CREATE OR REPLACE FUNCTION public.get_order_timeline(p_order_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_allowed BOOLEAN := FALSE;
+  v_events JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  SELECT CASE
+           WHEN v_role = 'admin' THEN TRUE
+           WHEN v_role IN ('dispatcher', 'partner') THEN v_uid IN (o.dispatcher_id, o.assigned_dispatcher_id)
+           WHEN v_role = 'master' THEN o.master_id = v_uid
+           ELSE FALSE
+         END
+  INTO v_allowed
+  FROM public.orders o
+  WHERE o.id = p_order_id;
+
+  IF v_allowed IS NOT TRUE THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Order not found or access denied');
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(
+           to_jsonb(l) || jsonb_build_object('actor_name', actor.full_name, 'actor_role', actor.role)
+           ORDER BY l.created_at ASC
+         ), '[]'::jsonb)
+  INTO v_events
+  FROM public.order_audit_log l
+  LEFT JOIN public.profiles actor
+    ON actor.id::TEXT = COALESCE(to_jsonb(l)->>'performed_by', to_jsonb(l)->>'changed_by')
+  WHERE l.order_id = p_order_id;
+
+  RETURN jsonb_build_object('success', TRUE, 'events', v_events);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_order_timeline(UUID) TO authenticated;
+
+COMMIT;
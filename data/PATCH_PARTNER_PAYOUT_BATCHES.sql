@@ -0,0 +1,306 @@
+-- =============================================================================
+-- PATCH_PARTNER_PAYOUT_BATCHES.sql
+-- Date: 2026-02-28
+-- Purpose:
+--   Batch processing of partner payout requests:
+--     - partner_payout_batches: one row per bank transfer batch with a unique
+--       reference, totals and status paid -> reversed
+--     - partner_payout_batch_items: request, partner and approved amount of every
+--       payout in the batch (the bank file is rebuilt from these rows)
+--     - partner_payout_requests.batch_id: batch that paid the request
+--     - platform_settings.payout_bank_template: fixed-width bank file layout,
+--       defaults in src/utils/payoutBatches.js
+--     - admin_process_partner_payout_batch(p_items, p_reference, p_admin_note):
+--       pays every { request_id, approved_amount } item through
+--       admin_process_partner_payout_request; all or nothing
+--     - admin_reverse_partner_payout_batch(p_batch_id, p_reason): the bank
+--       rejected the transfer; credits the partners back (admin_adjustment
+--       ledger rows) and marks the requests rejected with the reason
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE public.platform_settings
+  ADD COLUMN IF NOT EXISTS payout_bank_template JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE TABLE IF NOT EXISTS public.partner_payout_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reference TEXT NOT NULL UNIQUE CHECK (char_length(reference) BETWEEN 1 AND 64),
+  status TEXT NOT NULL DEFAULT 'paid' CHECK (status IN ('paid', 'reversed')),
+  total_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  admin_note TEXT,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reversed_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  reversed_at TIMESTAMPTZ,
+  reversal_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_partner_payout_batches_created_at
+  ON public.partner_payout_batches (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.partner_payout_batch_items (
+  batch_id UUID NOT NULL REFERENCES public.partner_payout_batches(id) ON DELETE CASCADE,
+  request_id UUID NOT NULL REFERENCES public.partner_payout_requests(id) ON DELETE CASCADE,
+  partner_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  PRIMARY KEY (batch_id, request_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_partner_payout_batch_items_request
+  ON public.partner_payout_batch_items (request_id);
+
+ALTER TABLE public.partner_payout_requests
+  ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES public.partner_payout_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_partner_payout_requests_batch
+  ON public.partner_payout_requests (batch_id)
+  WHERE batch_id IS NOT NULL;
+
+-- Admin read only; batches are written through the RPCs below.
+ALTER TABLE public.partner_payout_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.partner_payout_batch_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS partner_payout_batches_select_admin ON public.partner_payout_batches;
+CREATE POLICY partner_payout_batches_select_admin ON public.partner_payout_batches
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid() AND p.role = 'admin' AND p.is_active IS TRUE
+    )
+  );
+
+DROP POLICY IF EXISTS partner_payout_batch_items_select_admin ON public.partner_payout_batch_items;
+CREATE POLICY partner_payout_batch_items_select_admin ON public.partner_payout_batch_items
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid() AND p.role = 'admin' AND p.is_active IS TRUE
+    )
+  );
+
+CREATE OR REPLACE FUNCTION public.admin_process_partner_payout_batch(
+  p_items JSONB,
+  p_reference TEXT,
+  p_admin_note TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_reference TEXT := NULLIF(btrim(COALESCE(p_reference, '')), '');
+  v_note TEXT := NULLIF(btrim(COALESCE(p_admin_note, '')), '');
+  v_batch_id UUID;
+  v_created_at TIMESTAMPTZ;
+  v_item JSONB;
+  v_request_id UUID;
+  v_amount NUMERIC;
+  v_request public.partner_payout_requests%ROWTYPE;
+  v_result JSONB;
+  v_total NUMERIC := 0;
+  v_count INTEGER := 0;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  IF v_reference IS NULL OR char_length(v_reference) > 64 THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_REFERENCE', 'message', 'Batch reference is required (max 64 characters)');
+  END IF;
+
+  IF jsonb_typeof(p_items) IS DISTINCT FROM 'array' OR jsonb_array_length(p_items) NOT BETWEEN 1 AND 200 THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_ITEMS', 'message', 'Select between 1 and 200 payout requests');
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM public.partner_payout_batches b WHERE b.reference = v_reference) THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'DUPLICATE_REFERENCE', 'message', 'Batch reference is already used');
+  END IF;
+
+  -- Any failing item rolls back the payouts already made in this batch.
+  BEGIN
+    INSERT INTO public.partner_payout_batches (reference, admin_note, created_by)
+    VALUES (v_reference, v_note, v_uid)
+    RETURNING id, created_at INTO v_batch_id, v_created_at;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+      v_request_id := (v_item->>'request_id')::UUID;
+      v_amount := ROUND((v_item->>'approved_amount')::NUMERIC, 2);
+
+      SELECT * INTO v_request
+      FROM public.partner_payout_requests r
+      WHERE r.id = v_request_id
+      FOR UPDATE;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payout request % not found', v_request_id;
+      END IF;
+      IF v_request.status <> 'requested' THEN
+        RAISE EXCEPTION 'Payout request % was already processed', v_request_id;
+      END IF;
+      IF v_amount IS NULL OR v_amount <= 0 THEN
+        RAISE EXCEPTION 'Invalid amount for payout request %', v_request_id;
+      END IF;
+
+      v_result := public.admin_process_partner_payout_request(
+        v_request_id,
+        'paid',
+        v_amount,
+        COALESCE(v_note || ' ', '') || 'batch=' || v_reference
+      );
+      IF COALESCE((v_result->>'success')::BOOLEAN, FALSE) IS NOT TRUE THEN
+        RAISE EXCEPTION 'Payout request %: %', v_request_id, COALESCE(v_result->>'message', 'unknown error');
+      END IF;
+
+      INSERT INTO public.partner_payout_batch_items (batch_id, request_id, partner_id, amount)
+      VALUES (v_batch_id, v_request_id, v_request.partner_id, v_amount);
+
+      UPDATE public.partner_payout_requests
+      SET batch_id = v_batch_id
+      WHERE id = v_request_id;
+
+      v_total := v_total + v_amount;
+      v_count := v_count + 1;
+    END LOOP;
+
+    UPDATE public.partner_payout_batches
+    SET total_amount = v_total,
+        request_count = v_count
+    WHERE id = v_batch_id;
+  EXCEPTION WHEN OTHERS THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'BATCH_FAILED', 'message', SQLERRM);
+  END;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'batch_id', v_batch_id,
+    'reference', v_reference,
+    'created_at', v_created_at,
+    'request_count', v_count,
+    'total_amount', v_total
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.admin_reverse_partner_payout_batch(
+  p_batch_id UUID,
+  p_reason TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_reason TEXT := NULLIF(btrim(COALESCE(p_reason, '')), '');
+  v_batch public.partner_payout_batches%ROWTYPE;
+  v_item public.partner_payout_batch_items%ROWTYPE;
+  v_balance_before NUMERIC;
+  v_balance_after NUMERIC;
+  v_count INTEGER := 0;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  IF v_reason IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'REASON_REQUIRED', 'message', 'A reason is required to reverse a batch');
+  END IF;
+
+  SELECT * INTO v_batch
+  FROM public.partner_payout_batches b
+  WHERE b.id = p_batch_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'NOT_FOUND', 'message', 'Payout batch not found');
+  END IF;
+
+  IF v_batch.status <> 'paid' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'ALREADY_REVERSED', 'message', 'Payout batch was already reversed');
+  END IF;
+
+  FOR v_item IN
+    SELECT * FROM public.partner_payout_batch_items i
+    WHERE i.batch_id = p_batch_id
+    ORDER BY i.partner_id
+  LOOP
+    SELECT COALESCE(p.partner_balance, 0) INTO v_balance_before
+    FROM public.profiles p
+    WHERE p.id = v_item.partner_id
+    FOR UPDATE;
+
+    v_balance_after := v_balance_before + v_item.amount;
+
+    UPDATE public.profiles
+    SET partner_balance = v_balance_after,
+        updated_at = NOW()
+    WHERE id = v_item.partner_id;
+
+    INSERT INTO public.partner_balance_transactions (
+      partner_id, transaction_type, amount, balance_before, balance_after,
+      payout_request_id, notes, metadata, created_by
+    )
+    VALUES (
+      v_item.partner_id, 'admin_adjustment', v_item.amount, v_balance_before, v_balance_after,
+      v_item.request_id, 'Payout batch ' || v_batch.reference || ' reversed: ' || v_reason,
+      jsonb_build_object('source', 'payout_batch_reversal', 'batch_id', v_batch.id, 'reference', v_batch.reference),
+      v_uid
+    );
+
+    UPDATE public.partner_payout_requests
+    SET status = 'rejected',
+        admin_note = 'Bank rejected batch ' || v_batch.reference || ': ' || v_reason,
+        processed_at = NOW(),
+        processed_by = v_uid
+    WHERE id = v_item.request_id;
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  UPDATE public.partner_payout_batches
+  SET status = 'reversed',
+      reversed_by = v_uid,
+      reversed_at = NOW(),
+      reversal_reason = v_reason
+  WHERE id = p_batch_id;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'batch_id', p_batch_id,
+    'reference', v_batch.reference,
+    'status', 'reversed',
+    'request_count', v_count
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.admin_process_partner_payout_batch(JSONB, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_reverse_partner_payout_batch(UUID, TEXT) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,85 @@
+-- =============================================================================
+-- PATCH_PRICE_INSIGHTS.sql
+-- Date: 2026-02-23
+-- Purpose:
+--   Historical price guidance for dispatchers and masters:
+--     - get_price_insights(p_days): median and interquartile final price of
+--       confirmed, undisputed orders per (service_type, area, urgency),
+--       (service_type, area), (service_type, urgency) and (service_type)
+--     - idx_orders_confirmed_price_insights for the confirmed-orders scan
+--   percentile_cont matches calcStats in src/utils/pricingInsights.js.
+--   Groups below the client minimum sample are still returned; the app hides them.
+-- =============================================================================
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_orders_confirmed_price_insights
+  ON public.orders (confirmed_at)
+  WHERE status = 'confirmed' AND final_price > 0;
+
+CREATE OR REPLACE FUNCTION public.get_price_insights(
+  p_days INT DEFAULT 180
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_days INT := LEAST(GREATEST(COALESCE(p_days, 180), 7), 730);
+  v_groups JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('admin', 'dispatcher', 'partner', 'master') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(g) - 'area_rollup' - 'urgency_rollup'), '[]'::jsonb)
+  INTO v_groups
+  FROM (
+    SELECT
+      o.service_type,
+      o.area,
+      o.urgency,
+      GROUPING(o.area) AS area_rollup,
+      GROUPING(o.urgency) AS urgency_rollup,
+      COUNT(*)::INT AS n,
+      ROUND(percentile_cont(0.25) WITHIN GROUP (ORDER BY o.final_price)::NUMERIC, 2) AS p25,
+      ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY o.final_price)::NUMERIC, 2) AS p50,
+      ROUND(percentile_cont(0.75) WITHIN GROUP (ORDER BY o.final_price)::NUMERIC, 2) AS p75,
+      ROUND((percentile_cont(0.75) WITHIN GROUP (ORDER BY o.final_price)
+        - percentile_cont(0.25) WITHIN GROUP (ORDER BY o.final_price))::NUMERIC, 2) AS iqr
+    FROM public.orders o
+    WHERE o.status = 'confirmed'
+      AND o.final_price > 0
+      AND o.is_disputed IS NOT TRUE
+      AND NULLIF(btrim(o.service_type), '') IS NOT NULL
+      AND COALESCE(o.confirmed_at, o.updated_at) >= NOW() - make_interval(days => v_days)
+    GROUP BY GROUPING SETS (
+      (o.service_type, o.area, o.urgency),
+      (o.service_type, o.area),
+      (o.service_type, o.urgency),
+      (o.service_type)
+    )
+  ) g
+  -- A NULL area/urgency is only meaningful as a rollup ("any"), not as a value.
+  WHERE (g.area IS NOT NULL OR g.area_rollup = 1)
+    AND (g.urgency IS NOT NULL OR g.urgency_rollup = 1);
+
+  RETURN jsonb_build_object('success', TRUE, 'days', v_days, 'groups', v_groups);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_price_insights(INT) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,288 @@
+-- =============================================================================
+-- PATCH_PRICE_REVIEW_QUEUE.sql
+-- Date: 2026-02-24
+-- Purpose:
+--   Admin review queue for completed orders whose final price deviates from the
+--   initial price by more than platform_settings.price_deviation_threshold:
+--     - order_price_reviews: one row per decision (approve / adjust / reject),
+--       with the price before and after and the deciding admin
+--     - get_price_review_queue(p_limit, p_offset): pending orders (flagged with
+--       requires_review or beyond the threshold, no decision yet) + recent decisions
+--     - decide_price_review(p_order_id, p_decision, p_final_price, p_notes):
+--       approve keeps the master's price, reject resets it to the initial price,
+--       adjust sets p_final_price. Confirmed orders go through
+--       admin_override_final_price so commission and ledger stay consistent.
+--   Deviation math matches src/utils/priceReview.js.
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.order_price_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  decision TEXT NOT NULL CHECK (decision IN ('approve', 'adjust', 'reject')),
+  initial_price NUMERIC,
+  previous_final_price NUMERIC,
+  final_price NUMERIC,
+  deviation NUMERIC,
+  threshold NUMERIC,
+  notes TEXT,
+  decided_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  decided_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_price_reviews_order
+  ON public.order_price_reviews (order_id, decided_at DESC);
+CREATE INDEX IF NOT EXISTS idx_order_price_reviews_decided_at
+  ON public.order_price_reviews (decided_at DESC);
+
+ALTER TABLE public.order_price_reviews ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS order_price_reviews_admin_read ON public.order_price_reviews;
+CREATE POLICY order_price_reviews_admin_read ON public.order_price_reviews
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid() AND p.role = 'admin' AND p.is_active IS TRUE
+    )
+  );
+
+CREATE OR REPLACE FUNCTION public.get_price_review_queue(
+  p_limit INT DEFAULT 50,
+  p_offset INT DEFAULT 0
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_threshold NUMERIC;
+  v_limit INT := LEAST(GREATEST(COALESCE(p_limit, 50), 1), 200);
+  v_offset INT := GREATEST(COALESCE(p_offset, 0), 0);
+  v_total BIGINT;
+  v_items JSONB;
+  v_recent JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT COALESCE(NULLIF(s.price_deviation_threshold, 0), 0.25)
+  INTO v_threshold
+  FROM public.platform_settings s
+  WHERE s.id = 1;
+  v_threshold := COALESCE(v_threshold, 0.25);
+
+  WITH pending AS (
+    SELECT
+      o.id,
+      o.status,
+      o.service_type,
+      o.area,
+      o.urgency,
+      o.pricing_type,
+      o.initial_price,
+      o.callout_fee,
+      o.final_price,
+      o.price_change_reason,
+      o.work_performed,
+      o.line_items,
+      o.requires_review,
+      o.completed_at,
+      CASE WHEN o.initial_price > 0
+        THEN ROUND((o.final_price - o.initial_price) / o.initial_price, 4)
+      END AS deviation,
+      jsonb_build_object('id', m.id, 'full_name', m.full_name, 'phone', m.phone) AS master
+    FROM public.orders o
+    LEFT JOIN public.profiles m ON m.id = o.master_id
+    WHERE o.status IN ('completed', 'confirmed')
+      AND o.is_disputed IS NOT TRUE
+      AND o.final_price > 0
+      AND (
+        o.requires_review IS TRUE
+        OR (o.initial_price > 0 AND ABS(o.final_price - o.initial_price) / o.initial_price > v_threshold)
+      )
+      -- A decision made after the latest completion closes the order for review.
+      AND NOT EXISTS (
+        SELECT 1 FROM public.order_price_reviews r
+        WHERE r.order_id = o.id
+          AND r.decided_at >= COALESCE(o.completed_at, o.created_at)
+      )
+  ),
+  page AS (
+    SELECT * FROM pending
+    ORDER BY ABS(COALESCE(deviation, 0)) DESC, completed_at
+    LIMIT v_limit
+    OFFSET v_offset
+  )
+  SELECT
+    (SELECT COUNT(*) FROM pending),
+    COALESCE((SELECT jsonb_agg(to_jsonb(page) ORDER BY ABS(COALESCE(page.deviation, 0)) DESC, page.completed_at) FROM page), '[]'::jsonb)
+  INTO v_total, v_items;
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(r) ORDER BY r.decided_at DESC), '[]'::jsonb)
+  INTO v_recent
+  FROM (
+    SELECT
+      pr.id, pr.order_id, pr.decision, pr.initial_price, pr.previous_final_price,
+      pr.final_price, pr.deviation, pr.notes, pr.decided_at,
+      jsonb_build_object('id', a.id, 'full_name', a.full_name) AS decided_by,
+      o.service_type
+    FROM public.order_price_reviews pr
+    LEFT JOIN public.profiles a ON a.id = pr.decided_by
+    LEFT JOIN public.orders o ON o.id = pr.order_id
+    ORDER BY pr.decided_at DESC
+    LIMIT 20
+  ) r;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'threshold', v_threshold,
+    'items', v_items,
+    'total', v_total,
+    'recent', v_recent
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.decide_price_review(
+  p_order_id UUID,
+  p_decision TEXT,
+  p_final_price NUMERIC DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_order public.orders%ROWTYPE;
+  v_threshold NUMERIC;
+  v_decision TEXT := lower(btrim(COALESCE(p_decision, '')));
+  v_next_price NUMERIC;
+  v_override JSONB;
+  v_review_id UUID;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  IF v_decision NOT IN ('approve', 'adjust', 'reject') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_DECISION', 'message', 'Unknown review decision');
+  END IF;
+
+  SELECT * INTO v_order
+  FROM public.orders o
+  WHERE o.id = p_order_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'NOT_FOUND', 'message', 'Order not found');
+  END IF;
+
+  IF v_order.status NOT IN ('completed', 'confirmed') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_STATUS', 'message', 'Only completed orders can be reviewed');
+  END IF;
+
+  IF v_order.is_disputed IS TRUE THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'DISPUTED', 'message', 'Resolve the dispute first');
+  END IF;
+
+  v_next_price := CASE v_decision
+    WHEN 'approve' THEN v_order.final_price
+    WHEN 'reject' THEN v_order.initial_price
+    ELSE p_final_price
+  END;
+
+  IF v_next_price IS NULL OR v_next_price <= 0 THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_PRICE', 'message', 'Invalid final price');
+  END IF;
+
+  IF v_order.callout_fee IS NOT NULL AND v_next_price < v_order.callout_fee THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'BELOW_CALLOUT', 'message', 'Final price cannot be lower than call-out fee');
+  END IF;
+
+  IF v_next_price IS DISTINCT FROM v_order.final_price THEN
+    IF v_order.status = 'confirmed' THEN
+      v_override := public.admin_override_final_price(p_order_id, v_next_price, 'price_review_' || v_decision);
+      IF COALESCE((v_override->>'success')::BOOLEAN, FALSE) IS NOT TRUE THEN
+        RETURN jsonb_build_object(
+          'success', FALSE,
+          'error', COALESCE(v_override->>'error', 'OVERRIDE_FAILED'),
+          'message', COALESCE(v_override->>'message', 'Price override failed')
+        );
+      END IF;
+    ELSE
+      UPDATE public.orders
+      SET final_price = v_next_price,
+          updated_at = NOW()
+      WHERE id = p_order_id;
+    END IF;
+  END IF;
+
+  UPDATE public.orders
+  SET requires_review = FALSE,
+      updated_at = NOW()
+  WHERE id = p_order_id;
+
+  SELECT COALESCE(NULLIF(s.price_deviation_threshold, 0), 0.25)
+  INTO v_threshold
+  FROM public.platform_settings s
+  WHERE s.id = 1;
+
+  INSERT INTO public.order_price_reviews (
+    order_id, decision, initial_price, previous_final_price, final_price,
+    deviation, threshold, notes, decided_by
+  )
+  VALUES (
+    p_order_id,
+    v_decision,
+    v_order.initial_price,
+    v_order.final_price,
+    v_next_price,
+    CASE WHEN v_order.initial_price > 0
+      THEN ROUND((v_order.final_price - v_order.initial_price) / v_order.initial_price, 4)
+    END,
+    COALESCE(v_threshold, 0.25),
+    NULLIF(btrim(COALESCE(p_notes, '')), ''),
+    v_uid
+  )
+  RETURNING id INTO v_review_id;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'review_id', v_review_id,
+    'decision', v_decision,
+    'final_price', v_next_price
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_price_review_queue(INT, INT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.decide_price_review(UUID, TEXT, NUMERIC, TEXT) TO authenticated;
+
+COMMIT;
@@ -0,0 +1,351 @@
+-- =============================================================================
+-- PATCH_PUSH_NOTIFICATIONS.sql
+-- Date: 2026-02-15
+-- Purpose:
+--   Order lifecycle push notifications:
+--     - profiles.push_token / push_platform / notification_prefs
+--     - notification_outbox (one row per recipient, drained by
+--       PATCH_NOTIFICATION_OUTBOX_WORKER.sql)
+--     - register_push_token / update_notification_prefs RPCs (own profile only)
+--     - enqueue_order_notification(p_order_id, p_event) checks the event against the
+--       order's state, builds title/body from the order, resolves recipients and applies
+--       preferences
+--     - orders.released_master_id / released_at: the master an order was last taken
+--       from, the only master allowed to report an order_refused event
+--   Safe to re-run: all objects are created with IF NOT EXISTS / OR REPLACE.
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS push_token TEXT,
+  ADD COLUMN IF NOT EXISTS push_platform TEXT,
+  ADD COLUMN IF NOT EXISTS push_token_updated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS notification_prefs JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_push_token
+  ON public.profiles (push_token)
+  WHERE push_token IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.notification_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID REFERENCES public.orders(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  recipient_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  push_token TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_notification_outbox_status'
+  ) THEN
+    ALTER TABLE public.notification_outbox
+      ADD CONSTRAINT chk_notification_outbox_status CHECK (status IN ('pending', 'sent', 'failed'));
+  END IF;
+END;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending
+  ON public.notification_outbox (created_at)
+  WHERE status = 'pending';
+
+-- Store (or clear, with NULL) the Expo push token of the current device.
+CREATE OR REPLACE FUNCTION public.register_push_token(
+  p_token TEXT,
+  p_platform TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_token TEXT := NULLIF(TRIM(COALESCE(p_token, '')), '');
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  -- A device token belongs to one account at a time.
+  IF v_token IS NOT NULL THEN
+    UPDATE public.profiles
+    SET push_token = NULL,
+        push_token_updated_at = NOW()
+    WHERE push_token = v_token
+      AND id <> v_uid;
+  END IF;
+
+  UPDATE public.profiles
+  SET push_token = v_token,
+      push_platform = CASE WHEN v_token IS NULL THEN NULL ELSE NULLIF(TRIM(COALESCE(p_platform, '')), '') END,
+      push_token_updated_at = NOW()
+  WHERE id = v_uid;
+
+  RETURN jsonb_build_object('success', TRUE, 'message', CASE WHEN v_token IS NULL THEN 'Push token cleared' ELSE 'Push token saved' END);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.register_push_token TO authenticated;
+
+-- Merge preference flags into the current profile; returns the stored object.
+CREATE OR REPLACE FUNCTION public.update_notification_prefs(p_prefs JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_prefs JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  IF p_prefs IS NULL OR jsonb_typeof(p_prefs) <> 'object' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_PREFS', 'message', 'Preferences must be an object');
+  END IF;
+
+  UPDATE public.profiles
+  SET notification_prefs = COALESCE(notification_prefs, '{}'::jsonb) || (
+    SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb)
+    FROM jsonb_each(p_prefs)
+    WHERE jsonb_typeof(value) = 'boolean'
+  )
+  WHERE id = v_uid
+  RETURNING notification_prefs INTO v_prefs;
+
+  RETURN jsonb_build_object('success', TRUE, 'message', 'Preferences saved', 'prefs', COALESCE(v_prefs, '{}'::jsonb));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.update_notification_prefs TO authenticated;
+
+-- Remember the master an order was taken from, so that master (and only that master)
+-- can report the refusal after refuse_job has cleared master_id.
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS released_master_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS released_at TIMESTAMPTZ;
+
+CREATE OR REPLACE FUNCTION public.track_order_master_release()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF OLD.master_id IS NOT NULL AND NEW.master_id IS NULL THEN
+    NEW.released_master_id := OLD.master_id;
+    NEW.released_at := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_orders_track_master_release ON public.orders;
+CREATE TRIGGER trg_orders_track_master_release
+BEFORE UPDATE OF master_id ON public.orders
+FOR EACH ROW
+EXECUTE FUNCTION public.track_order_master_release();
+
+-- Title, body and data used to come from the caller.
+DROP FUNCTION IF EXISTS public.enqueue_order_notification(UUID, TEXT, TEXT, TEXT, JSONB);
+
+-- Fan an order event out to its recipients. The event must match the order's current
+-- state, and title/body are built here from the order (same wording as
+-- buildOrderNotification in src/services/notifications.js). Defaults must match
+-- NOTIFICATION_PREF_DEFAULTS there.
+CREATE OR REPLACE FUNCTION public.enqueue_order_notification(
+  p_order_id UUID,
+  p_event TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_order RECORD;
+  v_ref TEXT;
+  v_dispute_type TEXT;
+  v_title TEXT;
+  v_body TEXT;
+  v_state_ok BOOLEAN := FALSE;
+  v_queued INT := 0;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  IF p_event NOT IN ('order_created', 'order_claimed', 'order_completed', 'order_refused', 'payment_disputed') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_EVENT', 'message', 'Unknown notification event');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Profile is not active');
+  END IF;
+
+  SELECT o.id, o.status, o.urgency, o.service_type, o.area, o.final_price, o.is_disputed,
+         o.cancellation_reason, o.master_id, o.dispatcher_id, o.assigned_dispatcher_id,
+         o.released_master_id, o.released_at
+  INTO v_order
+  FROM public.orders o
+  WHERE o.id = p_order_id;
+
+  IF v_order.id IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'ORDER_NOT_FOUND', 'message', 'Order not found');
+  END IF;
+
+  -- A refusing master is no longer on the order; only the master it was just taken from
+  -- may report it.
+  IF v_role <> 'admin'
+    AND v_uid IS DISTINCT FROM v_order.dispatcher_id
+    AND v_uid IS DISTINCT FROM v_order.assigned_dispatcher_id
+    AND v_uid IS DISTINCT FROM v_order.master_id
+    AND NOT (
+      v_role = 'master'
+      AND p_event = 'order_refused'
+      AND v_order.released_master_id = v_uid
+      AND v_order.released_at > NOW() - INTERVAL '15 minutes'
+    ) THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Order is outside your scope');
+  END IF;
+
+  v_state_ok := CASE p_event
+    WHEN 'order_created' THEN v_order.status IN ('placed', 'reopened') AND v_order.master_id IS NULL
+    WHEN 'order_claimed' THEN v_order.status IN ('claimed', 'started') AND v_order.master_id IS NOT NULL
+    WHEN 'order_completed' THEN v_order.status IN ('completed', 'confirmed')
+    WHEN 'order_refused' THEN v_order.master_id IS NULL AND v_order.released_master_id IS NOT NULL
+    WHEN 'payment_disputed' THEN v_order.is_disputed IS TRUE
+      OR EXISTS (
+        SELECT 1 FROM public.disputes d
+        WHERE d.order_id = v_order.id AND d.status IN ('open', 'in_review')
+      )
+    ELSE FALSE
+  END;
+
+  IF v_state_ok IS NOT TRUE THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'INVALID_STATE', 'message', 'Order is not in a state for this event');
+  END IF;
+
+  -- Replays of the same event by the same caller are dropped.
+  IF EXISTS (
+    SELECT 1 FROM public.notification_outbox n
+    WHERE n.order_id = v_order.id
+      AND n.event = p_event
+      AND n.created_by = v_uid
+      AND n.created_at > NOW() - INTERVAL '10 minutes'
+  ) THEN
+    RETURN jsonb_build_object('success', TRUE, 'message', 'Notification already queued', 'queued', 0);
+  END IF;
+
+  v_ref := '#' || upper(right(v_order.id::TEXT, 6));
+
+  IF p_event = 'payment_disputed' THEN
+    SELECT d.dispute_type INTO v_dispute_type
+    FROM public.disputes d
+    WHERE d.order_id = v_order.id
+    ORDER BY d.created_at DESC
+    LIMIT 1;
+  END IF;
+
+  CASE p_event
+    WHEN 'order_created' THEN
+      v_title := CASE WHEN v_order.urgency = 'emergency' THEN 'Emergency order available' ELSE 'New order available' END;
+      v_body := NULLIF(concat_ws(' - ', replace(COALESCE(v_order.service_type, 'other'), '_', ' '), NULLIF(v_order.area, '')), '');
+    WHEN 'order_claimed' THEN
+      v_title := 'Order claimed';
+      v_body := v_ref || ' was claimed by a master';
+    WHEN 'order_completed' THEN
+      v_title := 'Job completed';
+      v_body := v_ref || ' is waiting for payment confirmation'
+        || CASE WHEN v_order.final_price > 0 THEN ' (' || v_order.final_price::TEXT || ' som)' ELSE '' END;
+    WHEN 'order_refused' THEN
+      v_title := 'Master refused job';
+      v_body := CASE
+        WHEN NULLIF(v_order.cancellation_reason, '') IS NOT NULL THEN v_ref || ': ' || replace(v_order.cancellation_reason, '_', ' ')
+        ELSE v_ref || ' needs a new master'
+      END;
+    ELSE
+      v_title := 'Payment dispute opened';
+      v_body := CASE
+        WHEN NULLIF(v_dispute_type, '') IS NOT NULL THEN v_ref || ': ' || replace(v_dispute_type, '_', ' ')
+        ELSE v_ref || ' was disputed'
+      END;
+  END CASE;
+
+  WITH recipients AS (
+    SELECT p.id, p.push_token
+    FROM public.profiles p
+    WHERE p.is_active IS TRUE
+      AND p.push_token IS NOT NULL
+      AND p.id <> v_uid
+      AND (
+        (
+          p_event = 'order_created'
+          AND p.role = 'master'
+          AND p.is_verified IS TRUE
+          AND COALESCE((p.notification_prefs->>'order_created')::BOOLEAN, TRUE)
+          AND (
+            NOT COALESCE((p.notification_prefs->>'emergency_only')::BOOLEAN, FALSE)
+            OR v_order.urgency = 'emergency'
+          )
+        )
+        OR (
+          p_event IN ('order_claimed', 'order_completed', 'order_refused', 'payment_disputed')
+          AND p.role IN ('dispatcher', 'partner')
+          AND p.id IN (v_order.dispatcher_id, v_order.assigned_dispatcher_id)
+          AND COALESCE((p.notification_prefs->>p_event)::BOOLEAN, TRUE)
+        )
+        OR (
+          p_event IN ('order_refused', 'payment_disputed')
+          AND p.role = 'admin'
+          AND COALESCE((p.notification_prefs->>p_event)::BOOLEAN, p_event = 'payment_disputed')
+        )
+      )
+  )
+  INSERT INTO public.notification_outbox (order_id, event, recipient_id, push_token, title, body, data, created_by)
+  SELECT
+    v_order.id,
+    p_event,
+    r.id,
+    r.push_token,
+    v_title,
+    LEFT(v_body, 400),
+    jsonb_build_object('orderId', v_order.id, 'event', p_event, 'urgency', v_order.urgency),
+    v_uid
+  FROM recipients r;
+
+  GET DIAGNOSTICS v_queued = ROW_COUNT;
+
+  RETURN jsonb_build_object('success', TRUE, 'message', 'Notification queued', 'queued', v_queued);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.enqueue_order_notification(UUID, TEXT) TO authenticated;
+
+-- Outbox rows are written by the RPC and drained with the service role only.
+ALTER TABLE public.notification_outbox ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS notification_outbox_select_own ON public.notification_outbox;
+CREATE POLICY notification_outbox_select_own ON public.notification_outbox
+  FOR SELECT TO authenticated
+  USING (recipient_id = auth.uid());
+
+COMMIT;
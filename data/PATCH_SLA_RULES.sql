@@ -0,0 +1,716 @@
+-- =============================================================================
+-- PATCH_SLA_RULES.sql
+-- Date: 2026-02-21
+-- Purpose:
+--   Configurable SLA rules for "needs attention" detection:
+--     - platform_settings.sla_rules: minutes per status (placed/reopened/claimed)
+--       and urgency, plus escalation_factor; empty claimed thresholds fall back
+--       to claim_timeout_minutes. Defaults match src/utils/slaRules.js.
+--     - order_sla_threshold_minutes / is_order_sla_breached helpers
+--     - get_dispatcher_orders_page / get_admin_orders_page attention blocks now
+--       use the rules instead of the fixed 15/30-minute checks
+--     - order_sla_breaches: one row per breached status period, filled by
+--       sync_order_sla_breaches() (called when staff load the queue), which also
+--       escalates orders overdue by escalation_factor x threshold to admins
+--     - get_sla_compliance(p_from, p_to): compliance per dispatcher and district
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE public.platform_settings
+  ADD COLUMN IF NOT EXISTS sla_rules JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE OR REPLACE FUNCTION public.order_sla_threshold_minutes(
+  p_status TEXT,
+  p_urgency TEXT
+)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_rules JSONB := '{}'::jsonb;
+  v_claim_timeout NUMERIC;
+  v_urgency TEXT := CASE WHEN p_urgency IN ('emergency', 'urgent', 'planned') THEN p_urgency ELSE 'planned' END;
+  v_value NUMERIC;
+BEGIN
+  IF p_status NOT IN ('placed', 'reopened', 'claimed') THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT COALESCE(s.sla_rules, '{}'::jsonb), NULLIF(s.claim_timeout_minutes, 0)
+  INTO v_rules, v_claim_timeout
+  FROM public.platform_settings s
+  WHERE s.id = 1;
+
+  BEGIN
+    v_value := NULLIF((v_rules->p_status->>v_urgency)::NUMERIC, 0);
+  EXCEPTION WHEN invalid_text_representation THEN
+    v_value := NULL;
+  END;
+
+  IF v_value IS NOT NULL AND v_value > 0 THEN
+    RETURN v_value;
+  END IF;
+
+  RETURN CASE
+    WHEN p_status IN ('placed', 'reopened') AND v_urgency = 'emergency' THEN 5
+    WHEN p_status IN ('placed', 'reopened') AND v_urgency = 'urgent' THEN 15
+    WHEN p_status IN ('placed', 'reopened') THEN 60
+    WHEN v_urgency = 'emergency' THEN 15
+    ELSE COALESCE(v_claim_timeout, 30)
+  END;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.order_sla_escalation_factor()
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(
+    (
+      SELECT GREATEST(NULLIF(s.sla_rules->>'escalation_factor', '')::NUMERIC, 1)
+      FROM public.platform_settings s
+      WHERE s.id = 1
+    ),
+    2
+  );
+$$;
+
+-- Placed orders are measured from creation, reopened/claimed from the last status change.
+CREATE OR REPLACE FUNCTION public.is_order_sla_breached(
+  p_status TEXT,
+  p_urgency TEXT,
+  p_created_at TIMESTAMPTZ,
+  p_updated_at TIMESTAMPTZ
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(
+    NOW() - CASE WHEN p_status = 'placed' THEN p_created_at ELSE COALESCE(p_updated_at, p_created_at) END
+      > public.order_sla_threshold_minutes(p_status, p_urgency) * INTERVAL '1 minute',
+    FALSE
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.order_sla_threshold_minutes TO authenticated;
+GRANT EXECUTE ON FUNCTION public.order_sla_escalation_factor TO authenticated;
+GRANT EXECUTE ON FUNCTION public.is_order_sla_breached TO authenticated;
+
+CREATE TABLE IF NOT EXISTS public.order_sla_breaches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  urgency TEXT,
+  threshold_minutes NUMERIC NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL,
+  breached_at TIMESTAMPTZ NOT NULL,
+  escalated_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  dispatcher_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  area TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_order_sla_breaches_period UNIQUE (order_id, status, started_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_sla_breaches_open
+  ON public.order_sla_breaches (started_at)
+  WHERE resolved_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_order_sla_breaches_breached_at
+  ON public.order_sla_breaches (breached_at DESC);
+
+ALTER TABLE public.order_sla_breaches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS order_sla_breaches_admin_read ON public.order_sla_breaches;
+CREATE POLICY order_sla_breaches_admin_read ON public.order_sla_breaches
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid() AND p.role = 'admin' AND p.is_active IS TRUE
+    )
+  );
+
+-- Queue RPCs: same as PATCH_DISPATCHER_QUEUE_RPC_OPTIMIZATION.sql / PATCH_ADMIN_QUEUE_RPC_OPTIMIZATION.sql
+-- except for the SLA check in the attention block.
+CREATE OR REPLACE FUNCTION public.get_dispatcher_orders_page(
+  p_dispatcher_id UUID,
+  p_page INTEGER DEFAULT 1,
+  p_limit INTEGER DEFAULT 20,
+  p_status TEXT DEFAULT 'Active',
+  p_search TEXT DEFAULT '',
+  p_urgency TEXT DEFAULT 'all',
+  p_service TEXT DEFAULT 'all',
+  p_sort TEXT DEFAULT 'newest'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_effective_dispatcher UUID := COALESCE(p_dispatcher_id, auth.uid());
+  v_role TEXT;
+  v_is_verified BOOLEAN := FALSE;
+  v_is_active BOOLEAN := FALSE;
+  v_page INTEGER := GREATEST(COALESCE(p_page, 1), 1);
+  v_limit INTEGER := GREATEST(COALESCE(p_limit, 20), 1);
+  v_offset INTEGER;
+  v_total_count BIGINT := 0;
+  v_items JSONB := '[]'::JSONB;
+  v_status_counts JSONB := jsonb_build_object('Active', 0, 'Payment', 0, 'Confirmed', 0, 'Canceled', 0);
+  v_attention_items JSONB := '[]'::JSONB;
+  v_attention_count BIGINT := 0;
+  v_search TEXT := LOWER(TRIM(COALESCE(p_search, '')));
+  v_search_digits TEXT := REGEXP_REPLACE(COALESCE(p_search, ''), '[^0-9]', '', 'g');
+BEGIN
+  IF v_uid IS NULL OR v_effective_dispatcher IS NULL THEN
+    RETURN jsonb_build_object(
+      'total_count', 0,
+      'items', '[]'::JSONB,
+      'status_counts', v_status_counts,
+      'attention_items', '[]'::JSONB,
+      'attention_count', 0
+    );
+  END IF;
+
+  SELECT p.role, p.is_verified, p.is_active
+  INTO v_role, v_is_verified, v_is_active
+  FROM public.profiles p
+  WHERE p.id = v_uid;
+
+  IF v_role IS NULL OR v_is_active IS DISTINCT FROM TRUE THEN
+    RETURN jsonb_build_object(
+      'total_count', 0,
+      'items', '[]'::JSONB,
+      'status_counts', v_status_counts,
+      'attention_items', '[]'::JSONB,
+      'attention_count', 0
+    );
+  END IF;
+
+  -- Dispatcher can only query own scope; admin can query any dispatcher scope.
+  IF v_role = 'dispatcher' AND v_uid <> v_effective_dispatcher THEN
+    RETURN jsonb_build_object(
+      'total_count', 0,
+      'items', '[]'::JSONB,
+      'status_counts', v_status_counts,
+      'attention_items', '[]'::JSONB,
+      'attention_count', 0
+    );
+  END IF;
+
+  -- Optional verification guard for dispatcher role.
+  IF v_role = 'dispatcher' AND v_is_verified IS DISTINCT FROM TRUE THEN
+    RETURN jsonb_build_object(
+      'total_count', 0,
+      'items', '[]'::JSONB,
+      'status_counts', v_status_counts,
+      'attention_items', '[]'::JSONB,
+      'attention_count', 0
+    );
+  END IF;
+
+  v_offset := (v_page - 1) * v_limit;
+
+  WITH base_scope AS (
+    SELECT
+      o.*,
+      CASE
+        WHEN c.id IS NULL THEN NULL
+        ELSE jsonb_build_object('id', c.id, 'full_name', c.full_name, 'phone', c.phone, 'email', c.email)
+      END AS client,
+      CASE
+        WHEN m.id IS NULL THEN NULL
+        ELSE jsonb_build_object('id', m.id, 'full_name', m.full_name, 'phone', m.phone)
+      END AS master,
+      CASE
+        WHEN d.id IS NULL THEN NULL
+        ELSE jsonb_build_object('id', d.id, 'full_name', d.full_name, 'phone', d.phone)
+      END AS dispatcher,
+      CASE
+        WHEN ad.id IS NULL THEN NULL
+        ELSE jsonb_build_object('id', ad.id, 'full_name', ad.full_name, 'phone', ad.phone)
+      END AS assigned_dispatcher
+    FROM public.orders o
+    LEFT JOIN public.profiles c ON c.id = o.client_id
+    LEFT JOIN public.profiles m ON m.id = o.master_id
+    LEFT JOIN public.profiles d ON d.id = o.dispatcher_id
+    LEFT JOIN public.profiles ad ON ad.id = o.assigned_dispatcher_id
+    WHERE COALESCE(o.is_disputed, FALSE) = FALSE
+      AND (
+        o.dispatcher_id = v_effective_dispatcher
+        OR o.assigned_dispatcher_id = v_effective_dispatcher
+      )
+  ),
+  filtered AS (
+    SELECT *
+    FROM base_scope b
+    WHERE
+      (
+        p_status = 'Active' AND b.status IN ('placed', 'reopened', 'claimed', 'started')
+        OR p_status = 'Payment' AND b.status = 'completed'
+        OR p_status = 'Confirmed' AND b.status = 'confirmed'
+        OR p_status = 'Canceled' AND b.status IN ('canceled_by_master', 'canceled_by_client')
+        OR p_status IS NULL
+        OR p_status = 'all'
+      )
+      AND (p_urgency = 'all' OR b.urgency = p_urgency)
+      AND (p_service = 'all' OR b.service_type = p_service)
+      AND (
+        v_search = ''
+        OR b.id::TEXT ILIKE '%' || v_search || '%'
+        OR LOWER(COALESCE(b.client_name, b.client->>'full_name', '')) LIKE '%' || v_search || '%'
+        OR LOWER(COALESCE(b.full_address, '')) LIKE '%' || v_search || '%'
+        OR LOWER(COALESCE(b.problem_description, '')) LIKE '%' || v_search || '%'
+        OR LOWER(COALESCE(b.master->>'full_name', '')) LIKE '%' || v_search || '%'
+        OR (
+          v_search_digits <> ''
+          AND REGEXP_REPLACE(COALESCE(b.client_phone, b.client->>'phone', ''), '[^0-9]', '', 'g') LIKE '%' || v_search_digits || '%'
+        )
+      )
+  ),
+  paged AS (
+    SELECT *
+    FROM filtered
+    ORDER BY
+      CASE WHEN p_sort = 'oldest' THEN created_at END ASC,
+      CASE WHEN p_sort <> 'oldest' THEN created_at END DESC
+    OFFSET v_offset
+    LIMIT v_limit
+  ),
+  counts AS (
+    SELECT COUNT(*)::BIGINT AS total_count
+    FROM filtered
+  ),
+  status_counts AS (
+    SELECT jsonb_build_object(
+      'Active', COUNT(*) FILTER (WHERE status IN ('placed', 'reopened', 'claimed', 'started')),
+      'Payment', COUNT(*) FILTER (WHERE status = 'completed'),
+      'Confirmed', COUNT(*) FILTER (WHERE status = 'confirmed'),
+      'Canceled', COUNT(*) FILTER (WHERE status IN ('canceled_by_master', 'canceled_by_client'))
+    ) AS val
+    FROM base_scope
+  ),
+  attention_pool AS (
+    SELECT *
+    FROM base_scope
+    WHERE
+      status = 'completed'
+      OR status = 'canceled_by_master'
+      OR public.is_order_sla_breached(status, urgency, created_at, updated_at)
+    ORDER BY created_at DESC
+  ),
+  attention_count AS (
+    SELECT COUNT(*)::BIGINT AS total FROM attention_pool
+  ),
+  attention_items AS (
+    SELECT COALESCE(
+      jsonb_agg(to_jsonb(a) ORDER BY a.created_at DESC),
+      '[]'::JSONB
+    ) AS val
+    FROM (SELECT * FROM attention_pool LIMIT 20) a
+  )
+  SELECT
+    c.total_count,
+    COALESCE(jsonb_agg(to_jsonb(p) ORDER BY
+      CASE WHEN p_sort = 'oldest' THEN p.created_at END ASC,
+      CASE WHEN p_sort <> 'oldest' THEN p.created_at END DESC
+    ) FILTER (WHERE p.id IS NOT NULL), '[]'::JSONB),
+    sc.val,
+    ai.val,
+    ac.total
+  INTO v_total_count, v_items, v_status_counts, v_attention_items, v_attention_count
+  FROM counts c
+  LEFT JOIN paged p ON TRUE
+  CROSS JOIN status_counts sc
+  CROSS JOIN attention_items ai
+  CROSS JOIN attention_count ac
+  GROUP BY c.total_count, sc.val, ai.val, ac.total;
+
+  RETURN jsonb_build_object(
+    'total_count', COALESCE(v_total_count, 0),
+    'items', COALESCE(v_items, '[]'::JSONB),
+    'status_counts', COALESCE(v_status_counts, jsonb_build_object('Active', 0, 'Payment', 0, 'Confirmed', 0, 'Canceled', 0)),
+    'attention_items', COALESCE(v_attention_items, '[]'::JSONB),
+    'attention_count', COALESCE(v_attention_count, 0)
+  );
+END;
+$$;
+
+COMMENT ON FUNCTION public.get_dispatcher_orders_page IS
+'Returns dispatcher queue page + total_count + status_counts + attention block in one RPC call.';
+
+GRANT EXECUTE ON FUNCTION public.get_dispatcher_orders_page TO authenticated;
+CREATE OR REPLACE FUNCTION public.get_admin_orders_page(
+  p_page INTEGER DEFAULT 1,
+  p_limit INTEGER DEFAULT 20,
+  p_status TEXT DEFAULT 'Active',
+  p_search TEXT DEFAULT '',
+  p_dispatcher TEXT DEFAULT 'all',
+  p_urgency TEXT DEFAULT 'all',
+  p_service TEXT DEFAULT 'all',
+  p_sort TEXT DEFAULT 'newest'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_page INTEGER := GREATEST(COALESCE(p_page, 1), 1);
+  v_limit INTEGER := GREATEST(COALESCE(p_limit, 20), 1);
+  v_offset INTEGER := 0;
+  v_can_view BOOLEAN := FALSE;
+  v_status TEXT := COALESCE(NULLIF(p_status, ''), 'Active');
+  v_search TEXT := LOWER(TRIM(COALESCE(p_search, '')));
+  v_search_digits TEXT := regexp_replace(COALESCE(p_search, ''), '\D', '', 'g');
+  v_sort_asc BOOLEAN := (LOWER(COALESCE(p_sort, 'newest')) = 'oldest');
+  v_total_count BIGINT := 0;
+  v_status_counts JSONB := jsonb_build_object('Active', 0, 'Payment', 0, 'Confirmed', 0, 'Canceled', 0);
+  v_attention_items JSONB := '[]'::JSONB;
+  v_attention_count BIGINT := 0;
+  v_items JSONB := '[]'::JSONB;
+BEGIN
+  SELECT EXISTS (
+    SELECT 1
+    FROM public.profiles p
+    WHERE p.id = auth.uid()
+      AND p.role = 'admin'
+      AND COALESCE(p.is_active, TRUE) = TRUE
+  ) INTO v_can_view;
+
+  IF NOT v_can_view THEN
+    RETURN jsonb_build_object(
+      'total_count', 0,
+      'items', '[]'::JSONB,
+      'status_counts', v_status_counts,
+      'attention_items', '[]'::JSONB,
+      'attention_count', 0
+    );
+  END IF;
+
+  v_offset := (v_page - 1) * v_limit;
+
+  WITH scoped AS (
+    SELECT
+      o.*,
+      jsonb_build_object('full_name', c.full_name, 'phone', c.phone) AS client,
+      jsonb_build_object('full_name', m.full_name, 'phone', m.phone) AS master,
+      jsonb_build_object('id', d.id, 'full_name', d.full_name, 'phone', d.phone) AS dispatcher,
+      jsonb_build_object('id', ad.id, 'full_name', ad.full_name, 'phone', ad.phone) AS assigned_dispatcher
+    FROM public.orders o
+    LEFT JOIN public.profiles c ON c.id = o.client_id
+    LEFT JOIN public.profiles m ON m.id = o.master_id
+    LEFT JOIN public.profiles d ON d.id = o.dispatcher_id
+    LEFT JOIN public.profiles ad ON ad.id = o.assigned_dispatcher_id
+    WHERE
+      COALESCE(o.is_disputed, FALSE) = FALSE
+      AND
+      (p_dispatcher = 'all'
+        OR (p_dispatcher = 'unassigned' AND o.dispatcher_id IS NULL AND o.assigned_dispatcher_id IS NULL)
+        OR (p_dispatcher NOT IN ('all', 'unassigned')
+            AND (o.dispatcher_id::TEXT = p_dispatcher OR o.assigned_dispatcher_id::TEXT = p_dispatcher)))
+      AND (p_urgency = 'all' OR o.urgency = p_urgency)
+      AND (p_service = 'all' OR o.service_type = p_service)
+      AND (
+        v_search = ''
+        OR o.id::TEXT ILIKE '%' || v_search || '%'
+        OR LOWER(COALESCE(c.full_name, '')) LIKE '%' || v_search || '%'
+        OR LOWER(COALESCE(o.full_address, '')) LIKE '%' || v_search || '%'
+        OR (
+          v_search_digits <> ''
+          AND regexp_replace(COALESCE(c.phone, ''), '\D', '', 'g') LIKE '%' || v_search_digits || '%'
+        )
+      )
+  ),
+  status_counted AS (
+    SELECT
+      SUM(CASE WHEN status IN ('placed', 'reopened', 'claimed', 'started') THEN 1 ELSE 0 END)::BIGINT AS active_count,
+      SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END)::BIGINT AS payment_count,
+      SUM(CASE WHEN status = 'confirmed' THEN 1 ELSE 0 END)::BIGINT AS confirmed_count,
+      SUM(CASE WHEN status LIKE 'canceled%' THEN 1 ELSE 0 END)::BIGINT AS canceled_count
+    FROM scoped
+  ),
+  attention AS (
+    SELECT *
+    FROM scoped s
+    WHERE
+      s.status = 'completed'
+      OR s.status = 'canceled_by_master'
+      OR public.is_order_sla_breached(s.status, s.urgency, s.created_at, s.updated_at)
+  ),
+  filtered AS (
+    SELECT *
+    FROM scoped s
+    WHERE
+      (v_status = 'Active' AND s.status IN ('placed', 'reopened', 'claimed', 'started'))
+      OR (v_status = 'Payment' AND s.status = 'completed')
+      OR (v_status = 'Confirmed' AND s.status = 'confirmed')
+      OR (v_status = 'Canceled' AND s.status LIKE 'canceled%')
+  ),
+  counted AS (
+    SELECT COUNT(*)::BIGINT AS total_count
+    FROM filtered
+  ),
+  paged AS (
+    SELECT *
+    FROM filtered
+    ORDER BY
+      CASE WHEN v_sort_asc THEN created_at END ASC,
+      CASE WHEN NOT v_sort_asc THEN created_at END DESC
+    OFFSET v_offset
+    LIMIT v_limit
+  ),
+  attention_paged AS (
+    SELECT *
+    FROM attention
+    ORDER BY created_at DESC
+    LIMIT 30
+  )
+  SELECT
+    c.total_count,
+    jsonb_build_object(
+      'Active', COALESCE(sc.active_count, 0),
+      'Payment', COALESCE(sc.payment_count, 0),
+      'Confirmed', COALESCE(sc.confirmed_count, 0),
+      'Canceled', COALESCE(sc.canceled_count, 0)
+    ),
+    (SELECT COUNT(*)::BIGINT FROM attention),
+    COALESCE(
+      (SELECT jsonb_agg(to_jsonb(ap) ORDER BY ap.created_at DESC) FROM attention_paged ap),
+      '[]'::JSONB
+    ),
+    COALESCE(
+      (SELECT jsonb_agg(to_jsonb(p) ORDER BY
+        CASE WHEN v_sort_asc THEN p.created_at END ASC,
+        CASE WHEN NOT v_sort_asc THEN p.created_at END DESC
+      ) FROM paged p),
+      '[]'::JSONB
+    )
+  INTO v_total_count, v_status_counts, v_attention_count, v_attention_items, v_items
+  FROM counted c
+  CROSS JOIN status_counted sc;
+
+  RETURN jsonb_build_object(
+    'total_count', COALESCE(v_total_count, 0),
+    'items', COALESCE(v_items, '[]'::JSONB),
+    'status_counts', COALESCE(v_status_counts, jsonb_build_object('Active', 0, 'Payment', 0, 'Confirmed', 0, 'Canceled', 0)),
+    'attention_items', COALESCE(v_attention_items, '[]'::JSONB),
+    'attention_count', COALESCE(v_attention_count, 0)
+  );
+END;
+$$;
+
+COMMENT ON FUNCTION public.get_admin_orders_page IS
+'Returns paged admin orders queue with status counters and needs-attention list in one RPC call.';
+
+GRANT EXECUTE ON FUNCTION public.get_admin_orders_page TO authenticated;
+-- Records new breaches, resolves the ones whose status period ended and escalates
+-- long-overdue orders to admins (notification_outbox, pref 'sla_escalated').
+CREATE OR REPLACE FUNCTION public.sync_order_sla_breaches()
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_factor NUMERIC := public.order_sla_escalation_factor();
+  v_recorded INT := 0;
+  v_resolved INT := 0;
+  v_escalated INT := 0;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('admin', 'dispatcher', 'partner') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  INSERT INTO public.order_sla_breaches (
+    order_id, status, urgency, threshold_minutes, started_at, breached_at, dispatcher_id, area
+  )
+  SELECT
+    o.id,
+    o.status,
+    o.urgency,
+    t.threshold,
+    t.started_at,
+    t.started_at + t.threshold * INTERVAL '1 minute',
+    COALESCE(o.assigned_dispatcher_id, o.dispatcher_id),
+    o.area
+  FROM public.orders o
+  CROSS JOIN LATERAL (
+    SELECT
+      CASE WHEN o.status = 'placed' THEN o.created_at ELSE COALESCE(o.updated_at, o.created_at) END AS started_at,
+      public.order_sla_threshold_minutes(o.status, o.urgency) AS threshold
+  ) t
+  WHERE o.status IN ('placed', 'reopened', 'claimed')
+    AND COALESCE(o.is_disputed, FALSE) = FALSE
+    AND NOW() > t.started_at + t.threshold * INTERVAL '1 minute'
+  ON CONFLICT (order_id, status, started_at) DO NOTHING;
+
+  GET DIAGNOSTICS v_recorded = ROW_COUNT;
+
+  UPDATE public.order_sla_breaches b
+  SET resolved_at = NOW()
+  WHERE b.resolved_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1
+      FROM public.orders o
+      WHERE o.id = b.order_id
+        AND o.status = b.status
+        AND COALESCE(o.is_disputed, FALSE) = FALSE
+        AND (CASE WHEN o.status = 'placed' THEN o.created_at ELSE COALESCE(o.updated_at, o.created_at) END) = b.started_at
+    );
+
+  GET DIAGNOSTICS v_resolved = ROW_COUNT;
+
+  WITH escalated AS (
+    UPDATE public.order_sla_breaches b
+    SET escalated_at = NOW()
+    WHERE b.resolved_at IS NULL
+      AND b.escalated_at IS NULL
+      AND NOW() > b.started_at + b.threshold_minutes * v_factor * INTERVAL '1 minute'
+    RETURNING b.order_id, b.status, b.urgency, b.threshold_minutes, b.started_at
+  ),
+  inserted AS (
+    INSERT INTO public.notification_outbox (order_id, event, recipient_id, push_token, title, body, data, created_by)
+    SELECT
+      e.order_id,
+      'sla_escalated',
+      p.id,
+      p.push_token,
+      'Order overdue',
+      LEFT(
+        '#' || UPPER(RIGHT(e.order_id::TEXT, 6)) || ' is ' || e.status || ' for '
+          || FLOOR(EXTRACT(EPOCH FROM (NOW() - e.started_at)) / 60)::INT || ' min (SLA '
+          || e.threshold_minutes || ' min)',
+        400
+      ),
+      jsonb_build_object('orderId', e.order_id, 'event', 'sla_escalated', 'urgency', e.urgency, 'status', e.status),
+      v_uid
+    FROM escalated e
+    JOIN public.profiles p
+      ON p.role = 'admin'
+     AND p.is_active IS TRUE
+     AND p.push_token IS NOT NULL
+     AND COALESCE((p.notification_prefs->>'sla_escalated')::BOOLEAN, TRUE)
+    RETURNING 1
+  )
+  SELECT COUNT(*) INTO v_escalated FROM escalated;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'recorded', v_recorded,
+    'resolved', v_resolved,
+    'escalated', v_escalated
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.sync_order_sla_breaches() TO authenticated;
+
+-- Orders created in [p_from, p_to) and how many of them breached an SLA at least once.
+CREATE OR REPLACE FUNCTION public.get_sla_compliance(
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_from TIMESTAMPTZ := COALESCE(p_from, NOW() - INTERVAL '30 days');
+  v_to TIMESTAMPTZ := COALESCE(p_to, NOW());
+  v_result JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS DISTINCT FROM 'admin' THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  WITH scoped AS (
+    SELECT
+      o.id,
+      COALESCE(o.assigned_dispatcher_id, o.dispatcher_id) AS dispatcher_id,
+      NULLIF(TRIM(COALESCE(o.area, '')), '') AS area,
+      EXISTS (SELECT 1 FROM public.order_sla_breaches b WHERE b.order_id = o.id) AS breached,
+      EXISTS (SELECT 1 FROM public.order_sla_breaches b WHERE b.order_id = o.id AND b.escalated_at IS NOT NULL) AS escalated
+    FROM public.orders o
+    WHERE o.created_at >= v_from
+      AND o.created_at < v_to
+  ),
+  by_dispatcher AS (
+    SELECT
+      s.dispatcher_id AS id,
+      d.full_name AS name,
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE s.breached) AS breached,
+      COUNT(*) FILTER (WHERE s.escalated) AS escalated
+    FROM scoped s
+    LEFT JOIN public.profiles d ON d.id = s.dispatcher_id
+    GROUP BY s.dispatcher_id, d.full_name
+  ),
+  by_district AS (
+    SELECT
+      s.area AS name,
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE s.breached) AS breached,
+      COUNT(*) FILTER (WHERE s.escalated) AS escalated
+    FROM scoped s
+    GROUP BY s.area
+  )
+  SELECT jsonb_build_object(
+    'success', TRUE,
+    'overall', (
+      SELECT jsonb_build_object(
+        'total', COUNT(*),
+        'breached', COUNT(*) FILTER (WHERE s.breached),
+        'escalated', COUNT(*) FILTER (WHERE s.escalated)
+      )
+      FROM scoped s
+    ),
+    'by_dispatcher', COALESCE((SELECT jsonb_agg(to_jsonb(x) ORDER BY x.breached DESC, x.total DESC) FROM by_dispatcher x), '[]'::jsonb),
+    'by_district', COALESCE((SELECT jsonb_agg(to_jsonb(x) ORDER BY x.breached DESC, x.total DESC) FROM by_district x), '[]'::jsonb)
+  )
+  INTO v_result;
+
+  RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_sla_compliance TO authenticated;
+
+COMMIT;
@@ -0,0 +1,110 @@
+-- =============================================================================
+-- PATCH_TEAM_PRESENCE_BOARD.sql
+-- Date: 2026-03-02
+-- Purpose:
+--   Live team presence board for dispatchers and admins:
+--     - get_team_presence() returns active masters and dispatchers with their presence
+--       columns (PATCH_PROFILE_PRESENCE_COLUMNS.sql), availability (PATCH_MASTER_AVAILABILITY.sql),
+--       the number of claimed/started orders they handle and the latest of those orders
+--     - profiles and orders are added to the supabase_realtime publication so the board
+--       reloads when someone's heartbeat or an order status changes
+--   Online state and time in status are derived client-side (src/utils/teamPresence.js).
+-- =============================================================================
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_orders_dispatcher_active
+  ON public.orders (COALESCE(assigned_dispatcher_id, dispatcher_id))
+  WHERE status IN ('claimed', 'started');
+
+CREATE OR REPLACE FUNCTION public.get_team_presence()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_role TEXT;
+  v_items JSONB;
+BEGIN
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'UNAUTHORIZED', 'message', 'Not authenticated');
+  END IF;
+
+  SELECT p.role INTO v_role
+  FROM public.profiles p
+  WHERE p.id = v_uid AND p.is_active IS TRUE;
+
+  IF v_role IS NULL OR v_role NOT IN ('admin', 'dispatcher') THEN
+    RETURN jsonb_build_object('success', FALSE, 'error', 'FORBIDDEN', 'message', 'Access denied');
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(t) ORDER BY t.role, t.full_name), '[]'::jsonb)
+  INTO v_items
+  FROM (
+    SELECT p.id, p.role, p.full_name, p.phone,
+           p.last_active_at, p.last_seen_at, p.is_online,
+           p.is_on_duty, p.on_duty_changed_at, p.availability_schedule, p.time_off,
+           COALESCE(w.active_jobs, 0) AS active_jobs,
+           j.active_job
+    FROM public.profiles p
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*) AS active_jobs
+      FROM public.orders o
+      WHERE o.status IN ('claimed', 'started')
+        AND (
+          (p.role = 'master' AND o.master_id = p.id)
+          OR (p.role = 'dispatcher' AND COALESCE(o.assigned_dispatcher_id, o.dispatcher_id) = p.id)
+        )
+    ) w ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT jsonb_build_object(
+               'id', o.id,
+               'status', o.status,
+               'service_type', o.service_type,
+               'area', o.area,
+               'claimed_at', o.claimed_at,
+               'started_at', o.started_at,
+               'updated_at', o.updated_at
+             ) AS active_job
+      FROM public.orders o
+      WHERE o.status IN ('claimed', 'started')
+        AND (
+          (p.role = 'master' AND o.master_id = p.id)
+          OR (p.role = 'dispatcher' AND COALESCE(o.assigned_dispatcher_id, o.dispatcher_id) = p.id)
+        )
+      ORDER BY (o.status = 'started') DESC, COALESCE(o.started_at, o.claimed_at, o.updated_at) DESC
+      LIMIT 1
+    ) j ON TRUE
+    WHERE p.role IN ('master', 'dispatcher')
+      AND p.is_active IS TRUE
+  ) t;
+
+  RETURN jsonb_build_object('success', TRUE, 'items', v_items, 'server_time', NOW());
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_team_presence() TO authenticated;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'profiles'
+    ) THEN
+      ALTER PUBLICATION supabase_realtime ADD TABLE public.profiles;
+    END IF;
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'orders'
+    ) THEN
+      ALTER PUBLICATION supabase_realtime ADD TABLE public.orders;
+    END IF;
+  END IF;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,218 @@
+import React, { useCallback, useMemo } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { useLocalization } from '../../contexts/LocalizationContext';
+import { useAccountStatement } from '../../hooks/useAccountStatement';
+import { STATEMENT_ACCOUNT_TYPES, buildStatementLabels } from '../../utils/statements';
+
+const formatMoney = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+/**
+ * Account Statement
+ * Monthly statement of a master or partner balance (opening, movements, closing) with a
+ * month picker and CSV/PDF export. Masters see commissions, partners see earned commission and payouts.
+ */
+export default function AccountStatement({
+    accountType = STATEMENT_ACCOUNT_TYPES.MASTER,
+    accountId,
+    enabled = true,
+    showToast,
+    isDark = true,
+}) {
+    const { t } = useLocalization();
+    const safeT = useCallback((key, fallback) => {
+        const value = t(key);
+        return value && value !== key ? value : fallback;
+    }, [t]);
+    const labels = useMemo(() => buildStatementLabels(safeT), [safeT]);
+    const {
+        periods,
+        periodLabel,
+        setPeriodLabel,
+        statement,
+        loading,
+        exporting,
+        exportCsv,
+        exportPdf,
+    } = useAccountStatement({ accountType, accountId, enabled, showToast, safeT, pdfLabels: labels });
+    const currency = safeT('currencySom', 'som');
+    const isPartner = accountType === STATEMENT_ACCOUNT_TYPES.PARTNER;
+
+    const summaryRows = statement ? [
+        { key: 'opening', value: statement.openingBalance },
+        { key: 'topUps', value: statement.totals.topUps, hidden: isPartner && !statement.totals.topUps },
+        { key: 'earned', value: statement.totals.earned, hidden: !isPartner && !statement.totals.earned },
+        { key: 'commissions', value: -statement.totals.commissions, hidden: isPartner && !statement.totals.commissions },
+        { key: 'payouts', value: -statement.totals.payouts, hidden: !isPartner && !statement.totals.payouts },
+        { key: 'adjustments', value: statement.totals.adjustments, hidden: !statement.totals.adjustments },
+        { key: 'closing', value: statement.closingBalance, total: true },
+    ].filter((row) => !row.hidden) : [];
+
+    const renderExportButton = (format, label, onPress) => (
+        <TouchableOpacity
+            key={format}
+            style={[styles.exportBtn, (!statement || !!exporting) && styles.exportBtnDisabled]}
+            onPress={onPress}
+            disabled={!statement || !!exporting}
+        >
+            {exporting === format
+                ? <ActivityIndicator size="small" color="#fff" />
+                : <Text style={styles.exportBtnText}>{label}</Text>}
+        </TouchableOpacity>
+    );
+
+    return (
+        <View style={[styles.container, !isDark && styles.containerLight]}>
+            <Text style={[styles.title, !isDark && styles.textLight]}>{labels.title}</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.periods}>
+                {periods.map((period) => {
+                    const active = period.label === periodLabel;
+                    return (
+                        <TouchableOpacity
+                            key={period.label}
+                            style={[styles.periodChip, !isDark && styles.periodChipLight, active && styles.periodChipActive]}
+                            onPress={() => setPeriodLabel(period.label)}
+                        >
+                            <Text style={[styles.periodText, !isDark && !active && styles.textLight, active && styles.periodTextActive]}>
+                                {period.label}
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </ScrollView>
+
+            {loading ? (
+                <ActivityIndicator style={styles.loader} color="#3b82f6" />
+            ) : (
+                <View>
+                    {summaryRows.map((row) => (
+                        <View key={row.key} style={[styles.row, row.total && styles.rowTotal]}>
+                            <Text style={[styles.rowLabel, !isDark && styles.mutedLight, row.total && styles.rowLabelTotal]}>
+                                {labels[row.key]}
+                            </Text>
+                            <Text style={[styles.rowValue, !isDark && styles.textLight, row.total && styles.rowValueTotal]}>
+                                {formatMoney(row.value)} {currency}
+                            </Text>
+                        </View>
+                    ))}
+                    {statement && (
+                        <Text style={[styles.meta, !isDark && styles.mutedLight]}>
+                            {statement.lines.length
+                                ? safeT('statementTransactionsCount', 'Transactions: {0}').replace('{0}', String(statement.lines.length))
+                                : labels.empty}
+                        </Text>
+                    )}
+                </View>
+            )}
+
+            <View style={styles.actions}>
+                {renderExportButton('csv', safeT('statementExportCsv', 'Export CSV'), exportCsv)}
+                {renderExportButton('pdf', safeT('statementExportPdf', 'Export PDF'), exportPdf)}
+            </View>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        padding: 16,
+        borderRadius: 12,
+        backgroundColor: 'rgba(30,41,59,0.7)',
+        marginBottom: 12,
+    },
+    containerLight: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    title: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#f8fafc',
+        marginBottom: 10,
+    },
+    periods: {
+        gap: 6,
+        paddingBottom: 10,
+    },
+    periodChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 8,
+        backgroundColor: 'rgba(71,85,105,0.4)',
+    },
+    periodChipLight: {
+        backgroundColor: '#e2e8f0',
+    },
+    periodChipActive: {
+        backgroundColor: '#3b82f6',
+    },
+    periodText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#e2e8f0',
+    },
+    periodTextActive: {
+        color: '#fff',
+    },
+    loader: {
+        paddingVertical: 16,
+    },
+    row: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingVertical: 6,
+    },
+    rowTotal: {
+        borderTopWidth: 1,
+        borderTopColor: 'rgba(148,163,184,0.3)',
+        marginTop: 4,
+        paddingTop: 8,
+    },
+    rowLabel: {
+        fontSize: 13,
+        color: '#94a3b8',
+    },
+    rowLabelTotal: {
+        fontWeight: '700',
+    },
+    rowValue: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#f8fafc',
+    },
+    rowValueTotal: {
+        fontSize: 15,
+        fontWeight: '700',
+    },
+    meta: {
+        fontSize: 12,
+        color: '#94a3b8',
+        marginTop: 6,
+    },
+    actions: {
+        flexDirection: 'row',
+        gap: 8,
+        marginTop: 12,
+    },
+    exportBtn: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderRadius: 8,
+        backgroundColor: '#3b82f6',
+    },
+    exportBtnDisabled: {
+        opacity: 0.5,
+    },
+    exportBtnText: {
+        color: '#fff',
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    textLight: {
+        color: '#0f172a',
+    },
+    mutedLight: {
+        color: '#64748b',
+    },
+});
@@ -0,0 +1,226 @@
+import React from 'react';
+import { StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalization } from '../../contexts/LocalizationContext';
+import {
+    LINE_ITEM_KINDS,
+    LINE_ITEM_KIND_LABELS,
+    MAX_LINE_ITEMS,
+    createLineItem,
+    getLineAmount,
+    sumLineItems,
+} from '../../utils/lineItems';
+
+const sanitizeNumber = (value) => String(value || '').replace(/[^0-9.,]/g, '');
+
+/**
+ * Line Items Editor
+ * Completion breakdown rows (labor, materials with quantity x unit price, extra call-out)
+ * with a running total. Rows stay as editor strings; normalize with validateLineItems before saving.
+ */
+export default function LineItemsEditor({ items = [], onChange, isDark = true, disabled = false }) {
+    const { t } = useLocalization();
+    const safeT = (key, fallback) => {
+        const value = t(key);
+        return value && value !== key ? value : fallback;
+    };
+    const total = sumLineItems(items.map((item) => ({ amount: getLineAmount(item) })));
+    const canAdd = !disabled && items.length < MAX_LINE_ITEMS;
+
+    const updateItem = (id, patch) => {
+        onChange?.(items.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+    };
+
+    const removeItem = (id) => {
+        if (disabled) return;
+        onChange?.(items.filter((item) => item.id !== id));
+    };
+
+    const addItem = (kind) => {
+        if (!canAdd) return;
+        onChange?.([...items, createLineItem(kind)]);
+    };
+
+    const inputStyle = [styles.input, !isDark && styles.inputLight];
+
+    return (
+        <View style={styles.container}>
+            <Text style={[styles.label, !isDark && styles.labelLight]}>
+                {safeT('lineItemsTitle', 'Work and materials')}
+            </Text>
+            {items.map((item) => {
+                const kindLabel = LINE_ITEM_KIND_LABELS[item.kind] || LINE_ITEM_KIND_LABELS[LINE_ITEM_KINDS.LABOR];
+                const isMaterial = item.kind === LINE_ITEM_KINDS.MATERIAL;
+                const amount = getLineAmount(item);
+                return (
+                    <View key={item.id} style={[styles.row, !isDark && styles.rowLight]}>
+                        <View style={styles.rowHeader}>
+                            <Text style={[styles.kind, !isDark && styles.labelLight]}>{safeT(kindLabel.key, kindLabel.fallback)}</Text>
+                            <Text style={[styles.amount, !isDark && styles.amountLight]}>{amount ?? '—'}</Text>
+                            <TouchableOpacity onPress={() => removeItem(item.id)} disabled={disabled} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                                <Ionicons name="close-circle" size={18} color="#94a3b8" />
+                            </TouchableOpacity>
+                        </View>
+                        <TextInput
+                            style={inputStyle}
+                            value={item.description}
+                            onChangeText={(text) => updateItem(item.id, { description: text })}
+                            placeholder={safeT('lineItemDescription', 'Description')}
+                            placeholderTextColor="#64748b"
+                            editable={!disabled}
+                        />
+                        <View style={styles.numbersRow}>
+                            {isMaterial && (
+                                <TextInput
+                                    style={[inputStyle, styles.numberInput]}
+                                    value={String(item.quantity ?? '')}
+                                    onChangeText={(text) => updateItem(item.id, { quantity: sanitizeNumber(text) })}
+                                    placeholder={safeT('lineItemQuantity', 'Qty')}
+                                    placeholderTextColor="#64748b"
+                                    keyboardType="numeric"
+                                    editable={!disabled}
+                                />
+                            )}
+                            <TextInput
+                                style={[inputStyle, styles.numberInput]}
+                                value={String(item.unit_price ?? '')}
+                                onChangeText={(text) => updateItem(item.id, { unit_price: sanitizeNumber(text) })}
+                                placeholder={isMaterial ? safeT('lineItemUnitPrice', 'Unit price') : safeT('lineItemAmount', 'Amount')}
+                                placeholderTextColor="#64748b"
+                                keyboardType="numeric"
+                                editable={!disabled}
+                            />
+                        </View>
+                    </View>
+                );
+            })}
+            <View style={styles.addRow}>
+                {Object.values(LINE_ITEM_KINDS).map((kind) => (
+                    <TouchableOpacity
+                        key={kind}
+                        style={[styles.addBtn, !isDark && styles.addBtnLight, !canAdd && styles.disabled]}
+                        onPress={() => addItem(kind)}
+                        disabled={!canAdd}
+                    >
+                        <Ionicons name="add" size={14} color="#3b82f6" />
+                        <Text style={styles.addText}>{safeT(LINE_ITEM_KIND_LABELS[kind].key, LINE_ITEM_KIND_LABELS[kind].fallback)}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+            <View style={styles.totalRow}>
+                <Text style={[styles.totalLabel, !isDark && styles.labelLight]}>{safeT('lineItemsTotal', 'Total')}</Text>
+                <Text style={[styles.totalValue, !isDark && styles.amountLight]}>{total}</Text>
+            </View>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 4,
+        marginBottom: 8,
+    },
+    label: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#94a3b8',
+        marginBottom: 6,
+    },
+    labelLight: {
+        color: '#64748b',
+    },
+    row: {
+        borderWidth: 1,
+        borderColor: '#334155',
+        borderRadius: 10,
+        padding: 8,
+        marginBottom: 8,
+        gap: 6,
+    },
+    rowLight: {
+        borderColor: '#e2e8f0',
+    },
+    rowHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+    },
+    kind: {
+        flex: 1,
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#cbd5e1',
+        textTransform: 'uppercase',
+    },
+    amount: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#e2e8f0',
+    },
+    amountLight: {
+        color: '#0f172a',
+    },
+    input: {
+        borderWidth: 1,
+        borderColor: '#334155',
+        borderRadius: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 8,
+        fontSize: 13,
+        color: '#e2e8f0',
+        backgroundColor: 'rgba(15,23,42,0.6)',
+    },
+    inputLight: {
+        borderColor: '#e2e8f0',
+        color: '#0f172a',
+        backgroundColor: '#fff',
+    },
+    numbersRow: {
+        flexDirection: 'row',
+        gap: 6,
+    },
+    numberInput: {
+        flex: 1,
+    },
+    addRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 6,
+    },
+    addBtn: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        borderRadius: 14,
+        borderWidth: 1,
+        borderColor: 'rgba(59,130,246,0.4)',
+    },
+    addBtnLight: {
+        borderColor: '#bfdbfe',
+    },
+    addText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#3b82f6',
+    },
+    disabled: {
+        opacity: 0.5,
+    },
+    totalRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginTop: 10,
+    },
+    totalLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#94a3b8',
+    },
+    totalValue: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#e2e8f0',
+    },
+});
@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Linking, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalization } from '../../contexts/LocalizationContext';
+import locationService from '../../services/location';
+import { buildMapsUrl, formatCoords, parseCoordsInput } from '../../utils/geo';
+
+/**
+ * Location Picker
+ * Optional order pin: paste "lat, lng" from a maps app or use the device location.
+ * `value` is { latitude, longitude } or null; invalid text reports null to the caller.
+ */
+export default function LocationPicker({
+    label,
+    value = null,
+    onChange,
+    onError,
+    isDark = true,
+    disabled = false,
+}) {
+    const { t } = useLocalization();
+    const safeT = (key, fallback) => {
+        const translated = t(key);
+        return translated && translated !== key ? translated : fallback;
+    };
+    const [text, setText] = useState(formatCoords(value));
+    const [locating, setLocating] = useState(false);
+    const parsed = parseCoordsInput(text);
+    const isInvalid = !!text.trim() && !parsed;
+
+    // Keep the field in sync when the parent resets or fills the form.
+    useEffect(() => {
+        setText((prev) => {
+            const current = parseCoordsInput(prev);
+            if (!value) return current ? '' : prev;
+            const sameValue = current
+                && current.latitude === value.latitude
+                && current.longitude === value.longitude;
+            return sameValue ? prev : formatCoords(value);
+        });
+    }, [value?.latitude, value?.longitude]);
+
+    const handleChangeText = (next) => {
+        setText(next);
+        onChange?.(parseCoordsInput(next));
+    };
+
+    const handleUseCurrent = async () => {
+        if (disabled || locating) return;
+        setLocating(true);
+        try {
+            const result = await locationService.getCurrentCoords();
+            if (result.success) {
+                setText(formatCoords(result.coords));
+                onChange?.(result.coords);
+            } else {
+                onError?.(result.message);
+            }
+        } finally {
+            setLocating(false);
+        }
+    };
+
+    const mapsUrl = buildMapsUrl(parsed);
+
+    return (
+        <View style={styles.container}>
+            {!!label && (
+                <Text style={[styles.label, !isDark && styles.labelLight]}>{label}</Text>
+            )}
+            <View style={styles.row}>
+                <TextInput
+                    style={[styles.input, !isDark && styles.inputLight, isInvalid && styles.inputInvalid]}
+                    placeholder="42.8746, 74.5698"
+                    placeholderTextColor={isDark ? '#64748b' : '#94a3b8'}
+                    value={text}
+                    onChangeText={handleChangeText}
+                    editable={!disabled}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                />
+                <TouchableOpacity
+                    style={[styles.iconBtn, !isDark && styles.iconBtnLight, (disabled || locating) && styles.iconBtnDisabled]}
+                    onPress={handleUseCurrent}
+                    disabled={disabled || locating}
+                >
+                    {locating ? (
+                        <ActivityIndicator size="small" color="#3b82f6" />
+                    ) : (
+                        <Ionicons name="locate-outline" size={18} color="#3b82f6" />
+                    )}
+                </TouchableOpacity>
+                {!!mapsUrl && (
+                    <TouchableOpacity
+                        style={[styles.iconBtn, !isDark && styles.iconBtnLight]}
+                        onPress={() => Linking.openURL(mapsUrl)}
+                    >
+                        <Ionicons name="map-outline" size={18} color="#3b82f6" />
+                    </TouchableOpacity>
+                )}
+            </View>
+            <Text style={[styles.hint, isInvalid && styles.hintInvalid]}>
+                {isInvalid
+                    ? safeT('locationInvalid', 'Enter latitude and longitude, e.g. 42.8746, 74.5698')
+                    : safeT('locationHint', 'Optional. Paste coordinates from a map or use your location')}
+            </Text>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 8,
+        marginBottom: 4,
+    },
+    label: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#94a3b8',
+        marginBottom: 6,
+    },
+    labelLight: {
+        color: '#64748b',
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+    },
+    input: {
+        flex: 1,
+        borderWidth: 1,
+        borderColor: '#334155',
+        borderRadius: 10,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 14,
+        color: '#e2e8f0',
+        backgroundColor: '#0f172a',
+    },
+    inputLight: {
+        borderColor: '#cbd5e1',
+        color: '#0f172a',
+        backgroundColor: '#ffffff',
+    },
+    inputInvalid: {
+        borderColor: '#ef4444',
+    },
+    iconBtn: {
+        width: 40,
+        height: 40,
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: '#334155',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    iconBtnLight: {
+        borderColor: '#cbd5e1',
+        backgroundColor: '#f8fafc',
+    },
+    iconBtnDisabled: {
+        opacity: 0.5,
+    },
+    hint: {
+        fontSize: 11,
+        color: '#64748b',
+        marginTop: 4,
+    },
+    hintInvalid: {
+        color: '#ef4444',
+    },
+});
@@ -0,0 +1,300 @@
+import React, { useMemo } from 'react';
+import { ActivityIndicator, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { useLocalization } from '../../contexts/LocalizationContext';
+import { STATUS_COLORS, getOrderStatusLabel, getServiceLabel } from '../../utils/orderHelpers';
+import {
+    AGENDA_VIEWS,
+    buildAgendaDays,
+    formatSlotTime,
+    isSameDay,
+    shiftAgendaAnchor,
+} from '../../utils/orderAgenda';
+
+const getLocale = (language) => (language === 'ru' ? 'ru-RU' : (language === 'kg' ? 'ky-KG' : 'en-US'));
+
+/**
+ * Order Agenda
+ * Day/week list of planned orders by preferred slot; overlapping slots of the same master are flagged.
+ * Controlled: the parent owns `view` and `anchorDate` (and loads orders for the visible range if needed).
+ */
+export default function OrderAgenda({
+    orders = [],
+    view = AGENDA_VIEWS.WEEK,
+    anchorDate,
+    onChangeView,
+    onChangeAnchor,
+    onOpenOrder,
+    isDark = true,
+    showMaster = false,
+    loading = false,
+}) {
+    const { t, language } = useLocalization();
+    const safeT = (key, fallback) => {
+        const value = t(key);
+        return value && value !== key ? value : fallback;
+    };
+    const anchor = anchorDate || new Date();
+    const days = useMemo(
+        () => buildAgendaDays(orders, { anchorDate: anchor, view }),
+        [orders, anchor, view]
+    );
+    const conflictCount = days.reduce((sum, day) => sum + day.items.filter((item) => item.conflict).length, 0);
+    const locale = getLocale(language);
+    const today = new Date();
+
+    const rangeLabel = view === AGENDA_VIEWS.DAY
+        ? anchor.toLocaleDateString(locale, { weekday: 'short', day: '2-digit', month: 'short' })
+        : `${days[0].date.toLocaleDateString(locale, { day: '2-digit', month: 'short' })} – ${days[days.length - 1].date.toLocaleDateString(locale, { day: '2-digit', month: 'short' })}`;
+
+    const renderViewButton = (value, label) => {
+        const active = view === value;
+        return (
+            <TouchableOpacity
+                key={value}
+                style={[styles.viewBtn, !isDark && styles.viewBtnLight, active && styles.viewBtnActive]}
+                onPress={() => onChangeView?.(value)}
+            >
+                <Text style={[styles.viewBtnText, !isDark && !active && styles.textLight, active && styles.viewBtnTextActive]}>
+                    {label}
+                </Text>
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <View style={styles.toolbar}>
+                <View style={styles.viewSwitch}>
+                    {renderViewButton(AGENDA_VIEWS.DAY, safeT('agendaDay', 'Day'))}
+                    {renderViewButton(AGENDA_VIEWS.WEEK, safeT('agendaWeek', 'Week'))}
+                </View>
+                <View style={styles.nav}>
+                    <TouchableOpacity style={[styles.navBtn, !isDark && styles.viewBtnLight]} onPress={() => onChangeAnchor?.(shiftAgendaAnchor(anchor, view, -1))}>
+                        <Text style={[styles.navBtnText, !isDark && styles.textLight]}>‹</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={[styles.navBtn, !isDark && styles.viewBtnLight]} onPress={() => onChangeAnchor?.(new Date())}>
+                        <Text style={[styles.navBtnText, !isDark && styles.textLight]}>{safeT('agendaToday', 'Today')}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={[styles.navBtn, !isDark && styles.viewBtnLight]} onPress={() => onChangeAnchor?.(shiftAgendaAnchor(anchor, view, 1))}>
+                        <Text style={[styles.navBtnText, !isDark && styles.textLight]}>›</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+            <View style={styles.rangeRow}>
+                <Text style={[styles.rangeText, !isDark && styles.textLight]}>{rangeLabel}</Text>
+                {loading && <ActivityIndicator size="small" color="#3b82f6" />}
+                {conflictCount > 0 && (
+                    <Text style={styles.conflictSummary}>
+                        {safeT('agendaConflictsCount', 'Time conflicts: {0}').replace('{0}', String(conflictCount))}
+                    </Text>
+                )}
+            </View>
+
+            {days.map((day) => {
+                const isToday = isSameDay(day.date, today);
+                return (
+                    <View key={day.key} style={[styles.day, !isDark && styles.dayLight, isToday && styles.dayToday]}>
+                        <Text style={[styles.dayTitle, !isDark && styles.textLight, isToday && styles.dayTitleToday]}>
+                            {day.date.toLocaleDateString(locale, { weekday: 'short', day: '2-digit', month: 'short' })}
+                        </Text>
+                        {!day.items.length ? (
+                            <Text style={[styles.empty, !isDark && styles.mutedLight]}>
+                                {safeT('agendaNoOrders', 'No planned orders')}
+                            </Text>
+                        ) : (
+                            day.items.map(({ order, hasTime, conflict }) => (
+                                <TouchableOpacity
+                                    key={order.id}
+                                    style={[styles.item, !isDark && styles.itemLight, conflict && styles.itemConflict]}
+                                    onPress={() => onOpenOrder?.(order)}
+                                    disabled={!onOpenOrder}
+                                >
+                                    <Text style={[styles.time, !isDark && styles.textLight]}>
+                                        {hasTime ? formatSlotTime(order.preferred_time) : safeT('agendaAnyTime', 'Any time')}
+                                    </Text>
+                                    <View style={styles.itemBody}>
+                                        <Text style={[styles.service, !isDark && styles.textLight]} numberOfLines={1}>
+                                            {getServiceLabel(order.service_type, t)}
+                                            {order.area ? ` · ${order.area}` : ''}
+                                        </Text>
+                                        {showMaster && (
+                                            <Text style={[styles.meta, !isDark && styles.mutedLight]} numberOfLines={1}>
+                                                {order.master?.full_name || safeT('agendaUnassigned', 'No master yet')}
+                                            </Text>
+                                        )}
+                                        {conflict && (
+                                            <Text style={styles.conflictText}>
+                                                {safeT('agendaTimeConflict', 'Overlaps another order of this master')}
+                                            </Text>
+                                        )}
+                                    </View>
+                                    <View style={[styles.status, { backgroundColor: STATUS_COLORS[order.status] || '#64748b' }]}>
+                                        <Text style={styles.statusText}>{getOrderStatusLabel(order.status, t)}</Text>
+                                    </View>
+                                </TouchableOpacity>
+                            ))
+                        )}
+                    </View>
+                );
+            })}
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 8,
+    },
+    toolbar: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: 8,
+    },
+    viewSwitch: {
+        flexDirection: 'row',
+        gap: 6,
+    },
+    viewBtn: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 8,
+        backgroundColor: 'rgba(71,85,105,0.4)',
+    },
+    viewBtnLight: {
+        backgroundColor: '#e2e8f0',
+    },
+    viewBtnActive: {
+        backgroundColor: '#3b82f6',
+    },
+    viewBtnText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#e2e8f0',
+    },
+    viewBtnTextActive: {
+        color: '#ffffff',
+    },
+    nav: {
+        flexDirection: 'row',
+        gap: 6,
+    },
+    navBtn: {
+        minWidth: 32,
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        borderRadius: 8,
+        alignItems: 'center',
+        backgroundColor: 'rgba(71,85,105,0.4)',
+    },
+    navBtnText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#e2e8f0',
+    },
+    rangeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginTop: 10,
+        marginBottom: 6,
+    },
+    rangeText: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#e2e8f0',
+    },
+    conflictSummary: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#ef4444',
+    },
+    day: {
+        borderWidth: 1,
+        borderColor: '#334155',
+        borderRadius: 10,
+        padding: 10,
+        marginTop: 8,
+    },
+    dayLight: {
+        borderColor: '#e2e8f0',
+        backgroundColor: '#ffffff',
+    },
+    dayToday: {
+        borderColor: '#3b82f6',
+    },
+    dayTitle: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#cbd5e1',
+        marginBottom: 6,
+        textTransform: 'capitalize',
+    },
+    dayTitleToday: {
+        color: '#3b82f6',
+    },
+    empty: {
+        fontSize: 12,
+        color: '#64748b',
+    },
+    item: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 10,
+        paddingVertical: 8,
+        paddingHorizontal: 8,
+        borderRadius: 8,
+        borderLeftWidth: 3,
+        borderLeftColor: 'transparent',
+        backgroundColor: 'rgba(30,41,59,0.6)',
+        marginTop: 4,
+    },
+    itemLight: {
+        backgroundColor: '#f8fafc',
+    },
+    itemConflict: {
+        borderLeftColor: '#ef4444',
+        backgroundColor: 'rgba(239,68,68,0.12)',
+    },
+    time: {
+        width: 56,
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#e2e8f0',
+    },
+    itemBody: {
+        flex: 1,
+    },
+    service: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#e2e8f0',
+    },
+    meta: {
+        fontSize: 11,
+        color: '#94a3b8',
+        marginTop: 2,
+    },
+    conflictText: {
+        fontSize: 11,
+        fontWeight: '600',
+        color: '#ef4444',
+        marginTop: 2,
+    },
+    status: {
+        paddingHorizontal: 6,
+        paddingVertical: 3,
+        borderRadius: 6,
+    },
+    statusText: {
+        fontSize: 10,
+        fontWeight: '700',
+        color: '#ffffff',
+    },
+    textLight: {
+        color: '#0f172a',
+    },
+    mutedLight: {
+        color: '#64748b',
+    },
+});
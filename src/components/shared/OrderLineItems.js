@@ -0,0 +1,191 @@
+import React from 'react';
+import { StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalization } from '../../contexts/LocalizationContext';
+import { LINE_ITEM_KINDS, LINE_ITEM_KIND_LABELS, normalizeLineItems, sumLineItems } from '../../utils/lineItems';
+
+/**
+ * Order Line Items
+ * Read-only completion breakdown. With `selectable`, lines can be ticked (dispute reports);
+ * with `onAdjust`, disputed lines (all lines when none are recorded) get an amount input.
+ */
+export default function OrderLineItems({
+    items,
+    finalPrice = null,
+    isDark = true,
+    selectable = false,
+    selectedIds = [],
+    onToggle,
+    disputedIds = [],
+    adjustments = {},
+    onAdjust,
+}) {
+    const { t } = useLocalization();
+    const safeT = (key, fallback) => {
+        const value = t(key);
+        return value && value !== key ? value : fallback;
+    };
+    const lines = normalizeLineItems(items);
+    if (!lines.length) return null;
+
+    const total = sumLineItems(lines);
+    const price = Number(finalPrice);
+    const hasMismatch = finalPrice !== null && finalPrice !== undefined && Number.isFinite(price) && price !== total;
+    const selected = new Set(selectedIds || []);
+    const disputed = new Set(disputedIds || []);
+
+    return (
+        <View style={[styles.container, !isDark && styles.containerLight]}>
+            <Text style={[styles.title, !isDark && styles.mutedLight]}>{safeT('lineItemsTitle', 'Work and materials')}</Text>
+            {lines.map((line) => {
+                const kindLabel = LINE_ITEM_KIND_LABELS[line.kind];
+                const isSelected = selected.has(line.id);
+                const isDisputed = disputed.has(line.id);
+                // Without recorded disputed lines every line can be adjusted.
+                const showAdjust = Boolean(onAdjust) && (isDisputed || disputed.size === 0);
+                const detail = line.kind === LINE_ITEM_KINDS.MATERIAL
+                    ? `${line.quantity} x ${line.unit_price}`
+                    : safeT(kindLabel.key, kindLabel.fallback);
+                const content = (
+                    <>
+                        {selectable && (
+                            <Ionicons
+                                name={isSelected ? 'checkbox' : 'square-outline'}
+                                size={18}
+                                color={isSelected ? '#ef4444' : '#94a3b8'}
+                                style={styles.checkbox}
+                            />
+                        )}
+                        <View style={styles.lineBody}>
+                            <Text style={[styles.description, !isDark && styles.textLight]} numberOfLines={2}>{line.description}</Text>
+                            <Text style={[styles.detail, !isDark && styles.mutedLight]}>
+                                {detail}
+                                {line.adjusted_from !== undefined ? ` · ${safeT('lineItemAdjustedFrom', 'was')} ${line.adjusted_from}` : ''}
+                            </Text>
+                        </View>
+                        {showAdjust ? (
+                            <TextInput
+                                style={[styles.adjustInput, !isDark && styles.adjustInputLight]}
+                                value={adjustments?.[line.id] ?? ''}
+                                onChangeText={(text) => onAdjust(line.id, text.replace(/[^0-9.]/g, ''))}
+                                placeholder={String(line.amount)}
+                                placeholderTextColor="#64748b"
+                                keyboardType="numeric"
+                            />
+                        ) : (
+                            <Text style={[styles.amount, !isDark && styles.textLight]}>{line.amount}</Text>
+                        )}
+                    </>
+                );
+                const rowStyle = [styles.line, (isSelected || isDisputed) && styles.lineDisputed];
+                return selectable ? (
+                    <TouchableOpacity key={line.id} style={rowStyle} onPress={() => onToggle?.(line.id)}>
+                        {content}
+                    </TouchableOpacity>
+                ) : (
+                    <View key={line.id} style={rowStyle}>{content}</View>
+                );
+            })}
+            <View style={styles.totalRow}>
+                <Text style={[styles.title, !isDark && styles.mutedLight]}>{safeT('lineItemsTotal', 'Total')}</Text>
+                <Text style={[styles.total, !isDark && styles.textLight]}>{total}</Text>
+            </View>
+            {hasMismatch && (
+                <Text style={styles.warning}>
+                    {safeT('lineItemsMismatch', 'Lines add up to {0}, final price is {1}').replace('{0}', total).replace('{1}', price)}
+                </Text>
+            )}
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        borderWidth: 1,
+        borderColor: '#334155',
+        borderRadius: 10,
+        padding: 10,
+        marginVertical: 8,
+    },
+    containerLight: {
+        borderColor: '#e2e8f0',
+    },
+    title: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#94a3b8',
+        marginBottom: 6,
+    },
+    line: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 6,
+        paddingHorizontal: 4,
+        borderRadius: 6,
+    },
+    lineDisputed: {
+        backgroundColor: 'rgba(239,68,68,0.12)',
+    },
+    checkbox: {
+        marginRight: 8,
+    },
+    lineBody: {
+        flex: 1,
+        marginRight: 8,
+    },
+    description: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#e2e8f0',
+    },
+    detail: {
+        fontSize: 11,
+        color: '#94a3b8',
+        marginTop: 2,
+    },
+    amount: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#e2e8f0',
+    },
+    adjustInput: {
+        width: 80,
+        borderWidth: 1,
+        borderColor: '#334155',
+        borderRadius: 6,
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        fontSize: 13,
+        color: '#e2e8f0',
+        textAlign: 'right',
+    },
+    adjustInputLight: {
+        borderColor: '#cbd5e1',
+        color: '#0f172a',
+    },
+    totalRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        borderTopWidth: 1,
+        borderTopColor: 'rgba(148,163,184,0.2)',
+        marginTop: 6,
+        paddingTop: 8,
+    },
+    total: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: '#e2e8f0',
+    },
+    warning: {
+        fontSize: 11,
+        color: '#f59e0b',
+        marginTop: 6,
+    },
+    textLight: {
+        color: '#0f172a',
+    },
+    mutedLight: {
+        color: '#64748b',
+    },
+});
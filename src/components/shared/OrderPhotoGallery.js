@@ -0,0 +1,138 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ActivityIndicator, Image, Modal, Pressable, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { useLocalization } from '../../contexts/LocalizationContext';
+import orderPhotosService, { PHOTO_KINDS } from '../../services/orderPhotos';
+
+const KIND_LABELS = {
+    [PHOTO_KINDS.PROBLEM]: { key: 'photoKindProblem', fallback: 'Problem' },
+    [PHOTO_KINDS.BEFORE]: { key: 'photoKindBefore', fallback: 'Before' },
+    [PHOTO_KINDS.AFTER]: { key: 'photoKindAfter', fallback: 'After' },
+    [PHOTO_KINDS.EVIDENCE]: { key: 'photoKindEvidence', fallback: 'Evidence' },
+};
+
+/**
+ * Order Photo Gallery
+ * Read-only view of an order's photos grouped by kind, with a full-size preview.
+ * Renders nothing when the order has no photos. Bump `reloadKey` to refetch after an upload.
+ */
+export default function OrderPhotoGallery({ orderId, isDark = true, title, reloadKey = 0 }) {
+    const { t } = useLocalization();
+    const safeT = (key, fallback) => {
+        const value = t(key);
+        return value && value !== key ? value : fallback;
+    };
+    const [photos, setPhotos] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [preview, setPreview] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setPhotos([]);
+        if (!orderId) return undefined;
+        setLoading(true);
+        orderPhotosService.getOrderPhotos(orderId)
+            .then((rows) => {
+                if (!cancelled) setPhotos(rows);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [orderId, reloadKey]);
+
+    const groups = useMemo(() => (
+        Object.values(PHOTO_KINDS)
+            .map((kind) => ({ kind, items: photos.filter((photo) => photo.kind === kind) }))
+            .filter((group) => group.items.length > 0)
+    ), [photos]);
+
+    if (loading) {
+        return (
+            <View style={styles.container}>
+                <ActivityIndicator size="small" color="#3b82f6" />
+            </View>
+        );
+    }
+    if (!groups.length) return null;
+
+    return (
+        <View style={styles.container}>
+            <Text style={[styles.title, !isDark && styles.titleLight]}>
+                {title || safeT('sectionPhotos', 'Photos')}
+            </Text>
+            {groups.map((group) => (
+                <View key={group.kind} style={styles.group}>
+                    <Text style={[styles.kindLabel, !isDark && styles.kindLabelLight]}>
+                        {safeT(KIND_LABELS[group.kind].key, KIND_LABELS[group.kind].fallback)} ({group.items.length})
+                    </Text>
+                    <View style={styles.row}>
+                        {group.items.map((photo) => (
+                            <TouchableOpacity key={photo.id} onPress={() => setPreview(photo)}>
+                                <Image source={{ uri: photo.url }} style={styles.thumb} />
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                </View>
+            ))}
+            <Modal visible={!!preview} transparent animationType="fade" onRequestClose={() => setPreview(null)}>
+                <Pressable style={styles.previewOverlay} onPress={() => setPreview(null)}>
+                    {!!preview && (
+                        <Image source={{ uri: preview.url }} style={styles.previewImage} resizeMode="contain" />
+                    )}
+                </Pressable>
+            </Modal>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 12,
+    },
+    title: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#e2e8f0',
+        marginBottom: 8,
+    },
+    titleLight: {
+        color: '#0f172a',
+    },
+    group: {
+        marginBottom: 8,
+    },
+    kindLabel: {
+        fontSize: 11,
+        fontWeight: '600',
+        color: '#94a3b8',
+        marginBottom: 4,
+        textTransform: 'uppercase',
+    },
+    kindLabelLight: {
+        color: '#64748b',
+    },
+    row: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    thumb: {
+        width: 72,
+        height: 72,
+        borderRadius: 8,
+        backgroundColor: '#1e293b',
+    },
+    previewOverlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.9)',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: 16,
+    },
+    previewImage: {
+        width: '100%',
+        height: '100%',
+    },
+});
@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, StyleSheet, Text, View } from 'react-native';
+import { useLocalization } from '../../contexts/LocalizationContext';
+import ordersService from '../../services/orders';
+import { STATUS_COLORS, getOrderStatusLabel } from '../../utils/orderHelpers';
+import { TIMELINE_EVENTS, TIMELINE_EVENT_LABELS } from '../../utils/orderTimeline';
+
+const EVENT_COLORS = {
+    [TIMELINE_EVENTS.CREATED]: STATUS_COLORS.placed,
+    [TIMELINE_EVENTS.CLAIMED]: STATUS_COLORS.claimed,
+    [TIMELINE_EVENTS.STARTED]: STATUS_COLORS.started,
+    [TIMELINE_EVENTS.COMPLETED]: STATUS_COLORS.completed,
+    [TIMELINE_EVENTS.CONFIRMED]: STATUS_COLORS.confirmed,
+    [TIMELINE_EVENTS.CANCELED]: STATUS_COLORS.canceled_by_master,
+    [TIMELINE_EVENTS.REOPENED]: STATUS_COLORS.reopened,
+    [TIMELINE_EVENTS.EXPIRED]: STATUS_COLORS.expired,
+    [TIMELINE_EVENTS.UNASSIGNED]: '#ef4444',
+    [TIMELINE_EVENTS.REASSIGNED]: '#f59e0b',
+    [TIMELINE_EVENTS.TRANSFERRED]: '#0ea5e9',
+    [TIMELINE_EVENTS.REPRICED]: '#22c55e',
+};
+
+const PRICE_FIELD_LABELS = {
+    initial_price: { key: 'initialPrice', fallback: 'Initial Price' },
+    callout_fee: { key: 'calloutFee', fallback: 'Call-out Fee' },
+    final_price: { key: 'finalPrice', fallback: 'Final Price' },
+};
+
+const formatStamp = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    const pad = (num) => String(num).padStart(2, '0');
+    return `${pad(date.getDate())}.${pad(date.getMonth() + 1)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatPrice = (value) => (value === null || value === undefined ? '—' : String(value));
+
+/**
+ * Order Timeline
+ * Chronological order history (who claimed, started, completed, reassigned, transferred or repriced, and when).
+ * Reloads when `refreshKey` changes so status updates in the parent show up without reopening.
+ */
+export default function OrderTimeline({ orderId, isDark = true, title, refreshKey }) {
+    const { t } = useLocalization();
+    const safeT = (key, fallback) => {
+        const value = t(key);
+        return value && value !== key ? value : fallback;
+    };
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        if (!orderId) {
+            setEvents([]);
+            return undefined;
+        }
+        setLoading(true);
+        ordersService.getOrderTimeline(orderId)
+            .then((rows) => {
+                if (!cancelled) setEvents(rows);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [orderId, refreshKey]);
+
+    const describeEvent = (event) => {
+        if (event.type === TIMELINE_EVENTS.REPRICED) {
+            return event.priceChanges
+                .map((change) => {
+                    const label = PRICE_FIELD_LABELS[change.field];
+                    return `${safeT(label.key, label.fallback)}: ${formatPrice(change.from)} → ${formatPrice(change.to)}`;
+                })
+                .join('\n');
+        }
+        if (event.type === TIMELINE_EVENTS.STATUS_CHANGED && event.toStatus) {
+            return `${getOrderStatusLabel(event.fromStatus, t) || '—'} → ${getOrderStatusLabel(event.toStatus, t)}`;
+        }
+        return '';
+    };
+
+    return (
+        <View style={styles.container}>
+            <Text style={[styles.title, !isDark && styles.titleLight]}>
+                {title || safeT('timelineTitle', 'History')}
+            </Text>
+            {loading && !events.length ? (
+                <ActivityIndicator size="small" color="#3b82f6" />
+            ) : !events.length ? (
+                <Text style={[styles.empty, !isDark && styles.mutedLight]}>
+                    {safeT('timelineEmpty', 'No history yet')}
+                </Text>
+            ) : (
+                events.map((event, index) => {
+                    const label = TIMELINE_EVENT_LABELS[event.type] || TIMELINE_EVENT_LABELS[TIMELINE_EVENTS.EDITED];
+                    const detail = describeEvent(event);
+                    const isLast = index === events.length - 1;
+                    return (
+                        <View key={`${event.id}-${index}`} style={styles.row}>
+                            <View style={styles.rail}>
+                                <View style={[styles.dot, { backgroundColor: EVENT_COLORS[event.type] || '#64748b' }]} />
+                                {!isLast && <View style={[styles.line, !isDark && styles.lineLight]} />}
+                            </View>
+                            <View style={styles.body}>
+                                <View style={styles.headerRow}>
+                                    <Text style={[styles.label, !isDark && styles.labelLight]}>
+                                        {safeT(label.key, label.fallback)}
+                                    </Text>
+                                    <Text style={[styles.stamp, !isDark && styles.mutedLight]}>{formatStamp(event.at)}</Text>
+                                </View>
+                                {!!event.actorName && (
+                                    <Text style={[styles.meta, !isDark && styles.mutedLight]}>
+                                        {event.actorName}{event.actorRole ? ` · ${event.actorRole}` : ''}
+                                    </Text>
+                                )}
+                                {!!detail && (
+                                    <Text style={[styles.meta, !isDark && styles.mutedLight]}>{detail}</Text>
+                                )}
+                            </View>
+                        </View>
+                    );
+                })
+            )}
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 12,
+    },
+    title: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#e2e8f0',
+        marginBottom: 8,
+    },
+    titleLight: {
+        color: '#0f172a',
+    },
+    empty: {
+        fontSize: 12,
+        color: '#94a3b8',
+    },
+    row: {
+        flexDirection: 'row',
+    },
+    rail: {
+        width: 16,
+        alignItems: 'center',
+    },
+    dot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginTop: 4,
+    },
+    line: {
+        flex: 1,
+        width: 2,
+        marginVertical: 2,
+        backgroundColor: '#334155',
+    },
+    lineLight: {
+        backgroundColor: '#e2e8f0',
+    },
+    body: {
+        flex: 1,
+        paddingLeft: 8,
+        paddingBottom: 12,
+    },
+    headerRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        gap: 8,
+    },
+    label: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#e2e8f0',
+    },
+    labelLight: {
+        color: '#0f172a',
+    },
+    stamp: {
+        fontSize: 11,
+        color: '#94a3b8',
+    },
+    meta: {
+        fontSize: 12,
+        color: '#94a3b8',
+        marginTop: 2,
+    },
+    mutedLight: {
+        color: '#64748b',
+    },
+});
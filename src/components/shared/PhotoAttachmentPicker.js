@@ -0,0 +1,165 @@
+import React, { useCallback, useState } from 'react';
+import { ActivityIndicator, Image, Platform, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalization } from '../../contexts/LocalizationContext';
+import orderPhotosService from '../../services/orderPhotos';
+import { VALIDATION_RULES } from '../../utils/validation';
+
+/**
+ * Photo Attachment Picker
+ * Thumbnail strip with add (library / camera) and remove actions.
+ * Photos are kept local until the caller uploads them via orderPhotosService.
+ */
+export default function PhotoAttachmentPicker({
+    label,
+    photos = [],
+    onChange,
+    onError,
+    isDark = true,
+    disabled = false,
+    maxPhotos = VALIDATION_RULES.photo.maxPhotos,
+}) {
+    const { t } = useLocalization();
+    const safeT = (key, fallback) => {
+        const value = t(key);
+        return value && value !== key ? value : fallback;
+    };
+    const [picking, setPicking] = useState(false);
+    const canAdd = !disabled && !picking && photos.length < maxPhotos;
+    const canUseCamera = Platform.OS !== 'web';
+
+    const handlePick = useCallback(async (camera) => {
+        if (!canAdd) return;
+        setPicking(true);
+        try {
+            const result = await orderPhotosService.pickPhotos({ currentCount: photos.length, camera });
+            if (result.assets.length) {
+                onChange?.([...photos, ...result.assets].slice(0, maxPhotos));
+            }
+            if (result.errors.length) {
+                onError?.(result.errors.join('. '));
+            }
+        } finally {
+            setPicking(false);
+        }
+    }, [canAdd, maxPhotos, onChange, onError, photos]);
+
+    const handleRemove = (index) => {
+        if (disabled) return;
+        onChange?.(photos.filter((_, i) => i !== index));
+    };
+
+    return (
+        <View style={styles.container}>
+            {!!label && (
+                <Text style={[styles.label, !isDark && styles.labelLight]}>
+                    {label} ({photos.length}/{maxPhotos})
+                </Text>
+            )}
+            <View style={styles.row}>
+                {photos.map((photo, index) => (
+                    <View key={`${photo.uri}-${index}`} style={styles.thumbWrap}>
+                        <Image source={{ uri: photo.uri }} style={styles.thumb} />
+                        {!disabled && (
+                            <TouchableOpacity style={styles.removeBtn} onPress={() => handleRemove(index)}>
+                                <Ionicons name="close" size={12} color="#fff" />
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                ))}
+                {photos.length < maxPhotos && (
+                    <TouchableOpacity
+                        style={[styles.addBtn, !isDark && styles.addBtnLight, !canAdd && styles.addBtnDisabled]}
+                        onPress={() => handlePick(false)}
+                        disabled={!canAdd}
+                    >
+                        {picking ? (
+                            <ActivityIndicator size="small" color="#3b82f6" />
+                        ) : (
+                            <>
+                                <Ionicons name="images-outline" size={20} color={isDark ? '#94a3b8' : '#64748b'} />
+                                <Text style={[styles.addText, !isDark && styles.labelLight]}>{safeT('photoAdd', 'Add')}</Text>
+                            </>
+                        )}
+                    </TouchableOpacity>
+                )}
+                {canUseCamera && photos.length < maxPhotos && (
+                    <TouchableOpacity
+                        style={[styles.addBtn, !isDark && styles.addBtnLight, !canAdd && styles.addBtnDisabled]}
+                        onPress={() => handlePick(true)}
+                        disabled={!canAdd}
+                    >
+                        <Ionicons name="camera-outline" size={20} color={isDark ? '#94a3b8' : '#64748b'} />
+                        <Text style={[styles.addText, !isDark && styles.labelLight]}>{safeT('photoCamera', 'Camera')}</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+        </View>
+    );
+}
+
+const THUMB_SIZE = 64;
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 8,
+        marginBottom: 4,
+    },
+    label: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#94a3b8',
+        marginBottom: 6,
+    },
+    labelLight: {
+        color: '#64748b',
+    },
+    row: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    thumbWrap: {
+        width: THUMB_SIZE,
+        height: THUMB_SIZE,
+        borderRadius: 8,
+        overflow: 'hidden',
+    },
+    thumb: {
+        width: '100%',
+        height: '100%',
+    },
+    removeBtn: {
+        position: 'absolute',
+        top: 2,
+        right: 2,
+        width: 18,
+        height: 18,
+        borderRadius: 9,
+        backgroundColor: 'rgba(15,23,42,0.75)',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    addBtn: {
+        width: THUMB_SIZE,
+        height: THUMB_SIZE,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderStyle: 'dashed',
+        borderColor: '#475569',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 2,
+    },
+    addBtnLight: {
+        borderColor: '#cbd5e1',
+        backgroundColor: '#f8fafc',
+    },
+    addBtnDisabled: {
+        opacity: 0.5,
+    },
+    addText: {
+        fontSize: 10,
+        color: '#94a3b8',
+    },
+});
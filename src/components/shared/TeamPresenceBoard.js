@@ -0,0 +1,254 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { ActivityIndicator, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { useLocalization } from '../../contexts/LocalizationContext';
+import { useTeamPresence } from '../../hooks/useTeamPresence';
+import { formatCaseAge } from '../../utils/disputeCases';
+import { getTimeAgo } from '../../utils/orderHelpers';
+import { PRESENCE_STATUSES, getMinutesInStatus } from '../../utils/teamPresence';
+
+const STATUS_COLORS = {
+    [PRESENCE_STATUSES.ON_JOB]: '#22c55e',
+    [PRESENCE_STATUSES.CLAIMED]: '#3b82f6',
+    [PRESENCE_STATUSES.IDLE]: '#f59e0b',
+    [PRESENCE_STATUSES.UNAVAILABLE]: '#a855f7',
+    [PRESENCE_STATUSES.OFFLINE]: '#64748b',
+};
+
+const TEAM_ROLES = ['master', 'dispatcher'];
+
+/**
+ * Team Presence Board
+ * Masters and dispatchers with online state, current claimed/started order, time in status
+ * and last seen. Updates in realtime; used by the admin People tab and the dispatcher Team tab.
+ */
+export default function TeamPresenceBoard({
+    enabled = true,
+    channelKey,
+    showToast,
+    isDark = true,
+    roles = TEAM_ROLES,
+}) {
+    const { t } = useLocalization();
+    const safeT = useCallback((key, fallback) => {
+        const value = t(key);
+        return value && value !== key ? value : fallback;
+    }, [t]);
+    const { rows, summary, now, loading } = useTeamPresence({ enabled, channelKey, showToast, safeT });
+    const [roleFilter, setRoleFilter] = useState('all');
+    const [onlineOnly, setOnlineOnly] = useState(false);
+
+    const statusLabels = useMemo(() => ({
+        [PRESENCE_STATUSES.ON_JOB]: safeT('presenceOnJob', 'On job'),
+        [PRESENCE_STATUSES.CLAIMED]: safeT('presenceClaimed', 'Claimed'),
+        [PRESENCE_STATUSES.IDLE]: safeT('presenceIdle', 'Online, free'),
+        [PRESENCE_STATUSES.UNAVAILABLE]: safeT('presenceUnavailable', 'Online, off duty'),
+        [PRESENCE_STATUSES.OFFLINE]: safeT('presenceOffline', 'Offline'),
+    }), [safeT]);
+    const roleLabels = {
+        all: safeT('presenceFilterAll', 'All'),
+        master: safeT('presenceFilterMasters', 'Masters'),
+        dispatcher: safeT('presenceFilterDispatchers', 'Dispatchers'),
+    };
+
+    const visibleRows = rows.filter((row) => (
+        roles.includes(row.role)
+        && (roleFilter === 'all' || row.role === roleFilter)
+        && (!onlineOnly || row.online)
+    ));
+
+    const renderChip = (key, label, active, onPress) => (
+        <TouchableOpacity
+            key={key}
+            style={[styles.chip, !isDark && styles.chipLight, active && styles.chipActive]}
+            onPress={onPress}
+        >
+            <Text style={[styles.chipText, !isDark && !active && styles.textLight, active && styles.chipTextActive]}>
+                {label}
+            </Text>
+        </TouchableOpacity>
+    );
+
+    const renderRow = (row) => {
+        const minutes = getMinutesInStatus(row, now);
+        const job = row.activeJob;
+        const jobLine = job
+            ? [`#${String(job.id).slice(0, 8)}`, job.service_type, job.area].filter(Boolean).join(' · ')
+            : '';
+        return (
+            <View key={row.id} style={[styles.row, !isDark && styles.rowLight]}>
+                <View style={[styles.dot, { backgroundColor: STATUS_COLORS[row.status] }]} />
+                <View style={styles.rowBody}>
+                    <View style={styles.rowHeader}>
+                        <Text style={[styles.name, !isDark && styles.textLight]} numberOfLines={1}>{row.name}</Text>
+                        <Text style={[styles.role, !isDark && styles.mutedLight]}>
+                            {row.role === 'dispatcher'
+                                ? safeT('presenceRoleDispatcher', 'Dispatcher')
+                                : safeT('presenceRoleMaster', 'Master')}
+                        </Text>
+                    </View>
+                    <Text style={[styles.status, { color: STATUS_COLORS[row.status] }]}>
+                        {statusLabels[row.status]}
+                        {minutes !== null ? ` · ${formatCaseAge(minutes)}` : ''}
+                        {row.activeJobs > 1
+                            ? ` · ${safeT('presenceActiveJobs', '{0} active').replace('{0}', String(row.activeJobs))}`
+                            : ''}
+                    </Text>
+                    {!!jobLine && (
+                        <Text style={[styles.meta, !isDark && styles.mutedLight]} numberOfLines={1}>{jobLine}</Text>
+                    )}
+                    {!row.online && (
+                        <Text style={[styles.meta, !isDark && styles.mutedLight]}>
+                            {row.lastSeenAt
+                                ? safeT('presenceLastSeen', 'Last seen {0}').replace('{0}', getTimeAgo(row.lastSeenAt, t))
+                                : safeT('presenceNeverSeen', 'Never seen')}
+                        </Text>
+                    )}
+                </View>
+            </View>
+        );
+    };
+
+    return (
+        <View style={[styles.container, !isDark && styles.containerLight]}>
+            <Text style={[styles.title, !isDark && styles.textLight]}>{safeT('presenceTitle', 'Team presence')}</Text>
+            <Text style={[styles.summary, !isDark && styles.mutedLight]}>
+                {safeT('presenceSummary', 'Masters online: {0}/{1} · Dispatchers online: {2}/{3}')
+                    .replace('{0}', String(summary.masters.online))
+                    .replace('{1}', String(summary.masters.total))
+                    .replace('{2}', String(summary.dispatchers.online))
+                    .replace('{3}', String(summary.dispatchers.total))}
+            </Text>
+            <View style={styles.filters}>
+                {roles.length > 1 && ['all', ...roles].map((role) => renderChip(
+                    role,
+                    roleLabels[role],
+                    roleFilter === role,
+                    () => setRoleFilter(role),
+                ))}
+                {renderChip('online', safeT('presenceOnlineOnly', 'Online now'), onlineOnly, () => setOnlineOnly((prev) => !prev))}
+            </View>
+
+            {loading && !rows.length ? (
+                <ActivityIndicator style={styles.loader} color="#3b82f6" />
+            ) : visibleRows.length ? (
+                visibleRows.map(renderRow)
+            ) : (
+                <Text style={[styles.empty, !isDark && styles.mutedLight]}>
+                    {safeT('presenceEmpty', 'Nobody matches the filter')}
+                </Text>
+            )}
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        padding: 16,
+        borderRadius: 12,
+        backgroundColor: 'rgba(30,41,59,0.7)',
+        marginBottom: 12,
+    },
+    containerLight: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    title: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#f8fafc',
+    },
+    summary: {
+        fontSize: 12,
+        color: '#94a3b8',
+        marginTop: 4,
+        marginBottom: 10,
+    },
+    filters: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 6,
+        marginBottom: 10,
+    },
+    chip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 8,
+        backgroundColor: 'rgba(71,85,105,0.4)',
+    },
+    chipLight: {
+        backgroundColor: '#e2e8f0',
+    },
+    chipActive: {
+        backgroundColor: '#3b82f6',
+    },
+    chipText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#e2e8f0',
+    },
+    chipTextActive: {
+        color: '#fff',
+    },
+    loader: {
+        paddingVertical: 16,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        paddingVertical: 10,
+        borderTopWidth: 1,
+        borderTopColor: 'rgba(148,163,184,0.15)',
+    },
+    rowLight: {
+        borderTopColor: '#e2e8f0',
+    },
+    dot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginTop: 5,
+        marginRight: 10,
+    },
+    rowBody: {
+        flex: 1,
+    },
+    rowHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: 8,
+    },
+    name: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#f8fafc',
+    },
+    role: {
+        fontSize: 11,
+        color: '#94a3b8',
+    },
+    status: {
+        fontSize: 12,
+        fontWeight: '600',
+        marginTop: 2,
+    },
+    meta: {
+        fontSize: 12,
+        color: '#94a3b8',
+        marginTop: 2,
+    },
+    empty: {
+        fontSize: 13,
+        color: '#94a3b8',
+        paddingVertical: 12,
+        textAlign: 'center',
+    },
+    textLight: {
+        color: '#0f172a',
+    },
+    mutedLight: {
+        color: '#64748b',
+    },
+});
@@ -4,6 +4,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 
 import { supabase } from '../lib/supabase';
 import authService from '../services/auth';
+import notificationsService from '../services/notifications';
 import { useToast } from './ToastContext';
 import { useLocalization } from './LocalizationContext';
 
@@ -25,6 +26,8 @@ const INACTIVITY_TIMEOUT_MS = 2 * 60 * 60 * 1000; // 2 hours
 const REFRESH_MIN_INTERVAL_MS = 30 * 1000; // 30 seconds
 // Keep sessions warm to avoid first-action stalls after long idle/sleep.
 const SESSION_HEARTBEAT_MS = 5 * 60 * 1000; // 5 minutes
+// Keep last_active_at inside the team presence online window (3 minutes by default).
+const PRESENCE_HEARTBEAT_MS = parsePositiveInt(process?.env?.EXPO_PUBLIC_PRESENCE_HEARTBEAT_MS, 60 * 1000);
 // Guard against rare unresolved auth promises that can freeze app bootstrap.
 const REFRESH_HARD_TIMEOUT_MS = parsePositiveInt(process?.env?.EXPO_PUBLIC_AUTH_REFRESH_HARD_TIMEOUT_MS, 15000);
 const INITIAL_REFRESH_TIMEOUT_MS = parsePositiveInt(
@@ -603,6 +606,7 @@ export function AuthProvider({ children }) {
     refreshVersionRef.current += 1;
     refreshInFlight.current = null;
     profileMissStreakRef.current = 0;
+    await notificationsService.unregisterDevice();
     const result = await authService.logoutUser(options);
     setSession(null);
     setUser(null);
@@ -853,6 +857,28 @@ export function AuthProvider({ children }) {
     return () => clearInterval(interval);
   }, [recordActivity, refreshSession, user?.id]);
 
+  useEffect(() => {
+    if (!user?.id) return undefined;
+
+    const presenceHeartbeat = () => {
+      if (Platform.OS === 'web' && typeof document !== 'undefined' && document.visibilityState !== 'visible') {
+        return;
+      }
+      if (Platform.OS !== 'web' && AppState.currentState !== 'active') {
+        return;
+      }
+      void recordActivity({ force: false });
+    };
+
+    const interval = setInterval(presenceHeartbeat, PRESENCE_HEARTBEAT_MS);
+    return () => clearInterval(interval);
+  }, [recordActivity, user?.id]);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    void notificationsService.registerDevice(user);
+  }, [user?.id, user?.role]);
+
   const value = useMemo(() => ({
     user,
     session,
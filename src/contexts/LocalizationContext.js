@@ -1014,6 +1014,379 @@ const translations = {
         unitMin: "min",
         unitHours: "hours",
         all: "All",
+        sectionReviews: "Reviews",
+        reviewsCount: "{0} reviews",
+        noReviewsYet: "No reviews yet",
+        labelClientRating: "Client Rating (optional)",
+        labelReviewCommentHint: "Client feedback (optional)",
+        toastReviewFailed: "Payment confirmed, but the review was not saved",
+        toastNewEmergencyOrder: "New emergency order in the pool",
+        badgeStatusChanged: "Updated: {0}",
+        settingsNotifications: "Notifications",
+        settingsNotificationsHint: "Choose which alerts you receive",
+        notifPrefOrderCreated: "New orders in the pool",
+        notifPrefEmergencyOnly: "Only emergency orders",
+        notifPrefOrderClaimed: "Order claimed by a master",
+        notifPrefOrderCompleted: "Job completed, awaiting payment",
+        notifPrefOrderRefused: "Master refused a job",
+        notifPrefPaymentDisputed: "Payment disputes",
+        notifPrefOn: "On",
+        notifPrefOff: "Off",
+        sectionPhotos: "Photos",
+        photoKindProblem: "Problem",
+        photoKindBefore: "Before",
+        photoKindAfter: "After",
+        photoAdd: "Add",
+        photoCamera: "Camera",
+        labelProblemPhotos: "Problem photos",
+        labelPhotosBefore: "Photos before",
+        labelPhotosAfter: "Photos after",
+        toastPhotosUploadFailed: "Order saved, but some photos were not uploaded",
+        timelineTitle: "History",
+        timelineEmpty: "No history yet",
+        timelineCreated: "Order created",
+        timelineClaimed: "Claimed by master",
+        timelineStarted: "Work started",
+        timelineCompleted: "Work completed",
+        timelineConfirmed: "Payment confirmed",
+        timelineCanceled: "Canceled",
+        timelineReopened: "Reopened",
+        timelineExpired: "Expired",
+        timelineUnassigned: "Master removed",
+        timelineReassigned: "Master reassigned",
+        timelineTransferred: "Transferred to dispatcher",
+        timelineRepriced: "Price changed",
+        timelineEdited: "Details edited",
+        timelineStatusChanged: "Status changed",
+        filterDistance: "Distance",
+        filterDistanceNearest: "Nearest first",
+        filterDistanceWithin: "Within {0} km",
+        settingsWorkLocation: "Work location",
+        settingsWorkLocationHint: "Used to show distance to jobs in the order pool",
+        settingsWorkLocationNotSet: "Not set",
+        settingsWorkLocationUseCurrent: "Use current location",
+        settingsWorkLocationClear: "Clear location",
+        toastLocationSaved: "Location saved",
+        toastLocationCleared: "Location cleared",
+        toastLocationFailed: "Could not save location",
+        labelOrderLocation: "Map location",
+        locationHint: "Optional. Paste coordinates from a map or use your location",
+        locationInvalid: "Enter latitude and longitude, e.g. 42.8746, 74.5698",
+        toastSavedOffline: "No connection. Saved on this device and will sync automatically.",
+        toastOfflineSynced: "Offline changes synced: {0}",
+        toastOfflineConflict: "Some offline changes were not applied. Check the marked orders.",
+        syncPendingBadge: "Not synced",
+        syncRefusePendingBadge: "Cancellation not synced",
+        syncConflictBadge: "Offline change not applied",
+        syncPendingNotice: "Changes waiting to sync: {0}",
+        syncConflictNotice: "Offline changes not applied: {0}. The order was changed on the server.",
+        syncConflictReassigned: "Your offline change was not applied: the order was reassigned.",
+        syncConflictStatus: "Your offline change was not applied: the order was updated on the server.",
+        syncPendingSheet: "Saved on this device. Will sync when the connection is back.",
+        actionSyncNow: "Sync now",
+        actionDismiss: "Dismiss",
+        agendaDay: "Day",
+        agendaWeek: "Week",
+        agendaToday: "Today",
+        agendaNoOrders: "No planned orders",
+        agendaAnyTime: "Any time",
+        agendaUnassigned: "No master yet",
+        agendaTimeConflict: "Overlaps another order of this master",
+        agendaConflictsCount: "Time conflicts: {0}",
+        myJobsViewList: "List",
+        myJobsViewAgenda: "Calendar",
+        clients: "Clients",
+        clientKnownTitle: "Returning client",
+        clientKnownSummary: "Orders: {0} \u00b7 last {1}",
+        clientDisputesCount: "Disputes: {0}",
+        clientPastAddresses: "Past addresses",
+        clientPreviousOrders: "Previous orders",
+        clientSearchPlaceholder: "Name or phone",
+        clientsTotal: "Clients: {0}",
+        clientUnnamed: "No name",
+        clientStatsLine: "Orders: {0} \u00b7 Completed: {1} \u00b7 Spend: {2}",
+        clientLastOrder: "Last order: {0}",
+        clientDisputeHistory: "Dispute history",
+        actionAssignBestMatch: "Assign best match: {0}",
+        labelBestMatch: "Best match",
+        scoreBreakdown: "Skill {0} \u00b7 Area {1} \u00b7 Load {2} \u00b7 Rating {3} \u00b7 Refusals {4}",
+        toastNoRecommendedMaster: "No suitable master found",
+        badgeSlaEscalated: "Escalated",
+        slaOverdueMinutes: "+{0} min",
+        slaRulesTitle: "SLA Rules",
+        slaRulesHint: "Minutes before an order is marked Stuck. Empty claimed values use the auto-claim timeout.",
+        slaEscalationFactor: "Escalate to admins after (x SLA)",
+        analyticsSlaByDispatcher: "SLA Compliance by Dispatcher",
+        analyticsSlaByDistrict: "SLA Compliance by District",
+        analyticsSlaBreachedOf: "{0} of {1} breached",
+        analyticsSlaComplianceTip: "Share of orders created in range that never breached an SLA rule. Worst performers are listed first.",
+        analyticsUnknownArea: "Unknown area",
+        notifPrefSlaEscalated: "Orders overdue past their SLA",
+        lineItemsTitle: "Work and materials",
+        lineItemLabor: "Labor",
+        lineItemMaterial: "Material",
+        lineItemCallout: "Extra call-out",
+        lineItemDescription: "Description",
+        lineItemQuantity: "Qty",
+        lineItemUnitPrice: "Unit price",
+        lineItemAmount: "Amount",
+        lineItemsTotal: "Total",
+        lineItemAdjustedFrom: "was",
+        lineItemsMismatch: "Lines add up to {0}, final price is {1}",
+        errorLineItemInvalid: "Each line needs a description and a price",
+        priceInsightRange: "Typical price {0}\u2013{1} (median {2}, {3} orders)",
+        priceInsightUseMedian: "Use median",
+        priceInsightLabel: "Typical price",
+        priceInsightMedian: "median {0}",
+        priceReview: "Price Review",
+        priceReviewSummary: "Pending: {0} \u00b7 Threshold: {1}",
+        priceReviewAdjustedPrice: "Adjusted price",
+        priceReviewNotesHint: "Decision notes (optional)",
+        priceReviewRecent: "Recent decisions",
+        priceReviewPrices: "Initial: {0} \u00b7 Final: {1}",
+        priceReviewReason: "Master reason",
+        priceReviewNoReason: "Not provided",
+        priceReviewEmpty: "No prices waiting for review",
+        priceReviewApprove: "Approve",
+        priceReviewAdjust: "Adjust",
+        priceReviewReject: "Reject",
+        toastPriceReviewSaved: "Price review saved",
+        modalPriceChangeReason: "Why does the price differ from the agreed one?",
+        photoKindEvidence: "Evidence",
+        disputeStatusRejected: "REJECTED",
+        disputeCaseAge: "Age: {0} \u00b7 SLA {1}: {2}",
+        disputeSlaResponse: "response",
+        disputeSlaResolution: "resolution",
+        disputeSlaBreached: "overdue by {0}",
+        disputeSlaLeft: "{0} left",
+        disputeCardMeta: "Age: {0} \u00b7 {1} \u00b7 {2}",
+        disputeAssignee: "Assigned admin",
+        disputeTakeCase: "Take case",
+        disputeOutcome: "Outcome",
+        disputeFinalPrice: "Final price (current: {0})",
+        disputePenalty: "Master penalty",
+        disputeRefund: "Client refund",
+        disputeDecisionNotes: "Decision notes (required to reject)",
+        disputeResolve: "Resolve",
+        disputeReject: "Reject",
+        disputeEvidence: "Evidence",
+        disputeUploadEvidence: "Upload evidence",
+        disputeThread: "Messages",
+        disputeNoMessages: "No messages yet",
+        disputeMessageHint: "Write a message",
+        disputeSendMessage: "Send",
+        disputeOpenOrder: "Open order",
+        toastDisputeAssigned: "Case assigned",
+        toastDisputeRejected: "Dispute rejected",
+        toastDisputeResolved: "Dispute resolved",
+        commissionTierLabel: "Commission tier",
+        commissionTierStandard: "Standard",
+        commissionTierSilver: "Silver",
+        commissionTierGold: "Gold",
+        commissionMonthlyOrders: "Orders this month",
+        historyCommissionShort: "Fee",
+        commissionRulesTitle: "Commission Rules",
+        commissionRulesHint: "The most specific matching rule wins; orders without a match use the commission rate. Master overrides take priority.",
+        commissionRuleAny: "Any",
+        commissionRuleMinOrdersShort: "{0}+ orders/mo",
+        commissionSourceOverride: "Master override",
+        commissionSourceRule: "Rule",
+        commissionSourceDefault: "Default rate",
+        commissionRuleService: "Service type",
+        commissionRuleDistrict: "District",
+        commissionRuleMinOrders: "Min. orders / month",
+        commissionRuleRate: "Rate (%)",
+        commissionRuleRemove: "Remove rule",
+        commissionRuleAdd: "Add rule",
+        commissionRulesEmpty: "No rules yet. Every order uses the commission rate.",
+        commissionPreviewTitle: "Preview",
+        commissionPreviewPrice: "Order price",
+        commissionPreviewCallout: "Call-out fee",
+        commissionPreviewAmount: "Commission: {0} {1}",
+        commissionRateOverride: "Commission override (%)",
+        commissionOverridePlaceholder: "By rules",
+        topUpsTab: "Top-ups",
+        topUpHint: "Pay the amount, attach a screenshot of the payment and send the request. The balance is credited after review.",
+        topUpAmountPlaceholder: "Amount ({0}-{1})",
+        topUpProofLabel: "Payment screenshot",
+        topUpNotesPlaceholder: "Comment (optional)",
+        topUpSubmit: "Send request",
+        topUpPendingHint: "Your request is being reviewed. You can send a new one after the decision.",
+        topUpRequestsTitle: "My requests",
+        topUpRequestsEmpty: "No top-up requests yet",
+        topUpStatusRequested: "Under review",
+        topUpStatusApproved: "Approved",
+        topUpStatusRejected: "Rejected",
+        topUpReviewNote: "Admin note",
+        topUpErrorAmount: "Enter a valid amount",
+        topUpErrorAmountMin: "Amount is below the minimum",
+        topUpErrorAmountMax: "Amount is above the maximum",
+        topUpErrorMethod: "Choose a payment method",
+        topUpErrorProof: "Attach a payment screenshot",
+        topUpErrorPending: "You already have a request under review",
+        topUpErrorSubmit: "Could not send the request",
+        toastTopUpSubmitted: "Top-up request sent for review",
+        topUpApprove: "Approve & credit",
+        topUpReviewNotesHint: "Note for the master (required to reject)",
+        topUpRejectReasonRequired: "Enter a reason for rejection",
+        topUpProofUnavailable: "Screenshot unavailable",
+        topUpsEmpty: "No top-up requests",
+        toastTopUpApproved: "Top-up approved, balance credited",
+        toastTopUpRejected: "Top-up rejected",
+        approved: "Approved",
+        reconciliation: "Reconciliation",
+        reconIssueChainGap: "Balance chain gap",
+        reconIssueAmountMismatch: "Amount does not match balance change",
+        reconIssueBalanceMismatch: "Balance differs from ledger",
+        reconIssueTotalsMismatch: "Profile total differs from ledger",
+        reconIssueMissingEarning: "Confirmed order without earning",
+        reconExpected: "Expected",
+        reconActual: "Actual",
+        reconBackToReport: "Back to report",
+        reconLedgerSummary: "Profile balance: {0} \u00b7 Ledger balance: {1}",
+        reconEarnings: "Earnings",
+        reconLedgerEmpty: "No ledger entries",
+        reconSummary: "Accounts: {0} \u00b7 Transactions replayed: {1} \u00b7 Issues: {2}",
+        reconGeneratedAt: "Checked",
+        reconTruncated: "Some tables were too large to load fully; results may be incomplete.",
+        reconNoIssues: "Ledgers agree. No issues found.",
+        statementsMenu: "Statements",
+        statementTitle: "Statement",
+        statementOpening: "Opening balance",
+        statementTopUps: "Top-ups",
+        statementEarned: "Commission earned",
+        statementCommissions: "Commissions deducted",
+        statementPayouts: "Payouts",
+        statementAdjustments: "Adjustments",
+        statementClosing: "Closing balance",
+        statementDate: "Date",
+        statementType: "Type",
+        statementAmount: "Amount",
+        statementBalance: "Balance",
+        statementNotes: "Notes",
+        statementEmpty: "No transactions in this period",
+        statementTransactionsCount: "Transactions: {0}",
+        statementExportCsv: "Export CSV",
+        statementExportPdf: "Export PDF",
+        statementLoadError: "Could not load the statement",
+        statementExportError: "Export failed",
+        statementsBulkHint: "CSV exports one summary row per account; PDF has a page per account.",
+        statementsEmpty: "No accounts found",
+        partnerOverview: "Overview",
+        partnerFunnelTitle: "Referred orders",
+        partnerFunnelReferred: "Referred",
+        partnerFunnelAssigned: "Master assigned",
+        partnerFunnelCompleted: "Completed",
+        partnerFunnelConfirmed: "Confirmed",
+        partnerFunnelCanceled: "Canceled",
+        partnerForecastTitle: "Commission forecast",
+        partnerForecastRunRate: "Monthly run rate",
+        partnerForecastOpen: "Expected from open orders",
+        partnerForecastHint: "Last {0} days: {1} \u00b7 Open orders: {2} \u00b7 Close rate: {3}%",
+        partnerConversionTitle: "Conversion by service",
+        partnerCommissionPerOrder: "Commission per order",
+        partnerPayoutInReview: "In review",
+        partnerPayoutLedger: "Balance debited",
+        payoutBatches: "Batches",
+        payoutBatchStart: "Batch payout",
+        payoutBatchTitle: "Batch payout",
+        payoutBatchSummary: "Selected: {0} | Total: {1}",
+        payoutBatchReference: "Batch reference",
+        payoutBatchInvalid: "Check the selected payouts and amounts",
+        payoutBatchApprove: "Approve {0} payouts",
+        payoutBatchPaid: "Batch {0} paid",
+        payoutBatchReversed: "Batch {0} reversed, balances credited back",
+        payoutBatchReasonRequired: "Enter the reason the bank rejected the batch",
+        payoutBatchStatusReversed: "Reversed",
+        payoutBatchReversalReason: "Bank rejection",
+        payoutBatchCsv: "CSV",
+        payoutBatchBankFile: "Bank file",
+        payoutBatchReverse: "Reverse",
+        payoutBatchReasonHint: "Why did the bank reject the batch?",
+        payoutBatchReverseConfirm: "Reverse and credit balances",
+        payoutBatchesEmpty: "No payout batches yet",
+        payoutTemplateTitle: "Payout bank file",
+        payoutTemplateHint: "Fixed-width layout, one field per line: key width [left|right] [pad]. Keys: reference, date, request_id, partner_id, partner_name, phone, email, amount, amount_cents; =TEXT for fixed text, in quotes if it has spaces: =\"ACME BANK\".",
+        selectAll: "Select all",
+        clearSelection: "Clear",
+        availabilityWorkingNow: "Working now",
+        availabilityOnDuty: "On duty",
+        availabilityOnVacation: "On vacation",
+        availabilityOffHours: "Off hours",
+        availabilityOffDuty: "Off duty",
+        errorAssignMasterUnavailable: "Master is off duty, on vacation or outside working hours",
+        availabilityMenu: "Availability",
+        availabilityPaused: "Paused",
+        availabilityUnavailable: "Availability settings are not available yet",
+        availabilityOnVacationUntil: "On vacation until {0}",
+        availabilityDutyTitle: "On duty",
+        availabilityDutyHint: "Turn off when you cannot take orders. The pool and new assignments pause.",
+        availabilityHoursTitle: "Working hours",
+        availabilityHoursHint: "Bishkek time. Outside these hours you do not see the pool and cannot be assigned.",
+        availabilityAnyTime: "Any time",
+        availabilityBySchedule: "By schedule",
+        availabilityDayOff: "Day off",
+        availabilitySaveHours: "Save hours",
+        availabilityErrorHours: "Check the hours for: {0}",
+        availabilityDayMon: "Mon",
+        availabilityDayTue: "Tue",
+        availabilityDayWed: "Wed",
+        availabilityDayThu: "Thu",
+        availabilityDayFri: "Fri",
+        availabilityDaySat: "Sat",
+        availabilityDaySun: "Sun",
+        timeOffTitle: "Vacations",
+        timeOffEmpty: "No vacations planned",
+        timeOffFrom: "From (YYYY-MM-DD)",
+        timeOffTo: "To (YYYY-MM-DD)",
+        timeOffAdd: "Add vacation",
+        timeOffErrorDate: "Enter dates as YYYY-MM-DD",
+        timeOffErrorOrder: "The last day is before the first day",
+        timeOffErrorPast: "This period is already over",
+        timeOffErrorOverlap: "This period overlaps another vacation",
+        toastAvailabilityFailed: "Could not save availability",
+        toastOnDuty: "You are on duty, new orders will show up",
+        toastOffDuty: "You are off duty, the pool is paused",
+        toastScheduleSaved: "Working hours saved",
+        toastTimeOffSaved: "Vacations updated",
+        errorMasterUnavailable: "You are off duty or outside your working hours",
+        poolPausedVacation: "You are on vacation until {0}",
+        poolPausedHours: "Outside your working hours",
+        poolPausedOffDuty: "You are off duty",
+        poolPausedHint: "New orders are hidden and dispatchers cannot assign you.",
+        poolPausedAction: "Change availability",
+        peoplePresence: "Live",
+        dispatcherTeamTab: "Team",
+        filterOnlineNow: "Online now",
+        noMastersOnline: "No masters online right now",
+        presenceTitle: "Team presence",
+        presenceSummary: "Masters online: {0}/{1} \u00b7 Dispatchers online: {2}/{3}",
+        presenceFilterAll: "All",
+        presenceFilterMasters: "Masters",
+        presenceFilterDispatchers: "Dispatchers",
+        presenceOnlineOnly: "Online now",
+        presenceOnJob: "On job",
+        presenceClaimed: "Claimed",
+        presenceIdle: "Online, free",
+        presenceUnavailable: "Online, off duty",
+        presenceOffline: "Offline",
+        presenceRoleMaster: "Master",
+        presenceRoleDispatcher: "Dispatcher",
+        presenceActiveJobs: "{0} active",
+        presenceLastSeen: "Last seen {0}",
+        presenceNeverSeen: "Never seen",
+        presenceEmpty: "Nobody matches the filter",
+        presenceLoadError: "Could not load team presence",
+        jobTimerRunning: "Timer running",
+        jobTimerPaused: "Timer paused",
+        jobTimerPause: "Pause",
+        jobTimerResume: "Resume",
+        jobTimerCompletionHint: "Job timer: {0} h in {1} periods, saved with the order",
+        disputeWorkTime: "Work time",
+        disputeWorkTimeSummary: "Tracked {0}, paused {1} \u00b7 reported {2} h",
+        payoutBatchFieldOverflow: "An amount does not fit the bank file template; widen the amount field",
+        toastOfflinePhotosBlocked: "Photos cannot be saved offline. Complete the job when back online or remove the photos.",
+        availabilityAddInterval: "+ Add hours",
     },
     ru: {
         // General
@@ -2097,6 +2470,379 @@ const translations = {
         unitMin: "\u043c\u0438\u043d",
         unitHours: "\u0447\u0430\u0441",
         all: "\u0412\u0441\u0435",
+        sectionReviews: "\u041e\u0442\u0437\u044b\u0432\u044b",
+        reviewsCount: "\u041e\u0442\u0437\u044b\u0432\u043e\u0432: {0}",
+        noReviewsYet: "\u041e\u0442\u0437\u044b\u0432\u043e\u0432 \u043f\u043e\u043a\u0430 \u043d\u0435\u0442",
+        labelClientRating: "\u041e\u0446\u0435\u043d\u043a\u0430 \u043a\u043b\u0438\u0435\u043d\u0442\u0430 (\u043d\u0435\u043e\u0431\u044f\u0437\u0430\u0442\u0435\u043b\u044c\u043d\u043e)",
+        labelReviewCommentHint: "\u041e\u0442\u0437\u044b\u0432 \u043a\u043b\u0438\u0435\u043d\u0442\u0430 (\u043d\u0435\u043e\u0431\u044f\u0437\u0430\u0442\u0435\u043b\u044c\u043d\u043e)",
+        toastReviewFailed: "\u041e\u043f\u043b\u0430\u0442\u0430 \u043f\u043e\u0434\u0442\u0432\u0435\u0440\u0436\u0434\u0435\u043d\u0430, \u043d\u043e \u043e\u0442\u0437\u044b\u0432 \u043d\u0435 \u0441\u043e\u0445\u0440\u0430\u043d\u0451\u043d",
+        toastNewEmergencyOrder: "\u041d\u043e\u0432\u044b\u0439 \u044d\u043a\u0441\u0442\u0440\u0435\u043d\u043d\u044b\u0439 \u0437\u0430\u043a\u0430\u0437 \u0432 \u043f\u0443\u043b\u0435",
+        badgeStatusChanged: "\u041e\u0431\u043d\u043e\u0432\u043b\u0435\u043d\u043e: {0}",
+        settingsNotifications: "\u0423\u0432\u0435\u0434\u043e\u043c\u043b\u0435\u043d\u0438\u044f",
+        settingsNotificationsHint: "\u0412\u044b\u0431\u0435\u0440\u0438\u0442\u0435, \u043a\u0430\u043a\u0438\u0435 \u043e\u043f\u043e\u0432\u0435\u0449\u0435\u043d\u0438\u044f \u043f\u043e\u043b\u0443\u0447\u0430\u0442\u044c",
+        notifPrefOrderCreated: "\u041d\u043e\u0432\u044b\u0435 \u0437\u0430\u043a\u0430\u0437\u044b \u0432 \u043f\u0443\u043b\u0435",
+        notifPrefEmergencyOnly: "\u0422\u043e\u043b\u044c\u043a\u043e \u0441\u0440\u043e\u0447\u043d\u044b\u0435 (\u0430\u0432\u0430\u0440\u0438\u0439\u043d\u044b\u0435) \u0437\u0430\u043a\u0430\u0437\u044b",
+        notifPrefOrderClaimed: "\u041c\u0430\u0441\u0442\u0435\u0440 \u0432\u0437\u044f\u043b \u0437\u0430\u043a\u0430\u0437",
+        notifPrefOrderCompleted: "\u0420\u0430\u0431\u043e\u0442\u0430 \u0437\u0430\u0432\u0435\u0440\u0448\u0435\u043d\u0430, \u043e\u0436\u0438\u0434\u0430\u0435\u0442 \u043e\u043f\u043b\u0430\u0442\u044b",
+        notifPrefOrderRefused: "\u041c\u0430\u0441\u0442\u0435\u0440 \u043e\u0442\u043a\u0430\u0437\u0430\u043b\u0441\u044f \u043e\u0442 \u0437\u0430\u043a\u0430\u0437\u0430",
+        notifPrefPaymentDisputed: "\u0421\u043f\u043e\u0440\u044b \u043f\u043e \u043e\u043f\u043b\u0430\u0442\u0435",
+        notifPrefOn: "\u0412\u043a\u043b",
+        notifPrefOff: "\u0412\u044b\u043a\u043b",
+        sectionPhotos: "\u0424\u043e\u0442\u043e",
+        photoKindProblem: "\u041f\u0440\u043e\u0431\u043b\u0435\u043c\u0430",
+        photoKindBefore: "\u0414\u043e",
+        photoKindAfter: "\u041f\u043e\u0441\u043b\u0435",
+        photoAdd: "\u0414\u043e\u0431\u0430\u0432\u0438\u0442\u044c",
+        photoCamera: "\u041a\u0430\u043c\u0435\u0440\u0430",
+        labelProblemPhotos: "\u0424\u043e\u0442\u043e \u043f\u0440\u043e\u0431\u043b\u0435\u043c\u044b",
+        labelPhotosBefore: "\u0424\u043e\u0442\u043e \u0434\u043e \u0440\u0430\u0431\u043e\u0442",
+        labelPhotosAfter: "\u0424\u043e\u0442\u043e \u043f\u043e\u0441\u043b\u0435 \u0440\u0430\u0431\u043e\u0442",
+        toastPhotosUploadFailed: "\u0417\u0430\u043a\u0430\u0437 \u0441\u043e\u0445\u0440\u0430\u043d\u0451\u043d, \u043d\u043e \u0447\u0430\u0441\u0442\u044c \u0444\u043e\u0442\u043e \u043d\u0435 \u0437\u0430\u0433\u0440\u0443\u0437\u0438\u043b\u0430\u0441\u044c",
+        timelineTitle: "\u0418\u0441\u0442\u043e\u0440\u0438\u044f",
+        timelineEmpty: "\u0418\u0441\u0442\u043e\u0440\u0438\u044f \u043f\u043e\u043a\u0430 \u043f\u0443\u0441\u0442\u0430",
+        timelineCreated: "\u0417\u0430\u043a\u0430\u0437 \u0441\u043e\u0437\u0434\u0430\u043d",
+        timelineClaimed: "\u041f\u0440\u0438\u043d\u044f\u0442 \u043c\u0430\u0441\u0442\u0435\u0440\u043e\u043c",
+        timelineStarted: "\u0420\u0430\u0431\u043e\u0442\u0430 \u043d\u0430\u0447\u0430\u0442\u0430",
+        timelineCompleted: "\u0420\u0430\u0431\u043e\u0442\u0430 \u0437\u0430\u0432\u0435\u0440\u0448\u0435\u043d\u0430",
+        timelineConfirmed: "\u041e\u043f\u043b\u0430\u0442\u0430 \u043f\u043e\u0434\u0442\u0432\u0435\u0440\u0436\u0434\u0435\u043d\u0430",
+        timelineCanceled: "\u041e\u0442\u043c\u0435\u043d\u0451\u043d",
+        timelineReopened: "\u041f\u0435\u0440\u0435\u043e\u0442\u043a\u0440\u044b\u0442",
+        timelineExpired: "\u0418\u0441\u0442\u0451\u043a",
+        timelineUnassigned: "\u041c\u0430\u0441\u0442\u0435\u0440 \u0441\u043d\u044f\u0442",
+        timelineReassigned: "\u041c\u0430\u0441\u0442\u0435\u0440 \u043f\u0435\u0440\u0435\u043d\u0430\u0437\u043d\u0430\u0447\u0435\u043d",
+        timelineTransferred: "\u041f\u0435\u0440\u0435\u0434\u0430\u043d \u0434\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u0443",
+        timelineRepriced: "\u0426\u0435\u043d\u0430 \u0438\u0437\u043c\u0435\u043d\u0435\u043d\u0430",
+        timelineEdited: "\u0414\u0430\u043d\u043d\u044b\u0435 \u0438\u0437\u043c\u0435\u043d\u0435\u043d\u044b",
+        timelineStatusChanged: "\u0421\u0442\u0430\u0442\u0443\u0441 \u0438\u0437\u043c\u0435\u043d\u0451\u043d",
+        filterDistance: "\u0420\u0430\u0441\u0441\u0442\u043e\u044f\u043d\u0438\u0435",
+        filterDistanceNearest: "\u0421\u043d\u0430\u0447\u0430\u043b\u0430 \u0431\u043b\u0438\u0436\u0430\u0439\u0448\u0438\u0435",
+        filterDistanceWithin: "\u0412 \u043f\u0440\u0435\u0434\u0435\u043b\u0430\u0445 {0} \u043a\u043c",
+        settingsWorkLocation: "\u0420\u0430\u0431\u043e\u0447\u0430\u044f \u043b\u043e\u043a\u0430\u0446\u0438\u044f",
+        settingsWorkLocationHint: "\u0418\u0441\u043f\u043e\u043b\u044c\u0437\u0443\u0435\u0442\u0441\u044f \u0434\u043b\u044f \u0440\u0430\u0441\u0447\u0451\u0442\u0430 \u0440\u0430\u0441\u0441\u0442\u043e\u044f\u043d\u0438\u044f \u0434\u043e \u0437\u0430\u043a\u0430\u0437\u043e\u0432",
+        settingsWorkLocationNotSet: "\u041d\u0435 \u0443\u043a\u0430\u0437\u0430\u043d\u0430",
+        settingsWorkLocationUseCurrent: "\u0418\u0441\u043f\u043e\u043b\u044c\u0437\u043e\u0432\u0430\u0442\u044c \u0442\u0435\u043a\u0443\u0449\u0435\u0435 \u043c\u0435\u0441\u0442\u043e\u043f\u043e\u043b\u043e\u0436\u0435\u043d\u0438\u0435",
+        settingsWorkLocationClear: "\u0423\u0434\u0430\u043b\u0438\u0442\u044c \u043b\u043e\u043a\u0430\u0446\u0438\u044e",
+        toastLocationSaved: "\u041b\u043e\u043a\u0430\u0446\u0438\u044f \u0441\u043e\u0445\u0440\u0430\u043d\u0435\u043d\u0430",
+        toastLocationCleared: "\u041b\u043e\u043a\u0430\u0446\u0438\u044f \u0443\u0434\u0430\u043b\u0435\u043d\u0430",
+        toastLocationFailed: "\u041d\u0435 \u0443\u0434\u0430\u043b\u043e\u0441\u044c \u0441\u043e\u0445\u0440\u0430\u043d\u0438\u0442\u044c \u043b\u043e\u043a\u0430\u0446\u0438\u044e",
+        labelOrderLocation: "\u0422\u043e\u0447\u043a\u0430 \u043d\u0430 \u043a\u0430\u0440\u0442\u0435",
+        locationHint: "\u041d\u0435\u043e\u0431\u044f\u0437\u0430\u0442\u0435\u043b\u044c\u043d\u043e. \u0412\u0441\u0442\u0430\u0432\u044c\u0442\u0435 \u043a\u043e\u043e\u0440\u0434\u0438\u043d\u0430\u0442\u044b \u0441 \u043a\u0430\u0440\u0442\u044b \u0438\u043b\u0438 \u0438\u0441\u043f\u043e\u043b\u044c\u0437\u0443\u0439\u0442\u0435 \u0441\u0432\u043e\u0451 \u043c\u0435\u0441\u0442\u043e\u043f\u043e\u043b\u043e\u0436\u0435\u043d\u0438\u0435",
+        locationInvalid: "\u0412\u0432\u0435\u0434\u0438\u0442\u0435 \u0448\u0438\u0440\u043e\u0442\u0443 \u0438 \u0434\u043e\u043b\u0433\u043e\u0442\u0443, \u043d\u0430\u043f\u0440\u0438\u043c\u0435\u0440 42.8746, 74.5698",
+        toastSavedOffline: "\u041d\u0435\u0442 \u0441\u0432\u044f\u0437\u0438. \u0421\u043e\u0445\u0440\u0430\u043d\u0435\u043d\u043e \u043d\u0430 \u0443\u0441\u0442\u0440\u043e\u0439\u0441\u0442\u0432\u0435, \u0441\u0438\u043d\u0445\u0440\u043e\u043d\u0438\u0437\u0438\u0440\u0443\u0435\u0442\u0441\u044f \u0430\u0432\u0442\u043e\u043c\u0430\u0442\u0438\u0447\u0435\u0441\u043a\u0438.",
+        toastOfflineSynced: "\u041e\u0444\u043b\u0430\u0439\u043d-\u0438\u0437\u043c\u0435\u043d\u0435\u043d\u0438\u044f \u0441\u0438\u043d\u0445\u0440\u043e\u043d\u0438\u0437\u0438\u0440\u043e\u0432\u0430\u043d\u044b: {0}",
+        toastOfflineConflict: "\u0427\u0430\u0441\u0442\u044c \u043e\u0444\u043b\u0430\u0439\u043d-\u0438\u0437\u043c\u0435\u043d\u0435\u043d\u0438\u0439 \u043d\u0435 \u043f\u0440\u0438\u043c\u0435\u043d\u0435\u043d\u0430. \u041f\u0440\u043e\u0432\u0435\u0440\u044c\u0442\u0435 \u043e\u0442\u043c\u0435\u0447\u0435\u043d\u043d\u044b\u0435 \u0437\u0430\u043a\u0430\u0437\u044b.",
+        syncPendingBadge: "\u041d\u0435 \u0441\u0438\u043d\u0445\u0440\u043e\u043d\u0438\u0437\u0438\u0440\u043e\u0432\u0430\u043d\u043e",
+        syncRefusePendingBadge: "\u041e\u0442\u043c\u0435\u043d\u0430 \u043d\u0435 \u0441\u0438\u043d\u0445\u0440\u043e\u043d\u0438\u0437\u0438\u0440\u043e\u0432\u0430\u043d\u0430",
+        syncConflictBadge: "\u041e\u0444\u043b\u0430\u0439\u043d-\u0438\u0437\u043c\u0435\u043d\u0435\u043d\u0438\u0435 \u043d\u0435 \u043f\u0440\u0438\u043c\u0435\u043d\u0435\u043d\u043e",
+        syncPendingNotice: "\u041e\u0436\u0438\u0434\u0430\u044e\u0442 \u0441\u0438\u043d\u0445\u0440\u043e\u043d\u0438\u0437\u0430\u0446\u0438\u0438: {0}",
+        syncConflictNotice: "\u041d\u0435 \u043f\u0440\u0438\u043c\u0435\u043d\u0435\u043d\u043e \u043e\u0444\u043b\u0430\u0439\u043d-\u0438\u0437\u043c\u0435\u043d\u0435\u043d\u0438\u0439: {0}. \u0417\u0430\u043a\u0430\u0437 \u0438\u0437\u043c\u0435\u043d\u0451\u043d \u043d\u0430 \u0441\u0435\u0440\u0432\u0435\u0440\u0435.",
+        syncConflictReassigned: "\u041e\u0444\u043b\u0430\u0439\u043d-\u0438\u0437\u043c\u0435\u043d\u0435\u043d\u0438\u0435 \u043d\u0435 \u043f\u0440\u0438\u043c\u0435\u043d\u0435\u043d\u043e: \u0437\u0430\u043a\u0430\u0437 \u043f\u0435\u0440\u0435\u0434\u0430\u043d \u0434\u0440\u0443\u0433\u043e\u043c\u0443 \u043c\u0430\u0441\u0442\u0435\u0440\u0443.",
+        syncConflictStatus: "\u041e\u0444\u043b\u0430\u0439\u043d-\u0438\u0437\u043c\u0435\u043d\u0435\u043d\u0438\u0435 \u043d\u0435 \u043f\u0440\u0438\u043c\u0435\u043d\u0435\u043d\u043e: \u0437\u0430\u043a\u0430\u0437 \u0438\u0437\u043c\u0435\u043d\u0451\u043d \u043d\u0430 \u0441\u0435\u0440\u0432\u0435\u0440\u0435.",
+        syncPendingSheet: "\u0421\u043e\u0445\u0440\u0430\u043d\u0435\u043d\u043e \u043d\u0430 \u0443\u0441\u0442\u0440\u043e\u0439\u0441\u0442\u0432\u0435. \u0421\u0438\u043d\u0445\u0440\u043e\u043d\u0438\u0437\u0438\u0440\u0443\u0435\u0442\u0441\u044f \u043f\u0440\u0438 \u043f\u043e\u044f\u0432\u043b\u0435\u043d\u0438\u0438 \u0441\u0432\u044f\u0437\u0438.",
+        actionSyncNow: "\u0421\u0438\u043d\u0445\u0440\u043e\u043d\u0438\u0437\u0438\u0440\u043e\u0432\u0430\u0442\u044c",
+        actionDismiss: "\u0421\u043a\u0440\u044b\u0442\u044c",
+        agendaDay: "\u0414\u0435\u043d\u044c",
+        agendaWeek: "\u041d\u0435\u0434\u0435\u043b\u044f",
+        agendaToday: "\u0421\u0435\u0433\u043e\u0434\u043d\u044f",
+        agendaNoOrders: "\u041d\u0435\u0442 \u0437\u0430\u043f\u043b\u0430\u043d\u0438\u0440\u043e\u0432\u0430\u043d\u043d\u044b\u0445 \u0437\u0430\u043a\u0430\u0437\u043e\u0432",
+        agendaAnyTime: "\u0412 \u043b\u044e\u0431\u043e\u0435 \u0432\u0440\u0435\u043c\u044f",
+        agendaUnassigned: "\u041c\u0430\u0441\u0442\u0435\u0440 \u043d\u0435 \u043d\u0430\u0437\u043d\u0430\u0447\u0435\u043d",
+        agendaTimeConflict: "\u041f\u0435\u0440\u0435\u0441\u0435\u043a\u0430\u0435\u0442\u0441\u044f \u0441 \u0434\u0440\u0443\u0433\u0438\u043c \u0437\u0430\u043a\u0430\u0437\u043e\u043c \u044d\u0442\u043e\u0433\u043e \u043c\u0430\u0441\u0442\u0435\u0440\u0430",
+        agendaConflictsCount: "\u041a\u043e\u043d\u0444\u043b\u0438\u043a\u0442\u044b \u043f\u043e \u0432\u0440\u0435\u043c\u0435\u043d\u0438: {0}",
+        myJobsViewList: "\u0421\u043f\u0438\u0441\u043e\u043a",
+        myJobsViewAgenda: "\u041a\u0430\u043b\u0435\u043d\u0434\u0430\u0440\u044c",
+        clients: "\u041a\u043b\u0438\u0435\u043d\u0442\u044b",
+        clientKnownTitle: "\u041f\u043e\u0441\u0442\u043e\u044f\u043d\u043d\u044b\u0439 \u043a\u043b\u0438\u0435\u043d\u0442",
+        clientKnownSummary: "\u0417\u0430\u043a\u0430\u0437\u043e\u0432: {0} \u00b7 \u043f\u043e\u0441\u043b\u0435\u0434\u043d\u0438\u0439 {1}",
+        clientDisputesCount: "\u0421\u043f\u043e\u0440\u043e\u0432: {0}",
+        clientPastAddresses: "\u041f\u0440\u043e\u0448\u043b\u044b\u0435 \u0430\u0434\u0440\u0435\u0441\u0430",
+        clientPreviousOrders: "\u041f\u0440\u043e\u0448\u043b\u044b\u0435 \u0437\u0430\u043a\u0430\u0437\u044b",
+        clientSearchPlaceholder: "\u0418\u043c\u044f \u0438\u043b\u0438 \u0442\u0435\u043b\u0435\u0444\u043e\u043d",
+        clientsTotal: "\u041a\u043b\u0438\u0435\u043d\u0442\u043e\u0432: {0}",
+        clientUnnamed: "\u0411\u0435\u0437 \u0438\u043c\u0435\u043d\u0438",
+        clientStatsLine: "\u0417\u0430\u043a\u0430\u0437\u043e\u0432: {0} \u00b7 \u0412\u044b\u043f\u043e\u043b\u043d\u0435\u043d\u043e: {1} \u00b7 \u0421\u0443\u043c\u043c\u0430: {2}",
+        clientLastOrder: "\u041f\u043e\u0441\u043b\u0435\u0434\u043d\u0438\u0439 \u0437\u0430\u043a\u0430\u0437: {0}",
+        clientDisputeHistory: "\u0418\u0441\u0442\u043e\u0440\u0438\u044f \u0441\u043f\u043e\u0440\u043e\u0432",
+        actionAssignBestMatch: "\u041d\u0430\u0437\u043d\u0430\u0447\u0438\u0442\u044c \u043b\u0443\u0447\u0448\u0435\u0433\u043e: {0}",
+        labelBestMatch: "\u041b\u0443\u0447\u0448\u0438\u0439 \u0432\u044b\u0431\u043e\u0440",
+        scoreBreakdown: "\u041d\u0430\u0432\u044b\u043a {0} \u00b7 \u0420\u0430\u0439\u043e\u043d {1} \u00b7 \u0417\u0430\u0433\u0440\u0443\u0437\u043a\u0430 {2} \u00b7 \u0420\u0435\u0439\u0442\u0438\u043d\u0433 {3} \u00b7 \u041e\u0442\u043a\u0430\u0437\u044b {4}",
+        toastNoRecommendedMaster: "\u041f\u043e\u0434\u0445\u043e\u0434\u044f\u0449\u0438\u0439 \u043c\u0430\u0441\u0442\u0435\u0440 \u043d\u0435 \u043d\u0430\u0439\u0434\u0435\u043d",
+        badgeSlaEscalated: "\u042d\u0441\u043a\u0430\u043b\u0430\u0446\u0438\u044f",
+        slaOverdueMinutes: "+{0} \u043c\u0438\u043d",
+        slaRulesTitle: "\u041f\u0440\u0430\u0432\u0438\u043b\u0430 SLA",
+        slaRulesHint: "\u041c\u0438\u043d\u0443\u0442\u044b \u0434\u043e \u043f\u043e\u043c\u0435\u0442\u043a\u0438 \u0437\u0430\u043a\u0430\u0437\u0430 \u043a\u0430\u043a \u00ab\u0417\u0430\u0441\u0442\u0440\u044f\u043b\u00bb. \u041f\u0443\u0441\u0442\u044b\u0435 \u0437\u043d\u0430\u0447\u0435\u043d\u0438\u044f \u0434\u043b\u044f \u00ab\u041f\u0440\u0438\u043d\u044f\u0442\u00bb \u0431\u0435\u0440\u0443\u0442 \u0442\u0430\u0439\u043c\u0430\u0443\u0442 \u0430\u0432\u0442\u043e\u043f\u0440\u0438\u043d\u044f\u0442\u0438\u044f.",
+        slaEscalationFactor: "\u042d\u0441\u043a\u0430\u043b\u0430\u0446\u0438\u044f \u0430\u0434\u043c\u0438\u043d\u0430\u043c \u043f\u043e\u0441\u043b\u0435 (x SLA)",
+        analyticsSlaByDispatcher: "\u0421\u043e\u0431\u043b\u044e\u0434\u0435\u043d\u0438\u0435 SLA \u043f\u043e \u0434\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u0430\u043c",
+        analyticsSlaByDistrict: "\u0421\u043e\u0431\u043b\u044e\u0434\u0435\u043d\u0438\u0435 SLA \u043f\u043e \u0440\u0430\u0439\u043e\u043d\u0430\u043c",
+        analyticsSlaBreachedOf: "{0} \u0438\u0437 {1} \u0441 \u043d\u0430\u0440\u0443\u0448\u0435\u043d\u0438\u0435\u043c",
+        analyticsSlaComplianceTip: "\u0414\u043e\u043b\u044f \u0437\u0430\u043a\u0430\u0437\u043e\u0432 \u0437\u0430 \u043f\u0435\u0440\u0438\u043e\u0434 \u0431\u0435\u0437 \u043d\u0430\u0440\u0443\u0448\u0435\u043d\u0438\u0439 SLA. \u0425\u0443\u0434\u0448\u0438\u0435 \u043f\u043e\u043a\u0430\u0437\u0430\u0442\u0435\u043b\u0438 \u0432\u0432\u0435\u0440\u0445\u0443.",
+        analyticsUnknownArea: "\u0420\u0430\u0439\u043e\u043d \u043d\u0435 \u0443\u043a\u0430\u0437\u0430\u043d",
+        notifPrefSlaEscalated: "\u0417\u0430\u043a\u0430\u0437\u044b \u0441 \u043f\u0440\u043e\u0441\u0440\u043e\u0447\u0435\u043d\u043d\u044b\u043c SLA",
+        lineItemsTitle: "\u0420\u0430\u0431\u043e\u0442\u044b \u0438 \u043c\u0430\u0442\u0435\u0440\u0438\u0430\u043b\u044b",
+        lineItemLabor: "\u0420\u0430\u0431\u043e\u0442\u0430",
+        lineItemMaterial: "\u041c\u0430\u0442\u0435\u0440\u0438\u0430\u043b",
+        lineItemCallout: "\u0414\u043e\u043f. \u0432\u044b\u0435\u0437\u0434",
+        lineItemDescription: "\u041e\u043f\u0438\u0441\u0430\u043d\u0438\u0435",
+        lineItemQuantity: "\u041a\u043e\u043b-\u0432\u043e",
+        lineItemUnitPrice: "\u0426\u0435\u043d\u0430 \u0437\u0430 \u0435\u0434.",
+        lineItemAmount: "\u0421\u0443\u043c\u043c\u0430",
+        lineItemsTotal: "\u0418\u0442\u043e\u0433\u043e",
+        lineItemAdjustedFrom: "\u0431\u044b\u043b\u043e",
+        lineItemsMismatch: "\u0421\u0443\u043c\u043c\u0430 \u0441\u0442\u0440\u043e\u043a {0}, \u0438\u0442\u043e\u0433\u043e\u0432\u0430\u044f \u0446\u0435\u043d\u0430 {1}",
+        errorLineItemInvalid: "\u0423 \u043a\u0430\u0436\u0434\u043e\u0439 \u0441\u0442\u0440\u043e\u043a\u0438 \u0434\u043e\u043b\u0436\u043d\u044b \u0431\u044b\u0442\u044c \u043e\u043f\u0438\u0441\u0430\u043d\u0438\u0435 \u0438 \u0446\u0435\u043d\u0430",
+        priceInsightRange: "\u041e\u0431\u044b\u0447\u043d\u0430\u044f \u0446\u0435\u043d\u0430 {0}\u2013{1} (\u043c\u0435\u0434\u0438\u0430\u043d\u0430 {2}, \u0437\u0430\u043a\u0430\u0437\u043e\u0432: {3})",
+        priceInsightUseMedian: "\u0412\u0437\u044f\u0442\u044c \u043c\u0435\u0434\u0438\u0430\u043d\u0443",
+        priceInsightLabel: "\u041e\u0431\u044b\u0447\u043d\u0430\u044f \u0446\u0435\u043d\u0430",
+        priceInsightMedian: "\u043c\u0435\u0434\u0438\u0430\u043d\u0430 {0}",
+        priceReview: "\u041f\u0440\u043e\u0432\u0435\u0440\u043a\u0430 \u0446\u0435\u043d",
+        priceReviewSummary: "\u041e\u0436\u0438\u0434\u0430\u044e\u0442: {0} \u00b7 \u041f\u043e\u0440\u043e\u0433: {1}",
+        priceReviewAdjustedPrice: "\u0421\u043a\u043e\u0440\u0440\u0435\u043a\u0442\u0438\u0440\u043e\u0432\u0430\u043d\u043d\u0430\u044f \u0446\u0435\u043d\u0430",
+        priceReviewNotesHint: "\u041a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439 \u043a \u0440\u0435\u0448\u0435\u043d\u0438\u044e (\u043d\u0435\u043e\u0431\u044f\u0437\u0430\u0442\u0435\u043b\u044c\u043d\u043e)",
+        priceReviewRecent: "\u041f\u043e\u0441\u043b\u0435\u0434\u043d\u0438\u0435 \u0440\u0435\u0448\u0435\u043d\u0438\u044f",
+        priceReviewPrices: "\u041d\u0430\u0447\u0430\u043b\u044c\u043d\u0430\u044f: {0} \u00b7 \u0418\u0442\u043e\u0433\u043e\u0432\u0430\u044f: {1}",
+        priceReviewReason: "\u041f\u0440\u0438\u0447\u0438\u043d\u0430 \u043c\u0430\u0441\u0442\u0435\u0440\u0430",
+        priceReviewNoReason: "\u041d\u0435 \u0443\u043a\u0430\u0437\u0430\u043d\u0430",
+        priceReviewEmpty: "\u041d\u0435\u0442 \u0446\u0435\u043d \u043d\u0430 \u043f\u0440\u043e\u0432\u0435\u0440\u043a\u0435",
+        priceReviewApprove: "\u041e\u0434\u043e\u0431\u0440\u0438\u0442\u044c",
+        priceReviewAdjust: "\u0418\u0437\u043c\u0435\u043d\u0438\u0442\u044c",
+        priceReviewReject: "\u041e\u0442\u043a\u043b\u043e\u043d\u0438\u0442\u044c",
+        toastPriceReviewSaved: "\u0420\u0435\u0448\u0435\u043d\u0438\u0435 \u043f\u043e \u0446\u0435\u043d\u0435 \u0441\u043e\u0445\u0440\u0430\u043d\u0435\u043d\u043e",
+        modalPriceChangeReason: "\u041f\u043e\u0447\u0435\u043c\u0443 \u0446\u0435\u043d\u0430 \u043e\u0442\u043b\u0438\u0447\u0430\u0435\u0442\u0441\u044f \u043e\u0442 \u0441\u043e\u0433\u043b\u0430\u0441\u043e\u0432\u0430\u043d\u043d\u043e\u0439?",
+        photoKindEvidence: "\u0414\u043e\u043a\u0430\u0437\u0430\u0442\u0435\u043b\u044c\u0441\u0442\u0432\u0430",
+        disputeStatusRejected: "\u041e\u0422\u041a\u041b\u041e\u041d\u0401\u041d",
+        disputeCaseAge: "\u0412\u043e\u0437\u0440\u0430\u0441\u0442: {0} \u00b7 SLA {1}: {2}",
+        disputeSlaResponse: "\u0440\u0435\u0430\u043a\u0446\u0438\u044f",
+        disputeSlaResolution: "\u0440\u0435\u0448\u0435\u043d\u0438\u0435",
+        disputeSlaBreached: "\u043f\u0440\u043e\u0441\u0440\u043e\u0447\u0435\u043d\u043e \u043d\u0430 {0}",
+        disputeSlaLeft: "\u043e\u0441\u0442\u0430\u043b\u043e\u0441\u044c {0}",
+        disputeCardMeta: "\u0412\u043e\u0437\u0440\u0430\u0441\u0442: {0} \u00b7 {1} \u00b7 {2}",
+        disputeAssignee: "\u041e\u0442\u0432\u0435\u0442\u0441\u0442\u0432\u0435\u043d\u043d\u044b\u0439 \u0430\u0434\u043c\u0438\u043d",
+        disputeTakeCase: "\u0412\u0437\u044f\u0442\u044c \u0432 \u0440\u0430\u0431\u043e\u0442\u0443",
+        disputeOutcome: "\u0418\u0442\u043e\u0433",
+        disputeFinalPrice: "\u0418\u0442\u043e\u0433\u043e\u0432\u0430\u044f \u0446\u0435\u043d\u0430 (\u0441\u0435\u0439\u0447\u0430\u0441: {0})",
+        disputePenalty: "\u0428\u0442\u0440\u0430\u0444 \u043c\u0430\u0441\u0442\u0435\u0440\u0443",
+        disputeRefund: "\u0412\u043e\u0437\u0432\u0440\u0430\u0442 \u043a\u043b\u0438\u0435\u043d\u0442\u0443",
+        disputeDecisionNotes: "\u041a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439 \u043a \u0440\u0435\u0448\u0435\u043d\u0438\u044e (\u043e\u0431\u044f\u0437\u0430\u0442\u0435\u043b\u0435\u043d \u0434\u043b\u044f \u043e\u0442\u043a\u043b\u043e\u043d\u0435\u043d\u0438\u044f)",
+        disputeResolve: "\u0420\u0435\u0448\u0438\u0442\u044c",
+        disputeReject: "\u041e\u0442\u043a\u043b\u043e\u043d\u0438\u0442\u044c",
+        disputeEvidence: "\u0414\u043e\u043a\u0430\u0437\u0430\u0442\u0435\u043b\u044c\u0441\u0442\u0432\u0430",
+        disputeUploadEvidence: "\u0417\u0430\u0433\u0440\u0443\u0437\u0438\u0442\u044c \u0434\u043e\u043a\u0430\u0437\u0430\u0442\u0435\u043b\u044c\u0441\u0442\u0432\u0430",
+        disputeThread: "\u0421\u043e\u043e\u0431\u0449\u0435\u043d\u0438\u044f",
+        disputeNoMessages: "\u0421\u043e\u043e\u0431\u0449\u0435\u043d\u0438\u0439 \u043f\u043e\u043a\u0430 \u043d\u0435\u0442",
+        disputeMessageHint: "\u041d\u0430\u043f\u0438\u0448\u0438\u0442\u0435 \u0441\u043e\u043e\u0431\u0449\u0435\u043d\u0438\u0435",
+        disputeSendMessage: "\u041e\u0442\u043f\u0440\u0430\u0432\u0438\u0442\u044c",
+        disputeOpenOrder: "\u041e\u0442\u043a\u0440\u044b\u0442\u044c \u0437\u0430\u043a\u0430\u0437",
+        toastDisputeAssigned: "\u0421\u043f\u043e\u0440 \u043d\u0430\u0437\u043d\u0430\u0447\u0435\u043d",
+        toastDisputeRejected: "\u0421\u043f\u043e\u0440 \u043e\u0442\u043a\u043b\u043e\u043d\u0451\u043d",
+        toastDisputeResolved: "\u0421\u043f\u043e\u0440 \u0440\u0435\u0448\u0451\u043d",
+        commissionTierLabel: "\u0423\u0440\u043e\u0432\u0435\u043d\u044c \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u0438",
+        commissionTierStandard: "\u0421\u0442\u0430\u043d\u0434\u0430\u0440\u0442",
+        commissionTierSilver: "\u0421\u0435\u0440\u0435\u0431\u0440\u043e",
+        commissionTierGold: "\u0417\u043e\u043b\u043e\u0442\u043e",
+        commissionMonthlyOrders: "\u0417\u0430\u043a\u0430\u0437\u043e\u0432 \u0432 \u044d\u0442\u043e\u043c \u043c\u0435\u0441\u044f\u0446\u0435",
+        historyCommissionShort: "\u041a\u043e\u043c\u0438\u0441\u0441\u0438\u044f",
+        commissionRulesTitle: "\u041f\u0440\u0430\u0432\u0438\u043b\u0430 \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u0438",
+        commissionRulesHint: "\u041f\u0440\u0438\u043c\u0435\u043d\u044f\u0435\u0442\u0441\u044f \u0441\u0430\u043c\u043e\u0435 \u0442\u043e\u0447\u043d\u043e\u0435 \u0441\u043e\u0432\u043f\u0430\u0432\u0448\u0435\u0435 \u043f\u0440\u0430\u0432\u0438\u043b\u043e; \u0431\u0435\u0437 \u0441\u043e\u0432\u043f\u0430\u0434\u0435\u043d\u0438\u0439 \u2014 \u0441\u0442\u0430\u0432\u043a\u0430 \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u0438. \u0418\u043d\u0434\u0438\u0432\u0438\u0434\u0443\u0430\u043b\u044c\u043d\u0430\u044f \u0441\u0442\u0430\u0432\u043a\u0430 \u043c\u0430\u0441\u0442\u0435\u0440\u0430 \u0432\u0430\u0436\u043d\u0435\u0435 \u043f\u0440\u0430\u0432\u0438\u043b.",
+        commissionRuleAny: "\u041b\u044e\u0431\u043e\u0439",
+        commissionRuleMinOrdersShort: "\u043e\u0442 {0} \u0437\u0430\u043a\u0430\u0437\u043e\u0432/\u043c\u0435\u0441",
+        commissionSourceOverride: "\u0421\u0442\u0430\u0432\u043a\u0430 \u043c\u0430\u0441\u0442\u0435\u0440\u0430",
+        commissionSourceRule: "\u041f\u0440\u0430\u0432\u0438\u043b\u043e",
+        commissionSourceDefault: "\u0411\u0430\u0437\u043e\u0432\u0430\u044f \u0441\u0442\u0430\u0432\u043a\u0430",
+        commissionRuleService: "\u0422\u0438\u043f \u0443\u0441\u043b\u0443\u0433\u0438",
+        commissionRuleDistrict: "\u0420\u0430\u0439\u043e\u043d",
+        commissionRuleMinOrders: "\u041c\u0438\u043d. \u0437\u0430\u043a\u0430\u0437\u043e\u0432 / \u043c\u0435\u0441\u044f\u0446",
+        commissionRuleRate: "\u0421\u0442\u0430\u0432\u043a\u0430 (%)",
+        commissionRuleRemove: "\u0423\u0434\u0430\u043b\u0438\u0442\u044c \u043f\u0440\u0430\u0432\u0438\u043b\u043e",
+        commissionRuleAdd: "\u0414\u043e\u0431\u0430\u0432\u0438\u0442\u044c \u043f\u0440\u0430\u0432\u0438\u043b\u043e",
+        commissionRulesEmpty: "\u041f\u0440\u0430\u0432\u0438\u043b \u043f\u043e\u043a\u0430 \u043d\u0435\u0442. \u0414\u043b\u044f \u0432\u0441\u0435\u0445 \u0437\u0430\u043a\u0430\u0437\u043e\u0432 \u0434\u0435\u0439\u0441\u0442\u0432\u0443\u0435\u0442 \u0441\u0442\u0430\u0432\u043a\u0430 \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u0438.",
+        commissionPreviewTitle: "\u041f\u0440\u0435\u0434\u043f\u0440\u043e\u0441\u043c\u043e\u0442\u0440",
+        commissionPreviewPrice: "\u0426\u0435\u043d\u0430 \u0437\u0430\u043a\u0430\u0437\u0430",
+        commissionPreviewCallout: "\u041f\u043b\u0430\u0442\u0430 \u0437\u0430 \u0432\u044b\u0435\u0437\u0434",
+        commissionPreviewAmount: "\u041a\u043e\u043c\u0438\u0441\u0441\u0438\u044f: {0} {1}",
+        commissionRateOverride: "\u0418\u043d\u0434\u0438\u0432\u0438\u0434\u0443\u0430\u043b\u044c\u043d\u0430\u044f \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u044f (%)",
+        commissionOverridePlaceholder: "\u041f\u043e \u043f\u0440\u0430\u0432\u0438\u043b\u0430\u043c",
+        topUpsTab: "\u041f\u043e\u043f\u043e\u043b\u043d\u0435\u043d\u0438\u044f",
+        topUpHint: "\u041e\u043f\u043b\u0430\u0442\u0438\u0442\u0435 \u0441\u0443\u043c\u043c\u0443, \u043f\u0440\u0438\u043b\u043e\u0436\u0438\u0442\u0435 \u0441\u043a\u0440\u0438\u043d\u0448\u043e\u0442 \u043f\u043b\u0430\u0442\u0435\u0436\u0430 \u0438 \u043e\u0442\u043f\u0440\u0430\u0432\u044c\u0442\u0435 \u0437\u0430\u044f\u0432\u043a\u0443. \u0411\u0430\u043b\u0430\u043d\u0441 \u043f\u043e\u043f\u043e\u043b\u043d\u0438\u0442\u0441\u044f \u043f\u043e\u0441\u043b\u0435 \u043f\u0440\u043e\u0432\u0435\u0440\u043a\u0438.",
+        topUpAmountPlaceholder: "\u0421\u0443\u043c\u043c\u0430 ({0}-{1})",
+        topUpProofLabel: "\u0421\u043a\u0440\u0438\u043d\u0448\u043e\u0442 \u043f\u043b\u0430\u0442\u0435\u0436\u0430",
+        topUpNotesPlaceholder: "\u041a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439 (\u043d\u0435\u043e\u0431\u044f\u0437\u0430\u0442\u0435\u043b\u044c\u043d\u043e)",
+        topUpSubmit: "\u041e\u0442\u043f\u0440\u0430\u0432\u0438\u0442\u044c \u0437\u0430\u044f\u0432\u043a\u0443",
+        topUpPendingHint: "\u0412\u0430\u0448\u0430 \u0437\u0430\u044f\u0432\u043a\u0430 \u043d\u0430 \u043f\u0440\u043e\u0432\u0435\u0440\u043a\u0435. \u041d\u043e\u0432\u0443\u044e \u043c\u043e\u0436\u043d\u043e \u043e\u0442\u043f\u0440\u0430\u0432\u0438\u0442\u044c \u043f\u043e\u0441\u043b\u0435 \u0440\u0435\u0448\u0435\u043d\u0438\u044f.",
+        topUpRequestsTitle: "\u041c\u043e\u0438 \u0437\u0430\u044f\u0432\u043a\u0438",
+        topUpRequestsEmpty: "\u0417\u0430\u044f\u0432\u043e\u043a \u043d\u0430 \u043f\u043e\u043f\u043e\u043b\u043d\u0435\u043d\u0438\u0435 \u043f\u043e\u043a\u0430 \u043d\u0435\u0442",
+        topUpStatusRequested: "\u041d\u0430 \u043f\u0440\u043e\u0432\u0435\u0440\u043a\u0435",
+        topUpStatusApproved: "\u041e\u0434\u043e\u0431\u0440\u0435\u043d\u043e",
+        topUpStatusRejected: "\u041e\u0442\u043a\u043b\u043e\u043d\u0435\u043d\u043e",
+        topUpReviewNote: "\u041a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439 \u0430\u0434\u043c\u0438\u043d\u0438\u0441\u0442\u0440\u0430\u0442\u043e\u0440\u0430",
+        topUpErrorAmount: "\u0412\u0432\u0435\u0434\u0438\u0442\u0435 \u043a\u043e\u0440\u0440\u0435\u043a\u0442\u043d\u0443\u044e \u0441\u0443\u043c\u043c\u0443",
+        topUpErrorAmountMin: "\u0421\u0443\u043c\u043c\u0430 \u043c\u0435\u043d\u044c\u0448\u0435 \u043c\u0438\u043d\u0438\u043c\u0430\u043b\u044c\u043d\u043e\u0439",
+        topUpErrorAmountMax: "\u0421\u0443\u043c\u043c\u0430 \u0431\u043e\u043b\u044c\u0448\u0435 \u043c\u0430\u043a\u0441\u0438\u043c\u0430\u043b\u044c\u043d\u043e\u0439",
+        topUpErrorMethod: "\u0412\u044b\u0431\u0435\u0440\u0438\u0442\u0435 \u0441\u043f\u043e\u0441\u043e\u0431 \u043e\u043f\u043b\u0430\u0442\u044b",
+        topUpErrorProof: "\u041f\u0440\u0438\u043b\u043e\u0436\u0438\u0442\u0435 \u0441\u043a\u0440\u0438\u043d\u0448\u043e\u0442 \u043f\u043b\u0430\u0442\u0435\u0436\u0430",
+        topUpErrorPending: "\u0423 \u0432\u0430\u0441 \u0443\u0436\u0435 \u0435\u0441\u0442\u044c \u0437\u0430\u044f\u0432\u043a\u0430 \u043d\u0430 \u043f\u0440\u043e\u0432\u0435\u0440\u043a\u0435",
+        topUpErrorSubmit: "\u041d\u0435 \u0443\u0434\u0430\u043b\u043e\u0441\u044c \u043e\u0442\u043f\u0440\u0430\u0432\u0438\u0442\u044c \u0437\u0430\u044f\u0432\u043a\u0443",
+        toastTopUpSubmitted: "\u0417\u0430\u044f\u0432\u043a\u0430 \u043d\u0430 \u043f\u043e\u043f\u043e\u043b\u043d\u0435\u043d\u0438\u0435 \u043e\u0442\u043f\u0440\u0430\u0432\u043b\u0435\u043d\u0430 \u043d\u0430 \u043f\u0440\u043e\u0432\u0435\u0440\u043a\u0443",
+        topUpApprove: "\u041e\u0434\u043e\u0431\u0440\u0438\u0442\u044c \u0438 \u0437\u0430\u0447\u0438\u0441\u043b\u0438\u0442\u044c",
+        topUpReviewNotesHint: "\u041a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439 \u0434\u043b\u044f \u043c\u0430\u0441\u0442\u0435\u0440\u0430 (\u043e\u0431\u044f\u0437\u0430\u0442\u0435\u043b\u0435\u043d \u043f\u0440\u0438 \u043e\u0442\u043a\u0430\u0437\u0435)",
+        topUpRejectReasonRequired: "\u0423\u043a\u0430\u0436\u0438\u0442\u0435 \u043f\u0440\u0438\u0447\u0438\u043d\u0443 \u043e\u0442\u043a\u0430\u0437\u0430",
+        topUpProofUnavailable: "\u0421\u043a\u0440\u0438\u043d\u0448\u043e\u0442 \u043d\u0435\u0434\u043e\u0441\u0442\u0443\u043f\u0435\u043d",
+        topUpsEmpty: "\u0417\u0430\u044f\u0432\u043e\u043a \u043d\u0430 \u043f\u043e\u043f\u043e\u043b\u043d\u0435\u043d\u0438\u0435 \u043d\u0435\u0442",
+        toastTopUpApproved: "\u041f\u043e\u043f\u043e\u043b\u043d\u0435\u043d\u0438\u0435 \u043e\u0434\u043e\u0431\u0440\u0435\u043d\u043e, \u0431\u0430\u043b\u0430\u043d\u0441 \u0437\u0430\u0447\u0438\u0441\u043b\u0435\u043d",
+        toastTopUpRejected: "\u041f\u043e\u043f\u043e\u043b\u043d\u0435\u043d\u0438\u0435 \u043e\u0442\u043a\u043b\u043e\u043d\u0435\u043d\u043e",
+        approved: "\u041e\u0434\u043e\u0431\u0440\u0435\u043d\u043e",
+        reconciliation: "\u0421\u0432\u0435\u0440\u043a\u0430",
+        reconIssueChainGap: "\u0420\u0430\u0437\u0440\u044b\u0432 \u0446\u0435\u043f\u043e\u0447\u043a\u0438 \u0431\u0430\u043b\u0430\u043d\u0441\u0430",
+        reconIssueAmountMismatch: "\u0421\u0443\u043c\u043c\u0430 \u043d\u0435 \u0441\u043e\u0432\u043f\u0430\u0434\u0430\u0435\u0442 \u0441 \u0438\u0437\u043c\u0435\u043d\u0435\u043d\u0438\u0435\u043c \u0431\u0430\u043b\u0430\u043d\u0441\u0430",
+        reconIssueBalanceMismatch: "\u0411\u0430\u043b\u0430\u043d\u0441 \u0440\u0430\u0441\u0445\u043e\u0434\u0438\u0442\u0441\u044f \u0441 \u0436\u0443\u0440\u043d\u0430\u043b\u043e\u043c",
+        reconIssueTotalsMismatch: "\u0418\u0442\u043e\u0433 \u043f\u0440\u043e\u0444\u0438\u043b\u044f \u0440\u0430\u0441\u0445\u043e\u0434\u0438\u0442\u0441\u044f \u0441 \u0436\u0443\u0440\u043d\u0430\u043b\u043e\u043c",
+        reconIssueMissingEarning: "\u041f\u043e\u0434\u0442\u0432\u0435\u0440\u0436\u0434\u0451\u043d\u043d\u044b\u0439 \u0437\u0430\u043a\u0430\u0437 \u0431\u0435\u0437 \u043d\u0430\u0447\u0438\u0441\u043b\u0435\u043d\u0438\u044f",
+        reconExpected: "\u041e\u0436\u0438\u0434\u0430\u043b\u043e\u0441\u044c",
+        reconActual: "\u0424\u0430\u043a\u0442",
+        reconBackToReport: "\u041d\u0430\u0437\u0430\u0434 \u043a \u043e\u0442\u0447\u0451\u0442\u0443",
+        reconLedgerSummary: "\u0411\u0430\u043b\u0430\u043d\u0441 \u043f\u0440\u043e\u0444\u0438\u043b\u044f: {0} \u00b7 \u0411\u0430\u043b\u0430\u043d\u0441 \u043f\u043e \u0436\u0443\u0440\u043d\u0430\u043b\u0443: {1}",
+        reconEarnings: "\u041d\u0430\u0447\u0438\u0441\u043b\u0435\u043d\u0438\u044f",
+        reconLedgerEmpty: "\u0417\u0430\u043f\u0438\u0441\u0435\u0439 \u043d\u0435\u0442",
+        reconSummary: "\u0421\u0447\u0435\u0442\u043e\u0432: {0} \u00b7 \u041f\u0440\u043e\u0432\u0435\u0440\u0435\u043d\u043e \u043e\u043f\u0435\u0440\u0430\u0446\u0438\u0439: {1} \u00b7 \u041f\u0440\u043e\u0431\u043b\u0435\u043c: {2}",
+        reconGeneratedAt: "\u041f\u0440\u043e\u0432\u0435\u0440\u0435\u043d\u043e",
+        reconTruncated: "\u041d\u0435\u043a\u043e\u0442\u043e\u0440\u044b\u0435 \u0442\u0430\u0431\u043b\u0438\u0446\u044b \u0441\u043b\u0438\u0448\u043a\u043e\u043c \u0431\u043e\u043b\u044c\u0448\u0438\u0435 \u0438 \u0437\u0430\u0433\u0440\u0443\u0436\u0435\u043d\u044b \u043d\u0435 \u043f\u043e\u043b\u043d\u043e\u0441\u0442\u044c\u044e; \u0440\u0435\u0437\u0443\u043b\u044c\u0442\u0430\u0442 \u043c\u043e\u0436\u0435\u0442 \u0431\u044b\u0442\u044c \u043d\u0435\u043f\u043e\u043b\u043d\u044b\u043c.",
+        reconNoIssues: "\u0416\u0443\u0440\u043d\u0430\u043b\u044b \u0441\u0445\u043e\u0434\u044f\u0442\u0441\u044f. \u041f\u0440\u043e\u0431\u043b\u0435\u043c \u043d\u0435 \u043d\u0430\u0439\u0434\u0435\u043d\u043e.",
+        statementsMenu: "\u0412\u044b\u043f\u0438\u0441\u043a\u0438",
+        statementTitle: "\u0412\u044b\u043f\u0438\u0441\u043a\u0430",
+        statementOpening: "\u041d\u0430\u0447\u0430\u043b\u044c\u043d\u044b\u0439 \u0431\u0430\u043b\u0430\u043d\u0441",
+        statementTopUps: "\u041f\u043e\u043f\u043e\u043b\u043d\u0435\u043d\u0438\u044f",
+        statementEarned: "\u041d\u0430\u0447\u0438\u0441\u043b\u0435\u043d\u043d\u0430\u044f \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u044f",
+        statementCommissions: "\u0421\u043f\u0438\u0441\u0430\u043d\u043d\u044b\u0435 \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u0438",
+        statementPayouts: "\u0412\u044b\u043f\u043b\u0430\u0442\u044b",
+        statementAdjustments: "\u041a\u043e\u0440\u0440\u0435\u043a\u0442\u0438\u0440\u043e\u0432\u043a\u0438",
+        statementClosing: "\u041a\u043e\u043d\u0435\u0447\u043d\u044b\u0439 \u0431\u0430\u043b\u0430\u043d\u0441",
+        statementDate: "\u0414\u0430\u0442\u0430",
+        statementType: "\u0422\u0438\u043f",
+        statementAmount: "\u0421\u0443\u043c\u043c\u0430",
+        statementBalance: "\u0411\u0430\u043b\u0430\u043d\u0441",
+        statementNotes: "\u041f\u0440\u0438\u043c\u0435\u0447\u0430\u043d\u0438\u0435",
+        statementEmpty: "\u041d\u0435\u0442 \u043e\u043f\u0435\u0440\u0430\u0446\u0438\u0439 \u0437\u0430 \u043f\u0435\u0440\u0438\u043e\u0434",
+        statementTransactionsCount: "\u041e\u043f\u0435\u0440\u0430\u0446\u0438\u0439: {0}",
+        statementExportCsv: "\u042d\u043a\u0441\u043f\u043e\u0440\u0442 CSV",
+        statementExportPdf: "\u042d\u043a\u0441\u043f\u043e\u0440\u0442 PDF",
+        statementLoadError: "\u041d\u0435 \u0443\u0434\u0430\u043b\u043e\u0441\u044c \u0437\u0430\u0433\u0440\u0443\u0437\u0438\u0442\u044c \u0432\u044b\u043f\u0438\u0441\u043a\u0443",
+        statementExportError: "\u041d\u0435 \u0443\u0434\u0430\u043b\u043e\u0441\u044c \u044d\u043a\u0441\u043f\u043e\u0440\u0442\u0438\u0440\u043e\u0432\u0430\u0442\u044c",
+        statementsBulkHint: "CSV: \u043e\u0434\u043d\u0430 \u0441\u0442\u0440\u043e\u043a\u0430 \u043d\u0430 \u0430\u043a\u043a\u0430\u0443\u043d\u0442; PDF: \u043e\u0442\u0434\u0435\u043b\u044c\u043d\u0430\u044f \u0441\u0442\u0440\u0430\u043d\u0438\u0446\u0430 \u043d\u0430 \u0430\u043a\u043a\u0430\u0443\u043d\u0442.",
+        statementsEmpty: "\u0410\u043a\u043a\u0430\u0443\u043d\u0442\u044b \u043d\u0435 \u043d\u0430\u0439\u0434\u0435\u043d\u044b",
+        partnerOverview: "\u041e\u0431\u0437\u043e\u0440",
+        partnerFunnelTitle: "\u041f\u0440\u0438\u0432\u0435\u0434\u0451\u043d\u043d\u044b\u0435 \u0437\u0430\u043a\u0430\u0437\u044b",
+        partnerFunnelReferred: "\u041f\u0440\u0438\u0432\u0435\u0434\u0435\u043d\u043e",
+        partnerFunnelAssigned: "\u041c\u0430\u0441\u0442\u0435\u0440 \u043d\u0430\u0437\u043d\u0430\u0447\u0435\u043d",
+        partnerFunnelCompleted: "\u0412\u044b\u043f\u043e\u043b\u043d\u0435\u043d\u043e",
+        partnerFunnelConfirmed: "\u041f\u043e\u0434\u0442\u0432\u0435\u0440\u0436\u0434\u0435\u043d\u043e",
+        partnerFunnelCanceled: "\u041e\u0442\u043c\u0435\u043d\u0435\u043d\u043e",
+        partnerForecastTitle: "\u041f\u0440\u043e\u0433\u043d\u043e\u0437 \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u0438",
+        partnerForecastRunRate: "\u0422\u0435\u043c\u043f \u0437\u0430 \u043c\u0435\u0441\u044f\u0446",
+        partnerForecastOpen: "\u041e\u0436\u0438\u0434\u0430\u0435\u0442\u0441\u044f \u0441 \u043e\u0442\u043a\u0440\u044b\u0442\u044b\u0445 \u0437\u0430\u043a\u0430\u0437\u043e\u0432",
+        partnerForecastHint: "\u0417\u0430 {0} \u0434\u043d.: {1} \u00b7 \u041e\u0442\u043a\u0440\u044b\u0442\u044b\u0445 \u0437\u0430\u043a\u0430\u0437\u043e\u0432: {2} \u00b7 \u0414\u043e\u043b\u044f \u0437\u0430\u043a\u0440\u044b\u0442\u0438\u044f: {3}%",
+        partnerConversionTitle: "\u041a\u043e\u043d\u0432\u0435\u0440\u0441\u0438\u044f \u043f\u043e \u0443\u0441\u043b\u0443\u0433\u0430\u043c",
+        partnerCommissionPerOrder: "\u041a\u043e\u043c\u0438\u0441\u0441\u0438\u044f \u043f\u043e \u0437\u0430\u043a\u0430\u0437\u0430\u043c",
+        partnerPayoutInReview: "\u041d\u0430 \u0440\u0430\u0441\u0441\u043c\u043e\u0442\u0440\u0435\u043d\u0438\u0438",
+        partnerPayoutLedger: "\u0421\u043f\u0438\u0441\u0430\u043d\u043e \u0441 \u0431\u0430\u043b\u0430\u043d\u0441\u0430",
+        payoutBatches: "\u041f\u0430\u043a\u0435\u0442\u044b",
+        payoutBatchStart: "\u041f\u0430\u043a\u0435\u0442\u043d\u0430\u044f \u0432\u044b\u043f\u043b\u0430\u0442\u0430",
+        payoutBatchTitle: "\u041f\u0430\u043a\u0435\u0442\u043d\u0430\u044f \u0432\u044b\u043f\u043b\u0430\u0442\u0430",
+        payoutBatchSummary: "\u0412\u044b\u0431\u0440\u0430\u043d\u043e: {0} | \u0418\u0442\u043e\u0433\u043e: {1}",
+        payoutBatchReference: "\u041d\u043e\u043c\u0435\u0440 \u043f\u0430\u043a\u0435\u0442\u0430",
+        payoutBatchInvalid: "\u041f\u0440\u043e\u0432\u0435\u0440\u044c\u0442\u0435 \u0432\u044b\u0431\u0440\u0430\u043d\u043d\u044b\u0435 \u0432\u044b\u043f\u043b\u0430\u0442\u044b \u0438 \u0441\u0443\u043c\u043c\u044b",
+        payoutBatchApprove: "\u041e\u0434\u043e\u0431\u0440\u0438\u0442\u044c \u0432\u044b\u043f\u043b\u0430\u0442\u044b: {0}",
+        payoutBatchPaid: "\u041f\u0430\u043a\u0435\u0442 {0} \u0432\u044b\u043f\u043b\u0430\u0447\u0435\u043d",
+        payoutBatchReversed: "\u041f\u0430\u043a\u0435\u0442 {0} \u043e\u0442\u043c\u0435\u043d\u0451\u043d, \u0431\u0430\u043b\u0430\u043d\u0441\u044b \u0432\u043e\u0437\u0432\u0440\u0430\u0449\u0435\u043d\u044b",
+        payoutBatchReasonRequired: "\u0423\u043a\u0430\u0436\u0438\u0442\u0435 \u043f\u0440\u0438\u0447\u0438\u043d\u0443 \u043e\u0442\u043a\u0430\u0437\u0430 \u0431\u0430\u043d\u043a\u0430",
+        payoutBatchStatusReversed: "\u041e\u0442\u043c\u0435\u043d\u0451\u043d",
+        payoutBatchReversalReason: "\u041e\u0442\u043a\u0430\u0437 \u0431\u0430\u043d\u043a\u0430",
+        payoutBatchCsv: "CSV",
+        payoutBatchBankFile: "\u0424\u0430\u0439\u043b \u0434\u043b\u044f \u0431\u0430\u043d\u043a\u0430",
+        payoutBatchReverse: "\u041e\u0442\u043c\u0435\u043d\u0438\u0442\u044c",
+        payoutBatchReasonHint: "\u041f\u043e\u0447\u0435\u043c\u0443 \u0431\u0430\u043d\u043a \u043e\u0442\u043a\u043b\u043e\u043d\u0438\u043b \u043f\u0430\u043a\u0435\u0442?",
+        payoutBatchReverseConfirm: "\u041e\u0442\u043c\u0435\u043d\u0438\u0442\u044c \u0438 \u0432\u0435\u0440\u043d\u0443\u0442\u044c \u0431\u0430\u043b\u0430\u043d\u0441\u044b",
+        payoutBatchesEmpty: "\u041f\u0430\u043a\u0435\u0442\u043e\u0432 \u0432\u044b\u043f\u043b\u0430\u0442 \u043f\u043e\u043a\u0430 \u043d\u0435\u0442",
+        payoutTemplateTitle: "\u0424\u0430\u0439\u043b \u0432\u044b\u043f\u043b\u0430\u0442 \u0434\u043b\u044f \u0431\u0430\u043d\u043a\u0430",
+        payoutTemplateHint: "\u0424\u043e\u0440\u043c\u0430\u0442 \u0441 \u0444\u0438\u043a\u0441\u0438\u0440\u043e\u0432\u0430\u043d\u043d\u043e\u0439 \u0448\u0438\u0440\u0438\u043d\u043e\u0439, \u043e\u0434\u043d\u043e \u043f\u043e\u043b\u0435 \u0432 \u0441\u0442\u0440\u043e\u043a\u0435: \u043a\u043b\u044e\u0447 \u0448\u0438\u0440\u0438\u043d\u0430 [left|right] [\u0437\u0430\u043f\u043e\u043b\u043d\u0438\u0442\u0435\u043b\u044c]. \u041a\u043b\u044e\u0447\u0438: reference, date, request_id, partner_id, partner_name, phone, email, amount, amount_cents; =\u0422\u0415\u041a\u0421\u0422 \u0434\u043b\u044f \u043f\u043e\u0441\u0442\u043e\u044f\u043d\u043d\u043e\u0433\u043e \u0442\u0435\u043a\u0441\u0442\u0430, \u0432 \u043a\u0430\u0432\u044b\u0447\u043a\u0430\u0445, \u0435\u0441\u043b\u0438 \u0435\u0441\u0442\u044c \u043f\u0440\u043e\u0431\u0435\u043b\u044b: =\"ACME BANK\".",
+        selectAll: "\u0412\u044b\u0431\u0440\u0430\u0442\u044c \u0432\u0441\u0435",
+        clearSelection: "\u0421\u0431\u0440\u043e\u0441\u0438\u0442\u044c",
+        availabilityWorkingNow: "\u0421\u0435\u0439\u0447\u0430\u0441 \u0440\u0430\u0431\u043e\u0442\u0430\u0435\u0442",
+        availabilityOnDuty: "\u041d\u0430 \u0441\u043c\u0435\u043d\u0435",
+        availabilityOnVacation: "\u0412 \u043e\u0442\u043f\u0443\u0441\u043a\u0435",
+        availabilityOffHours: "\u041d\u0435\u0440\u0430\u0431\u043e\u0447\u0435\u0435 \u0432\u0440\u0435\u043c\u044f",
+        availabilityOffDuty: "\u041d\u0435 \u043d\u0430 \u0441\u043c\u0435\u043d\u0435",
+        errorAssignMasterUnavailable: "\u041c\u0430\u0441\u0442\u0435\u0440 \u043d\u0435 \u043d\u0430 \u0441\u043c\u0435\u043d\u0435, \u0432 \u043e\u0442\u043f\u0443\u0441\u043a\u0435 \u0438\u043b\u0438 \u0432\u043d\u0435 \u0440\u0430\u0431\u043e\u0447\u0435\u0433\u043e \u0432\u0440\u0435\u043c\u0435\u043d\u0438",
+        availabilityMenu: "\u0414\u043e\u0441\u0442\u0443\u043f\u043d\u043e\u0441\u0442\u044c",
+        availabilityPaused: "\u041d\u0430 \u043f\u0430\u0443\u0437\u0435",
+        availabilityUnavailable: "\u041d\u0430\u0441\u0442\u0440\u043e\u0439\u043a\u0438 \u0434\u043e\u0441\u0442\u0443\u043f\u043d\u043e\u0441\u0442\u0438 \u043f\u043e\u043a\u0430 \u043d\u0435\u0434\u043e\u0441\u0442\u0443\u043f\u043d\u044b",
+        availabilityOnVacationUntil: "\u0412 \u043e\u0442\u043f\u0443\u0441\u043a\u0435 \u0434\u043e {0}",
+        availabilityDutyTitle: "\u041d\u0430 \u0441\u043c\u0435\u043d\u0435",
+        availabilityDutyHint: "\u0412\u044b\u043a\u043b\u044e\u0447\u0438\u0442\u0435, \u043a\u043e\u0433\u0434\u0430 \u043d\u0435 \u043c\u043e\u0436\u0435\u0442\u0435 \u0431\u0440\u0430\u0442\u044c \u0437\u0430\u043a\u0430\u0437\u044b. \u041f\u0443\u043b \u0438 \u043d\u043e\u0432\u044b\u0435 \u043d\u0430\u0437\u043d\u0430\u0447\u0435\u043d\u0438\u044f \u0431\u0443\u0434\u0443\u0442 \u043d\u0430 \u043f\u0430\u0443\u0437\u0435.",
+        availabilityHoursTitle: "\u0420\u0430\u0431\u043e\u0447\u0438\u0435 \u0447\u0430\u0441\u044b",
+        availabilityHoursHint: "\u0412\u0440\u0435\u043c\u044f \u0411\u0438\u0448\u043a\u0435\u043a\u0430. \u0412\u043d\u0435 \u044d\u0442\u0438\u0445 \u0447\u0430\u0441\u043e\u0432 \u0432\u044b \u043d\u0435 \u0432\u0438\u0434\u0438\u0442\u0435 \u043f\u0443\u043b \u0438 \u0432\u0430\u0441 \u043d\u0435\u043b\u044c\u0437\u044f \u043d\u0430\u0437\u043d\u0430\u0447\u0438\u0442\u044c.",
+        availabilityAnyTime: "\u0412 \u043b\u044e\u0431\u043e\u0435 \u0432\u0440\u0435\u043c\u044f",
+        availabilityBySchedule: "\u041f\u043e \u0433\u0440\u0430\u0444\u0438\u043a\u0443",
+        availabilityDayOff: "\u0412\u044b\u0445\u043e\u0434\u043d\u043e\u0439",
+        availabilitySaveHours: "\u0421\u043e\u0445\u0440\u0430\u043d\u0438\u0442\u044c \u0447\u0430\u0441\u044b",
+        availabilityErrorHours: "\u041f\u0440\u043e\u0432\u0435\u0440\u044c\u0442\u0435 \u0447\u0430\u0441\u044b: {0}",
+        availabilityDayMon: "\u041f\u043d",
+        availabilityDayTue: "\u0412\u0442",
+        availabilityDayWed: "\u0421\u0440",
+        availabilityDayThu: "\u0427\u0442",
+        availabilityDayFri: "\u041f\u0442",
+        availabilityDaySat: "\u0421\u0431",
+        availabilityDaySun: "\u0412\u0441",
+        timeOffTitle: "\u041e\u0442\u043f\u0443\u0441\u043a\u0430",
+        timeOffEmpty: "\u041e\u0442\u043f\u0443\u0441\u043a\u043e\u0432 \u043d\u0435 \u0437\u0430\u043f\u043b\u0430\u043d\u0438\u0440\u043e\u0432\u0430\u043d\u043e",
+        timeOffFrom: "\u0421 (\u0413\u0413\u0413\u0413-\u041c\u041c-\u0414\u0414)",
+        timeOffTo: "\u041f\u043e (\u0413\u0413\u0413\u0413-\u041c\u041c-\u0414\u0414)",
+        timeOffAdd: "\u0414\u043e\u0431\u0430\u0432\u0438\u0442\u044c \u043e\u0442\u043f\u0443\u0441\u043a",
+        timeOffErrorDate: "\u0412\u0432\u0435\u0434\u0438\u0442\u0435 \u0434\u0430\u0442\u044b \u0432 \u0444\u043e\u0440\u043c\u0430\u0442\u0435 \u0413\u0413\u0413\u0413-\u041c\u041c-\u0414\u0414",
+        timeOffErrorOrder: "\u041f\u043e\u0441\u043b\u0435\u0434\u043d\u0438\u0439 \u0434\u0435\u043d\u044c \u0440\u0430\u043d\u044c\u0448\u0435 \u043f\u0435\u0440\u0432\u043e\u0433\u043e",
+        timeOffErrorPast: "\u042d\u0442\u043e\u0442 \u043f\u0435\u0440\u0438\u043e\u0434 \u0443\u0436\u0435 \u043f\u0440\u043e\u0448\u0451\u043b",
+        timeOffErrorOverlap: "\u041f\u0435\u0440\u0438\u043e\u0434 \u043f\u0435\u0440\u0435\u0441\u0435\u043a\u0430\u0435\u0442\u0441\u044f \u0441 \u0434\u0440\u0443\u0433\u0438\u043c \u043e\u0442\u043f\u0443\u0441\u043a\u043e\u043c",
+        toastAvailabilityFailed: "\u041d\u0435 \u0443\u0434\u0430\u043b\u043e\u0441\u044c \u0441\u043e\u0445\u0440\u0430\u043d\u0438\u0442\u044c \u0434\u043e\u0441\u0442\u0443\u043f\u043d\u043e\u0441\u0442\u044c",
+        toastOnDuty: "\u0412\u044b \u043d\u0430 \u0441\u043c\u0435\u043d\u0435, \u043d\u043e\u0432\u044b\u0435 \u0437\u0430\u043a\u0430\u0437\u044b \u043f\u043e\u044f\u0432\u044f\u0442\u0441\u044f \u0432 \u043f\u0443\u043b\u0435",
+        toastOffDuty: "\u0412\u044b \u043d\u0435 \u043d\u0430 \u0441\u043c\u0435\u043d\u0435, \u043f\u0443\u043b \u043d\u0430 \u043f\u0430\u0443\u0437\u0435",
+        toastScheduleSaved: "\u0420\u0430\u0431\u043e\u0447\u0438\u0435 \u0447\u0430\u0441\u044b \u0441\u043e\u0445\u0440\u0430\u043d\u0435\u043d\u044b",
+        toastTimeOffSaved: "\u041e\u0442\u043f\u0443\u0441\u043a\u0430 \u043e\u0431\u043d\u043e\u0432\u043b\u0435\u043d\u044b",
+        errorMasterUnavailable: "\u0412\u044b \u043d\u0435 \u043d\u0430 \u0441\u043c\u0435\u043d\u0435 \u0438\u043b\u0438 \u0432\u043d\u0435 \u0440\u0430\u0431\u043e\u0447\u0435\u0433\u043e \u0432\u0440\u0435\u043c\u0435\u043d\u0438",
+        poolPausedVacation: "\u0412\u044b \u0432 \u043e\u0442\u043f\u0443\u0441\u043a\u0435 \u0434\u043e {0}",
+        poolPausedHours: "\u0421\u0435\u0439\u0447\u0430\u0441 \u043d\u0435\u0440\u0430\u0431\u043e\u0447\u0435\u0435 \u0432\u0440\u0435\u043c\u044f",
+        poolPausedOffDuty: "\u0412\u044b \u043d\u0435 \u043d\u0430 \u0441\u043c\u0435\u043d\u0435",
+        poolPausedHint: "\u041d\u043e\u0432\u044b\u0435 \u0437\u0430\u043a\u0430\u0437\u044b \u0441\u043a\u0440\u044b\u0442\u044b, \u0434\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u044b \u043d\u0435 \u043c\u043e\u0433\u0443\u0442 \u0432\u0430\u0441 \u043d\u0430\u0437\u043d\u0430\u0447\u0438\u0442\u044c.",
+        poolPausedAction: "\u0418\u0437\u043c\u0435\u043d\u0438\u0442\u044c \u0434\u043e\u0441\u0442\u0443\u043f\u043d\u043e\u0441\u0442\u044c",
+        peoplePresence: "\u041e\u043d\u043b\u0430\u0439\u043d",
+        dispatcherTeamTab: "\u041a\u043e\u043c\u0430\u043d\u0434\u0430",
+        filterOnlineNow: "\u0421\u0435\u0439\u0447\u0430\u0441 \u043e\u043d\u043b\u0430\u0439\u043d",
+        noMastersOnline: "\u0421\u0435\u0439\u0447\u0430\u0441 \u043d\u0435\u0442 \u043c\u0430\u0441\u0442\u0435\u0440\u043e\u0432 \u043e\u043d\u043b\u0430\u0439\u043d",
+        presenceTitle: "\u041f\u0440\u0438\u0441\u0443\u0442\u0441\u0442\u0432\u0438\u0435 \u043a\u043e\u043c\u0430\u043d\u0434\u044b",
+        presenceSummary: "\u041c\u0430\u0441\u0442\u0435\u0440\u0430 \u043e\u043d\u043b\u0430\u0439\u043d: {0}/{1} \u00b7 \u0414\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u044b \u043e\u043d\u043b\u0430\u0439\u043d: {2}/{3}",
+        presenceFilterAll: "\u0412\u0441\u0435",
+        presenceFilterMasters: "\u041c\u0430\u0441\u0442\u0435\u0440\u0430",
+        presenceFilterDispatchers: "\u0414\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u044b",
+        presenceOnlineOnly: "\u0421\u0435\u0439\u0447\u0430\u0441 \u043e\u043d\u043b\u0430\u0439\u043d",
+        presenceOnJob: "\u041d\u0430 \u0437\u0430\u043a\u0430\u0437\u0435",
+        presenceClaimed: "\u0417\u0430\u043a\u0430\u0437 \u043f\u0440\u0438\u043d\u044f\u0442",
+        presenceIdle: "\u041e\u043d\u043b\u0430\u0439\u043d, \u0441\u0432\u043e\u0431\u043e\u0434\u0435\u043d",
+        presenceUnavailable: "\u041e\u043d\u043b\u0430\u0439\u043d, \u043d\u0435 \u043d\u0430 \u0441\u043c\u0435\u043d\u0435",
+        presenceOffline: "\u041d\u0435 \u0432 \u0441\u0435\u0442\u0438",
+        presenceRoleMaster: "\u041c\u0430\u0441\u0442\u0435\u0440",
+        presenceRoleDispatcher: "\u0414\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440",
+        presenceActiveJobs: "\u0430\u043a\u0442\u0438\u0432\u043d\u044b\u0445: {0}",
+        presenceLastSeen: "\u0411\u044b\u043b(\u0430) {0}",
+        presenceNeverSeen: "\u0415\u0449\u0451 \u043d\u0435 \u0437\u0430\u0445\u043e\u0434\u0438\u043b(\u0430)",
+        presenceEmpty: "\u041d\u0438\u043a\u0442\u043e \u043d\u0435 \u043f\u043e\u0434\u0445\u043e\u0434\u0438\u0442 \u043f\u043e\u0434 \u0444\u0438\u043b\u044c\u0442\u0440",
+        presenceLoadError: "\u041d\u0435 \u0443\u0434\u0430\u043b\u043e\u0441\u044c \u0437\u0430\u0433\u0440\u0443\u0437\u0438\u0442\u044c \u043f\u0440\u0438\u0441\u0443\u0442\u0441\u0442\u0432\u0438\u0435 \u043a\u043e\u043c\u0430\u043d\u0434\u044b",
+        jobTimerRunning: "\u0422\u0430\u0439\u043c\u0435\u0440 \u0438\u0434\u0451\u0442",
+        jobTimerPaused: "\u0422\u0430\u0439\u043c\u0435\u0440 \u043d\u0430 \u043f\u0430\u0443\u0437\u0435",
+        jobTimerPause: "\u041f\u0430\u0443\u0437\u0430",
+        jobTimerResume: "\u041f\u0440\u043e\u0434\u043e\u043b\u0436\u0438\u0442\u044c",
+        jobTimerCompletionHint: "\u0422\u0430\u0439\u043c\u0435\u0440 \u0440\u0430\u0431\u043e\u0442\u044b: {0} \u0447, \u043f\u0435\u0440\u0438\u043e\u0434\u043e\u0432: {1}, \u0441\u043e\u0445\u0440\u0430\u043d\u0438\u0442\u0441\u044f \u0432 \u0437\u0430\u043a\u0430\u0437\u0435",
+        disputeWorkTime: "\u0412\u0440\u0435\u043c\u044f \u0440\u0430\u0431\u043e\u0442\u044b",
+        disputeWorkTimeSummary: "\u041f\u043e \u0442\u0430\u0439\u043c\u0435\u0440\u0443 {0}, \u043f\u0430\u0443\u0437\u0430 {1} \u00b7 \u0443\u043a\u0430\u0437\u0430\u043d\u043e {2} \u0447",
+        payoutBatchFieldOverflow: "\u0421\u0443\u043c\u043c\u0430 \u043d\u0435 \u043f\u043e\u043c\u0435\u0449\u0430\u0435\u0442\u0441\u044f \u0432 \u0448\u0430\u0431\u043b\u043e\u043d \u0431\u0430\u043d\u043a\u043e\u0432\u0441\u043a\u043e\u0433\u043e \u0444\u0430\u0439\u043b\u0430; \u0443\u0432\u0435\u043b\u0438\u0447\u044c\u0442\u0435 \u0448\u0438\u0440\u0438\u043d\u0443 \u043f\u043e\u043b\u044f \u0441\u0443\u043c\u043c\u044b",
+        toastOfflinePhotosBlocked: "\u0424\u043e\u0442\u043e \u043d\u0435\u043b\u044c\u0437\u044f \u0441\u043e\u0445\u0440\u0430\u043d\u0438\u0442\u044c \u043e\u0444\u043b\u0430\u0439\u043d. \u0417\u0430\u0432\u0435\u0440\u0448\u0438\u0442\u0435 \u0437\u0430\u043a\u0430\u0437, \u043a\u043e\u0433\u0434\u0430 \u043f\u043e\u044f\u0432\u0438\u0442\u0441\u044f \u0441\u0432\u044f\u0437\u044c, \u0438\u043b\u0438 \u0443\u0431\u0435\u0440\u0438\u0442\u0435 \u0444\u043e\u0442\u043e.",
+        availabilityAddInterval: "+ \u0414\u043e\u0431\u0430\u0432\u0438\u0442\u044c \u0447\u0430\u0441\u044b",
     },
     kg: {
         // General
@@ -3120,6 +3866,379 @@ const translations = {
         unitMin: "\u043c\u0438\u043d",
         unitHours: "\u0441\u0430\u0430\u0442",
         all: "\u0411\u0430\u0430\u0440\u044b",
+        sectionReviews: "\u041f\u0438\u043a\u0438\u0440\u043b\u0435\u0440",
+        reviewsCount: "\u041f\u0438\u043a\u0438\u0440\u043b\u0435\u0440: {0}",
+        noReviewsYet: "\u0410\u0437\u044b\u0440\u044b\u043d\u0447\u0430 \u043f\u0438\u043a\u0438\u0440 \u0436\u043e\u043a",
+        labelClientRating: "\u041a\u0430\u0440\u0434\u0430\u0440\u0434\u044b\u043d \u0431\u0430\u0430\u0441\u044b (\u043c\u0438\u043b\u0434\u0435\u0442\u0442\u04af\u04af \u044d\u043c\u0435\u0441)",
+        labelReviewCommentHint: "\u041a\u0430\u0440\u0434\u0430\u0440\u0434\u044b\u043d \u043f\u0438\u043a\u0438\u0440\u0438 (\u043c\u0438\u043b\u0434\u0435\u0442\u0442\u04af\u04af \u044d\u043c\u0435\u0441)",
+        toastReviewFailed: "\u0422\u04e9\u043b\u04e9\u043c \u044b\u0440\u0430\u0441\u0442\u0430\u043b\u0434\u044b, \u0431\u0438\u0440\u043e\u043a \u043f\u0438\u043a\u0438\u0440 \u0441\u0430\u043a\u0442\u0430\u043b\u0433\u0430\u043d \u0436\u043e\u043a",
+        toastNewEmergencyOrder: "\u041f\u0443\u043b\u0434\u0430 \u0436\u0430\u04a3\u044b \u0448\u0430\u0448\u044b\u043b\u044b\u0448 \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430",
+        badgeStatusChanged: "\u0416\u0430\u04a3\u044b\u0440\u0434\u044b: {0}",
+        settingsNotifications: "\u0411\u0438\u043b\u0434\u0438\u0440\u043c\u0435\u043b\u0435\u0440",
+        settingsNotificationsHint: "\u041a\u0430\u0439\u0441\u044b \u0431\u0438\u043b\u0434\u0438\u0440\u043c\u0435\u043b\u0435\u0440\u0434\u0438 \u0430\u043b\u0443\u0443\u043d\u0443 \u0442\u0430\u043d\u0434\u0430\u04a3\u044b\u0437",
+        notifPrefOrderCreated: "\u041f\u0443\u043b\u0434\u0430\u0433\u044b \u0436\u0430\u04a3\u044b \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440",
+        notifPrefEmergencyOnly: "\u0428\u0430\u0448\u044b\u043b\u044b\u0448 \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440 \u0433\u0430\u043d\u0430",
+        notifPrefOrderClaimed: "\u0423\u0441\u0442\u0430 \u0437\u0430\u043a\u0430\u0437\u0434\u044b \u0430\u043b\u0434\u044b",
+        notifPrefOrderCompleted: "\u0418\u0448 \u0431\u04af\u0442\u0442\u04af, \u0442\u04e9\u043b\u04e9\u043c \u043a\u04af\u0442\u04af\u043b\u04af\u04af\u0434\u04e9",
+        notifPrefOrderRefused: "\u0423\u0441\u0442\u0430 \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u043d \u0431\u0430\u0448 \u0442\u0430\u0440\u0442\u0442\u044b",
+        notifPrefPaymentDisputed: "\u0422\u04e9\u043b\u04e9\u043c \u0431\u043e\u044e\u043d\u0447\u0430 \u0442\u0430\u043b\u0430\u0448\u0442\u0430\u0440",
+        notifPrefOn: "\u041a\u04af\u0439\u04af\u043a",
+        notifPrefOff: "\u04e8\u0447\u04af\u043a",
+        sectionPhotos: "\u0421\u04af\u0440\u04e9\u0442\u0442\u04e9\u0440",
+        photoKindProblem: "\u041a\u04e9\u0439\u0433\u04e9\u0439",
+        photoKindBefore: "\u0427\u0435\u0439\u0438\u043d",
+        photoKindAfter: "\u041a\u0438\u0439\u0438\u043d",
+        photoAdd: "\u041a\u043e\u0448\u0443\u0443",
+        photoCamera: "\u041a\u0430\u043c\u0435\u0440\u0430",
+        labelProblemPhotos: "\u041a\u04e9\u0439\u0433\u04e9\u0439\u0434\u04af\u043d \u0441\u04af\u0440\u04e9\u0442\u0442\u04e9\u0440\u04af",
+        labelPhotosBefore: "\u0418\u0448\u0442\u0435\u043d \u043c\u0443\u0440\u0443\u043d\u043a\u0443 \u0441\u04af\u0440\u04e9\u0442\u0442\u04e9\u0440",
+        labelPhotosAfter: "\u0418\u0448\u0442\u0435\u043d \u043a\u0438\u0439\u0438\u043d\u043a\u0438 \u0441\u04af\u0440\u04e9\u0442\u0442\u04e9\u0440",
+        toastPhotosUploadFailed: "\u0417\u0430\u043a\u0430\u0437 \u0441\u0430\u043a\u0442\u0430\u043b\u0434\u044b, \u0431\u0438\u0440\u043e\u043a \u0430\u0439\u0440\u044b\u043c \u0441\u04af\u0440\u04e9\u0442\u0442\u04e9\u0440 \u0436\u04af\u043a\u0442\u04e9\u043b\u0433\u04e9\u043d \u0436\u043e\u043a",
+        timelineTitle: "\u0422\u0430\u0440\u044b\u0445",
+        timelineEmpty: "\u0422\u0430\u0440\u044b\u0445 \u0430\u0437\u044b\u0440\u044b\u043d\u0447\u0430 \u0431\u043e\u0448",
+        timelineCreated: "\u0411\u0443\u0439\u0440\u0443\u0442\u043c\u0430 \u0442\u04af\u0437\u04af\u043b\u0434\u04af",
+        timelineClaimed: "\u0423\u0441\u0442\u0430 \u043a\u0430\u0431\u044b\u043b \u0430\u043b\u0434\u044b",
+        timelineStarted: "\u0418\u0448 \u0431\u0430\u0448\u0442\u0430\u043b\u0434\u044b",
+        timelineCompleted: "\u0418\u0448 \u0430\u044f\u043a\u0442\u0430\u0434\u044b",
+        timelineConfirmed: "\u0422\u04e9\u043b\u04e9\u043c \u044b\u0440\u0430\u0441\u0442\u0430\u043b\u0434\u044b",
+        timelineCanceled: "\u0416\u043e\u043a\u043a\u043e \u0447\u044b\u0433\u0430\u0440\u044b\u043b\u0434\u044b",
+        timelineReopened: "\u041a\u0430\u0439\u0440\u0430 \u0430\u0447\u044b\u043b\u0434\u044b",
+        timelineExpired: "\u041c\u04e9\u04e9\u043d\u04e9\u0442\u04af \u04e9\u0442\u0442\u04af",
+        timelineUnassigned: "\u0423\u0441\u0442\u0430 \u0430\u043b\u044b\u043d\u0434\u044b",
+        timelineReassigned: "\u0423\u0441\u0442\u0430 \u0430\u043b\u043c\u0430\u0448\u0442\u044b\u0440\u044b\u043b\u0434\u044b",
+        timelineTransferred: "\u0414\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u0433\u0435 \u04e9\u0442\u043a\u04e9\u0440\u04af\u043b\u0434\u04af",
+        timelineRepriced: "\u0411\u0430\u0430 \u04e9\u0437\u0433\u04e9\u0440\u0434\u04af",
+        timelineEdited: "\u041c\u0430\u0430\u043b\u044b\u043c\u0430\u0442 \u04e9\u0437\u0433\u04e9\u0440\u0434\u04af",
+        timelineStatusChanged: "\u0421\u0442\u0430\u0442\u0443\u0441 \u04e9\u0437\u0433\u04e9\u0440\u0434\u04af",
+        filterDistance: "\u0410\u0440\u0430\u043b\u044b\u043a",
+        filterDistanceNearest: "\u0410\u0434\u0435\u0433\u0435\u043d\u0434\u0435 \u0436\u0430\u043a\u044b\u043d\u0434\u0430\u0440\u044b",
+        filterDistanceWithin: "{0} \u043a\u043c \u0447\u0435\u0439\u0438\u043d",
+        settingsWorkLocation: "\u0418\u0448 \u0436\u0430\u0439\u0433\u0430\u0448\u043a\u0430\u043d \u0436\u0435\u0440",
+        settingsWorkLocationHint: "\u0411\u0443\u0439\u0440\u0443\u0442\u043c\u0430\u043b\u0430\u0440\u0433\u0430 \u0447\u0435\u0439\u0438\u043d\u043a\u0438 \u0430\u0440\u0430\u043b\u044b\u043a\u0442\u044b \u043a\u04e9\u0440\u0441\u04e9\u0442\u04af\u04af \u04af\u0447\u04af\u043d \u043a\u043e\u043b\u0434\u043e\u043d\u0443\u043b\u0430\u0442",
+        settingsWorkLocationNotSet: "\u041a\u04e9\u0440\u0441\u04e9\u0442\u04af\u043b\u0433\u04e9\u043d \u044d\u043c\u0435\u0441",
+        settingsWorkLocationUseCurrent: "\u0423\u0447\u0443\u0440\u0434\u0430\u0433\u044b \u0436\u0430\u0439\u0433\u0430\u0448\u043a\u0430\u043d \u0436\u0435\u0440\u0434\u0438 \u043a\u043e\u043b\u0434\u043e\u043d\u0443\u0443",
+        settingsWorkLocationClear: "\u0416\u0430\u0439\u0433\u0430\u0448\u043a\u0430\u043d \u0436\u0435\u0440\u0434\u0438 \u04e9\u0447\u04af\u0440\u04af\u04af",
+        toastLocationSaved: "\u0416\u0430\u0439\u0433\u0430\u0448\u043a\u0430\u043d \u0436\u0435\u0440 \u0441\u0430\u043a\u0442\u0430\u043b\u0434\u044b",
+        toastLocationCleared: "\u0416\u0430\u0439\u0433\u0430\u0448\u043a\u0430\u043d \u0436\u0435\u0440 \u04e9\u0447\u04af\u0440\u04af\u043b\u0434\u04af",
+        toastLocationFailed: "\u0416\u0430\u0439\u0433\u0430\u0448\u043a\u0430\u043d \u0436\u0435\u0440\u0434\u0438 \u0441\u0430\u043a\u0442\u043e\u043e \u043c\u04af\u043c\u043a\u04af\u043d \u0431\u043e\u043b\u0433\u043e\u043d \u0436\u043e\u043a",
+        labelOrderLocation: "\u041a\u0430\u0440\u0442\u0430\u0434\u0430\u0433\u044b \u0447\u0435\u043a\u0438\u0442",
+        locationHint: "\u041c\u0438\u043b\u0434\u0435\u0442\u0442\u04af\u04af \u044d\u043c\u0435\u0441. \u041a\u0430\u0440\u0442\u0430\u0434\u0430\u043d \u043a\u043e\u043e\u0440\u0434\u0438\u043d\u0430\u0442\u0442\u0430\u0440\u0434\u044b \u043a\u043e\u044e\u04a3\u0443\u0437 \u0436\u0435 \u0436\u0430\u0439\u0433\u0430\u0448\u043a\u0430\u043d \u0436\u0435\u0440\u0438\u04a3\u0438\u0437\u0434\u0438 \u043a\u043e\u043b\u0434\u043e\u043d\u0443\u04a3\u0443\u0437",
+        locationInvalid: "\u041a\u0435\u04a3\u0434\u0438\u043a \u043c\u0435\u043d\u0435\u043d \u0443\u0437\u0443\u043d\u0434\u0443\u043a\u0442\u0443 \u0436\u0430\u0437\u044b\u04a3\u044b\u0437, \u043c\u0438\u0441\u0430\u043b\u044b 42.8746, 74.5698",
+        toastSavedOffline: "\u0411\u0430\u0439\u043b\u0430\u043d\u044b\u0448 \u0436\u043e\u043a. \u0422\u04af\u0437\u043c\u04e9\u043a\u0442\u04e9 \u0441\u0430\u043a\u0442\u0430\u043b\u0434\u044b, \u0430\u0432\u0442\u043e\u043c\u0430\u0442\u0442\u044b\u043a \u0442\u04af\u0440\u0434\u04e9 \u0448\u0430\u0439\u043a\u0435\u0448\u0442\u0435\u043b\u0435\u0442.",
+        toastOfflineSynced: "\u041e\u0444\u043b\u0430\u0439\u043d \u04e9\u0437\u0433\u04e9\u0440\u0442\u04af\u04af\u043b\u04e9\u0440 \u0448\u0430\u0439\u043a\u0435\u0448\u0442\u0435\u043b\u0434\u0438: {0}",
+        toastOfflineConflict: "\u0410\u0439\u0440\u044b\u043c \u043e\u0444\u043b\u0430\u0439\u043d \u04e9\u0437\u0433\u04e9\u0440\u0442\u04af\u04af\u043b\u04e9\u0440 \u043a\u043e\u043b\u0434\u043e\u043d\u0443\u043b\u0433\u0430\u043d \u0436\u043e\u043a. \u0411\u0435\u043b\u0433\u0438\u043b\u0435\u043d\u0433\u0435\u043d \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430\u043b\u0430\u0440\u0434\u044b \u0442\u0435\u043a\u0448\u0435\u0440\u0438\u04a3\u0438\u0437.",
+        syncPendingBadge: "\u0428\u0430\u0439\u043a\u0435\u0448\u0442\u0435\u043b\u0433\u0435\u043d \u0436\u043e\u043a",
+        syncRefusePendingBadge: "\u0411\u0430\u0448 \u0442\u0430\u0440\u0442\u0443\u0443 \u0448\u0430\u0439\u043a\u0435\u0448\u0442\u0435\u043b\u0433\u0435\u043d \u0436\u043e\u043a",
+        syncConflictBadge: "\u041e\u0444\u043b\u0430\u0439\u043d \u04e9\u0437\u0433\u04e9\u0440\u0442\u04af\u04af \u043a\u043e\u043b\u0434\u043e\u043d\u0443\u043b\u0433\u0430\u043d \u0436\u043e\u043a",
+        syncPendingNotice: "\u0428\u0430\u0439\u043a\u0435\u0448\u0442\u04e9\u04e9\u043d\u04af \u043a\u04af\u0442\u04af\u04af\u0434\u04e9: {0}",
+        syncConflictNotice: "\u041a\u043e\u043b\u0434\u043e\u043d\u0443\u043b\u0431\u0430\u0433\u0430\u043d \u043e\u0444\u043b\u0430\u0439\u043d \u04e9\u0437\u0433\u04e9\u0440\u0442\u04af\u04af\u043b\u04e9\u0440: {0}. \u0411\u0443\u0439\u0440\u0443\u0442\u043c\u0430 \u0441\u0435\u0440\u0432\u0435\u0440\u0434\u0435 \u04e9\u0437\u0433\u04e9\u0440\u0442\u04af\u043b\u0433\u04e9\u043d.",
+        syncConflictReassigned: "\u041e\u0444\u043b\u0430\u0439\u043d \u04e9\u0437\u0433\u04e9\u0440\u0442\u04af\u04af \u043a\u043e\u043b\u0434\u043e\u043d\u0443\u043b\u0433\u0430\u043d \u0436\u043e\u043a: \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430 \u0431\u0430\u0448\u043a\u0430 \u0443\u0441\u0442\u0430\u0433\u0430 \u0431\u0435\u0440\u0438\u043b\u0434\u0438.",
+        syncConflictStatus: "\u041e\u0444\u043b\u0430\u0439\u043d \u04e9\u0437\u0433\u04e9\u0440\u0442\u04af\u04af \u043a\u043e\u043b\u0434\u043e\u043d\u0443\u043b\u0433\u0430\u043d \u0436\u043e\u043a: \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430 \u0441\u0435\u0440\u0432\u0435\u0440\u0434\u0435 \u04e9\u0437\u0433\u04e9\u0440\u0442\u04af\u043b\u0433\u04e9\u043d.",
+        syncPendingSheet: "\u0422\u04af\u0437\u043c\u04e9\u043a\u0442\u04e9 \u0441\u0430\u043a\u0442\u0430\u043b\u0434\u044b. \u0411\u0430\u0439\u043b\u0430\u043d\u044b\u0448 \u043a\u0430\u043b\u044b\u0431\u044b\u043d\u0430 \u043a\u0435\u043b\u0433\u0435\u043d\u0434\u0435 \u0448\u0430\u0439\u043a\u0435\u0448\u0442\u0435\u043b\u0435\u0442.",
+        actionSyncNow: "\u0428\u0430\u0439\u043a\u0435\u0448\u0442\u04e9\u04e9",
+        actionDismiss: "\u0416\u0430\u0448\u044b\u0440\u0443\u0443",
+        agendaDay: "\u041a\u04af\u043d",
+        agendaWeek: "\u0416\u0443\u043c\u0430",
+        agendaToday: "\u0411\u04af\u0433\u04af\u043d",
+        agendaNoOrders: "\u041f\u043b\u0430\u043d\u0434\u0430\u043b\u0433\u0430\u043d \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430\u043b\u0430\u0440 \u0436\u043e\u043a",
+        agendaAnyTime: "\u041a\u0430\u0430\u043b\u0430\u0433\u0430\u043d \u0443\u0431\u0430\u043a\u0442\u0430",
+        agendaUnassigned: "\u0423\u0441\u0442\u0430 \u0434\u0430\u0439\u044b\u043d\u0434\u0430\u043b\u0430 \u044d\u043b\u0435\u043a",
+        agendaTimeConflict: "\u0411\u0443\u043b \u0443\u0441\u0442\u0430\u043d\u044b\u043d \u0431\u0430\u0448\u043a\u0430 \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430\u0441\u044b \u043c\u0435\u043d\u0435\u043d \u0434\u0430\u043b \u043a\u0435\u043b\u0435\u0442",
+        agendaConflictsCount: "\u0423\u0431\u0430\u043a\u044b\u0442 \u0431\u043e\u044e\u043d\u0447\u0430 \u043a\u0430\u0433\u044b\u043b\u044b\u0448\u0443\u0443\u043b\u0430\u0440: {0}",
+        myJobsViewList: "\u0422\u0438\u0437\u043c\u0435",
+        myJobsViewAgenda: "\u041a\u0430\u043b\u0435\u043d\u0434\u0430\u0440\u044c",
+        clients: "\u041a\u0430\u0440\u0434\u0430\u0440\u043b\u0430\u0440",
+        clientKnownTitle: "\u0422\u0443\u0440\u0443\u043a\u0442\u0443\u0443 \u043a\u0430\u0440\u0434\u0430\u0440",
+        clientKnownSummary: "\u0411\u0443\u0439\u0440\u0443\u0442\u043c\u0430\u043b\u0430\u0440: {0} \u00b7 \u0430\u043a\u044b\u0440\u043a\u044b\u0441\u044b {1}",
+        clientDisputesCount: "\u0422\u0430\u043b\u0430\u0448\u0442\u0430\u0440: {0}",
+        clientPastAddresses: "\u041c\u0443\u0440\u0443\u043d\u043a\u0443 \u0434\u0430\u0440\u0435\u043a\u0442\u0435\u0440",
+        clientPreviousOrders: "\u041c\u0443\u0440\u0443\u043d\u043a\u0443 \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430\u043b\u0430\u0440",
+        clientSearchPlaceholder: "\u0410\u0442\u044b \u0436\u0435 \u0442\u0435\u043b\u0435\u0444\u043e\u043d\u0443",
+        clientsTotal: "\u041a\u0430\u0440\u0434\u0430\u0440\u043b\u0430\u0440: {0}",
+        clientUnnamed: "\u0410\u0442\u044b \u0436\u043e\u043a",
+        clientStatsLine: "\u0411\u0443\u0439\u0440\u0443\u0442\u043c\u0430\u043b\u0430\u0440: {0} \u00b7 \u0410\u0442\u043a\u0430\u0440\u044b\u043b\u0434\u044b: {1} \u00b7 \u0421\u0443\u043c\u043c\u0430: {2}",
+        clientLastOrder: "\u0410\u043a\u044b\u0440\u043a\u044b \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430: {0}",
+        clientDisputeHistory: "\u0422\u0430\u043b\u0430\u0448\u0442\u0430\u0440 \u0442\u0430\u0440\u044b\u0445\u044b",
+        actionAssignBestMatch: "\u042d\u04a3 \u044b\u043b\u0430\u0439\u044b\u043a\u0442\u0443\u0443\u0441\u0443\u043d \u0434\u0430\u0439\u044b\u043d\u0434\u043e\u043e: {0}",
+        labelBestMatch: "\u042d\u04a3 \u044b\u043b\u0430\u0439\u044b\u043a\u0442\u0443\u0443",
+        scoreBreakdown: "\u041a\u04e9\u043d\u0434\u04af\u043c {0} \u00b7 \u0420\u0430\u0439\u043e\u043d {1} \u00b7 \u0416\u04af\u043a\u0442\u04e9\u043c {2} \u00b7 \u0420\u0435\u0439\u0442\u0438\u043d\u0433 {3} \u00b7 \u0411\u0430\u0448 \u0442\u0430\u0440\u0442\u0443\u0443 {4}",
+        toastNoRecommendedMaster: "\u042b\u043b\u0430\u0439\u044b\u043a\u0442\u0443\u0443 \u0443\u0441\u0442\u0430 \u0442\u0430\u0431\u044b\u043b\u0433\u0430\u043d \u0436\u043e\u043a",
+        badgeSlaEscalated: "\u042d\u0441\u043a\u0430\u043b\u0430\u0446\u0438\u044f",
+        slaOverdueMinutes: "+{0} \u043c\u04af\u043d",
+        slaRulesTitle: "SLA \u044d\u0440\u0435\u0436\u0435\u043b\u0435\u0440\u0438",
+        slaRulesHint: "\u0417\u0430\u043a\u0430\u0437 \u00ab\u0422\u043e\u043a\u0442\u043e\u0433\u043e\u043d\u00bb \u0434\u0435\u043f \u0431\u0435\u043b\u0433\u0438\u043b\u0435\u043d\u0433\u0435\u043d\u0433\u0435 \u0447\u0435\u0439\u0438\u043d\u043a\u0438 \u043c\u04af\u043d\u04e9\u0442\u0442\u04e9\u0440. \u00ab\u041a\u0430\u0431\u044b\u043b \u0430\u043b\u044b\u043d\u0434\u044b\u00bb \u04af\u0447\u04af\u043d \u0431\u043e\u0448 \u043c\u0430\u0430\u043d\u0438\u043b\u0435\u0440 \u0430\u0432\u0442\u043e\u043a\u0430\u0431\u044b\u043b \u0430\u043b\u0443\u0443 \u0443\u0431\u0430\u043a\u0442\u044b\u0441\u044b\u043d \u043a\u043e\u043b\u0434\u043e\u043d\u043e\u0442.",
+        slaEscalationFactor: "\u0410\u0434\u043c\u0438\u043d\u0434\u0435\u0440\u0433\u0435 \u044d\u0441\u043a\u0430\u043b\u0430\u0446\u0438\u044f (x SLA) \u043a\u0438\u0439\u0438\u043d",
+        analyticsSlaByDispatcher: "\u0414\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u043b\u0435\u0440 \u0431\u043e\u044e\u043d\u0447\u0430 SLA \u0441\u0430\u043a\u0442\u0430\u043b\u044b\u0448\u044b",
+        analyticsSlaByDistrict: "\u0420\u0430\u0439\u043e\u043d\u0434\u043e\u0440 \u0431\u043e\u044e\u043d\u0447\u0430 SLA \u0441\u0430\u043a\u0442\u0430\u043b\u044b\u0448\u044b",
+        analyticsSlaBreachedOf: "{1} \u0438\u0447\u0438\u043d\u0435\u043d {0} \u0431\u0443\u0437\u0443\u043b\u0433\u0430\u043d",
+        analyticsSlaComplianceTip: "\u041c\u0435\u0437\u0433\u0438\u043b \u0438\u0447\u0438\u043d\u0434\u0435 SLA \u0431\u0443\u0437\u0443\u043b\u0431\u0430\u0433\u0430\u043d \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440\u0434\u044b\u043d \u04af\u043b\u04af\u0448\u04af. \u042d\u04a3 \u043d\u0430\u0447\u0430\u0440\u043b\u0430\u0440\u044b \u0431\u0438\u0440\u0438\u043d\u0447\u0438.",
+        analyticsUnknownArea: "\u0420\u0430\u0439\u043e\u043d \u0431\u0435\u043b\u0433\u0438\u0441\u0438\u0437",
+        notifPrefSlaEscalated: "SLA \u043c\u04e9\u04e9\u043d\u04e9\u0442\u04af \u04e9\u0442\u043a\u04e9\u043d \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440",
+        lineItemsTitle: "\u0416\u0443\u043c\u0443\u0448\u0442\u0430\u0440 \u0436\u0430\u043d\u0430 \u043c\u0430\u0442\u0435\u0440\u0438\u0430\u043b\u0434\u0430\u0440",
+        lineItemLabor: "\u0416\u0443\u043c\u0443\u0448",
+        lineItemMaterial: "\u041c\u0430\u0442\u0435\u0440\u0438\u0430\u043b",
+        lineItemCallout: "\u041a\u043e\u0448\u0443\u043c\u0447\u0430 \u0447\u044b\u0433\u0443\u0443",
+        lineItemDescription: "\u0421\u04af\u0440\u04e9\u0442\u0442\u04e9\u043c\u04e9",
+        lineItemQuantity: "\u0421\u0430\u043d\u044b",
+        lineItemUnitPrice: "\u0411\u0438\u0440\u0434\u0438\u043a \u0431\u0430\u0430\u0441\u044b",
+        lineItemAmount: "\u0421\u0443\u043c\u043c\u0430",
+        lineItemsTotal: "\u0416\u044b\u0439\u044b\u043d\u0442\u044b\u043a",
+        lineItemAdjustedFrom: "\u0431\u043e\u043b\u0433\u043e\u043d",
+        lineItemsMismatch: "\u0421\u0430\u043f\u0442\u0430\u0440\u0434\u044b\u043d \u0441\u0443\u043c\u043c\u0430\u0441\u044b {0}, \u0430\u043a\u044b\u0440\u043a\u044b \u0431\u0430\u0430 {1}",
+        errorLineItemInvalid: "\u0410\u0440 \u0431\u0438\u0440 \u0441\u0430\u043f\u0442\u0430 \u0441\u04af\u0440\u04e9\u0442\u0442\u04e9\u043c\u04e9 \u0436\u0430\u043d\u0430 \u0431\u0430\u0430 \u0431\u043e\u043b\u0443\u0448\u0443 \u043a\u0435\u0440\u0435\u043a",
+        priceInsightRange: "\u041a\u0430\u0434\u0438\u043c\u043a\u0438 \u0431\u0430\u0430 {0}\u2013{1} (\u043c\u0435\u0434\u0438\u0430\u043d\u0430 {2}, \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440: {3})",
+        priceInsightUseMedian: "\u041c\u0435\u0434\u0438\u0430\u043d\u0430\u043d\u044b \u043a\u043e\u044e\u0443",
+        priceInsightLabel: "\u041a\u0430\u0434\u0438\u043c\u043a\u0438 \u0431\u0430\u0430",
+        priceInsightMedian: "\u043c\u0435\u0434\u0438\u0430\u043d\u0430 {0}",
+        priceReview: "\u0411\u0430\u0430\u043b\u0430\u0440\u0434\u044b \u0442\u0435\u043a\u0448\u0435\u0440\u04af\u04af",
+        priceReviewSummary: "\u041a\u04af\u0442\u04af\u04af\u0434\u04e9: {0} \u00b7 \u0427\u0435\u043a: {1}",
+        priceReviewAdjustedPrice: "\u041e\u04a3\u0434\u043e\u043b\u0433\u043e\u043d \u0431\u0430\u0430",
+        priceReviewNotesHint: "\u0427\u0435\u0447\u0438\u043c\u0433\u0435 \u043a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439 (\u043c\u0438\u043b\u0434\u0435\u0442\u0442\u04af\u04af \u044d\u043c\u0435\u0441)",
+        priceReviewRecent: "\u0410\u043a\u044b\u0440\u043a\u044b \u0447\u0435\u0447\u0438\u043c\u0434\u0435\u0440",
+        priceReviewPrices: "\u0411\u0430\u0448\u0442\u0430\u043f\u043a\u044b: {0} \u00b7 \u0410\u043a\u044b\u0440\u043a\u044b: {1}",
+        priceReviewReason: "\u0423\u0441\u0442\u0430\u043d\u044b\u043d \u0441\u0435\u0431\u0435\u0431\u0438",
+        priceReviewNoReason: "\u041a\u04e9\u0440\u0441\u04e9\u0442\u04af\u043b\u0433\u04e9\u043d \u044d\u043c\u0435\u0441",
+        priceReviewEmpty: "\u0422\u0435\u043a\u0448\u0435\u0440\u04af\u04af\u0434\u04e9 \u0431\u0430\u0430\u043b\u0430\u0440 \u0436\u043e\u043a",
+        priceReviewApprove: "\u0411\u0435\u043a\u0438\u0442\u04af\u04af",
+        priceReviewAdjust: "\u04e8\u0437\u0433\u04e9\u0440\u0442\u04af\u04af",
+        priceReviewReject: "\u0427\u0435\u0442\u043a\u0435 \u043a\u0430\u0433\u0443\u0443",
+        toastPriceReviewSaved: "\u0411\u0430\u0430 \u0431\u043e\u044e\u043d\u0447\u0430 \u0447\u0435\u0447\u0438\u043c \u0441\u0430\u043a\u0442\u0430\u043b\u0434\u044b",
+        modalPriceChangeReason: "\u042d\u043c\u043d\u0435 \u04af\u0447\u04af\u043d \u0431\u0430\u0430 \u043c\u0430\u043a\u0443\u043b\u0434\u0430\u0448\u044b\u043b\u0433\u0430\u043d\u0434\u0430\u043d \u0430\u0439\u044b\u0440\u043c\u0430\u043b\u0430\u043d\u0430\u0442?",
+        photoKindEvidence: "\u0414\u0430\u043b\u0438\u043b\u0434\u0435\u0440",
+        disputeStatusRejected: "\u0427\u0415\u0422\u041a\u0415 \u041a\u0410\u0413\u042b\u041b\u0414\u042b",
+        disputeCaseAge: "\u041c\u04e9\u04e9\u043d\u04e9\u0442\u04af: {0} \u00b7 SLA {1}: {2}",
+        disputeSlaResponse: "\u0436\u043e\u043e\u043f",
+        disputeSlaResolution: "\u0447\u0435\u0447\u0438\u043c",
+        disputeSlaBreached: "{0} \u043a\u0435\u0447\u0438\u043a\u0442\u0438",
+        disputeSlaLeft: "{0} \u043a\u0430\u043b\u0434\u044b",
+        disputeCardMeta: "\u041c\u04e9\u04e9\u043d\u04e9\u0442\u04af: {0} \u00b7 {1} \u00b7 {2}",
+        disputeAssignee: "\u0416\u043e\u043e\u043f\u0442\u0443\u0443 \u0430\u0434\u043c\u0438\u043d",
+        disputeTakeCase: "\u0418\u0448\u043a\u0435 \u0430\u043b\u0443\u0443",
+        disputeOutcome: "\u0416\u044b\u0439\u044b\u043d\u0442\u044b\u043a",
+        disputeFinalPrice: "\u0410\u043a\u044b\u0440\u043a\u044b \u0431\u0430\u0430 (\u0430\u0437\u044b\u0440: {0})",
+        disputePenalty: "\u0423\u0441\u0442\u0430\u0433\u0430 \u0430\u0439\u044b\u043f",
+        disputeRefund: "\u041a\u0430\u0440\u0434\u0430\u0440\u0433\u0430 \u043a\u0430\u0439\u0442\u0430\u0440\u0443\u0443",
+        disputeDecisionNotes: "\u0427\u0435\u0447\u0438\u043c\u0433\u0435 \u043a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439 (\u0447\u0435\u0442\u043a\u0435 \u043a\u0430\u0433\u0443\u0443 \u04af\u0447\u04af\u043d \u043c\u0438\u043b\u0434\u0435\u0442\u0442\u04af\u04af)",
+        disputeResolve: "\u0427\u0435\u0447\u04af\u04af",
+        disputeReject: "\u0427\u0435\u0442\u043a\u0435 \u043a\u0430\u0433\u0443\u0443",
+        disputeEvidence: "\u0414\u0430\u043b\u0438\u043b\u0434\u0435\u0440",
+        disputeUploadEvidence: "\u0414\u0430\u043b\u0438\u043b\u0434\u0435\u0440\u0434\u0438 \u0436\u04af\u043a\u0442\u04e9\u04e9",
+        disputeThread: "\u0411\u0438\u043b\u0434\u0438\u0440\u04af\u04af\u043b\u04e9\u0440",
+        disputeNoMessages: "\u0410\u0437\u044b\u0440\u044b\u043d\u0447\u0430 \u0431\u0438\u043b\u0434\u0438\u0440\u04af\u04af \u0436\u043e\u043a",
+        disputeMessageHint: "\u0411\u0438\u043b\u0434\u0438\u0440\u04af\u04af \u0436\u0430\u0437\u044b\u04a3\u044b\u0437",
+        disputeSendMessage: "\u0416\u04e9\u043d\u04e9\u0442\u04af\u04af",
+        disputeOpenOrder: "\u0411\u0443\u0439\u0440\u0443\u0442\u043c\u0430\u043d\u044b \u0430\u0447\u0443\u0443",
+        toastDisputeAssigned: "\u0422\u0430\u043b\u0430\u0448 \u0434\u0430\u0439\u044b\u043d\u0434\u0430\u043b\u0434\u044b",
+        toastDisputeRejected: "\u0422\u0430\u043b\u0430\u0448 \u0447\u0435\u0442\u043a\u0435 \u043a\u0430\u0433\u044b\u043b\u0434\u044b",
+        toastDisputeResolved: "\u0422\u0430\u043b\u0430\u0448 \u0447\u0435\u0447\u0438\u043b\u0434\u0438",
+        commissionTierLabel: "\u041a\u043e\u043c\u0438\u0441\u0441\u0438\u044f \u0434\u0435\u04a3\u0433\u044d\u044d\u043b\u0438",
+        commissionTierStandard: "\u0421\u0442\u0430\u043d\u0434\u0430\u0440\u0442",
+        commissionTierSilver: "\u041a\u04af\u043c\u04af\u0448",
+        commissionTierGold: "\u0410\u043b\u0442\u044b\u043d",
+        commissionMonthlyOrders: "\u0423\u0448\u0443\u043b \u0430\u0439\u0434\u0430\u0433\u044b \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440",
+        historyCommissionShort: "\u041a\u043e\u043c\u0438\u0441\u0441\u0438\u044f",
+        commissionRulesTitle: "\u041a\u043e\u043c\u0438\u0441\u0441\u0438\u044f \u044d\u0440\u0435\u0436\u0435\u043b\u0435\u0440\u0438",
+        commissionRulesHint: "\u042d\u04a3 \u0442\u0430\u043a \u0434\u0430\u043b \u043a\u0435\u043b\u0433\u0435\u043d \u044d\u0440\u0435\u0436\u0435 \u043a\u043e\u043b\u0434\u043e\u043d\u0443\u043b\u0430\u0442; \u0434\u0430\u043b \u043a\u0435\u043b\u0431\u0435\u0441\u0435 \u2014 \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u044f \u0441\u0442\u0430\u0432\u043a\u0430\u0441\u044b. \u041c\u0430\u0441\u0442\u0435\u0440\u0434\u0438\u043d \u0436\u0435\u043a\u0435 \u0441\u0442\u0430\u0432\u043a\u0430\u0441\u044b \u044d\u0440\u0435\u0436\u0435\u043b\u0435\u0440\u0434\u0435\u043d \u0436\u043e\u0433\u043e\u0440\u0443.",
+        commissionRuleAny: "\u041a\u0430\u0430\u043b\u0430\u0433\u0430\u043d",
+        commissionRuleMinOrdersShort: "{0}+ \u0437\u0430\u043a\u0430\u0437/\u0430\u0439",
+        commissionSourceOverride: "\u041c\u0430\u0441\u0442\u0435\u0440\u0434\u0438\u043d \u0441\u0442\u0430\u0432\u043a\u0430\u0441\u044b",
+        commissionSourceRule: "\u042d\u0440\u0435\u0436\u0435",
+        commissionSourceDefault: "\u041d\u0435\u0433\u0438\u0437\u0433\u0438 \u0441\u0442\u0430\u0432\u043a\u0430",
+        commissionRuleService: "\u041a\u044b\u0437\u043c\u0430\u0442 \u0442\u04af\u0440\u04af",
+        commissionRuleDistrict: "\u0420\u0430\u0439\u043e\u043d",
+        commissionRuleMinOrders: "\u041c\u0438\u043d. \u0437\u0430\u043a\u0430\u0437 / \u0430\u0439",
+        commissionRuleRate: "\u0421\u0442\u0430\u0432\u043a\u0430 (%)",
+        commissionRuleRemove: "\u042d\u0440\u0435\u0436\u0435\u043d\u0438 \u04e9\u0447\u04af\u0440\u04af\u04af",
+        commissionRuleAdd: "\u042d\u0440\u0435\u0436\u0435 \u043a\u043e\u0448\u0443\u0443",
+        commissionRulesEmpty: "\u042d\u0440\u0435\u0436\u0435\u043b\u0435\u0440 \u0436\u043e\u043a. \u0411\u0430\u0440\u0434\u044b\u043a \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440\u0433\u0430 \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u044f \u0441\u0442\u0430\u0432\u043a\u0430\u0441\u044b \u043a\u043e\u043b\u0434\u043e\u043d\u0443\u043b\u0430\u0442.",
+        commissionPreviewTitle: "\u0410\u043b\u0434\u044b\u043d \u0430\u043b\u0430 \u043a\u04e9\u0440\u04af\u04af",
+        commissionPreviewPrice: "\u0417\u0430\u043a\u0430\u0437\u0434\u044b\u043d \u0431\u0430\u0430\u0441\u044b",
+        commissionPreviewCallout: "\u0427\u044b\u0433\u0443\u0443 \u0430\u043a\u044b\u0441\u044b",
+        commissionPreviewAmount: "\u041a\u043e\u043c\u0438\u0441\u0441\u0438\u044f: {0} {1}",
+        commissionRateOverride: "\u0416\u0435\u043a\u0435 \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u044f (%)",
+        commissionOverridePlaceholder: "\u042d\u0440\u0435\u0436\u0435 \u0431\u043e\u044e\u043d\u0447\u0430",
+        topUpsTab: "\u0422\u043e\u043b\u0443\u043a\u0442\u043e\u043e\u043b\u043e\u0440",
+        topUpHint: "\u0421\u0443\u043c\u043c\u0430\u043d\u044b \u0442\u04e9\u043b\u04e9\u043f, \u0442\u04e9\u043b\u04e9\u043c\u0434\u04af\u043d \u0441\u043a\u0440\u0438\u043d\u0448\u043e\u0442\u0443\u043d \u0442\u0438\u0440\u043a\u0435\u043f, \u0430\u0440\u044b\u0437\u0434\u044b \u0436\u04e9\u043d\u04e9\u0442\u04af\u04a3\u04af\u0437. \u0411\u0430\u043b\u0430\u043d\u0441 \u0442\u0435\u043a\u0448\u0435\u0440\u04af\u04af\u0434\u04e9\u043d \u043a\u0438\u0439\u0438\u043d \u0442\u043e\u043b\u0443\u043a\u0442\u0430\u043b\u0430\u0442.",
+        topUpAmountPlaceholder: "\u0421\u0443\u043c\u043c\u0430 ({0}-{1})",
+        topUpProofLabel: "\u0422\u04e9\u043b\u04e9\u043c\u0434\u04af\u043d \u0441\u043a\u0440\u0438\u043d\u0448\u043e\u0442\u0443",
+        topUpNotesPlaceholder: "\u041a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439 (\u043c\u0438\u043b\u0434\u0435\u0442\u0442\u04af\u04af \u044d\u043c\u0435\u0441)",
+        topUpSubmit: "\u0410\u0440\u044b\u0437 \u0436\u04e9\u043d\u04e9\u0442\u04af\u04af",
+        topUpPendingHint: "\u0410\u0440\u044b\u0437\u044b\u04a3\u044b\u0437 \u0442\u0435\u043a\u0448\u0435\u0440\u0438\u043b\u04af\u04af\u0434\u04e9. \u0427\u0435\u0447\u0438\u043c\u0434\u0435\u043d \u043a\u0438\u0439\u0438\u043d \u0436\u0430\u04a3\u044b\u0441\u044b\u043d \u0436\u04e9\u043d\u04e9\u0442\u0441\u04e9\u04a3\u04af\u0437 \u0431\u043e\u043b\u043e\u0442.",
+        topUpRequestsTitle: "\u041c\u0435\u043d\u0438\u043d \u0430\u0440\u044b\u0437\u0434\u0430\u0440\u044b\u043c",
+        topUpRequestsEmpty: "\u0422\u043e\u043b\u0443\u043a\u0442\u043e\u043e \u0430\u0440\u044b\u0437\u0434\u0430\u0440\u044b \u0430\u0437\u044b\u0440\u044b\u043d\u0447\u0430 \u0436\u043e\u043a",
+        topUpStatusRequested: "\u0422\u0435\u043a\u0448\u0435\u0440\u04af\u04af\u0434\u04e9",
+        topUpStatusApproved: "\u0411\u0435\u043a\u0438\u0442\u0438\u043b\u0434\u0438",
+        topUpStatusRejected: "\u0427\u0435\u0442\u043a\u0435 \u043a\u0430\u0433\u044b\u043b\u0434\u044b",
+        topUpReviewNote: "\u0410\u0434\u043c\u0438\u043d\u0438\u0441\u0442\u0440\u0430\u0442\u043e\u0440\u0434\u0443\u043d \u043a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439\u0438",
+        topUpErrorAmount: "\u0422\u0443\u0443\u0440\u0430 \u0441\u0443\u043c\u043c\u0430\u043d\u044b \u043a\u0438\u0440\u0433\u0438\u0437\u0438\u04a3\u0438\u0437",
+        topUpErrorAmountMin: "\u0421\u0443\u043c\u043c\u0430 \u043c\u0438\u043d\u0438\u043c\u0443\u043c\u0434\u0430\u043d \u0430\u0437",
+        topUpErrorAmountMax: "\u0421\u0443\u043c\u043c\u0430 \u043c\u0430\u043a\u0441\u0438\u043c\u0443\u043c\u0434\u0430\u043d \u043a\u04e9\u043f",
+        topUpErrorMethod: "\u0422\u04e9\u043b\u04e9\u043c \u044b\u043a\u043c\u0430\u0441\u044b\u043d \u0442\u0430\u043d\u0434\u0430\u04a3\u044b\u0437",
+        topUpErrorProof: "\u0422\u04e9\u043b\u04e9\u043c\u0434\u04af\u043d \u0441\u043a\u0440\u0438\u043d\u0448\u043e\u0442\u0443\u043d \u0442\u0438\u0440\u043a\u0435\u04a3\u0438\u0437",
+        topUpErrorPending: "\u0421\u0438\u0437\u0434\u0435 \u0442\u0435\u043a\u0448\u0435\u0440\u04af\u04af\u0434\u04e9\u0433\u04af \u0430\u0440\u044b\u0437 \u0431\u0430\u0440",
+        topUpErrorSubmit: "\u0410\u0440\u044b\u0437\u0434\u044b \u0436\u04e9\u043d\u04e9\u0442\u04af\u04af \u043c\u04af\u043c\u043a\u04af\u043d \u0431\u043e\u043b\u0433\u043e\u043d \u0436\u043e\u043a",
+        toastTopUpSubmitted: "\u0422\u043e\u043b\u0443\u043a\u0442\u043e\u043e \u0430\u0440\u044b\u0437\u044b \u0442\u0435\u043a\u0448\u0435\u0440\u04af\u04af\u0433\u04e9 \u0436\u04e9\u043d\u04e9\u0442\u04af\u043b\u0434\u04af",
+        topUpApprove: "\u0411\u0435\u043a\u0438\u0442\u04af\u04af \u0436\u0430\u043d\u0430 \u0447\u0435\u0433\u0435\u0440\u04af\u04af",
+        topUpReviewNotesHint: "\u0423\u0441\u0442\u0430\u0433\u0430 \u043a\u043e\u043c\u043c\u0435\u043d\u0442\u0430\u0440\u0438\u0439 (\u0447\u0435\u0442\u043a\u0435 \u043a\u0430\u0433\u0443\u0443\u0434\u0430 \u043c\u0438\u043b\u0434\u0435\u0442\u0442\u04af\u04af)",
+        topUpRejectReasonRequired: "\u0427\u0435\u0442\u043a\u0435 \u043a\u0430\u0433\u0443\u0443\u043d\u0443\u043d \u0441\u0435\u0431\u0435\u0431\u0438\u043d \u0436\u0430\u0437\u044b\u04a3\u044b\u0437",
+        topUpProofUnavailable: "\u0421\u043a\u0440\u0438\u043d\u0448\u043e\u0442 \u0436\u0435\u0442\u043a\u0438\u043b\u0438\u043a\u0441\u0438\u0437",
+        topUpsEmpty: "\u0422\u043e\u043b\u0443\u043a\u0442\u043e\u043e \u0430\u0440\u044b\u0437\u0434\u0430\u0440\u044b \u0436\u043e\u043a",
+        toastTopUpApproved: "\u0422\u043e\u043b\u0443\u043a\u0442\u043e\u043e \u0431\u0435\u043a\u0438\u0442\u0438\u043b\u0434\u0438, \u0431\u0430\u043b\u0430\u043d\u0441 \u0447\u0435\u0433\u0435\u0440\u0438\u043b\u0434\u0438",
+        toastTopUpRejected: "\u0422\u043e\u043b\u0443\u043a\u0442\u043e\u043e \u0447\u0435\u0442\u043a\u0435 \u043a\u0430\u0433\u044b\u043b\u0434\u044b",
+        approved: "\u0411\u0435\u043a\u0438\u0442\u0438\u043b\u0434\u0438",
+        reconciliation: "\u0421\u0430\u043b\u044b\u0448\u0442\u044b\u0440\u0443\u0443",
+        reconIssueChainGap: "\u0411\u0430\u043b\u0430\u043d\u0441 \u0447\u044b\u043d\u0436\u044b\u0440\u044b\u043d\u0434\u0430 \u04af\u0437\u0433\u04af\u043b\u0442\u04af\u043a",
+        reconIssueAmountMismatch: "\u0421\u0443\u043c\u043c\u0430 \u0431\u0430\u043b\u0430\u043d\u0441\u0442\u044b\u043d \u04e9\u0437\u0433\u04e9\u0440\u04af\u0448\u04af\u043d\u04e9 \u0434\u0430\u043b \u043a\u0435\u043b\u0431\u0435\u0439\u0442",
+        reconIssueBalanceMismatch: "\u0411\u0430\u043b\u0430\u043d\u0441 \u0436\u0443\u0440\u043d\u0430\u043b\u0434\u0430\u043d \u0430\u0439\u044b\u0440\u043c\u0430\u043b\u0430\u043d\u0430\u0442",
+        reconIssueTotalsMismatch: "\u041f\u0440\u043e\u0444\u0438\u043b\u0434\u0438\u043d \u0436\u044b\u0439\u044b\u043d\u0442\u044b\u0433\u044b \u0436\u0443\u0440\u043d\u0430\u043b\u0434\u0430\u043d \u0430\u0439\u044b\u0440\u043c\u0430\u043b\u0430\u043d\u0430\u0442",
+        reconIssueMissingEarning: "\u042d\u0441\u0435\u043f\u0442\u04e9\u04e9\u0441\u04af\u0437 \u044b\u0440\u0430\u0441\u0442\u0430\u043b\u0433\u0430\u043d \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430",
+        reconExpected: "\u041a\u04af\u0442\u04af\u043b\u0433\u04e9\u043d",
+        reconActual: "\u0418\u0448 \u0436\u04af\u0437\u04af\u043d\u0434\u04e9",
+        reconBackToReport: "\u041e\u0442\u0447\u0435\u0442\u043a\u043e \u043a\u0430\u0439\u0442\u0443\u0443",
+        reconLedgerSummary: "\u041f\u0440\u043e\u0444\u0438\u043b\u0434\u0438\u043d \u0431\u0430\u043b\u0430\u043d\u0441\u044b: {0} \u00b7 \u0416\u0443\u0440\u043d\u0430\u043b \u0431\u043e\u044e\u043d\u0447\u0430 \u0431\u0430\u043b\u0430\u043d\u0441: {1}",
+        reconEarnings: "\u042d\u0441\u0435\u043f\u0442\u04e9\u04e9\u043b\u04e9\u0440",
+        reconLedgerEmpty: "\u0416\u0430\u0437\u0443\u0443\u043b\u0430\u0440 \u0436\u043e\u043a",
+        reconSummary: "\u042d\u0441\u0435\u043f\u0442\u0435\u0440: {0} \u00b7 \u0422\u0435\u043a\u0448\u0435\u0440\u0438\u043b\u0433\u0435\u043d \u043e\u043f\u0435\u0440\u0430\u0446\u0438\u044f\u043b\u0430\u0440: {1} \u00b7 \u041a\u04e9\u0439\u0433\u04e9\u0439\u043b\u04e9\u0440: {2}",
+        reconGeneratedAt: "\u0422\u0435\u043a\u0448\u0435\u0440\u0438\u043b\u0434\u0438",
+        reconTruncated: "\u0410\u0439\u0440\u044b\u043c \u0442\u0430\u0431\u043b\u0438\u0446\u0430\u043b\u0430\u0440 \u04e9\u0442\u04e9 \u0447\u043e\u04a3 \u0431\u043e\u043b\u0443\u043f, \u0442\u043e\u043b\u0443\u043a \u0436\u04af\u043a\u0442\u04e9\u043b\u0433\u04e9\u043d \u0436\u043e\u043a; \u0436\u044b\u0439\u044b\u043d\u0442\u044b\u043a \u0442\u043e\u043b\u0443\u043a \u044d\u043c\u0435\u0441 \u0431\u043e\u043b\u0443\u0448\u0443 \u043c\u04af\u043c\u043a\u04af\u043d.",
+        reconNoIssues: "\u0416\u0443\u0440\u043d\u0430\u043b\u0434\u0430\u0440 \u0434\u0430\u043b \u043a\u0435\u043b\u0435\u0442. \u041a\u04e9\u0439\u0433\u04e9\u0439 \u0442\u0430\u0431\u044b\u043b\u0433\u0430\u043d \u0436\u043e\u043a.",
+        statementsMenu: "\u041a\u04e9\u0447\u04af\u0440\u043c\u04e9\u043b\u04e9\u0440",
+        statementTitle: "\u041a\u04e9\u0447\u04af\u0440\u043c\u04e9",
+        statementOpening: "\u0411\u0430\u0448\u0442\u0430\u043f\u043a\u044b \u0431\u0430\u043b\u0430\u043d\u0441",
+        statementTopUps: "\u0422\u043e\u043b\u0443\u043a\u0442\u043e\u043e\u043b\u043e\u0440",
+        statementEarned: "\u042d\u0441\u0435\u043f\u0442\u0435\u043b\u0433\u0435\u043d \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u044f",
+        statementCommissions: "\u041a\u0430\u0440\u043c\u0430\u043b\u0433\u0430\u043d \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u044f\u043b\u0430\u0440",
+        statementPayouts: "\u0422\u04e9\u043b\u04e9\u043c\u0434\u04e9\u0440",
+        statementAdjustments: "\u041e\u04a3\u0434\u043e\u043e\u043b\u043e\u0440",
+        statementClosing: "\u0410\u043a\u044b\u0440\u043a\u044b \u0431\u0430\u043b\u0430\u043d\u0441",
+        statementDate: "\u041a\u04af\u043d\u04af",
+        statementType: "\u0422\u04af\u0440\u04af",
+        statementAmount: "\u0421\u0443\u043c\u043c\u0430",
+        statementBalance: "\u0411\u0430\u043b\u0430\u043d\u0441",
+        statementNotes: "\u042d\u0441\u043a\u0435\u0440\u0442\u04af\u04af",
+        statementEmpty: "\u0411\u0443\u043b \u043c\u0435\u0437\u0433\u0438\u043b\u0434\u0435 \u043e\u043f\u0435\u0440\u0430\u0446\u0438\u044f\u043b\u0430\u0440 \u0436\u043e\u043a",
+        statementTransactionsCount: "\u041e\u043f\u0435\u0440\u0430\u0446\u0438\u044f\u043b\u0430\u0440: {0}",
+        statementExportCsv: "CSV \u044d\u043a\u0441\u043f\u043e\u0440\u0442\u0442\u043e\u043e",
+        statementExportPdf: "PDF \u044d\u043a\u0441\u043f\u043e\u0440\u0442\u0442\u043e\u043e",
+        statementLoadError: "\u041a\u04e9\u0447\u04af\u0440\u043c\u04e9\u043d\u04af \u0436\u04af\u043a\u0442\u04e9\u04e9 \u043c\u04af\u043c\u043a\u04af\u043d \u0431\u043e\u043b\u0433\u043e\u043d \u0436\u043e\u043a",
+        statementExportError: "\u042d\u043a\u0441\u043f\u043e\u0440\u0442\u0442\u043e\u043e \u0438\u0448\u043a\u0435 \u0430\u0448\u043a\u0430\u043d \u0436\u043e\u043a",
+        statementsBulkHint: "CSV: \u0430\u0440 \u0431\u0438\u0440 \u0430\u043a\u043a\u0430\u0443\u043d\u0442\u043a\u0430 \u0431\u0438\u0440 \u0441\u0430\u043f; PDF: \u0430\u0440 \u0431\u0438\u0440 \u0430\u043a\u043a\u0430\u0443\u043d\u0442\u043a\u0430 \u04e9\u0437\u04af\u043d\u0447\u04e9 \u0431\u0435\u0442.",
+        statementsEmpty: "\u0410\u043a\u043a\u0430\u0443\u043d\u0442\u0442\u0430\u0440 \u0442\u0430\u0431\u044b\u043b\u0433\u0430\u043d \u0436\u043e\u043a",
+        partnerOverview: "\u0421\u0435\u0440\u0435\u043f",
+        partnerFunnelTitle: "\u0410\u043b\u044b\u043f \u043a\u0435\u043b\u0438\u043d\u0433\u0435\u043d \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440",
+        partnerFunnelReferred: "\u0410\u043b\u044b\u043f \u043a\u0435\u043b\u0438\u043d\u0434\u0438",
+        partnerFunnelAssigned: "\u0423\u0441\u0442\u0430 \u0434\u0430\u0439\u044b\u043d\u0434\u0430\u043b\u0434\u044b",
+        partnerFunnelCompleted: "\u0410\u0442\u043a\u0430\u0440\u044b\u043b\u0434\u044b",
+        partnerFunnelConfirmed: "\u042b\u0440\u0430\u0441\u0442\u0430\u043b\u0434\u044b",
+        partnerFunnelCanceled: "\u0416\u043e\u043a\u043a\u043e \u0447\u044b\u0433\u0430\u0440\u044b\u043b\u0434\u044b",
+        partnerForecastTitle: "\u041a\u043e\u043c\u0438\u0441\u0441\u0438\u044f \u0431\u043e\u043b\u0436\u043e\u043b\u0443",
+        partnerForecastRunRate: "\u0410\u0439\u043b\u044b\u043a \u0442\u0435\u043c\u043f",
+        partnerForecastOpen: "\u0410\u0447\u044b\u043a \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440\u0434\u0430\u043d \u043a\u04af\u0442\u04af\u043b\u04e9\u0442",
+        partnerForecastHint: "\u0410\u043a\u044b\u0440\u043a\u044b {0} \u043a\u04af\u043d: {1} \u00b7 \u0410\u0447\u044b\u043a \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440: {2} \u00b7 \u0416\u0430\u0431\u0443\u0443 \u04af\u043b\u04af\u0448\u04af: {3}%",
+        partnerConversionTitle: "\u041a\u044b\u0437\u043c\u0430\u0442\u0442\u0430\u0440 \u0431\u043e\u044e\u043d\u0447\u0430 \u043a\u043e\u043d\u0432\u0435\u0440\u0441\u0438\u044f",
+        partnerCommissionPerOrder: "\u0417\u0430\u043a\u0430\u0437 \u0431\u043e\u044e\u043d\u0447\u0430 \u043a\u043e\u043c\u0438\u0441\u0441\u0438\u044f",
+        partnerPayoutInReview: "\u041a\u0430\u0440\u0430\u043b\u0443\u0443\u0434\u0430",
+        partnerPayoutLedger: "\u0411\u0430\u043b\u0430\u043d\u0441\u0442\u0430\u043d \u0430\u043b\u044b\u043d\u0434\u044b",
+        payoutBatches: "\u041f\u0430\u043a\u0435\u0442\u0442\u0435\u0440",
+        payoutBatchStart: "\u041f\u0430\u043a\u0435\u0442\u0442\u0438\u043a \u0442\u04e9\u043b\u04e9\u043c",
+        payoutBatchTitle: "\u041f\u0430\u043a\u0435\u0442\u0442\u0438\u043a \u0442\u04e9\u043b\u04e9\u043c",
+        payoutBatchSummary: "\u0422\u0430\u043d\u0434\u0430\u043b\u0434\u044b: {0} | \u0416\u0430\u043b\u043f\u044b: {1}",
+        payoutBatchReference: "\u041f\u0430\u043a\u0435\u0442\u0442\u0438\u043d \u043d\u043e\u043c\u0435\u0440\u0438",
+        payoutBatchInvalid: "\u0422\u0430\u043d\u0434\u0430\u043b\u0433\u0430\u043d \u0442\u04e9\u043b\u04e9\u043c\u0434\u04e9\u0440\u0434\u04af \u0436\u0430\u043d\u0430 \u0441\u0443\u043c\u043c\u0430\u043b\u0430\u0440\u0434\u044b \u0442\u0435\u043a\u0448\u0435\u0440\u0438\u04a3\u0438\u0437",
+        payoutBatchApprove: "\u0422\u04e9\u043b\u04e9\u043c\u0434\u04e9\u0440\u0434\u04af \u0431\u0435\u043a\u0438\u0442\u04af\u04af: {0}",
+        payoutBatchPaid: "{0} \u043f\u0430\u043a\u0435\u0442\u0438 \u0442\u04e9\u043b\u04e9\u043d\u0434\u04af",
+        payoutBatchReversed: "{0} \u043f\u0430\u043a\u0435\u0442\u0438 \u0436\u043e\u043a\u043a\u043e \u0447\u044b\u0433\u0430\u0440\u044b\u043b\u0434\u044b, \u0431\u0430\u043b\u0430\u043d\u0441\u0442\u0430\u0440 \u043a\u0430\u0439\u0442\u0430\u0440\u044b\u043b\u0434\u044b",
+        payoutBatchReasonRequired: "\u0411\u0430\u043d\u043a\u0442\u044b\u043d \u0431\u0430\u0448 \u0442\u0430\u0440\u0442\u0443\u0443 \u0441\u0435\u0431\u0435\u0431\u0438\u043d \u0436\u0430\u0437\u044b\u04a3\u044b\u0437",
+        payoutBatchStatusReversed: "\u0416\u043e\u043a\u043a\u043e \u0447\u044b\u0433\u0430\u0440\u044b\u043b\u0434\u044b",
+        payoutBatchReversalReason: "\u0411\u0430\u043d\u043a\u0442\u044b\u043d \u0431\u0430\u0448 \u0442\u0430\u0440\u0442\u0443\u0443\u0441\u0443",
+        payoutBatchCsv: "CSV",
+        payoutBatchBankFile: "\u0411\u0430\u043d\u043a \u04af\u0447\u04af\u043d \u0444\u0430\u0439\u043b",
+        payoutBatchReverse: "\u0416\u043e\u043a\u043a\u043e \u0447\u044b\u0433\u0430\u0440\u0443\u0443",
+        payoutBatchReasonHint: "\u0411\u0430\u043d\u043a \u043f\u0430\u043a\u0435\u0442\u0442\u0438 \u044d\u043c\u043d\u0435 \u04af\u0447\u04af\u043d \u0447\u0435\u0442\u043a\u0435 \u043a\u0430\u043a\u0442\u044b?",
+        payoutBatchReverseConfirm: "\u0416\u043e\u043a\u043a\u043e \u0447\u044b\u0433\u0430\u0440\u044b\u043f, \u0431\u0430\u043b\u0430\u043d\u0441\u0442\u0430\u0440\u0434\u044b \u043a\u0430\u0439\u0442\u0430\u0440\u0443\u0443",
+        payoutBatchesEmpty: "\u0422\u04e9\u043b\u04e9\u043c \u043f\u0430\u043a\u0435\u0442\u0442\u0435\u0440\u0438 \u0430\u0437\u044b\u0440\u044b\u043d\u0447\u0430 \u0436\u043e\u043a",
+        payoutTemplateTitle: "\u0411\u0430\u043d\u043a \u04af\u0447\u04af\u043d \u0442\u04e9\u043b\u04e9\u043c \u0444\u0430\u0439\u043b\u044b",
+        payoutTemplateHint: "\u0422\u0443\u0440\u0443\u043a\u0442\u0443\u0443 \u043a\u0435\u04a3\u0434\u0438\u043a\u0442\u0435\u0433\u0438 \u0444\u043e\u0440\u043c\u0430\u0442, \u0430\u0440 \u0431\u0438\u0440 \u0441\u0430\u043f\u0442\u0430 \u0431\u0438\u0440 \u0442\u0430\u043b\u0430\u0430: \u0430\u0447\u043a\u044b\u0447 \u043a\u0435\u04a3\u0434\u0438\u043a [left|right] [\u0442\u043e\u043b\u0442\u0443\u0440\u0433\u0443\u0447]. \u0410\u0447\u043a\u044b\u0447\u0442\u0430\u0440: reference, date, request_id, partner_id, partner_name, phone, email, amount, amount_cents; \u0442\u0443\u0440\u0443\u043a\u0442\u0443\u0443 \u0442\u0435\u043a\u0441\u0442 \u04af\u0447\u04af\u043d =\u0422\u0415\u041a\u0421\u0422, \u0431\u043e\u0448\u0442\u0443\u043a \u0431\u043e\u043b\u0441\u043e \u0442\u044b\u0440\u043c\u0430\u043a\u0447\u0430\u0433\u0430 \u0430\u043b\u044b\u04a3\u044b\u0437: =\"ACME BANK\".",
+        selectAll: "\u0411\u0430\u0430\u0440\u044b\u043d \u0442\u0430\u043d\u0434\u043e\u043e",
+        clearSelection: "\u0422\u0430\u0437\u0430\u043b\u043e\u043e",
+        availabilityWorkingNow: "\u0410\u0437\u044b\u0440 \u0438\u0448\u0442\u0435\u043f \u0436\u0430\u0442\u0430\u0442",
+        availabilityOnDuty: "\u041a\u0435\u0437\u043c\u0435\u0442\u0442\u0435",
+        availabilityOnVacation: "\u042d\u0441 \u0430\u043b\u0443\u0443\u0434\u0430",
+        availabilityOffHours: "\u0418\u0448 \u0443\u0431\u0430\u043a\u0442\u044b\u0441\u044b\u043d\u0430\u043d \u0442\u044b\u0448\u043a\u0430\u0440\u044b",
+        availabilityOffDuty: "\u041a\u0435\u0437\u043c\u0435\u0442\u0442\u0435 \u044d\u043c\u0435\u0441",
+        errorAssignMasterUnavailable: "\u0423\u0441\u0442\u0430 \u043a\u0435\u0437\u043c\u0435\u0442\u0442\u0435 \u044d\u043c\u0435\u0441, \u044d\u0441 \u0430\u043b\u0443\u0443\u0434\u0430 \u0436\u0435 \u0438\u0448 \u0443\u0431\u0430\u043a\u0442\u044b\u0441\u044b\u043d\u0430\u043d \u0442\u044b\u0448\u043a\u0430\u0440\u044b",
+        availabilityMenu: "\u0416\u0435\u0442\u043a\u0438\u043b\u0438\u043a\u0442\u04af\u04af\u043b\u04af\u043a",
+        availabilityPaused: "\u0422\u044b\u043d\u044b\u0433\u0443\u0443\u0434\u0430",
+        availabilityUnavailable: "\u0416\u0435\u0442\u043a\u0438\u043b\u0438\u043a\u0442\u04af\u04af\u043b\u04af\u043a \u0436\u04e9\u043d\u0434\u04e9\u04e9\u043b\u04e9\u0440\u04af \u0430\u0437\u044b\u0440\u044b\u043d\u0447\u0430 \u0436\u0435\u0442\u043a\u0438\u043b\u0438\u043a\u0441\u0438\u0437",
+        availabilityOnVacationUntil: "{0} \u0447\u0435\u0439\u0438\u043d \u044d\u0441 \u0430\u043b\u0443\u0443\u0434\u0430",
+        availabilityDutyTitle: "\u041a\u0435\u0437\u043c\u0435\u0442\u0442\u0435",
+        availabilityDutyHint: "\u0417\u0430\u043a\u0430\u0437 \u0430\u043b\u0430 \u0430\u043b\u0431\u0430\u0433\u0430\u043d\u0434\u0430 \u04e9\u0447\u04af\u0440\u04af\u04a3\u04af\u0437. \u041f\u0443\u043b \u0436\u0430\u043d\u0430 \u0436\u0430\u04a3\u044b \u0434\u0430\u0439\u044b\u043d\u0434\u043e\u043e\u043b\u043e\u0440 \u0442\u043e\u043a\u0442\u043e\u0439\u0442.",
+        availabilityHoursTitle: "\u0418\u0448 \u0441\u0430\u0430\u0442\u0442\u0430\u0440\u044b",
+        availabilityHoursHint: "\u0411\u0438\u0448\u043a\u0435\u043a \u0443\u0431\u0430\u043a\u0442\u044b\u0441\u044b. \u0411\u0443\u043b \u0441\u0430\u0430\u0442\u0442\u0430\u0440\u0434\u0430\u043d \u0442\u044b\u0448\u043a\u0430\u0440\u044b \u043f\u0443\u043b\u0434\u0443 \u043a\u04e9\u0440\u0431\u04e9\u0439\u0441\u04af\u0437 \u0436\u0430\u043d\u0430 \u0441\u0438\u0437\u0434\u0438 \u0434\u0430\u0439\u044b\u043d\u0434\u043e\u043e\u0433\u043e \u0431\u043e\u043b\u0431\u043e\u0439\u0442.",
+        availabilityAnyTime: "\u041a\u0430\u0430\u043b\u0430\u0433\u0430\u043d \u0443\u0431\u0430\u043a\u0442\u0430",
+        availabilityBySchedule: "\u0413\u0440\u0430\u0444\u0438\u043a \u0431\u043e\u044e\u043d\u0447\u0430",
+        availabilityDayOff: "\u0414\u0435\u043c \u0430\u043b\u044b\u0448",
+        availabilitySaveHours: "\u0421\u0430\u0430\u0442\u0442\u0430\u0440\u0434\u044b \u0441\u0430\u043a\u0442\u043e\u043e",
+        availabilityErrorHours: "\u0421\u0430\u0430\u0442\u0442\u0430\u0440\u0434\u044b \u0442\u0435\u043a\u0448\u0435\u0440\u0438\u04a3\u0438\u0437: {0}",
+        availabilityDayMon: "\u0414\u0448",
+        availabilityDayTue: "\u0428\u0448",
+        availabilityDayWed: "\u0428\u0440",
+        availabilityDayThu: "\u0411\u0448",
+        availabilityDayFri: "\u0416\u043c",
+        availabilityDaySat: "\u0418\u0448",
+        availabilityDaySun: "\u0416\u043a",
+        timeOffTitle: "\u042d\u0441 \u0430\u043b\u0443\u0443\u043b\u0430\u0440",
+        timeOffEmpty: "\u042d\u0441 \u0430\u043b\u0443\u0443 \u043f\u043b\u0430\u043d\u0434\u0430\u043b\u0433\u0430\u043d \u044d\u043c\u0435\u0441",
+        timeOffFrom: "\u0411\u0430\u0448\u0442\u0430\u043f (\u0416\u0416\u0416\u0416-\u0410\u0410-\u041a\u041a)",
+        timeOffTo: "\u0427\u0435\u0439\u0438\u043d (\u0416\u0416\u0416\u0416-\u0410\u0410-\u041a\u041a)",
+        timeOffAdd: "\u042d\u0441 \u0430\u043b\u0443\u0443 \u043a\u043e\u0448\u0443\u0443",
+        timeOffErrorDate: "\u0414\u0430\u0442\u0430\u043b\u0430\u0440\u0434\u044b \u0416\u0416\u0416\u0416-\u0410\u0410-\u041a\u041a \u0444\u043e\u0440\u043c\u0430\u0442\u044b\u043d\u0434\u0430 \u0436\u0430\u0437\u044b\u04a3\u044b\u0437",
+        timeOffErrorOrder: "\u0410\u043a\u044b\u0440\u043a\u044b \u043a\u04af\u043d \u0431\u0438\u0440\u0438\u043d\u0447\u0438 \u043a\u04af\u043d\u0434\u04e9\u043d \u043c\u0443\u0440\u0443\u043d",
+        timeOffErrorPast: "\u0411\u0443\u043b \u043c\u0435\u0437\u0433\u0438\u043b \u04e9\u0442\u04af\u043f \u043a\u0435\u0442\u043a\u0435\u043d",
+        timeOffErrorOverlap: "\u041c\u0435\u0437\u0433\u0438\u043b \u0431\u0430\u0448\u043a\u0430 \u044d\u0441 \u0430\u043b\u0443\u0443 \u043c\u0435\u043d\u0435\u043d \u043a\u0435\u0441\u0438\u043b\u0438\u0448\u0435\u0442",
+        toastAvailabilityFailed: "\u0416\u0435\u0442\u043a\u0438\u043b\u0438\u043a\u0442\u04af\u04af\u043b\u04af\u043a \u0441\u0430\u043a\u0442\u0430\u043b\u0433\u0430\u043d \u0436\u043e\u043a",
+        toastOnDuty: "\u0421\u0438\u0437 \u043a\u0435\u0437\u043c\u0435\u0442\u0442\u0435\u0441\u0438\u0437, \u0436\u0430\u04a3\u044b \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440 \u043f\u0443\u043b\u0434\u0430 \u0447\u044b\u0433\u0430\u0442",
+        toastOffDuty: "\u0421\u0438\u0437 \u043a\u0435\u0437\u043c\u0435\u0442\u0442\u0435 \u044d\u043c\u0435\u0441\u0441\u0438\u0437, \u043f\u0443\u043b \u0442\u043e\u043a\u0442\u043e\u0442\u0443\u043b\u0434\u0443",
+        toastScheduleSaved: "\u0418\u0448 \u0441\u0430\u0430\u0442\u0442\u0430\u0440\u044b \u0441\u0430\u043a\u0442\u0430\u043b\u0434\u044b",
+        toastTimeOffSaved: "\u042d\u0441 \u0430\u043b\u0443\u0443\u043b\u0430\u0440 \u0436\u0430\u04a3\u044b\u0440\u0442\u044b\u043b\u0434\u044b",
+        errorMasterUnavailable: "\u0421\u0438\u0437 \u043a\u0435\u0437\u043c\u0435\u0442\u0442\u0435 \u044d\u043c\u0435\u0441\u0441\u0438\u0437 \u0436\u0435 \u0438\u0448 \u0443\u0431\u0430\u043a\u0442\u044b\u04a3\u044b\u0437\u0434\u0430\u043d \u0442\u044b\u0448\u043a\u0430\u0440\u044b",
+        poolPausedVacation: "\u0421\u0438\u0437 {0} \u0447\u0435\u0439\u0438\u043d \u044d\u0441 \u0430\u043b\u0443\u0443\u0434\u0430\u0441\u044b\u0437",
+        poolPausedHours: "\u0418\u0448 \u0443\u0431\u0430\u043a\u0442\u044b\u04a3\u044b\u0437\u0434\u0430\u043d \u0442\u044b\u0448\u043a\u0430\u0440\u044b",
+        poolPausedOffDuty: "\u0421\u0438\u0437 \u043a\u0435\u0437\u043c\u0435\u0442\u0442\u0435 \u044d\u043c\u0435\u0441\u0441\u0438\u0437",
+        poolPausedHint: "\u0416\u0430\u04a3\u044b \u0437\u0430\u043a\u0430\u0437\u0434\u0430\u0440 \u0436\u0430\u0448\u044b\u0440\u044b\u043b\u0433\u0430\u043d, \u0434\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u043b\u0435\u0440 \u0441\u0438\u0437\u0434\u0438 \u0434\u0430\u0439\u044b\u043d\u0434\u0430\u0439 \u0430\u043b\u044b\u0448\u043f\u0430\u0439\u0442.",
+        poolPausedAction: "\u0416\u0435\u0442\u043a\u0438\u043b\u0438\u043a\u0442\u04af\u04af\u043b\u04af\u043a\u0442\u04af \u04e9\u0437\u0433\u04e9\u0440\u0442\u04af\u04af",
+        peoplePresence: "\u041e\u043d\u043b\u0430\u0439\u043d",
+        dispatcherTeamTab: "\u041a\u043e\u043c\u0430\u043d\u0434\u0430",
+        filterOnlineNow: "\u0410\u0437\u044b\u0440 \u043e\u043d\u043b\u0430\u0439\u043d",
+        noMastersOnline: "\u0410\u0437\u044b\u0440 \u043e\u043d\u043b\u0430\u0439\u043d \u0443\u0441\u0442\u0430\u043b\u0430\u0440 \u0436\u043e\u043a",
+        presenceTitle: "\u041a\u043e\u043c\u0430\u043d\u0434\u0430\u043d\u044b\u043d \u043a\u0430\u0442\u044b\u0448\u0443\u0443\u0441\u0443",
+        presenceSummary: "\u041e\u043d\u043b\u0430\u0439\u043d \u0443\u0441\u0442\u0430\u043b\u0430\u0440: {0}/{1} \u00b7 \u041e\u043d\u043b\u0430\u0439\u043d \u0434\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u043b\u0435\u0440: {2}/{3}",
+        presenceFilterAll: "\u0411\u0430\u0430\u0440\u044b",
+        presenceFilterMasters: "\u0423\u0441\u0442\u0430\u043b\u0430\u0440",
+        presenceFilterDispatchers: "\u0414\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440\u043b\u0435\u0440",
+        presenceOnlineOnly: "\u0410\u0437\u044b\u0440 \u043e\u043d\u043b\u0430\u0439\u043d",
+        presenceOnJob: "\u0417\u0430\u043a\u0430\u0437\u0434\u0430",
+        presenceClaimed: "\u0417\u0430\u043a\u0430\u0437 \u0430\u043b\u044b\u043d\u0434\u044b",
+        presenceIdle: "\u041e\u043d\u043b\u0430\u0439\u043d, \u0431\u043e\u0448",
+        presenceUnavailable: "\u041e\u043d\u043b\u0430\u0439\u043d, \u0441\u043c\u0435\u043d\u0430\u0434\u0430 \u044d\u043c\u0435\u0441",
+        presenceOffline: "\u0422\u0430\u0440\u043c\u0430\u043a\u0442\u0430 \u0436\u043e\u043a",
+        presenceRoleMaster: "\u0423\u0441\u0442\u0430",
+        presenceRoleDispatcher: "\u0414\u0438\u0441\u043f\u0435\u0442\u0447\u0435\u0440",
+        presenceActiveJobs: "\u0430\u043a\u0442\u0438\u0432\u0434\u04af\u04af: {0}",
+        presenceLastSeen: "\u0410\u043a\u044b\u0440\u043a\u044b \u0436\u043e\u043b\u0443 {0}",
+        presenceNeverSeen: "\u0410\u043b\u0438 \u043a\u0438\u0440\u0435 \u044d\u043b\u0435\u043a",
+        presenceEmpty: "\u0427\u044b\u043f\u043a\u0430\u0433\u0430 \u044d\u0447 \u043a\u0438\u043c \u0442\u0443\u0443\u0440\u0430 \u043a\u0435\u043b\u0431\u0435\u0439\u0442",
+        presenceLoadError: "\u041a\u043e\u043c\u0430\u043d\u0434\u0430\u043d\u044b\u043d \u043a\u0430\u0442\u044b\u0448\u0443\u0443\u0441\u0443\u043d \u0436\u04af\u043a\u0442\u04e9\u04e9 \u043c\u04af\u043c\u043a\u04af\u043d \u0431\u043e\u043b\u0433\u043e\u043d \u0436\u043e\u043a",
+        jobTimerRunning: "\u0422\u0430\u0439\u043c\u0435\u0440 \u0438\u0448\u0442\u0435\u043f \u0436\u0430\u0442\u0430\u0442",
+        jobTimerPaused: "\u0422\u0430\u0439\u043c\u0435\u0440 \u0442\u044b\u043d\u044b\u0433\u0443\u0443\u0434\u0430",
+        jobTimerPause: "\u0422\u044b\u043d\u044b\u0433\u0443\u0443",
+        jobTimerResume: "\u0423\u043b\u0430\u043d\u0442\u0443\u0443",
+        jobTimerCompletionHint: "\u0418\u0448 \u0442\u0430\u0439\u043c\u0435\u0440\u0438: {0} \u0441\u0430\u0430\u0442, \u043c\u0435\u0437\u0433\u0438\u043b\u0434\u0435\u0440: {1}, \u0437\u0430\u043a\u0430\u0437 \u043c\u0435\u043d\u0435\u043d \u0441\u0430\u043a\u0442\u0430\u043b\u0430\u0442",
+        disputeWorkTime: "\u0418\u0448 \u0443\u0431\u0430\u043a\u0442\u044b\u0441\u044b",
+        disputeWorkTimeSummary: "\u0422\u0430\u0439\u043c\u0435\u0440 \u0431\u043e\u044e\u043d\u0447\u0430 {0}, \u0442\u044b\u043d\u044b\u0433\u0443\u0443 {1} \u00b7 \u043a\u04e9\u0440\u0441\u04e9\u0442\u04af\u043b\u0433\u04e9\u043d {2} \u0441\u0430\u0430\u0442",
+        payoutBatchFieldOverflow: "\u0421\u0443\u043c\u043c\u0430 \u0431\u0430\u043d\u043a \u0444\u0430\u0439\u043b\u044b\u043d\u044b\u043d \u0448\u0430\u0431\u043b\u043e\u043d\u0443\u043d\u0430 \u0431\u0430\u0442\u043f\u0430\u0439\u0442; \u0441\u0443\u043c\u043c\u0430 \u0442\u0430\u043b\u0430\u0430\u0441\u044b\u043d \u043a\u0435\u04a3\u0435\u0439\u0442\u0438\u04a3\u0438\u0437",
+        toastOfflinePhotosBlocked: "\u0421\u04af\u0440\u04e9\u0442\u0442\u04e9\u0440\u0434\u04af \u043e\u0444\u043b\u0430\u0439\u043d \u0441\u0430\u043a\u0442\u043e\u043e\u0433\u043e \u0431\u043e\u043b\u0431\u043e\u0439\u0442. \u0411\u0430\u0439\u043b\u0430\u043d\u044b\u0448 \u043f\u0430\u0439\u0434\u0430 \u0431\u043e\u043b\u0433\u043e\u043d\u0434\u043e \u0431\u0443\u0439\u0440\u0443\u0442\u043c\u0430\u043d\u044b \u0430\u044f\u043a\u0442\u0430\u04a3\u044b\u0437 \u0436\u0435 \u0441\u04af\u0440\u04e9\u0442\u0442\u04e9\u0440\u0434\u04af \u0430\u043b\u044b\u043f \u0441\u0430\u043b\u044b\u04a3\u044b\u0437.",
+        availabilityAddInterval: "+ \u0421\u0430\u0430\u0442 \u043a\u043e\u0448\u0443\u0443",
     }
 };
 
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import statementsService from '../services/statements';
+import { listRecentPeriods } from '../utils/statements';
+
+const STATEMENT_PERIOD_COUNT = 12;
+
+/**
+ * Monthly statement of one master or partner account: period picker, the loaded
+ * statement and CSV/PDF export. Shared by the master account and dispatcher partner views.
+ */
+export const useAccountStatement = ({ accountType, accountId, enabled = true, showToast, safeT, pdfLabels }) => {
+  const periods = useMemo(() => listRecentPeriods(STATEMENT_PERIOD_COUNT), []);
+  const [periodLabel, setPeriodLabel] = useState(periods[0].label);
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const requestRef = useRef(0);
+
+  const period = periods.find((item) => item.label === periodLabel) || periods[0];
+
+  const loadStatement = useCallback(async () => {
+    if (!accountId) return;
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setLoading(true);
+    const result = await statementsService.getStatement(accountType, accountId, period);
+    if (requestRef.current !== requestId) return;
+    setLoading(false);
+    if (!result.success) {
+      showToast?.(safeT('statementLoadError', 'Could not load the statement'), 'error');
+      setStatement(null);
+      return;
+    }
+    setStatement(result.statement);
+  }, [accountId, accountType, period, safeT, showToast]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    loadStatement();
+  }, [enabled, loadStatement]);
+
+  const runExport = useCallback(async (format) => {
+    if (!statement || exporting) return;
+    setExporting(format);
+    const fileName = `statement-${statement.period.label}.csv`;
+    const result = format === 'csv'
+      ? await statementsService.exportCsv(statement, fileName)
+      : await statementsService.exportPdf(statement, pdfLabels);
+    setExporting(null);
+    if (!result.success) {
+      showToast?.(safeT('statementExportError', 'Export failed'), 'error');
+    }
+  }, [exporting, pdfLabels, safeT, showToast, statement]);
+
+  return {
+    periods,
+    periodLabel,
+    setPeriodLabel,
+    statement,
+    loading,
+    exporting,
+    loadStatement,
+    exportCsv: () => runExport('csv'),
+    exportPdf: () => runExport('pdf'),
+  };
+};
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import notificationsService, {
+  NOTIFICATION_PREF_OPTIONS,
+  resolveNotificationPrefs,
+} from '../services/notifications';
+
+/**
+ * Notification preference toggles shared by the master, dispatcher and admin settings tabs.
+ * Toggles are applied optimistically and rolled back if the save fails.
+ */
+export const useNotificationPreferences = (user) => {
+  const role = String(user?.role || '').toLowerCase();
+  const [prefs, setPrefs] = useState(() => resolveNotificationPrefs(role, user?.notification_prefs));
+  const [loading, setLoading] = useState(false);
+  const [savingKey, setSavingKey] = useState(null);
+  const prefsRef = useRef(prefs);
+  prefsRef.current = prefs;
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!user?.id) return undefined;
+    setLoading(true);
+    notificationsService.getPreferences(user.id, role)
+      .then((next) => {
+        if (!cancelled) setPrefs(next);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [role, user?.id]);
+
+  const togglePref = useCallback(async (key) => {
+    const previous = prefsRef.current;
+    const nextValue = !previous[key];
+    setPrefs({ ...previous, [key]: nextValue });
+    setSavingKey(key);
+    const result = await notificationsService.updatePreferences(role, { [key]: nextValue });
+    setSavingKey(null);
+    if (result.success) {
+      setPrefs(result.prefs);
+    } else {
+      setPrefs(previous);
+    }
+    return result;
+  }, [role]);
+
+  return {
+    prefs,
+    options: NOTIFICATION_PREF_OPTIONS[role] || [],
+    loading,
+    savingKey,
+    togglePref,
+  };
+};
+
+export default useNotificationPreferences;
@@ -0,0 +1,99 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { supabase } from '../lib/supabase';
+import teamPresenceService from '../services/teamPresence';
+import { buildPresenceBoard, mergePresenceUpdate, summarizePresence } from '../utils/teamPresence';
+
+// Online state and time in status age without any database change.
+const PRESENCE_TICK_MS = 30 * 1000;
+// Order changes of a busy team arrive in bursts; one reload per burst is enough.
+const PRESENCE_RELOAD_DEBOUNCE_MS = 1500;
+
+/**
+ * Live presence board of masters and dispatchers. Profile updates (heartbeats, on-duty) are
+ * merged into the loaded rows from the realtime payload; only order changes reload
+ * get_team_presence. Keeps time in status across reloads. Shared by the admin People tab
+ * and the dispatcher Team tab.
+ */
+export const useTeamPresence = ({ enabled = true, channelKey = 'default', showToast, safeT }) => {
+  const [people, setPeople] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const requestRef = useRef(0);
+  const reloadTimerRef = useRef(null);
+
+  const load = useCallback(async ({ silent = false } = {}) => {
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    if (!silent) setLoading(true);
+    const result = await teamPresenceService.getTeamPresence();
+    if (requestRef.current !== requestId) return;
+    setLoading(false);
+    if (!result.success) {
+      if (!silent) showToast?.(safeT('presenceLoadError', 'Could not load team presence'), 'error');
+      return;
+    }
+    setPeople(result.people);
+    setNow(Date.now());
+  }, [safeT, showToast]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    load();
+  }, [enabled, load]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), PRESENCE_TICK_MS);
+    return () => clearInterval(timer);
+  }, [enabled]);
+
+  const loadRef = useRef(load);
+  loadRef.current = load;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const scheduleReload = () => {
+      if (reloadTimerRef.current) clearTimeout(reloadTimerRef.current);
+      reloadTimerRef.current = setTimeout(() => {
+        reloadTimerRef.current = null;
+        loadRef.current?.({ silent: true });
+      }, PRESENCE_RELOAD_DEBOUNCE_MS);
+    };
+
+    const mergeProfile = (payload) => {
+      setPeople((previous) => mergePresenceUpdate(previous, payload?.new));
+    };
+
+    const channel = supabase
+      .channel(`team-presence-${channelKey}`)
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'profiles' }, mergeProfile)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'orders' }, scheduleReload)
+      .subscribe();
+
+    return () => {
+      if (reloadTimerRef.current) {
+        clearTimeout(reloadTimerRef.current);
+        reloadTimerRef.current = null;
+      }
+      supabase.removeChannel(channel);
+    };
+  }, [channelKey, enabled]);
+
+  // Rebuilt from the previous board so statuses without a stored start keep counting.
+  useEffect(() => {
+    setRows((previous) => buildPresenceBoard(people, { now, previous }));
+  }, [now, people]);
+
+  const summary = useMemo(() => summarizePresence(rows), [rows]);
+
+  return {
+    rows,
+    summary,
+    now,
+    loading,
+    reload: load,
+  };
+};
+
+export default useTeamPresence;
@@ -34,12 +34,20 @@ import authService from '../services/auth';
 import ordersService, { ORDER_STATUS } from '../services/orders';
 import earningsService from '../services/earnings';
 import partnerFinanceService from '../services/partnerFinance';
+import reviewsService, { summarizeReviews } from '../services/reviews';
 import { supabase } from '../lib/supabase';
 import { useToast } from '../contexts/ToastContext';
 import { useLocalization } from '../contexts/LocalizationContext';
 import { useAuth } from '../contexts/AuthContext';
 import useDebouncedValue from './admin/hooks/useDebouncedValue';
 import useAdminTabRouting from './admin/hooks/useAdminTabRouting';
+import useAdminClients from './admin/hooks/useAdminClients';
+import useAdminPriceReviews from './admin/hooks/useAdminPriceReviews';
+import useAdminTopUps from './admin/hooks/useAdminTopUps';
+import useAdminReconciliation from './admin/hooks/useAdminReconciliation';
+import useAdminStatements from './admin/hooks/useAdminStatements';
+import useAdminPayoutBatches from './admin/hooks/useAdminPayoutBatches';
+import useAdminDisputeCase from './admin/hooks/useAdminDisputeCase';
 import {
     ATTENTION_FILTER_OPTIONS,
     buildAdminMenuItems,
@@ -77,6 +85,18 @@ import AdminSettingsTab from './admin/tabs/SettingsTab';
 import AdminPeopleTab from './admin/tabs/PeopleTab';
 import AdminAnalyticsTab from './admin/tabs/AnalyticsTab';
 import AdminOrdersTab from './admin/tabs/OrdersTab';
+import AdminClientsTab from './admin/tabs/ClientsTab';
+import AdminPriceReviewTab from './admin/tabs/PriceReviewTab';
+import AdminTopUpsTab from './admin/tabs/TopUpsTab';
+import AdminReconciliationTab from './admin/tabs/ReconciliationTab';
+import AdminStatementsTab from './admin/tabs/StatementsTab';
+import DisputeCaseModal from './admin/components/DisputeCaseModal';
+import PayoutBatchBar from './admin/components/PayoutBatchBar';
+import PayoutBatchesList from './admin/components/PayoutBatchesList';
+import OrderPhotoGallery from '../components/shared/OrderPhotoGallery';
+import OrderTimeline from '../components/shared/OrderTimeline';
+import OrderLineItems from '../components/shared/OrderLineItems';
+import LocationPicker from '../components/shared/LocationPicker';
 
 // Components - Removed external Sidebar, using inline hamburger
 import { StatCard } from '../components/ui/StatCard';
@@ -86,6 +106,17 @@ import { OrdersByService } from '../components/ui/OrdersByService';
 import { StatusChart, CommissionWidget } from '../components/ui/DashboardCharts';
 import { STATUS_COLORS, getOrderStatusLabel, getServiceLabel, getTimeAgo } from '../utils/orderHelpers';
 import { normalizeKyrgyzPhone, isValidKyrgyzPhone } from '../utils/phone';
+import { isOrderSlaBreached, toComplianceRows } from '../utils/slaRules';
+import { applyLineAdjustments, sumLineItems } from '../utils/lineItems';
+import { AVAILABILITY_REASONS, getMasterAvailability } from '../utils/masterAvailability';
+import { formatCaseAge, getDisputeSla } from '../utils/disputeCases';
+import {
+    COMMISSION_TIERS,
+    DEFAULT_COMMISSION_TIER,
+    buildCommissionConfig,
+    buildMonthlyVolumeLookup,
+    getOrderCommissionAmount,
+} from '../utils/commissionRules';
 
 const LOG_PREFIX = '[AdminDashboard]';
 const SCREEN_WIDTH = Dimensions.get('window').width;
@@ -200,7 +231,7 @@ const optionMatchesSearch = (option, query, fields = []) => {
     if (!digits) return false;
     return candidateFields.some((field) => normalizeSearchDigits(option?.[field]).includes(digits));
 };
-const ADMIN_TAB_KEYS = ['analytics', 'orders', 'people', 'create_order', 'disputes', 'payouts', 'settings'];
+const ADMIN_TAB_KEYS = ['analytics', 'orders', 'people', 'clients', 'create_order', 'price_review', 'disputes', 'payouts', 'topups', 'reconciliation', 'statements', 'settings'];
 const ADMIN_DEFAULT_TAB_STALE_TTL_MS = parseMs(process?.env?.EXPO_PUBLIC_ADMIN_TAB_STALE_TTL_MS, 30000);
 const ADMIN_TAB_STALE_TTL_MS = {
     analytics: parseMs(process?.env?.EXPO_PUBLIC_ADMIN_ANALYTICS_STALE_TTL_MS, 20000),
@@ -228,6 +259,8 @@ const DEFAULT_PAYMENT_CONFIRMATION_DATA = {
     reportReason: '',
     workPerformed: '',
     hoursWorked: '',
+    disputedLineIds: [],
+    lineAdjustments: {},
 };
 const buildPaymentConfirmationData = (order) => {
     const finalAmountValue = order?.final_price ?? order?.initial_price;
@@ -240,6 +273,8 @@ const buildPaymentConfirmationData = (order) => {
         hoursWorked: order?.hours_worked !== null && order?.hours_worked !== undefined && order?.hours_worked !== ''
             ? String(order?.hours_worked)
             : '',
+        disputedLineIds: [],
+        lineAdjustments: {},
     };
 };
 const adminDiag = (event, payload = null) => {
@@ -261,6 +296,11 @@ export default function AdminDashboard({ navigation }) {
         navigation,
         routeParams: route?.params,
     });
+    const clientsState = useAdminClients({ enabled: activeTab === 'clients' });
+    const priceReviewState = useAdminPriceReviews({ enabled: activeTab === 'price_review', showToast, TRANSLATIONS });
+    const topUpsState = useAdminTopUps({ enabled: activeTab === 'topups', showToast, TRANSLATIONS });
+    const reconciliationState = useAdminReconciliation({ enabled: activeTab === 'reconciliation', showToast, TRANSLATIONS });
+    const statementsState = useAdminStatements({ enabled: activeTab === 'statements', showToast, TRANSLATIONS });
     const analyticsLocale = useMemo(() => (language === 'ru' ? 'ru-RU' : language === 'kg' ? 'ky-KG' : 'en-US'), [language]);
     const isWeb = Platform.OS === 'web';
     const getLocalizedName = useCallback((item, fallback = '') => {
@@ -279,6 +319,7 @@ export default function AdminDashboard({ navigation }) {
     const [stats, setStats] = useState({});
     const [commissionStats, setCommissionStats] = useState({});
     const [balanceTopUpStats, setBalanceTopUpStats] = useState({ totalTopUps: 0, avgTopUp: 0, count: 0 });
+    const [slaCompliance, setSlaCompliance] = useState(null);
     const [analyticsRange, setAnalyticsRange] = useState('30d');
     const [analyticsGranularity, setAnalyticsGranularity] = useState('day');
     const [analyticsSection, setAnalyticsSection] = useState('operations');
@@ -330,7 +371,7 @@ export default function AdminDashboard({ navigation }) {
     const [searchQuery, setSearchQuery] = useState('');
     const [queueSearch, setQueueSearch] = useState('');
     const queueSearchDebounced = useDebouncedValue(queueSearch.trim(), 240);
-    const [peopleView, setPeopleView] = useState('masters'); // 'masters' | 'staff' | 'partners'
+    const [peopleView, setPeopleView] = useState('masters'); // 'masters' | 'staff' | 'partners' | 'presence'
     const [currentPage, setCurrentPage] = useState(1);
     const [itemsPerPage] = useState(10);
 
@@ -872,6 +913,20 @@ export default function AdminDashboard({ navigation }) {
         return analyticsOrders.filter(order => matchesMaster(order, analyticsMasterId));
     }, [analyticsOrders, analyticsMasterId, matchesMaster]);
 
+    // Same evaluator as the master app and earningsService.getCommissionStats.
+    const commissionConfig = useMemo(() => buildCommissionConfig(settings), [settings]);
+    const commissionMastersById = useMemo(() => new Map(masters.map(m => [m.id, m])), [masters]);
+    const commissionVolumeLookup = useMemo(() => buildMonthlyVolumeLookup(orders), [orders]);
+    const getOrderCommission = useCallback((order) => getOrderCommissionAmount(order, {
+        master: commissionMastersById.get(order?.master_id) || null,
+        monthlyOrders: commissionVolumeLookup(order),
+    }, commissionConfig), [commissionConfig, commissionMastersById, commissionVolumeLookup]);
+    const getCommissionTierLabel = useCallback((tier) => ({
+        standard: TRANSLATIONS.commissionTierStandard || 'Standard',
+        silver: TRANSLATIONS.commissionTierSilver || 'Silver',
+        gold: TRANSLATIONS.commissionTierGold || 'Gold',
+    }[tier] || TRANSLATIONS.commissionTierStandard || 'Standard'), [TRANSLATIONS]);
+
     const analyticsStats = useMemo(() => {
         const totalOrders = analyticsOrders.length;
         const completedOrders = analyticsOrders.filter(o => COMPLETED_STATUSES.has(normalizeStatus(o.status))).length;
@@ -908,17 +963,10 @@ export default function AdminDashboard({ navigation }) {
             canceled: canceledOrders,
         };
 
-        const commissionRate = Number(settings?.commission_rate) || 0;
         const confirmedOrdersList = analyticsOrders.filter(o => normalizeStatus(o.status) === 'confirmed');
         const completedUnconfirmedList = analyticsOrders.filter(o => normalizeStatus(o.status) === 'completed');
-        const commissionCollected = confirmedOrdersList.reduce((sum, o) => {
-            const price = Number(o.final_price ?? o.initial_price ?? o.callout_fee ?? 0);
-            return sum + (Number.isFinite(price) ? price * commissionRate : 0);
-        }, 0);
-        const commissionOwed = completedUnconfirmedList.reduce((sum, o) => {
-            const price = Number(o.final_price ?? o.initial_price ?? o.callout_fee ?? 0);
-            return sum + (Number.isFinite(price) ? price * commissionRate : 0);
-        }, 0);
+        const commissionCollected = confirmedOrdersList.reduce((sum, o) => sum + getOrderCommission(o), 0);
+        const commissionOwed = completedUnconfirmedList.reduce((sum, o) => sum + getOrderCommission(o), 0);
         const avgCommissionPerOrder = confirmedOrdersList.length ? commissionCollected / confirmedOrdersList.length : 0;
 
         const totalBalances = masters.reduce((sum, m) => sum + (m.prepaid_balance || 0), 0);
@@ -993,7 +1041,7 @@ export default function AdminDashboard({ navigation }) {
             topUpCount: Number(balanceTopUpStats.count || 0),
             statusBreakdown,
         };
-    }, [analyticsOrders, masters, balanceTopUpStats, settings, analyticsNowTick]);
+    }, [analyticsOrders, masters, balanceTopUpStats, settings, analyticsNowTick, getOrderCommission]);
 
     const analyticsLists = useMemo(() => {
         const hoursUnit = TRANSLATIONS.analyticsHoursUnit || 'hours';
@@ -1097,12 +1145,33 @@ export default function AdminDashboard({ navigation }) {
         };
     }, [analyticsOrders, t, TRANSLATIONS, getAreaLabel, getCancelReasonLabel, analyticsNowTick]);
 
+    const slaComplianceLists = useMemo(() => {
+        const toItems = (groups, getLabel) => toComplianceRows(groups).map(row => ({
+            label: getLabel(row),
+            value: formatPercent(row.compliance),
+            subLabel: (TRANSLATIONS.analyticsSlaBreachedOf || '{0} of {1} breached')
+                .replace('{0}', formatNumber(row.breached))
+                .replace('{1}', formatNumber(row.total)),
+            ratio: row.compliance ?? 0,
+        }));
+        const overall = slaCompliance?.overall || { total: 0, breached: 0, escalated: 0 };
+        const overallTotal = Number(overall.total) || 0;
+        return {
+            overall: {
+                ...overall,
+                compliance: overallTotal > 0 ? (overallTotal - (Number(overall.breached) || 0)) / overallTotal : null,
+            },
+            byDispatcher: toItems(slaCompliance?.byDispatcher, row => row.name || (TRANSLATIONS.unassigned || 'Unassigned')),
+            byDistrict: toItems(slaCompliance?.byDistrict, row => (row.name ? getAreaLabel(row.name) : (TRANSLATIONS.analyticsUnknownArea || 'Unknown area'))),
+        };
+    }, [slaCompliance, TRANSLATIONS, getAreaLabel]);
+
     const analyticsDailySeries = useMemo(() => {
         const ordersSeries = Array(7).fill(0);
         const completedSeries = Array(7).fill(0);
         const revenueSeries = Array(7).fill(0);
         const commissionSeries = Array(7).fill(0);
-        const commissionRate = Number(settings?.commission_rate) || 0;
+        const commissionRate = commissionConfig.baseRate;
         const now = new Date();
         analyticsOrders.forEach(order => {
             const stamp = order.created_at || order.updated_at;
@@ -1120,19 +1189,18 @@ export default function AdminDashboard({ navigation }) {
                     if (Number.isFinite(price)) {
                         revenueSeries[idx] += price;
                         if (normalized === 'confirmed') {
-                            commissionSeries[idx] += price * commissionRate;
+                            commissionSeries[idx] += getOrderCommission(order);
                         }
                     }
                 }
             }
         });
         return { ordersSeries, completedSeries, revenueSeries, commissionSeries, commissionRate };
-    }, [analyticsOrders, settings]);
+    }, [analyticsOrders, commissionConfig.baseRate, getOrderCommission]);
 
     const analyticsChartSeries = useMemo(() => {
         const locale = language === 'ru' ? 'ru-RU' : language === 'kg' ? 'ky-KG' : 'en-US';
         const now = new Date();
-        const commissionRate = Number(settings?.commission_rate) || 0;
 
         const startOfWeek = (date) => {
             const d = new Date(date);
@@ -1263,7 +1331,7 @@ export default function AdminDashboard({ navigation }) {
                     if (Number.isFinite(price)) {
                         revenueSeries[idx] += price;
                         if (normalizeStatus(order.status) === 'confirmed') {
-                            commissionSeries[idx] += price * commissionRate;
+                            commissionSeries[idx] += getOrderCommission(order);
                         }
                     }
                 }
@@ -1277,7 +1345,7 @@ export default function AdminDashboard({ navigation }) {
             revenueSeries,
             commissionSeries,
         };
-    }, [analyticsOrders, analyticsGranularity, settings, language]);
+    }, [analyticsOrders, analyticsGranularity, getOrderCommission, language]);
 
     const analyticsPeople = useMemo(() => {
         const map = {};
@@ -1443,7 +1511,6 @@ export default function AdminDashboard({ navigation }) {
 
     const analyticsDispatcherStats = useMemo(() => {
         const targetId = analyticsDispatcherId;
-        const commissionRate = Number(settings?.commission_rate) || 0;
         const stats = {
             totalOrders: 0,
             createdOrders: 0,
@@ -1485,18 +1552,13 @@ export default function AdminDashboard({ navigation }) {
                 const price = Number(order.final_price ?? order.initial_price ?? order.callout_fee ?? 0);
                 if (Number.isFinite(price)) {
                     stats.totalAmount += price;
-                    const commissionAmount = Number(order.commission_amount);
-                    if (Number.isFinite(commissionAmount) && commissionAmount > 0) {
-                        stats.commissionCollected += commissionAmount;
-                    } else {
-                        stats.commissionCollected += price * commissionRate;
-                    }
+                    stats.commissionCollected += getOrderCommission(order);
                 }
             }
         });
 
         return stats;
-    }, [dispatcherFilteredOrders, analyticsDispatcherId, settings]);
+    }, [dispatcherFilteredOrders, analyticsDispatcherId, getOrderCommission]);
 
     const analyticsMasterStats = useMemo(() => {
         const stats = {
@@ -1831,6 +1893,7 @@ export default function AdminDashboard({ navigation }) {
         if (loading || activeTab !== 'analytics' || !loadedTabsRef.current.has('analytics')) return;
         loadCommissionData();
         loadBalanceTopUpStats();
+        loadSlaCompliance();
     }, [analyticsRangeWindow, loading, activeTab]);
 
     useEffect(() => {
@@ -1846,11 +1909,9 @@ export default function AdminDashboard({ navigation }) {
             if (o.status === ORDER_STATUS.COMPLETED) return true;
             if (o.status === ORDER_STATUS.CANCELED_BY_CLIENT) return false;
             if (o.status === ORDER_STATUS.CANCELED_BY_MASTER) return true;
-            if (o.status === ORDER_STATUS.PLACED && (now - new Date(o.created_at).getTime()) > 15 * 60000) return true;
-            if (o.status === ORDER_STATUS.CLAIMED && (now - new Date(o.updated_at).getTime()) > 30 * 60000) return true;
-            return false;
+            return isOrderSlaBreached(o, settings?.sla_rules, now);
         });
-    }, [orders]);
+    }, [orders, settings?.sla_rules]);
 
     const fallbackStatusCounts = useMemo(() => {
         const counts = { Active: 0, Payment: 0, Confirmed: 0, Canceled: 0 };
@@ -2050,6 +2111,8 @@ export default function AdminDashboard({ navigation }) {
         max_active_jobs: '',
         max_immediate_orders: '',
         max_pending_confirmation: '',
+        commission_tier: DEFAULT_COMMISSION_TIER,
+        commission_rate_override: '',
     });
     const [showAssignModal, setShowAssignModal] = useState(false);
     const [availableMasters, setAvailableMasters] = useState([]);
@@ -2066,6 +2129,8 @@ export default function AdminDashboard({ navigation }) {
     const [masterDetailsLoading, setMasterDetailsLoading] = useState(false);
     const [masterBalanceHistory, setMasterBalanceHistory] = useState([]);
     const [masterBalanceHistoryLoading, setMasterBalanceHistoryLoading] = useState(false);
+    const [masterReviews, setMasterReviews] = useState([]);
+    const [masterReviewsLoading, setMasterReviewsLoading] = useState(false);
     const [showDepositModal, setShowDepositModal] = useState(false);
     const [depositAmount, setDepositAmount] = useState('');
     const [detailsPerson, setDetailsPerson] = useState(null); // For person details drawer (master/dispatcher/partner)
@@ -2453,6 +2518,18 @@ export default function AdminDashboard({ navigation }) {
         }
     };
 
+    const loadSlaCompliance = async () => {
+        try {
+            const data = await ordersService.getSlaCompliance({
+                from: analyticsRangeWindow?.start || null,
+                to: analyticsRangeWindow?.end || null,
+            });
+            setSlaCompliance(data);
+        } catch (e) {
+            console.error('SLA compliance error', e);
+        }
+    };
+
     const loadBalanceTopUpStats = async () => {
         try {
             const start = analyticsRangeWindow?.start || null;
@@ -2809,6 +2886,7 @@ export default function AdminDashboard({ navigation }) {
             setDisputes([]);
         }
     };
+    const disputeCaseState = useAdminDisputeCase({ showToast, TRANSLATIONS, onChanged: loadDisputes });
 
     const loadPayoutRequests = async ({ status = 'all', limit = 300 } = {}) => {
         try {
@@ -2824,6 +2902,18 @@ export default function AdminDashboard({ navigation }) {
             setAdminPayoutRequests([]);
         }
     };
+    const payoutBatchesState = useAdminPayoutBatches({
+        enabled: activeTab === 'payouts',
+        showToast,
+        TRANSLATIONS,
+        onProcessed: async () => {
+            markTabsDirty(['payouts', 'people', 'analytics'], 'partner_payout_batch');
+            await Promise.all([
+                loadPayoutRequests({ status: 'all', limit: 300 }),
+                loadPartners({ force: true }),
+            ]);
+        },
+    });
 
     const ensureTabData = useCallback(async (tabKey, { force = false, reason = 'unspecified' } = {}) => {
         if (!tabKey) return;
@@ -2857,6 +2947,7 @@ export default function AdminDashboard({ navigation }) {
                         loadStats(),
                         loadCommissionData(),
                         loadBalanceTopUpStats(),
+                        loadSlaCompliance(),
                         loadAllOrders({ reason: `tab_${tabKey}:${reason}` }),
                         loadMasters({ force }),
                         loadDispatchers({ force }),
@@ -3380,6 +3471,7 @@ export default function AdminDashboard({ navigation }) {
                 area: newOrder.area,
                 fullAddress: newOrder.fullAddress,
                 orientir: newOrder.orientir || null,
+                location: newOrder.location || null,
                 preferredDate: newOrder.preferredDate ? newOrder.preferredDate.split('.').reverse().join('-') : null,
                 preferredTime: newOrder.preferredTime || null,
                 dispatcherNote: newOrder.dispatcherNote,
@@ -3429,7 +3521,8 @@ export default function AdminDashboard({ navigation }) {
             ...INITIAL_ORDER_STATE,
             calloutFee: defaultCallout,
             area: prev.area,
-            fullAddress: prev.fullAddress
+            fullAddress: prev.fullAddress,
+            location: prev.location || null
         }));
         setConfirmChecked(false);
         setPhoneError('');
@@ -4017,7 +4110,10 @@ export default function AdminDashboard({ navigation }) {
         setActionLoading(true);
         try {
             const result = paymentOrder?.is_disputed
-                ? await ordersService.resolveDisputedOrderAdmin(paymentOrder.id, { finalAmount: parsedFinalAmount })
+                ? await ordersService.resolveDisputedOrderAdmin(paymentOrder.id, {
+                    finalAmount: parsedFinalAmount,
+                    lineAdjustments: paymentData?.lineAdjustments || {},
+                })
                 : await ordersService.confirmPaymentAdmin(paymentOrder.id, { finalAmount: parsedFinalAmount });
             if (result.success) {
                 showToast(
@@ -4075,6 +4171,7 @@ export default function AdminDashboard({ navigation }) {
                 masterFinalAmount: paymentOrder?.final_price ?? paymentOrder?.initial_price ?? null,
                 workPerformed: paymentOrder?.work_performed || paymentData?.workPerformed || null,
                 hoursWorked: paymentOrder?.hours_worked ?? paymentData?.hoursWorked ?? null,
+                disputedLineIds: paymentData?.disputedLineIds || [],
             });
             if (result.success) {
                 showToast(TRANSLATIONS.toastMasterReported || 'Master reported for review', 'success');
@@ -4106,6 +4203,11 @@ export default function AdminDashboard({ navigation }) {
         setMasterDetailsLoading(true);
         setMasterBalanceHistory([]);
         setMasterBalanceHistoryLoading(true);
+        setMasterReviews([]);
+        setMasterReviewsLoading(true);
+        reviewsService.getMasterReviews(master.id, 20)
+            .then((reviews) => setMasterReviews(reviews || []))
+            .finally(() => setMasterReviewsLoading(false));
         try {
             const [summary, history] = await Promise.all([
                 earningsService.getMasterFinancialSummary(master.id),
@@ -4128,6 +4230,8 @@ export default function AdminDashboard({ navigation }) {
         setMasterDetailsLoading(false);
         setMasterBalanceHistory([]);
         setMasterBalanceHistoryLoading(false);
+        setMasterReviews([]);
+        setMasterReviewsLoading(false);
     };
 
     const handleCancelOrderAdmin = async (orderId) => {
@@ -4388,6 +4492,10 @@ export default function AdminDashboard({ navigation }) {
             max_active_jobs: person?.max_active_jobs === null || person?.max_active_jobs === undefined ? '' : String(person.max_active_jobs),
             max_immediate_orders: person?.max_immediate_orders === null || person?.max_immediate_orders === undefined ? '' : String(person.max_immediate_orders),
             max_pending_confirmation: person?.max_pending_confirmation === null || person?.max_pending_confirmation === undefined ? '' : String(person.max_pending_confirmation),
+            commission_tier: person?.commission_tier || DEFAULT_COMMISSION_TIER,
+            commission_rate_override: person?.commission_rate_override === null || person?.commission_rate_override === undefined
+                ? ''
+                : String(Math.round(Number(person.commission_rate_override) * 10000) / 100),
         });
         setIsEditingMasterPerformance(true);
     }, []);
@@ -4399,6 +4507,8 @@ export default function AdminDashboard({ navigation }) {
             max_active_jobs: '',
             max_immediate_orders: '',
             max_pending_confirmation: '',
+            commission_tier: DEFAULT_COMMISSION_TIER,
+            commission_rate_override: '',
         });
     }, []);
 
@@ -4590,6 +4700,18 @@ export default function AdminDashboard({ navigation }) {
             max_immediate_orders: maxImmediateParsed.value,
             max_pending_confirmation: maxPendingParsed.value,
         };
+        // Commission terms need PATCH_COMMISSION_RULES.sql; only send them when edited.
+        const nextTier = masterPerformanceData?.commission_tier || DEFAULT_COMMISSION_TIER;
+        if (nextTier !== (masterPerformanceTarget.commission_tier || DEFAULT_COMMISSION_TIER)) {
+            updates.commission_tier = nextTier;
+        }
+        const nextOverride = String(masterPerformanceData?.commission_rate_override ?? '').trim();
+        const currentOverride = masterPerformanceTarget.commission_rate_override === null || masterPerformanceTarget.commission_rate_override === undefined
+            ? ''
+            : String(Math.round(Number(masterPerformanceTarget.commission_rate_override) * 10000) / 100);
+        if (nextOverride !== currentOverride) {
+            updates.commission_rate_override = nextOverride;
+        }
 
         setActionLoading(true);
         try {
@@ -4606,6 +4728,10 @@ export default function AdminDashboard({ navigation }) {
                     max_active_jobs: updatedProfile.max_active_jobs ?? updates.max_active_jobs,
                     max_immediate_orders: updatedProfile.max_immediate_orders ?? updates.max_immediate_orders,
                     max_pending_confirmation: updatedProfile.max_pending_confirmation ?? updates.max_pending_confirmation,
+                    commission_tier: updatedProfile.commission_tier ?? prev.commission_tier,
+                    commission_rate_override: updatedProfile.commission_rate_override !== undefined
+                        ? updatedProfile.commission_rate_override
+                        : prev.commission_rate_override,
                 };
             });
             showToast(TRANSLATIONS.toastUpdated || 'Updated', 'success');
@@ -5199,6 +5325,23 @@ export default function AdminDashboard({ navigation }) {
         };
     }, [TRANSLATIONS.offline, TRANSLATIONS.online, presenceNowTick, authUser?.id]);
 
+    // Working now = available by the master's own settings and online by presence.
+    const getAvailabilityMeta = useCallback((person, presence) => {
+        const { available, reason } = getMasterAvailability(person, new Date(presenceNowTick));
+        if (available) {
+            return presence?.isOnline
+                ? { label: TRANSLATIONS.availabilityWorkingNow || 'Working now', color: '#22c55e' }
+                : { label: TRANSLATIONS.availabilityOnDuty || 'On duty', color: '#3b82f6' };
+        }
+        if (reason === AVAILABILITY_REASONS.TIME_OFF) {
+            return { label: TRANSLATIONS.availabilityOnVacation || 'On vacation', color: '#f59e0b' };
+        }
+        if (reason === AVAILABILITY_REASONS.OUTSIDE_HOURS) {
+            return { label: TRANSLATIONS.availabilityOffHours || 'Off hours', color: '#64748b' };
+        }
+        return { label: TRANSLATIONS.availabilityOffDuty || 'Off duty', color: '#64748b' };
+    }, [TRANSLATIONS, presenceNowTick]);
+
     const buildPersonCurrentActivity = useCallback((personType, personId) => {
         if (!personType || !personId) return null;
         const targetId = String(personId);
@@ -5521,6 +5664,16 @@ export default function AdminDashboard({ navigation }) {
                                                 <Text style={styles.sidebarBadgeText}>{needsActionCount}</Text>
                                             </View>
                                         )}
+                                        {item.key === 'price_review' && priceReviewState.reviewTotal > 0 && (
+                                            <View style={styles.sidebarBadge}>
+                                                <Text style={styles.sidebarBadgeText}>{priceReviewState.reviewTotal}</Text>
+                                            </View>
+                                        )}
+                                        {item.key === 'topups' && topUpsState.pendingCount > 0 && (
+                                            <View style={styles.sidebarBadge}>
+                                                <Text style={styles.sidebarBadgeText}>{topUpsState.pendingCount}</Text>
+                                            </View>
+                                        )}
                                         {item.key === 'disputes' && openDisputesCount > 0 && (
                                             <View style={styles.sidebarBadge}>
                                                 <Text style={styles.sidebarBadgeText}>{openDisputesCount}</Text>
@@ -5698,6 +5851,7 @@ export default function AdminDashboard({ navigation }) {
             showAnalyticsStartPicker={showAnalyticsStartPicker}
             showAnalyticsTrendTooltip={showAnalyticsTrendTooltip}
             showPriceDistTooltip={showPriceDistTooltip}
+            slaComplianceLists={slaComplianceLists}
             styles={styles}
             updateAnalyticsTrendTooltipPos={updateAnalyticsTrendTooltipPos}
             updatePriceDistTooltipPos={updatePriceDistTooltipPos}
@@ -6016,6 +6170,7 @@ export default function AdminDashboard({ navigation }) {
             setShowNeedsAttention={setShowNeedsAttention}
             setSortOrder={setSortOrder}
             showNeedsAttention={showNeedsAttention}
+            slaRules={settings?.sla_rules}
             sortOrder={sortOrder}
             styles={styles}
             t={t}
@@ -6067,6 +6222,7 @@ export default function AdminDashboard({ navigation }) {
         if (key === 'open') return TRANSLATIONS.disputeStatusOpen || TRANSLATIONS.priceOpen || 'OPEN';
         if (key === 'in_review') return TRANSLATIONS.disputeStatusInReview || 'IN REVIEW';
         if (key === 'resolved') return TRANSLATIONS.disputeStatusResolved || 'RESOLVED';
+        if (key === 'rejected') return TRANSLATIONS.disputeStatusRejected || 'REJECTED';
         if (key === 'closed') return TRANSLATIONS.disputeStatusClosed || 'CLOSED';
         return key.replace(/_/g, ' ').toUpperCase();
     }, [TRANSLATIONS]);
@@ -6094,8 +6250,10 @@ export default function AdminDashboard({ navigation }) {
             open: '#ef4444',
             in_review: '#f59e0b',
             resolved: '#22c55e',
+            rejected: '#64748b',
             closed: '#64748b',
         };
+        const now = Date.now();
 
         return (
             <View style={{ flex: 1, paddingHorizontal: 16 }}>
@@ -6132,10 +6290,11 @@ export default function AdminDashboard({ navigation }) {
                         const reporterPrice = parsedDisputeNotes?.reportedFinalAmount;
                         const masterPrice = parsedDisputeNotes?.masterFinalAmount;
                         const cleanNote = parsedDisputeNotes?.plainNotes;
+                        const sla = getDisputeSla(item, now);
                         return (
                             <TouchableOpacity
                                 style={[styles.listItemCard, !isDark && styles.listItemCardLight]}
-                                onPress={() => openDisputeOrder(item)}
+                                onPress={() => disputeCaseState.openCase(item)}
                             >
                                 <View style={styles.peopleRow}>
                                     <View style={{ flex: 1 }}>
@@ -6166,6 +6325,16 @@ export default function AdminDashboard({ navigation }) {
                                         {cleanNote}
                                     </Text>
                                 )}
+                                {sla && (
+                                    <Text style={[styles.itemSubtitle, { color: sla.breached ? '#ef4444' : '#64748b', marginTop: 6 }]}>
+                                        {(TRANSLATIONS.disputeCardMeta || 'Age: {0} · {1} · {2}')
+                                            .replace('{0}', formatCaseAge(sla.ageMinutes))
+                                            .replace('{1}', sla.breached
+                                                ? (TRANSLATIONS.disputeSlaBreached || 'overdue by {0}').replace('{0}', formatCaseAge(-sla.remainingMinutes))
+                                                : (TRANSLATIONS.disputeSlaLeft || '{0} left').replace('{0}', formatCaseAge(sla.remainingMinutes)))
+                                            .replace('{2}', item?.assigned_admin?.full_name || TRANSLATIONS.unassigned || 'Unassigned')}
+                                    </Text>
+                                )}
                             </TouchableOpacity>
                         );
                     }}
@@ -6207,6 +6376,7 @@ export default function AdminDashboard({ navigation }) {
                     ListEmptyComponent={<Text style={{ color: '#64748b', textAlign: 'center', marginTop: 20 }}>{TRANSLATIONS.noMastersFound || 'No masters found'}</Text>}
                     renderItem={({ item }) => {
                         const presence = getPresenceMeta(item);
+                        const availabilityMeta = getAvailabilityMeta(item, presence);
                         return (
                         <View style={[styles.listItemCard, !isDark && styles.listItemCardLight]}>
                             <View style={styles.peopleRow}>
@@ -6258,6 +6428,19 @@ export default function AdminDashboard({ navigation }) {
                                                     </Text>
                                                 </View>
                                             </View>
+                                            <View style={[
+                                                styles.peopleMetaChip,
+                                                {
+                                                    backgroundColor: `${availabilityMeta.color}24`,
+                                                    borderColor: `${availabilityMeta.color}59`,
+                                                    paddingVertical: 2,
+                                                    paddingHorizontal: 7,
+                                                },
+                                            ]}>
+                                                <Text style={[styles.peopleMetaChipText, !isDark && styles.peopleMetaChipTextLight]}>
+                                                    {String(availabilityMeta.label).toUpperCase()}
+                                                </Text>
+                                            </View>
                                         </View>
                                     </View>
                                 </TouchableOpacity>
@@ -6525,6 +6708,7 @@ export default function AdminDashboard({ navigation }) {
             styles={styles}
             isDark={isDark}
             TRANSLATIONS={TRANSLATIONS}
+            user={user || authUser}
             districtSearch={districtSearch}
             setDistrictSearch={setDistrictSearch}
             managedDistricts={managedDistricts}
@@ -7075,6 +7259,7 @@ export default function AdminDashboard({ navigation }) {
             { id: 'rejected', label: TRANSLATIONS.statusRejected || TRANSLATIONS.reject || 'Rejected' },
             { id: 'canceled', label: TRANSLATIONS.statusCanceled || 'Canceled' },
             { id: 'all', label: TRANSLATIONS.filterAll || 'All' },
+            { id: 'batches', label: TRANSLATIONS.payoutBatches || 'Batches' },
         ];
         const statusColorMap = {
             requested: '#f59e0b',
@@ -7082,6 +7267,7 @@ export default function AdminDashboard({ navigation }) {
             rejected: '#ef4444',
             canceled: '#64748b',
         };
+        const isBatchSelecting = payoutBatchesState.selectionMode && adminPayoutStatusFilter === 'requested';
 
         return (
             <View style={{ flex: 1, paddingHorizontal: 16 }}>
@@ -7099,6 +7285,18 @@ export default function AdminDashboard({ navigation }) {
                             .replace('{2}', String(payoutStatusCounts.rejected || 0))
                             .replace('{3}', String(payoutStatusCounts.canceled || 0))}
                     </Text>
+                    {adminPayoutStatusFilter === 'requested' && payoutStatusCounts.requested > 0 && (
+                        <TouchableOpacity
+                            style={[styles.pillBtn, !isDark && styles.pillBtnLight, { alignSelf: 'flex-start', marginTop: 8 }]}
+                            onPress={payoutBatchesState.toggleSelectionMode}
+                        >
+                            <Text style={[styles.pillText, !isDark && styles.pillTextLight]}>
+                                {payoutBatchesState.selectionMode
+                                    ? (TRANSLATIONS.cancel || 'Cancel')
+                                    : (TRANSLATIONS.payoutBatchStart || 'Batch payout')}
+                            </Text>
+                        </TouchableOpacity>
+                    )}
                 </View>
 
                 <ScrollView
@@ -7109,7 +7307,9 @@ export default function AdminDashboard({ navigation }) {
                 >
                     {statusOptions.map((option) => {
                         const isActive = adminPayoutStatusFilter === option.id;
-                        const count = Number(payoutStatusCounts?.[option.id] || 0);
+                        const count = option.id === 'batches'
+                            ? payoutBatchesState.batches.length
+                            : Number(payoutStatusCounts?.[option.id] || 0);
                         return (
                             <TouchableOpacity
                                 key={option.id}
@@ -7137,103 +7337,145 @@ export default function AdminDashboard({ navigation }) {
                     })}
                 </ScrollView>
 
-                <FlatList
-                    data={filteredPayoutRequests}
-                    keyExtractor={(item, index) => String(item?.id || index)}
-                    contentContainerStyle={styles.listContent}
-                    refreshControl={(
-                        <RefreshControl
-                            refreshing={refreshing || !!tabLoadingState.payouts}
-                            onRefresh={onRefresh}
-                            tintColor={isDark ? '#3b82f6' : '#0f172a'}
-                        />
-                    )}
-                    renderItem={({ item }) => {
-                        const status = String(item?.status || 'requested').toLowerCase();
-                        const statusColor = statusColorMap[status] || '#64748b';
-                        const partnerName = item?.partner?.full_name
-                            || item?.partner?.email
-                            || item?.partner?.phone
-                            || `${TRANSLATIONS.partnerRole || 'Partner'} ${String(item?.partner_id || '').slice(0, 6)}`;
-                        const partnerContact = item?.partner?.phone || item?.partner?.email || '-';
-                        const requestedAmount = Number(item?.requested_amount || 0);
-                        const approvedAmount = item?.approved_amount !== null && item?.approved_amount !== undefined
-                            ? Number(item?.approved_amount || 0)
-                            : null;
-                        const isRowLoading = actionLoading && String(adminPayoutActionId || '') === String(item?.id || '');
+                {isBatchSelecting && (
+                    <PayoutBatchBar
+                        styles={styles}
+                        isDark={isDark}
+                        TRANSLATIONS={TRANSLATIONS}
+                        batchState={payoutBatchesState}
+                        requests={filteredPayoutRequests}
+                        formatMoney={formatMoney}
+                    />
+                )}
 
-                        return (
-                            <View style={[styles.listItemCard, !isDark && styles.listItemCardLight]}>
-                                <View style={styles.peopleRow}>
-                                    <View style={{ flex: 1 }}>
-                                        <Text style={[styles.itemTitle, !isDark && styles.textDark]}>{partnerName}</Text>
-                                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>{partnerContact}</Text>
-                                    </View>
-                                    <View style={[styles.statusBadge, { backgroundColor: `${statusColor}22` }]}>
-                                        <Text style={[styles.statusText, { color: statusColor }]}>{getPayoutStatusLabel(status)}</Text>
+                {adminPayoutStatusFilter === 'batches' ? (
+                    <PayoutBatchesList
+                        styles={styles}
+                        isDark={isDark}
+                        TRANSLATIONS={TRANSLATIONS}
+                        batchState={payoutBatchesState}
+                        formatMoney={formatMoney}
+                    />
+                ) : (
+                    <FlatList
+                        data={filteredPayoutRequests}
+                        keyExtractor={(item, index) => String(item?.id || index)}
+                        contentContainerStyle={styles.listContent}
+                        refreshControl={(
+                            <RefreshControl
+                                refreshing={refreshing || !!tabLoadingState.payouts}
+                                onRefresh={onRefresh}
+                                tintColor={isDark ? '#3b82f6' : '#0f172a'}
+                            />
+                        )}
+                        renderItem={({ item }) => {
+                            const status = String(item?.status || 'requested').toLowerCase();
+                            const statusColor = statusColorMap[status] || '#64748b';
+                            const partnerName = item?.partner?.full_name
+                                || item?.partner?.email
+                                || item?.partner?.phone
+                                || `${TRANSLATIONS.partnerRole || 'Partner'} ${String(item?.partner_id || '').slice(0, 6)}`;
+                            const partnerContact = item?.partner?.phone || item?.partner?.email || '-';
+                            const requestedAmount = Number(item?.requested_amount || 0);
+                            const approvedAmount = item?.approved_amount !== null && item?.approved_amount !== undefined
+                                ? Number(item?.approved_amount || 0)
+                                : null;
+                            const isRowLoading = actionLoading && String(adminPayoutActionId || '') === String(item?.id || '');
+                            const batchEntry = payoutBatchesState.selection[item?.id];
+                            const canSelect = isBatchSelecting && status === 'requested';
+                            const hasBatchError = payoutBatchesState.validation.errors.some((entry) => entry.requestId === item?.id);
+
+                            return (
+                                <View style={[styles.listItemCard, !isDark && styles.listItemCardLight]}>
+                                    <View style={styles.peopleRow}>
+                                        {canSelect && (
+                                            <TouchableOpacity
+                                                style={[styles.checkbox, !!batchEntry && styles.checkboxChecked]}
+                                                onPress={() => payoutBatchesState.toggleRequest(item)}
+                                            >
+                                                {!!batchEntry && <Ionicons name="checkmark" size={14} color="#fff" />}
+                                            </TouchableOpacity>
+                                        )}
+                                        <View style={{ flex: 1 }}>
+                                            <Text style={[styles.itemTitle, !isDark && styles.textDark]}>{partnerName}</Text>
+                                            <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>{partnerContact}</Text>
+                                        </View>
+                                        <View style={[styles.statusBadge, { backgroundColor: `${statusColor}22` }]}>
+                                            <Text style={[styles.statusText, { color: statusColor }]}>{getPayoutStatusLabel(status)}</Text>
+                                        </View>
                                     </View>
-                                </View>
-                                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary, { marginTop: 8 }]}>
-                                    {(TRANSLATIONS.requested || 'Requested')}: {requestedAmount.toFixed(2)} {TRANSLATIONS.currencySom || TRANSLATIONS.currency || 'som'}
-                                </Text>
-                                {approvedAmount !== null && (
-                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
-                                        {(TRANSLATIONS.approved || 'Approved')}: {approvedAmount.toFixed(2)} {TRANSLATIONS.currencySom || TRANSLATIONS.currency || 'som'}
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary, { marginTop: 8 }]}>
+                                        {(TRANSLATIONS.requested || 'Requested')}: {requestedAmount.toFixed(2)} {TRANSLATIONS.currencySom || TRANSLATIONS.currency || 'som'}
                                     </Text>
-                                )}
-                                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
-                                    {item?.created_at ? new Date(item.created_at).toLocaleString() : '-'}
-                                </Text>
-                                {!!item?.requested_note && (
-                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
-                                        {(TRANSLATIONS.labelRequestNote || TRANSLATIONS.note || 'Request note')}: {item.requested_note}
-                                    </Text>
-                                )}
-                                {!!item?.admin_note && (
-                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
-                                        {(TRANSLATIONS.note || 'Note')}: {item.admin_note}
-                                    </Text>
-                                )}
-                                {!!item?.processed_at && (
+                                    {approvedAmount !== null && (
+                                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                            {(TRANSLATIONS.approved || 'Approved')}: {approvedAmount.toFixed(2)} {TRANSLATIONS.currencySom || TRANSLATIONS.currency || 'som'}
+                                        </Text>
+                                    )}
                                     <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
-                                        {(TRANSLATIONS.processedAt || 'Processed')}: {new Date(item.processed_at).toLocaleString()}
+                                        {item?.created_at ? new Date(item.created_at).toLocaleString() : '-'}
                                     </Text>
-                                )}
-                                {status === 'requested' && (
-                                    <View style={{ flexDirection: 'row', gap: 10, marginTop: 8 }}>
-                                        <TouchableOpacity
-                                            style={[styles.actionButton, { flex: 1, marginTop: 0, backgroundColor: '#16a34a', opacity: isRowLoading ? 0.7 : 1 }]}
-                                            onPress={() => handleProcessPayoutFromTab(item, 'paid')}
-                                            disabled={isRowLoading}
-                                        >
-                                            {isRowLoading ? (
-                                                <ActivityIndicator size="small" color="#fff" />
-                                            ) : (
-                                                <Text style={styles.actionButtonText}>{TRANSLATIONS.markPaid || 'Mark paid'}</Text>
-                                            )}
-                                        </TouchableOpacity>
-                                        <TouchableOpacity
-                                            style={[styles.actionButton, { flex: 1, marginTop: 0, backgroundColor: '#dc2626', opacity: isRowLoading ? 0.7 : 1 }]}
-                                            onPress={() => handleProcessPayoutFromTab(item, 'rejected')}
-                                            disabled={isRowLoading}
-                                        >
-                                            {isRowLoading ? (
-                                                <ActivityIndicator size="small" color="#fff" />
-                                            ) : (
-                                                <Text style={styles.actionButtonText}>{TRANSLATIONS.reject || 'Reject'}</Text>
-                                            )}
-                                        </TouchableOpacity>
-                                    </View>
-                                )}
-                            </View>
-                        );
-                    }}
-                    ListEmptyComponent={(
-                        <Text style={{ color: '#64748b', textAlign: 'center', marginTop: 20 }}>
-                            {TRANSLATIONS.noPayoutRequestsFound || TRANSLATIONS.noData || 'No payout requests found'}
-                        </Text>
-                    )}
-                />
+                                    {!!item?.requested_note && (
+                                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                            {(TRANSLATIONS.labelRequestNote || TRANSLATIONS.note || 'Request note')}: {item.requested_note}
+                                        </Text>
+                                    )}
+                                    {!!item?.admin_note && (
+                                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                            {(TRANSLATIONS.note || 'Note')}: {item.admin_note}
+                                        </Text>
+                                    )}
+                                    {!!item?.processed_at && (
+                                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                            {(TRANSLATIONS.processedAt || 'Processed')}: {new Date(item.processed_at).toLocaleString()}
+                                        </Text>
+                                    )}
+                                    {canSelect && !!batchEntry && (
+                                        <TextInput
+                                            style={[styles.input, !isDark && styles.inputLight, hasBatchError && styles.inputError, { marginTop: 8, marginBottom: 0 }]}
+                                            value={batchEntry.amount}
+                                            onChangeText={(value) => payoutBatchesState.setAmount(item.id, value)}
+                                            keyboardType="decimal-pad"
+                                            placeholder={TRANSLATIONS.approved || 'Approved'}
+                                            placeholderTextColor="#64748b"
+                                        />
+                                    )}
+                                    {status === 'requested' && !isBatchSelecting && (
+                                        <View style={{ flexDirection: 'row', gap: 10, marginTop: 8 }}>
+                                            <TouchableOpacity
+                                                style={[styles.actionButton, { flex: 1, marginTop: 0, backgroundColor: '#16a34a', opacity: isRowLoading ? 0.7 : 1 }]}
+                                                onPress={() => handleProcessPayoutFromTab(item, 'paid')}
+                                                disabled={isRowLoading}
+                                            >
+                                                {isRowLoading ? (
+                                                    <ActivityIndicator size="small" color="#fff" />
+                                                ) : (
+                                                    <Text style={styles.actionButtonText}>{TRANSLATIONS.markPaid || 'Mark paid'}</Text>
+                                                )}
+                                            </TouchableOpacity>
+                                            <TouchableOpacity
+                                                style={[styles.actionButton, { flex: 1, marginTop: 0, backgroundColor: '#dc2626', opacity: isRowLoading ? 0.7 : 1 }]}
+                                                onPress={() => handleProcessPayoutFromTab(item, 'rejected')}
+                                                disabled={isRowLoading}
+                                            >
+                                                {isRowLoading ? (
+                                                    <ActivityIndicator size="small" color="#fff" />
+                                                ) : (
+                                                    <Text style={styles.actionButtonText}>{TRANSLATIONS.reject || 'Reject'}</Text>
+                                                )}
+                                            </TouchableOpacity>
+                                        </View>
+                                    )}
+                                </View>
+                            );
+                        }}
+                        ListEmptyComponent={(
+                            <Text style={{ color: '#64748b', textAlign: 'center', marginTop: 20 }}>
+                                {TRANSLATIONS.noPayoutRequestsFound || TRANSLATIONS.noData || 'No payout requests found'}
+                            </Text>
+                        )}
+                    />
+                )}
             </View>
         );
     };
@@ -7251,6 +7493,79 @@ export default function AdminDashboard({ navigation }) {
             renderStaff={renderStaff}
             renderPartners={renderPartners}
             renderHeader={renderHeader}
+            showToast={showToast}
+        />
+    );
+
+    const openClientOrder = async (orderId) => {
+        const order = await ordersService.getOrderById(orderId);
+        if (order) openOrderDetails(order);
+    };
+
+    const renderClients = () => (
+        <AdminClientsTab
+            styles={styles}
+            isDark={isDark}
+            TRANSLATIONS={TRANSLATIONS}
+            renderHeader={renderHeader}
+            clientsState={clientsState}
+            t={t}
+            formatMoney={formatMoney}
+            getOrderStatusLabel={getOrderStatusLabel}
+            getServiceLabel={getServiceLabel}
+            getDisputeStatusLabel={getDisputeStatusLabel}
+            onOpenOrder={openClientOrder}
+        />
+    );
+
+    const renderPriceReview = () => (
+        <AdminPriceReviewTab
+            styles={styles}
+            isDark={isDark}
+            TRANSLATIONS={TRANSLATIONS}
+            renderHeader={renderHeader}
+            priceReviewState={priceReviewState}
+            t={t}
+            formatMoney={formatMoney}
+            getServiceLabel={getServiceLabel}
+            formatOrderRefLabel={formatOrderRefLabel}
+            onOpenOrder={openClientOrder}
+            sanitizeNumberInput={sanitizeNumberInput}
+        />
+    );
+
+    const renderTopUps = () => (
+        <AdminTopUpsTab
+            styles={styles}
+            isDark={isDark}
+            TRANSLATIONS={TRANSLATIONS}
+            renderHeader={renderHeader}
+            topUpsState={topUpsState}
+            formatMoney={formatMoney}
+        />
+    );
+
+    const renderReconciliation = () => (
+        <AdminReconciliationTab
+            styles={styles}
+            isDark={isDark}
+            TRANSLATIONS={TRANSLATIONS}
+            renderHeader={renderHeader}
+            reconciliationState={reconciliationState}
+            formatMoney={formatMoney}
+            formatOrderRefLabel={formatOrderRefLabel}
+            onOpenOrder={openClientOrder}
+        />
+    );
+
+    const renderStatements = () => (
+        <AdminStatementsTab
+            styles={styles}
+            isDark={isDark}
+            TRANSLATIONS={TRANSLATIONS}
+            renderHeader={renderHeader}
+            statementsState={statementsState}
+            formatMoney={formatMoney}
         />
     );
 
@@ -7377,6 +7692,14 @@ export default function AdminDashboard({ navigation }) {
                         value={newOrder.orientir}
                         onChangeText={t => setNewOrder({ ...newOrder, orientir: t })}
                     />
+
+                    <LocationPicker
+                        label={TRANSLATIONS.labelOrderLocation || 'Map location'}
+                        value={newOrder.location || null}
+                        onChange={location => setNewOrder(prev => ({ ...prev, location }))}
+                        onError={message => showToast?.(message, 'error')}
+                        isDark={isDark}
+                    />
                 </View>
 
                 {/* Service */}
@@ -7695,6 +8018,7 @@ export default function AdminDashboard({ navigation }) {
                                         setPaymentOrder(detailsOrder);
                                         setPaymentData(buildPaymentConfirmationData(detailsOrder));
                                         setShowPaymentModal(true);
+                                        if (detailsOrder?.is_disputed && !disputes.length) loadDisputes();
                                     }}
                                 >
                                     <Text style={styles.drawerBtnText}>{TRANSLATIONS.confirmPayment || 'Confirm Payment'}</Text>
@@ -7974,6 +8298,19 @@ export default function AdminDashboard({ navigation }) {
                                     </View>
                                 )}
 
+                                <OrderPhotoGallery
+                                    orderId={detailsOrder.id}
+                                    isDark={isDark}
+                                    title={TRANSLATIONS.sectionPhotos || 'Photos'}
+                                />
+
+                                <OrderTimeline
+                                    orderId={detailsOrder.id}
+                                    isDark={isDark}
+                                    title={TRANSLATIONS.timelineTitle || 'History'}
+                                    refreshKey={`${detailsOrder.status}-${detailsOrder.updated_at || ''}`}
+                                />
+
                                 {!!detailsOrder.dispatcher_note && (
                                     <View style={styles.drawerSection}>
                                         <Text style={[styles.drawerSectionTitle, { color: '#f59e0b' }]}>{TRANSLATIONS.sectionNote || 'Internal Note'}</Text>
@@ -8012,6 +8349,14 @@ export default function AdminDashboard({ navigation }) {
     };
 
 
+    const paymentDisputedLineIds = useMemo(() => {
+        if (!paymentOrder?.id || !paymentOrder?.is_disputed) return [];
+        const dispute = (disputes || []).find((item) => (
+            item?.order_id === paymentOrder.id && ['open', 'in_review'].includes(item?.status)
+        ));
+        return Array.isArray(dispute?.disputed_line_ids) ? dispute.disputed_line_ids : [];
+    }, [disputes, paymentOrder?.id, paymentOrder?.is_disputed]);
+
     const renderPaymentModal = () => (
         <Modal visible={showPaymentModal} transparent animationType="fade">
             <View style={styles.modalOverlay}>
@@ -8023,6 +8368,34 @@ export default function AdminDashboard({ navigation }) {
                     <Text style={styles.modalAmount}>
                         {(paymentOrder?.final_price ?? paymentOrder?.initial_price ?? 'N/A')}c
                     </Text>
+                    <OrderLineItems
+                        items={paymentOrder?.line_items}
+                        finalPrice={paymentOrder?.final_price}
+                        isDark={isDark}
+                        selectable={!paymentOrder?.is_disputed}
+                        selectedIds={paymentData?.disputedLineIds || []}
+                        onToggle={(lineId) => setPaymentData((prev) => {
+                            const current = prev?.disputedLineIds || [];
+                            return {
+                                ...prev,
+                                disputedLineIds: current.includes(lineId)
+                                    ? current.filter((id) => id !== lineId)
+                                    : [...current, lineId],
+                            };
+                        })}
+                        disputedIds={paymentOrder?.is_disputed ? paymentDisputedLineIds : []}
+                        adjustments={paymentData?.lineAdjustments || {}}
+                        onAdjust={paymentOrder?.is_disputed ? (lineId, value) => setPaymentData((prev) => {
+                            const lineAdjustments = { ...(prev?.lineAdjustments || {}), [lineId]: value };
+                            if (value === '') delete lineAdjustments[lineId];
+                            const adjustedTotal = sumLineItems(applyLineAdjustments(paymentOrder?.line_items, lineAdjustments));
+                            return {
+                                ...prev,
+                                lineAdjustments,
+                                finalAmount: adjustedTotal > 0 ? String(adjustedTotal) : prev?.finalAmount,
+                            };
+                        }) : undefined}
+                    />
                     <Text style={styles.inputLabel}>{TRANSLATIONS.labelFinal || 'Final Amount'}</Text>
                     <TextInput
                         style={styles.input}
@@ -8122,6 +8495,12 @@ export default function AdminDashboard({ navigation }) {
                                 <Text style={styles.masterDetailsLabel}>{TRANSLATIONS.labelJobs || 'Jobs'}</Text>
                                 <Text style={styles.masterDetailsValue}>{masterDetails?.summary?.completedJobs ?? 0}</Text>
                             </View>
+                            <View style={styles.masterDetailsRow}>
+                                <Text style={styles.masterDetailsLabel}>{TRANSLATIONS.labelRating || 'Rating'}</Text>
+                                <Text style={styles.masterDetailsValue}>
+                                    {Number(masterDetails?.summary?.rating || 0).toFixed(1)} ({summarizeReviews(masterReviews).count})
+                                </Text>
+                            </View>
                             {masterDetails?.summary?.balanceBlocked && (
                                 <Text style={styles.masterDetailsBlocked}>{TRANSLATIONS.balanceBlocked || 'Balance Blocked'}</Text>
                             )}
@@ -8161,6 +8540,37 @@ export default function AdminDashboard({ navigation }) {
                                     })()
                                 )}
                             </View>
+                            <View style={styles.masterDetailsSection}>
+                                <Text style={styles.masterDetailsSectionTitle}>
+                                    {TRANSLATIONS.sectionReviews || 'Reviews'}
+                                </Text>
+                                {masterReviewsLoading ? (
+                                    <ActivityIndicator color="#fff" />
+                                ) : !masterReviews.length ? (
+                                    <Text style={styles.masterDetailsEmpty}>
+                                        {TRANSLATIONS.noReviewsYet || 'No reviews yet'}
+                                    </Text>
+                                ) : (
+                                    <ScrollView style={{ maxHeight: 180 }} showsVerticalScrollIndicator={false}>
+                                        {masterReviews.map(review => (
+                                            <View key={review.id} style={styles.masterDetailsTxRow}>
+                                                <View style={{ flex: 1, paddingRight: 8 }}>
+                                                    <Text style={styles.masterDetailsTxLabel} numberOfLines={2}>
+                                                        {review.comment || getServiceLabel(review.order?.service_type, t)}
+                                                    </Text>
+                                                    <Text style={styles.masterDetailsTxMeta}>
+                                                        {review.created_at ? new Date(review.created_at).toLocaleDateString() : '-'}
+                                                        {review.reviewer?.full_name ? ` - ${review.reviewer.full_name}` : ''}
+                                                    </Text>
+                                                </View>
+                                                <Text style={[styles.masterDetailsTxAmount, { color: '#f59e0b' }]}>
+                                                    {'\u2605'} {Number(review.rating || 0)}
+                                                </Text>
+                                            </View>
+                                        ))}
+                                    </ScrollView>
+                                )}
+                            </View>
                         </View>
                     )}
                 </View>
@@ -8202,7 +8612,12 @@ export default function AdminDashboard({ navigation }) {
                 {activeTab === 'orders' && renderOrders()}
                 {activeTab === 'disputes' && renderDisputes()}
                 {activeTab === 'payouts' && renderPayouts()}
+                {activeTab === 'topups' && renderTopUps()}
+                {activeTab === 'reconciliation' && renderReconciliation()}
+                {activeTab === 'statements' && renderStatements()}
                 {activeTab === 'people' && renderPeople()}
+                {activeTab === 'clients' && renderClients()}
+                {activeTab === 'price_review' && renderPriceReview()}
                 {activeTab === 'create_order' && renderCreateOrder()}
 
                 {activeTab === 'settings' && renderSettingsPage()}
@@ -8212,6 +8627,18 @@ export default function AdminDashboard({ navigation }) {
             {renderDetailsDrawer()}
             {renderPickerModal()}
             {renderPaymentModal()}
+            <DisputeCaseModal
+                styles={styles}
+                isDark={isDark}
+                TRANSLATIONS={TRANSLATIONS}
+                caseState={disputeCaseState}
+                adminUsers={adminUsers}
+                currentAdmin={user || authUser}
+                getDisputeStatusLabel={getDisputeStatusLabel}
+                formatOrderRefLabel={formatOrderRefLabel}
+                onOpenOrder={openDisputeOrder}
+                sanitizeNumberInput={sanitizeNumberInput}
+            />
             {renderMasterDetailsModal()}
 
             {/* Force Assign Master Modal */}
@@ -8719,6 +9146,36 @@ export default function AdminDashboard({ navigation }) {
                                                         placeholderTextColor={isDark ? '#64748b' : '#94a3b8'}
                                                     />
                                                 </View>
+                                                <View>
+                                                    <Text style={{ color: '#64748b', fontSize: 11, marginBottom: 4 }}>{TRANSLATIONS.commissionTierLabel || 'Commission tier'}</Text>
+                                                    <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 6 }}>
+                                                        {COMMISSION_TIERS.map((tier) => {
+                                                            const active = masterPerformanceData.commission_tier === tier;
+                                                            return (
+                                                                <TouchableOpacity
+                                                                    key={tier}
+                                                                    onPress={() => setMasterPerformanceData((prev) => ({ ...prev, commission_tier: tier }))}
+                                                                    style={[styles.peopleMetaChip, !isDark && styles.peopleMetaChipLight, active && { borderColor: '#3b82f6' }]}
+                                                                >
+                                                                    <Text style={[styles.peopleMetaChipText, !isDark && styles.peopleMetaChipTextLight, active && { color: '#3b82f6' }]}>
+                                                                        {getCommissionTierLabel(tier)}
+                                                                    </Text>
+                                                                </TouchableOpacity>
+                                                            );
+                                                        })}
+                                                    </View>
+                                                </View>
+                                                <View>
+                                                    <Text style={{ color: '#64748b', fontSize: 11, marginBottom: 4 }}>{TRANSLATIONS.commissionRateOverride || 'Commission override (%)'}</Text>
+                                                    <TextInput
+                                                        style={[styles.input, !isDark && styles.inputLight]}
+                                                        keyboardType="numeric"
+                                                        value={masterPerformanceData.commission_rate_override}
+                                                        onChangeText={(text) => setMasterPerformanceData((prev) => ({ ...prev, commission_rate_override: text.replace(/[^\d.,]/g, '') }))}
+                                                        placeholder={TRANSLATIONS.commissionOverridePlaceholder || 'By rules'}
+                                                        placeholderTextColor={isDark ? '#64748b' : '#94a3b8'}
+                                                    />
+                                                </View>
                                                 <Text style={{ color: '#64748b', fontSize: 11 }}>
                                                     {TRANSLATIONS.calculatedAuto || 'Current state values are calculated automatically.'}
                                                 </Text>
@@ -8790,6 +9247,15 @@ export default function AdminDashboard({ navigation }) {
                                                         <Text style={{ color: '#64748b' }}>{TRANSLATIONS.maxPendingConfirmation || 'Max pending confirmation:'}</Text>
                                                         <Text style={{ color: isDark ? '#fff' : '#0f172a' }}>{detailsPerson?.max_pending_confirmation ?? platformDefaultLimits.maxPendingConfirmation}</Text>
                                                     </View>
+                                                    <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+                                                        <Text style={{ color: '#64748b' }}>{TRANSLATIONS.commissionTierLabel || 'Commission tier'}:</Text>
+                                                        <Text style={{ color: isDark ? '#fff' : '#0f172a', flexShrink: 1, textAlign: 'right' }}>
+                                                            {getCommissionTierLabel(detailsPerson?.commission_tier)}
+                                                            {detailsPerson?.commission_rate_override !== null && detailsPerson?.commission_rate_override !== undefined
+                                                                ? ` · ${Math.round(Number(detailsPerson.commission_rate_override) * 1000) / 10}%`
+                                                                : ''}
+                                                        </Text>
+                                                    </View>
                                                 </View>
                                             </TouchableOpacity>
                                         )}
@@ -27,6 +27,12 @@ import useDispatcherDataLoader from './dispatcher/hooks/useDispatcherDataLoader'
 import useDispatcherRouting from './dispatcher/hooks/useDispatcherRouting';
 import useDispatcherUiState from './dispatcher/hooks/useDispatcherUiState';
 import useDispatcherOrderActions from './dispatcher/hooks/useDispatcherOrderActions';
+import useDispatcherRealtimeSync from './dispatcher/hooks/useDispatcherRealtimeSync';
+import useDispatcherAgenda from './dispatcher/hooks/useDispatcherAgenda';
+import useDispatcherClientLookup from './dispatcher/hooks/useDispatcherClientLookup';
+import useMasterRecommendations from './dispatcher/hooks/useMasterRecommendations';
+import useDispatcherPriceInsight from './dispatcher/hooks/useDispatcherPriceInsight';
+import usePartnerAnalytics from './dispatcher/hooks/usePartnerAnalytics';
 import {
     INITIAL_ORDER_STATE,
     DISPATCHER_TABS,
@@ -36,21 +42,33 @@ import {
 } from './dispatcher/constants';
 import { generateIdempotencyKey, sanitizeNumberInput } from './dispatcher/utils/formHelpers';
 import { normalizeKyrgyzPhone, isValidKyrgyzPhone } from '../utils/phone';
+import { RECOMMENDATION_BLOCKERS } from '../utils/masterRecommendations';
+import { AVAILABILITY_REASONS, getMasterAvailability } from '../utils/masterAvailability';
 import DispatcherPickerModal from './dispatcher/components/DispatcherPickerModal';
 import DispatcherSidebar from './dispatcher/components/DispatcherSidebar';
 import DispatcherHeader from './dispatcher/components/DispatcherHeader';
 import DispatcherCreateOrderTab from './dispatcher/components/tabs/DispatcherCreateOrderTab';
 import DispatcherSettingsTab from './dispatcher/components/tabs/DispatcherSettingsTab';
 import DispatcherQueueTab from './dispatcher/components/tabs/DispatcherQueueTab';
+import OrderPhotoGallery from '../components/shared/OrderPhotoGallery';
+import OrderTimeline from '../components/shared/OrderTimeline';
+import OrderLineItems from '../components/shared/OrderLineItems';
 import DispatcherStatsTab from './dispatcher/components/tabs/DispatcherStatsTab';
+import DispatcherEarningsTab from './dispatcher/components/tabs/DispatcherEarningsTab';
+import PartnerOverviewTab from './dispatcher/components/tabs/PartnerOverviewTab';
+import DispatcherTeamTab from './dispatcher/components/tabs/DispatcherTeamTab';
 import styles from './dispatcher/styles/dashboardStyles';
 const LOG_PREFIX = '[DispatcherDashboard]';
+const PARTNER_FINANCE_TABS = ['overview', 'earnings', 'settings'];
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const DEFAULT_PAYMENT_CONFIRMATION_DATA = {
     finalAmount: '',
     reportReason: '',
     workPerformed: '',
     hoursWorked: '',
+    reviewRating: 0,
+    reviewComment: '',
+    disputedLineIds: [],
 };
 const EMAIL_FORMAT_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const buildPaymentConfirmationData = (order) => {
@@ -64,6 +82,9 @@ const buildPaymentConfirmationData = (order) => {
         hoursWorked: order?.hours_worked !== null && order?.hours_worked !== undefined && order?.hours_worked !== ''
             ? String(order?.hours_worked)
             : '',
+        reviewRating: 0,
+        reviewComment: '',
+        disputedLineIds: [],
     };
 };
 const normalizeSearchTerm = (value) => String(value || '').trim().toLowerCase();
@@ -82,12 +103,12 @@ const matchesMasterSearch = (master, queryText) => {
     return phoneDigits.includes(digits);
 };
 
-export default function DispatcherDashboard({ navigation, route }) {
+export default function DispatcherDashboard({ navigation, route, variant = null }) {
     const { showToast } = useToast();
     const { translations, language, cycleLanguage, setLanguage, t } = useLocalization();
     const TRANSLATIONS = translations;
     const { logout, user: authUser } = useAuth();
-    const routeRole = route?.params?.user?.role || authUser?.role || null;
+    const routeRole = variant || route?.params?.user?.role || authUser?.role || null;
     const allowedTabs = useMemo(
         () => (routeRole === 'partner' ? PARTNER_TABS : DISPATCHER_TABS),
         [routeRole]
@@ -96,7 +117,7 @@ export default function DispatcherDashboard({ navigation, route }) {
 
     // User & Data
     const [user, setUser] = useState(route.params?.user || null);
-    const isPartner = (user?.role || authUser?.role || route?.params?.user?.role) === 'partner';
+    const isPartner = variant === 'partner' || (user?.role || authUser?.role || route?.params?.user?.role) === 'partner';
     const [orders, setOrders] = useState([]);
     const [masters, setMasters] = useState([]);
     const [dispatchers, setDispatchers] = useState([]);
@@ -153,7 +174,13 @@ export default function DispatcherDashboard({ navigation, route }) {
     const [sortOrder, setSortOrder] = useState('newest');
     const [filterAttentionType, setFilterAttentionType] = useState('All');
     const [assignMasterSearchQuery, setAssignMasterSearchQuery] = useState('');
+    const [assignOnlineOnly, setAssignOnlineOnly] = useState(false);
     const [assignMasterSearchLoading, setAssignMasterSearchLoading] = useState(false);
+    const agenda = useDispatcherAgenda({
+        dispatcherId: user?.id || authUser?.id,
+        enabled: viewMode === 'agenda',
+        refreshKey: orders,
+    });
 
     const {
         pickerModal,
@@ -200,6 +227,23 @@ export default function DispatcherDashboard({ navigation, route }) {
         initialOrderState: INITIAL_ORDER_STATE,
         generateIdempotencyKey,
     });
+    const { clientLookup, clientLookupLoading, applyClientAddress } = useDispatcherClientLookup({
+        phone: newOrder.clientPhone,
+        enabled: activeTab === 'create' && !creationSuccess,
+        setNewOrder,
+    });
+    const { priceInsight } = useDispatcherPriceInsight({
+        serviceType: newOrder.serviceType,
+        area: newOrder.area,
+        urgency: newOrder.urgency,
+        enabled: activeTab === 'create' && !creationSuccess,
+    });
+    const { rankedMasters, topMatch, recommendationsLoading } = useMasterRecommendations({
+        visible: showAssignModal,
+        order: assignTarget || detailsOrder,
+        masters,
+        onlineOnly: assignOnlineOnly,
+    });
     const [platformSettings, setPlatformSettings] = useState(null); // Dynamic platform settings
     const skeletonPulse = useRef(new Animated.Value(0.6)).current;
     const debouncedSearchQuery = useDebouncedValue(searchQuery, 220);
@@ -264,6 +308,18 @@ export default function DispatcherDashboard({ navigation, route }) {
         scheduleBackgroundRefresh,
     } = useDispatcherActions({ setOrders, setDetailsOrder });
 
+    const { changedOrders, markOrderSeen } = useDispatcherRealtimeSync({
+        userId: user?.id || authUser?.id,
+        orders,
+        patchOrderInState,
+        loadQueueData,
+    });
+
+    // Opening an order (or acting on it from the drawer) counts as viewing its current status.
+    useEffect(() => {
+        if (detailsOrder?.id) markOrderSeen(detailsOrder);
+    }, [detailsOrder?.id, detailsOrder?.status, markOrderSeen]);
+
     const loadPartnerFinance = useCallback(async () => {
         const partnerId = user?.id || authUser?.id;
         if (!isPartner || !partnerId) {
@@ -284,6 +340,12 @@ export default function DispatcherDashboard({ navigation, route }) {
         }
     }, [authUser?.id, isPartner, user?.id]);
 
+    const partnerAnalytics = usePartnerAnalytics({
+        partnerId: isPartner ? (user?.id || authUser?.id) : null,
+        enabled: isPartner && activeTab === 'overview',
+        commissionRatePercent: partnerFinanceSummary?.commissionRatePercent,
+    });
+
     // ============================================
     // DATA LOADING
     // ============================================
@@ -378,7 +440,7 @@ export default function DispatcherDashboard({ navigation, route }) {
     }, [activeTab, statsWindowDays, loadStatsSummary, setStatsSummary]);
 
     useEffect(() => {
-        if (!isPartner || !['settings', 'stats'].includes(activeTab)) return;
+        if (!isPartner || !PARTNER_FINANCE_TABS.includes(activeTab)) return;
         let canceled = false;
         const run = async () => {
             const summary = await loadPartnerFinance();
@@ -390,10 +452,13 @@ export default function DispatcherDashboard({ navigation, route }) {
 
     const handleRefresh = useCallback(async () => {
         await onRefresh({ includeStats: activeTab === 'stats', statsDays: statsWindowDays });
-        if (isPartner && ['settings', 'stats'].includes(activeTab)) {
+        if (isPartner && PARTNER_FINANCE_TABS.includes(activeTab)) {
             await loadPartnerFinance();
         }
-    }, [onRefresh, activeTab, statsWindowDays, isPartner, loadPartnerFinance]);
+        if (isPartner && activeTab === 'overview') {
+            await partnerAnalytics.reload();
+        }
+    }, [onRefresh, activeTab, statsWindowDays, isPartner, loadPartnerFinance, partnerAnalytics.reload]);
 
     const loadDraft = async () => {
         try {
@@ -409,7 +474,10 @@ export default function DispatcherDashboard({ navigation, route }) {
     const saveDraft = async (data) => {
         try {
             if (data.clientPhone || data.problemDescription) {
-                await AsyncStorage.setItem(STORAGE_KEYS.DRAFT, JSON.stringify({ timestamp: Date.now(), data }));
+                // Picked photo URIs are device-local and may not survive a restart.
+                const draftData = { ...data };
+                delete draftData.photos;
+                await AsyncStorage.setItem(STORAGE_KEYS.DRAFT, JSON.stringify({ timestamp: Date.now(), data: draftData }));
             }
         } catch (e) { console.error('Draft save error', e); }
     };
@@ -754,6 +822,7 @@ export default function DispatcherDashboard({ navigation, route }) {
         paymentOrder,
         assignTarget,
         detailsOrder,
+        topMatch,
         editForm,
         platformSettings,
         generateIdempotencyKey,
@@ -780,6 +849,7 @@ export default function DispatcherDashboard({ navigation, route }) {
         removeOrderFromState,
         addOrderToState,
         scheduleBackgroundRefresh,
+        markOrderSeen,
         loadQueueData,
         loadStatsSummary,
         saveRecentAddress,
@@ -828,7 +898,7 @@ export default function DispatcherDashboard({ navigation, route }) {
         assignMasterSearchReqRef.current = requestId;
         setAssignMasterSearchLoading(true);
 
-        ordersService.getAvailableMasters({ search: query, limit: 80, offset: 0, force: true })
+        ordersService.getAvailableMasters({ search: query, limit: 80, offset: 0, force: true, includeUnavailable: true })
             .then((data) => {
                 if (cancelled || requestId !== assignMasterSearchReqRef.current) return;
                 setMasters(Array.isArray(data) ? data : []);
@@ -900,9 +970,13 @@ export default function DispatcherDashboard({ navigation, route }) {
     }, [setActiveTab]);
 
     const openPartnerPayoutComposer = useCallback(() => {
-        setActiveTab('settings');
+        setActiveTab(allowedTabs.includes('earnings') ? 'earnings' : 'settings');
         setPartnerPayoutComposerToken(Date.now());
-    }, [setActiveTab]);
+    }, [allowedTabs, setActiveTab]);
+
+    const clearPartnerPayoutComposer = useCallback(() => {
+        setPartnerPayoutComposerToken(0);
+    }, []);
 
     const renderPickerModal = () => (
         <DispatcherPickerModal
@@ -957,6 +1031,7 @@ export default function DispatcherDashboard({ navigation, route }) {
             setSearchQuery={setSearchQuery}
             viewMode={viewMode}
             setViewMode={setViewMode}
+            agenda={agenda}
             showFilters={showFilters}
             setShowFilters={setShowFilters}
             setPickerModal={setPickerModal}
@@ -969,6 +1044,7 @@ export default function DispatcherDashboard({ navigation, route }) {
             serviceTypes={serviceTypes}
             needsAttentionCount={needsAttentionCount}
             needsActionOrders={needsActionOrders}
+            slaRules={platformSettings?.sla_rules}
             filterAttentionType={filterAttentionType}
             setFilterAttentionType={setFilterAttentionType}
             sortOrder={sortOrder}
@@ -977,6 +1053,7 @@ export default function DispatcherDashboard({ navigation, route }) {
             setShowNeedsAttention={setShowNeedsAttention}
             setDetailsOrder={setDetailsOrder}
             openAssignModal={openAssignModal}
+            changedOrders={changedOrders}
             canAssignMasters={!isPartner}
             filteredOrders={filteredOrders}
             queueTotalCount={queueTotalCount}
@@ -1056,6 +1133,7 @@ export default function DispatcherDashboard({ navigation, route }) {
             phoneError={phoneError}
             newOrder={newOrder}
             setNewOrder={setNewOrder}
+            showToast={showToast}
             handlePhoneBlur={handlePhoneBlur}
             handlePastePhone={handlePastePhone}
             openDistrictPicker={openDistrictPicker}
@@ -1076,6 +1154,60 @@ export default function DispatcherDashboard({ navigation, route }) {
             handleCreateOrder={handleCreateOrder}
             loading={loading}
             skeletonPulse={skeletonPulse}
+            clientLookup={clientLookup}
+            clientLookupLoading={clientLookupLoading}
+            applyClientAddress={applyClientAddress}
+            priceInsight={priceInsight}
+            t={t}
+            getOrderStatusLabel={getOrderStatusLabel}
+            getServiceLabel={getServiceLabel}
+        />
+    );
+
+    const renderPartnerOverview = () => (
+        <PartnerOverviewTab
+            styles={styles}
+            isDark={isDark}
+            translations={TRANSLATIONS}
+            language={language}
+            t={t}
+            summary={partnerFinanceSummary}
+            analytics={partnerAnalytics}
+            getServiceLabel={getServiceLabel}
+            onRequestPayout={openPartnerPayoutComposer}
+            onCreateOrder={goToCreateOrderTab}
+        />
+    );
+
+    const renderPartnerEarnings = () => (
+        <DispatcherEarningsTab
+            styles={styles}
+            isDark={isDark}
+            translations={TRANSLATIONS}
+            language={language}
+            summary={partnerFinanceSummary}
+            requests={partnerPayoutRequests}
+            transactions={partnerTransactions}
+            payoutAmount={partnerPayoutAmount}
+            setPayoutAmount={setPartnerPayoutAmount}
+            payoutNote={partnerPayoutNote}
+            setPayoutNote={setPartnerPayoutNote}
+            onSubmitPayout={handleSubmitPartnerPayout}
+            loading={partnerFinanceLoading}
+            actionLoading={actionLoading}
+            partnerId={user?.id || authUser?.id}
+            showToast={showToast}
+            openPayoutComposerToken={partnerPayoutComposerToken}
+            onPayoutComposerHandled={clearPartnerPayoutComposer}
+        />
+    );
+
+    const renderTeam = () => (
+        <DispatcherTeamTab
+            styles={styles}
+            isDark={isDark}
+            userId={user?.id || authUser?.id}
+            showToast={showToast}
         />
     );
 
@@ -1104,6 +1236,7 @@ export default function DispatcherDashboard({ navigation, route }) {
             openPayoutComposerToken={partnerPayoutComposerToken}
             onOpenAddMaster={openAddMasterModal}
             addMasterDisabled={actionLoading}
+            showToast={showToast}
         />
     );
     const renderAddMasterModal = () => (
@@ -1505,6 +1638,17 @@ export default function DispatcherDashboard({ navigation, route }) {
                                             </Text>
                                         </View>
                                     </View>
+                                    <OrderPhotoGallery
+                                        orderId={detailsOrder.id}
+                                        isDark={isDark}
+                                        title={TRANSLATIONS[language].sectionPhotos || 'Photos'}
+                                    />
+                                    <OrderTimeline
+                                        orderId={detailsOrder.id}
+                                        isDark={isDark}
+                                        title={TRANSLATIONS[language].timelineTitle || 'History'}
+                                        refreshKey={`${detailsOrder.status}-${detailsOrder.updated_at || ''}`}
+                                    />
                                     {/* Note */}
                                     {detailsOrder.dispatcher_note && (
                                         <View style={styles.drawerSection}>
@@ -1565,6 +1709,23 @@ export default function DispatcherDashboard({ navigation, route }) {
                         {(TRANSLATIONS[language].labelAmount || 'Amount')} {paymentOrder?.final_price ?? paymentOrder?.initial_price ?? 'N/A'}с
                     </Text>
 
+                    <OrderLineItems
+                        items={paymentOrder?.line_items}
+                        finalPrice={paymentOrder?.final_price}
+                        isDark={isDark}
+                        selectable={!paymentOrder?.is_disputed}
+                        selectedIds={paymentData?.disputedLineIds || []}
+                        onToggle={(lineId) => setPaymentData((prev) => {
+                            const current = prev?.disputedLineIds || [];
+                            return {
+                                ...prev,
+                                disputedLineIds: current.includes(lineId)
+                                    ? current.filter((id) => id !== lineId)
+                                    : [...current, lineId],
+                            };
+                        })}
+                    />
+
                     <Text style={styles.inputLabel}>{TRANSLATIONS[language].labelFinal || 'Final Amount'}</Text>
                     <TextInput
                         style={styles.input}
@@ -1585,6 +1746,39 @@ export default function DispatcherDashboard({ navigation, route }) {
                         {paymentOrder?.hours_worked ?? paymentData?.hoursWorked ?? '-'}
                     </Text>
 
+                    {!paymentOrder?.is_disputed && (
+                        <>
+                            <Text style={styles.inputLabel}>{TRANSLATIONS[language].labelClientRating || 'Client Rating (optional)'}</Text>
+                            <View style={{ flexDirection: 'row', gap: 6, marginBottom: 10 }}>
+                                {[1, 2, 3, 4, 5].map((value) => {
+                                    const isActive = Number(paymentData?.reviewRating || 0) >= value;
+                                    return (
+                                        <TouchableOpacity
+                                            key={`review-star-${value}`}
+                                            onPress={() => setPaymentData((prev) => ({
+                                                ...prev,
+                                                reviewRating: Number(prev?.reviewRating) === value ? 0 : value,
+                                            }))}
+                                        >
+                                            <Ionicons name={isActive ? 'star' : 'star-outline'} size={26} color={isActive ? '#f59e0b' : '#64748b'} />
+                                        </TouchableOpacity>
+                                    );
+                                })}
+                            </View>
+                            {Number(paymentData?.reviewRating || 0) > 0 && (
+                                <TextInput
+                                    style={[styles.input, styles.textArea]}
+                                    value={paymentData?.reviewComment || ''}
+                                    onChangeText={value => setPaymentData((prev) => ({ ...prev, reviewComment: value }))}
+                                    multiline
+                                    numberOfLines={2}
+                                    placeholder={TRANSLATIONS[language].labelReviewCommentHint || 'Client feedback (optional)'}
+                                    placeholderTextColor="#64748b"
+                                />
+                            )}
+                        </>
+                    )}
+
                     {!paymentOrder?.is_disputed && (
                         <>
                             <Text style={styles.inputLabel}>{TRANSLATIONS[language].labelReportReason || 'Report Reason'}</Text>
@@ -1671,37 +1865,85 @@ export default function DispatcherDashboard({ navigation, route }) {
                             </TouchableOpacity>
                         ) : null}
                     </View>
+                    <TouchableOpacity
+                        style={[styles.assignOnlineToggle, assignOnlineOnly && styles.assignOnlineToggleActive]}
+                        onPress={() => setAssignOnlineOnly((prev) => !prev)}
+                    >
+                        <View style={[styles.assignOnlineDot, assignOnlineOnly && styles.assignOnlineDotActive]} />
+                        <Text style={[styles.assignOnlineText, assignOnlineOnly && styles.assignOnlineTextActive]}>
+                            {TRANSLATIONS[language].filterOnlineNow || 'Online now'}
+                        </Text>
+                    </TouchableOpacity>
+                    {topMatch ? (
+                        <TouchableOpacity style={styles.bestMatchBtn} onPress={() => handleAssignMaster()}>
+                            <Text style={styles.bestMatchBtnText}>
+                                {(TRANSLATIONS[language].actionAssignBestMatch || 'Assign best match: {0}').replace('{0}', topMatch.full_name || '-')}
+                            </Text>
+                        </TouchableOpacity>
+                    ) : null}
                     <FlatList
                         style={styles.mastersList}
-                        data={masters}
+                        data={rankedMasters}
                         keyExtractor={(m, index) => String(m?.id || m?.master_id || index)}
                         keyboardShouldPersistTaps="handled"
                         renderItem={({ item: m }) => {
                             const maxJobs = Number.isFinite(Number(m.max_active_jobs)) ? Number(m.max_active_jobs) : null;
                             const activeJobs = Number.isFinite(Number(m.active_jobs)) ? Number(m.active_jobs) : 0;
                             const atLimit = maxJobs !== null && activeJobs >= maxJobs;
+                            const { score, breakdown, blockers } = m.recommendation;
+                            const balanceBlocked = blockers.includes(RECOMMENDATION_BLOCKERS.BALANCE_BLOCKED);
+                            const unavailableReason = blockers.includes(RECOMMENDATION_BLOCKERS.UNAVAILABLE)
+                                ? getMasterAvailability(m).reason
+                                : null;
+                            const disabled = atLimit || balanceBlocked || !!unavailableReason;
+                            const isTopMatch = topMatch && String(topMatch.id) === String(m.id);
                             return (
                                 <TouchableOpacity
                                     key={m.id}
-                                    style={[styles.masterItem, atLimit && styles.masterItemDisabled]}
+                                    style={[styles.masterItem, isTopMatch && styles.masterItemTop, disabled && styles.masterItemDisabled]}
                                     onPress={() => handleAssignMaster(m)}
-                                    disabled={atLimit}
+                                    disabled={disabled}
                                 >
                                     <View style={styles.masterItemHeader}>
-                                        <Text style={[styles.masterName, atLimit && styles.masterNameDisabled]}>{m.full_name}</Text>
+                                        <Text style={[styles.masterName, disabled && styles.masterNameDisabled]}>{m.full_name}</Text>
                                         {atLimit && <Text style={styles.masterLimitBadge}>{TRANSLATIONS[language].labelLimitReached || 'Limit reached'}</Text>}
+                                        {balanceBlocked && <Text style={styles.masterLimitBadge}>{TRANSLATIONS[language].balanceBlocked || 'Balance blocked'}</Text>}
+                                        {unavailableReason && (
+                                            <Text style={styles.masterLimitBadge}>
+                                                {unavailableReason === AVAILABILITY_REASONS.TIME_OFF
+                                                    ? (TRANSLATIONS[language].availabilityOnVacation || 'On vacation')
+                                                    : unavailableReason === AVAILABILITY_REASONS.OUTSIDE_HOURS
+                                                        ? (TRANSLATIONS[language].availabilityOffHours || 'Off hours')
+                                                        : (TRANSLATIONS[language].availabilityOffDuty || 'Off duty')}
+                                            </Text>
+                                        )}
+                                        {!disabled && (
+                                            <Text style={[styles.masterScoreBadge, isTopMatch && styles.masterScoreBadgeTop]}>
+                                                {isTopMatch ? `${TRANSLATIONS[language].labelBestMatch || 'Best match'} · ` : ''}{Math.round(score)}
+                                            </Text>
+                                        )}
                                     </View>
-                                    <Text style={[styles.masterInfo, atLimit && styles.masterInfoDisabled]}>
+                                    <Text style={[styles.masterInfo, disabled && styles.masterInfoDisabled]}>
                                         {activeJobs}/{maxJobs ?? '-'} {TRANSLATIONS[language].labelJobs}
                                     </Text>
+                                    <Text style={[styles.masterScoreBreakdown, disabled && styles.masterInfoDisabled]}>
+                                        {(TRANSLATIONS[language].scoreBreakdown || 'Skill {0} · Area {1} · Load {2} · Rating {3} · Refusals {4}')
+                                            .replace('{0}', String(breakdown.specialization))
+                                            .replace('{1}', String(breakdown.area))
+                                            .replace('{2}', String(breakdown.workload))
+                                            .replace('{3}', String(breakdown.rating))
+                                            .replace('{4}', String(breakdown.refusals))}
+                                    </Text>
                                 </TouchableOpacity>
                             );
                         }}
                         ListEmptyComponent={(
                             <Text style={styles.noMasters}>
-                                {assignMasterSearchLoading
+                                {assignMasterSearchLoading || recommendationsLoading
                                     ? (TRANSLATIONS[language].loading || 'Loading...')
-                                    : (TRANSLATIONS[language].noMasters || 'No masters found')}
+                                    : assignOnlineOnly
+                                        ? (TRANSLATIONS[language].noMastersOnline || 'No masters online right now')
+                                        : (TRANSLATIONS[language].noMasters || 'No masters found')}
                             </Text>
                         )}
                     />
@@ -1760,8 +2002,11 @@ export default function DispatcherDashboard({ navigation, route }) {
             {renderSidebar()}
             {renderHeader()}
             {activeTab === 'stats' && renderStats()}
+            {activeTab === 'overview' && renderPartnerOverview()}
+            {activeTab === 'earnings' && renderPartnerEarnings()}
             {activeTab === 'queue' && renderQueue()}
             {activeTab === 'create' && renderCreateOrder()}
+            {activeTab === 'team' && renderTeam()}
             {activeTab === 'settings' && renderSettings()}
             {renderAddMasterModal()}
             {renderDetailsDrawer()}
@@ -19,20 +19,31 @@ import {
     LogOut, ShieldCheck, Moon, Sun, MapPin, Check, X, Filter, ChevronDown, ChevronUp,
     ChevronLeft, ChevronRight, Settings,
     Inbox, ClipboardList, AlertCircle, Phone, User, Clock, Copy, Send, MessageCircle,
-    RotateCw, Wallet
+    RotateCw, Wallet, CloudOff
 } from 'lucide-react-native';
 
 import ordersService, { ORDER_STATUS } from '../services/orders';
+import pricingInsightsService from '../services/pricingInsights';
 import { useToast } from '../contexts/ToastContext';
 import { useLocalization, LocalizationProvider } from '../contexts/LocalizationContext';
 import { useTheme, ThemeProvider } from '../contexts/ThemeContext';
 import { useAuth } from '../contexts/AuthContext';
 import deviceUtils from '../utils/device';
 import { getOrderStatusLabel, getServiceLabel } from '../utils/orderHelpers';
+import { DISTANCE_NEAREST, DISTANCE_RADIUS_OPTIONS, formatDistanceKm } from '../utils/geo';
+import { LINE_ITEM_ERRORS, getLineAmount, sumLineItems, validateLineItems } from '../utils/lineItems';
+import { findPriceInsight, toPriceRange } from '../utils/pricingInsights';
+import { AVAILABILITY_REASONS } from '../utils/masterAvailability';
 import { useMasterRouteState } from './master/hooks/useMasterRouteState';
-import { useMasterOrderProcessing } from './master/hooks/useMasterOrderProcessing';
+import { matchesPoolDistance, useMasterOrderProcessing } from './master/hooks/useMasterOrderProcessing';
 import { useMasterDataLoader } from './master/hooks/useMasterDataLoader';
 import { useMasterActions } from './master/hooks/useMasterActions';
+import { useMasterPoolRealtime } from './master/hooks/useMasterPoolRealtime';
+import { useMasterLocation } from './master/hooks/useMasterLocation';
+import { useMasterAgenda } from './master/hooks/useMasterAgenda';
+import { useMasterAvailability } from './master/hooks/useMasterAvailability';
+import { useJobTimer } from './master/hooks/useJobTimer';
+import { useMasterOfflineOutbox } from './master/hooks/useMasterOfflineOutbox';
 import {
     ACCOUNT_VIEWS,
     MASTER_TABS,
@@ -40,11 +51,17 @@ import {
     TERMINAL_ORDER_STATUSES,
 } from './master/constants/domain';
 import { normalizeMasterOrder } from './master/mappers/orderMappers';
+import { OUTBOX_ACTIONS, OUTBOX_CONFLICTS, applyOutboxToOrders } from './master/utils/offlineOutbox';
 import Dropdown from './master/components/Dropdown';
 import Header from './master/components/Header';
+import JobTimerCard from './master/components/JobTimerCard';
 import MyAccountTab from './master/components/MyAccountTab';
 import SectionToggle from './master/components/SectionToggle';
 import SkeletonOrderCard from './master/components/SkeletonOrderCard';
+import PhotoAttachmentPicker from '../components/shared/PhotoAttachmentPicker';
+import LineItemsEditor from '../components/shared/LineItemsEditor';
+import OrderTimeline from '../components/shared/OrderTimeline';
+import OrderAgenda from '../components/shared/OrderAgenda';
 import { styles } from './master/styles/dashboardStyles';
 
 const LOG_PREFIX = '[MasterDashboard]';
@@ -121,6 +138,7 @@ const OrderCardBase = ({
     onCopyAddress,
     onOpen,
     getAreaLabel,
+    priceInsightGroups,
 }) => {
     const { t, language } = useLocalization();
     const { theme } = useTheme();
@@ -164,8 +182,9 @@ const OrderCardBase = ({
         ? (t('fixedPrice') || 'Fixed price')
         : (t('priceOpen') || 'Open');
 
+    const distanceText = isPool ? formatDistanceKm(order.distance_km) : '';
     const getLocationDisplay = () => {
-        if (isPool) return districtText;
+        if (isPool) return distanceText ? `${districtText} · ${distanceText}` : districtText;
         return districtText || order.full_address || '-';
     };
 
@@ -175,6 +194,16 @@ const OrderCardBase = ({
     const showClientInfo = isClaimed || isStarted;
     const showDetailsBlock = !isPool;
     const showLandmarkInline = Boolean(isPool && landmarkText);
+    const priceRange = isPool
+        ? toPriceRange(findPriceInsight(priceInsightGroups, { serviceType: order.service_type, area: order.area, urgency: order.urgency }))
+        : null;
+    const isRefusePending = order.pending_sync === OUTBOX_ACTIONS.REFUSE;
+    const syncLabel = order.sync_conflict
+        ? (t('syncConflictBadge') || 'Offline change not applied')
+        : isRefusePending
+            ? (t('syncRefusePendingBadge') || 'Cancellation not synced')
+            : order.pending_sync ? (t('syncPendingBadge') || 'Not synced') : '';
+    const syncColor = order.sync_conflict ? theme.accentDanger : theme.accentWarning;
     const plannedScheduleText = order.urgency === 'planned'
         ? formatPlannedDateTime(order.preferred_date, order.preferred_time, language)
         : '';
@@ -197,6 +226,12 @@ const OrderCardBase = ({
                         {displayPriceText}
                     </Text>
                 </View>
+                {!!syncLabel && (
+                    <View style={[styles.syncBadge, { backgroundColor: `${syncColor}15` }]}>
+                        <CloudOff size={12} color={syncColor} />
+                        <Text style={[styles.syncBadgeText, { color: syncColor }]}>{syncLabel}</Text>
+                    </View>
+                )}
                     <View style={styles.cardMeta}>
                     <View style={[styles.urgencyBadge, { backgroundColor: isPool ? urgencyStyle.bg : `${getStatusColor()}15`, borderColor: isPool ? urgencyStyle.text : getStatusColor() }]}>
                         <Text style={[styles.urgencyText, { color: isPool ? urgencyStyle.text : getStatusColor() }]}>
@@ -233,6 +268,14 @@ const OrderCardBase = ({
                         <Text style={[styles.inlineHintValue, { color: theme.textSecondary }]} numberOfLines={1}>{landmarkText}</Text>
                     </View>
                 )}
+                {priceRange && (
+                    <View style={styles.inlineHintRow}>
+                        <Text style={[styles.inlineHintLabel, { color: theme.textMuted }]}>{t('priceInsightLabel') || 'Typical price'}:</Text>
+                        <Text style={[styles.inlineHintValue, { color: theme.textSecondary }]} numberOfLines={1}>
+                            {`${priceRange.low}–${priceRange.high} · ${(t('priceInsightMedian') || 'median {0}').replace('{0}', priceRange.median)}`}
+                        </Text>
+                    </View>
+                )}
                 {showDetailsBlock && (
                     <View style={[styles.cardInfoBlock, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary }]}>
                         <View style={styles.cardInfoRow}>
@@ -267,7 +310,7 @@ const OrderCardBase = ({
                         <View style={styles.clientRow}><Phone size={12} color={theme.accentPrimary} /><Text style={[styles.clientPhone, { color: theme.accentPrimary }]}>{order.client.phone}</Text></View>
                     </View>
                 )}
-                {!isConfirmed && (
+                {!isConfirmed && !isRefusePending && (
                     <View style={styles.cardActions}>
                         {isPool && isSelected && (
                             <TouchableOpacity
@@ -360,6 +403,9 @@ const DashboardContent = ({ navigation }) => {
         if (lowered.includes('maximum active jobs limit') || lowered.includes('max jobs reached')) {
             return safeT('errorMaxActiveJobsReached', 'You have reached your maximum active jobs limit');
         }
+        if (lowered.includes('master is not available')) {
+            return safeT('errorMasterUnavailable', 'You are off duty or outside your working hours');
+        }
         if (lowered.includes('planned order starting soon') || lowered.includes('planned job due soon')) {
             return safeT('errorPlannedDueSoon', 'You have a planned order due soon, finish or start it first');
         }
@@ -393,28 +439,37 @@ const DashboardContent = ({ navigation }) => {
     const [user, setUser] = useState(null);
     const [availableOrders, setAvailableOrders] = useState([]);
     const [availableOrdersMeta, setAvailableOrdersMeta] = useState([]);
-    const [myOrders, setMyOrders] = useState([]);
+    const [serverMyOrders, setMyOrders] = useState([]);
     const [financials, setFinancials] = useState(null);
     const [earnings, setEarnings] = useState([]);
     const [orderHistory, setOrderHistory] = useState([]);
     // Balance transactions for showing admin top-ups in History
     const [balanceTransactions, setBalanceTransactions] = useState([]);
+    const [reviews, setReviews] = useState([]);
     const [districts, setDistricts] = useState([]);
     const [serviceTypes, setServiceTypes] = useState([]);
     const [cancelReasons, setCancelReasons] = useState([]);
+    const offlineOutbox = useMasterOfflineOutbox({ userId: user?.id, showToast, safeT });
+    // Unsynced offline actions are overlaid so the master keeps seeing their own progress.
+    const myOrders = useMemo(
+        () => applyOutboxToOrders(serverMyOrders, offlineOutbox.queue),
+        [serverMyOrders, offlineOutbox.queue]
+    );
 
     const [headerHeight, setHeaderHeight] = useState(0);
     const [pagePool, setPagePool] = useState(1);
     const [totalPool, setTotalPool] = useState(0);
     const [refreshing, setRefreshing] = useState(false);
     const [loading, setLoading] = useState(true);
-    const [filters, setFilters] = useState({ urgency: 'all', service: 'all', area: 'all', pricing: 'all' });
+    const [filters, setFilters] = useState({ urgency: 'all', service: 'all', area: 'all', pricing: 'all', distance: 'all' });
     const [showFilters, setShowFilters] = useState(true);
     const [modalState, setModalState] = useState({ type: null, order: null });
     const [completeData, setCompleteData] = useState({});
     const [refuseData, setRefuseData] = useState({});
     const [activeSheetOrder, setActiveSheetOrder] = useState(null);
     const [selectedPoolOrderId, setSelectedPoolOrderId] = useState(null);
+    // My Jobs can be shown as the usual list or as a day/week agenda of planned slots.
+    const [myJobsView, setMyJobsView] = useState('list');
     const [sheetSnap, setSheetSnap] = useState('peek'); // 'peek' | 'half' | 'full'
     const [sheetModalVisible, setSheetModalVisible] = useState(false);
     const sheetAnim = useRef(new Animated.Value(0)).current;
@@ -475,6 +530,7 @@ const DashboardContent = ({ navigation }) => {
             setEarnings([]);
             setOrderHistory([]);
             setBalanceTransactions([]);
+            setReviews([]);
             if (filterDebounceRef.current) {
                 clearTimeout(filterDebounceRef.current);
                 filterDebounceRef.current = null;
@@ -497,10 +553,17 @@ const DashboardContent = ({ navigation }) => {
             return authUser;
         });
     }, [authUser]);
+    const masterLocation = useMasterLocation({ userId: user?.id, showToast, safeT });
+    // Pool queries carry the master's location so distance is filtered and counted server-side.
+    const poolFilters = useMemo(
+        () => (masterLocation.origin ? { ...filters, origin: masterLocation.origin } : filters),
+        [filters, masterLocation.origin]
+    );
     useEffect(() => {
         const userId = user?.id;
         if (!userId) return;
-        const filterKey = JSON.stringify(filters);
+        // Without a location the distance filter does nothing, so it does not trigger a reload.
+        const filterKey = JSON.stringify(poolFilters.origin ? poolFilters : { ...poolFilters, distance: undefined });
         if (!perfRef.current.filtersInitialized) {
             perfRef.current.filtersInitialized = true;
             perfRef.current.lastFilterKey = filterKey;
@@ -517,7 +580,7 @@ const DashboardContent = ({ navigation }) => {
         return () => {
             if (filterDebounceRef.current) clearTimeout(filterDebounceRef.current);
         };
-    }, [filters, user?.id]);
+    }, [poolFilters, user?.id]);
     useEffect(() => {
         Animated.timing(filterAnim, {
             toValue: showFilters ? 1 : 0,
@@ -539,7 +602,7 @@ const DashboardContent = ({ navigation }) => {
     useEffect(() => {
         if (activeTab !== MASTER_TABS.ORDERS) return;
         if (activeSheetOrder) return;
-        const active = myOrders.find(o => o.status === ORDER_STATUS.STARTED);
+        const active = myOrders.find(o => o.status === ORDER_STATUS.STARTED && o.pending_sync !== OUTBOX_ACTIONS.REFUSE);
         if (active) {
             setActiveSheetOrder(active);
             setSheetSnap('peek');
@@ -616,7 +679,7 @@ const DashboardContent = ({ navigation }) => {
     } = useMasterDataLoader({
         authUser,
         user,
-        filters,
+        filters: poolFilters,
         activeTab,
         setUser,
         setLoading,
@@ -630,6 +693,7 @@ const DashboardContent = ({ navigation }) => {
         setEarnings,
         setOrderHistory,
         setBalanceTransactions,
+        setReviews,
         setServiceTypes,
         setCancelReasons,
         setDistricts,
@@ -643,6 +707,53 @@ const DashboardContent = ({ navigation }) => {
         getCachedLookup,
         setCachedLookup,
     });
+    const syncedReloadRef = useRef(null);
+    useEffect(() => {
+        if (!offlineOutbox.lastSyncedAt || syncedReloadRef.current === offlineOutbox.lastSyncedAt) return;
+        syncedReloadRef.current = offlineOutbox.lastSyncedAt;
+        loadCriticalData({ reset: false, reason: 'offline_sync' });
+    }, [loadCriticalData, offlineOutbox.lastSyncedAt]);
+    const masterAvailability = useMasterAvailability({ userId: user?.id, showToast, safeT });
+    const jobTimer = useJobTimer({ userId: user?.id, myOrders });
+    // Hours worked start from the job timer; the master can still correct them.
+    const completeOrderId = modalState.type === 'complete' ? modalState.order?.id : null;
+    useEffect(() => {
+        if (!completeOrderId) return;
+        const { hoursWorked } = jobTimer.getCompletion(completeOrderId);
+        if (!(hoursWorked > 0)) return;
+        setCompleteData((prev) => (prev.hoursWorked ? prev : { ...prev, hoursWorked: String(hoursWorked) }));
+    }, [completeOrderId, jobTimer.getCompletion]);
+    // Off duty, on vacation or outside working hours: the pool is hidden, own jobs stay.
+    const poolPaused = !masterAvailability.availability.available;
+    const handleNewEmergencyOrder = useCallback(() => {
+        if (poolPaused) return;
+        showToast?.(safeT('toastNewEmergencyOrder', 'New emergency order in the pool'), 'info');
+    }, [poolPaused, safeT, showToast]);
+    const [priceInsightGroups, setPriceInsightGroups] = useState([]);
+    useEffect(() => {
+        if (activeTab !== MASTER_TABS.ORDERS || orderSection !== ORDER_SECTIONS.AVAILABLE) return undefined;
+        let cancelled = false;
+        pricingInsightsService.getInsightGroups().then((result) => {
+            if (!cancelled && result?.success) setPriceInsightGroups(result.groups);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [activeTab, orderSection]);
+    useMasterPoolRealtime({
+        userId: authUser?.id || user?.id,
+        filters: poolFilters,
+        pagePool,
+        pageLimit: PAGE_LIMIT,
+        availableOrders,
+        availableOrdersMeta,
+        totalPool,
+        setAvailableOrders,
+        setAvailableOrdersMeta,
+        setTotalPool,
+        onNewEmergencyOrder: handleNewEmergencyOrder,
+        logPerf,
+    });
     useEffect(() => {
         if (!authUser?.id) return;
         if (authSyncUserIdRef.current === authUser.id) return;
@@ -683,7 +794,10 @@ const DashboardContent = ({ navigation }) => {
         myOrders,
         filters,
         orderSection,
+        origin: masterLocation.origin,
     });
+    const isAgendaMode = orderSection === ORDER_SECTIONS.MY_JOBS && myJobsView === 'agenda';
+    const agenda = useMasterAgenda({ masterId: user?.id, enabled: isAgendaMode, myOrders });
     const upsertOrderById = useCallback((list, order) => {
         if (!order) return list;
         const idx = list.findIndex(o => o.id == order.id);
@@ -803,7 +917,7 @@ const DashboardContent = ({ navigation }) => {
     const sheetPeekPadding = activeSheetOrder?.status === ORDER_STATUS.STARTED && sheetSnap === 'peek' && !sheetModalVisible ? 90 : 0;
     const listBottomPadding = baseBottomPadding + sheetPeekPadding;
     const activeFilterCount = useMemo(() => {
-        return ['urgency', 'service', 'area', 'pricing'].reduce((count, key) => (filters[key] && filters[key] !== 'all' ? count + 1 : count), 0);
+        return ['urgency', 'service', 'area', 'pricing', 'distance'].reduce((count, key) => (filters[key] && filters[key] !== 'all' ? count + 1 : count), 0);
     }, [filters]);
 
     const poolMeta = useMemo(
@@ -815,14 +929,16 @@ const DashboardContent = ({ navigation }) => {
         if (ignoreKey !== 'service' && currentFilters.service !== 'all' && row.service_type !== currentFilters.service) return false;
         if (ignoreKey !== 'area' && currentFilters.area !== 'all' && row.area !== currentFilters.area) return false;
         if (ignoreKey !== 'pricing' && currentFilters.pricing !== 'all' && row.pricing_type !== currentFilters.pricing) return false;
+        if (ignoreKey !== 'distance' && !matchesPoolDistance(row, currentFilters)) return false;
         return true;
     }, []);
     const getMetaCount = useCallback((key, value) => {
-        const base = poolMeta.filter(row => metaMatchesFilters(row, filters, key));
+        const base = poolMeta.filter(row => metaMatchesFilters(row, poolFilters, key));
         if (!value || value === 'all') return base.length;
+        if (key === 'distance') return base.filter(row => matchesPoolDistance(row, { ...poolFilters, distance: value })).length;
         const rowKey = key === 'service' ? 'service_type' : key === 'pricing' ? 'pricing_type' : key;
         return base.filter(row => row[rowKey] === value).length;
-    }, [poolMeta, filters, metaMatchesFilters]);
+    }, [poolMeta, poolFilters, metaMatchesFilters]);
 
     const availableServices = useMemo(() => {
         return [...new Set(poolMeta.map(o => o.service_type))].filter(Boolean).sort();
@@ -900,6 +1016,18 @@ const DashboardContent = ({ navigation }) => {
         return labels;
     }, [urgencyOptions, getMetaCount, language]);
 
+    const distanceOptions = useMemo(() => ['all', DISTANCE_NEAREST, ...DISTANCE_RADIUS_OPTIONS], []);
+    const distanceOptionLabels = useMemo(() => {
+        const labels = {
+            all: `${t('filterAll')} (${getMetaCount('distance', 'all')})`,
+            [DISTANCE_NEAREST]: `${safeT('filterDistanceNearest', 'Nearest first')} (${getMetaCount('distance', DISTANCE_NEAREST)})`,
+        };
+        DISTANCE_RADIUS_OPTIONS.forEach((km) => {
+            labels[km] = `${safeT('filterDistanceWithin', 'Within {0} km').replace('{0}', km)} (${getMetaCount('distance', km)})`;
+        });
+        return labels;
+    }, [getMetaCount, safeT, language]);
+
     const areaOptionLabels = useMemo(() => {
         const labels = {};
         areaOptions.forEach(opt => {
@@ -915,6 +1043,7 @@ const DashboardContent = ({ navigation }) => {
         handleClaim,
         handleAction,
         handleStart,
+        handleCompleteJob,
         handleOpenComplete,
         handleOpenRefuse,
         handleCopyAddress,
@@ -947,7 +1076,7 @@ const DashboardContent = ({ navigation }) => {
         setTotalPool,
         setMyOrders,
         setModalState,
-        filters,
+        filters: poolFilters,
         totalPages,
         perfRef,
         setPagePool,
@@ -956,6 +1085,7 @@ const DashboardContent = ({ navigation }) => {
         roundMs,
         perfTargets: PERF_TARGETS_MS,
         t,
+        queueOfflineAction: offlineOutbox.enqueue,
     });
 
     const handleOpenOrderSheet = useCallback((order) => {
@@ -1050,11 +1180,14 @@ const DashboardContent = ({ navigation }) => {
                                 <Dropdown styles={styles} label={t('filterUrgency')} value={filters.urgency} options={urgencyOptions} optionLabels={urgencyOptionLabels} onChange={v => setFilters({ ...filters, urgency: v })} />
                                 <Dropdown styles={styles} label={t('filterService')} value={filters.service} options={serviceOptions} optionLabels={serviceOptionLabels} onChange={v => setFilters({ ...filters, service: v })} />
                                 <Dropdown styles={styles} label={t('filterArea')} value={filters.area} options={areaOptions} optionLabels={areaOptionLabels} onChange={v => setFilters({ ...filters, area: v })} />
+                                {masterLocation.origin ? (
+                                    <Dropdown styles={styles} label={safeT('filterDistance', 'Distance')} value={filters.distance} options={distanceOptions} optionLabels={distanceOptionLabels} onChange={v => setFilters({ ...filters, distance: v })} />
+                                ) : null}
                             </ScrollView>
-                            {(filters.urgency !== 'all' || filters.service !== 'all' || filters.area !== 'all' || filters.pricing !== 'all') && (
+                            {activeFilterCount > 0 && (
                                 <TouchableOpacity
                                     style={[styles.clearFiltersBtn, { borderColor: theme.textMuted }]}
-                                    onPress={() => setFilters({ urgency: 'all', service: 'all', area: 'all', pricing: 'all' })}
+                                    onPress={() => setFilters({ urgency: 'all', service: 'all', area: 'all', pricing: 'all', distance: 'all' })}
                                 >
                                     <X size={14} color={theme.textMuted} />
                                 </TouchableOpacity>
@@ -1096,15 +1229,19 @@ const DashboardContent = ({ navigation }) => {
                     earnings={earnings}
                     orderHistory={orderHistory}
                     balanceTransactions={balanceTransactions}
+                    reviews={reviews}
                     districts={districts}
                     refreshing={refreshing}
                     onRefresh={onRefresh}
                     accountView={accountView}
                     setAccountView={setAccountView}
+                    masterLocation={masterLocation}
+                    masterAvailability={masterAvailability}
+                    showToast={showToast}
                 />
             ) : (
                 <FlatList
-                    data={processedOrders}
+                    data={isAgendaMode || (poolPaused && orderSection === ORDER_SECTIONS.AVAILABLE) ? [] : processedOrders}
                     key={gridColumns}
                     numColumns={gridColumns}
                     keyExtractor={item => item.id}
@@ -1121,28 +1258,98 @@ const DashboardContent = ({ navigation }) => {
                     columnWrapperStyle={gridColumns > 1 ? styles.colWrapper : null} refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor={theme.accentIndigo} />}
                     ListHeaderComponent={
                         orderSection === ORDER_SECTIONS.MY_JOBS ? (
-                            <View style={[styles.limitsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
-                                <Text style={[styles.limitsTitle, { color: theme.textPrimary }]}>
-                                    {safeT('myJobsLimitsTitle', 'Current limits')}
-                                </Text>
-                                <View style={styles.limitsRow}>
-                                    <View style={[styles.limitBadge, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary }]}>
-                                        <Text style={[styles.limitBadgeLabel, { color: theme.textMuted }]}>
-                                            {safeT('myJobsLimitActive', 'Active jobs')}
-                                        </Text>
-                                        <Text style={[styles.limitBadgeValue, { color: theme.textPrimary }]}>
-                                            {activeJobsCount}/{maxActiveJobs}
-                                        </Text>
-                                    </View>
-                                    <View style={[styles.limitBadge, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary }]}>
-                                        <Text style={[styles.limitBadgeLabel, { color: theme.textMuted }]}>
-                                            {safeT('myJobsLimitPending', 'Awaiting confirmation')}
-                                        </Text>
-                                        <Text style={[styles.limitBadgeValue, { color: theme.textPrimary }]}>
-                                            {pendingOrdersCount}/{maxPendingOrders}
-                                        </Text>
+                            <View>
+                                <View style={[styles.limitsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                                    <Text style={[styles.limitsTitle, { color: theme.textPrimary }]}>
+                                        {safeT('myJobsLimitsTitle', 'Current limits')}
+                                    </Text>
+                                    <View style={styles.limitsRow}>
+                                        <View style={[styles.limitBadge, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary }]}>
+                                            <Text style={[styles.limitBadgeLabel, { color: theme.textMuted }]}>
+                                                {safeT('myJobsLimitActive', 'Active jobs')}
+                                            </Text>
+                                            <Text style={[styles.limitBadgeValue, { color: theme.textPrimary }]}>
+                                                {activeJobsCount}/{maxActiveJobs}
+                                            </Text>
+                                        </View>
+                                        <View style={[styles.limitBadge, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary }]}>
+                                            <Text style={[styles.limitBadgeLabel, { color: theme.textMuted }]}>
+                                                {safeT('myJobsLimitPending', 'Awaiting confirmation')}
+                                            </Text>
+                                            <Text style={[styles.limitBadgeValue, { color: theme.textPrimary }]}>
+                                                {pendingOrdersCount}/{maxPendingOrders}
+                                            </Text>
+                                        </View>
                                     </View>
+                                    {offlineOutbox.pendingCount > 0 && (
+                                        <View style={[styles.syncNotice, { borderTopColor: theme.borderLight }]}>
+                                            <CloudOff size={14} color={theme.accentWarning} />
+                                            <Text style={[styles.syncNoticeText, { color: theme.textSecondary }]}>
+                                                {safeT('syncPendingNotice', 'Changes waiting to sync: {0}').replace('{0}', String(offlineOutbox.pendingCount))}
+                                            </Text>
+                                            <TouchableOpacity disabled={offlineOutbox.syncing} onPress={offlineOutbox.flush}>
+                                                {offlineOutbox.syncing ? (
+                                                    <ActivityIndicator size="small" color={theme.accentIndigo} />
+                                                ) : (
+                                                    <Text style={[styles.syncNoticeAction, { color: theme.accentIndigo }]}>{safeT('actionSyncNow', 'Sync now')}</Text>
+                                                )}
+                                            </TouchableOpacity>
+                                        </View>
+                                    )}
+                                    {offlineOutbox.conflictCount > 0 && (
+                                        <View style={[styles.syncNotice, { borderTopColor: theme.borderLight }]}>
+                                            <AlertCircle size={14} color={theme.accentDanger} />
+                                            <Text style={[styles.syncNoticeText, { color: theme.textSecondary }]}>
+                                                {safeT('syncConflictNotice', 'Offline changes not applied: {0}. The order was changed on the server.').replace('{0}', String(offlineOutbox.conflictCount))}
+                                            </Text>
+                                            <TouchableOpacity onPress={offlineOutbox.discardConflicts}>
+                                                <Text style={[styles.syncNoticeAction, { color: theme.accentDanger }]}>{safeT('actionDismiss', 'Dismiss')}</Text>
+                                            </TouchableOpacity>
+                                        </View>
+                                    )}
+                                </View>
+                                <SectionToggle
+                                    styles={styles}
+                                    sections={[
+                                        { key: 'list', label: safeT('myJobsViewList', 'List') },
+                                        { key: 'agenda', label: safeT('myJobsViewAgenda', 'Calendar') },
+                                    ]}
+                                    activeSection={myJobsView}
+                                    onSectionChange={setMyJobsView}
+                                />
+                                {myJobsView === 'agenda' && (
+                                    <OrderAgenda
+                                        orders={agenda.agendaOrders}
+                                        view={agenda.agendaView}
+                                        anchorDate={agenda.agendaAnchor}
+                                        onChangeView={agenda.setAgendaView}
+                                        onChangeAnchor={agenda.setAgendaAnchor}
+                                        onOpenOrder={handleOpenOrderSheet}
+                                        isDark={isDark}
+                                        loading={agenda.agendaLoading}
+                                    />
+                                )}
+                            </View>
+                        ) : poolPaused ? (
+                            <View style={[styles.limitsCard, { backgroundColor: theme.bgCard, borderColor: theme.accentWarning }]}>
+                                <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+                                    <Moon size={16} color={theme.accentWarning} />
+                                    <Text style={[styles.limitsTitle, { color: theme.textPrimary, flex: 1 }]}>
+                                        {masterAvailability.availability.reason === AVAILABILITY_REASONS.TIME_OFF
+                                            ? safeT('poolPausedVacation', 'You are on vacation until {0}').replace('{0}', masterAvailability.availability.timeOff?.end || '-')
+                                            : masterAvailability.availability.reason === AVAILABILITY_REASONS.OUTSIDE_HOURS
+                                                ? safeT('poolPausedHours', 'Outside your working hours')
+                                                : safeT('poolPausedOffDuty', 'You are off duty')}
+                                    </Text>
                                 </View>
+                                <Text style={[styles.syncNoticeText, { color: theme.textSecondary }]}>
+                                    {safeT('poolPausedHint', 'New orders are hidden and dispatchers cannot assign you.')}
+                                </Text>
+                                <TouchableOpacity
+                                    onPress={() => setAccountView(ACCOUNT_VIEWS.AVAILABILITY)}
+                                >
+                                    <Text style={[styles.syncNoticeAction, { color: theme.accentIndigo }]}>{safeT('poolPausedAction', 'Change availability')}</Text>
+                                </TouchableOpacity>
                             </View>
                         ) : null
                     }
@@ -1151,7 +1358,7 @@ const DashboardContent = ({ navigation }) => {
                             order={item}
                             isPool={orderSection === ORDER_SECTIONS.AVAILABLE}
                             isSelected={orderSection === ORDER_SECTIONS.AVAILABLE && selectedPoolOrderId === item.id}
-                            canClaim={Boolean(user?.is_verified && !financials?.balanceBlocked)}
+                            canClaim={Boolean(user?.is_verified && !financials?.balanceBlocked && !poolPaused)}
                             actionLoading={actionLoading}
                             onClaim={handleClaim}
                             onStart={handleStart}
@@ -1160,6 +1367,7 @@ const DashboardContent = ({ navigation }) => {
                             onRefuse={handleOpenRefuse}
                             onOpen={handleOpenOrderSheet}
                             getAreaLabel={getAreaLabel}
+                            priceInsightGroups={priceInsightGroups}
                         />
                     )}
                     ListFooterComponent={
@@ -1185,7 +1393,7 @@ const DashboardContent = ({ navigation }) => {
                             </View>
                         ) : <View style={{ height: 24 }} />
                     }
-                    ListEmptyComponent={
+                    ListEmptyComponent={isAgendaMode || (poolPaused && orderSection === ORDER_SECTIONS.AVAILABLE) ? null : (
                         <View style={styles.center}>
                             <Inbox size={48} color={theme.textMuted} />
                             <Text style={{ color: theme.textMuted, marginTop: 10 }}>
@@ -1194,7 +1402,7 @@ const DashboardContent = ({ navigation }) => {
                                     : safeT('emptyJobsTitle', 'No active jobs')}
                             </Text>
                         </View>
-                    }
+                    )}
                 />
             )}
 
@@ -1260,6 +1468,26 @@ const DashboardContent = ({ navigation }) => {
                                                 <ChevronDown size={18} color={theme.textMuted} />
                                             </TouchableOpacity>
                                         </View>
+                                        {activeSheetOrder.sync_conflict ? (
+                                            <View style={[styles.syncNotice, { borderTopColor: theme.borderLight }]}>
+                                                <AlertCircle size={14} color={theme.accentDanger} />
+                                                <Text style={[styles.syncNoticeText, { color: theme.textSecondary }]}>
+                                                    {activeSheetOrder.sync_conflict === OUTBOX_CONFLICTS.REASSIGNED
+                                                        ? safeT('syncConflictReassigned', 'Your offline change was not applied: the order was reassigned.')
+                                                        : safeT('syncConflictStatus', 'Your offline change was not applied: the order was updated on the server.')}
+                                                </Text>
+                                                <TouchableOpacity onPress={() => offlineOutbox.discardOrder(activeSheetOrder.id)}>
+                                                    <Text style={[styles.syncNoticeAction, { color: theme.accentDanger }]}>{safeT('actionDismiss', 'Dismiss')}</Text>
+                                                </TouchableOpacity>
+                                            </View>
+                                        ) : activeSheetOrder.pending_sync ? (
+                                            <View style={[styles.syncNotice, { borderTopColor: theme.borderLight }]}>
+                                                <CloudOff size={14} color={theme.accentWarning} />
+                                                <Text style={[styles.syncNoticeText, { color: theme.textSecondary }]}>
+                                                    {safeT('syncPendingSheet', 'Saved on this device. Will sync when the connection is back.')}
+                                                </Text>
+                                            </View>
+                                        ) : null}
                                     </View>
                                     <View style={[styles.claimDetails, { backgroundColor: 'transparent', borderColor: 'transparent' }]}>
                                         <View style={styles.sheetHeroRow}>
@@ -1416,11 +1644,25 @@ const DashboardContent = ({ navigation }) => {
                                             </View>
                                         )}
                                     </View>
+                                    {activeSheetOrder.status === ORDER_STATUS.STARTED && activeSheetOrder.pending_sync !== OUTBOX_ACTIONS.REFUSE && (
+                                        <JobTimerCard
+                                            segments={jobTimer.getSegments(activeSheetOrder.id)}
+                                            onPause={() => jobTimer.pause(activeSheetOrder)}
+                                            onResume={() => jobTimer.resume(activeSheetOrder)}
+                                            safeT={safeT}
+                                        />
+                                    )}
+                                    <OrderTimeline
+                                        orderId={activeSheetOrder.id}
+                                        isDark={isDark}
+                                        title={safeT('timelineTitle', 'History')}
+                                        refreshKey={activeSheetOrder.status}
+                                    />
                                     </ScrollView>
                                 </View>
                                 <View style={[styles.sheetFooter, { backgroundColor: theme.bgSecondary, borderTopColor: theme.borderPrimary, paddingBottom: sheetBottomInset }]}>
                                     <View style={styles.sheetFooterActions}>
-                                        {activeSheetOrder.status === ORDER_STATUS.CLAIMED && (
+                                        {activeSheetOrder.status === ORDER_STATUS.CLAIMED && activeSheetOrder.pending_sync !== OUTBOX_ACTIONS.REFUSE && (
                                             <TouchableOpacity
                                                 style={[styles.primarySheetButton, { backgroundColor: theme.accentIndigo, shadowColor: theme.accentIndigo, shadowOpacity: 0.35 }]}
                                                 disabled={actionLoading}
@@ -1433,7 +1675,7 @@ const DashboardContent = ({ navigation }) => {
                                                 )}
                                             </TouchableOpacity>
                                         )}
-                                        {activeSheetOrder.status === ORDER_STATUS.STARTED && (
+                                        {activeSheetOrder.status === ORDER_STATUS.STARTED && activeSheetOrder.pending_sync !== OUTBOX_ACTIONS.REFUSE && (
                                             <>
                                                 <TouchableOpacity
                                                     style={[styles.secondarySheetButton, { borderColor: theme.accentDanger, backgroundColor: `${theme.accentDanger}12`, shadowColor: theme.accentDanger, shadowOpacity: 0.25 }]}
@@ -1486,19 +1728,87 @@ const DashboardContent = ({ navigation }) => {
                     <View style={styles.modalOverlay}>
                         <View style={[styles.modalContent, { backgroundColor: theme.bgSecondary }]}>
                             <Text style={[styles.modalTitle, { color: theme.textPrimary }]}>{t('modalCompleteTitle')}</Text>
-                            <TextInput style={[styles.modalInput, { backgroundColor: theme.bgCard, color: theme.textPrimary, borderColor: theme.borderPrimary }]} placeholder={t('modalFinalPrice')} placeholderTextColor={theme.textMuted} keyboardType="numeric" value={completeData.finalPrice || ''} onChangeText={text => setCompleteData({ ...completeData, finalPrice: sanitizeNumberInput(text) })} />
+                            <ScrollView style={{ maxHeight: 460 }} keyboardShouldPersistTaps="handled">
+                            <LineItemsEditor
+                                items={completeData.lineItems || []}
+                                onChange={(lineItems) => setCompleteData((prev) => ({ ...prev, lineItems }))}
+                                isDark={isDark}
+                                disabled={actionLoading}
+                            />
+                            {(completeData.lineItems || []).length > 0 ? (
+                                <View style={[styles.modalInput, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                                    <Text style={{ color: theme.textPrimary }}>
+                                        {`${t('modalFinalPrice')}: ${sumLineItems((completeData.lineItems || []).map((item) => ({ amount: getLineAmount(item) })))}`}
+                                    </Text>
+                                </View>
+                            ) : (
+                                <TextInput style={[styles.modalInput, { backgroundColor: theme.bgCard, color: theme.textPrimary, borderColor: theme.borderPrimary }]} placeholder={t('modalFinalPrice')} placeholderTextColor={theme.textMuted} keyboardType="numeric" value={completeData.finalPrice || ''} onChangeText={text => setCompleteData({ ...completeData, finalPrice: sanitizeNumberInput(text) })} />
+                            )}
+                            {(() => {
+                                const initialPrice = Number(modalState.order.initial_price);
+                                const enteredPrice = (completeData.lineItems || []).length > 0
+                                    ? sumLineItems((completeData.lineItems || []).map((item) => ({ amount: getLineAmount(item) })))
+                                    : parseFloat(completeData.finalPrice);
+                                if (!(initialPrice > 0) || !Number.isFinite(enteredPrice) || enteredPrice === initialPrice) return null;
+                                return (
+                                    <TextInput style={[styles.modalInput, { backgroundColor: theme.bgCard, color: theme.textPrimary, borderColor: theme.borderPrimary }]} placeholder={safeT('modalPriceChangeReason', 'Why does the price differ from the agreed one?')} placeholderTextColor={theme.textMuted} multiline numberOfLines={2} value={completeData.priceChangeReason || ''} onChangeText={text => setCompleteData({ ...completeData, priceChangeReason: text })} />
+                                );
+                            })()}
                             <TextInput style={[styles.modalInput, { backgroundColor: theme.bgCard, color: theme.textPrimary, borderColor: theme.borderPrimary }]} placeholder={t('modalWorkPerformed')} placeholderTextColor={theme.textMuted} multiline numberOfLines={3} value={completeData.workPerformed || ''} onChangeText={text => setCompleteData({ ...completeData, workPerformed: text })} />
                             <TextInput style={[styles.modalInput, { backgroundColor: theme.bgCard, color: theme.textPrimary, borderColor: theme.borderPrimary }]} placeholder={t('modalHoursWorked')} placeholderTextColor={theme.textMuted} keyboardType="numeric" value={completeData.hoursWorked || ''} onChangeText={text => setCompleteData({ ...completeData, hoursWorked: sanitizeNumberInput(text) })} />
+                            {jobTimer.getSegments(modalState.order.id).length > 0 && (
+                                <Text style={{ color: theme.textMuted, fontSize: 12, marginTop: -6, marginBottom: 10 }}>
+                                    {safeT('jobTimerCompletionHint', 'Job timer: {0} h in {1} periods, saved with the order')
+                                        .replace('{0}', String(jobTimer.getCompletion(modalState.order.id).hoursWorked))
+                                        .replace('{1}', String(jobTimer.getSegments(modalState.order.id).length))}
+                                </Text>
+                            )}
+                            <PhotoAttachmentPicker
+                                label={safeT('labelPhotosBefore', 'Photos before')}
+                                photos={completeData.photosBefore || []}
+                                onChange={(photos) => setCompleteData((prev) => ({ ...prev, photosBefore: photos }))}
+                                onError={(message) => showToast?.(message, 'error')}
+                                isDark={isDark}
+                                disabled={actionLoading}
+                            />
+                            <PhotoAttachmentPicker
+                                label={safeT('labelPhotosAfter', 'Photos after')}
+                                photos={completeData.photosAfter || []}
+                                onChange={(photos) => setCompleteData((prev) => ({ ...prev, photosAfter: photos }))}
+                                onError={(message) => showToast?.(message, 'error')}
+                                isDark={isDark}
+                                disabled={actionLoading}
+                            />
+                            </ScrollView>
                             <View style={styles.modalActions}>
                                 <TouchableOpacity style={[styles.modalButton, { backgroundColor: theme.borderSecondary }]} onPress={() => { setModalState({ type: null, order: null }); setCompleteData({}); }}><Text style={[styles.modalButtonText, { color: theme.textSecondary }]}>{t('actionBack')}</Text></TouchableOpacity>
                                 <TouchableOpacity style={[styles.modalButton, { backgroundColor: theme.accentSuccess, flex: 1 }]} onPress={() => {
-                                    const parsedFinal = parseFloat(completeData.finalPrice);
                                     const calloutFee = modalState.order.callout_fee;
+                                    let parsedFinal = parseFloat(completeData.finalPrice);
+                                    let lineItems;
+                                    if ((completeData.lineItems || []).length > 0) {
+                                        const check = validateLineItems(completeData.lineItems, { calloutFee });
+                                        if (check.error === LINE_ITEM_ERRORS.BELOW_CALLOUT) {
+                                            showToast?.(t('errorFinalBelowCallout') || 'Final price cannot be lower than call-out fee', 'error');
+                                            return;
+                                        }
+                                        if (!check.valid) {
+                                            showToast?.(safeT('errorLineItemInvalid', 'Each line needs a description and a price'), 'error');
+                                            return;
+                                        }
+                                        parsedFinal = check.total;
+                                        lineItems = check.items;
+                                    }
                                     if (calloutFee !== null && calloutFee !== undefined && !isNaN(parsedFinal) && parsedFinal < calloutFee) {
                                         showToast?.(t('errorFinalBelowCallout') || 'Final price cannot be lower than call-out fee', 'error');
                                         return;
                                     }
-                                    handleAction(ordersService.completeJob, modalState.order.id, user.id, { finalPrice: parsedFinal, workPerformed: completeData.workPerformed, hoursWorked: parseFloat(completeData.hoursWorked) || null });
+                                    const { segments: workSegments } = jobTimer.getCompletion(modalState.order.id);
+                                    handleCompleteJob(
+                                        modalState.order.id,
+                                        { finalPrice: parsedFinal, lineItems, workPerformed: completeData.workPerformed, hoursWorked: parseFloat(completeData.hoursWorked) || null, priceChangeReason: completeData.priceChangeReason?.trim() || null, workSegments },
+                                        { before: completeData.photosBefore, after: completeData.photosAfter },
+                                    );
                                     setCompleteData({});
                                 }}><Text style={styles.modalButtonText}>{t('actionSubmit')}</Text></TouchableOpacity>
                             </View>
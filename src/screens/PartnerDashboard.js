@@ -1,7 +1,12 @@
 import React from 'react';
 import DispatcherDashboard from './DispatcherDashboard';
 
+/**
+ * Partner Dashboard
+ * Partners share the order queue and order creation with dispatchers, but get their own
+ * tabs (PARTNER_TABS): an overview with the referred-order funnel, service conversion,
+ * commission per order and forecast, and an earnings tab with the payout request lifecycle.
+ */
 export default function PartnerDashboard(props) {
-  return <DispatcherDashboard {...props} />;
+  return <DispatcherDashboard {...props} variant="partner" />;
 }
-
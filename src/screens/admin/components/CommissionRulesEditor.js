@@ -0,0 +1,214 @@
+import React, { useMemo, useState } from 'react';
+import { Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+    COMMISSION_TIERS,
+    buildCommissionConfig,
+    estimateOrderCommission,
+    fromCommissionRulesForm,
+} from '../../../utils/commissionRules';
+
+const URGENCY_OPTIONS = ['emergency', 'urgent', 'planned'];
+const URGENCY_LABEL_KEYS = { emergency: 'urgencyEmergency', urgent: 'urgencyUrgent', planned: 'urgencyPlanned' };
+const TIER_LABEL_KEYS = { standard: 'commissionTierStandard', silver: 'commissionTierSilver', gold: 'commissionTierGold' };
+const EMPTY_RULE_ROW = {
+    id: '',
+    service_type: '',
+    area: '',
+    urgency: '',
+    tier: '',
+    min_monthly_orders: '',
+    rate: '',
+};
+const EMPTY_PREVIEW = {
+    service_type: '',
+    area: '',
+    urgency: 'planned',
+    tier: 'standard',
+    monthlyOrders: '',
+    price: '',
+    calloutFee: '',
+};
+
+/**
+ * Commission Rules Editor
+ * Rules block of the admin settings: rule rows (service type, district, urgency, tier,
+ * monthly volume -> rate) and a preview of the rate an order would get. In edit mode it
+ * works on tempSettings.commission_rules_form and previews the unsaved rules.
+ */
+export default function CommissionRulesEditor(props) {
+    const {
+        styles,
+        isDark,
+        TRANSLATIONS,
+        isEditing,
+        settings,
+        tempSettings,
+        setTempSettings,
+    } = props;
+    const [preview, setPreview] = useState(EMPTY_PREVIEW);
+
+    const rows = tempSettings.commission_rules_form || [];
+    const config = useMemo(() => (isEditing
+        ? buildCommissionConfig({
+            commission_rate: (parseFloat(tempSettings.commission_rate) || 0) / 100,
+            commission_rules: fromCommissionRulesForm(tempSettings.commission_rules_form),
+            commission_exempt_base_fee: settings.commission_exempt_base_fee,
+        })
+        : buildCommissionConfig(settings)
+    ), [isEditing, settings, tempSettings.commission_rate, tempSettings.commission_rules_form]);
+
+    const previewResult = useMemo(() => estimateOrderCommission({
+        service_type: preview.service_type,
+        area: preview.area,
+        urgency: preview.urgency,
+        final_price: preview.price,
+        callout_fee: preview.calloutFee,
+    }, {
+        master: { commission_tier: preview.tier },
+        monthlyOrders: Number(preview.monthlyOrders) || 0,
+    }, config), [config, preview]);
+
+    const updateRow = (index, field, value) => setTempSettings({
+        ...tempSettings,
+        commission_rules_form: rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)),
+    });
+    const addRow = () => setTempSettings({
+        ...tempSettings,
+        commission_rules_form: [...rows, { ...EMPTY_RULE_ROW }],
+    });
+    const removeRow = (index) => setTempSettings({
+        ...tempSettings,
+        commission_rules_form: rows.filter((_, i) => i !== index),
+    });
+
+    const anyLabel = TRANSLATIONS.commissionRuleAny || 'Any';
+    const formatPercent = (rate) => `${Math.round(rate * 1000) / 10}%`;
+    const getUrgencyLabel = (urgency) => TRANSLATIONS[URGENCY_LABEL_KEYS[urgency]] || urgency;
+    const getTierLabel = (tier) => TRANSLATIONS[TIER_LABEL_KEYS[tier]] || tier;
+    const describeRule = (rule) => [
+        rule.service_type || anyLabel,
+        rule.area || anyLabel,
+        rule.urgency ? getUrgencyLabel(rule.urgency) : anyLabel,
+        rule.tier ? getTierLabel(rule.tier) : anyLabel,
+        rule.min_monthly_orders
+            ? (TRANSLATIONS.commissionRuleMinOrdersShort || '{0}+ orders/mo').replace('{0}', rule.min_monthly_orders)
+            : null,
+    ].filter(Boolean).join(' · ');
+    const sourceLabel = {
+        override: TRANSLATIONS.commissionSourceOverride || 'Master override',
+        rule: TRANSLATIONS.commissionSourceRule || 'Rule',
+        default: TRANSLATIONS.commissionSourceDefault || 'Default rate',
+    }[previewResult.source];
+
+    const renderOptionChips = (options, value, onSelect, getLabel, allowEmpty = true) => (
+        <View style={styles.commissionRulesChips}>
+            {(allowEmpty ? ['', ...options] : options).map(option => {
+                const active = value === option;
+                return (
+                    <TouchableOpacity
+                        key={option || 'any'}
+                        onPress={() => onSelect(option)}
+                        style={[styles.peopleMetaChip, !isDark && styles.peopleMetaChipLight, active && { borderColor: '#3b82f6' }]}
+                    >
+                        <Text style={[styles.peopleMetaChipText, !isDark && styles.peopleMetaChipTextLight, active && { color: '#3b82f6' }]}>
+                            {option ? getLabel(option) : anyLabel}
+                        </Text>
+                    </TouchableOpacity>
+                );
+            })}
+        </View>
+    );
+
+    const renderTextField = (label, value, onChange, { placeholder = anyLabel, numeric = false } = {}) => (
+        <View style={styles.commissionRulesField}>
+            <Text style={styles.slaRulesHeadCell}>{label}</Text>
+            <TextInput
+                style={[styles.settingsInput, styles.slaRulesInput, !isDark && styles.settingsInputLight]}
+                keyboardType={numeric ? 'numeric' : 'default'}
+                autoCapitalize="none"
+                value={value}
+                onChangeText={onChange}
+                placeholder={placeholder}
+                placeholderTextColor="#64748b"
+            />
+        </View>
+    );
+
+    return (
+        <View style={styles.slaRulesBlock}>
+            <Text style={[styles.settingsFieldLabel, !isDark && styles.textDark]}>{TRANSLATIONS.commissionRulesTitle || 'Commission Rules'}</Text>
+            <Text style={styles.settingsFieldHint}>
+                {TRANSLATIONS.commissionRulesHint || 'The most specific matching rule wins; orders without a match use the commission rate. Master overrides take priority.'}
+            </Text>
+
+            {isEditing ? (
+                <>
+                    {rows.map((row, index) => (
+                        <View key={row.id || `new-${index}`} style={[styles.commissionRulesCard, !isDark && styles.commissionRulesCardLight]}>
+                            <View style={styles.commissionRulesFields}>
+                                {renderTextField(TRANSLATIONS.commissionRuleService || 'Service type', row.service_type, v => updateRow(index, 'service_type', v))}
+                                {renderTextField(TRANSLATIONS.commissionRuleDistrict || 'District', row.area, v => updateRow(index, 'area', v))}
+                                {renderTextField(TRANSLATIONS.commissionRuleMinOrders || 'Min. orders / month', row.min_monthly_orders, v => updateRow(index, 'min_monthly_orders', v.replace(/\D/g, '')), { placeholder: '0', numeric: true })}
+                                {renderTextField(TRANSLATIONS.commissionRuleRate || 'Rate (%)', row.rate, v => updateRow(index, 'rate', v), { placeholder: '0', numeric: true })}
+                            </View>
+                            {renderOptionChips(URGENCY_OPTIONS, row.urgency, v => updateRow(index, 'urgency', v), getUrgencyLabel)}
+                            {renderOptionChips(COMMISSION_TIERS, row.tier, v => updateRow(index, 'tier', v), getTierLabel)}
+                            <TouchableOpacity onPress={() => removeRow(index)} style={styles.commissionRulesRemove}>
+                                <Ionicons name="trash-outline" size={14} color="#ef4444" />
+                                <Text style={{ color: '#ef4444', fontSize: 12, fontWeight: '600' }}>{TRANSLATIONS.commissionRuleRemove || 'Remove rule'}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ))}
+                    <TouchableOpacity
+                        onPress={addRow}
+                        style={[styles.settingsBtn, styles.settingsBtnOutline, !isDark && styles.settingsBtnOutlineLight, { alignSelf: 'flex-start', marginBottom: 12 }]}
+                    >
+                        <Ionicons name="add" size={16} color="#3b82f6" />
+                        <Text style={[styles.settingsBtnText, { color: '#3b82f6' }]}>{TRANSLATIONS.commissionRuleAdd || 'Add rule'}</Text>
+                    </TouchableOpacity>
+                </>
+            ) : config.rules.length ? (
+                config.rules.map(rule => (
+                    <View key={rule.id} style={styles.slaRulesRow}>
+                        <Text style={[styles.slaRulesStatusCell, styles.slaRulesWideCell, !isDark && styles.textDark]} numberOfLines={2}>
+                            {describeRule(rule)}
+                        </Text>
+                        <Text style={[styles.slaRulesValue, !isDark && styles.textDark]}>{formatPercent(rule.rate)}</Text>
+                    </View>
+                ))
+            ) : (
+                <Text style={[styles.settingsFieldHint, { marginBottom: 12 }]}>
+                    {TRANSLATIONS.commissionRulesEmpty || 'No rules yet. Every order uses the commission rate.'}
+                </Text>
+            )}
+
+            {/* Preview */}
+            <View style={[styles.commissionRulesCard, !isDark && styles.commissionRulesCardLight]}>
+                <Text style={[styles.settingsFieldLabel, !isDark && styles.textDark]}>{TRANSLATIONS.commissionPreviewTitle || 'Preview'}</Text>
+                <View style={styles.commissionRulesFields}>
+                    {renderTextField(TRANSLATIONS.commissionRuleService || 'Service type', preview.service_type, v => setPreview(prev => ({ ...prev, service_type: v })), { placeholder: '-' })}
+                    {renderTextField(TRANSLATIONS.commissionRuleDistrict || 'District', preview.area, v => setPreview(prev => ({ ...prev, area: v })), { placeholder: '-' })}
+                    {renderTextField(TRANSLATIONS.commissionMonthlyOrders || 'Orders this month', preview.monthlyOrders, v => setPreview(prev => ({ ...prev, monthlyOrders: v.replace(/\D/g, '') })), { placeholder: '0', numeric: true })}
+                    {renderTextField(TRANSLATIONS.commissionPreviewPrice || 'Order price', preview.price, v => setPreview(prev => ({ ...prev, price: v })), { placeholder: '0', numeric: true })}
+                    {config.exemptBaseFee && renderTextField(TRANSLATIONS.commissionPreviewCallout || 'Call-out fee', preview.calloutFee, v => setPreview(prev => ({ ...prev, calloutFee: v })), { placeholder: '0', numeric: true })}
+                </View>
+                {renderOptionChips(URGENCY_OPTIONS, preview.urgency, v => setPreview(prev => ({ ...prev, urgency: v })), getUrgencyLabel, false)}
+                {renderOptionChips(COMMISSION_TIERS, preview.tier, v => setPreview(prev => ({ ...prev, tier: v })), getTierLabel, false)}
+                <Text style={[styles.slaRulesValue, !isDark && styles.textDark]}>
+                    {formatPercent(previewResult.rate)}
+                    <Text style={styles.settingsFieldUnit}>
+                        {' '}{sourceLabel}{previewResult.ruleId ? ` (${describeRule(config.rules.find(r => r.id === previewResult.ruleId) || {})})` : ''}
+                    </Text>
+                </Text>
+                {previewResult.base > 0 && (
+                    <Text style={styles.settingsFieldHint}>
+                        {(TRANSLATIONS.commissionPreviewAmount || 'Commission: {0} {1}')
+                            .replace('{0}', previewResult.amount)
+                            .replace('{1}', TRANSLATIONS.currencySom || TRANSLATIONS.currency || 'som')}
+                    </Text>
+                )}
+            </View>
+        </View>
+    );
+}
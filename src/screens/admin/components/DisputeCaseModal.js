@@ -0,0 +1,319 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Modal, ScrollView, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import OrderLineItems from '../../../components/shared/OrderLineItems';
+import OrderPhotoGallery from '../../../components/shared/OrderPhotoGallery';
+import PhotoAttachmentPicker from '../../../components/shared/PhotoAttachmentPicker';
+import { applyLineAdjustments, sumLineItems } from '../../../utils/lineItems';
+import { formatCaseAge, getDisputeSla } from '../../../utils/disputeCases';
+import { summarizeWorkSegments } from '../../../utils/jobTimer';
+
+const formatSegmentTime = (value) => (value
+    ? new Date(value).toLocaleString([], { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
+    : '…');
+
+const EMPTY_OUTCOME = {
+    finalPrice: '',
+    lineAdjustments: {},
+    penaltyAmount: '',
+    refundAmount: '',
+    notes: '',
+};
+
+/**
+ * Dispute Case Modal
+ * Admin case view: SLA, assignment, outcome (price / penalty / refund), evidence photos
+ * and the message thread. State and actions come from useAdminDisputeCase.
+ */
+export default function DisputeCaseModal(props) {
+    const {
+        styles,
+        isDark,
+        TRANSLATIONS,
+        caseState,
+        adminUsers = [],
+        currentAdmin,
+        getDisputeStatusLabel,
+        formatOrderRefLabel,
+        onOpenOrder,
+        sanitizeNumberInput,
+    } = props;
+    const {
+        caseDispute,
+        caseMessages,
+        caseMessagesLoading,
+        caseBusy,
+        evidenceReloadKey,
+        closeCase,
+        assignCase,
+        rejectCase,
+        resolveCase,
+        sendCaseMessage,
+        uploadCaseEvidence,
+    } = caseState;
+    const [outcome, setOutcome] = useState(EMPTY_OUTCOME);
+    const [messageDraft, setMessageDraft] = useState('');
+    const [pendingEvidence, setPendingEvidence] = useState([]);
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        setOutcome(EMPTY_OUTCOME);
+        setMessageDraft('');
+        setPendingEvidence([]);
+        setNow(Date.now());
+    }, [caseDispute?.id]);
+
+    if (!caseDispute) return null;
+
+    const order = caseDispute.order || {};
+    const orderId = order.id || caseDispute.order_id;
+    const sla = getDisputeSla(caseDispute, now);
+    const workTime = summarizeWorkSegments(order.work_segments, now);
+    const slaColor = !sla ? '#64748b' : sla.breached ? '#ef4444' : sla.remainingMinutes < 60 ? '#f59e0b' : '#22c55e';
+    const labelStyle = [styles.inputLabel, !isDark && styles.textSecondary];
+    const inputStyle = [styles.input, !isDark && styles.inputLight];
+    const subtitleStyle = [styles.itemSubtitle, !isDark && styles.textSecondary];
+    const sectionTitleStyle = [styles.formSectionTitle, !isDark && styles.textDark, { marginTop: 16 }];
+    const assignees = [
+        ...(currentAdmin?.id ? [currentAdmin] : []),
+        ...adminUsers.filter((admin) => admin?.id && admin.id !== currentAdmin?.id),
+    ];
+
+    const updateLineAdjustment = (lineId, value) => setOutcome((prev) => {
+        const lineAdjustments = { ...prev.lineAdjustments, [lineId]: value };
+        if (value === '') delete lineAdjustments[lineId];
+        const adjustedTotal = sumLineItems(applyLineAdjustments(order.line_items, lineAdjustments));
+        return {
+            ...prev,
+            lineAdjustments,
+            finalPrice: adjustedTotal > 0 ? String(adjustedTotal) : prev.finalPrice,
+        };
+    });
+
+    const handleResolve = () => resolveCase({
+        finalPrice: outcome.finalPrice,
+        lineAdjustments: Object.keys(outcome.lineAdjustments).length ? outcome.lineAdjustments : null,
+        penaltyAmount: outcome.penaltyAmount,
+        refundAmount: outcome.refundAmount,
+        notes: outcome.notes,
+    });
+
+    const handleSend = async () => {
+        const sent = await sendCaseMessage(messageDraft);
+        if (sent) setMessageDraft('');
+    };
+
+    const handleUpload = async () => {
+        const uploaded = await uploadCaseEvidence(pendingEvidence);
+        if (uploaded) setPendingEvidence([]);
+    };
+
+    const renderAmountInput = (key, label, { editable = true } = {}) => (
+        <View style={{ flex: 1 }}>
+            <Text style={labelStyle}>{label}</Text>
+            <TextInput
+                style={[inputStyle, !editable && { opacity: 0.5 }]}
+                value={outcome[key]}
+                editable={editable && !caseBusy}
+                onChangeText={(value) => setOutcome((prev) => ({ ...prev, [key]: sanitizeNumberInput(value) }))}
+                keyboardType="numeric"
+                placeholder="0"
+                placeholderTextColor="#64748b"
+            />
+        </View>
+    );
+
+    return (
+        <Modal visible transparent animationType="fade" onRequestClose={closeCase}>
+            <View style={styles.modalOverlay}>
+                <View style={[styles.modalContent, !isDark && styles.modalContentLight, { width: 560, maxHeight: '90%' }]}>
+                    <View style={styles.peopleRow}>
+                        <Text style={[styles.modalTitle, !isDark && styles.modalTitleLight, { flex: 1, marginBottom: 4 }]}>
+                            {formatOrderRefLabel(TRANSLATIONS.modalOrderPrefix || 'Order #{0}', orderId)}
+                        </Text>
+                        <View style={[styles.statusBadge, { backgroundColor: caseDispute.status === 'in_review' ? '#f59e0b' : '#ef4444' }]}>
+                            <Text style={styles.statusText}>{getDisputeStatusLabel(caseDispute.status)}</Text>
+                        </View>
+                    </View>
+                    {sla && (
+                        <Text style={[styles.modalSubtitle, { color: slaColor }]}>
+                            {(TRANSLATIONS.disputeCaseAge || 'Age: {0} · SLA {1}: {2}')
+                                .replace('{0}', formatCaseAge(sla.ageMinutes))
+                                .replace('{1}', sla.stage === 'response'
+                                    ? (TRANSLATIONS.disputeSlaResponse || 'response')
+                                    : (TRANSLATIONS.disputeSlaResolution || 'resolution'))
+                                .replace('{2}', sla.breached
+                                    ? (TRANSLATIONS.disputeSlaBreached || 'overdue by {0}').replace('{0}', formatCaseAge(-sla.remainingMinutes))
+                                    : (TRANSLATIONS.disputeSlaLeft || '{0} left').replace('{0}', formatCaseAge(sla.remainingMinutes)))}
+                        </Text>
+                    )}
+
+                    <ScrollView style={{ flexGrow: 0 }} keyboardShouldPersistTaps="handled">
+                        <Text style={subtitleStyle}>{caseDispute.reason || '-'}</Text>
+                        <Text style={subtitleStyle}>
+                            {TRANSLATIONS.masterRole || 'Master'}: {caseDispute.master?.full_name || '-'}
+                            {` · ${TRANSLATIONS.dispatcherRole || 'Reported by'}: ${caseDispute.dispatcher?.full_name || caseDispute.client?.full_name || '-'}`}
+                        </Text>
+
+                        <Text style={sectionTitleStyle}>{TRANSLATIONS.disputeAssignee || 'Assigned admin'}</Text>
+                        <Text style={subtitleStyle}>
+                            {caseDispute.assigned_admin?.full_name || TRANSLATIONS.unassigned || 'Unassigned'}
+                        </Text>
+                        <View style={[styles.peopleMetaRow, { flexWrap: 'wrap', marginTop: 6 }]}>
+                            {assignees.map((admin) => {
+                                const active = admin.id === caseDispute.assigned_admin_id;
+                                return (
+                                    <TouchableOpacity
+                                        key={admin.id}
+                                        style={[styles.peopleMetaChip, !isDark && styles.peopleMetaChipLight, active && { borderColor: '#3b82f6' }]}
+                                        disabled={caseBusy || active}
+                                        onPress={() => assignCase(admin)}
+                                    >
+                                        <Text style={[styles.peopleMetaChipText, !isDark && styles.peopleMetaChipTextLight]}>
+                                            {admin.id === currentAdmin?.id
+                                                ? (TRANSLATIONS.disputeTakeCase || 'Take case')
+                                                : (admin.full_name || admin.phone || admin.email || '-')}
+                                        </Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+
+                        {workTime && (
+                            <>
+                                <Text style={sectionTitleStyle}>{TRANSLATIONS.disputeWorkTime || 'Work time'}</Text>
+                                <Text style={subtitleStyle}>
+                                    {(TRANSLATIONS.disputeWorkTimeSummary || 'Tracked {0}, paused {1} · reported {2} h')
+                                        .replace('{0}', formatCaseAge(workTime.workedMinutes))
+                                        .replace('{1}', formatCaseAge(workTime.pausedMinutes))
+                                        .replace('{2}', String(order.hours_worked ?? '-'))}
+                                </Text>
+                                {workTime.segments.map((segment, index) => (
+                                    <Text key={`${segment.start}-${index}`} style={subtitleStyle}>
+                                        {`${index + 1}. ${formatSegmentTime(segment.start)} – ${formatSegmentTime(segment.end)}`}
+                                    </Text>
+                                ))}
+                            </>
+                        )}
+
+                        <Text style={sectionTitleStyle}>{TRANSLATIONS.disputeOutcome || 'Outcome'}</Text>
+                        <OrderLineItems
+                            items={order.line_items}
+                            finalPrice={order.final_price}
+                            isDark={isDark}
+                            disputedIds={Array.isArray(caseDispute.disputed_line_ids) ? caseDispute.disputed_line_ids : []}
+                            adjustments={outcome.lineAdjustments}
+                            onAdjust={updateLineAdjustment}
+                        />
+                        <Text style={labelStyle}>
+                            {(TRANSLATIONS.disputeFinalPrice || 'Final price (current: {0})').replace('{0}', String(order.final_price ?? '-'))}
+                        </Text>
+                        <TextInput
+                            style={inputStyle}
+                            value={outcome.finalPrice}
+                            editable={!caseBusy}
+                            onChangeText={(value) => setOutcome((prev) => ({ ...prev, finalPrice: sanitizeNumberInput(value) }))}
+                            keyboardType="numeric"
+                            placeholder={String(order.final_price ?? '')}
+                            placeholderTextColor="#64748b"
+                        />
+                        <View style={{ flexDirection: 'row', gap: 12 }}>
+                            {renderAmountInput('penaltyAmount', TRANSLATIONS.disputePenalty || 'Master penalty')}
+                            {renderAmountInput('refundAmount', TRANSLATIONS.disputeRefund || 'Client refund', {
+                                editable: Boolean(order.directory_client_id),
+                            })}
+                        </View>
+                        <TextInput
+                            style={[...inputStyle, styles.textArea]}
+                            value={outcome.notes}
+                            editable={!caseBusy}
+                            onChangeText={(value) => setOutcome((prev) => ({ ...prev, notes: value }))}
+                            multiline
+                            numberOfLines={2}
+                            placeholder={TRANSLATIONS.disputeDecisionNotes || 'Decision notes (required to reject)'}
+                            placeholderTextColor="#64748b"
+                        />
+                        <View style={styles.editActionRow}>
+                            <TouchableOpacity
+                                style={[styles.editActionBtn, styles.editActionSuccess, caseBusy && { opacity: 0.6 }]}
+                                disabled={caseBusy}
+                                onPress={handleResolve}
+                            >
+                                <Text style={styles.editActionText}>{TRANSLATIONS.disputeResolve || 'Resolve'}</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[styles.editActionBtn, styles.editActionDanger, (caseBusy || !outcome.notes.trim()) && { opacity: 0.6 }]}
+                                disabled={caseBusy || !outcome.notes.trim()}
+                                onPress={() => rejectCase(outcome.notes)}
+                            >
+                                <Text style={styles.editActionText}>{TRANSLATIONS.disputeReject || 'Reject'}</Text>
+                            </TouchableOpacity>
+                        </View>
+
+                        <Text style={sectionTitleStyle}>{TRANSLATIONS.disputeEvidence || 'Evidence'}</Text>
+                        <OrderPhotoGallery orderId={orderId} isDark={isDark} reloadKey={evidenceReloadKey} />
+                        <PhotoAttachmentPicker
+                            photos={pendingEvidence}
+                            onChange={setPendingEvidence}
+                            isDark={isDark}
+                            disabled={caseBusy}
+                        />
+                        {pendingEvidence.length > 0 && (
+                            <TouchableOpacity
+                                style={[styles.editActionBtn, styles.editActionPrimary, { marginTop: 8 }, caseBusy && { opacity: 0.6 }]}
+                                disabled={caseBusy}
+                                onPress={handleUpload}
+                            >
+                                <Text style={styles.editActionText}>{TRANSLATIONS.disputeUploadEvidence || 'Upload evidence'}</Text>
+                            </TouchableOpacity>
+                        )}
+
+                        <Text style={sectionTitleStyle}>{TRANSLATIONS.disputeThread || 'Messages'}</Text>
+                        {caseMessagesLoading && <ActivityIndicator size="small" color="#3b82f6" />}
+                        {!caseMessagesLoading && !caseMessages.length && (
+                            <Text style={subtitleStyle}>{TRANSLATIONS.disputeNoMessages || 'No messages yet'}</Text>
+                        )}
+                        {caseMessages.map((message) => (
+                            <View key={message.id} style={{ marginBottom: 8 }}>
+                                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary, { fontWeight: '700' }]}>
+                                    {`${message.author?.full_name || '-'} · ${new Date(message.created_at).toLocaleString()}`}
+                                </Text>
+                                <Text style={[styles.itemSubtitle, !isDark && styles.textDark]}>{message.body}</Text>
+                            </View>
+                        ))}
+                        <TextInput
+                            style={[...inputStyle, styles.textArea, { marginBottom: 8 }]}
+                            value={messageDraft}
+                            onChangeText={setMessageDraft}
+                            multiline
+                            numberOfLines={2}
+                            placeholder={TRANSLATIONS.disputeMessageHint || 'Write a message'}
+                            placeholderTextColor="#64748b"
+                        />
+                        <TouchableOpacity
+                            style={[styles.editActionBtn, styles.editActionPrimary, !messageDraft.trim() && { opacity: 0.6 }]}
+                            disabled={!messageDraft.trim()}
+                            onPress={handleSend}
+                        >
+                            <Text style={styles.editActionText}>{TRANSLATIONS.disputeSendMessage || 'Send'}</Text>
+                        </TouchableOpacity>
+                    </ScrollView>
+
+                    <View style={styles.modalButtons}>
+                        <TouchableOpacity style={styles.modalCancel} onPress={closeCase}>
+                            <Text style={styles.modalCancelText}>{TRANSLATIONS.close || 'Close'}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.modalConfirm, { backgroundColor: '#3b82f6' }]}
+                            onPress={() => {
+                                closeCase();
+                                onOpenOrder?.(caseDispute);
+                            }}
+                        >
+                            <Text style={styles.modalConfirmText}>{TRANSLATIONS.disputeOpenOrder || 'Open order'}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+}
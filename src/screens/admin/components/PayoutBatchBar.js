@@ -0,0 +1,89 @@
+import React from 'react';
+import { ActivityIndicator, Text, TextInput, TouchableOpacity, View } from 'react-native';
+
+/**
+ * Payout Batch Bar
+ * Shown above the requested payouts while batch selection is on: selected count and
+ * total, the batch reference and the approve action. Rows are picked in the list itself.
+ */
+export default function PayoutBatchBar(props) {
+    const {
+        styles,
+        isDark,
+        TRANSLATIONS,
+        batchState,
+        requests,
+        formatMoney,
+    } = props;
+    const {
+        selection,
+        selectAll,
+        clearSelection,
+        validation,
+        reference,
+        setReference,
+        processing,
+        submitBatch,
+    } = batchState;
+    const selectedCount = Object.keys(selection).length;
+    const currency = TRANSLATIONS.currencySom || TRANSLATIONS.currency || 'som';
+
+    return (
+        <View style={[styles.formSection, !isDark && styles.formSectionLight]}>
+            <Text style={[styles.formSectionTitle, !isDark && styles.textDark]}>
+                {TRANSLATIONS.payoutBatchTitle || 'Batch payout'}
+            </Text>
+            <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                {(TRANSLATIONS.payoutBatchSummary || 'Selected: {0} | Total: {1}')
+                    .replace('{0}', String(selectedCount))
+                    .replace('{1}', `${formatMoney(validation.total)} ${currency}`)}
+            </Text>
+            <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
+                <TouchableOpacity
+                    style={[styles.pillBtn, !isDark && styles.pillBtnLight]}
+                    onPress={() => selectAll(requests)}
+                >
+                    <Text style={[styles.pillText, !isDark && styles.pillTextLight]}>
+                        {TRANSLATIONS.selectAll || 'Select all'}
+                    </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    style={[styles.pillBtn, !isDark && styles.pillBtnLight]}
+                    onPress={clearSelection}
+                    disabled={selectedCount === 0}
+                >
+                    <Text style={[styles.pillText, !isDark && styles.pillTextLight]}>
+                        {TRANSLATIONS.clearSelection || 'Clear'}
+                    </Text>
+                </TouchableOpacity>
+            </View>
+            <Text style={styles.inputLabel}>{TRANSLATIONS.payoutBatchReference || 'Batch reference'}</Text>
+            <TextInput
+                style={[styles.input, !isDark && styles.inputLight, { marginBottom: 8 }]}
+                value={reference}
+                onChangeText={setReference}
+                maxLength={64}
+                autoCapitalize="characters"
+                placeholderTextColor="#64748b"
+            />
+            {validation.errors.some((item) => item.requestId) && (
+                <Text style={{ color: '#ef4444', fontSize: 12, marginBottom: 8 }}>
+                    {TRANSLATIONS.payoutBatchInvalid || 'Check the selected payouts and amounts'}
+                </Text>
+            )}
+            <TouchableOpacity
+                style={[styles.actionButton, { marginTop: 0, backgroundColor: '#16a34a', opacity: processing || !validation.valid || !reference.trim() ? 0.6 : 1 }]}
+                onPress={submitBatch}
+                disabled={processing || !validation.valid || !reference.trim()}
+            >
+                {processing ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                    <Text style={styles.actionButtonText}>
+                        {(TRANSLATIONS.payoutBatchApprove || 'Approve {0} payouts').replace('{0}', String(selectedCount))}
+                    </Text>
+                )}
+            </TouchableOpacity>
+        </View>
+    );
+}
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { ActivityIndicator, FlatList, RefreshControl, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { PAYOUT_BATCH_STATUSES } from '../../../utils/payoutBatches';
+
+/**
+ * Payout Batches List
+ * Recent payout batches with their bank files (CSV and fixed-width) and the reversal
+ * form for a batch the bank rejected.
+ */
+export default function PayoutBatchesList(props) {
+    const {
+        styles,
+        isDark,
+        TRANSLATIONS,
+        batchState,
+        formatMoney,
+    } = props;
+    const {
+        batches,
+        batchesLoading,
+        loadBatches,
+        exporting,
+        exportBatch,
+        reversingBatchId,
+        reverseBatch,
+    } = batchState;
+    const [reverseFormId, setReverseFormId] = useState(null);
+    const [reason, setReason] = useState('');
+    const currency = TRANSLATIONS.currencySom || TRANSLATIONS.currency || 'som';
+
+    const renderFileButton = (batch, format, label) => (
+        <TouchableOpacity
+            style={[styles.actionButton, { flex: 1, marginTop: 0, backgroundColor: '#3b82f6', opacity: exporting ? 0.7 : 1 }]}
+            onPress={() => exportBatch(batch, format)}
+            disabled={!!exporting}
+        >
+            {exporting === `${format}:${batch.id}`
+                ? <ActivityIndicator size="small" color="#fff" />
+                : <Text style={styles.actionButtonText}>{label}</Text>}
+        </TouchableOpacity>
+    );
+
+    const renderBatch = ({ item: batch }) => {
+        const isReversed = batch.status === PAYOUT_BATCH_STATUSES.REVERSED;
+        const statusColor = isReversed ? '#ef4444' : '#22c55e';
+        const isFormOpen = reverseFormId === batch.id;
+        return (
+            <View style={[styles.listItemCard, !isDark && styles.listItemCardLight]}>
+                <View style={styles.peopleRow}>
+                    <View style={{ flex: 1 }}>
+                        <Text style={[styles.itemTitle, !isDark && styles.textDark]}>{batch.reference}</Text>
+                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                            {batch.created_at ? new Date(batch.created_at).toLocaleString() : '-'}
+                        </Text>
+                    </View>
+                    <View style={[styles.statusBadge, { backgroundColor: `${statusColor}22` }]}>
+                        <Text style={[styles.statusText, { color: statusColor }]}>
+                            {isReversed
+                                ? (TRANSLATIONS.payoutBatchStatusReversed || 'Reversed')
+                                : (TRANSLATIONS.statusPaid || 'Paid')}
+                        </Text>
+                    </View>
+                </View>
+                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary, { marginTop: 8 }]}>
+                    {(TRANSLATIONS.payoutBatchSummary || 'Selected: {0} | Total: {1}')
+                        .replace('{0}', String(batch.request_count || 0))
+                        .replace('{1}', `${formatMoney(batch.total_amount)} ${currency}`)}
+                </Text>
+                {(batch.items || []).map((item) => (
+                    <Text key={item.request_id} style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                        {item.partner?.full_name || item.partner?.phone || String(item.partner_id || '').slice(0, 6)}
+                        {': '}
+                        {formatMoney(item.amount)} {currency}
+                    </Text>
+                ))}
+                {isReversed && !!batch.reversal_reason && (
+                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                        {(TRANSLATIONS.payoutBatchReversalReason || 'Bank rejection')}: {batch.reversal_reason}
+                        {batch.reversed_at ? ` · ${new Date(batch.reversed_at).toLocaleString()}` : ''}
+                    </Text>
+                )}
+                <View style={{ flexDirection: 'row', gap: 10, marginTop: 8 }}>
+                    {renderFileButton(batch, 'csv', TRANSLATIONS.payoutBatchCsv || 'CSV')}
+                    {renderFileButton(batch, 'fixed', TRANSLATIONS.payoutBatchBankFile || 'Bank file')}
+                    {!isReversed && (
+                        <TouchableOpacity
+                            style={[styles.actionButton, { flex: 1, marginTop: 0, backgroundColor: '#dc2626' }]}
+                            onPress={() => {
+                                setReverseFormId(isFormOpen ? null : batch.id);
+                                setReason('');
+                            }}
+                        >
+                            <Text style={styles.actionButtonText}>{TRANSLATIONS.payoutBatchReverse || 'Reverse'}</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+                {isFormOpen && !isReversed && (
+                    <View style={{ marginTop: 8 }}>
+                        <TextInput
+                            style={[styles.input, styles.textArea, !isDark && styles.inputLight, { marginBottom: 8 }]}
+                            value={reason}
+                            onChangeText={setReason}
+                            multiline
+                            numberOfLines={2}
+                            placeholder={TRANSLATIONS.payoutBatchReasonHint || 'Why did the bank reject the batch?'}
+                            placeholderTextColor="#64748b"
+                        />
+                        <TouchableOpacity
+                            style={[styles.actionButton, { marginTop: 0, backgroundColor: '#dc2626', opacity: reversingBatchId ? 0.7 : 1 }]}
+                            onPress={async () => {
+                                if (await reverseBatch(batch, reason)) setReverseFormId(null);
+                            }}
+                            disabled={!!reversingBatchId}
+                        >
+                            {reversingBatchId === batch.id
+                                ? <ActivityIndicator size="small" color="#fff" />
+                                : <Text style={styles.actionButtonText}>{TRANSLATIONS.payoutBatchReverseConfirm || 'Reverse and credit balances'}</Text>}
+                        </TouchableOpacity>
+                    </View>
+                )}
+            </View>
+        );
+    };
+
+    return (
+        <FlatList
+            data={batches}
+            keyExtractor={(item) => String(item.id)}
+            contentContainerStyle={styles.listContent}
+            renderItem={renderBatch}
+            refreshControl={(
+                <RefreshControl
+                    refreshing={batchesLoading}
+                    onRefresh={loadBatches}
+                    tintColor={isDark ? '#3b82f6' : '#0f172a'}
+                />
+            )}
+            ListEmptyComponent={(
+                <Text style={{ color: '#64748b', textAlign: 'center', marginTop: 20 }}>
+                    {TRANSLATIONS.payoutBatchesEmpty || 'No payout batches yet'}
+                </Text>
+            )}
+        />
+    );
+}
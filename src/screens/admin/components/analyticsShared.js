@@ -4,6 +4,7 @@ import { Ionicons } from '@expo/vector-icons';
 import Svg, { G, Path, Circle, Rect, Line, Text as SvgText } from 'react-native-svg';
 
 import styles from '../styles/dashboardStyles';
+import { calcStats } from '../../../utils/pricingInsights';
 
 const SCREEN_WIDTH = Dimensions.get('window').width;
 const sanitizeNumberInput = (value) => {
@@ -24,52 +25,6 @@ const formatShortDate = (date, locale = 'en-US') => {
 };
 const DAY_MS = 24 * 60 * 60 * 1000;
 
-const percentile = (sortedValues, p) => {
-    if (!sortedValues.length) return 0;
-    const n = sortedValues.length;
-    const index = (p / 100) * (n - 1);
-    const lower = Math.floor(index);
-    const upper = Math.ceil(index);
-    if (lower === upper) return sortedValues[lower];
-    const weight = index - lower;
-    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight;
-};
-
-const calcStats = (values) => {
-    if (!values.length) {
-        return {
-            n: 0,
-            min: 0,
-            max: 0,
-            mean: 0,
-            std: 0,
-            p5: 0,
-            p25: 0,
-            p50: 0,
-            p75: 0,
-            p90: 0,
-            p95: 0,
-            iqr: 0,
-            cv: 0,
-        };
-    }
-    const sorted = [...values].sort((a, b) => a - b);
-    const n = sorted.length;
-    const min = sorted[0];
-    const max = sorted[n - 1];
-    const mean = sorted.reduce((sum, val) => sum + val, 0) / n;
-    const variance = sorted.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / n;
-    const std = Math.sqrt(variance);
-    const p5 = percentile(sorted, 5);
-    const p25 = percentile(sorted, 25);
-    const p50 = percentile(sorted, 50);
-    const p75 = percentile(sorted, 75);
-    const p90 = percentile(sorted, 90);
-    const p95 = percentile(sorted, 95);
-    const iqr = p75 - p25;
-    const cv = mean ? std / mean : 0;
-    return { n, min, max, mean, std, p5, p25, p50, p75, p90, p95, iqr, cv };
-};
 const hoursSince = (dateValue) => {
     if (!dateValue) return null;
     const ts = new Date(dateValue).getTime();
@@ -1,4 +1,4 @@
-export const ADMIN_TAB_KEYS = ['analytics', 'people', 'create_order', 'orders', 'disputes', 'payouts', 'settings'];
+export const ADMIN_TAB_KEYS = ['analytics', 'people', 'clients', 'create_order', 'orders', 'price_review', 'disputes', 'payouts', 'topups', 'reconciliation', 'statements', 'settings'];
 export const DEFAULT_ADMIN_TAB = 'analytics';
 
 export const normalizeAdminTab = (tab) => {
@@ -9,10 +9,15 @@ export const normalizeAdminTab = (tab) => {
 export const buildAdminMenuItems = (translations = {}) => ([
   { key: 'analytics', label: translations.analytics || 'Analytics', icon: 'analytics' },
   { key: 'people', label: translations.team || translations.tabTeam || 'Team', icon: 'people' },
+  { key: 'clients', label: translations.clients || 'Clients', icon: 'people-circle' },
   { key: 'create_order', label: translations.createOrder || 'Create Order', icon: 'add' },
   { key: 'orders', label: translations.ordersQueue || translations.orders || 'Order Queue', icon: 'list' },
+  { key: 'price_review', label: translations.priceReview || 'Price Review', icon: 'pricetags' },
   { key: 'disputes', label: translations.disputes || 'Disputes', icon: 'warning' },
   { key: 'payouts', label: translations.payouts || 'Payouts', icon: 'cash' },
+  { key: 'topups', label: translations.topUpsTab || 'Top-ups', icon: 'wallet' },
+  { key: 'reconciliation', label: translations.reconciliation || 'Reconciliation', icon: 'git-compare' },
+  { key: 'statements', label: translations.statementsMenu || 'Statements', icon: 'document-text' },
   { key: 'settings', label: translations.settings || 'Settings', icon: 'settings' },
 ]);
 
@@ -66,6 +71,7 @@ export const INITIAL_ORDER_STATE = {
   area: '',
   fullAddress: '',
   orientir: '',
+  location: null,
   preferredDate: '',
   preferredTime: '',
   dispatcherNote: '',
@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import clientsService from '../../../services/clients';
+import useDebouncedValue from './useDebouncedValue';
+
+const PAGE_SIZE = 50;
+const DETAILS_ORDER_LIMIT = 20;
+
+/**
+ * Client directory state for the admin Clients tab: debounced search, paging
+ * ("load more") and the expanded client's history (addresses, orders, disputes).
+ */
+export default function useAdminClients({ enabled }) {
+  const [clientSearch, setClientSearch] = useState('');
+  const [clients, setClients] = useState([]);
+  const [clientsTotal, setClientsTotal] = useState(0);
+  const [clientsLoading, setClientsLoading] = useState(false);
+  const [expandedPhone, setExpandedPhone] = useState(null);
+  const [clientDetails, setClientDetails] = useState(null);
+  const [clientDetailsLoading, setClientDetailsLoading] = useState(false);
+  const debouncedSearch = useDebouncedValue(clientSearch);
+  const requestRef = useRef(0);
+  const expandedRef = useRef(null);
+
+  const loadClients = useCallback(async ({ append = false } = {}) => {
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setClientsLoading(true);
+    const result = await clientsService.searchClients({
+      query: debouncedSearch,
+      limit: PAGE_SIZE,
+      offset: append ? clients.length : 0,
+    });
+    if (requestRef.current !== requestId) return;
+    setClients((prev) => (append ? [...prev, ...result.items] : result.items));
+    setClientsTotal(result.total);
+    setClientsLoading(false);
+  }, [clients.length, debouncedSearch]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    loadClients();
+    // Reload on search/tab entry only; paging goes through loadMoreClients.
+  }, [enabled, debouncedSearch]);
+
+  const loadMoreClients = useCallback(() => {
+    if (clientsLoading || clients.length >= clientsTotal) return;
+    loadClients({ append: true });
+  }, [clients.length, clientsLoading, clientsTotal, loadClients]);
+
+  const toggleClient = useCallback(async (phone) => {
+    const nextPhone = !phone || expandedRef.current === phone ? null : phone;
+    expandedRef.current = nextPhone;
+    setExpandedPhone(nextPhone);
+    setClientDetails(null);
+    if (!nextPhone) {
+      setClientDetailsLoading(false);
+      return;
+    }
+    setClientDetailsLoading(true);
+    const result = await clientsService.lookupByPhone(nextPhone, { orderLimit: DETAILS_ORDER_LIMIT });
+    if (expandedRef.current !== nextPhone) return;
+    setClientDetails(result?.success ? result : null);
+    setClientDetailsLoading(false);
+  }, []);
+
+  return {
+    clientSearch,
+    setClientSearch,
+    clients,
+    clientsTotal,
+    clientsLoading,
+    loadClients,
+    loadMoreClients,
+    expandedPhone,
+    clientDetails,
+    clientDetailsLoading,
+    toggleClient,
+  };
+}
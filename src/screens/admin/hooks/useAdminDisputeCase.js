@@ -0,0 +1,128 @@
+import { useCallback, useRef, useState } from 'react';
+import disputesService from '../../../services/disputes';
+import { DISPUTE_STATUSES } from '../../../utils/disputeCases';
+
+/**
+ * Open dispute case for the admin Disputes tab: the selected dispute, its message thread
+ * and the case actions (assign, review, reject, resolve, evidence). `onChanged` reloads
+ * the dispute list after any status change.
+ */
+export default function useAdminDisputeCase({ showToast, TRANSLATIONS = {}, onChanged }) {
+  const [caseDispute, setCaseDispute] = useState(null);
+  const [caseMessages, setCaseMessages] = useState([]);
+  const [caseMessagesLoading, setCaseMessagesLoading] = useState(false);
+  const [caseBusy, setCaseBusy] = useState(false);
+  const [evidenceReloadKey, setEvidenceReloadKey] = useState(0);
+  const caseIdRef = useRef(null);
+
+  const showError = useCallback((result) => {
+    showToast?.(result?.message || TRANSLATIONS.errorGeneric || 'Error', 'error');
+  }, [TRANSLATIONS.errorGeneric, showToast]);
+
+  const loadCaseMessages = useCallback(async (disputeId) => {
+    setCaseMessagesLoading(true);
+    const rows = await disputesService.getMessages(disputeId);
+    if (caseIdRef.current !== disputeId) return;
+    setCaseMessages(rows);
+    setCaseMessagesLoading(false);
+  }, []);
+
+  const openCase = useCallback((dispute) => {
+    if (!dispute?.id) return;
+    caseIdRef.current = dispute.id;
+    setCaseDispute(dispute);
+    setCaseMessages([]);
+    loadCaseMessages(dispute.id);
+  }, [loadCaseMessages]);
+
+  const closeCase = useCallback(() => {
+    caseIdRef.current = null;
+    setCaseDispute(null);
+    setCaseMessages([]);
+    setCaseMessagesLoading(false);
+  }, []);
+
+  const runCaseAction = useCallback(async (action, successMessage, nextDispute) => {
+    if (!caseDispute?.id || caseBusy) return false;
+    setCaseBusy(true);
+    const result = await action();
+    setCaseBusy(false);
+    if (!result?.success) {
+      showError(result);
+      return false;
+    }
+    showToast?.(successMessage, 'success');
+    if (nextDispute) setCaseDispute((prev) => (prev ? { ...prev, ...nextDispute(result) } : prev));
+    loadCaseMessages(caseDispute.id);
+    onChanged?.();
+    return true;
+  }, [caseBusy, caseDispute?.id, loadCaseMessages, onChanged, showError, showToast]);
+
+  const assignCase = useCallback((admin) => runCaseAction(
+    () => disputesService.assignDispute(caseDispute?.id, admin?.id || null),
+    TRANSLATIONS.toastDisputeAssigned || 'Case assigned',
+    (result) => ({
+      status: result.status,
+      assigned_admin_id: result.assignedAdminId,
+      assigned_admin: admin ? { id: admin.id, full_name: admin.full_name } : null,
+    }),
+  ), [TRANSLATIONS.toastDisputeAssigned, caseDispute?.id, runCaseAction]);
+
+  const rejectCase = useCallback(async (notes) => {
+    const done = await runCaseAction(
+      () => disputesService.setDisputeStatus(caseDispute, DISPUTE_STATUSES.REJECTED, notes),
+      TRANSLATIONS.toastDisputeRejected || 'Dispute rejected',
+    );
+    if (done) closeCase();
+    return done;
+  }, [TRANSLATIONS.toastDisputeRejected, caseDispute, closeCase, runCaseAction]);
+
+  const resolveCase = useCallback(async (outcome) => {
+    const done = await runCaseAction(
+      () => disputesService.resolveDispute(caseDispute, caseDispute?.order, outcome),
+      TRANSLATIONS.toastDisputeResolved || 'Dispute resolved',
+    );
+    if (done) closeCase();
+    return done;
+  }, [TRANSLATIONS.toastDisputeResolved, caseDispute, closeCase, runCaseAction]);
+
+  const sendCaseMessage = useCallback(async (body) => {
+    if (!caseDispute?.id) return false;
+    const result = await disputesService.postMessage(caseDispute.id, body);
+    if (!result.success) {
+      showError(result);
+      return false;
+    }
+    setCaseMessages((prev) => [...prev, result.item]);
+    return true;
+  }, [caseDispute?.id, showError]);
+
+  const uploadCaseEvidence = useCallback(async (photos) => {
+    const orderId = caseDispute?.order?.id || caseDispute?.order_id;
+    if (!orderId || !photos?.length) return false;
+    setCaseBusy(true);
+    const result = await disputesService.uploadEvidence(orderId, photos);
+    setCaseBusy(false);
+    if (result.uploaded?.length) setEvidenceReloadKey((prev) => prev + 1);
+    if (!result.success) {
+      showError(result);
+      return false;
+    }
+    return true;
+  }, [caseDispute?.order?.id, caseDispute?.order_id, showError]);
+
+  return {
+    caseDispute,
+    caseMessages,
+    caseMessagesLoading,
+    caseBusy,
+    evidenceReloadKey,
+    openCase,
+    closeCase,
+    assignCase,
+    rejectCase,
+    resolveCase,
+    sendCaseMessage,
+    uploadCaseEvidence,
+  };
+}
@@ -0,0 +1,156 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import partnerFinanceService from '../../../services/partnerFinance';
+import { buildPayoutBatchReference, validatePayoutBatch } from '../../../utils/payoutBatches';
+
+const BATCH_LIST_LIMIT = 50;
+
+/**
+ * Batch payouts for the admin Payouts tab: selection of `requested` payouts with editable
+ * approved amounts, the batch reference, recent batches with their bank files (CSV or
+ * fixed-width) and reversal of a batch the bank rejected.
+ */
+export default function useAdminPayoutBatches({ enabled, showToast, TRANSLATIONS = {}, onProcessed }) {
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selection, setSelection] = useState({});
+  const [reference, setReference] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const [batches, setBatches] = useState([]);
+  const [batchesLoading, setBatchesLoading] = useState(false);
+  const [template, setTemplate] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [reversingBatchId, setReversingBatchId] = useState(null);
+  const requestRef = useRef(0);
+
+  const loadBatches = useCallback(async () => {
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setBatchesLoading(true);
+    const [nextBatches, nextTemplate] = await Promise.all([
+      partnerFinanceService.getPayoutBatches(BATCH_LIST_LIMIT),
+      partnerFinanceService.getPayoutBankTemplate(),
+    ]);
+    if (requestRef.current !== requestId) return;
+    setBatches(nextBatches);
+    setTemplate(nextTemplate);
+    setBatchesLoading(false);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+    loadBatches();
+  }, [enabled, loadBatches]);
+
+  const toggleSelectionMode = useCallback(() => {
+    setSelectionMode((prev) => !prev);
+    setSelection({});
+    setReference(buildPayoutBatchReference());
+  }, []);
+
+  const toggleRequest = useCallback((request) => {
+    if (!request?.id) return;
+    setSelection((prev) => {
+      const next = { ...prev };
+      if (next[request.id]) {
+        delete next[request.id];
+      } else {
+        next[request.id] = { request, amount: String(Number(request.requested_amount || 0)) };
+      }
+      return next;
+    });
+  }, []);
+
+  const setAmount = useCallback((requestId, amount) => {
+    setSelection((prev) => (prev[requestId] ? { ...prev, [requestId]: { ...prev[requestId], amount } } : prev));
+  }, []);
+
+  const selectAll = useCallback((requests = []) => {
+    setSelection(requests
+      .filter((request) => String(request?.status || '').toLowerCase() === 'requested')
+      .reduce((acc, request) => ({
+        ...acc,
+        [request.id]: { request, amount: String(Number(request.requested_amount || 0)) },
+      }), {}));
+  }, []);
+
+  const validation = useMemo(() => validatePayoutBatch(Object.values(selection)), [selection]);
+
+  const submitBatch = useCallback(async () => {
+    if (processing) return false;
+    if (!validation.valid) {
+      showToast?.(TRANSLATIONS.payoutBatchInvalid || 'Check the selected payouts and amounts', 'error');
+      return false;
+    }
+    setProcessing(true);
+    const result = await partnerFinanceService.processPayoutBatch(validation.items, reference.trim());
+    setProcessing(false);
+    if (!result.success) {
+      showToast?.((TRANSLATIONS.toastFailedPrefix || 'Failed: ') + (result.message || TRANSLATIONS.errorGeneric || 'Error'), 'error');
+      return false;
+    }
+    showToast?.(
+      (TRANSLATIONS.payoutBatchPaid || 'Batch {0} paid').replace('{0}', result.batch.reference),
+      'success',
+    );
+    setSelection({});
+    setSelectionMode(false);
+    loadBatches();
+    onProcessed?.();
+    return true;
+  }, [TRANSLATIONS, loadBatches, onProcessed, processing, reference, showToast, validation]);
+
+  const exportBatch = useCallback(async (batch, format) => {
+    if (!batch?.id || exporting) return;
+    setExporting(`${format}:${batch.id}`);
+    const result = await partnerFinanceService.exportPayoutBatchFile(batch, format, template);
+    setExporting(null);
+    if (!result.success) {
+      showToast?.(result.error === 'FIELD_OVERFLOW'
+        ? (TRANSLATIONS.payoutBatchFieldOverflow || 'An amount does not fit the bank file template; widen the amount field')
+        : (TRANSLATIONS.statementExportError || 'Export failed'), 'error');
+    }
+  }, [TRANSLATIONS.payoutBatchFieldOverflow, TRANSLATIONS.statementExportError, exporting, showToast, template]);
+
+  const reverseBatch = useCallback(async (batch, reason) => {
+    if (!batch?.id || reversingBatchId) return false;
+    if (!String(reason || '').trim()) {
+      showToast?.(TRANSLATIONS.payoutBatchReasonRequired || 'Enter the reason the bank rejected the batch', 'error');
+      return false;
+    }
+    setReversingBatchId(batch.id);
+    const result = await partnerFinanceService.reversePayoutBatch(batch.id, String(reason).trim());
+    setReversingBatchId(null);
+    if (!result.success) {
+      showToast?.((TRANSLATIONS.toastFailedPrefix || 'Failed: ') + (result.message || TRANSLATIONS.errorGeneric || 'Error'), 'error');
+      return false;
+    }
+    showToast?.(
+      (TRANSLATIONS.payoutBatchReversed || 'Batch {0} reversed, balances credited back').replace('{0}', batch.reference),
+      'success',
+    );
+    loadBatches();
+    onProcessed?.();
+    return true;
+  }, [TRANSLATIONS, loadBatches, onProcessed, reversingBatchId, showToast]);
+
+  return {
+    selectionMode,
+    toggleSelectionMode,
+    selection,
+    toggleRequest,
+    setAmount,
+    selectAll,
+    clearSelection: () => setSelection({}),
+    validation,
+    reference,
+    setReference,
+    processing,
+    submitBatch,
+    batches,
+    batchesLoading,
+    loadBatches,
+    exporting,
+    exportBatch,
+    reversingBatchId,
+    reverseBatch,
+  };
+}
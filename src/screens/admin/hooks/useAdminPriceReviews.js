@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import ordersService from '../../../services/orders';
+
+const PAGE_SIZE = 50;
+
+/**
+ * Price review queue state for the admin Price Review tab: pending orders, the latest
+ * decisions and the in-flight decision (one order at a time).
+ */
+export default function useAdminPriceReviews({ enabled, showToast, TRANSLATIONS = {} }) {
+  const [reviewItems, setReviewItems] = useState([]);
+  const [reviewTotal, setReviewTotal] = useState(0);
+  const [reviewThreshold, setReviewThreshold] = useState(null);
+  const [recentDecisions, setRecentDecisions] = useState([]);
+  const [reviewsLoading, setReviewsLoading] = useState(false);
+  const [decidingOrderId, setDecidingOrderId] = useState(null);
+  const requestRef = useRef(0);
+
+  const loadPriceReviews = useCallback(async () => {
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setReviewsLoading(true);
+    const result = await ordersService.getPriceReviewQueueAdmin({ limit: PAGE_SIZE });
+    if (requestRef.current !== requestId) return;
+    setReviewItems(result.items);
+    setReviewTotal(result.total);
+    setReviewThreshold(result.threshold ?? null);
+    setRecentDecisions(result.recent);
+    setReviewsLoading(false);
+    if (!result.success) {
+      showToast?.(result.message || TRANSLATIONS.errorGeneric || 'Error', 'error');
+    }
+  }, [TRANSLATIONS.errorGeneric, showToast]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    loadPriceReviews();
+  }, [enabled]);
+
+  const decidePriceReview = useCallback(async (order, { decision, finalPrice, notes } = {}) => {
+    if (!order?.id || decidingOrderId) return false;
+    setDecidingOrderId(order.id);
+    const result = await ordersService.decidePriceReviewAdmin(order, { decision, finalPrice, notes });
+    setDecidingOrderId(null);
+    if (!result.success) {
+      showToast?.(result.message || TRANSLATIONS.errorGeneric || 'Error', 'error');
+      return false;
+    }
+    showToast?.(TRANSLATIONS.toastPriceReviewSaved || 'Price review saved', 'success');
+    setReviewItems((prev) => prev.filter((item) => item.id !== order.id));
+    setReviewTotal((prev) => Math.max(0, prev - 1));
+    loadPriceReviews();
+    return true;
+  }, [TRANSLATIONS.errorGeneric, TRANSLATIONS.toastPriceReviewSaved, decidingOrderId, loadPriceReviews, showToast]);
+
+  return {
+    reviewItems,
+    reviewTotal,
+    reviewThreshold,
+    recentDecisions,
+    reviewsLoading,
+    decidingOrderId,
+    loadPriceReviews,
+    decidePriceReview,
+  };
+}
@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import reconciliationService from '../../../services/reconciliation';
+
+/**
+ * Ledger reconciliation state for the admin Reconciliation tab: the integrity report,
+ * an issue type filter and the account drill-down (ledger replay of one account).
+ */
+export default function useAdminReconciliation({ enabled, showToast, TRANSLATIONS = {} }) {
+  const [report, setReport] = useState(null);
+  const [reportLoading, setReportLoading] = useState(false);
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [drillDown, setDrillDown] = useState(null);
+  const [drillDownLoading, setDrillDownLoading] = useState(false);
+  const requestRef = useRef(0);
+  const drillDownRef = useRef(0);
+
+  const loadReport = useCallback(async () => {
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setReportLoading(true);
+    const result = await reconciliationService.getReconciliationReport();
+    if (requestRef.current !== requestId) return;
+    setReportLoading(false);
+    if (!result.success) {
+      showToast?.(result.message || TRANSLATIONS.errorGeneric || 'Error', 'error');
+      return;
+    }
+    setReport(result);
+  }, [TRANSLATIONS.errorGeneric, showToast]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    loadReport();
+  }, [enabled]);
+
+  const filteredIssues = useMemo(() => {
+    const issues = report?.issues || [];
+    return typeFilter === 'all' ? issues : issues.filter((issue) => issue.type === typeFilter);
+  }, [report, typeFilter]);
+
+  const openAccount = useCallback(async (issue) => {
+    if (!issue?.accountId) return;
+    const requestId = drillDownRef.current + 1;
+    drillDownRef.current = requestId;
+    setDrillDown({ issue, ledger: null });
+    setDrillDownLoading(true);
+    const ledger = await reconciliationService.getAccountLedger(issue.accountType, issue.accountId);
+    if (drillDownRef.current !== requestId) return;
+    setDrillDownLoading(false);
+    if (!ledger.success) {
+      showToast?.(ledger.message || TRANSLATIONS.errorGeneric || 'Error', 'error');
+      setDrillDown(null);
+      return;
+    }
+    setDrillDown({ issue, ledger });
+  }, [TRANSLATIONS.errorGeneric, showToast]);
+
+  const closeAccount = useCallback(() => {
+    drillDownRef.current += 1;
+    setDrillDown(null);
+    setDrillDownLoading(false);
+  }, []);
+
+  return {
+    report,
+    reportLoading,
+    filteredIssues,
+    typeFilter,
+    setTypeFilter,
+    drillDown,
+    drillDownLoading,
+    loadReport,
+    openAccount,
+    closeAccount,
+  };
+}
@@ -0,0 +1,81 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import statementsService from '../../../services/statements';
+import { buildStatementLabels, listRecentPeriods } from '../../../utils/statements';
+
+const STATEMENT_PERIOD_COUNT = 12;
+
+/**
+ * Bulk statements for the admin Statements tab: every master and partner statement of
+ * the selected month, an account type filter and CSV/PDF export of the whole list or one row.
+ */
+export default function useAdminStatements({ enabled, showToast, TRANSLATIONS = {} }) {
+  const periods = useMemo(() => listRecentPeriods(STATEMENT_PERIOD_COUNT), []);
+  const [periodLabel, setPeriodLabel] = useState(periods[0].label);
+  const [statements, setStatements] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [accountFilter, setAccountFilter] = useState('all');
+  const [exporting, setExporting] = useState(null);
+  const requestRef = useRef(0);
+
+  const period = periods.find((item) => item.label === periodLabel) || periods[0];
+  const pdfLabels = useMemo(
+    () => buildStatementLabels((key, fallback) => TRANSLATIONS[key] || fallback),
+    [TRANSLATIONS],
+  );
+
+  const loadStatements = useCallback(async () => {
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setLoading(true);
+    const result = await statementsService.getStatementsBulk(period);
+    if (requestRef.current !== requestId) return;
+    setLoading(false);
+    if (!result.success) {
+      showToast?.(result.message || TRANSLATIONS.errorGeneric || 'Error', 'error');
+      return;
+    }
+    setStatements(result.statements);
+    setTruncated(result.truncated);
+  }, [TRANSLATIONS.errorGeneric, period, showToast]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    loadStatements();
+  }, [enabled, loadStatements]);
+
+  const filteredStatements = useMemo(() => (accountFilter === 'all'
+    ? statements
+    : statements.filter((statement) => statement.account.type === accountFilter)), [accountFilter, statements]);
+
+  const exportStatements = useCallback(async (format, list, key = format) => {
+    if (!list?.length || exporting) return;
+    setExporting(key);
+    const fileName = list.length === 1
+      ? `statement-${list[0].period.label}-${list[0].account.id}.csv`
+      : `statements-${period.label}.csv`;
+    const result = format === 'csv'
+      ? await statementsService.exportCsv(list, fileName)
+      : await statementsService.exportPdf(list, pdfLabels);
+    setExporting(null);
+    if (!result.success) {
+      showToast?.(TRANSLATIONS.statementExportError || 'Export failed', 'error');
+    }
+  }, [TRANSLATIONS.statementExportError, exporting, pdfLabels, period.label, showToast]);
+
+  return {
+    periods,
+    periodLabel,
+    setPeriodLabel,
+    statements,
+    filteredStatements,
+    truncated,
+    loading,
+    accountFilter,
+    setAccountFilter,
+    exporting,
+    loadStatements,
+    exportAll: (format) => exportStatements(format, filteredStatements),
+    exportOne: (format, statement) => exportStatements(format, [statement], `${format}:${statement.account.id}`),
+  };
+}
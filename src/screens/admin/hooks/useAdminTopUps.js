@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import earningsService from '../../../services/earnings';
+import { TOP_UP_STATUSES, countTopUpsByStatus } from '../../../utils/balanceTopUps';
+
+const PAGE_SIZE = 200;
+
+/**
+ * Balance top-up queue for the admin Top-ups tab: master requests with proof URLs,
+ * a status filter and the in-flight decision (one request at a time).
+ */
+export default function useAdminTopUps({ enabled, showToast, TRANSLATIONS = {} }) {
+  const [topUpItems, setTopUpItems] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(TOP_UP_STATUSES.REQUESTED);
+  const [topUpsLoading, setTopUpsLoading] = useState(false);
+  const [decidingRequestId, setDecidingRequestId] = useState(null);
+  const requestRef = useRef(0);
+
+  const loadTopUps = useCallback(async () => {
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setTopUpsLoading(true);
+    const result = await earningsService.getTopUpRequestsAdmin({ limit: PAGE_SIZE });
+    if (requestRef.current !== requestId) return;
+    setTopUpItems(result.items);
+    setTopUpsLoading(false);
+    if (!result.success) {
+      showToast?.(result.message || TRANSLATIONS.errorGeneric || 'Error', 'error');
+    }
+  }, [TRANSLATIONS.errorGeneric, showToast]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    loadTopUps();
+  }, [enabled]);
+
+  const statusCounts = useMemo(() => countTopUpsByStatus(topUpItems), [topUpItems]);
+  const filteredTopUps = useMemo(() => (
+    statusFilter === 'all' ? topUpItems : topUpItems.filter((item) => item.status === statusFilter)
+  ), [statusFilter, topUpItems]);
+
+  const decideTopUp = useCallback(async (request, { approve, notes } = {}) => {
+    if (!request?.id || decidingRequestId) return false;
+    if (!approve && !String(notes || '').trim()) {
+      showToast?.(TRANSLATIONS.topUpRejectReasonRequired || 'Enter a reason for rejection', 'error');
+      return false;
+    }
+    setDecidingRequestId(request.id);
+    const result = await earningsService.verifyTopUpProof(request.id, approve === true, String(notes || '').trim() || null);
+    setDecidingRequestId(null);
+    if (!result.success) {
+      showToast?.(result.message || TRANSLATIONS.errorGeneric || 'Error', 'error');
+      return false;
+    }
+    showToast?.(
+      approve
+        ? (TRANSLATIONS.toastTopUpApproved || 'Top-up approved, balance credited')
+        : (TRANSLATIONS.toastTopUpRejected || 'Top-up rejected'),
+      'success',
+    );
+    loadTopUps();
+    return true;
+  }, [TRANSLATIONS.errorGeneric, TRANSLATIONS.toastTopUpApproved, TRANSLATIONS.toastTopUpRejected, TRANSLATIONS.topUpRejectReasonRequired, decidingRequestId, loadTopUps, showToast]);
+
+  return {
+    topUpItems,
+    filteredTopUps,
+    statusFilter,
+    setStatusFilter,
+    statusCounts,
+    pendingCount: statusCounts[TOP_UP_STATUSES.REQUESTED],
+    topUpsLoading,
+    decidingRequestId,
+    loadTopUps,
+    decideTopUp,
+  };
+}
@@ -569,6 +569,7 @@ const styles = StyleSheet.create({
     attentionScroll: { marginTop: 8 },
     attentionCard: { width: 140, backgroundColor: 'rgba(30,41,59,0.9)', borderRadius: 10, padding: 10, marginRight: 8 },
     attentionBadge: { fontSize: 9, fontWeight: '700', color: '#fff', backgroundColor: '#ef4444', paddingHorizontal: 6, paddingVertical: 2, borderRadius: 4, alignSelf: 'flex-start', marginBottom: 6 },
+    attentionBadgeEscalated: { backgroundColor: '#991b1b' },
     attentionService: { fontSize: 13, fontWeight: '700', color: '#fff', textTransform: 'capitalize' },
     attentionAddr: { fontSize: 11, color: '#94a3b8', marginTop: 2 },
 
@@ -997,6 +998,76 @@ const styles = StyleSheet.create({
         color: '#64748b',
         minWidth: 40,
     },
+    slaRulesBlock: {
+        marginTop: 24,
+    },
+    slaRulesRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginBottom: 8,
+    },
+    slaRulesHeadCell: {
+        flex: 1,
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#64748b',
+    },
+    slaRulesStatusCell: {
+        width: 110,
+        flex: 0,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#fff',
+    },
+    slaRulesWideCell: {
+        flex: 2,
+        width: undefined,
+    },
+    slaRulesCell: {
+        flex: 1,
+    },
+    slaRulesInput: {
+        padding: 10,
+        fontSize: 14,
+    },
+    slaRulesValue: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#fff',
+    },
+    commissionRulesCard: {
+        borderWidth: 1,
+        borderColor: '#334155',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 12,
+        gap: 8,
+    },
+    commissionRulesCardLight: {
+        borderColor: '#e2e8f0',
+    },
+    commissionRulesFields: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    commissionRulesField: {
+        flexGrow: 1,
+        flexBasis: 140,
+        gap: 4,
+    },
+    commissionRulesChips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 6,
+    },
+    commissionRulesRemove: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        alignSelf: 'flex-start',
+    },
     settingsDivider: {
         height: 1,
         backgroundColor: '#334155',
@@ -99,6 +99,7 @@ export default function AdminAnalyticsTab(props) {
         showAnalyticsStartPicker,
         showAnalyticsTrendTooltip,
         showPriceDistTooltip,
+        slaComplianceLists,
         styles,
         updateAnalyticsTrendTooltipPos,
         updatePriceDistTooltipPos,
@@ -400,6 +401,8 @@ export default function AdminAnalyticsTab(props) {
             topPerformersRevenue: TRANSLATIONS.analyticsTopByRevenue || 'Top by Revenue',
             topDispatchersOrders: TRANSLATIONS.analyticsTopByOrders || 'Top by Orders',
             topDispatchersRevenue: TRANSLATIONS.analyticsTopByRevenue || 'Top by Revenue',
+            slaByDispatcher: TRANSLATIONS.analyticsSlaByDispatcher || 'SLA Compliance by Dispatcher',
+            slaByDistrict: TRANSLATIONS.analyticsSlaByDistrict || 'SLA Compliance by District',
         };
 
         const detailItemsMap = {
@@ -412,6 +415,8 @@ export default function AdminAnalyticsTab(props) {
             topPerformersRevenue: analyticsPeople.topByRevenue,
             topDispatchersOrders: analyticsDispatchers.topByOrders,
             topDispatchersRevenue: analyticsDispatchers.topByRevenue,
+            slaByDispatcher: slaComplianceLists?.byDispatcher,
+            slaByDistrict: slaComplianceLists?.byDistrict,
         };
 
         const normalizeDateValue = (value) => {
@@ -1721,6 +1726,32 @@ export default function AdminAnalyticsTab(props) {
                                 />
                             </View>
                         </View>
+                        {slaComplianceLists?.overall?.total > 0 && (
+                            <View style={styles.analyticsRow}>
+                                <View style={styles.analyticsRowItem}>
+                                    <AnalyticsListCard
+                                        title={`${TRANSLATIONS.analyticsSlaByDispatcher || 'SLA Compliance by Dispatcher'} (${formatPercent(slaComplianceLists.overall.compliance)})`}
+                                        items={slaComplianceLists.byDispatcher}
+                                        emptyLabel={TRANSLATIONS.emptyList || 'No data for this range.'}
+                                        onPress={() => setAnalyticsDetail({ type: 'slaByDispatcher' })}
+                                        infoText={TRANSLATIONS.analyticsSlaComplianceTip || 'Share of orders created in range that never breached an SLA rule. Worst performers are listed first.'}
+                                        infoHandlers={analyticsInfoHandlers}
+                                        isDark={isDark}
+                                        actionLabel={TRANSLATIONS.view || 'View'}
+                                    />
+                                </View>
+                                <View style={styles.analyticsRowItem}>
+                                    <AnalyticsListCard
+                                        title={TRANSLATIONS.analyticsSlaByDistrict || 'SLA Compliance by District'}
+                                        items={slaComplianceLists.byDistrict}
+                                        emptyLabel={TRANSLATIONS.emptyList || 'No data for this range.'}
+                                        onPress={() => setAnalyticsDetail({ type: 'slaByDistrict' })}
+                                        isDark={isDark}
+                                        actionLabel={TRANSLATIONS.view || 'View'}
+                                    />
+                                </View>
+                            </View>
+                        )}
                     </>
                 )}
 
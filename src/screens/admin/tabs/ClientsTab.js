@@ -0,0 +1,170 @@
+import React from 'react';
+import { ActivityIndicator, FlatList, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+export default function AdminClientsTab(props) {
+    const {
+        styles,
+        isDark,
+        TRANSLATIONS,
+        renderHeader,
+        clientsState,
+        t,
+        formatMoney,
+        getOrderStatusLabel,
+        getServiceLabel,
+        getDisputeStatusLabel,
+        onOpenOrder,
+    } = props;
+    const {
+        clientSearch,
+        setClientSearch,
+        clients,
+        clientsTotal,
+        clientsLoading,
+        loadClients,
+        loadMoreClients,
+        expandedPhone,
+        clientDetails,
+        clientDetailsLoading,
+        toggleClient,
+    } = clientsState;
+    const currency = TRANSLATIONS.currency || 'som';
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+    const renderDetails = () => {
+        if (clientDetailsLoading) {
+            return <ActivityIndicator size="small" color="#3b82f6" style={{ marginTop: 12 }} />;
+        }
+        if (!clientDetails) return null;
+        const { addresses = [], recent_orders: recentOrders = [], disputes = [] } = clientDetails;
+        return (
+            <View style={{ marginTop: 12, gap: 4 }}>
+                {addresses.length > 0 && (
+                    <>
+                        <Text style={[styles.itemTitle, !isDark && styles.textDark, { fontSize: 13 }]}>
+                            {TRANSLATIONS.clientPastAddresses || 'Past addresses'}
+                        </Text>
+                        {addresses.map((address) => (
+                            <Text key={`${address.full_address}-${address.last_used_at}`} style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                {address.area ? `${address.area} · ` : ''}{address.full_address}{address.orientir ? ` (${address.orientir})` : ''}
+                            </Text>
+                        ))}
+                    </>
+                )}
+                {recentOrders.length > 0 && (
+                    <>
+                        <Text style={[styles.itemTitle, !isDark && styles.textDark, { fontSize: 13, marginTop: 8 }]}>
+                            {TRANSLATIONS.clientPreviousOrders || 'Previous orders'}
+                        </Text>
+                        {recentOrders.map((order) => (
+                            <TouchableOpacity key={order.id} onPress={() => onOpenOrder?.(order.id)}>
+                                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary, order.is_disputed && { color: '#ef4444' }]}>
+                                    {formatDate(order.created_at)} · {getServiceLabel(order.service_type, t)} · {getOrderStatusLabel(order.status, t)}
+                                    {order.final_price ? ` · ${formatMoney(order.final_price)} ${currency}` : ''}
+                                    {order.master_name ? ` · ${order.master_name}` : ''}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </>
+                )}
+                {disputes.length > 0 && (
+                    <>
+                        <Text style={[styles.itemTitle, !isDark && styles.textDark, { fontSize: 13, marginTop: 8 }]}>
+                            {TRANSLATIONS.clientDisputeHistory || 'Dispute history'}
+                        </Text>
+                        {disputes.map((dispute) => (
+                            <TouchableOpacity key={dispute.id} onPress={() => onOpenOrder?.(dispute.order_id)}>
+                                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                    {formatDate(dispute.created_at)} · {getDisputeStatusLabel(dispute.status)} · {dispute.reason || '-'}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </>
+                )}
+            </View>
+        );
+    };
+
+    return (
+        <View style={{ flex: 1, paddingHorizontal: 16 }}>
+            {renderHeader(TRANSLATIONS.clients || 'Clients')}
+
+            <View style={styles.searchRow}>
+                <View style={[styles.searchInputWrapper, !isDark && styles.btnLight]}>
+                    <Ionicons name="search" size={16} color="#64748b" style={styles.searchIconText} />
+                    <TextInput
+                        style={[styles.searchInput, !isDark && styles.textDark]}
+                        placeholder={TRANSLATIONS.clientSearchPlaceholder || 'Name or phone'}
+                        placeholderTextColor={isDark ? '#64748b' : '#94a3b8'}
+                        value={clientSearch}
+                        onChangeText={setClientSearch}
+                    />
+                    {clientSearch ? (
+                        <TouchableOpacity onPress={() => setClientSearch('')} style={styles.searchClear}>
+                            <Ionicons name="close-circle" size={16} color="#64748b" />
+                        </TouchableOpacity>
+                    ) : null}
+                </View>
+            </View>
+            <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary, { marginBottom: 8 }]}>
+                {(TRANSLATIONS.clientsTotal || 'Clients: {0}').replace('{0}', String(clientsTotal))}
+            </Text>
+
+            <FlatList
+                data={clients}
+                keyExtractor={item => String(item.id || item.phone)}
+                contentContainerStyle={styles.listContent}
+                onRefresh={() => loadClients()}
+                refreshing={false}
+                onEndReached={loadMoreClients}
+                onEndReachedThreshold={0.4}
+                renderItem={({ item }) => {
+                    const expanded = expandedPhone === item.phone;
+                    return (
+                        <TouchableOpacity
+                            style={[styles.listItemCard, !isDark && styles.listItemCardLight]}
+                            onPress={() => toggleClient(item.phone)}
+                        >
+                            <View style={styles.peopleRow}>
+                                <View style={{ flex: 1 }}>
+                                    <Text style={[styles.itemTitle, !isDark && styles.textDark]}>
+                                        {item.full_name || TRANSLATIONS.clientUnnamed || 'No name'}
+                                    </Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>{item.phone}</Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {(TRANSLATIONS.clientStatsLine || 'Orders: {0} · Completed: {1} · Spend: {2}')
+                                            .replace('{0}', String(item.order_count || 0))
+                                            .replace('{1}', String(item.completed_count || 0))
+                                            .replace('{2}', `${formatMoney(item.lifetime_spend || 0)} ${currency}`)}
+                                    </Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {(TRANSLATIONS.clientLastOrder || 'Last order: {0}').replace('{0}', formatDate(item.last_order_at))}
+                                    </Text>
+                                </View>
+                                {Number(item.dispute_count) > 0 && (
+                                    <View style={[styles.statusBadge, { backgroundColor: '#ef4444' }]}>
+                                        <Text style={styles.statusText}>
+                                            {(TRANSLATIONS.clientDisputesCount || 'Disputes: {0}').replace('{0}', String(item.dispute_count))}
+                                        </Text>
+                                    </View>
+                                )}
+                            </View>
+                            {expanded && renderDetails()}
+                        </TouchableOpacity>
+                    );
+                }}
+                ListFooterComponent={clientsLoading ? <ActivityIndicator size="small" color="#3b82f6" style={{ marginVertical: 12 }} /> : null}
+                ListEmptyComponent={
+                    !clientsLoading ? (
+                        <View style={styles.empty}>
+                            <Text style={[styles.emptyText, !isDark && styles.textSecondary]}>
+                                {TRANSLATIONS.emptyList || 'No items found'}
+                            </Text>
+                        </View>
+                    ) : null
+                }
+            />
+        </View>
+    );
+}
@@ -5,6 +5,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { Pagination } from '../../../components/ui/Pagination';
 import { ATTENTION_FILTER_OPTIONS } from '../config/constants';
 import { STATUS_COLORS, getOrderStatusLabel, getServiceLabel, getTimeAgo } from '../../../utils/orderHelpers';
+import { evaluateOrderSla } from '../../../utils/slaRules';
 
 export default function AdminOrdersTab(props) {
     const {
@@ -29,11 +30,21 @@ export default function AdminOrdersTab(props) {
         setShowNeedsAttention,
         setSortOrder,
         showNeedsAttention,
+        slaRules,
         sortOrder,
         styles,
         t,
         viewMode,
     } = props;
+        const getStuckBadgeLabel = (o) => {
+            const sla = evaluateOrderSla(o, slaRules);
+            const label = sla?.escalated
+                ? (TRANSLATIONS.badgeSlaEscalated || 'Escalated')
+                : (TRANSLATIONS.badgeStuck || 'Stuck');
+            if (!sla?.breached) return label;
+            return `${label} ${(TRANSLATIONS.slaOverdueMinutes || '+{0} min').replace('{0}', sla.overdueMinutes)}`;
+        };
+
 // --- Needs Attention Section ---
         const renderNeedsAttention = () => {
             if (needsActionCount === 0) return null;
@@ -112,12 +123,12 @@ export default function AdminOrdersTab(props) {
                         <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.attentionScroll}>
                             {sortedNeedsAction.map(o => (
                                 <TouchableOpacity key={o.id} style={[styles.attentionCard, !isDark && styles.cardLight]} onPress={() => openOrderDetails(o)}>
-                                    <Text style={styles.attentionBadge}>
+                                    <Text style={[styles.attentionBadge, evaluateOrderSla(o, slaRules)?.escalated && styles.attentionBadgeEscalated]}>
                                         {o.is_disputed ? (TRANSLATIONS.badgeDispute || 'Dispute') :
                                             o.status === 'completed'
                                                 ? (TRANSLATIONS.badgeUnpaid || 'Unpaid') :
                                                 o.status?.includes('canceled') ? (TRANSLATIONS.badgeCanceled || 'Canceled') :
-                                                    (TRANSLATIONS.badgeStuck || 'Stuck')}
+                                                    getStuckBadgeLabel(o)}
                                     </Text>
                                     <Text style={[styles.attentionService, !isDark && styles.textDark]}>{getServiceLabel(o.service_type, t)}</Text>
                                     <Text style={[styles.attentionAddr, !isDark && styles.textSecondary]} numberOfLines={1}>{o.full_address}</Text>
@@ -1,6 +1,7 @@
 import React from 'react';
-import { Text, TouchableOpacity, View } from 'react-native';
+import { ScrollView, Text, TouchableOpacity, View } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import TeamPresenceBoard from '../../../components/shared/TeamPresenceBoard';
 
 export default function AdminPeopleTab(props) {
     const {
@@ -15,6 +16,7 @@ export default function AdminPeopleTab(props) {
         renderStaff,
         renderPartners,
         renderHeader,
+        showToast,
     } = props;
 
     return (
@@ -38,47 +40,60 @@ export default function AdminPeopleTab(props) {
                         onPress={() => setPeopleView('partners')}>
                         <Text style={[styles.tabBtnText, peopleView === 'partners' && styles.tabBtnTextActive, !isDark && peopleView !== 'partners' && styles.textDark]}>{TRANSLATIONS.peoplePartners || 'Partners'}</Text>
                     </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.tabBtn, peopleView === 'presence' && styles.tabBtnActive, !isDark && peopleView !== 'presence' && styles.tabBtnLight, { borderRadius: 100, paddingHorizontal: 20 }]}
+                        onPress={() => setPeopleView('presence')}>
+                        <Text style={[styles.tabBtnText, peopleView === 'presence' && styles.tabBtnTextActive, !isDark && peopleView !== 'presence' && styles.textDark]}>{TRANSLATIONS.peoplePresence || 'Live'}</Text>
+                    </TouchableOpacity>
                 </View>
 
-                <TouchableOpacity
-                    style={[styles.actionButton, {
-                        backgroundColor:
-                            peopleView === 'masters' ? '#22c55e'
-                                : peopleView === 'partners' ? '#0ea5e9'
-                                    : '#3b82f6',
-                        paddingHorizontal: 16,
-                        paddingVertical: 10,
-                        marginTop: 0
-                    }]}
-                    onPress={() => {
-                        setAddUserRole(
-                            peopleView === 'masters'
-                                ? 'master'
-                                : peopleView === 'partners'
-                                    ? 'partner'
-                                    : 'dispatcher'
-                        );
-                        setShowAddUserModal(true);
-                    }}
-                >
-                    <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
-                        <Ionicons name="person-add" size={16} color="#fff" />
-                        <Text style={styles.actionButtonText}>
-                            {peopleView === 'masters'
-                                ? (TRANSLATIONS.addMaster || 'Add Master')
-                                : peopleView === 'partners'
-                                    ? (TRANSLATIONS.addPartner || 'Add Partner')
-                                    : (TRANSLATIONS.addDispatcher || 'Add Dispatcher')}
-                        </Text>
-                    </View>
-                </TouchableOpacity>
+                {peopleView !== 'presence' && (
+                    <TouchableOpacity
+                        style={[styles.actionButton, {
+                            backgroundColor:
+                                peopleView === 'masters' ? '#22c55e'
+                                    : peopleView === 'partners' ? '#0ea5e9'
+                                        : '#3b82f6',
+                            paddingHorizontal: 16,
+                            paddingVertical: 10,
+                            marginTop: 0
+                        }]}
+                        onPress={() => {
+                            setAddUserRole(
+                                peopleView === 'masters'
+                                    ? 'master'
+                                    : peopleView === 'partners'
+                                        ? 'partner'
+                                        : 'dispatcher'
+                            );
+                            setShowAddUserModal(true);
+                        }}
+                    >
+                        <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+                            <Ionicons name="person-add" size={16} color="#fff" />
+                            <Text style={styles.actionButtonText}>
+                                {peopleView === 'masters'
+                                    ? (TRANSLATIONS.addMaster || 'Add Master')
+                                    : peopleView === 'partners'
+                                        ? (TRANSLATIONS.addPartner || 'Add Partner')
+                                        : (TRANSLATIONS.addDispatcher || 'Add Dispatcher')}
+                            </Text>
+                        </View>
+                    </TouchableOpacity>
+                )}
             </View>
 
             {peopleView === 'masters'
                 ? renderMasters()
                 : peopleView === 'partners'
                     ? renderPartners()
-                    : renderStaff()}
+                    : peopleView === 'presence'
+                        ? (
+                            <ScrollView style={{ flex: 1 }} contentContainerStyle={{ paddingBottom: 24 }}>
+                                <TeamPresenceBoard channelKey="admin" showToast={showToast} isDark={isDark} />
+                            </ScrollView>
+                        )
+                        : renderStaff()}
         </View>
     );
 }
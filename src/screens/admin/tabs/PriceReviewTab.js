@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import { ActivityIndicator, FlatList, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import OrderLineItems from '../../../components/shared/OrderLineItems';
+import {
+    PRICE_REVIEW_DECISIONS,
+    PRICE_REVIEW_DECISION_LABELS,
+    formatDeviation,
+} from '../../../utils/priceReview';
+
+export default function AdminPriceReviewTab(props) {
+    const {
+        styles,
+        isDark,
+        TRANSLATIONS,
+        renderHeader,
+        priceReviewState,
+        t,
+        formatMoney,
+        getServiceLabel,
+        formatOrderRefLabel,
+        onOpenOrder,
+        sanitizeNumberInput,
+    } = props;
+    const {
+        reviewItems,
+        reviewTotal,
+        reviewThreshold,
+        recentDecisions,
+        reviewsLoading,
+        decidingOrderId,
+        loadPriceReviews,
+        decidePriceReview,
+    } = priceReviewState;
+    const [expandedId, setExpandedId] = useState(null);
+    const [adjustPrice, setAdjustPrice] = useState('');
+    const [reviewNotes, setReviewNotes] = useState('');
+    const currency = TRANSLATIONS.currency || 'som';
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+    const getDecisionLabel = (decision) => {
+        const label = PRICE_REVIEW_DECISION_LABELS[decision];
+        return label ? (TRANSLATIONS[label.key] || label.fallback) : decision;
+    };
+    const decisionColors = {
+        [PRICE_REVIEW_DECISIONS.APPROVE]: '#22c55e',
+        [PRICE_REVIEW_DECISIONS.ADJUST]: '#3b82f6',
+        [PRICE_REVIEW_DECISIONS.REJECT]: '#ef4444',
+    };
+
+    const toggleExpanded = (order) => {
+        const nextId = expandedId === order.id ? null : order.id;
+        setExpandedId(nextId);
+        setAdjustPrice(nextId ? String(order.final_price ?? '') : '');
+        setReviewNotes('');
+    };
+
+    const submitDecision = async (order, decision) => {
+        const saved = await decidePriceReview(order, {
+            decision,
+            finalPrice: adjustPrice,
+            notes: reviewNotes,
+        });
+        if (saved) setExpandedId(null);
+    };
+
+    const renderActions = (item) => {
+        const busy = decidingOrderId === item.id;
+        const canReject = Number(item.initial_price) > 0;
+        return (
+            <View style={{ marginTop: 10 }}>
+                <OrderLineItems items={item.line_items} finalPrice={item.final_price} isDark={isDark} />
+                <Text style={[styles.inputLabel, !isDark && styles.textSecondary]}>
+                    {TRANSLATIONS.priceReviewAdjustedPrice || 'Adjusted price'}
+                </Text>
+                <TextInput
+                    style={[styles.input, !isDark && styles.inputLight]}
+                    value={adjustPrice}
+                    onChangeText={(value) => setAdjustPrice(sanitizeNumberInput(value))}
+                    keyboardType="numeric"
+                    placeholder={String(item.final_price ?? '')}
+                    placeholderTextColor="#64748b"
+                />
+                <TextInput
+                    style={[styles.input, styles.textArea, !isDark && styles.inputLight, { marginTop: 8 }]}
+                    value={reviewNotes}
+                    onChangeText={setReviewNotes}
+                    multiline
+                    numberOfLines={2}
+                    placeholder={TRANSLATIONS.priceReviewNotesHint || 'Decision notes (optional)'}
+                    placeholderTextColor="#64748b"
+                />
+                <View style={styles.editActionRow}>
+                    <TouchableOpacity
+                        style={[styles.editActionBtn, styles.editActionSuccess, busy && { opacity: 0.6 }]}
+                        disabled={busy}
+                        onPress={() => submitDecision(item, PRICE_REVIEW_DECISIONS.APPROVE)}
+                    >
+                        <Text style={styles.editActionText}>{getDecisionLabel(PRICE_REVIEW_DECISIONS.APPROVE)}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.editActionBtn, styles.editActionPrimary, busy && { opacity: 0.6 }]}
+                        disabled={busy}
+                        onPress={() => submitDecision(item, PRICE_REVIEW_DECISIONS.ADJUST)}
+                    >
+                        <Text style={styles.editActionText}>{getDecisionLabel(PRICE_REVIEW_DECISIONS.ADJUST)}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.editActionBtn, styles.editActionDanger, (busy || !canReject) && { opacity: 0.6 }]}
+                        disabled={busy || !canReject}
+                        onPress={() => submitDecision(item, PRICE_REVIEW_DECISIONS.REJECT)}
+                    >
+                        <Text style={styles.editActionText}>{getDecisionLabel(PRICE_REVIEW_DECISIONS.REJECT)}</Text>
+                    </TouchableOpacity>
+                </View>
+                {busy && <ActivityIndicator size="small" color="#3b82f6" style={{ marginTop: 8 }} />}
+            </View>
+        );
+    };
+
+    const renderRecent = () => {
+        if (!recentDecisions.length) return null;
+        return (
+            <View style={[styles.formSection, !isDark && styles.formSectionLight, { marginTop: 12 }]}>
+                <Text style={[styles.formSectionTitle, !isDark && styles.textDark]}>
+                    {TRANSLATIONS.priceReviewRecent || 'Recent decisions'}
+                </Text>
+                {recentDecisions.map((decision) => (
+                    <TouchableOpacity key={decision.id} onPress={() => onOpenOrder?.(decision.order_id)}>
+                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                            <Text style={{ color: decisionColors[decision.decision] || '#64748b', fontWeight: '700' }}>
+                                {getDecisionLabel(decision.decision)}
+                            </Text>
+                            {` · ${formatOrderRefLabel(TRANSLATIONS.modalOrderPrefix || 'Order #{0}', decision.order_id)}`}
+                            {` · ${formatMoney(decision.previous_final_price)} → ${formatMoney(decision.final_price)} ${currency}`}
+                            {` · ${decision.decided_by?.full_name || '-'} · ${formatDate(decision.decided_at)}`}
+                            {decision.notes ? ` · ${decision.notes}` : ''}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+        );
+    };
+
+    return (
+        <View style={{ flex: 1, paddingHorizontal: 16 }}>
+            {renderHeader(TRANSLATIONS.priceReview || 'Price Review')}
+
+            <View style={[styles.formSection, !isDark && styles.formSectionLight]}>
+                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                    {(TRANSLATIONS.priceReviewSummary || 'Pending: {0} · Threshold: {1}')
+                        .replace('{0}', String(reviewTotal))
+                        .replace('{1}', reviewThreshold ? `±${Math.round(reviewThreshold * 100)}%` : '-')}
+                </Text>
+            </View>
+
+            <FlatList
+                data={reviewItems}
+                keyExtractor={item => String(item.id)}
+                contentContainerStyle={styles.listContent}
+                onRefresh={() => loadPriceReviews()}
+                refreshing={false}
+                renderItem={({ item }) => {
+                    const expanded = expandedId === item.id;
+                    const deviation = Number(item.deviation);
+                    return (
+                        <TouchableOpacity
+                            style={[styles.listItemCard, !isDark && styles.listItemCardLight]}
+                            onPress={() => toggleExpanded(item)}
+                            activeOpacity={0.85}
+                        >
+                            <View style={styles.peopleRow}>
+                                <View style={{ flex: 1 }}>
+                                    <TouchableOpacity onPress={() => onOpenOrder?.(item.id)}>
+                                        <Text style={[styles.itemTitle, !isDark && styles.textDark]}>
+                                            {formatOrderRefLabel(TRANSLATIONS.modalOrderPrefix || 'Order #{0}', item.id)}
+                                            {` · ${getServiceLabel(item.service_type, t)}`}
+                                        </Text>
+                                    </TouchableOpacity>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {TRANSLATIONS.masterRole || 'Master'}: {item.master?.full_name || '-'}
+                                    </Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {(TRANSLATIONS.priceReviewPrices || 'Initial: {0} · Final: {1}')
+                                            .replace('{0}', item.initial_price ? `${formatMoney(item.initial_price)} ${currency}` : '-')
+                                            .replace('{1}', `${formatMoney(item.final_price)} ${currency}`)}
+                                    </Text>
+                                </View>
+                                <View style={[styles.statusBadge, { backgroundColor: deviation > 0 ? '#ef4444' : '#f59e0b' }]}>
+                                    <Text style={styles.statusText}>{formatDeviation(item.deviation)}</Text>
+                                </View>
+                            </View>
+                            <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary, { marginTop: 8 }]}>
+                                {TRANSLATIONS.priceReviewReason || 'Master reason'}: {item.price_change_reason || TRANSLATIONS.priceReviewNoReason || 'Not provided'}
+                            </Text>
+                            {!!item.work_performed && (
+                                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]} numberOfLines={expanded ? undefined : 2}>
+                                    {TRANSLATIONS.labelWorkDone || 'Work Done'}: {item.work_performed}
+                                </Text>
+                            )}
+                            {expanded && renderActions(item)}
+                        </TouchableOpacity>
+                    );
+                }}
+                ListFooterComponent={
+                    <>
+                        {reviewsLoading && <ActivityIndicator size="small" color="#3b82f6" style={{ marginVertical: 12 }} />}
+                        {renderRecent()}
+                    </>
+                }
+                ListEmptyComponent={
+                    !reviewsLoading ? (
+                        <View style={styles.empty}>
+                            <Text style={[styles.emptyText, !isDark && styles.textSecondary]}>
+                                {TRANSLATIONS.priceReviewEmpty || 'No prices waiting for review'}
+                            </Text>
+                        </View>
+                    ) : null
+                }
+            />
+        </View>
+    );
+}
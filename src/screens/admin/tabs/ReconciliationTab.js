@@ -0,0 +1,279 @@
+import React from 'react';
+import { ActivityIndicator, FlatList, ScrollView, Text, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { RECONCILIATION_ACCOUNT_TYPES, RECONCILIATION_ISSUE_TYPES } from '../../../utils/ledgerReconciliation';
+
+const ISSUE_LABELS = {
+    [RECONCILIATION_ISSUE_TYPES.CHAIN_GAP]: ['reconIssueChainGap', 'Balance chain gap'],
+    [RECONCILIATION_ISSUE_TYPES.AMOUNT_MISMATCH]: ['reconIssueAmountMismatch', 'Amount does not match balance change'],
+    [RECONCILIATION_ISSUE_TYPES.BALANCE_MISMATCH]: ['reconIssueBalanceMismatch', 'Balance differs from ledger'],
+    [RECONCILIATION_ISSUE_TYPES.TOTALS_MISMATCH]: ['reconIssueTotalsMismatch', 'Profile total differs from ledger'],
+    [RECONCILIATION_ISSUE_TYPES.MISSING_EARNING]: ['reconIssueMissingEarning', 'Confirmed order without earning'],
+};
+const ISSUE_COLORS = {
+    [RECONCILIATION_ISSUE_TYPES.CHAIN_GAP]: '#ef4444',
+    [RECONCILIATION_ISSUE_TYPES.AMOUNT_MISMATCH]: '#ef4444',
+    [RECONCILIATION_ISSUE_TYPES.BALANCE_MISMATCH]: '#f97316',
+    [RECONCILIATION_ISSUE_TYPES.TOTALS_MISMATCH]: '#f59e0b',
+    [RECONCILIATION_ISSUE_TYPES.MISSING_EARNING]: '#8b5cf6',
+};
+
+/**
+ * Reconciliation tab: ledger integrity report across master and partner accounts.
+ * Order issues open the order drawer; account issues open the replayed ledger with the
+ * flagged rows highlighted.
+ */
+export default function AdminReconciliationTab(props) {
+    const {
+        styles,
+        isDark,
+        TRANSLATIONS,
+        renderHeader,
+        reconciliationState,
+        formatMoney,
+        formatOrderRefLabel,
+        onOpenOrder,
+    } = props;
+    const {
+        report,
+        reportLoading,
+        filteredIssues,
+        typeFilter,
+        setTypeFilter,
+        drillDown,
+        drillDownLoading,
+        loadReport,
+        openAccount,
+        closeAccount,
+    } = reconciliationState;
+    const currency = TRANSLATIONS.currency || 'som';
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+    const getIssueLabel = (type) => {
+        const [key, fallback] = ISSUE_LABELS[type] || [type, type];
+        return TRANSLATIONS[key] || fallback;
+    };
+    const getAccountLabel = (issue) => (issue.accountType === RECONCILIATION_ACCOUNT_TYPES.PARTNER
+        ? (TRANSLATIONS.partnerRole || 'Partner')
+        : (TRANSLATIONS.masterRole || 'Master'));
+    const byType = report?.summary?.byType || {};
+    const typeOptions = [
+        { id: 'all', label: TRANSLATIONS.filterAll || 'All', count: report?.summary?.issueCount || 0 },
+        ...Object.values(RECONCILIATION_ISSUE_TYPES).map((type) => ({ id: type, label: getIssueLabel(type), count: byType[type] || 0 })),
+    ];
+
+    const handleIssuePress = (issue) => {
+        if (issue.orderId) {
+            onOpenOrder?.(issue.orderId);
+            return;
+        }
+        openAccount(issue);
+    };
+
+    const renderIssueDetails = (issue) => {
+        const parts = [];
+        if (issue.field) parts.push(issue.field);
+        if (issue.expected !== null) parts.push(`${TRANSLATIONS.reconExpected || 'Expected'}: ${formatMoney(issue.expected)}`);
+        if (issue.actual !== null) parts.push(`${TRANSLATIONS.reconActual || 'Actual'}: ${formatMoney(issue.actual)}`);
+        if (issue.difference !== null) parts.push(`Δ ${formatMoney(issue.difference)} ${currency}`);
+        return parts.join(' · ');
+    };
+
+    const renderDrillDown = () => {
+        const { issue, ledger } = drillDown;
+        return (
+            <View style={{ flex: 1, paddingHorizontal: 16 }}>
+                {renderHeader(TRANSLATIONS.reconciliation || 'Reconciliation')}
+                <TouchableOpacity onPress={closeAccount} style={{ flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 12 }}>
+                    <Ionicons name="arrow-back" size={16} color="#3b82f6" />
+                    <Text style={{ color: '#3b82f6', fontWeight: '600' }}>{TRANSLATIONS.reconBackToReport || 'Back to report'}</Text>
+                </TouchableOpacity>
+                <View style={[styles.formSection, !isDark && styles.formSectionLight]}>
+                    <Text style={[styles.formSectionTitle, !isDark && styles.textDark]}>
+                        {`${getAccountLabel(issue)}: ${issue.accountName || String(issue.accountId).slice(0, 8)}`}
+                    </Text>
+                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                        {getIssueLabel(issue.type)} · {renderIssueDetails(issue)}
+                    </Text>
+                    {ledger && (
+                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                            {(TRANSLATIONS.reconLedgerSummary || 'Profile balance: {0} · Ledger balance: {1}')
+                                .replace('{0}', `${formatMoney(ledger.balance)} ${currency}`)
+                                .replace('{1}', `${formatMoney(ledger.ledgerBalance)} ${currency}`)}
+                        </Text>
+                    )}
+                </View>
+                {drillDownLoading || !ledger ? (
+                    <ActivityIndicator size="small" color="#3b82f6" style={{ marginVertical: 12 }} />
+                ) : (
+                    <FlatList
+                        data={ledger.transactions}
+                        keyExtractor={item => String(item.id)}
+                        contentContainerStyle={styles.listContent}
+                        renderItem={({ item }) => {
+                            const flagged = item.issueTypes.length > 0;
+                            const isSelected = item.id === issue.transactionId;
+                            return (
+                                <View
+                                    style={[
+                                        styles.listItemCard,
+                                        !isDark && styles.listItemCardLight,
+                                        flagged && { borderColor: '#ef4444' },
+                                        isSelected && { borderWidth: 2 },
+                                    ]}
+                                >
+                                    <Text style={[styles.itemTitle, !isDark && styles.textDark]}>
+                                        {`${item.transaction_type || '-'} · ${formatMoney(item.amount)} ${currency}`}
+                                    </Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {`${formatMoney(item.balance_before)} → ${formatMoney(item.balance_after)} · ${formatDate(item.created_at)}`}
+                                    </Text>
+                                    {!!item.notes && (
+                                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>{item.notes}</Text>
+                                    )}
+                                    {flagged && (
+                                        <Text style={[styles.itemSubtitle, { color: '#ef4444' }]}>
+                                            {item.issueTypes.map(getIssueLabel).join(' · ')}
+                                        </Text>
+                                    )}
+                                </View>
+                            );
+                        }}
+                        ListFooterComponent={ledger.earnings.length ? (
+                            <View style={[styles.formSection, !isDark && styles.formSectionLight, { marginTop: 12 }]}>
+                                <Text style={[styles.formSectionTitle, !isDark && styles.textDark]}>
+                                    {TRANSLATIONS.reconEarnings || 'Earnings'}
+                                </Text>
+                                {ledger.earnings.map((earning) => (
+                                    <TouchableOpacity key={earning.id} onPress={() => earning.order_id && onOpenOrder?.(earning.order_id)}>
+                                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                            {formatOrderRefLabel(TRANSLATIONS.modalOrderPrefix || 'Order #{0}', earning.order_id)}
+                                            {` · ${formatMoney(earning.amount)} / ${formatMoney(earning.commission_amount)} ${currency} · ${earning.status}`}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+                        ) : null}
+                        ListEmptyComponent={(
+                            <View style={styles.empty}>
+                                <Text style={[styles.emptyText, !isDark && styles.textSecondary]}>
+                                    {TRANSLATIONS.reconLedgerEmpty || 'No ledger entries'}
+                                </Text>
+                            </View>
+                        )}
+                    />
+                )}
+            </View>
+        );
+    };
+
+    if (drillDown) return renderDrillDown();
+
+    return (
+        <View style={{ flex: 1, paddingHorizontal: 16 }}>
+            {renderHeader(TRANSLATIONS.reconciliation || 'Reconciliation')}
+
+            <View style={[styles.formSection, !isDark && styles.formSectionLight]}>
+                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                    {report?.summary
+                        ? (TRANSLATIONS.reconSummary || 'Accounts: {0} · Transactions replayed: {1} · Issues: {2}')
+                            .replace('{0}', String(report.summary.accountsChecked))
+                            .replace('{1}', String(report.summary.transactionsReplayed))
+                            .replace('{2}', String(report.summary.issueCount))
+                        : '-'}
+                </Text>
+                {!!report?.generatedAt && (
+                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                        {TRANSLATIONS.reconGeneratedAt || 'Checked'}: {formatDate(report.generatedAt)}
+                    </Text>
+                )}
+                {report?.truncated && (
+                    <Text style={[styles.itemSubtitle, { color: '#f59e0b' }]}>
+                        {TRANSLATIONS.reconTruncated || 'Some tables were too large to load fully; results may be incomplete.'}
+                    </Text>
+                )}
+            </View>
+
+            <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={{ marginBottom: 12, flexGrow: 0 }}
+                contentContainerStyle={{ gap: 8, paddingRight: 8, alignItems: 'center' }}
+            >
+                {typeOptions.map((option) => {
+                    const isActive = typeFilter === option.id;
+                    return (
+                        <TouchableOpacity
+                            key={option.id}
+                            style={[
+                                styles.pillBtn,
+                                isActive && styles.pillBtnActive,
+                                !isDark && styles.pillBtnLight,
+                                !isDark && isActive && styles.pillBtnActiveLight,
+                                { alignSelf: 'flex-start' },
+                            ]}
+                            onPress={() => setTypeFilter(option.id)}
+                        >
+                            <Text
+                                style={[
+                                    styles.pillText,
+                                    !isDark && styles.pillTextLight,
+                                    isActive && styles.pillTextActive,
+                                    !isDark && isActive && styles.pillTextActiveLight,
+                                ]}
+                            >
+                                {option.label} ({option.count})
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </ScrollView>
+
+            <FlatList
+                data={filteredIssues}
+                keyExtractor={item => item.id}
+                contentContainerStyle={styles.listContent}
+                onRefresh={() => loadReport()}
+                refreshing={false}
+                renderItem={({ item }) => {
+                    const color = ISSUE_COLORS[item.type] || '#64748b';
+                    return (
+                        <TouchableOpacity
+                            style={[styles.listItemCard, !isDark && styles.listItemCardLight]}
+                            onPress={() => handleIssuePress(item)}
+                            activeOpacity={0.85}
+                        >
+                            <View style={styles.peopleRow}>
+                                <View style={{ flex: 1 }}>
+                                    <Text style={[styles.itemTitle, !isDark && styles.textDark]}>
+                                        {`${getAccountLabel(item)}: ${item.accountName || String(item.accountId).slice(0, 8)}`}
+                                    </Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {item.orderId
+                                            ? formatOrderRefLabel(TRANSLATIONS.modalOrderPrefix || 'Order #{0}', item.orderId)
+                                            : renderIssueDetails(item)}
+                                    </Text>
+                                    {!!item.createdAt && (
+                                        <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>{formatDate(item.createdAt)}</Text>
+                                    )}
+                                </View>
+                                <View style={[styles.statusBadge, { backgroundColor: `${color}22` }]}>
+                                    <Text style={[styles.statusText, { color }]}>{getIssueLabel(item.type)}</Text>
+                                </View>
+                            </View>
+                        </TouchableOpacity>
+                    );
+                }}
+                ListFooterComponent={reportLoading ? <ActivityIndicator size="small" color="#3b82f6" style={{ marginVertical: 12 }} /> : null}
+                ListEmptyComponent={
+                    !reportLoading && report ? (
+                        <View style={styles.empty}>
+                            <Text style={[styles.emptyText, !isDark && styles.textSecondary]}>
+                                {TRANSLATIONS.reconNoIssues || 'Ledgers agree. No issues found.'}
+                            </Text>
+                        </View>
+                    ) : null
+                }
+            />
+        </View>
+    );
+}
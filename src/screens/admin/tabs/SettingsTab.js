@@ -1,14 +1,22 @@
 import React from 'react';
 import { ActivityIndicator, Dimensions, ScrollView, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useNotificationPreferences } from '../../../hooks/useNotificationPreferences';
+import { SLA_STATUSES, SLA_URGENCIES, fromSlaRulesForm, toSlaRulesForm } from '../../../utils/slaRules';
+import { fromCommissionRulesForm, toCommissionRulesForm } from '../../../utils/commissionRules';
+import { fromPayoutTemplateForm, toPayoutTemplateForm } from '../../../utils/payoutBatches';
+import CommissionRulesEditor from '../components/CommissionRulesEditor';
 
 const SCREEN_WIDTH = Dimensions.get('window').width;
+const SLA_STATUS_LABEL_KEYS = { placed: 'statusPlaced', reopened: 'statusReopened', claimed: 'statusClaimed' };
+const SLA_URGENCY_LABEL_KEYS = { emergency: 'urgencyEmergency', urgent: 'urgencyUrgent', planned: 'urgencyPlanned' };
 
 export default function AdminSettingsTab(props) {
     const {
         styles,
         isDark,
         TRANSLATIONS,
+        user,
         districtSearch,
         setDistrictSearch,
         managedDistricts,
@@ -47,6 +55,7 @@ export default function AdminSettingsTab(props) {
         renderDistrictSidebar,
         renderCancellationReasonSidebar,
     } = props;
+    const notificationPrefs = useNotificationPreferences(user);
     const q = districtSearch.trim().toLowerCase();
     const filteredDistricts = !q
         ? managedDistricts
@@ -123,7 +132,10 @@ export default function AdminSettingsTab(props) {
                                                         commission_rate: (parseFloat(tempSettings.commission_rate) || 0) / 100,
                                                         price_deviation_threshold: (parseFloat(tempSettings.price_deviation_threshold) || 0) / 100,
                                                         claim_timeout_minutes: parseInt(tempSettings.claim_timeout_minutes) || 30,
-                                                        order_expiry_hours: parseInt(tempSettings.order_expiry_hours) || 48
+                                                        order_expiry_hours: parseInt(tempSettings.order_expiry_hours) || 48,
+                                                        sla_rules: fromSlaRulesForm(tempSettings.sla_rules_form),
+                                                        commission_rules: fromCommissionRulesForm(tempSettings.commission_rules_form),
+                                                        payout_bank_template: fromPayoutTemplateForm(tempSettings.payout_template_form)
                                                     });
                                                     showToast(TRANSLATIONS.settingsSaved || 'Settings saved', 'success');
                                                     loadSettings();
@@ -157,7 +169,10 @@ export default function AdminSettingsTab(props) {
                                                 commission_rate: settings.commission_rate ? (settings.commission_rate * 100).toFixed(0) : '',
                                                 price_deviation_threshold: settings.price_deviation_threshold ? (settings.price_deviation_threshold * 100).toFixed(0) : '',
                                                 claim_timeout_minutes: String(settings.claim_timeout_minutes || ''),
-                                                order_expiry_hours: String(settings.order_expiry_hours || '')
+                                                order_expiry_hours: String(settings.order_expiry_hours || ''),
+                                                sla_rules_form: toSlaRulesForm(settings.sla_rules_raw),
+                                                commission_rules_form: toCommissionRulesForm(settings.commission_rules),
+                                                payout_template_form: toPayoutTemplateForm(settings.payout_bank_template)
                                             });
                                             setIsEditing(true);
                                         }}
@@ -294,6 +309,107 @@ export default function AdminSettingsTab(props) {
 
                                 <View style={[styles.settingsGridItem, { opacity: 0 }]} />
                             </View>
+
+                                {/* SLA Rules */}
+                                <View style={styles.slaRulesBlock}>
+                                    <Text style={[styles.settingsFieldLabel, !isDark && styles.textDark]}>{TRANSLATIONS.slaRulesTitle || 'SLA Rules'}</Text>
+                                    <Text style={styles.settingsFieldHint}>
+                                        {TRANSLATIONS.slaRulesHint || 'Minutes before an order is marked Stuck. Empty claimed values use the auto-claim timeout.'}
+                                    </Text>
+                                    <View style={styles.slaRulesRow}>
+                                        <Text style={[styles.slaRulesHeadCell, styles.slaRulesStatusCell]} />
+                                        {SLA_URGENCIES.map(urgency => (
+                                            <Text key={urgency} style={styles.slaRulesHeadCell}>{TRANSLATIONS[SLA_URGENCY_LABEL_KEYS[urgency]] || urgency}</Text>
+                                        ))}
+                                    </View>
+                                    {SLA_STATUSES.map(status => (
+                                        <View key={status} style={styles.slaRulesRow}>
+                                            <Text style={[styles.slaRulesStatusCell, !isDark && styles.textDark]}>{TRANSLATIONS[SLA_STATUS_LABEL_KEYS[status]] || status}</Text>
+                                            {SLA_URGENCIES.map(urgency => (
+                                                <View key={urgency} style={styles.slaRulesCell}>
+                                                    {isEditing ? (
+                                                        <TextInput
+                                                            style={[styles.settingsInput, styles.slaRulesInput, !isDark && styles.settingsInputLight]}
+                                                            keyboardType="numeric"
+                                                            value={tempSettings.sla_rules_form?.[status]?.[urgency] ?? ''}
+                                                            onChangeText={v => setTempSettings({
+                                                                ...tempSettings,
+                                                                sla_rules_form: {
+                                                                    ...tempSettings.sla_rules_form,
+                                                                    [status]: { ...tempSettings.sla_rules_form?.[status], [urgency]: v },
+                                                                },
+                                                            })}
+                                                            placeholder={String(tempSettings.claim_timeout_minutes || 30)}
+                                                            placeholderTextColor="#64748b"
+                                                        />
+                                                    ) : (
+                                                        <Text style={[styles.slaRulesValue, !isDark && styles.textDark]}>
+                                                            {settings.sla_rules?.[status]?.[urgency] ?? '-'} <Text style={styles.settingsFieldUnit}>{TRANSLATIONS.unitMin || 'min'}</Text>
+                                                        </Text>
+                                                    )}
+                                                </View>
+                                            ))}
+                                        </View>
+                                    ))}
+                                    <View style={[styles.slaRulesRow, { marginTop: 8 }]}>
+                                        <Text style={[styles.slaRulesStatusCell, styles.slaRulesWideCell, !isDark && styles.textDark]}>
+                                            {TRANSLATIONS.slaEscalationFactor || 'Escalate to admins after (x SLA)'}
+                                        </Text>
+                                        <View style={styles.slaRulesCell}>
+                                            {isEditing ? (
+                                                <TextInput
+                                                    style={[styles.settingsInput, styles.slaRulesInput, !isDark && styles.settingsInputLight]}
+                                                    keyboardType="numeric"
+                                                    value={tempSettings.sla_rules_form?.escalation_factor ?? ''}
+                                                    onChangeText={v => setTempSettings({
+                                                        ...tempSettings,
+                                                        sla_rules_form: { ...tempSettings.sla_rules_form, escalation_factor: v },
+                                                    })}
+                                                    placeholder="2"
+                                                    placeholderTextColor="#64748b"
+                                                />
+                                            ) : (
+                                                <Text style={[styles.slaRulesValue, !isDark && styles.textDark]}>
+                                                    {settings.sla_rules?.escalation_factor ?? 2}<Text style={styles.settingsFieldUnit}>x</Text>
+                                                </Text>
+                                            )}
+                                        </View>
+                                    </View>
+                                </View>
+
+                                {/* Commission Rules */}
+                                <CommissionRulesEditor
+                                    styles={styles}
+                                    isDark={isDark}
+                                    TRANSLATIONS={TRANSLATIONS}
+                                    isEditing={isEditing}
+                                    settings={settings}
+                                    tempSettings={tempSettings}
+                                    setTempSettings={setTempSettings}
+                                />
+
+                                {/* Payout bank file template */}
+                                <View style={styles.slaRulesBlock}>
+                                    <Text style={[styles.settingsFieldLabel, !isDark && styles.textDark]}>{TRANSLATIONS.payoutTemplateTitle || 'Payout bank file'}</Text>
+                                    <Text style={styles.settingsFieldHint}>
+                                        {TRANSLATIONS.payoutTemplateHint || 'Fixed-width layout, one field per line: key width [left|right] [pad]. Keys: reference, date, request_id, partner_id, partner_name, phone, email, amount, amount_cents; =TEXT for fixed text, in quotes if it has spaces: ="ACME BANK".'}
+                                    </Text>
+                                    {isEditing ? (
+                                        <TextInput
+                                            style={[styles.settingsInput, !isDark && styles.settingsInputLight, { minHeight: 120, textAlignVertical: 'top', fontFamily: 'monospace' }]}
+                                            multiline
+                                            autoCapitalize="none"
+                                            autoCorrect={false}
+                                            value={tempSettings.payout_template_form ?? ''}
+                                            onChangeText={v => setTempSettings({ ...tempSettings, payout_template_form: v })}
+                                            placeholderTextColor="#64748b"
+                                        />
+                                    ) : (
+                                        <Text style={[styles.settingsFieldValue, !isDark && styles.textDark, { fontFamily: 'monospace', fontSize: 13 }]}>
+                                            {toPayoutTemplateForm(settings.payout_bank_template)}
+                                        </Text>
+                                    )}
+                                </View>
                         </View>
                         )}
                     </View>
@@ -582,6 +698,50 @@ export default function AdminSettingsTab(props) {
                         )}
                     </View>
 
+                    {/* ============================================ */}
+                    {/* NOTIFICATIONS SECTION */}
+                    {/* ============================================ */}
+                    <View style={[styles.settingsSection, !isDark && styles.settingsSectionLight]}>
+                        <View style={styles.settingsSectionHeader}>
+                            <View style={styles.settingsSectionTitleRow}>
+                                <View style={[styles.settingsSectionIcon, { backgroundColor: 'rgba(234, 179, 8, 0.15)' }]}>
+                                    <Ionicons name="notifications" size={20} color="#eab308" />
+                                </View>
+                                <View>
+                                    <Text style={[styles.settingsSectionTitle, !isDark && styles.textDark]}>
+                                        {TRANSLATIONS.settingsNotifications || 'Notifications'}
+                                    </Text>
+                                    <Text style={styles.settingsSectionSubtitle}>
+                                        {TRANSLATIONS.settingsNotificationsHint || 'Choose which alerts you receive'}
+                                    </Text>
+                                </View>
+                            </View>
+                        </View>
+                        {notificationPrefs.options.map((option) => {
+                            const isOn = notificationPrefs.prefs[option.key] === true;
+                            const isDisabled = notificationPrefs.loading || notificationPrefs.savingKey === option.key;
+                            return (
+                                <TouchableOpacity
+                                    key={option.key}
+                                    onPress={() => notificationPrefs.togglePref(option.key)}
+                                    disabled={isDisabled}
+                                    style={[styles.serviceTypeRow, !isDark && styles.serviceTypeRowLight, isDisabled && { opacity: 0.6 }]}
+                                >
+                                    <View style={styles.serviceTypeRowInfo}>
+                                        <Text style={[styles.serviceTypeRowName, !isDark && styles.textDark]} numberOfLines={1}>
+                                            {TRANSLATIONS[option.labelKey] || option.fallback}
+                                        </Text>
+                                    </View>
+                                    <Ionicons
+                                        name={isOn ? 'toggle' : 'toggle-outline'}
+                                        size={28}
+                                        color={isOn ? '#22c55e' : '#64748b'}
+                                    />
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </View>
+
                     <View style={{ height: 100 }} />
                 </ScrollView>
 
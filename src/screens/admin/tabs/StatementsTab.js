@@ -0,0 +1,175 @@
+import React from 'react';
+import { ActivityIndicator, FlatList, ScrollView, Text, TouchableOpacity, View } from 'react-native';
+import { STATEMENT_ACCOUNT_TYPES } from '../../../utils/statements';
+
+/**
+ * Statements tab: monthly statements of every master and partner, exported in bulk
+ * (CSV summary or one PDF with a page per account) or one account at a time.
+ */
+export default function AdminStatementsTab(props) {
+    const {
+        styles,
+        isDark,
+        TRANSLATIONS,
+        renderHeader,
+        statementsState,
+        formatMoney,
+    } = props;
+    const {
+        periods,
+        periodLabel,
+        setPeriodLabel,
+        statements,
+        filteredStatements,
+        truncated,
+        loading,
+        accountFilter,
+        setAccountFilter,
+        exporting,
+        loadStatements,
+        exportAll,
+        exportOne,
+    } = statementsState;
+    const currency = TRANSLATIONS.currency || 'som';
+    const countByType = (type) => statements.filter((statement) => statement.account.type === type).length;
+    const accountOptions = [
+        { id: 'all', label: TRANSLATIONS.filterAll || 'All', count: statements.length },
+        { id: STATEMENT_ACCOUNT_TYPES.MASTER, label: TRANSLATIONS.masterRole || 'Master', count: countByType(STATEMENT_ACCOUNT_TYPES.MASTER) },
+        { id: STATEMENT_ACCOUNT_TYPES.PARTNER, label: TRANSLATIONS.partnerRole || 'Partner', count: countByType(STATEMENT_ACCOUNT_TYPES.PARTNER) },
+    ];
+
+    const renderPill = (option, isActive, onPress) => (
+        <TouchableOpacity
+            key={option.id}
+            style={[
+                styles.pillBtn,
+                isActive && styles.pillBtnActive,
+                !isDark && styles.pillBtnLight,
+                !isDark && isActive && styles.pillBtnActiveLight,
+                { alignSelf: 'flex-start' },
+            ]}
+            onPress={onPress}
+        >
+            <Text
+                style={[
+                    styles.pillText,
+                    !isDark && styles.pillTextLight,
+                    isActive && styles.pillTextActive,
+                    !isDark && isActive && styles.pillTextActiveLight,
+                ]}
+            >
+                {option.label}{option.count !== undefined ? ` (${option.count})` : ''}
+            </Text>
+        </TouchableOpacity>
+    );
+
+    const renderExportButton = (key, label, onPress, disabled) => (
+        <TouchableOpacity
+            key={key}
+            style={[styles.actionButton, { backgroundColor: '#3b82f6', opacity: disabled ? 0.5 : 1 }]}
+            onPress={onPress}
+            disabled={disabled}
+        >
+            {exporting === key
+                ? <ActivityIndicator size="small" color="#fff" />
+                : <Text style={styles.actionButtonText}>{label}</Text>}
+        </TouchableOpacity>
+    );
+
+    const renderMovements = (statement) => {
+        const { totals } = statement;
+        const parts = [];
+        if (totals.topUps) parts.push(`${TRANSLATIONS.statementTopUps || 'Top-ups'}: +${formatMoney(totals.topUps)}`);
+        if (totals.earned) parts.push(`${TRANSLATIONS.statementEarned || 'Commission earned'}: +${formatMoney(totals.earned)}`);
+        if (totals.commissions) parts.push(`${TRANSLATIONS.statementCommissions || 'Commissions deducted'}: -${formatMoney(totals.commissions)}`);
+        if (totals.payouts) parts.push(`${TRANSLATIONS.statementPayouts || 'Payouts'}: -${formatMoney(totals.payouts)}`);
+        if (totals.adjustments) parts.push(`${TRANSLATIONS.statementAdjustments || 'Adjustments'}: ${formatMoney(totals.adjustments)}`);
+        return parts.length ? parts.join(' · ') : (TRANSLATIONS.statementEmpty || 'No transactions in this period');
+    };
+
+    const bulkDisabled = loading || !filteredStatements.length || !!exporting;
+
+    return (
+        <View style={{ flex: 1, paddingHorizontal: 16 }}>
+            {renderHeader(TRANSLATIONS.statementsMenu || 'Statements')}
+
+            <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={{ marginBottom: 8, flexGrow: 0 }}
+                contentContainerStyle={{ gap: 8, paddingRight: 8, alignItems: 'center' }}
+            >
+                {periods.map((period) => renderPill(
+                    { id: period.label, label: period.label },
+                    period.label === periodLabel,
+                    () => setPeriodLabel(period.label),
+                ))}
+            </ScrollView>
+            <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={{ marginBottom: 12, flexGrow: 0 }}
+                contentContainerStyle={{ gap: 8, paddingRight: 8, alignItems: 'center' }}
+            >
+                {accountOptions.map((option) => renderPill(option, accountFilter === option.id, () => setAccountFilter(option.id)))}
+            </ScrollView>
+
+            <View style={[styles.formSection, !isDark && styles.formSectionLight]}>
+                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                    {TRANSLATIONS.statementsBulkHint || 'CSV exports one summary row per account; PDF has a page per account.'}
+                </Text>
+                {truncated && (
+                    <Text style={[styles.itemSubtitle, { color: '#f59e0b' }]}>
+                        {TRANSLATIONS.reconTruncated || 'Some tables were too large to load fully; results may be incomplete.'}
+                    </Text>
+                )}
+                <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
+                    {renderExportButton('csv', TRANSLATIONS.statementExportCsv || 'Export CSV', () => exportAll('csv'), bulkDisabled)}
+                    {renderExportButton('pdf', TRANSLATIONS.statementExportPdf || 'Export PDF', () => exportAll('pdf'), bulkDisabled)}
+                </View>
+            </View>
+
+            {loading ? (
+                <ActivityIndicator size="small" color="#3b82f6" style={{ marginVertical: 12 }} />
+            ) : (
+                <FlatList
+                    data={filteredStatements}
+                    keyExtractor={item => `${item.account.type}:${item.account.id}`}
+                    contentContainerStyle={styles.listContent}
+                    onRefresh={() => loadStatements()}
+                    refreshing={false}
+                    renderItem={({ item }) => (
+                        <View style={[styles.listItemCard, !isDark && styles.listItemCardLight]}>
+                            <View style={styles.peopleRow}>
+                                <View style={{ flex: 1 }}>
+                                    <Text style={[styles.itemTitle, !isDark && styles.textDark]}>
+                                        {`${item.account.type === STATEMENT_ACCOUNT_TYPES.PARTNER
+                                            ? (TRANSLATIONS.partnerRole || 'Partner')
+                                            : (TRANSLATIONS.masterRole || 'Master')}: ${item.account.name || String(item.account.id).slice(0, 8)}`}
+                                    </Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {`${formatMoney(item.openingBalance)} → ${formatMoney(item.closingBalance)} ${currency}`}
+                                    </Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {renderMovements(item)}
+                                    </Text>
+                                </View>
+                                <View style={{ gap: 6 }}>
+                                    {renderExportButton(`csv:${item.account.id}`, 'CSV', () => exportOne('csv', item), !!exporting)}
+                                    {renderExportButton(`pdf:${item.account.id}`, 'PDF', () => exportOne('pdf', item), !!exporting)}
+                                </View>
+                            </View>
+                        </View>
+                    )}
+                    ListEmptyComponent={(
+                        <View style={styles.empty}>
+                            <Text style={[styles.emptyText, !isDark && styles.textSecondary]}>
+                                {TRANSLATIONS.statementsEmpty || 'No accounts found'}
+                            </Text>
+                        </View>
+                    )}
+                />
+            )}
+        </View>
+    );
+}
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { ActivityIndicator, FlatList, Image, Linking, ScrollView, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { TOP_UP_STATUSES } from '../../../utils/balanceTopUps';
+
+const METHOD_LABEL_KEYS = {
+    transfer: ['paymentTransfer', 'Transfer'],
+    card: ['paymentCard', 'Card'],
+    cash: ['paymentCash', 'Cash'],
+};
+
+/**
+ * Top-ups tab: master balance top-up requests with the payment screenshot. Approving
+ * credits prepaid_balance (verify_topup_proof -> add_master_balance); rejecting needs a note.
+ */
+export default function AdminTopUpsTab(props) {
+    const {
+        styles,
+        isDark,
+        TRANSLATIONS,
+        renderHeader,
+        topUpsState,
+        formatMoney,
+    } = props;
+    const {
+        filteredTopUps,
+        statusFilter,
+        setStatusFilter,
+        statusCounts,
+        topUpsLoading,
+        decidingRequestId,
+        loadTopUps,
+        decideTopUp,
+    } = topUpsState;
+    const [expandedId, setExpandedId] = useState(null);
+    const [reviewNotes, setReviewNotes] = useState('');
+    const currency = TRANSLATIONS.currency || 'som';
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+    const statusOptions = [
+        { id: TOP_UP_STATUSES.REQUESTED, label: TRANSLATIONS.statusRequested || 'Requested' },
+        { id: TOP_UP_STATUSES.APPROVED, label: TRANSLATIONS.approved || 'Approved' },
+        { id: TOP_UP_STATUSES.REJECTED, label: TRANSLATIONS.statusRejected || TRANSLATIONS.reject || 'Rejected' },
+        { id: 'all', label: TRANSLATIONS.filterAll || 'All' },
+    ];
+    const statusColors = {
+        [TOP_UP_STATUSES.REQUESTED]: '#f59e0b',
+        [TOP_UP_STATUSES.APPROVED]: '#22c55e',
+        [TOP_UP_STATUSES.REJECTED]: '#ef4444',
+    };
+    const getMethodLabel = (method) => {
+        const [key, fallback] = METHOD_LABEL_KEYS[method] || [method, method];
+        return TRANSLATIONS[key] || fallback;
+    };
+
+    const toggleExpanded = (item) => {
+        setExpandedId(expandedId === item.id ? null : item.id);
+        setReviewNotes('');
+    };
+
+    const submitDecision = async (item, approve) => {
+        const saved = await decideTopUp(item, { approve, notes: reviewNotes });
+        if (saved) {
+            setExpandedId(null);
+            setReviewNotes('');
+        }
+    };
+
+    const renderActions = (item) => {
+        const busy = decidingRequestId === item.id;
+        return (
+            <View style={{ marginTop: 10 }}>
+                <TextInput
+                    style={[styles.input, styles.textArea, !isDark && styles.inputLight]}
+                    value={reviewNotes}
+                    onChangeText={setReviewNotes}
+                    multiline
+                    numberOfLines={2}
+                    placeholder={TRANSLATIONS.topUpReviewNotesHint || 'Note for the master (required to reject)'}
+                    placeholderTextColor="#64748b"
+                />
+                <View style={styles.editActionRow}>
+                    <TouchableOpacity
+                        style={[styles.editActionBtn, styles.editActionSuccess, busy && { opacity: 0.6 }]}
+                        disabled={busy}
+                        onPress={() => submitDecision(item, true)}
+                    >
+                        <Text style={styles.editActionText}>{TRANSLATIONS.topUpApprove || 'Approve & credit'}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.editActionBtn, styles.editActionDanger, busy && { opacity: 0.6 }]}
+                        disabled={busy}
+                        onPress={() => submitDecision(item, false)}
+                    >
+                        <Text style={styles.editActionText}>{TRANSLATIONS.reject || 'Reject'}</Text>
+                    </TouchableOpacity>
+                </View>
+                {busy && <ActivityIndicator size="small" color="#3b82f6" style={{ marginTop: 8 }} />}
+            </View>
+        );
+    };
+
+    return (
+        <View style={{ flex: 1, paddingHorizontal: 16 }}>
+            {renderHeader(TRANSLATIONS.topUpsTab || 'Top-ups')}
+
+            <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={{ marginBottom: 12, flexGrow: 0 }}
+                contentContainerStyle={{ gap: 8, paddingRight: 8, alignItems: 'center' }}
+            >
+                {statusOptions.map((option) => {
+                    const isActive = statusFilter === option.id;
+                    return (
+                        <TouchableOpacity
+                            key={option.id}
+                            style={[
+                                styles.pillBtn,
+                                isActive && styles.pillBtnActive,
+                                !isDark && styles.pillBtnLight,
+                                !isDark && isActive && styles.pillBtnActiveLight,
+                                { alignSelf: 'flex-start' },
+                            ]}
+                            onPress={() => setStatusFilter(option.id)}
+                        >
+                            <Text
+                                style={[
+                                    styles.pillText,
+                                    !isDark && styles.pillTextLight,
+                                    isActive && styles.pillTextActive,
+                                    !isDark && isActive && styles.pillTextActiveLight,
+                                ]}
+                            >
+                                {option.label} ({Number(statusCounts?.[option.id] || 0)})
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </ScrollView>
+
+            <FlatList
+                data={filteredTopUps}
+                keyExtractor={item => String(item.id)}
+                contentContainerStyle={styles.listContent}
+                onRefresh={() => loadTopUps()}
+                refreshing={false}
+                renderItem={({ item }) => {
+                    const isOpen = item.status === TOP_UP_STATUSES.REQUESTED;
+                    const expanded = isOpen && expandedId === item.id;
+                    const statusColor = statusColors[item.status] || '#64748b';
+                    const statusLabel = statusOptions.find(option => option.id === item.status)?.label || item.status;
+                    return (
+                        <TouchableOpacity
+                            style={[styles.listItemCard, !isDark && styles.listItemCardLight]}
+                            onPress={() => isOpen && toggleExpanded(item)}
+                            activeOpacity={0.85}
+                        >
+                            <View style={styles.peopleRow}>
+                                <View style={{ flex: 1 }}>
+                                    <Text style={[styles.itemTitle, !isDark && styles.textDark]}>
+                                        {item.master?.full_name || item.master?.phone || '-'}
+                                    </Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {`${formatMoney(item.amount)} ${currency} · ${getMethodLabel(item.method)} · ${formatDate(item.created_at)}`}
+                                    </Text>
+                                    <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                        {TRANSLATIONS.prepaidBalance || 'Prepaid Balance'}: {formatMoney(item.master?.prepaid_balance)} {currency}
+                                    </Text>
+                                </View>
+                                <View style={[styles.statusBadge, { backgroundColor: `${statusColor}22` }]}>
+                                    <Text style={[styles.statusText, { color: statusColor }]}>{statusLabel}</Text>
+                                </View>
+                            </View>
+                            {!!item.notes && (
+                                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary, { marginTop: 8 }]}>
+                                    {TRANSLATIONS.labelRequestNote || 'Request note'}: {item.notes}
+                                </Text>
+                            )}
+                            {!!item.review_notes && (
+                                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary]}>
+                                    {TRANSLATIONS.note || 'Note'}: {item.review_notes}
+                                </Text>
+                            )}
+                            {item.proof_url ? (
+                                <TouchableOpacity onPress={() => Linking.openURL(item.proof_url)} style={{ marginTop: 8 }}>
+                                    <Image
+                                        source={{ uri: item.proof_url }}
+                                        style={{ width: expanded ? 220 : 72, height: expanded ? 300 : 72, borderRadius: 8 }}
+                                        resizeMode="cover"
+                                    />
+                                </TouchableOpacity>
+                            ) : (
+                                <Text style={[styles.itemSubtitle, !isDark && styles.textSecondary, { marginTop: 8 }]}>
+                                    {TRANSLATIONS.topUpProofUnavailable || 'Screenshot unavailable'}
+                                </Text>
+                            )}
+                            {expanded && renderActions(item)}
+                        </TouchableOpacity>
+                    );
+                }}
+                ListFooterComponent={topUpsLoading ? <ActivityIndicator size="small" color="#3b82f6" style={{ marginVertical: 12 }} /> : null}
+                ListEmptyComponent={
+                    !topUpsLoading ? (
+                        <View style={styles.empty}>
+                            <Text style={[styles.emptyText, !isDark && styles.textSecondary]}>
+                                {TRANSLATIONS.topUpsEmpty || 'No top-up requests'}
+                            </Text>
+                        </View>
+                    ) : null
+                }
+            />
+        </View>
+    );
+}
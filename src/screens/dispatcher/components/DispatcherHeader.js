@@ -4,7 +4,9 @@ import { View, TouchableOpacity, Text } from 'react-native';
 const getTitle = (activeTab, labels) => {
   if (activeTab === 'queue') return labels.ordersQueue;
   if (activeTab === 'stats') return labels.stats || 'Statistics';
+  if (activeTab === 'overview') return labels.partnerOverview || 'Overview';
   if (activeTab === 'earnings') return labels.partnerEarnings || labels.sectionEarnings || 'Earnings';
+  if (activeTab === 'team') return labels.dispatcherTeamTab || 'Team';
   if (activeTab === 'settings') return labels.sectionSettings || 'Settings';
   return labels.createOrder;
 };
@@ -39,11 +39,11 @@ export default function DispatcherSidebar({
             {isPartner ? (
               <>
                 <TouchableOpacity
-                  style={[styles.sidebarNavItem, activeTab === 'stats' && styles.sidebarNavItemActive]}
-                  onPress={() => onSelectTab('stats')}
+                  style={[styles.sidebarNavItem, activeTab === 'overview' && styles.sidebarNavItemActive]}
+                  onPress={() => onSelectTab('overview')}
                 >
-                  <Text style={[styles.sidebarNavText, activeTab === 'stats' && styles.sidebarNavTextActive]}>
-                    {translations[language].stats || 'Statistics'}
+                  <Text style={[styles.sidebarNavText, activeTab === 'overview' && styles.sidebarNavTextActive]}>
+                    {translations[language].partnerOverview || 'Overview'}
                   </Text>
                 </TouchableOpacity>
               </>
@@ -80,6 +80,26 @@ export default function DispatcherSidebar({
                 {translations[language].createOrder}
               </Text>
             </TouchableOpacity>
+            {!isPartner && (
+              <TouchableOpacity
+                style={[styles.sidebarNavItem, activeTab === 'team' && styles.sidebarNavItemActive]}
+                onPress={() => onSelectTab('team')}
+              >
+                <Text style={[styles.sidebarNavText, activeTab === 'team' && styles.sidebarNavTextActive]}>
+                  {translations[language].dispatcherTeamTab || 'Team'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            {isPartner && (
+              <TouchableOpacity
+                style={[styles.sidebarNavItem, activeTab === 'earnings' && styles.sidebarNavItemActive]}
+                onPress={() => onSelectTab('earnings')}
+              >
+                <Text style={[styles.sidebarNavText, activeTab === 'earnings' && styles.sidebarNavTextActive]}>
+                  {translations[language].partnerEarnings || translations[language].sectionEarnings || 'Earnings'}
+                </Text>
+              </TouchableOpacity>
+            )}
             <TouchableOpacity
               style={[styles.sidebarNavItem, activeTab === 'settings' && styles.sidebarNavItemActive]}
               onPress={() => onSelectTab('settings')}
@@ -10,6 +10,9 @@ import {
   View,
 } from 'react-native';
 import DateTimePicker from '@react-native-community/datetimepicker';
+import { Ionicons } from '@expo/vector-icons';
+import PhotoAttachmentPicker from '../../../../components/shared/PhotoAttachmentPicker';
+import LocationPicker from '../../../../components/shared/LocationPicker';
 
 export default function DispatcherCreateOrderTab({
   styles,
@@ -25,6 +28,7 @@ export default function DispatcherCreateOrderTab({
   phoneError,
   newOrder,
   setNewOrder,
+  showToast,
   handlePhoneBlur,
   handlePastePhone,
   openDistrictPicker,
@@ -45,6 +49,13 @@ export default function DispatcherCreateOrderTab({
   handleCreateOrder,
   loading,
   skeletonPulse,
+  clientLookup,
+  clientLookupLoading,
+  applyClientAddress,
+  priceInsight,
+  t,
+  getOrderStatusLabel,
+  getServiceLabel,
 }) {
   const TRANSLATIONS = translations;
   const publishDisabled = !confirmChecked || actionLoading;
@@ -127,6 +138,58 @@ export default function DispatcherCreateOrderTab({
     </View>
   );
 
+  const renderKnownClient = () => {
+    if (!clientLookup?.client) return null;
+    const { client, stats, addresses = [], recent_orders: recentOrders = [] } = clientLookup;
+    const lastOrderAt = stats?.last_order_at ? new Date(stats.last_order_at).toLocaleDateString() : '-';
+    return (
+      <View style={[styles.knownClientCard, !isDark && styles.knownClientCardLight]}>
+        <Text style={styles.knownClientTitle}>
+          {(TRANSLATIONS[language].clientKnownTitle || 'Returning client')}{client.full_name ? `: ${client.full_name}` : ''}
+        </Text>
+        <Text style={[styles.knownClientMeta, !isDark && styles.textSecondary]}>
+          {(TRANSLATIONS[language].clientKnownSummary || 'Orders: {0} · last {1}')
+            .replace('{0}', String(stats?.order_count || 0))
+            .replace('{1}', lastOrderAt)}
+          {Number(stats?.dispute_count) > 0
+            ? ` · ${(TRANSLATIONS[language].clientDisputesCount || 'Disputes: {0}').replace('{0}', String(stats.dispute_count))}`
+            : ''}
+        </Text>
+        {addresses.length > 0 && (
+          <>
+            <Text style={[styles.inputLabel, !isDark && styles.textSecondary]}>{TRANSLATIONS[language].clientPastAddresses || 'Past addresses'}</Text>
+            <View style={styles.knownClientChips}>
+              {addresses.map((address) => (
+                <TouchableOpacity
+                  key={`${address.full_address}-${address.last_used_at}`}
+                  style={styles.recentAddrBtn}
+                  onPress={() => applyClientAddress?.(address)}
+                >
+                  <Text style={styles.recentAddrBtnText} numberOfLines={1}>
+                    {address.area ? `${districts.find((d) => d.id === address.area)?.label || address.area} · ` : ''}
+                    {address.full_address}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+        {recentOrders.length > 0 && (
+          <>
+            <Text style={[styles.inputLabel, !isDark && styles.textSecondary]}>{TRANSLATIONS[language].clientPreviousOrders || 'Previous orders'}</Text>
+            {recentOrders.map((order) => (
+              <Text key={order.id} style={[styles.knownClientOrder, !isDark && styles.textSecondary]} numberOfLines={1}>
+                {new Date(order.created_at).toLocaleDateString()} · {getServiceLabel(order.service_type, t)} · {getOrderStatusLabel(order.status, t)}
+                {order.final_price ? ` · ${order.final_price} ${TRANSLATIONS[language].currencySom || 'som'}` : ''}
+                {order.master_name ? ` · ${order.master_name}` : ''}
+              </Text>
+            ))}
+          </>
+        )}
+      </View>
+    );
+  };
+
   const renderForm = () => (
     <View style={styles.createSections}>
       <View style={[styles.formSection, !isDark && styles.formSectionLight]}>
@@ -147,6 +210,10 @@ export default function DispatcherCreateOrderTab({
           </TouchableOpacity>
         </View>
         {phoneError ? <Text style={styles.errorText}>{phoneError}</Text> : null}
+        {clientLookupLoading && !clientLookup ? (
+          <ActivityIndicator size="small" color="#3b82f6" style={{ alignSelf: 'flex-start', marginTop: 6 }} />
+        ) : null}
+        {renderKnownClient()}
         <Text style={[styles.inputLabel, !isDark && styles.textSecondary]}>{TRANSLATIONS[language].createName}</Text>
         <TextInput
           style={[styles.input, !isDark && styles.inputLight]}
@@ -187,6 +254,14 @@ export default function DispatcherCreateOrderTab({
           onChangeText={(value) => setNewOrder({ ...newOrder, orientir: value })}
           placeholderTextColor={isDark ? '#64748b' : '#94a3b8'}
         />
+
+        <LocationPicker
+          label={TRANSLATIONS[language].labelOrderLocation || 'Map location'}
+          value={newOrder.location || null}
+          onChange={(location) => setNewOrder((prev) => ({ ...prev, location }))}
+          onError={(message) => showToast?.(message, 'error')}
+          isDark={isDark}
+        />
       </View>
 
       <View style={[styles.formSection, !isDark && styles.formSectionLight]}>
@@ -228,6 +303,14 @@ export default function DispatcherCreateOrderTab({
           />
           <Text style={styles.charCounter}>{(newOrder.problemDescription || '').length}/500</Text>
         </View>
+        <PhotoAttachmentPicker
+          label={TRANSLATIONS[language].labelProblemPhotos || 'Problem photos'}
+          photos={newOrder.photos || []}
+          onChange={(photos) => setNewOrder((prev) => ({ ...prev, photos }))}
+          onError={(message) => showToast?.(message, 'error')}
+          isDark={isDark}
+          disabled={actionLoading}
+        />
       </View>
 
       <View style={[styles.formSection, !isDark && styles.formSectionLight]}>
@@ -400,6 +483,23 @@ export default function DispatcherCreateOrderTab({
             </View>
           ) : null}
         </View>
+        {priceInsight ? (
+          <View style={styles.priceInsightRow}>
+            <Ionicons name="analytics-outline" size={14} color="#3b82f6" />
+            <Text style={[styles.priceInsightText, !isDark && styles.priceInsightTextLight]}>
+              {(TRANSLATIONS[language].priceInsightRange || 'Typical price {0}–{1} (median {2}, {3} orders)')
+                .replace('{0}', priceInsight.low)
+                .replace('{1}', priceInsight.high)
+                .replace('{2}', priceInsight.median)
+                .replace('{3}', priceInsight.sample)}
+            </Text>
+            {newOrder.pricingType === 'fixed' ? (
+              <TouchableOpacity onPress={() => setNewOrder({ ...newOrder, initialPrice: String(priceInsight.median) })}>
+                <Text style={styles.priceInsightAction}>{TRANSLATIONS[language].priceInsightUseMedian || 'Use median'}</Text>
+              </TouchableOpacity>
+            ) : null}
+          </View>
+        ) : null}
       </View>
 
       <View style={[styles.formSection, !isDark && styles.formSectionLight]}>
@@ -1,5 +1,8 @@
-import React, { useCallback, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { Modal, ScrollView, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import AccountStatement from '../../../../components/shared/AccountStatement';
+import { STATEMENT_ACCOUNT_TYPES } from '../../../../utils/statements';
+import { getPayoutLifecycle } from '../../../../utils/partnerAnalytics';
 
 const formatAmount = (value) => {
   const amount = Number(value);
@@ -13,6 +16,14 @@ const statusColorMap = {
   rejected: '#ef4444',
 };
 
+const LIFECYCLE_LABELS = {
+  requested: ['statusRequested', 'Requested'],
+  review: ['partnerPayoutInReview', 'In review'],
+  paid: ['statusPaid', 'Paid'],
+  rejected: ['statusRejected', 'Rejected'],
+  ledger: ['partnerPayoutLedger', 'Balance debited'],
+};
+
 export default function DispatcherEarningsTab({
   styles,
   isDark,
@@ -28,6 +39,10 @@ export default function DispatcherEarningsTab({
   onSubmitPayout,
   loading,
   actionLoading,
+  partnerId,
+  showToast,
+  openPayoutComposerToken,
+  onPayoutComposerHandled,
 }) {
   const TRANSLATIONS = translations;
   const sectionEarningsLabel = TRANSLATIONS[language].partnerEarnings
@@ -63,6 +78,45 @@ export default function DispatcherEarningsTab({
     setShowPayoutModal(true);
   }, [requestButtonDisabled]);
 
+  useEffect(() => {
+    if (!openPayoutComposerToken) return;
+    onPayoutComposerHandled?.();
+    if (!pendingRequest) setShowPayoutModal(true);
+  }, [openPayoutComposerToken]);
+
+  const getLifecycleDotStyle = (step) => {
+    if (step.key === 'rejected') return styles.partnerTimelineDotError;
+    if (step.done) return styles.partnerTimelineDotDone;
+    return step.key === 'review' ? styles.partnerTimelineDotActive : styles.partnerTimelineDotPending;
+  };
+
+  const renderLifecycle = (request) => {
+    const steps = getPayoutLifecycle(request, transactions);
+    return (
+      <View style={[styles.partnerTimelineRow, styles.partnerLifecycle]}>
+        {steps.map((step, index) => {
+          const [key, fallback] = LIFECYCLE_LABELS[step.key] || [step.key, step.key];
+          return (
+            <React.Fragment key={step.key}>
+              {index > 0 ? <View style={styles.partnerTimelineConnector} /> : null}
+              <View style={styles.partnerTimelineStep}>
+                <View style={[styles.partnerTimelineDot, getLifecycleDotStyle(step)]} />
+                <Text style={[styles.partnerTimelineLabel, !isDark && styles.textSecondary]}>
+                  {TRANSLATIONS[language][key] || fallback}
+                </Text>
+                {step.at ? (
+                  <Text style={[styles.partnerTimelineLabel, !isDark && styles.textSecondary]}>
+                    {new Date(step.at).toLocaleDateString()}
+                  </Text>
+                ) : null}
+              </View>
+            </React.Fragment>
+          );
+        })}
+      </View>
+    );
+  };
+
   const submitPayoutFromModal = useCallback(async () => {
     if (typeof onSubmitPayout !== 'function') return;
     const isSuccess = await onSubmitPayout();
@@ -154,6 +208,13 @@ export default function DispatcherEarningsTab({
           </View>
         </View>
 
+        <AccountStatement
+          accountType={STATEMENT_ACCOUNT_TYPES.PARTNER}
+          accountId={partnerId}
+          showToast={showToast}
+          isDark={isDark}
+        />
+
         <View style={[styles.settingsCard, !isDark && styles.cardLight]}>
           <Text style={[styles.settingsTitle, !isDark && styles.textSecondary]}>
             {TRANSLATIONS[language].overview || 'Overview'}
@@ -200,6 +261,10 @@ export default function DispatcherEarningsTab({
                       {(TRANSLATIONS[language].approved || 'Approved')}: {formatAmount(item.approved_amount)} {TRANSLATIONS[language].currencySom || 'som'}
                     </Text>
                   ) : null}
+                  {item.admin_note ? (
+                    <Text style={[styles.partnerRowMeta, !isDark && styles.textSecondary]}>{item.admin_note}</Text>
+                  ) : null}
+                  {renderLifecycle(item)}
                 </View>
                 <View style={[styles.partnerStatusChip, { backgroundColor: `${statusColorMap[item.status] || '#64748b'}22` }]}>
                   <Text style={[styles.partnerStatusChipText, { color: statusColorMap[item.status] || '#64748b' }]}>
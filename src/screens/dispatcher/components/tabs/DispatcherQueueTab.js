@@ -12,6 +12,8 @@ import {
 } from 'react-native';
 import { ATTENTION_FILTER_OPTIONS, SORT_OPTIONS, STATUS_OPTIONS, URGENCY_OPTIONS } from '../../constants';
 import Pagination from '../Pagination';
+import OrderAgenda from '../../../../components/shared/OrderAgenda';
+import { evaluateOrderSla } from '../../../../utils/slaRules';
 
 export default function DispatcherQueueTab({
   styles,
@@ -25,6 +27,7 @@ export default function DispatcherQueueTab({
   setSearchQuery,
   viewMode,
   setViewMode,
+  agenda,
   showFilters,
   setShowFilters,
   setPickerModal,
@@ -37,6 +40,7 @@ export default function DispatcherQueueTab({
   serviceTypes,
   needsAttentionCount,
   needsActionOrders,
+  slaRules,
   filterAttentionType,
   setFilterAttentionType,
   sortOrder,
@@ -45,6 +49,7 @@ export default function DispatcherQueueTab({
   setShowNeedsAttention,
   setDetailsOrder,
   openAssignModal,
+  changedOrders = {},
   canAssignMasters = true,
   filteredOrders,
   queueTotalCount,
@@ -65,6 +70,7 @@ export default function DispatcherQueueTab({
   getTimeAgo,
 }) {
   const TRANSLATIONS = translations;
+  const isAgendaView = viewMode === 'agenda';
 
   const renderFilters = () => {
     const statusOptionsWithCounts = STATUS_OPTIONS.map((opt) => ({
@@ -104,17 +110,27 @@ export default function DispatcherQueueTab({
               {viewMode === 'cards' ? '\u2630' : '\u25A6'}
             </Text>
           </TouchableOpacity>
-          <TouchableOpacity
-            style={[styles.filterShowBtn, showFilters && styles.filterShowBtnActive, !isDark && !showFilters && styles.btnLight]}
-            onPress={() => setShowFilters(!showFilters)}
-          >
-            <Text style={[styles.filterShowBtnText, showFilters && styles.filterShowBtnTextActive]}>
-              {showFilters ? TRANSLATIONS[language].hideFilters : TRANSLATIONS[language].showFilters}
-            </Text>
-          </TouchableOpacity>
+          {agenda && (
+            <TouchableOpacity
+              style={[styles.viewToggleBtn, !isDark && styles.btnLight, isAgendaView && styles.filterToggleBtnActive]}
+              onPress={() => setViewMode((prev) => (prev === 'agenda' ? 'compact' : 'agenda'))}
+            >
+              <Text style={[styles.viewToggleBtnText, !isDark && !isAgendaView && styles.textDark]}>{'\uD83D\uDCC5'}</Text>
+            </TouchableOpacity>
+          )}
+          {!isAgendaView && (
+            <TouchableOpacity
+              style={[styles.filterShowBtn, showFilters && styles.filterShowBtnActive, !isDark && !showFilters && styles.btnLight]}
+              onPress={() => setShowFilters(!showFilters)}
+            >
+              <Text style={[styles.filterShowBtnText, showFilters && styles.filterShowBtnTextActive]}>
+                {showFilters ? TRANSLATIONS[language].hideFilters : TRANSLATIONS[language].showFilters}
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
 
-        {showFilters && (
+        {showFilters && !isAgendaView && (
           <View style={styles.filterDropdownRow}>
             <TouchableOpacity
               style={[styles.filterDropdown, !isDark && styles.btnLight]}
@@ -197,6 +213,15 @@ export default function DispatcherQueueTab({
     );
   };
 
+  const getStuckBadgeLabel = (order) => {
+    const sla = evaluateOrderSla(order, slaRules);
+    const label = sla?.escalated
+      ? (TRANSLATIONS[language].badgeSlaEscalated || 'Escalated')
+      : TRANSLATIONS[language].badgeStuck;
+    if (!sla?.breached) return label;
+    return `${label} ${(TRANSLATIONS[language].slaOverdueMinutes || '+{0} min').replace('{0}', sla.overdueMinutes)}`;
+  };
+
   const renderNeedsAttention = () => {
     const attentionDisplayCount = needsAttentionCount || needsActionOrders.length;
     if (attentionDisplayCount === 0) return null;
@@ -287,14 +312,14 @@ export default function DispatcherQueueTab({
           <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.attentionScroll}>
             {sortedNeedsAction.map((order) => (
               <TouchableOpacity key={order.id} style={[styles.attentionCard, !isDark && styles.cardLight]} onPress={() => setDetailsOrder(order)}>
-                <Text style={styles.attentionBadge}>
+                <Text style={[styles.attentionBadge, evaluateOrderSla(order, slaRules)?.escalated && styles.attentionBadgeEscalated]}>
                   {order.is_disputed
                     ? TRANSLATIONS[language].badgeDispute
                     : order.status === 'completed'
                       ? TRANSLATIONS[language].badgeUnpaid
                       : order.status?.includes('canceled')
                         ? (TRANSLATIONS[language].badgeCanceled || 'Canceled')
-                        : TRANSLATIONS[language].badgeStuck}
+                        : getStuckBadgeLabel(order)}
                 </Text>
                 <Text style={[styles.attentionService, !isDark && styles.textDark]}>{getServiceLabel(order.service_type, t)}</Text>
                 <Text style={[styles.attentionAddr, !isDark && styles.textSecondary]} numberOfLines={1}>{order.full_address}</Text>
@@ -306,8 +331,21 @@ export default function DispatcherQueueTab({
     );
   };
 
+  const renderChangeBadge = (item) => {
+    const change = changedOrders[item.id];
+    if (!change) return null;
+    return (
+      <Text style={styles.orderChangedBadge} numberOfLines={1}>
+        {(TRANSLATIONS[language].badgeStatusChanged || 'Updated: {0}').replace('{0}', getOrderStatusLabel(change.to, t))}
+      </Text>
+    );
+  };
+
   const renderCompactRow = ({ item }) => (
-    <TouchableOpacity style={[styles.compactRow, !isDark && styles.cardLight]} onPress={() => setDetailsOrder(item)}>
+    <TouchableOpacity
+      style={[styles.compactRow, !isDark && styles.cardLight, changedOrders[item.id] && styles.orderChangedHighlight]}
+      onPress={() => setDetailsOrder(item)}
+    >
       <View style={[styles.compactStatusBadge, { backgroundColor: STATUS_COLORS[item.status] || '#64748b' }]}>
         <Text style={styles.compactStatusText}>{getOrderStatusLabel(item.status, t)}</Text>
       </View>
@@ -322,6 +360,7 @@ export default function DispatcherQueueTab({
           )}
         </View>
         <Text style={[styles.compactAddr, !isDark && styles.textSecondary]} numberOfLines={1}>{item.full_address}</Text>
+        {renderChangeBadge(item)}
         <View style={styles.compactBottomRow}>
           <Text style={[styles.compactClient, !isDark && styles.textDark]}>{item.client?.full_name || item.client_name || 'N/A'}</Text>
           {item.master && <Text style={styles.compactMaster}>{TRANSLATIONS[language].labelMasterPrefix}{item.master.full_name}</Text>}
@@ -343,7 +382,10 @@ export default function DispatcherQueueTab({
   const renderCard = ({ item }) => {
     const payAmount = item?.final_price ?? item?.initial_price ?? '-';
     return (
-      <TouchableOpacity style={[styles.orderCard, !isDark && styles.cardLight]} onPress={() => setDetailsOrder(item)}>
+      <TouchableOpacity
+        style={[styles.orderCard, !isDark && styles.cardLight, changedOrders[item.id] && styles.orderChangedHighlight]}
+        onPress={() => setDetailsOrder(item)}
+      >
         <View style={styles.cardHeader}>
           <Text style={[styles.cardService, !isDark && styles.textDark]}>{getServiceLabel(item.service_type, t)}</Text>
           <View style={[styles.cardStatus, { backgroundColor: STATUS_COLORS[item.status] }]}>
@@ -351,6 +393,7 @@ export default function DispatcherQueueTab({
           </View>
         </View>
         <Text style={[styles.cardAddr, !isDark && styles.textSecondary]} numberOfLines={2}>{item.full_address}</Text>
+        {renderChangeBadge(item)}
         <View style={styles.cardFooter}>
           <Text style={[styles.cardClient, !isDark && styles.textDark]}>{item.client?.full_name || item.client_name || 'N/A'}</Text>
           <Text style={styles.cardTime}>{getTimeAgo(item.created_at, t)}</Text>
@@ -391,7 +434,7 @@ export default function DispatcherQueueTab({
   };
 
   const totalPages = Math.max(1, Math.ceil((queueTotalCount || 0) / pageSize));
-  if (loading && !refreshing) {
+  if (loading && !refreshing && !isAgendaView) {
     const isCardsView = viewMode === 'cards';
     const skeletonCount = isCardsView ? 6 : 8;
     return (
@@ -443,6 +486,30 @@ export default function DispatcherQueueTab({
     );
   }
 
+  if (isAgendaView && agenda) {
+    return (
+      <View style={styles.queueContainer}>
+        {renderFilters()}
+        <ScrollView
+          contentContainerStyle={styles.listContent}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} tintColor={isDark ? '#3b82f6' : '#0f172a'} />}
+        >
+          <OrderAgenda
+            orders={agenda.agendaOrders}
+            view={agenda.agendaView}
+            anchorDate={agenda.agendaAnchor}
+            onChangeView={agenda.setAgendaView}
+            onChangeAnchor={agenda.setAgendaAnchor}
+            onOpenOrder={setDetailsOrder}
+            isDark={isDark}
+            loading={agenda.agendaLoading}
+            showMaster
+          />
+        </ScrollView>
+      </View>
+    );
+  }
+
   return (
     <View style={styles.queueContainer}>
       {renderNeedsAttention()}
@@ -451,6 +518,7 @@ export default function DispatcherQueueTab({
         data={filteredOrders}
         renderItem={viewMode === 'cards' ? renderCard : renderCompactRow}
         keyExtractor={(item) => item.id}
+        extraData={changedOrders}
         numColumns={viewMode === 'cards' ? 2 : 1}
         key={viewMode}
         contentContainerStyle={styles.listContent}
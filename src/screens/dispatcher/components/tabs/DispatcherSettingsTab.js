@@ -1,6 +1,9 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { Animated, Linking, Modal, ScrollView, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { Feather, Ionicons } from '@expo/vector-icons';
+import { useNotificationPreferences } from '../../../../hooks/useNotificationPreferences';
+import AccountStatement from '../../../../components/shared/AccountStatement';
+import { STATEMENT_ACCOUNT_TYPES } from '../../../../utils/statements';
 
 const THEME_OPTIONS = [
   { id: 'light', icon: '\u2600', labelKey: 'settingsThemeLight', fallback: 'Light' },
@@ -71,6 +74,7 @@ export default function DispatcherSettingsTab({
   openPayoutComposerToken,
   onOpenAddMaster,
   addMasterDisabled,
+  showToast,
 }) {
   const TRANSLATIONS = translations;
   const profileFallbackName = user?.role === 'partner'
@@ -110,6 +114,7 @@ export default function DispatcherSettingsTab({
   const [partnerHistoryFilter, setPartnerHistoryFilter] = useState('all');
   const [partnerHistorySort, setPartnerHistorySort] = useState('desc');
   const [partnerHistoryVisibleCount, setPartnerHistoryVisibleCount] = useState(12);
+  const notificationPrefs = useNotificationPreferences(user);
 
   const sortedPayoutRequests = useMemo(() => {
     const items = Array.isArray(partnerPayoutRequests) ? [...partnerPayoutRequests] : [];
@@ -476,6 +481,40 @@ export default function DispatcherSettingsTab({
         </View>
       </View>
 
+      <View style={[styles.settingsCard, !isDark && styles.cardLight]}>
+        <Text style={[styles.settingsTitle, !isDark && styles.textSecondary]}>
+          {TRANSLATIONS[language].settingsNotifications || 'Notifications'}
+        </Text>
+        <Text style={[styles.settingsHint, !isDark && styles.textSecondary]}>
+          {TRANSLATIONS[language].settingsNotificationsHint || 'Choose which alerts you receive'}
+        </Text>
+        <View style={styles.settingsSupportList}>
+          {notificationPrefs.options.map((option) => {
+            const isOn = notificationPrefs.prefs[option.key] === true;
+            const isDisabled = notificationPrefs.loading || notificationPrefs.savingKey === option.key;
+            return (
+              <TouchableOpacity
+                key={option.key}
+                style={[
+                  styles.settingsSupportRow,
+                  !isDark && styles.settingsSupportRowLight,
+                  isDisabled && { opacity: 0.6 },
+                ]}
+                onPress={() => notificationPrefs.togglePref(option.key)}
+                disabled={isDisabled}
+              >
+                <Text style={[styles.settingsSupportLabel, !isDark && styles.textDark, { flex: 1 }]}>
+                  {TRANSLATIONS[language][option.labelKey] || option.fallback}
+                </Text>
+                <Text style={[styles.settingsSupportValue, { color: isOn ? '#22c55e' : '#94a3b8' }]}>
+                  {isOn ? (TRANSLATIONS[language].notifPrefOn || 'On') : (TRANSLATIONS[language].notifPrefOff || 'Off')}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+
       <View style={[styles.settingsCard, !isDark && styles.cardLight]}>
         <Text style={[styles.settingsTitle, !isDark && styles.textSecondary]}>{TRANSLATIONS[language].settingsSupport || 'Support'}</Text>
         <View style={styles.settingsSupportList}>
@@ -611,6 +650,13 @@ export default function DispatcherSettingsTab({
         </View>
       </View>
 
+      <AccountStatement
+        accountType={STATEMENT_ACCOUNT_TYPES.PARTNER}
+        accountId={user?.id}
+        showToast={showToast}
+        isDark={isDark}
+      />
+
       <View style={[styles.settingsCard, !isDark && styles.cardLight]}>
         <View style={styles.partnerHistoryHeaderRow}>
           <Text style={[styles.settingsTitle, !isDark && styles.textSecondary]}>
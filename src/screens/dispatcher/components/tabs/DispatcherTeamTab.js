@@ -0,0 +1,18 @@
+import React from 'react';
+import { ScrollView } from 'react-native';
+import TeamPresenceBoard from '../../../../components/shared/TeamPresenceBoard';
+
+/**
+ * Team tab: live presence of masters and dispatchers (who is online, on a job, for how long).
+ */
+export default function DispatcherTeamTab({ styles, isDark, userId, showToast }) {
+  return (
+    <ScrollView style={styles.partnerEarningsContainer} contentContainerStyle={styles.partnerEarningsContent}>
+      <TeamPresenceBoard
+        channelKey={`dispatcher-${userId || 'anon'}`}
+        showToast={showToast}
+        isDark={isDark}
+      />
+    </ScrollView>
+  );
+}
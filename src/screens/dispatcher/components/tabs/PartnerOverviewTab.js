@@ -0,0 +1,222 @@
+import React from 'react';
+import { ActivityIndicator, ScrollView, Text, TouchableOpacity, View } from 'react-native';
+
+const formatAmount = (value) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) return '0';
+  return amount.toLocaleString(undefined, { maximumFractionDigits: 2 });
+};
+
+const FUNNEL_LABELS = {
+  referred: ['partnerFunnelReferred', 'Referred'],
+  assigned: ['partnerFunnelAssigned', 'Master assigned'],
+  completed: ['partnerFunnelCompleted', 'Completed'],
+  confirmed: ['partnerFunnelConfirmed', 'Confirmed'],
+};
+
+/**
+ * Partner overview: balance, referred-order funnel, commission forecast, conversion by
+ * service type and commission earned per order. Data comes from usePartnerAnalytics.
+ */
+export default function PartnerOverviewTab({
+  styles,
+  isDark,
+  translations,
+  language,
+  t,
+  summary,
+  analytics,
+  getServiceLabel,
+  onRequestPayout,
+  onCreateOrder,
+}) {
+  const TRANSLATIONS = translations;
+  const labels = TRANSLATIONS[language];
+  const currency = labels.currencySom || 'som';
+  const data = summary || {};
+  const {
+    range,
+    setRange,
+    loading,
+    funnel,
+    serviceConversion,
+    orderCommissions,
+    forecast,
+  } = analytics;
+  const label = (key, fallback) => labels[key] || fallback;
+
+  const renderRangeButton = (key, text) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.statsRangeBtn,
+        range === key && styles.statsRangeBtnActive,
+        !isDark && styles.statsRangeBtnLight,
+        !isDark && range === key && styles.statsRangeBtnActiveLight,
+      ]}
+      onPress={() => setRange(key)}
+    >
+      <Text
+        style={[
+          styles.statsRangeText,
+          range === key && styles.statsRangeTextActive,
+          !isDark && styles.statsRangeTextLight,
+          !isDark && range === key && styles.statsRangeTextActiveLight,
+        ]}
+      >
+        {text}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderMetric = (title, value) => (
+    <View style={[styles.partnerMetricCard, !isDark && styles.cardLight]}>
+      <Text style={[styles.partnerMetricLabel, !isDark && styles.textSecondary]}>{title}</Text>
+      <Text style={[styles.partnerMetricValue, !isDark && styles.textDark]}>{value}</Text>
+    </View>
+  );
+
+  return (
+    <ScrollView style={styles.partnerEarningsContainer} contentContainerStyle={styles.partnerEarningsContent}>
+      <View style={[styles.settingsCard, !isDark && styles.cardLight]}>
+        <Text style={[styles.settingsTitle, !isDark && styles.textSecondary]}>
+          {label('partnerEarnings', 'Earnings')}
+        </Text>
+        <Text style={[styles.partnerBalanceValue, !isDark && styles.textDark]}>
+          {formatAmount(data.balance)} {currency}
+        </Text>
+        <Text style={[styles.settingsMeta, !isDark && styles.textSecondary]}>
+          {label('commissionRate', 'Commission')}: {Number(data.commissionRatePercent || 0).toFixed(2)}%
+        </Text>
+        <View style={styles.settingsActionRow}>
+          <TouchableOpacity style={styles.partnerActionBtn} onPress={onRequestPayout}>
+            <Text style={styles.partnerActionBtnText}>{label('partnerRequestNow', 'Request Payout')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.settingsActionBtn, !isDark && styles.settingsActionBtnLight, styles.partnerStatsAction]}
+            onPress={onCreateOrder}
+          >
+            <Text style={[styles.settingsActionText, !isDark && styles.settingsActionTextLight]}>
+              {label('createOrder', 'Create Order')}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <View style={[styles.settingsCard, !isDark && styles.cardLight]}>
+        <View style={styles.statsChartHeader}>
+          <Text style={styles.statsChartTitle}>{label('partnerFunnelTitle', 'Referred orders')}</Text>
+          <View style={styles.statsRangeRow}>
+            {renderRangeButton('30d', '30d')}
+            {renderRangeButton('90d', '90d')}
+            {renderRangeButton('all', label('periodAll', 'All'))}
+          </View>
+        </View>
+        {loading ? (
+          <ActivityIndicator size="small" color="#3b82f6" />
+        ) : (
+          <>
+            {funnel.stages.map((stage) => {
+              const [key, fallback] = FUNNEL_LABELS[stage.key];
+              return (
+                <View key={stage.key} style={styles.partnerFunnelRow}>
+                  <View style={styles.partnerFunnelLabelRow}>
+                    <Text style={[styles.partnerRowMeta, !isDark && styles.textSecondary]}>{label(key, fallback)}</Text>
+                    <Text style={[styles.partnerRowTitle, !isDark && styles.textDark]}>
+                      {stage.count} · {stage.rate}%
+                    </Text>
+                  </View>
+                  <View style={styles.partnerFunnelTrack}>
+                    <View style={[styles.partnerFunnelFill, { width: `${stage.rate}%` }]} />
+                  </View>
+                </View>
+              );
+            })}
+            <Text style={[styles.partnerStatsMeta, !isDark && styles.textSecondary]}>
+              {label('partnerFunnelCanceled', 'Canceled')}: {funnel.canceled} · {funnel.canceledRate}%
+            </Text>
+          </>
+        )}
+      </View>
+
+      <View style={[styles.settingsCard, !isDark && styles.cardLight]}>
+        <Text style={styles.statsChartTitle}>{label('partnerForecastTitle', 'Commission forecast')}</Text>
+        <View style={[styles.partnerMetricGrid, { marginTop: 8 }]}>
+          {renderMetric(
+            label('partnerForecastRunRate', 'Monthly run rate'),
+            `${formatAmount(forecast.monthlyRunRate)} ${currency}`
+          )}
+          {renderMetric(
+            label('partnerForecastOpen', 'Expected from open orders'),
+            `${formatAmount(forecast.expectedFromOpen)} ${currency}`
+          )}
+        </View>
+        <Text style={[styles.partnerStatsMeta, !isDark && styles.textSecondary]}>
+          {(label('partnerForecastHint', 'Last {0} days: {1} · Open orders: {2} · Close rate: {3}%'))
+            .replace('{0}', String(forecast.windowDays))
+            .replace('{1}', `${formatAmount(forecast.earnedInWindow)} ${currency}`)
+            .replace('{2}', String(forecast.openOrders))
+            .replace('{3}', String(forecast.closeRate))}
+        </Text>
+      </View>
+
+      <View style={[styles.settingsCard, !isDark && styles.cardLight]}>
+        <Text style={[styles.settingsTitle, !isDark && styles.textSecondary]}>
+          {label('partnerConversionTitle', 'Conversion by service')}
+        </Text>
+        {serviceConversion.length === 0 ? (
+          <Text style={[styles.settingsMeta, !isDark && styles.textSecondary]}>
+            {label('noResults', 'No results found')}
+          </Text>
+        ) : (
+          serviceConversion.map((row) => (
+            <View key={row.serviceType} style={styles.partnerRow}>
+              <View style={styles.partnerRowMain}>
+                <Text style={[styles.partnerRowTitle, !isDark && styles.textDark]}>
+                  {getServiceLabel(row.serviceType, t)}
+                </Text>
+                <Text style={[styles.partnerRowMeta, !isDark && styles.textSecondary]}>
+                  {label('partnerFunnelReferred', 'Referred')}: {row.referred}
+                  {' | '}
+                  {label('partnerFunnelConfirmed', 'Confirmed')}: {row.confirmed}
+                  {' | '}
+                  {label('partnerFunnelCanceled', 'Canceled')}: {row.canceled}
+                </Text>
+              </View>
+              <Text style={[styles.partnerAmount, { color: '#3b82f6' }]}>{row.conversion}%</Text>
+            </View>
+          ))
+        )}
+      </View>
+
+      <View style={[styles.settingsCard, !isDark && styles.cardLight]}>
+        <Text style={[styles.settingsTitle, !isDark && styles.textSecondary]}>
+          {label('partnerCommissionPerOrder', 'Commission per order')}
+        </Text>
+        {orderCommissions.length === 0 ? (
+          <Text style={[styles.settingsMeta, !isDark && styles.textSecondary]}>
+            {label('noResults', 'No results found')}
+          </Text>
+        ) : (
+          orderCommissions.slice(0, 30).map((row) => (
+            <View key={row.orderId || row.earnedAt} style={styles.partnerRow}>
+              <View style={styles.partnerRowMain}>
+                <Text style={[styles.partnerRowTitle, !isDark && styles.textDark]}>
+                  {row.serviceType ? getServiceLabel(row.serviceType, t) : `#${String(row.orderId || '').slice(0, 8)}`}
+                </Text>
+                <Text style={[styles.partnerRowMeta, !isDark && styles.textSecondary]}>
+                  {row.earnedAt ? new Date(row.earnedAt).toLocaleDateString() : ''}
+                  {row.orderPrice !== null ? ` · ${formatAmount(row.orderPrice)} ${currency}` : ''}
+                  {row.effectiveRate !== null ? ` · ${row.effectiveRate}%` : ''}
+                </Text>
+              </View>
+              <Text style={[styles.partnerAmount, { color: '#22c55e' }]}>
+                +{formatAmount(row.commission)} {currency}
+              </Text>
+            </View>
+          ))
+        )}
+      </View>
+    </ScrollView>
+  );
+}
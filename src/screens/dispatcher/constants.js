@@ -39,6 +39,7 @@ export const SORT_OPTIONS = [
 export const STORAGE_KEYS = {
   DRAFT: 'dispatcher_draft_order',
   RECENT_ADDR: 'dispatcher_recent_addresses',
+  SEEN_STATUSES: 'dispatcher_seen_order_statuses',
 };
 
 export const INITIAL_ORDER_STATE = {
@@ -53,10 +54,12 @@ export const INITIAL_ORDER_STATE = {
   area: '',
   fullAddress: '',
   orientir: '',
+  location: null,
   preferredDate: '',
   preferredTime: '',
   dispatcherNote: '',
+  photos: [],
 };
 
-export const DISPATCHER_TABS = ['stats', 'queue', 'create', 'settings'];
-export const PARTNER_TABS = ['stats', 'queue', 'create', 'settings'];
+export const DISPATCHER_TABS = ['stats', 'queue', 'create', 'team', 'settings'];
+export const PARTNER_TABS = ['overview', 'queue', 'create', 'earnings', 'settings'];
@@ -0,0 +1,42 @@
+import { useEffect, useMemo, useState } from 'react';
+import ordersService from '../../../services/orders';
+import { AGENDA_VIEWS, getAgendaRange, toDateKey } from '../../../utils/orderAgenda';
+
+/**
+ * Planned orders for the queue agenda view. The queue itself is paginated, so the agenda
+ * loads every scheduled order of the dispatcher for the visible day/week on its own.
+ * `refreshKey` changes (queue reloads, realtime updates) trigger a reload while enabled.
+ */
+export default function useDispatcherAgenda({ dispatcherId, enabled, refreshKey }) {
+  const [agendaView, setAgendaView] = useState(AGENDA_VIEWS.WEEK);
+  const [agendaAnchor, setAgendaAnchor] = useState(() => new Date());
+  const [agendaOrders, setAgendaOrders] = useState([]);
+  const [agendaLoading, setAgendaLoading] = useState(false);
+  const range = useMemo(() => getAgendaRange(agendaAnchor, agendaView), [agendaAnchor, agendaView]);
+  const rangeKey = `${toDateKey(range.start)}_${toDateKey(range.end)}`;
+
+  useEffect(() => {
+    if (!enabled || !dispatcherId) return undefined;
+    let cancelled = false;
+    setAgendaLoading(true);
+    ordersService.getScheduledOrders({ fromDate: range.start, toDate: range.end, dispatcherId })
+      .then((rows) => {
+        if (!cancelled) setAgendaOrders(rows);
+      })
+      .finally(() => {
+        if (!cancelled) setAgendaLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatcherId, enabled, rangeKey, refreshKey]);
+
+  return {
+    agendaView,
+    setAgendaView,
+    agendaAnchor,
+    setAgendaAnchor,
+    agendaOrders,
+    agendaLoading,
+  };
+}
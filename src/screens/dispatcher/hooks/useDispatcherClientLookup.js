@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import clientsService from '../../../services/clients';
+import { normalizeKyrgyzPhone } from '../../../utils/phone';
+import { isReturningClient } from '../../../utils/clientDirectory';
+import { toCoords } from '../../../utils/geo';
+import useDebouncedValue from './useDebouncedValue';
+
+/**
+ * Repeat-customer lookup for the create-order form. Once the typed phone normalizes,
+ * the client directory is queried; a known client's name fills an empty name field,
+ * and past addresses can be applied to the location section.
+ */
+export default function useDispatcherClientLookup({ phone, enabled, setNewOrder }) {
+  const [clientLookup, setClientLookup] = useState(null);
+  const [clientLookupLoading, setClientLookupLoading] = useState(false);
+  const debouncedPhone = useDebouncedValue(phone, 400);
+  const normalizedPhone = normalizeKyrgyzPhone(debouncedPhone || '');
+  const filledPhoneRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled || !normalizedPhone) {
+      setClientLookup(null);
+      setClientLookupLoading(false);
+      return undefined;
+    }
+    let cancelled = false;
+    setClientLookupLoading(true);
+    clientsService.lookupByPhone(normalizedPhone)
+      .then((result) => {
+        if (cancelled) return;
+        const lookup = result?.success && isReturningClient(result) ? result : null;
+        setClientLookup(lookup);
+        const knownName = lookup?.client?.full_name;
+        if (knownName && filledPhoneRef.current !== normalizedPhone) {
+          filledPhoneRef.current = normalizedPhone;
+          setNewOrder((prev) => (String(prev.clientName || '').trim() ? prev : { ...prev, clientName: knownName }));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setClientLookupLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, normalizedPhone, setNewOrder]);
+
+  const applyClientAddress = useCallback((address) => {
+    if (!address) return;
+    const coords = toCoords(address.latitude, address.longitude);
+    setNewOrder((prev) => ({
+      ...prev,
+      area: address.area || prev.area,
+      fullAddress: address.full_address || prev.fullAddress,
+      orientir: address.orientir || '',
+      location: coords || prev.location,
+    }));
+  }, [setNewOrder]);
+
+  return {
+    clientLookup,
+    clientLookupLoading,
+    applyClientAddress,
+  };
+}
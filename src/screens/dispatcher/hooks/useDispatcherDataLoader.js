@@ -55,12 +55,12 @@ export default function useDispatcherDataLoader({
     }
   }, [authUser]);
 
-  const loadQueueData = useCallback(async ({ reason = 'manual', page = null } = {}) => {
+  const loadQueueData = useCallback(async ({ reason = 'manual', page = null, silent = false } = {}) => {
     const loadId = queueLoadIdRef.current + 1;
     queueLoadIdRef.current = loadId;
     const isStale = () => loadId !== queueLoadIdRef.current;
 
-    if (!refreshing) {
+    if (!refreshing && !silent) {
       setLoading(true);
     }
     perf?.markStart?.('queue_load', { reason, loadId, ...queueQuery, page: page || queueQuery.page });
@@ -265,7 +265,8 @@ export default function useDispatcherDataLoader({
     }
     try {
       const apiStartedAt = Date.now();
-      const data = await ordersService.getAvailableMasters();
+      // Unavailable masters stay in the picker, disabled with the reason (see useMasterRecommendations).
+      const data = await ordersService.getAvailableMasters({ includeUnavailable: true });
       perf?.markApiDone?.('metadata', 'masters', Date.now() - apiStartedAt, true, { count: data?.length || 0 });
       const normalized = data || [];
       await setCachedMetadata(cacheKey, normalized);
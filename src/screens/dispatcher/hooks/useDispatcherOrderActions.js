@@ -5,6 +5,8 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import authService from '../../../services/auth';
 import ordersService, { ORDER_STATUS } from '../../../services/orders';
 import earningsService from '../../../services/earnings';
+import reviewsService from '../../../services/reviews';
+import orderPhotosService, { PHOTO_KINDS } from '../../../services/orderPhotos';
 import { normalizeKyrgyzPhone, isValidKyrgyzPhone } from '../../../utils/phone';
 import { STORAGE_KEYS } from '../constants';
 import { dispatcherError } from '../utils/logger';
@@ -14,6 +16,8 @@ const DEFAULT_PAYMENT_CONFIRMATION_DATA = {
   reportReason: '',
   workPerformed: '',
   hoursWorked: '',
+  reviewRating: 0,
+  reviewComment: '',
 };
 
 export default function useDispatcherOrderActions({
@@ -31,6 +35,7 @@ export default function useDispatcherOrderActions({
   paymentOrder,
   assignTarget,
   detailsOrder,
+  topMatch,
   editForm,
   platformSettings,
   generateIdempotencyKey,
@@ -57,6 +62,7 @@ export default function useDispatcherOrderActions({
   removeOrderFromState,
   addOrderToState,
   scheduleBackgroundRefresh,
+  markOrderSeen,
   loadQueueData,
   loadStatsSummary,
   saveRecentAddress,
@@ -70,6 +76,7 @@ export default function useDispatcherOrderActions({
       MASTER_NOT_VERIFIED: translations[language].errorAssignMasterNotVerified,
       MASTER_INACTIVE: translations[language].errorAssignMasterInactive,
       MASTER_NOT_FOUND: translations[language].errorAssignMasterNotFound,
+      MASTER_UNAVAILABLE: translations[language].errorAssignMasterUnavailable,
       ORDER_NOT_FOUND: translations[language].errorAssignOrderNotFound,
       UNAUTHORIZED: translations[language].errorAssignUnauthorized,
     };
@@ -122,6 +129,7 @@ export default function useDispatcherOrderActions({
         area: newOrder.area,
         fullAddress: newOrder.fullAddress,
         orientir: newOrder.orientir || null,
+        location: newOrder.location || null,
         preferredDate: newOrder.preferredDate ? newOrder.preferredDate.split('.').reverse().join('-') : null,
         preferredTime: newOrder.preferredTime || null,
         dispatcherNote: newOrder.dispatcherNote || null,
@@ -129,6 +137,12 @@ export default function useDispatcherOrderActions({
 
       if (result.success) {
         showToast?.(translations[language].toastOrderCreated || 'Order created!', 'success');
+        if (newOrder.photos?.length) {
+          const photoResult = await orderPhotosService.uploadOrderPhotos(result.orderId, newOrder.photos, PHOTO_KINDS.PROBLEM);
+          if (!photoResult.success) {
+            showToast?.(translations[language].toastPhotosUploadFailed || 'Order saved, but some photos were not uploaded', 'info');
+          }
+        }
         await saveRecentAddress(newOrder.area, newOrder.fullAddress);
         await AsyncStorage.removeItem(STORAGE_KEYS.DRAFT);
         setCreationSuccess({ id: result.orderId });
@@ -246,6 +260,17 @@ export default function useDispatcherOrderActions({
           payment_confirmed_at: confirmedAt,
           payment_confirmed_by: user?.id || null,
         });
+        const reviewRating = Number(paymentData?.reviewRating) || 0;
+        if (reviewRating > 0) {
+          const reviewResult = await reviewsService.submitOrderReview(paymentOrder.id, {
+            rating: reviewRating,
+            comment: paymentData?.reviewComment,
+          });
+          if (!reviewResult.success) {
+            dispatcherError('Actions', 'submitOrderReview failed', reviewResult.message);
+            showToast?.(translations[language].toastReviewFailed || 'Payment confirmed, but the review was not saved', 'info');
+          }
+        }
         scheduleBackgroundRefresh((ctx) => loadQueueData({ reason: ctx?.reason || 'confirm_payment' }));
         if (activeTab === 'stats') {
           loadStatsSummary(statsWindowDays, 'stats_after_confirm_payment');
@@ -309,6 +334,7 @@ export default function useDispatcherOrderActions({
         masterFinalAmount: paymentOrder?.final_price ?? paymentOrder?.initial_price ?? null,
         workPerformed: paymentOrder?.work_performed || paymentData?.workPerformed || null,
         hoursWorked: paymentOrder?.hours_worked ?? paymentData?.hoursWorked ?? null,
+        disputedLineIds: paymentData?.disputedLineIds || [],
       });
       if (result.success) {
         showToast?.(translations[language].toastMasterReported || 'Master reported for review', 'success');
@@ -485,13 +511,19 @@ export default function useDispatcherOrderActions({
     });
   }, [dispatchers, handleTransferDispatcher, language, setPickerModal, showToast, translations, user?.id]);
 
-  const handleAssignMaster = useCallback(async (master) => {
+  // Without an explicit pick, the top-ranked eligible master is assigned.
+  const handleAssignMaster = useCallback(async (selectedMaster) => {
     const targetOrder = assignTarget || detailsOrder;
     const targetId = targetOrder?.id;
     if (!targetId) {
       showToast?.(translations[language].toastNoOrderSelected || 'No order selected', 'error');
       return;
     }
+    const master = selectedMaster || topMatch;
+    if (!master) {
+      showToast?.(translations[language].toastNoRecommendedMaster || 'No suitable master found', 'error');
+      return;
+    }
     const maxJobs = Number.isFinite(Number(master?.max_active_jobs)) ? Number(master.max_active_jobs) : null;
     const activeJobs = Number.isFinite(Number(master?.active_jobs)) ? Number(master.active_jobs) : 0;
     if (maxJobs !== null && activeJobs >= maxJobs) {
@@ -514,6 +546,8 @@ export default function useDispatcherOrderActions({
         }
         const result = await ordersService.forceAssignMaster(targetId, master.id, 'Dispatcher assignment');
         if (result.success) {
+          // The dispatcher's own assignment is not a change to highlight.
+          markOrderSeen?.({ id: targetId, status: result.order?.status || ORDER_STATUS.CLAIMED });
           showToast?.(translations[language].toastMasterAssigned, 'success');
           if (result.order) {
             patchOrderInState(targetId, result.order);
@@ -553,6 +587,7 @@ export default function useDispatcherOrderActions({
     getAssignErrorMessage,
     language,
     loadQueueData,
+    markOrderSeen,
     patchOrderInState,
     scheduleBackgroundRefresh,
     setActionLoading,
@@ -560,6 +595,7 @@ export default function useDispatcherOrderActions({
     setDetailsOrder,
     setShowAssignModal,
     showToast,
+    topMatch,
     translations,
     user?.id,
     user?.role,
@@ -811,9 +847,11 @@ export default function useDispatcherOrderActions({
       area: '',
       fullAddress: '',
       orientir: '',
+      location: null,
       preferredDate: '',
       preferredTime: '',
       dispatcherNote: '',
+      photos: [],
     }));
     setConfirmChecked(false);
     setPhoneError('');
@@ -834,10 +872,12 @@ export default function useDispatcherOrderActions({
       problemDescription: '',
       area: prev.area,
       fullAddress: prev.fullAddress,
+      location: prev.location || null,
       orientir: '',
       preferredDate: '',
       preferredTime: '',
       dispatcherNote: '',
+      photos: [],
     }));
     setIdempotencyKey(generateIdempotencyKey());
     setConfirmChecked(false);
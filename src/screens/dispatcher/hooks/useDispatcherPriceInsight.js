@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import pricingInsightsService from '../../../services/pricingInsights';
+
+/**
+ * Suggested price range for the create-order form, from confirmed orders with the
+ * same service type (narrowed by district and urgency when there is enough history).
+ */
+export default function useDispatcherPriceInsight({ serviceType, area, urgency, enabled }) {
+  const [priceInsight, setPriceInsight] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !serviceType) {
+      setPriceInsight(null);
+      return undefined;
+    }
+    let cancelled = false;
+    pricingInsightsService.suggestPriceRange({ serviceType, area, urgency })
+      .then((range) => {
+        if (!cancelled) setPriceInsight(range);
+      })
+      .catch(() => {
+        if (!cancelled) setPriceInsight(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [area, enabled, serviceType, urgency]);
+
+  return { priceInsight };
+}
@@ -0,0 +1,172 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from '../../../lib/supabase';
+import { STORAGE_KEYS } from '../constants';
+import { dispatcherDebug, dispatcherError } from '../utils/logger';
+import {
+  diffOrderStatuses,
+  markOrderSeen as markSeen,
+  seedSeenStatuses,
+} from '../utils/orderChangeTracker';
+
+const parseMs = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const DISPATCHER_REALTIME_SYNC_ENABLED = process?.env?.EXPO_PUBLIC_DISPATCHER_REALTIME_SYNC !== '0';
+const DISPATCHER_REALTIME_DEBOUNCE_MS = parseMs(process?.env?.EXPO_PUBLIC_DISPATCHER_REALTIME_DEBOUNCE_MS, 900);
+const DISPATCHER_REALTIME_MIN_INTERVAL_MS = parseMs(process?.env?.EXPO_PUBLIC_DISPATCHER_REALTIME_MIN_INTERVAL_MS, 2500);
+
+// Order columns that are safe to patch straight from a realtime payload.
+const REALTIME_PATCH_FIELDS = [
+  'status',
+  'master_id',
+  'started_at',
+  'completed_at',
+  'confirmed_at',
+  'final_price',
+  'work_performed',
+  'hours_worked',
+  'line_items',
+  'is_disputed',
+  'updated_at',
+];
+
+const pickPatch = (row) => REALTIME_PATCH_FIELDS.reduce((acc, key) => {
+  if (row?.[key] !== undefined) acc[key] = row[key];
+  return acc;
+}, {});
+
+export default function useDispatcherRealtimeSync({
+  userId,
+  orders,
+  patchOrderInState,
+  loadQueueData,
+}) {
+  const [seenStatuses, setSeenStatuses] = useState({});
+  const [seenLoaded, setSeenLoaded] = useState(false);
+  const storageKey = userId ? `${STORAGE_KEYS.SEEN_STATUSES}:${userId}` : null;
+  const syncTimerRef = useRef(null);
+  const lastSyncAtRef = useRef(0);
+  const loadQueueDataRef = useRef(loadQueueData);
+  const patchOrderRef = useRef(patchOrderInState);
+
+  loadQueueDataRef.current = loadQueueData;
+  patchOrderRef.current = patchOrderInState;
+
+  const persistSeen = useCallback((next) => {
+    if (!storageKey) return;
+    AsyncStorage.setItem(storageKey, JSON.stringify(next)).catch(() => {
+      // no-op: highlight state is best effort
+    });
+  }, [storageKey]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSeenLoaded(false);
+    setSeenStatuses({});
+    if (!storageKey) return undefined;
+    AsyncStorage.getItem(storageKey)
+      .then((raw) => {
+        if (cancelled) return;
+        const parsed = raw ? JSON.parse(raw) : {};
+        setSeenStatuses(parsed && typeof parsed === 'object' ? parsed : {});
+      })
+      .catch(() => {
+        if (!cancelled) setSeenStatuses({});
+      })
+      .finally(() => {
+        if (!cancelled) setSeenLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storageKey]);
+
+  // Orders seen for the first time become the baseline, not a highlight.
+  useEffect(() => {
+    if (!seenLoaded || !orders?.length) return;
+    setSeenStatuses((prev) => {
+      const next = seedSeenStatuses(prev, orders);
+      if (next !== prev) persistSeen(next);
+      return next;
+    });
+  }, [orders, persistSeen, seenLoaded]);
+
+  const changedOrders = useMemo(
+    () => (seenLoaded ? diffOrderStatuses(orders, seenStatuses) : {}),
+    [orders, seenLoaded, seenStatuses]
+  );
+
+  const markOrderSeen = useCallback((order) => {
+    setSeenStatuses((prev) => {
+      const next = markSeen(prev, order);
+      if (next !== prev) persistSeen(next);
+      return next;
+    });
+  }, [persistSeen]);
+
+  useEffect(() => {
+    if (!DISPATCHER_REALTIME_SYNC_ENABLED || !userId) return undefined;
+    const channelName = `dispatcher-orders-sync-${userId}`;
+
+    const scheduleRealtimeSync = (trigger = 'unknown') => {
+      const elapsed = Date.now() - lastSyncAtRef.current;
+      const delayMs = elapsed >= DISPATCHER_REALTIME_MIN_INTERVAL_MS
+        ? DISPATCHER_REALTIME_DEBOUNCE_MS
+        : Math.max(DISPATCHER_REALTIME_DEBOUNCE_MS, DISPATCHER_REALTIME_MIN_INTERVAL_MS - elapsed);
+      if (syncTimerRef.current) {
+        clearTimeout(syncTimerRef.current);
+      }
+      syncTimerRef.current = setTimeout(async () => {
+        syncTimerRef.current = null;
+        lastSyncAtRef.current = Date.now();
+        try {
+          await loadQueueDataRef.current?.({ reason: `orders_realtime:${trigger}`, silent: true });
+        } catch (error) {
+          dispatcherError('Realtime', 'queue sync failed', error);
+        }
+      }, delayMs);
+    };
+
+    const handleChange = (payload) => {
+      const eventType = String(payload?.eventType || 'unknown').toLowerCase();
+      const orderId = payload?.new?.id || payload?.old?.id || null;
+      dispatcherDebug('Realtime', 'orders event', { eventType, orderId });
+      if (eventType === 'update' && orderId) {
+        patchOrderRef.current?.(orderId, pickPatch(payload.new));
+      }
+      scheduleRealtimeSync(eventType);
+    };
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'orders', filter: `assigned_dispatcher_id=eq.${userId}` },
+        handleChange
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'orders', filter: `dispatcher_id=eq.${userId}` },
+        handleChange
+      )
+      .subscribe((status) => {
+        dispatcherDebug('Realtime', 'channel status', { status, channel: channelName });
+      });
+
+    return () => {
+      if (syncTimerRef.current) {
+        clearTimeout(syncTimerRef.current);
+        syncTimerRef.current = null;
+      }
+      supabase.removeChannel(channel);
+    };
+  }, [userId]);
+
+  return {
+    changedOrders,
+    markOrderSeen,
+  };
+}
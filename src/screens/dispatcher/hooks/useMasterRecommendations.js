@@ -0,0 +1,56 @@
+import { useEffect, useMemo, useState } from 'react';
+import ordersService from '../../../services/orders';
+import { getTopMatch, rankMastersForOrder } from '../../../utils/masterRecommendations';
+import { isPersonOnline } from '../../../utils/teamPresence';
+
+/**
+ * Ranked masters for the assign modal. The visible list (base list or search results)
+ * is enriched with candidate data (specializations, workload, refusals, balance state)
+ * loaded once per opened order, then ranked for that order. `onlineOnly` keeps masters
+ * whose heartbeat is recent, and the best match is picked among them.
+ */
+export default function useMasterRecommendations({ visible, order, masters, onlineOnly = false }) {
+  const [candidates, setCandidates] = useState([]);
+  const [recommendationsLoading, setRecommendationsLoading] = useState(false);
+  const orderId = order?.id || null;
+
+  useEffect(() => {
+    if (!visible || !orderId) {
+      setCandidates([]);
+      setRecommendationsLoading(false);
+      return undefined;
+    }
+    let cancelled = false;
+    setRecommendationsLoading(true);
+    ordersService.getMasterRecommendations(order)
+      .then((rows) => {
+        if (!cancelled) setCandidates(rows);
+      })
+      .finally(() => {
+        if (!cancelled) setRecommendationsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, orderId]);
+
+  const rankedMasters = useMemo(() => {
+    const candidateById = new Map(candidates.map((candidate) => [String(candidate.id), candidate]));
+    const enriched = (masters || []).map((master) => ({
+      ...master,
+      ...(candidateById.get(String(master?.id)) || {}),
+    }));
+    const ranked = rankMastersForOrder(enriched, order || {});
+    if (!onlineOnly) return ranked;
+    const now = Date.now();
+    return ranked.filter((master) => isPersonOnline(master, now));
+  }, [candidates, masters, onlineOnly, order]);
+
+  const topMatch = useMemo(() => getTopMatch(rankedMasters), [rankedMasters]);
+
+  return {
+    rankedMasters,
+    topMatch,
+    recommendationsLoading,
+  };
+}
@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import partnerFinanceService from '../../../services/partnerFinance';
+import {
+  buildOrderCommissions,
+  buildReferralFunnel,
+  buildServiceConversion,
+  forecastPartnerCommission,
+} from '../../../utils/partnerAnalytics';
+
+export const PARTNER_ANALYTICS_RANGES = { '30d': 30, '90d': 90, all: null };
+
+const TRANSACTION_LIMIT = 1000;
+
+/**
+ * Partner overview data: referred orders of the selected range plus the commission ledger,
+ * reduced to the funnel, service conversion, commission per order and forecast.
+ */
+export default function usePartnerAnalytics({ partnerId, enabled, commissionRatePercent }) {
+  const [range, setRange] = useState('30d');
+  const [since, setSince] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const requestRef = useRef(0);
+
+  const load = useCallback(async () => {
+    if (!partnerId) return;
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    const days = PARTNER_ANALYTICS_RANGES[range];
+    const nextSince = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+    setLoading(true);
+    const [nextOrders, nextTransactions] = await Promise.all([
+      partnerFinanceService.getPartnerReferredOrders(partnerId, { since: nextSince }),
+      partnerFinanceService.getPartnerTransactions(partnerId, TRANSACTION_LIMIT),
+    ]);
+    if (requestRef.current !== requestId) return;
+    setSince(nextSince);
+    setOrders(nextOrders);
+    setTransactions(nextTransactions);
+    setLoading(false);
+  }, [partnerId, range]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    load();
+  }, [enabled, load]);
+
+  const rangeTransactions = useMemo(
+    () => (since ? transactions.filter((tx) => Date.parse(tx.created_at || '') >= Date.parse(since)) : transactions),
+    [since, transactions]
+  );
+  const funnel = useMemo(() => buildReferralFunnel(orders), [orders]);
+  const serviceConversion = useMemo(() => buildServiceConversion(orders), [orders]);
+  const orderCommissions = useMemo(
+    () => buildOrderCommissions(orders, rangeTransactions),
+    [orders, rangeTransactions]
+  );
+  const forecast = useMemo(
+    () => forecastPartnerCommission({ orders, transactions, commissionRatePercent }),
+    [commissionRatePercent, orders, transactions]
+  );
+
+  return {
+    range,
+    setRange,
+    loading,
+    funnel,
+    serviceConversion,
+    orderCommissions,
+    forecast,
+    reload: load,
+  };
+}
@@ -99,6 +99,7 @@ const styles = StyleSheet.create({
     attentionScroll: { paddingHorizontal: 12, paddingBottom: 12 },
     attentionCard: { width: 140, backgroundColor: 'rgba(30,41,59,0.9)', borderRadius: 10, padding: 10, marginRight: 8 },
     attentionBadge: { fontSize: 9, fontWeight: '700', color: '#fff', backgroundColor: '#ef4444', paddingHorizontal: 6, paddingVertical: 2, borderRadius: 4, alignSelf: 'flex-start', marginBottom: 6 },
+    attentionBadgeEscalated: { backgroundColor: '#991b1b' },
     attentionService: { fontSize: 13, fontWeight: '700', color: '#fff', textTransform: 'capitalize' },
     attentionAddr: { fontSize: 11, color: '#94a3b8', marginTop: 2 },
 
@@ -299,6 +300,11 @@ const styles = StyleSheet.create({
     partnerTimelineConnector: { flex: 1, height: 1, marginHorizontal: 8, backgroundColor: 'rgba(148,163,184,0.28)' },
     partnerLoadMoreBtn: { marginTop: 10, alignItems: 'center', paddingVertical: 8, borderRadius: 10, backgroundColor: 'rgba(59,130,246,0.2)' },
     partnerLoadMoreText: { fontSize: 12, fontWeight: '600', color: '#60a5fa' },
+    partnerFunnelRow: { marginTop: 8 },
+    partnerFunnelLabelRow: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 },
+    partnerFunnelTrack: { height: 8, borderRadius: 999, backgroundColor: 'rgba(148,163,184,0.18)', overflow: 'hidden' },
+    partnerFunnelFill: { height: 8, borderRadius: 999, backgroundColor: '#3b82f6' },
+    partnerLifecycle: { marginTop: 8 },
     skeletonCard: { borderRadius: 18, borderWidth: 1, padding: 14, marginBottom: 12, borderColor: '#1f2937', backgroundColor: '#0f172a' },
     skeletonCardLight: { borderColor: '#e2e8f0', backgroundColor: '#f1f5f9' },
     skeletonGrid: { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'space-between' },
@@ -343,6 +349,8 @@ const styles = StyleSheet.create({
     cardAssignText: { fontSize: 12, fontWeight: '700', color: '#60a5fa' },
     cardPayBtn: { backgroundColor: '#22c55e', borderRadius: 8, paddingVertical: 8, alignItems: 'center', marginTop: 8 },
     cardPayText: { fontSize: 12, fontWeight: '700', color: '#fff' },
+    orderChangedHighlight: { borderWidth: 1, borderColor: '#f59e0b', backgroundColor: 'rgba(245,158,11,0.12)' },
+    orderChangedBadge: { alignSelf: 'flex-start', fontSize: 10, fontWeight: '700', color: '#f59e0b', marginVertical: 4, textTransform: 'uppercase' },
 
     // Create Form
     createContainer: { flex: 1, padding: 16 },
@@ -488,6 +496,18 @@ const styles = StyleSheet.create({
     masterInfo: { fontSize: 12, color: '#94a3b8', marginTop: 2 },
     masterInfoDisabled: { color: '#64748b' },
     masterLimitBadge: { fontSize: 10, fontWeight: '700', color: '#ef4444' },
+    masterItemTop: { borderWidth: 1, borderColor: '#22c55e' },
+    masterScoreBadge: { fontSize: 10, fontWeight: '700', color: '#93c5fd', backgroundColor: 'rgba(59,130,246,0.2)', borderRadius: 6, paddingHorizontal: 6, paddingVertical: 2 },
+    masterScoreBadgeTop: { color: '#fff', backgroundColor: '#22c55e' },
+    masterScoreBreakdown: { fontSize: 10, color: '#64748b', marginTop: 4 },
+    bestMatchBtn: { backgroundColor: '#22c55e', borderRadius: 10, paddingVertical: 10, paddingHorizontal: 12, alignItems: 'center', marginBottom: 10 },
+    bestMatchBtnText: { fontSize: 13, fontWeight: '700', color: '#fff' },
+    assignOnlineToggle: { flexDirection: 'row', alignItems: 'center', alignSelf: 'flex-start', gap: 6, borderWidth: 1, borderColor: '#334155', borderRadius: 999, paddingVertical: 6, paddingHorizontal: 12, marginBottom: 10 },
+    assignOnlineToggleActive: { borderColor: '#22c55e', backgroundColor: 'rgba(34,197,94,0.15)' },
+    assignOnlineDot: { width: 8, height: 8, borderRadius: 4, backgroundColor: '#64748b' },
+    assignOnlineDotActive: { backgroundColor: '#22c55e' },
+    assignOnlineText: { fontSize: 12, fontWeight: '600', color: '#94a3b8' },
+    assignOnlineTextActive: { color: '#86efac' },
     noMasters: { fontSize: 14, color: '#64748b', textAlign: 'center', paddingVertical: 20 },
 
     // Edit Actions
@@ -712,6 +732,14 @@ const styles = StyleSheet.create({
     recentAddrBtn: { paddingHorizontal: 10, paddingVertical: 6, backgroundColor: 'rgba(59,130,246,0.2)', borderRadius: 8 },
     recentAddrBtnText: { fontSize: 11, color: '#3b82f6', fontWeight: '600' },
 
+    // Known Client (create form)
+    knownClientCard: { marginTop: 10, padding: 12, borderRadius: 10, backgroundColor: 'rgba(34,197,94,0.1)', borderWidth: 1, borderColor: 'rgba(34,197,94,0.35)' },
+    knownClientCardLight: { backgroundColor: '#f0fdf4', borderColor: '#bbf7d0' },
+    knownClientTitle: { fontSize: 13, fontWeight: '700', color: '#22c55e' },
+    knownClientMeta: { fontSize: 11, color: '#94a3b8', marginTop: 2 },
+    knownClientChips: { flexDirection: 'row', flexWrap: 'wrap', gap: 6 },
+    knownClientOrder: { fontSize: 11, color: '#cbd5e1', marginTop: 2 },
+
     // Master Header
     masterHeaderRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 },
     masterDetailsBtn: { paddingHorizontal: 10, paddingVertical: 4, backgroundColor: 'rgba(59,130,246,0.2)', borderRadius: 8 },
@@ -725,6 +753,10 @@ const styles = StyleSheet.create({
     pricingTypeBtnActiveGreen: { backgroundColor: '#22c55e' },
     pricingTypeBtnTextActive: { color: '#fff' },
     pricingInputRow: { flexDirection: 'row', gap: 12 },
+    priceInsightRow: { flexDirection: 'row', alignItems: 'center', gap: 6, marginTop: 10, paddingVertical: 8, paddingHorizontal: 10, borderRadius: 10, backgroundColor: 'rgba(59,130,246,0.1)' },
+    priceInsightText: { flex: 1, fontSize: 12, color: '#93c5fd' },
+    priceInsightTextLight: { color: '#1d4ed8' },
+    priceInsightAction: { fontSize: 12, fontWeight: '700', color: '#3b82f6' },
 
     // Planned Date/Time Picker
     plannedPickerContainer: { marginTop: 16 },
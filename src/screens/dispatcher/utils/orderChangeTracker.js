@@ -0,0 +1,50 @@
+// Tracks the last order status a dispatcher has "seen" so status changes made
+// by masters (claimed/started/completed) can be highlighted in the queue.
+
+export const SEEN_STATUS_MAX_ENTRIES = 500;
+// Transitions driven by the master; dispatcher-side changes are not highlighted.
+export const HIGHLIGHT_STATUSES = ['claimed', 'started', 'completed', 'canceled_by_master'];
+
+export function seedSeenStatuses(seenStatuses = {}, orders = []) {
+  let changed = false;
+  const next = { ...(seenStatuses || {}) };
+  (orders || []).forEach((order) => {
+    if (!order?.id || !order?.status) return;
+    if (next[order.id]) return;
+    next[order.id] = order.status;
+    changed = true;
+  });
+  return changed ? pruneSeenStatuses(next) : seenStatuses;
+}
+
+export function markOrderSeen(seenStatuses = {}, order) {
+  if (!order?.id || !order?.status) return seenStatuses;
+  if (seenStatuses?.[order.id] === order.status) return seenStatuses;
+  const next = { ...(seenStatuses || {}) };
+  // Re-insert so recently viewed orders survive pruning.
+  delete next[order.id];
+  next[order.id] = order.status;
+  return pruneSeenStatuses(next);
+}
+
+export function pruneSeenStatuses(seenStatuses = {}, maxEntries = SEEN_STATUS_MAX_ENTRIES) {
+  const keys = Object.keys(seenStatuses || {});
+  if (keys.length <= maxEntries) return seenStatuses;
+  const next = {};
+  keys.slice(keys.length - maxEntries).forEach((key) => {
+    next[key] = seenStatuses[key];
+  });
+  return next;
+}
+
+export function diffOrderStatuses(orders = [], seenStatuses = {}) {
+  const changes = {};
+  (orders || []).forEach((order) => {
+    if (!order?.id || !order?.status) return;
+    const previous = seenStatuses?.[order.id];
+    if (!previous || previous === order.status) return;
+    if (!HIGHLIGHT_STATUSES.includes(order.status)) return;
+    changes[order.id] = { from: previous, to: order.status };
+  });
+  return changes;
+}
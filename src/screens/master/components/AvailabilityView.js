@@ -0,0 +1,302 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { X } from 'lucide-react-native';
+import { useTheme } from '../../../contexts/ThemeContext';
+import {
+    AVAILABILITY_REASONS,
+    MAX_DAY_INTERVALS,
+    fromScheduleForm,
+    toScheduleForm,
+    validateTimeOffPeriod,
+} from '../../../utils/masterAvailability';
+
+const DAY_LABEL_KEYS = {
+    mon: ['availabilityDayMon', 'Mon'],
+    tue: ['availabilityDayTue', 'Tue'],
+    wed: ['availabilityDayWed', 'Wed'],
+    thu: ['availabilityDayThu', 'Thu'],
+    fri: ['availabilityDayFri', 'Fri'],
+    sat: ['availabilityDaySat', 'Sat'],
+    sun: ['availabilityDaySun', 'Sun'],
+};
+
+const TIME_OFF_ERROR_KEYS = {
+    INVALID_DATE: ['timeOffErrorDate', 'Enter dates as YYYY-MM-DD'],
+    END_BEFORE_START: ['timeOffErrorOrder', 'The last day is before the first day'],
+    IN_PAST: ['timeOffErrorPast', 'This period is already over'],
+    OVERLAP: ['timeOffErrorOverlap', 'This period overlaps another vacation'],
+};
+
+const EMPTY_TIME_OFF = { start: '', end: '', note: '' };
+
+/**
+ * Availability view of My Account: on-duty toggle, weekly working hours and vacation
+ * periods. While the master is unavailable the order pool is paused.
+ */
+const AvailabilityView = ({ availabilityState, styles, safeT, showToast }) => {
+    const { theme } = useTheme();
+    const { settings, loading, saving, availability, setOnDuty, saveSchedule, saveTimeOff } = availabilityState;
+    const [scheduleForm, setScheduleForm] = useState(() => toScheduleForm(settings?.availability_schedule));
+    const [timeOffForm, setTimeOffForm] = useState(EMPTY_TIME_OFF);
+    const inputStyle = [styles.modalInput, { backgroundColor: theme.bgSecondary, color: theme.textPrimary, borderColor: theme.borderPrimary }];
+
+    useEffect(() => {
+        setScheduleForm(toScheduleForm(settings?.availability_schedule));
+    }, [settings?.availability_schedule]);
+
+    if (loading && !settings) {
+        return <ActivityIndicator size="small" color={theme.accentIndigo} style={{ marginTop: 20 }} />;
+    }
+    if (!settings) {
+        return (
+            <View style={styles.settingsSection}>
+                <Text style={{ color: theme.textMuted, fontSize: 12 }}>
+                    {safeT('availabilityUnavailable', 'Availability settings are not available yet')}
+                </Text>
+            </View>
+        );
+    }
+
+    const isOnDuty = settings.is_on_duty !== false;
+    const getDayLabel = (day) => safeT(...DAY_LABEL_KEYS[day]);
+    const statusMeta = availability.available
+        ? { color: theme.accentSuccess, label: safeT('availabilityWorkingNow', 'Working now') }
+        : {
+            [AVAILABILITY_REASONS.OFF_DUTY]: { color: theme.textMuted, label: safeT('availabilityOffDuty', 'Off duty') },
+            [AVAILABILITY_REASONS.TIME_OFF]: {
+                color: theme.accentWarning,
+                label: safeT('availabilityOnVacationUntil', 'On vacation until {0}').replace('{0}', availability.timeOff?.end || '-'),
+            },
+            [AVAILABILITY_REASONS.OUTSIDE_HOURS]: { color: theme.accentWarning, label: safeT('availabilityOffHours', 'Off hours') },
+        }[availability.reason];
+
+    const updateDay = (day, changes) => setScheduleForm((prev) => ({
+        ...prev,
+        days: prev.days.map((row) => (row.day === day ? { ...row, ...changes } : row)),
+    }));
+
+    const updateIntervals = (day, update) => setScheduleForm((prev) => ({
+        ...prev,
+        days: prev.days.map((row) => (row.day === day ? { ...row, intervals: update(row.intervals) } : row)),
+    }));
+
+    const updateInterval = (day, index, changes) => updateIntervals(day, (intervals) => (
+        intervals.map((interval, i) => (i === index ? { ...interval, ...changes } : interval))
+    ));
+
+    const handleSaveSchedule = () => {
+        const { schedule, errors } = fromScheduleForm(scheduleForm);
+        if (errors.length) {
+            showToast?.(
+                safeT('availabilityErrorHours', 'Check the hours for: {0}').replace('{0}', errors.map(getDayLabel).join(', ')),
+                'error',
+            );
+            return;
+        }
+        saveSchedule(schedule);
+    };
+
+    const handleAddTimeOff = async () => {
+        const period = {
+            start: timeOffForm.start.trim(),
+            end: (timeOffForm.end || timeOffForm.start).trim(),
+            note: timeOffForm.note,
+        };
+        const error = validateTimeOffPeriod(period, settings.time_off);
+        if (error) {
+            showToast?.(safeT(...TIME_OFF_ERROR_KEYS[error]), 'error');
+            return;
+        }
+        const result = await saveTimeOff([...settings.time_off, period]);
+        if (result.success) setTimeOffForm(EMPTY_TIME_OFF);
+    };
+
+    const renderChip = (key, label, isActive, onPress) => (
+        <TouchableOpacity
+            key={key}
+            style={[
+                styles.historyFilterChip,
+                {
+                    backgroundColor: isActive ? `${theme.accentIndigo}18` : theme.bgCard,
+                    borderColor: isActive ? theme.accentIndigo : theme.borderPrimary,
+                },
+            ]}
+            onPress={onPress}
+            disabled={saving}
+        >
+            <Text style={{ color: isActive ? theme.accentIndigo : theme.textSecondary, fontSize: 11, fontWeight: '700' }}>{label}</Text>
+        </TouchableOpacity>
+    );
+
+    return (
+        <View style={styles.settingsSection}>
+            <View style={[styles.settingsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                <View style={styles.settingsToggleRow}>
+                    <View style={{ flex: 1, paddingRight: 10 }}>
+                        <Text style={[styles.settingsTitle, { color: theme.textPrimary }]}>{safeT('availabilityDutyTitle', 'On duty')}</Text>
+                        <Text style={{ color: theme.textMuted, fontSize: 11 }}>
+                            {safeT('availabilityDutyHint', 'Turn off when you cannot take orders. The pool and new assignments pause.')}
+                        </Text>
+                    </View>
+                    <View style={[styles.settingsThemeSwitch, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary }]}>
+                        {[true, false].map((value) => {
+                            const isActive = isOnDuty === value;
+                            return (
+                                <TouchableOpacity
+                                    key={String(value)}
+                                    style={[styles.settingsThemeOption, { backgroundColor: isActive ? theme.accentIndigo : 'transparent', opacity: saving ? 0.6 : 1 }]}
+                                    onPress={() => !isActive && setOnDuty(value)}
+                                    disabled={saving}
+                                >
+                                    <Text style={[styles.settingsThemeOptionText, { color: isActive ? '#fff' : theme.textSecondary }]}>
+                                        {value ? safeT('notifPrefOn', 'On') : safeT('notifPrefOff', 'Off')}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </View>
+                </View>
+                <View style={[styles.settingsStatusRow, { borderColor: theme.borderPrimary, backgroundColor: theme.bgSecondary }]}>
+                    <View style={[styles.settingsStatusDot, { backgroundColor: statusMeta.color }]} />
+                    <Text style={[styles.settingsStatusValue, { color: theme.textPrimary }]}>{statusMeta.label}</Text>
+                </View>
+            </View>
+
+            <View style={[styles.settingsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                <Text style={[styles.settingsTitle, { color: theme.textPrimary }]}>{safeT('availabilityHoursTitle', 'Working hours')}</Text>
+                <Text style={{ color: theme.textMuted, fontSize: 11, marginBottom: 8 }}>
+                    {safeT('availabilityHoursHint', 'Bishkek time. Outside these hours you do not see the pool and cannot be assigned.')}
+                </Text>
+                <View style={[styles.historyFilterRow, { marginBottom: 12 }]}>
+                    {renderChip('any', safeT('availabilityAnyTime', 'Any time'), !scheduleForm.restricted,
+                        () => setScheduleForm((prev) => ({ ...prev, restricted: false })))}
+                    {renderChip('schedule', safeT('availabilityBySchedule', 'By schedule'), scheduleForm.restricted,
+                        () => setScheduleForm((prev) => ({ ...prev, restricted: true })))}
+                </View>
+                {scheduleForm.restricted && scheduleForm.days.map((row) => (
+                    <View key={row.day} style={{ flexDirection: 'row', alignItems: 'flex-start', gap: 8, marginBottom: 8 }}>
+                        <View style={{ width: 64 }}>
+                            {renderChip(row.day, getDayLabel(row.day), row.enabled, () => updateDay(row.day, { enabled: !row.enabled }))}
+                        </View>
+                        {row.enabled ? (
+                            <View style={{ flex: 1, gap: 6 }}>
+                                {row.intervals.map((interval, index) => (
+                                    <View key={`${row.day}-${index}`} style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+                                        <TextInput
+                                            style={[inputStyle, { flex: 1, marginBottom: 0, paddingVertical: 8 }]}
+                                            value={interval.start}
+                                            onChangeText={(text) => updateInterval(row.day, index, { start: text.replace(/[^0-9:]/g, '') })}
+                                            placeholder="09:00"
+                                            placeholderTextColor={theme.textMuted}
+                                            maxLength={5}
+                                            editable={!saving}
+                                        />
+                                        <Text style={{ color: theme.textMuted }}>-</Text>
+                                        <TextInput
+                                            style={[inputStyle, { flex: 1, marginBottom: 0, paddingVertical: 8 }]}
+                                            value={interval.end}
+                                            onChangeText={(text) => updateInterval(row.day, index, { end: text.replace(/[^0-9:]/g, '') })}
+                                            placeholder="18:00"
+                                            placeholderTextColor={theme.textMuted}
+                                            maxLength={5}
+                                            editable={!saving}
+                                        />
+                                        {row.intervals.length > 1 && (
+                                            <TouchableOpacity
+                                                onPress={() => updateIntervals(row.day, (intervals) => intervals.filter((_, i) => i !== index))}
+                                                disabled={saving}
+                                            >
+                                                <X size={16} color={theme.textMuted} />
+                                            </TouchableOpacity>
+                                        )}
+                                    </View>
+                                ))}
+                                {row.intervals.length < MAX_DAY_INTERVALS && (
+                                    <TouchableOpacity
+                                        onPress={() => updateIntervals(row.day, (intervals) => [...intervals, { start: '', end: '' }])}
+                                        disabled={saving}
+                                    >
+                                        <Text style={{ color: theme.accentIndigo, fontSize: 12 }}>
+                                            {safeT('availabilityAddInterval', '+ Add hours')}
+                                        </Text>
+                                    </TouchableOpacity>
+                                )}
+                            </View>
+                        ) : (
+                            <Text style={{ color: theme.textMuted, fontSize: 12, flex: 1 }}>{safeT('availabilityDayOff', 'Day off')}</Text>
+                        )}
+                    </View>
+                ))}
+                <TouchableOpacity
+                    style={[styles.actionButton, { backgroundColor: theme.accentIndigo, opacity: saving ? 0.7 : 1 }]}
+                    onPress={handleSaveSchedule}
+                    disabled={saving}
+                >
+                    {saving
+                        ? <ActivityIndicator size="small" color="#fff" />
+                        : <Text style={styles.actionButtonText}>{safeT('availabilitySaveHours', 'Save hours')}</Text>}
+                </TouchableOpacity>
+            </View>
+
+            <View style={[styles.settingsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                <Text style={[styles.settingsTitle, { color: theme.textPrimary }]}>{safeT('timeOffTitle', 'Vacations')}</Text>
+                {settings.time_off.length === 0 ? (
+                    <Text style={{ color: theme.textMuted, fontSize: 12, marginBottom: 8 }}>{safeT('timeOffEmpty', 'No vacations planned')}</Text>
+                ) : settings.time_off.map((period) => (
+                    <View key={`${period.start}-${period.end}`} style={[styles.historyItem, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary, marginBottom: 8 }]}>
+                        <View style={{ flex: 1, paddingRight: 8 }}>
+                            <Text style={{ color: theme.textPrimary, fontWeight: '700' }}>
+                                {period.start === period.end ? period.start : `${period.start} - ${period.end}`}
+                            </Text>
+                            {!!period.note && <Text style={{ color: theme.textMuted, fontSize: 11 }}>{period.note}</Text>}
+                        </View>
+                        <TouchableOpacity
+                            onPress={() => saveTimeOff(settings.time_off.filter((item) => item !== period))}
+                            disabled={saving}
+                        >
+                            <X size={16} color={theme.textMuted} />
+                        </TouchableOpacity>
+                    </View>
+                ))}
+                <View style={{ flexDirection: 'row', gap: 8 }}>
+                    <TextInput
+                        style={[inputStyle, { flex: 1 }]}
+                        value={timeOffForm.start}
+                        onChangeText={(text) => setTimeOffForm((prev) => ({ ...prev, start: text }))}
+                        placeholder={safeT('timeOffFrom', 'From (YYYY-MM-DD)')}
+                        placeholderTextColor={theme.textMuted}
+                        maxLength={10}
+                        editable={!saving}
+                    />
+                    <TextInput
+                        style={[inputStyle, { flex: 1 }]}
+                        value={timeOffForm.end}
+                        onChangeText={(text) => setTimeOffForm((prev) => ({ ...prev, end: text }))}
+                        placeholder={safeT('timeOffTo', 'To (YYYY-MM-DD)')}
+                        placeholderTextColor={theme.textMuted}
+                        maxLength={10}
+                        editable={!saving}
+                    />
+                </View>
+                <TextInput
+                    style={inputStyle}
+                    value={timeOffForm.note}
+                    onChangeText={(text) => setTimeOffForm((prev) => ({ ...prev, note: text }))}
+                    placeholder={safeT('topUpNotesPlaceholder', 'Comment (optional)')}
+                    placeholderTextColor={theme.textMuted}
+                    maxLength={120}
+                    editable={!saving}
+                />
+                <TouchableOpacity
+                    style={[styles.actionButton, { backgroundColor: theme.accentIndigo, opacity: saving ? 0.7 : 1 }]}
+                    onPress={handleAddTimeOff}
+                    disabled={saving}
+                >
+                    <Text style={styles.actionButtonText}>{safeT('timeOffAdd', 'Add vacation')}</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+};
+
+export default AvailabilityView;
@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from 'react';
+import { Text, TouchableOpacity, View } from 'react-native';
+import { Pause, Play, Timer } from 'lucide-react-native';
+import { useTheme } from '../../../contexts/ThemeContext';
+import { getWorkedMs, isTimerRunning } from '../../../utils/jobTimer';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatElapsed = (ms) => {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    return `${hours}:${pad(minutes)}:${pad(totalSeconds % 60)}`;
+};
+
+/**
+ * Job timer of a started order in the order sheet: worked time and pause/resume
+ * (for example while fetching materials). Ticks every second only while running.
+ */
+const JobTimerCard = ({ segments, onPause, onResume, safeT, disabled = false }) => {
+    const { theme } = useTheme();
+    const running = isTimerRunning(segments);
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        setNow(Date.now());
+        if (!running) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [running]);
+
+    const accent = running ? theme.accentSuccess : theme.accentWarning;
+
+    return (
+        <View style={{
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: 12,
+            padding: 12,
+            borderRadius: 12,
+            borderWidth: 1,
+            borderColor: theme.borderPrimary,
+            backgroundColor: theme.bgCard,
+            marginBottom: 12,
+        }}>
+            <Timer size={20} color={accent} />
+            <View style={{ flex: 1 }}>
+                <Text style={{ color: theme.textMuted, fontSize: 12 }}>
+                    {running ? safeT('jobTimerRunning', 'Timer running') : safeT('jobTimerPaused', 'Timer paused')}
+                </Text>
+                <Text style={{ color: theme.textPrimary, fontSize: 20, fontWeight: '700', fontVariant: ['tabular-nums'] }}>
+                    {formatElapsed(getWorkedMs(segments, now))}
+                </Text>
+            </View>
+            <TouchableOpacity
+                style={{
+                    flexDirection: 'row',
+                    alignItems: 'center',
+                    gap: 6,
+                    paddingHorizontal: 14,
+                    paddingVertical: 8,
+                    borderRadius: 10,
+                    backgroundColor: `${accent}1f`,
+                    opacity: disabled ? 0.5 : 1,
+                }}
+                disabled={disabled}
+                onPress={running ? onPause : onResume}
+            >
+                {running ? <Pause size={16} color={accent} /> : <Play size={16} color={accent} />}
+                <Text style={{ color: accent, fontWeight: '600' }}>
+                    {running ? safeT('jobTimerPause', 'Pause') : safeT('jobTimerResume', 'Resume')}
+                </Text>
+            </TouchableOpacity>
+        </View>
+    );
+};
+
+export default JobTimerCard;
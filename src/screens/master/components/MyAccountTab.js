@@ -1,10 +1,17 @@
 import React, { useCallback, useMemo, useState } from 'react';
 import { FlatList, Image, Linking, Platform, RefreshControl, ScrollView, Text, TouchableOpacity, View } from 'react-native';
-import { AlertCircle, ChevronLeft, ChevronRight, ClipboardList, MessageCircle, Phone, Send, Settings, ShieldCheck, User, Wallet } from 'lucide-react-native';
+import { AlertCircle, ChevronLeft, ChevronRight, ClipboardList, Clock, FileText, MapPin, MessageCircle, Phone, PlusCircle, Send, Settings, ShieldCheck, Star, User, Wallet } from 'lucide-react-native';
 import { useLocalization } from '../../../contexts/LocalizationContext';
 import { useTheme } from '../../../contexts/ThemeContext';
 import { getOrderStatusLabel, getServiceLabel } from '../../../utils/orderHelpers';
+import { summarizeReviews } from '../../../services/reviews';
+import { useNotificationPreferences } from '../../../hooks/useNotificationPreferences';
 import { ACCOUNT_VIEWS } from '../constants/domain';
+import { buildMapsUrl, formatCoords } from '../../../utils/geo';
+import { buildMonthlyVolumeLookup, getOrderCommissionAmount } from '../../../utils/commissionRules';
+import TopUpRequestView from './TopUpRequestView';
+import AvailabilityView from './AvailabilityView';
+import AccountStatement from '../../../components/shared/AccountStatement';
 
 const THEME_OPTIONS = [
     { id: 'light', icon: '\u2600', labelKey: 'settingsThemeLight', fallback: 'Light' },
@@ -27,11 +34,15 @@ const MyAccountTab = ({
     earnings,
     orderHistory,
     balanceTransactions = [],
+    reviews = [],
     districts = [],
     refreshing,
     onRefresh,
     accountView,
     setAccountView,
+    masterLocation,
+    masterAvailability,
+    showToast,
     styles,
 }) => {
     const { t, language, setLanguage } = useLocalization();
@@ -42,6 +53,7 @@ const MyAccountTab = ({
     }, [t]);
     const [historyFilter, setHistoryFilter] = useState('all'); // all | financial | orders
     const [historySort, setHistorySort] = useState('desc'); // desc | asc
+    const notificationPrefs = useNotificationPreferences(user);
     const languageOptions = [
         { code: 'en', label: 'EN', flag: '🇬🇧' },
         { code: 'ru', label: 'RU', flag: '🇷🇺' },
@@ -67,9 +79,49 @@ const MyAccountTab = ({
     const accountTitle = {
         [ACCOUNT_VIEWS.HISTORY]: t('sectionHistory'),
         [ACCOUNT_VIEWS.PROFILE]: t('sectionProfile'),
-        [ACCOUNT_VIEWS.SETTINGS]: t('sectionSettings') || 'Settings'
+        [ACCOUNT_VIEWS.REVIEWS]: safeT('sectionReviews', 'Reviews'),
+        [ACCOUNT_VIEWS.SETTINGS]: t('sectionSettings') || 'Settings',
+        [ACCOUNT_VIEWS.TOP_UP]: safeT('topUpBalance', 'Top Up Balance'),
+        [ACCOUNT_VIEWS.STATEMENTS]: safeT('statementsMenu', 'Statements'),
+        [ACCOUNT_VIEWS.AVAILABILITY]: safeT('availabilityMenu', 'Availability')
     }[accountView];
+    const reviewSummary = useMemo(() => summarizeReviews(reviews), [reviews]);
+    const renderStars = (rating, size = 12) => (
+        <View style={styles.reviewStarsRow}>
+            {[1, 2, 3, 4, 5].map((value) => (
+                <Star
+                    key={`star-${value}`}
+                    size={size}
+                    color={theme.accentWarning}
+                    fill={value <= Math.round(Number(rating) || 0) ? theme.accentWarning : 'transparent'}
+                />
+            ))}
+        </View>
+    );
     const orderById = useMemo(() => new Map(orderHistory.map(o => [o.id, o])), [orderHistory]);
+    const commissionContext = financials?.commissionContext;
+    const commissionTierLabel = {
+        standard: safeT('commissionTierStandard', 'Standard'),
+        silver: safeT('commissionTierSilver', 'Silver'),
+        gold: safeT('commissionTierGold', 'Gold'),
+    }[commissionContext?.master?.commission_tier] || safeT('commissionTierStandard', 'Standard');
+    const commissionRatePercent = financials?.commissionRate
+        ? Math.round(financials.commissionRate.rate * 1000) / 10
+        : null;
+    const getMonthlyVolume = useMemo(
+        () => buildMonthlyVolumeLookup(orderHistory.map(o => ({ ...o, master_id: o.master_id || user?.id }))),
+        [orderHistory, user?.id],
+    );
+    const getOrderCommission = useCallback((order) => {
+        if (!['completed', 'confirmed'].includes(order?.status)) return null;
+        const monthlyOrders = order.status === 'confirmed'
+            ? getMonthlyVolume({ ...order, master_id: order.master_id || user?.id })
+            : commissionContext?.monthlyOrders;
+        return getOrderCommissionAmount(order, {
+            master: commissionContext?.master,
+            monthlyOrders,
+        }, commissionContext?.config);
+    }, [commissionContext, getMonthlyVolume, user?.id]);
     const uuidRegex = useMemo(() => /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/g, []);
     const contextSeparator = ' - ';
     const districtLabelByCode = useMemo(() => {
@@ -204,6 +256,7 @@ const MyAccountTab = ({
             expired: safeT('jobExpired', 'Job expired'),
         }[o.status] || getStatusLabel(o.status);
         const isOrderNoAmount = ['canceled_by_master', 'canceled_by_client', 'expired'].includes(o.status);
+        const orderCommission = isOrderNoAmount ? null : getOrderCommission(o);
         return (
             <View style={[styles.historyRow, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary }]}>
                 <Text style={[styles.historyCell, styles.historyCellType, { color: theme.textPrimary }]} numberOfLines={1}>
@@ -222,10 +275,15 @@ const MyAccountTab = ({
                             {formatAccountingAmount(o.final_price ?? o.initial_price ?? o.callout_fee ?? 0)}
                         </Text>
                     )}
+                    {orderCommission > 0 && (
+                        <Text style={{ color: theme.textMuted, fontWeight: '400', fontSize: 10 }}>
+                            {safeT('historyCommissionShort', 'Fee')} {formatAccountingAmount(-orderCommission)}
+                        </Text>
+                    )}
                 </View>
             </View>
         );
-    }, [formatAccountingAmount, formatOrderContext, getStatusLabel, safeT, theme]);
+    }, [formatAccountingAmount, formatOrderContext, getOrderCommission, getStatusLabel, safeT, theme]);
     const renderHistoryItem = useCallback(({ item }) => {
         if (item.type === 'group') {
             return (
@@ -373,9 +431,51 @@ const MyAccountTab = ({
                         <Text style={[styles.balanceValue, { color: financials?.balanceBlocked ? theme.accentDanger : theme.textPrimary }]}>{financials?.prepaidBalance?.toFixed(0) || 0}</Text>
                         {financials?.balanceBlocked && <View style={[styles.blockedBadge, { backgroundColor: `${theme.accentDanger}20` }]}><AlertCircle size={12} color={theme.accentDanger} /><Text style={{ color: theme.accentDanger, fontSize: 11 }}>{t('balanceBlocked')}</Text></View>}
                         <Text style={{ color: theme.textMuted, fontSize: 11, marginTop: 8 }}>{t('initialDeposit')}: {financials?.initialDeposit || 0} | {t('threshold')}: {financials?.balanceThreshold || 0}</Text>
+                        {commissionRatePercent !== null && (
+                            <Text style={{ color: theme.textMuted, fontSize: 11, marginTop: 4 }}>
+                                {safeT('commissionRate', 'Commission Rate')}: {commissionRatePercent}%
+                                {' | '}{safeT('commissionTierLabel', 'Tier')}: {commissionTierLabel}
+                                {' | '}{safeT('commissionMonthlyOrders', 'Orders this month')}: {commissionContext?.monthlyOrders ?? 0}
+                            </Text>
+                        )}
+                        {financials?.balanceBlocked && (
+                            <TouchableOpacity
+                                style={[styles.actionButton, { backgroundColor: theme.accentIndigo, marginTop: 12, alignSelf: 'stretch' }]}
+                                onPress={() => setAccountView(ACCOUNT_VIEWS.TOP_UP)}
+                            >
+                                <Text style={styles.actionButtonText}>{safeT('topUpBalance', 'Top Up Balance')}</Text>
+                            </TouchableOpacity>
+                        )}
                     </View>
 
                     <View style={styles.accountMenu}>
+                        {masterAvailability ? (
+                            <TouchableOpacity
+                                style={[styles.accountMenuItem, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}
+                                onPress={() => setAccountView(ACCOUNT_VIEWS.AVAILABILITY)}
+                            >
+                                <View style={[styles.accountMenuIcon, { backgroundColor: `${theme.accentSuccess}15` }]}>
+                                    <Clock size={18} color={theme.accentSuccess} />
+                                </View>
+                                <Text style={[styles.accountMenuLabel, { color: theme.textPrimary }]}>{safeT('availabilityMenu', 'Availability')}</Text>
+                                <Text style={{ color: masterAvailability.availability.available ? theme.accentSuccess : theme.textMuted, fontSize: 12, marginRight: 6 }}>
+                                    {masterAvailability.availability.available
+                                        ? safeT('availabilityWorkingNow', 'Working now')
+                                        : safeT('availabilityPaused', 'Paused')}
+                                </Text>
+                                <ChevronRight size={16} color={theme.textMuted} />
+                            </TouchableOpacity>
+                        ) : null}
+                        <TouchableOpacity
+                            style={[styles.accountMenuItem, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}
+                            onPress={() => setAccountView(ACCOUNT_VIEWS.TOP_UP)}
+                        >
+                            <View style={[styles.accountMenuIcon, { backgroundColor: `${theme.accentIndigo}15` }]}>
+                                <PlusCircle size={18} color={theme.accentIndigo} />
+                            </View>
+                            <Text style={[styles.accountMenuLabel, { color: theme.textPrimary }]}>{safeT('topUpBalance', 'Top Up Balance')}</Text>
+                            <ChevronRight size={16} color={theme.textMuted} />
+                        </TouchableOpacity>
                         <TouchableOpacity
                             style={[styles.accountMenuItem, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}
                             onPress={() => setAccountView(ACCOUNT_VIEWS.HISTORY)}
@@ -386,6 +486,16 @@ const MyAccountTab = ({
                             <Text style={[styles.accountMenuLabel, { color: theme.textPrimary }]}>{t('sectionHistory')}</Text>
                             <ChevronRight size={16} color={theme.textMuted} />
                         </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.accountMenuItem, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}
+                            onPress={() => setAccountView(ACCOUNT_VIEWS.STATEMENTS)}
+                        >
+                            <View style={[styles.accountMenuIcon, { backgroundColor: `${theme.accentIndigo}15` }]}>
+                                <FileText size={18} color={theme.accentIndigo} />
+                            </View>
+                            <Text style={[styles.accountMenuLabel, { color: theme.textPrimary }]}>{safeT('statementsMenu', 'Statements')}</Text>
+                            <ChevronRight size={16} color={theme.textMuted} />
+                        </TouchableOpacity>
                         <TouchableOpacity
                             style={[styles.accountMenuItem, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}
                             onPress={() => setAccountView(ACCOUNT_VIEWS.PROFILE)}
@@ -396,6 +506,19 @@ const MyAccountTab = ({
                             <Text style={[styles.accountMenuLabel, { color: theme.textPrimary }]}>{t('sectionProfile')}</Text>
                             <ChevronRight size={16} color={theme.textMuted} />
                         </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.accountMenuItem, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}
+                            onPress={() => setAccountView(ACCOUNT_VIEWS.REVIEWS)}
+                        >
+                            <View style={[styles.accountMenuIcon, { backgroundColor: `${theme.accentWarning}15` }]}>
+                                <Star size={18} color={theme.accentWarning} />
+                            </View>
+                            <Text style={[styles.accountMenuLabel, { color: theme.textPrimary }]}>{safeT('sectionReviews', 'Reviews')}</Text>
+                            <Text style={{ color: theme.textMuted, fontSize: 12, marginRight: 6 }}>
+                                {reviewSummary.count ? reviewSummary.average.toFixed(1) : '-'}
+                            </Text>
+                            <ChevronRight size={16} color={theme.textMuted} />
+                        </TouchableOpacity>
                         <TouchableOpacity
                             style={[styles.accountMenuItem, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}
                             onPress={() => setAccountView(ACCOUNT_VIEWS.SETTINGS)}
@@ -410,6 +533,35 @@ const MyAccountTab = ({
                 </>
             )}
 
+            {accountView === ACCOUNT_VIEWS.TOP_UP && (
+                <TopUpRequestView
+                    user={user}
+                    styles={styles}
+                    safeT={safeT}
+                    showToast={showToast}
+                    onSubmitted={onRefresh}
+                />
+            )}
+
+            {accountView === ACCOUNT_VIEWS.AVAILABILITY && masterAvailability && (
+                <AvailabilityView
+                    availabilityState={masterAvailability}
+                    styles={styles}
+                    safeT={safeT}
+                    showToast={showToast}
+                />
+            )}
+
+            {accountView === ACCOUNT_VIEWS.STATEMENTS && (
+                <View style={styles.settingsSection}>
+                    <AccountStatement
+                        accountId={user?.id}
+                        showToast={showToast}
+                        isDark={isDark}
+                    />
+                </View>
+            )}
+
             {/* Profile Section */}
             {accountView === ACCOUNT_VIEWS.PROFILE && (
                 <View style={styles.profileSection}>
@@ -441,6 +593,46 @@ const MyAccountTab = ({
                     </View>
                 </View>
             )}
+            {accountView === ACCOUNT_VIEWS.REVIEWS && (
+                <View style={styles.profileSection}>
+                    <View style={[styles.profileCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                        <View style={styles.reviewSummaryRow}>
+                            <Text style={[styles.reviewSummaryValue, { color: theme.textPrimary }]}>
+                                {(reviewSummary.count ? reviewSummary.average : Number(financials?.rating) || 0).toFixed(1)}
+                            </Text>
+                            <View style={{ gap: 4 }}>
+                                {renderStars(reviewSummary.count ? reviewSummary.average : financials?.rating, 16)}
+                                <Text style={{ color: theme.textMuted, fontSize: 11 }}>
+                                    {(safeT('reviewsCount', '{0} reviews')).replace('{0}', String(reviewSummary.count))}
+                                </Text>
+                            </View>
+                        </View>
+                    </View>
+                    {reviews.length === 0 ? (
+                        <View style={styles.emptyState}>
+                            <Star size={40} color={theme.textMuted} />
+                            <Text style={{ color: theme.textMuted }}>{safeT('noReviewsYet', 'No reviews yet')}</Text>
+                        </View>
+                    ) : (
+                        reviews.map((review) => (
+                            <View key={review.id} style={[styles.reviewItem, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary }]}>
+                                <View style={styles.reviewItemHeader}>
+                                    {renderStars(review.rating)}
+                                    <Text style={{ color: theme.textMuted, fontSize: 11 }}>
+                                        {review.created_at ? new Date(review.created_at).toLocaleDateString() : '-'}
+                                    </Text>
+                                </View>
+                                <Text style={{ color: theme.textSecondary, fontSize: 11 }} numberOfLines={1}>
+                                    {formatOrderContext(review.order?.service_type, review.order?.area)}
+                                </Text>
+                                {review.comment ? (
+                                    <Text style={{ color: theme.textPrimary, fontSize: 13 }}>{review.comment}</Text>
+                                ) : null}
+                            </View>
+                        ))
+                    )}
+                </View>
+            )}
             {accountView === ACCOUNT_VIEWS.SETTINGS && (
                 <View style={styles.settingsSection}>
                     <View style={[styles.settingsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
@@ -522,6 +714,84 @@ const MyAccountTab = ({
                             </View>
                         </View>
                     </View>
+                    <View style={[styles.settingsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                        <Text style={[styles.settingsTitle, { color: theme.textPrimary }]}>{safeT('settingsNotifications', 'Notifications')}</Text>
+                        <Text style={{ color: theme.textMuted, fontSize: 11 }}>
+                            {safeT('settingsNotificationsHint', 'Choose which alerts you receive')}
+                        </Text>
+                        <View style={styles.settingsSupportList}>
+                            {notificationPrefs.options.map((option) => {
+                                const isOn = notificationPrefs.prefs[option.key] === true;
+                                const isDisabled = notificationPrefs.loading || notificationPrefs.savingKey === option.key
+                                    || (option.key === 'emergency_only' && !notificationPrefs.prefs.order_created);
+                                return (
+                                    <TouchableOpacity
+                                        key={option.key}
+                                        style={[
+                                            styles.settingsSupportRow,
+                                            { borderColor: theme.borderPrimary, backgroundColor: theme.bgSecondary, opacity: isDisabled ? 0.6 : 1 },
+                                        ]}
+                                        onPress={() => notificationPrefs.togglePref(option.key)}
+                                        disabled={isDisabled}
+                                    >
+                                        <Text style={[styles.settingsSupportLabel, { color: theme.textPrimary, flex: 1 }]}>
+                                            {safeT(option.labelKey, option.fallback)}
+                                        </Text>
+                                        <Text style={[styles.settingsSupportValue, { color: isOn ? theme.accentSuccess : theme.textMuted }]}>
+                                            {isOn ? safeT('notifPrefOn', 'On') : safeT('notifPrefOff', 'Off')}
+                                        </Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                    </View>
+                    {masterLocation ? (
+                        <View style={[styles.settingsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                            <Text style={[styles.settingsTitle, { color: theme.textPrimary }]}>{safeT('settingsWorkLocation', 'Work location')}</Text>
+                            <Text style={{ color: theme.textMuted, fontSize: 11 }}>
+                                {safeT('settingsWorkLocationHint', 'Used to show distance to jobs in the order pool')}
+                            </Text>
+                            <View style={styles.settingsSupportList}>
+                                <TouchableOpacity
+                                    style={[styles.settingsSupportRow, { borderColor: theme.borderPrimary, backgroundColor: theme.bgSecondary }]}
+                                    onPress={() => {
+                                        const url = buildMapsUrl(masterLocation.origin);
+                                        if (url) openSupportLink(url);
+                                    }}
+                                    disabled={!masterLocation.origin}
+                                >
+                                    <View style={styles.settingsSupportLeft}>
+                                        <MapPin size={16} color={theme.textMuted} />
+                                        <Text style={[styles.settingsSupportLabel, { color: theme.textPrimary }]}>
+                                            {masterLocation.origin
+                                                ? formatCoords(masterLocation.origin, 4)
+                                                : safeT('settingsWorkLocationNotSet', 'Not set')}
+                                        </Text>
+                                    </View>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                    style={[styles.settingsSupportRow, { borderColor: theme.borderPrimary, backgroundColor: theme.bgSecondary, opacity: masterLocation.saving ? 0.6 : 1 }]}
+                                    onPress={masterLocation.captureCurrentLocation}
+                                    disabled={masterLocation.saving || masterLocation.loading}
+                                >
+                                    <Text style={[styles.settingsSupportLabel, { color: theme.accentIndigo }]}>
+                                        {safeT('settingsWorkLocationUseCurrent', 'Use current location')}
+                                    </Text>
+                                </TouchableOpacity>
+                                {masterLocation.origin ? (
+                                    <TouchableOpacity
+                                        style={[styles.settingsSupportRow, { borderColor: theme.borderPrimary, backgroundColor: theme.bgSecondary, opacity: masterLocation.saving ? 0.6 : 1 }]}
+                                        onPress={masterLocation.clearLocation}
+                                        disabled={masterLocation.saving}
+                                    >
+                                        <Text style={[styles.settingsSupportLabel, { color: theme.textMuted }]}>
+                                            {safeT('settingsWorkLocationClear', 'Clear location')}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ) : null}
+                            </View>
+                        </View>
+                    ) : null}
                     <View style={[styles.settingsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
                         <Text style={[styles.settingsTitle, { color: theme.textPrimary }]}>{t('settingsSupport') || 'Support'}</Text>
                         <View style={styles.settingsSupportList}>
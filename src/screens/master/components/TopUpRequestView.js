@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { ActivityIndicator, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Clock } from 'lucide-react-native';
+import { useTheme } from '../../../contexts/ThemeContext';
+import PhotoAttachmentPicker from '../../../components/shared/PhotoAttachmentPicker';
+import { TOP_UP_LIMITS, TOP_UP_METHODS, TOP_UP_STATUSES, validateTopUpRequest } from '../../../utils/balanceTopUps';
+import { useMasterTopUps } from '../hooks/useMasterTopUps';
+
+const METHOD_LABEL_KEYS = {
+    transfer: ['paymentTransfer', 'Transfer'],
+    card: ['paymentCard', 'Card'],
+    cash: ['paymentCash', 'Cash'],
+};
+
+const EMPTY_FORM = { amount: '', method: 'transfer', proofs: [], notes: '' };
+
+/**
+ * Top-up request view of My Account: form (amount, method, proof screenshot, note) and
+ * the master's requests with their review status. One open request at a time.
+ */
+const TopUpRequestView = ({ user, styles, safeT, showToast, onSubmitted }) => {
+    const { theme, isDark } = useTheme();
+    const [form, setForm] = useState(EMPTY_FORM);
+    const topUps = useMasterTopUps({ userId: user?.id, enabled: true, showToast, safeT, onSubmitted });
+    const statusMeta = {
+        [TOP_UP_STATUSES.REQUESTED]: { color: theme.accentWarning, label: safeT('topUpStatusRequested', 'Under review') },
+        [TOP_UP_STATUSES.APPROVED]: { color: theme.accentSuccess, label: safeT('topUpStatusApproved', 'Approved') },
+        [TOP_UP_STATUSES.REJECTED]: { color: theme.accentDanger, label: safeT('topUpStatusRejected', 'Rejected') },
+    };
+    const getMethodLabel = (method) => {
+        const [key, fallback] = METHOD_LABEL_KEYS[method] || [method, method];
+        return safeT(key, fallback);
+    };
+    const inputStyle = [styles.modalInput, { backgroundColor: theme.bgCard, color: theme.textPrimary, borderColor: theme.borderPrimary }];
+
+    const handleSubmit = async () => {
+        const payload = { amount: form.amount, method: form.method, proof: form.proofs[0], notes: form.notes };
+        const check = validateTopUpRequest(payload, { hasPending: topUps.hasPending });
+        if (!check.isValid) {
+            showToast?.(topUps.getErrorMessage(check.error), 'error');
+            return;
+        }
+        const ok = await topUps.submitRequest(payload);
+        if (ok) setForm(EMPTY_FORM);
+    };
+
+    return (
+        <View style={styles.settingsSection}>
+            <View style={[styles.settingsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                <Text style={[styles.settingsTitle, { color: theme.textPrimary }]}>{safeT('topUpBalance', 'Top Up Balance')}</Text>
+                {topUps.hasPending ? (
+                    <View style={[styles.settingsStatusRow, { borderColor: theme.accentWarning, backgroundColor: `${theme.accentWarning}15` }]}>
+                        <Clock size={16} color={theme.accentWarning} />
+                        <Text style={{ color: theme.textSecondary, fontSize: 12, flex: 1 }}>
+                            {safeT('topUpPendingHint', 'Your request is being reviewed. You can send a new one after the decision.')}
+                        </Text>
+                    </View>
+                ) : (
+                    <>
+                        <Text style={{ color: theme.textMuted, fontSize: 11, marginBottom: 8 }}>
+                            {safeT('topUpHint', 'Pay the amount, attach a screenshot of the payment and send the request. The balance is credited after review.')}
+                        </Text>
+                        <TextInput
+                            style={inputStyle}
+                            placeholder={(safeT('topUpAmountPlaceholder', 'Amount ({0}-{1})'))
+                                .replace('{0}', String(TOP_UP_LIMITS.minAmount))
+                                .replace('{1}', String(TOP_UP_LIMITS.maxAmount))}
+                            placeholderTextColor={theme.textMuted}
+                            keyboardType="numeric"
+                            value={form.amount}
+                            onChangeText={(text) => setForm((prev) => ({ ...prev, amount: text.replace(/[^0-9.,]/g, '') }))}
+                            editable={!topUps.submitting}
+                        />
+                        <View style={[styles.historyFilterRow, { marginBottom: 12 }]}>
+                            {TOP_UP_METHODS.map((method) => {
+                                const isActive = form.method === method;
+                                return (
+                                    <TouchableOpacity
+                                        key={method}
+                                        style={[
+                                            styles.historyFilterChip,
+                                            {
+                                                backgroundColor: isActive ? `${theme.accentIndigo}18` : theme.bgCard,
+                                                borderColor: isActive ? theme.accentIndigo : theme.borderPrimary,
+                                            },
+                                        ]}
+                                        onPress={() => setForm((prev) => ({ ...prev, method }))}
+                                        disabled={topUps.submitting}
+                                    >
+                                        <Text style={{ color: isActive ? theme.accentIndigo : theme.textSecondary, fontSize: 11, fontWeight: '700', textTransform: 'uppercase' }}>
+                                            {getMethodLabel(method)}
+                                        </Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                        <PhotoAttachmentPicker
+                            label={safeT('topUpProofLabel', 'Payment screenshot')}
+                            photos={form.proofs}
+                            onChange={(proofs) => setForm((prev) => ({ ...prev, proofs }))}
+                            onError={(message) => showToast?.(message, 'error')}
+                            isDark={isDark}
+                            disabled={topUps.submitting}
+                            maxPhotos={1}
+                        />
+                        <TextInput
+                            style={inputStyle}
+                            placeholder={safeT('topUpNotesPlaceholder', 'Comment (optional)')}
+                            placeholderTextColor={theme.textMuted}
+                            multiline
+                            numberOfLines={2}
+                            maxLength={500}
+                            value={form.notes}
+                            onChangeText={(text) => setForm((prev) => ({ ...prev, notes: text }))}
+                            editable={!topUps.submitting}
+                        />
+                        <TouchableOpacity
+                            style={[styles.actionButton, { backgroundColor: theme.accentIndigo, opacity: topUps.submitting ? 0.7 : 1 }]}
+                            onPress={handleSubmit}
+                            disabled={topUps.submitting}
+                        >
+                            {topUps.submitting
+                                ? <ActivityIndicator size="small" color="#fff" />
+                                : <Text style={styles.actionButtonText}>{safeT('topUpSubmit', 'Send request')}</Text>}
+                        </TouchableOpacity>
+                    </>
+                )}
+            </View>
+
+            <View style={[styles.settingsCard, { backgroundColor: theme.bgCard, borderColor: theme.borderPrimary }]}>
+                <Text style={[styles.settingsTitle, { color: theme.textPrimary }]}>{safeT('topUpRequestsTitle', 'My requests')}</Text>
+                {topUps.loading && !topUps.requests.length ? (
+                    <ActivityIndicator size="small" color={theme.accentIndigo} />
+                ) : !topUps.requests.length ? (
+                    <Text style={{ color: theme.textMuted, fontSize: 12 }}>{safeT('topUpRequestsEmpty', 'No top-up requests yet')}</Text>
+                ) : (
+                    topUps.requests.map((request) => {
+                        const meta = statusMeta[request.status] || { color: theme.textMuted, label: request.status };
+                        return (
+                            <View key={request.id} style={[styles.historyItem, { backgroundColor: theme.bgSecondary, borderColor: theme.borderPrimary, marginBottom: 8 }]}>
+                                <View style={{ flex: 1, paddingRight: 8 }}>
+                                    <Text style={{ color: theme.textPrimary, fontWeight: '700' }}>
+                                        {Number(request.amount || 0).toFixed(0)} · {getMethodLabel(request.method)}
+                                    </Text>
+                                    <Text style={{ color: theme.textMuted, fontSize: 11 }}>
+                                        {request.created_at ? new Date(request.created_at).toLocaleString() : '-'}
+                                    </Text>
+                                    {!!request.review_notes && (
+                                        <Text style={{ color: theme.textSecondary, fontSize: 11, marginTop: 4 }}>
+                                            {safeT('topUpReviewNote', 'Admin note')}: {request.review_notes}
+                                        </Text>
+                                    )}
+                                </View>
+                                <View style={[styles.statusBadgeSmall, { backgroundColor: `${meta.color}20`, alignSelf: 'flex-start' }]}>
+                                    <Text style={{ color: meta.color, fontSize: 10, fontWeight: '700' }}>{meta.label}</Text>
+                                </View>
+                            </View>
+                        );
+                    })
+                )}
+            </View>
+        </View>
+    );
+};
+
+export default TopUpRequestView;
@@ -12,7 +12,11 @@ export const ACCOUNT_VIEWS = {
   MENU: 'menu',
   HISTORY: 'history',
   PROFILE: 'profile',
+  REVIEWS: 'reviews',
   SETTINGS: 'settings',
+  TOP_UP: 'topUp',
+  STATEMENTS: 'statements',
+  AVAILABILITY: 'availability',
 };
 
 export const TERMINAL_ORDER_STATUSES = [
@@ -0,0 +1,139 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import jobTimerService from '../../../services/jobTimer';
+import { ORDER_STATUS } from '../../../services/orders';
+import {
+  JOB_TIMER_STORAGE_KEY,
+  getWorkedMs,
+  isWithinJobWindow,
+  normalizeWorkSegments,
+  pauseTimer,
+  pickLatestSegments,
+  startTimer,
+  toHoursWorked,
+} from '../../../utils/jobTimer';
+
+const sameSegments = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+
+/**
+ * Job timers of the master's started orders, keyed by order id. A timer starts at the
+ * order's started_at, pauses and resumes from the order sheet and is persisted on the
+ * device, so it survives app restarts and offline work. Changes are pushed to
+ * orders.work_segments; the newer of the device and server copies wins.
+ */
+export const useJobTimer = ({ userId, myOrders }) => {
+  const [timers, setTimers] = useState({});
+  const [loaded, setLoaded] = useState(false);
+  const timersRef = useRef({});
+  const pushedRef = useRef({});
+  const storageKey = userId ? `${JOB_TIMER_STORAGE_KEY}:${userId}` : null;
+
+  const commitTimers = useCallback((next) => {
+    timersRef.current = next;
+    setTimers(next);
+    if (storageKey) {
+      AsyncStorage.setItem(storageKey, JSON.stringify(next))
+        .catch((error) => console.error('[JobTimer] persist failed', error));
+    }
+  }, [storageKey]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoaded(false);
+    timersRef.current = {};
+    pushedRef.current = {};
+    setTimers({});
+    if (!storageKey) return undefined;
+    AsyncStorage.getItem(storageKey)
+      .then((raw) => {
+        if (cancelled || !raw) return;
+        const parsed = JSON.parse(raw);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+          timersRef.current = parsed;
+          setTimers(parsed);
+        }
+      })
+      .catch((error) => console.error('[JobTimer] load failed', error))
+      .finally(() => {
+        if (!cancelled) setLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storageKey]);
+
+  // Offline-started orders are not on the server yet; they are pushed once synced.
+  const pushSegments = useCallback((order, segments) => {
+    const orderId = String(order.id);
+    if (order.pending_sync || sameSegments(pushedRef.current[orderId], segments)) return;
+    if (!isWithinJobWindow(segments, order.started_at)) {
+      console.warn('[JobTimer] segments outside the job window not saved', orderId);
+      return;
+    }
+    pushedRef.current[orderId] = segments;
+    jobTimerService.saveWorkSegments(order.id, userId, segments).then((result) => {
+      if (!result.success) delete pushedRef.current[orderId];
+    });
+  }, [userId]);
+
+  useEffect(() => {
+    if (!loaded) return;
+    const prev = timersRef.current;
+    const next = { ...prev };
+    let changed = false;
+    (myOrders || []).forEach((order) => {
+      const orderId = String(order?.id || '');
+      if (!orderId) return;
+      if (order.status !== ORDER_STATUS.STARTED) {
+        if (next[orderId]) {
+          delete next[orderId];
+          delete pushedRef.current[orderId];
+          changed = true;
+        }
+        return;
+      }
+      const remote = normalizeWorkSegments(order.work_segments);
+      if (remote.length) pushedRef.current[orderId] = pushedRef.current[orderId] || remote;
+      const seeded = remote.length ? remote : startTimer([], new Date(order.started_at || Date.now()).getTime());
+      const chosen = pickLatestSegments(next[orderId], seeded);
+      if (!sameSegments(chosen, next[orderId])) {
+        next[orderId] = chosen;
+        changed = true;
+      }
+      if (!sameSegments(chosen, remote)) pushSegments(order, chosen);
+    });
+    if (changed) commitTimers(next);
+  }, [commitTimers, loaded, myOrders, pushSegments]);
+
+  const updateTimer = useCallback((order, update) => {
+    const orderId = String(order?.id || '');
+    if (!orderId) return;
+    const segments = update(timersRef.current[orderId] || [], Date.now());
+    commitTimers({ ...timersRef.current, [orderId]: segments });
+    pushSegments(order, segments);
+  }, [commitTimers, pushSegments]);
+
+  const pause = useCallback((order) => updateTimer(order, pauseTimer), [updateTimer]);
+  const resume = useCallback((order) => updateTimer(order, startTimer), [updateTimer]);
+
+  const getSegments = useCallback((orderId) => timers[String(orderId)] || [], [timers]);
+
+  /**
+   * Segments and hours for the completion form, with a running timer stopped now.
+   * The timer itself keeps running until the completion goes through.
+   */
+  const getCompletion = useCallback((orderId) => {
+    const segments = pauseTimer(timersRef.current[String(orderId)] || [], Date.now());
+    return { segments, hoursWorked: toHoursWorked(getWorkedMs(segments)) };
+  }, []);
+
+  return {
+    timers,
+    getSegments,
+    pause,
+    resume,
+    getCompletion,
+  };
+};
+
+export default useJobTimer;
@@ -1,7 +1,9 @@
 import { useCallback, useState } from 'react';
 import * as Clipboard from 'expo-clipboard';
 import ordersService, { ORDER_STATUS } from '../../../services/orders';
+import orderPhotosService, { PHOTO_KINDS } from '../../../services/orderPhotos';
 import { normalizeMasterOrder, normalizeMasterOrderList } from '../mappers/orderMappers';
+import { estimateOrderCommission } from '../../../utils/commissionRules';
 
 export const useMasterActions = ({
   availableOrders,
@@ -39,6 +41,7 @@ export const useMasterActions = ({
   roundMs,
   perfTargets,
   t,
+  queueOfflineAction,
 }) => {
   const [actionLoading, setActionLoading] = useState(false);
 
@@ -46,9 +49,12 @@ export const useMasterActions = ({
     const actionStart = perfNow();
     let success = false;
     const order = availableOrders.find((o) => o.id === orderId);
-    const priceForCommission = Number(order?.final_price ?? order?.initial_price ?? 0);
-    if (priceForCommission > 0) {
-      const estimatedCommission = priceForCommission * 0.20;
+    const commissionContext = financials?.commissionContext;
+    const { amount: estimatedCommission } = estimateOrderCommission(order, {
+      master: commissionContext?.master,
+      monthlyOrders: commissionContext?.monthlyOrders,
+    }, commissionContext?.config);
+    if (estimatedCommission > 0) {
       const projectedBalance = (financials?.prepaidBalance || 0) - estimatedCommission;
       if (projectedBalance < 0 && financials?.prepaidBalance > 0) {
         showToast?.(safeT('warningBalanceMayGoNegative', 'After completion, your balance may go negative. Please top up in advance.'), 'warning');
@@ -92,6 +98,7 @@ export const useMasterActions = ({
     }
   }, [
     availableOrders,
+    financials?.commissionContext,
     financials?.prepaidBalance,
     loadCriticalData,
     localizeSuccessMessage,
@@ -113,7 +120,8 @@ export const useMasterActions = ({
     upsertOrderById,
   ]);
 
-  const handleAction = useCallback(async (fn, ...args) => {
+  // `offlinePayload` is what the outbox needs to replay the call; defaults are derived from args.
+  const runAction = useCallback(async (fn, args, offlinePayload = null) => {
     const actionStart = perfNow();
     let success = false;
     const action =
@@ -124,6 +132,21 @@ export const useMasterActions = ({
     setActionLoading(true);
     try {
       const res = await timedCall(`orders.${action}`, () => fn(...args), { flow: 'action', action });
+      if (!res.success && res.offline && queueOfflineAction && action !== 'action') {
+        const payload = offlinePayload || (
+          action === 'complete' ? { completionData: args?.[2] }
+            : action === 'refuse' ? { reason: args?.[2], notes: args?.[3] ?? null }
+              : {}
+        );
+        if (!queueOfflineAction(action, args?.[0], payload)) {
+          showToast?.(safeT('toastOfflinePhotosBlocked', 'Photos cannot be saved offline. Complete the job when back online or remove the photos.'), 'error');
+          return { success: false, offline: true, message: res.message };
+        }
+        success = true;
+        showToast?.(safeT('toastSavedOffline', 'No connection. Saved on this device and will sync automatically.'), 'warning');
+        setModalState({ type: null, order: null });
+        return { success: true, queued: true, message: res.message };
+      }
       if (res.success) {
         success = true;
         showToast?.(actionSuccessMessage(fn, res.message), 'success');
@@ -171,6 +194,7 @@ export const useMasterActions = ({
     normalizeActionMessage,
     perfNow,
     perfTargets.action,
+    queueOfflineAction,
     roundMs,
     removeOrderById,
     safeT,
@@ -183,10 +207,15 @@ export const useMasterActions = ({
     upsertOrderById,
   ]);
 
+  const handleAction = useCallback((fn, ...args) => runAction(fn, args), [runAction]);
+
   const handleStart = useCallback(async (orderId) => {
     const res = await handleAction(ordersService.startJob, orderId, userId);
     if (res?.success) {
-      const updatedOrder = res.order || myOrders.find((o) => o.id === orderId) || activeSheetOrder;
+      const localOrder = myOrders.find((o) => o.id === orderId);
+      const updatedOrder = res.order
+        || (res.queued && localOrder ? { ...localOrder, status: ORDER_STATUS.STARTED } : localOrder)
+        || activeSheetOrder;
       if (updatedOrder) {
         setActiveSheetOrder(updatedOrder);
       }
@@ -195,6 +224,30 @@ export const useMasterActions = ({
     return res;
   }, [activeSheetOrder, handleAction, myOrders, setActiveSheetOrder, setSheetSnap, userId]);
 
+  // Photos are uploaded only once the order is completed, so a failed upload never blocks completion.
+  // Offline completions keep device copies of the photos in the outbox and upload them on replay.
+  const handleCompleteJob = useCallback(async (orderId, completionData, photos = {}) => {
+    const res = await runAction(
+      ordersService.completeJob,
+      [orderId, userId, completionData],
+      { completionData, photos },
+    );
+    if (!res?.success || res.queued) return res;
+    const uploads = [
+      [PHOTO_KINDS.BEFORE, photos.before],
+      [PHOTO_KINDS.AFTER, photos.after],
+    ].filter(([, list]) => Array.isArray(list) && list.length > 0);
+    let uploadFailed = false;
+    for (const [kind, list] of uploads) {
+      const uploadResult = await orderPhotosService.uploadOrderPhotos(orderId, list, kind);
+      if (!uploadResult.success) uploadFailed = true;
+    }
+    if (uploadFailed) {
+      showToast?.(safeT('toastPhotosUploadFailed', 'Order saved, but some photos were not uploaded'), 'warning');
+    }
+    return res;
+  }, [runAction, safeT, showToast, userId]);
+
   const ensureCancelReasons = useCallback(async () => {
     if (cancelReasons.length > 0) return true;
     const cached = getCachedLookup('cancelReasons');
@@ -294,6 +347,7 @@ export const useMasterActions = ({
     handleClaim,
     handleAction,
     handleStart,
+    handleCompleteJob,
     handleOpenComplete,
     handleOpenRefuse,
     handleCopyAddress,
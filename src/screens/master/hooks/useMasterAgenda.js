@@ -0,0 +1,50 @@
+import { useEffect, useMemo, useState } from 'react';
+import ordersService, { ORDER_STATUS } from '../../../services/orders';
+import { AGENDA_VIEWS, getAgendaRange, toDateKey } from '../../../utils/orderAgenda';
+import { normalizeMasterOrderList } from '../mappers/orderMappers';
+
+/**
+ * Planned jobs for the My Jobs agenda. myOrders is paginated, so the agenda loads the
+ * master's scheduled orders for the visible day/week on its own; rows also present in
+ * myOrders use that copy, which carries realtime and offline changes.
+ */
+export const useMasterAgenda = ({ masterId, enabled, myOrders }) => {
+  const [agendaView, setAgendaView] = useState(AGENDA_VIEWS.WEEK);
+  const [agendaAnchor, setAgendaAnchor] = useState(() => new Date());
+  const [scheduledOrders, setScheduledOrders] = useState([]);
+  const [agendaLoading, setAgendaLoading] = useState(false);
+  const range = useMemo(() => getAgendaRange(agendaAnchor, agendaView), [agendaAnchor, agendaView]);
+  const rangeKey = `${toDateKey(range.start)}_${toDateKey(range.end)}`;
+
+  useEffect(() => {
+    if (!enabled || !masterId) return undefined;
+    let cancelled = false;
+    setAgendaLoading(true);
+    ordersService.getScheduledOrders({ fromDate: range.start, toDate: range.end, masterId })
+      .then((rows) => {
+        if (!cancelled) setScheduledOrders(normalizeMasterOrderList(rows, ORDER_STATUS.CLAIMED));
+      })
+      .finally(() => {
+        if (!cancelled) setAgendaLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, masterId, rangeKey]);
+
+  const agendaOrders = useMemo(() => {
+    const byId = new Map((myOrders || []).map((order) => [String(order.id), order]));
+    return scheduledOrders.map((order) => byId.get(String(order.id)) || order);
+  }, [myOrders, scheduledOrders]);
+
+  return {
+    agendaView,
+    setAgendaView,
+    agendaAnchor,
+    setAgendaAnchor,
+    agendaOrders,
+    agendaLoading,
+  };
+};
+
+export default useMasterAgenda;
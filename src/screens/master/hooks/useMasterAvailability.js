@@ -0,0 +1,94 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import availabilityService from '../../../services/availability';
+import { getMasterAvailability, hasWeeklySchedule } from '../../../utils/masterAvailability';
+
+// Working hours can start or end while the app is open.
+const CLOCK_TICK_MS = 60 * 1000;
+
+/**
+ * Master's on-duty status, weekly hours and vacations, edited from My Account. `availability`
+ * ({ available, reason, timeOff }) gates the pool; without the patch the master stays available.
+ */
+export const useMasterAvailability = ({ userId, showToast, safeT }) => {
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    let cancelled = false;
+    setSettings(null);
+    if (!userId) return undefined;
+    setLoading(true);
+    availabilityService.getMasterAvailability(userId)
+      .then((next) => {
+        if (!cancelled) setSettings(next);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const scheduled = hasWeeklySchedule(settings?.availability_schedule);
+  useEffect(() => {
+    if (!scheduled) return undefined;
+    const timer = setInterval(() => setNow(new Date()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, [scheduled]);
+
+  const availability = useMemo(() => getMasterAvailability(settings, now), [now, settings]);
+
+  const save = useCallback(async (changes, successMessage) => {
+    if (!settings) return { success: false };
+    setSaving(true);
+    try {
+      const result = await availabilityService.updateMasterAvailability({
+        isOnDuty: settings.is_on_duty,
+        ...changes,
+      });
+      if (result.success) {
+        setSettings((prev) => ({ ...prev, ...result.settings }));
+        setNow(new Date());
+        showToast?.(successMessage, 'success');
+      } else {
+        showToast?.(result.message || safeT('toastAvailabilityFailed', 'Could not save availability'), 'error');
+      }
+      return result;
+    } finally {
+      setSaving(false);
+    }
+  }, [safeT, settings, showToast]);
+
+  const setOnDuty = useCallback((isOnDuty) => save(
+    { isOnDuty },
+    isOnDuty
+      ? safeT('toastOnDuty', 'You are on duty, new orders will show up')
+      : safeT('toastOffDuty', 'You are off duty, the pool is paused'),
+  ), [safeT, save]);
+
+  const saveSchedule = useCallback((schedule) => save(
+    { schedule },
+    safeT('toastScheduleSaved', 'Working hours saved'),
+  ), [safeT, save]);
+
+  const saveTimeOff = useCallback((timeOff) => save(
+    { timeOff },
+    safeT('toastTimeOffSaved', 'Vacations updated'),
+  ), [safeT, save]);
+
+  return {
+    settings,
+    loading,
+    saving,
+    // Unknown until loaded (or without the patch): treated as available.
+    availability,
+    setOnDuty,
+    saveSchedule,
+    saveTimeOff,
+  };
+};
+
+export default useMasterAvailability;
@@ -2,8 +2,10 @@ import { useCallback, useRef } from 'react';
 import authService from '../../../services/auth';
 import ordersService, { ORDER_STATUS } from '../../../services/orders';
 import earningsService from '../../../services/earnings';
+import reviewsService from '../../../services/reviews';
 import { MASTER_TABS } from '../constants/domain';
 import { normalizeMasterOrderList } from '../mappers/orderMappers';
+import { matchesPoolDistance } from './useMasterOrderProcessing';
 
 export const useMasterDataLoader = ({
   authUser,
@@ -22,6 +24,7 @@ export const useMasterDataLoader = ({
   setEarnings,
   setOrderHistory,
   setBalanceTransactions,
+  setReviews,
   setServiceTypes,
   setCancelReasons,
   setDistricts,
@@ -65,7 +68,7 @@ export const useMasterDataLoader = ({
           timedCall('orders.getAvailableOrders', () => ordersService.getAvailableOrders(1, pageLimit, filters), { loadId }),
           timedCall('orders.getMasterOrders', () => ordersService.getMasterOrders(effectiveUser.id, 1, 100), { loadId }),
           timedCall('earnings.getMasterFinancialSummary', () => earningsService.getMasterFinancialSummary(effectiveUser.id), { loadId }),
-          timedCall('orders.getAvailableOrdersMeta', () => ordersService.getAvailableOrdersMeta(), { loadId }),
+          timedCall('orders.getAvailableOrdersMeta', () => ordersService.getAvailableOrdersMeta({ withLocations: !!filters.origin }), { loadId }),
         ]);
         if (perfRef.current.criticalLoadSeq !== loadId) return;
         const safePoolMeta = poolMeta || [];
@@ -75,6 +78,7 @@ export const useMasterDataLoader = ({
               if (filters.service !== 'all' && row.service_type !== filters.service) return false;
               if (filters.area !== 'all' && row.area !== filters.area) return false;
               if (filters.pricing !== 'all' && row.pricing_type !== filters.pricing) return false;
+              if (!matchesPoolDistance(row, filters)) return false;
               return true;
             }).length
           : 0;
@@ -158,6 +162,7 @@ export const useMasterDataLoader = ({
         setEarnings([]);
         setOrderHistory([]);
         setBalanceTransactions([]);
+        setReviews([]);
         perfRef.current.accountLoaded = false;
         perfRef.current.accountLoadedAt = 0;
         return;
@@ -179,10 +184,11 @@ export const useMasterDataLoader = ({
         : timedCall('orders.getDistricts', () => ordersService.getDistricts(), { loadId, scope: 'account' })
             .then((res) => { setCachedLookup('districts', res || []); return res || []; });
 
-      const [earn, hist, balTx, svcTypes, reasons, districtList] = await Promise.all([
+      const [earn, hist, balTx, reviewList, svcTypes, reasons, districtList] = await Promise.all([
         timedCall('earnings.getMasterEarnings', () => earningsService.getMasterEarnings(effectiveUser.id), { loadId, scope: 'account' }),
         timedCall('orders.getMasterOrderHistory', () => ordersService.getMasterOrderHistory(effectiveUser.id), { loadId, scope: 'account' }),
         timedCall('earnings.getBalanceTransactions', () => earningsService.getBalanceTransactions(effectiveUser.id), { loadId, scope: 'account' }),
+        timedCall('reviews.getMasterReviews', () => reviewsService.getMasterReviews(effectiveUser.id), { loadId, scope: 'account' }),
         svcTypesPromise,
         cancelPromise,
         districtsPromise,
@@ -191,6 +197,7 @@ export const useMasterDataLoader = ({
       setEarnings(earn);
       setOrderHistory(hist);
       setBalanceTransactions(balTx);
+      setReviews(reviewList || []);
       setServiceTypes(svcTypes || []);
       setCancelReasons(reasons || []);
       setDistricts(districtList || []);
@@ -223,6 +230,7 @@ export const useMasterDataLoader = ({
     setDistricts,
     setEarnings,
     setOrderHistory,
+    setReviews,
     setServiceTypes,
     timedCall,
     user,
@@ -237,7 +245,7 @@ export const useMasterDataLoader = ({
       setPagePool(1);
       const [res, poolMeta] = await Promise.all([
         timedCall('orders.getAvailableOrders', () => ordersService.getAvailableOrders(1, pageLimit, filters), { flow: 'reloadPool', loadId }),
-        timedCall('orders.getAvailableOrdersMeta', () => ordersService.getAvailableOrdersMeta(), { flow: 'reloadPool', loadId }),
+        timedCall('orders.getAvailableOrdersMeta', () => ordersService.getAvailableOrdersMeta({ withLocations: !!filters.origin }), { flow: 'reloadPool', loadId }),
       ]);
       if (perfRef.current.poolLoadSeq !== loadId) return;
       const safePoolMeta = poolMeta || [];
@@ -247,6 +255,7 @@ export const useMasterDataLoader = ({
             if (filters.service !== 'all' && row.service_type !== filters.service) return false;
             if (filters.area !== 'all' && row.area !== filters.area) return false;
             if (filters.pricing !== 'all' && row.pricing_type !== filters.pricing) return false;
+            if (!matchesPoolDistance(row, filters)) return false;
             return true;
           }).length
         : 0;
@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useState } from 'react';
+import locationService from '../../../services/location';
+
+/**
+ * Master's saved work location (home or last "use current location"), used as the
+ * origin for the pool distance filter/sort and edited from account settings.
+ */
+export const useMasterLocation = ({ userId, showToast, safeT }) => {
+  const [origin, setOrigin] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setOrigin(null);
+    if (!userId) return undefined;
+    setLoading(true);
+    locationService.getMasterLocation(userId)
+      .then((coords) => {
+        if (!cancelled) setOrigin(coords);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const saveLocation = useCallback(async (coords) => {
+    setSaving(true);
+    try {
+      const result = await locationService.updateMasterLocation(coords);
+      if (result.success) {
+        setOrigin(result.coords);
+        showToast?.(
+          result.coords
+            ? safeT('toastLocationSaved', 'Location saved')
+            : safeT('toastLocationCleared', 'Location cleared'),
+          'success'
+        );
+      } else {
+        showToast?.(result.message || safeT('toastLocationFailed', 'Could not save location'), 'error');
+      }
+      return result;
+    } finally {
+      setSaving(false);
+    }
+  }, [safeT, showToast]);
+
+  const captureCurrentLocation = useCallback(async () => {
+    setSaving(true);
+    const current = await locationService.getCurrentCoords();
+    setSaving(false);
+    if (!current.success) {
+      showToast?.(current.message || safeT('toastLocationFailed', 'Could not save location'), 'error');
+      return current;
+    }
+    return saveLocation(current.coords);
+  }, [saveLocation, safeT, showToast]);
+
+  const clearLocation = useCallback(() => saveLocation(null), [saveLocation]);
+
+  return {
+    origin,
+    loading,
+    saving,
+    saveLocation,
+    captureCurrentLocation,
+    clearLocation,
+  };
+};
+
+export default useMasterLocation;
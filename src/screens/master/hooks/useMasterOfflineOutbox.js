@@ -0,0 +1,276 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { AppState, Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import ordersService from '../../../services/orders';
+import orderPhotosService, { PHOTO_KINDS } from '../../../services/orderPhotos';
+import {
+  OUTBOX_ACTIONS,
+  OUTBOX_ENTRY_STATES,
+  OUTBOX_STORAGE_KEY,
+  REPLAY_OUTCOMES,
+  createOutboxEntry,
+  enqueueOutboxEntry,
+  getPendingEntries,
+  resolveReplayOutcome,
+} from '../utils/offlineOutbox';
+
+const RETRY_INTERVAL_MS = 30000;
+const OUTBOX_PHOTO_DIR = 'outbox_photos';
+const PHOTO_LISTS = [
+  [PHOTO_KINDS.BEFORE, 'before'],
+  [PHOTO_KINDS.AFTER, 'after'],
+];
+
+const hasPhotos = (photos) => PHOTO_LISTS.some(([, key]) => Array.isArray(photos?.[key]) && photos[key].length > 0);
+
+// Picker URIs point into a cache the OS may clear before the entry replays, so queued
+// photos are copied into the document directory. Throws when they cannot be kept (web).
+const persistQueuedPhotos = (photos, entryStamp) => {
+  if (Platform.OS === 'web') throw new Error('Photos cannot be stored offline on web');
+  const dir = new FileSystem.Directory(FileSystem.Paths.document, OUTBOX_PHOTO_DIR);
+  if (!dir.exists) dir.create({ intermediates: true });
+  return PHOTO_LISTS.reduce((acc, [, key]) => ({
+    ...acc,
+    [key]: (Array.isArray(photos?.[key]) ? photos[key] : []).map((photo, index) => {
+      const source = new FileSystem.File(photo.uri);
+      const target = new FileSystem.File(dir, `${entryStamp}-${key}-${index}-${source.name}`);
+      source.copy(target);
+      return { ...photo, uri: target.uri };
+    }),
+  }), {});
+};
+
+const removeQueuedPhotos = (entries) => {
+  entries.forEach((entry) => {
+    PHOTO_LISTS.forEach(([, key]) => {
+      (entry?.payload?.photos?.[key] || []).forEach((photo) => {
+        try {
+          const file = new FileSystem.File(photo.uri);
+          if (file.exists) file.delete();
+        } catch (error) {
+          console.error('[MasterOutbox] photo cleanup failed', error);
+        }
+      });
+    });
+  });
+};
+
+const replayEntry = (entry, masterId) => {
+  const payload = entry.payload || {};
+  if (entry.action === OUTBOX_ACTIONS.START) {
+    return ordersService.startJob(entry.orderId, masterId);
+  }
+  if (entry.action === OUTBOX_ACTIONS.COMPLETE) {
+    return ordersService.completeJob(entry.orderId, masterId, payload.completionData || {});
+  }
+  if (entry.action === OUTBOX_ACTIONS.REFUSE) {
+    return ordersService.refuseJob(entry.orderId, masterId, payload.reason, payload.notes || null);
+  }
+  return Promise.resolve({ success: false, message: `Unknown outbox action: ${entry.action}` });
+};
+
+const uploadQueuedPhotos = async (entry) => {
+  const photos = entry.payload?.photos || {};
+  const uploads = PHOTO_LISTS
+    .map(([kind, key]) => [kind, photos[key]])
+    .filter(([, list]) => Array.isArray(list) && list.length > 0);
+  let uploadFailed = false;
+  for (const [kind, list] of uploads) {
+    const uploadResult = await orderPhotosService.uploadOrderPhotos(entry.orderId, list, kind);
+    if (!uploadResult.success) uploadFailed = true;
+  }
+  return !uploadFailed;
+};
+
+/**
+ * Persistent outbox for start/complete/refuse actions made without connectivity.
+ * Entries are replayed oldest first when the app comes back online; an entry the
+ * server no longer accepts is kept as a conflict until the master discards it.
+ */
+export const useMasterOfflineOutbox = ({ userId, showToast, safeT }) => {
+  const [queue, setQueue] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const queueRef = useRef([]);
+  const flushingRef = useRef(false);
+  const storageKey = userId ? `${OUTBOX_STORAGE_KEY}:${userId}` : null;
+
+  const commitQueue = useCallback((updater) => {
+    const next = typeof updater === 'function' ? updater(queueRef.current) : updater;
+    queueRef.current = next;
+    setQueue(next);
+    return next;
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoaded(false);
+    commitQueue([]);
+    if (!storageKey) return undefined;
+    AsyncStorage.getItem(storageKey)
+      .then((raw) => {
+        if (cancelled || !raw) return;
+        const parsed = JSON.parse(raw);
+        if (Array.isArray(parsed)) commitQueue(parsed);
+      })
+      .catch((error) => console.error('[MasterOutbox] load failed', error))
+      .finally(() => {
+        if (!cancelled) setLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [commitQueue, storageKey]);
+
+  useEffect(() => {
+    if (!loaded || !storageKey) return;
+    const write = queue.length
+      ? AsyncStorage.setItem(storageKey, JSON.stringify(queue))
+      : AsyncStorage.removeItem(storageKey);
+    write.catch((error) => console.error('[MasterOutbox] save failed', error));
+  }, [loaded, queue, storageKey]);
+
+  // Returns the queued entry, or null when its photos could not be kept on the device.
+  const enqueue = useCallback((action, orderId, payload = {}) => {
+    let entry = createOutboxEntry(action, orderId, userId, payload);
+    if (hasPhotos(payload.photos)) {
+      try {
+        entry = { ...entry, payload: { ...payload, photos: persistQueuedPhotos(payload.photos, entry.id) } };
+      } catch (error) {
+        console.error('[MasterOutbox] photo copy failed', error);
+        return null;
+      }
+    }
+    const prev = queueRef.current;
+    const next = commitQueue(enqueueOutboxEntry(prev, entry));
+    removeQueuedPhotos(prev.filter((item) => !next.includes(item)));
+    return entry;
+  }, [commitQueue, userId]);
+
+  const discardWhere = useCallback((predicate) => {
+    const prev = queueRef.current;
+    removeQueuedPhotos(prev.filter(predicate));
+    commitQueue(prev.filter((entry) => !predicate(entry)));
+  }, [commitQueue]);
+
+  const discardOrder = useCallback((orderId) => {
+    discardWhere((entry) => entry.orderId === String(orderId));
+  }, [discardWhere]);
+
+  const discardConflicts = useCallback(() => {
+    discardWhere((entry) => entry.state === OUTBOX_ENTRY_STATES.CONFLICT);
+  }, [discardWhere]);
+
+  const flush = useCallback(async () => {
+    if (flushingRef.current || !userId) return;
+    const pending = getPendingEntries(queueRef.current, userId);
+    if (!pending.length) return;
+    flushingRef.current = true;
+    setSyncing(true);
+    let syncedCount = 0;
+    let conflictedCount = 0;
+    let photosFailed = false;
+    // Later actions for an order stay queued behind its conflict (e.g. complete after a rejected start).
+    const blockedOrders = new Set(
+      queueRef.current
+        .filter((entry) => entry.state === OUTBOX_ENTRY_STATES.CONFLICT)
+        .map((entry) => entry.orderId),
+    );
+    try {
+      for (const entry of pending) {
+        if (blockedOrders.has(entry.orderId)) continue;
+        const result = await replayEntry(entry, userId);
+        const serverOrder = result?.success || result?.offline
+          ? null
+          : await ordersService.getOrderById(entry.orderId);
+        const { outcome, conflict } = resolveReplayOutcome(entry, result, serverOrder);
+
+        if (outcome === REPLAY_OUTCOMES.RETRY) {
+          commitQueue((prev) => prev.map((item) => (
+            item.id === entry.id ? { ...item, attempts: item.attempts + 1, lastError: result?.message || null } : item
+          )));
+          break;
+        }
+        if (outcome === REPLAY_OUTCOMES.SYNCED) {
+          commitQueue((prev) => prev.filter((item) => item.id !== entry.id));
+          syncedCount += 1;
+          if (entry.action === OUTBOX_ACTIONS.COMPLETE && result?.success) {
+            const uploaded = await uploadQueuedPhotos(entry);
+            if (!uploaded) photosFailed = true;
+          }
+          removeQueuedPhotos([entry]);
+          continue;
+        }
+        commitQueue((prev) => prev.map((item) => (
+          item.id === entry.id
+            ? {
+              ...item,
+              attempts: item.attempts + 1,
+              state: OUTBOX_ENTRY_STATES.CONFLICT,
+              conflict,
+              lastError: result?.message || null,
+            }
+            : item
+        )));
+        blockedOrders.add(entry.orderId);
+        conflictedCount += 1;
+      }
+    } catch (error) {
+      console.error('[MasterOutbox] flush failed', error);
+    } finally {
+      flushingRef.current = false;
+      setSyncing(false);
+    }
+
+    if (syncedCount > 0) {
+      showToast?.(safeT('toastOfflineSynced', 'Offline changes synced: {0}').replace('{0}', String(syncedCount)), 'success');
+      setLastSyncedAt(Date.now());
+    }
+    if (photosFailed) {
+      showToast?.(safeT('toastPhotosUploadFailed', 'Order saved, but some photos were not uploaded'), 'warning');
+    }
+    if (conflictedCount > 0) {
+      showToast?.(safeT('toastOfflineConflict', 'Some offline changes were not applied. Check the marked orders.'), 'warning');
+    }
+  }, [commitQueue, safeT, showToast, userId]);
+
+  const pendingCount = queue.filter((entry) => entry.state === OUTBOX_ENTRY_STATES.PENDING).length;
+  const conflictCount = queue.length - pendingCount;
+  const hasPending = pendingCount > 0;
+
+  useEffect(() => {
+    if (loaded) flush();
+  }, [flush, loaded]);
+
+  useEffect(() => {
+    if (!hasPending) return undefined;
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') flush();
+    });
+    const interval = setInterval(flush, RETRY_INTERVAL_MS);
+    const canListenOnline = Platform.OS === 'web' && typeof window !== 'undefined' && window.addEventListener;
+    if (canListenOnline) window.addEventListener('online', flush);
+    return () => {
+      subscription?.remove?.();
+      clearInterval(interval);
+      if (canListenOnline) window.removeEventListener('online', flush);
+    };
+  }, [flush, hasPending]);
+
+  return {
+    queue,
+    syncing,
+    hasPending,
+    pendingCount,
+    conflictCount,
+    lastSyncedAt,
+    enqueue,
+    flush,
+    discardOrder,
+    discardConflicts,
+  };
+};
+
+export default useMasterOfflineOutbox;
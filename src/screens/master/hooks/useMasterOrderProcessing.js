@@ -5,35 +5,51 @@ import {
   ORDER_SECTIONS,
   URGENCY_RANK,
 } from '../constants/domain';
+import { DISTANCE_NEAREST, distanceKm, getOrderCoords } from '../../../utils/geo';
+import { getPreferredStamp } from '../../../utils/orderAgenda';
 
-const getPreferredStamp = (order) => {
-  if (order?.preferred_date) {
-    const dateStr = order.preferred_date;
-    const timeStr = order.preferred_time || '00:00:00';
-    const raw = `${dateStr}T${timeStr}`;
-    const parsed = Date.parse(raw);
-    return Number.isNaN(parsed) ? 0 : parsed;
-  }
-  const created = Date.parse(order?.created_at || '');
-  return Number.isNaN(created) ? 0 : created;
-};
-
-export const filterPoolOrders = (availableOrders = [], filters = {}) => {
+/**
+ * Pool filtering/sorting. `origin` is the master's saved location ({ latitude, longitude }).
+ * `filters.distance`: 'all', 'nearest' (sort only) or a radius in km (filter + sort).
+ * `origin` defaults to `filters.origin`. Without an origin the distance filter is ignored.
+ */
+export const filterPoolOrders = (availableOrders = [], filters = {}, origin = filters?.origin || null) => {
   const nextFilters = {
     urgency: filters?.urgency || 'all',
     service: filters?.service || 'all',
     area: filters?.area || 'all',
     pricing: filters?.pricing || 'all',
+    distance: filters?.distance || 'all',
   };
+  const byDistance = !!origin && nextFilters.distance !== 'all';
+  const maxDistance = byDistance && nextFilters.distance !== DISTANCE_NEAREST ? Number(nextFilters.distance) : null;
 
-  const filtered = availableOrders.filter((order) => {
+  const withDistance = origin
+    ? availableOrders.map((order) => {
+      const coords = getOrderCoords(order);
+      return { ...order, distance_km: coords ? distanceKm(origin, coords) : null };
+    })
+    : availableOrders;
+
+  const filtered = withDistance.filter((order) => {
     if (nextFilters.urgency !== 'all' && order.urgency !== nextFilters.urgency) return false;
     if (nextFilters.service !== 'all' && order.service_type !== nextFilters.service) return false;
     if (nextFilters.area !== 'all' && order.area !== nextFilters.area) return false;
     if (nextFilters.pricing !== 'all' && order.pricing_type !== nextFilters.pricing) return false;
+    if (Number.isFinite(maxDistance) && (order.distance_km === null || order.distance_km > maxDistance)) return false;
     return true;
   });
 
+  if (byDistance) {
+    // Orders without coordinates go last, newest first among themselves.
+    return [...filtered].sort((a, b) => {
+      if (a.distance_km === null && b.distance_km === null) return new Date(b.created_at) - new Date(a.created_at);
+      if (a.distance_km === null) return 1;
+      if (b.distance_km === null) return -1;
+      return a.distance_km - b.distance_km;
+    });
+  }
+
   if (nextFilters.urgency === 'all') {
     return [...filtered].sort((a, b) => {
       const rankA = URGENCY_RANK[a.urgency] ?? 9;
@@ -46,6 +62,13 @@ export const filterPoolOrders = (availableOrders = [], filters = {}) => {
   return filtered;
 };
 
+/**
+ * Distance part of the pool filter alone, for meta rows and filter counts.
+ */
+export const matchesPoolDistance = (order, filters = {}, origin = filters?.origin || null) => (
+  !!order && filterPoolOrders([order], { distance: filters?.distance }, origin).length === 1
+);
+
 export const sortMyJobs = (myOrders = []) => {
   const relevant = myOrders.filter((order) => MY_JOBS_RELEVANT_STATUSES.includes(order.status));
   return [...relevant].sort((a, b) => {
@@ -61,6 +84,8 @@ export const sortMyJobs = (myOrders = []) => {
     }
 
     if (a.status === 'completed' && b.status === 'completed') {
+      // Completions still waiting to sync have no completed_at yet and are the newest.
+      if (Boolean(a.pending_sync) !== Boolean(b.pending_sync)) return a.pending_sync ? -1 : 1;
       const compA = Date.parse(a.completed_at || a.created_at || '');
       const compB = Date.parse(b.completed_at || b.created_at || '');
       return (Number.isNaN(compB) ? 0 : compB) - (Number.isNaN(compA) ? 0 : compA);
@@ -89,13 +114,13 @@ export const buildMasterCounters = (myOrders = []) => {
   };
 };
 
-export const useMasterOrderProcessing = ({ availableOrders, myOrders, filters, orderSection }) => {
+export const useMasterOrderProcessing = ({ availableOrders, myOrders, filters, orderSection, origin = null }) => {
   const processedOrders = useMemo(() => {
     if (orderSection === ORDER_SECTIONS.MY_JOBS) {
       return sortMyJobs(myOrders);
     }
-    return filterPoolOrders(availableOrders, filters);
-  }, [availableOrders, myOrders, filters, orderSection]);
+    return filterPoolOrders(availableOrders, filters, origin);
+  }, [availableOrders, myOrders, filters, orderSection, origin]);
 
   const counters = useMemo(() => buildMasterCounters(myOrders), [myOrders]);
 
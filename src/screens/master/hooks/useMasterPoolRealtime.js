@@ -0,0 +1,214 @@
+import { useEffect, useRef } from 'react';
+import { supabase } from '../../../lib/supabase';
+import ordersService, { ORDER_STATUS } from '../../../services/orders';
+import { normalizeMasterOrder } from '../mappers/orderMappers';
+import { filterPoolOrders } from './useMasterOrderProcessing';
+import { getOrderCoords, roundCoords } from '../../../utils/geo';
+
+const MASTER_REALTIME_SYNC_ENABLED = process?.env?.EXPO_PUBLIC_MASTER_REALTIME_SYNC !== '0';
+const META_RECONCILE_DEBOUNCE_MS = 1500;
+
+const POOL_STATUSES = [ORDER_STATUS.PLACED, ORDER_STATUS.REOPENED];
+
+// Fields a master may see before claiming (mirrors the legacy pool select).
+const POOL_VISIBLE_FIELDS = [
+  'id',
+  'status',
+  'service_type',
+  'urgency',
+  'problem_description',
+  'area',
+  'orientir',
+  'pricing_type',
+  'initial_price',
+  'callout_fee',
+  'guaranteed_payout',
+  'preferred_date',
+  'preferred_time',
+  'created_at',
+];
+
+const pickPoolFields = (row) => {
+  const picked = POOL_VISIBLE_FIELDS.reduce((acc, key) => {
+    if (row?.[key] !== undefined) acc[key] = row[key];
+    return acc;
+  }, {});
+  // Same precision as get_pool_order_locations; exact coordinates stay private until start.
+  const approx = roundCoords(getOrderCoords(row));
+  if (approx) {
+    picked.latitude = approx.latitude;
+    picked.longitude = approx.longitude;
+  }
+  return picked;
+};
+
+const toMetaRow = (row) => ({
+  id: row.id,
+  service_type: row.service_type,
+  urgency: row.urgency,
+  area: row.area,
+  pricing_type: row.pricing_type,
+  ...(getOrderCoords(row) ? { latitude: row.latitude, longitude: row.longitude } : {}),
+});
+
+const matchesPoolFilters = (row, filters) => !!row && filterPoolOrders([row], filters).length === 1;
+
+export const isPoolOrderRow = (row) => !!row?.id && POOL_STATUSES.includes(row.status) && !row.master_id;
+
+/**
+ * Apply one `orders` realtime payload to the pool state.
+ * Returns the next { orders, meta, total } without mutating the input.
+ */
+export const applyPoolRealtimeChange = (state, payload, options = {}) => {
+  const { filters = {}, pageLimit = 20, isFirstPage = true } = options;
+  const orders = state?.orders || [];
+  const meta = state?.meta || [];
+  const total = Number(state?.total) || 0;
+  const eventType = String(payload?.eventType || '').toUpperCase();
+  const nextRow = eventType === 'DELETE' ? null : payload?.new;
+  const orderId = nextRow?.id || payload?.old?.id;
+  if (!orderId) return { orders, meta, total, changed: false };
+
+  const prevMeta = meta.find((row) => row.id === orderId)
+    || orders.find((row) => row.id === orderId)
+    || null;
+  const wasCounted = matchesPoolFilters(prevMeta, filters);
+
+  if (!isPoolOrderRow(nextRow)) {
+    if (!prevMeta) return { orders, meta, total, changed: false };
+    return {
+      orders: orders.filter((row) => row.id !== orderId),
+      meta: meta.filter((row) => row.id !== orderId),
+      total: Math.max(0, total - (wasCounted ? 1 : 0)),
+      changed: true,
+      removed: true,
+    };
+  }
+
+  const poolOrder = normalizeMasterOrder(pickPoolFields(nextRow), ORDER_STATUS.PLACED);
+  const nextMetaRow = toMetaRow(poolOrder);
+  const isCounted = matchesPoolFilters(poolOrder, filters);
+  const metaIdx = meta.findIndex((row) => row.id === orderId);
+  const nextMeta = metaIdx === -1
+    ? [nextMetaRow, ...meta]
+    : meta.map((row, idx) => (idx === metaIdx ? nextMetaRow : row));
+
+  const orderIdx = orders.findIndex((row) => row.id === orderId);
+  let nextOrders = orders;
+  if (orderIdx !== -1) {
+    nextOrders = isCounted
+      ? orders.map((row, idx) => (idx === orderIdx ? { ...row, ...poolOrder } : row))
+      : orders.filter((row) => row.id !== orderId);
+  } else if (isCounted && isFirstPage) {
+    nextOrders = [poolOrder, ...orders].slice(0, pageLimit);
+  }
+
+  return {
+    orders: nextOrders,
+    meta: nextMeta,
+    total: Math.max(0, total + (isCounted ? 1 : 0) - (wasCounted ? 1 : 0)),
+    changed: true,
+    added: !prevMeta,
+    order: poolOrder,
+  };
+};
+
+/**
+ * Keep the available-orders pool live via a Supabase channel on `orders`.
+ * Events are applied locally; a debounced meta fetch reconciles rows hidden by RLS
+ * (e.g. orders claimed by another master).
+ */
+export const useMasterPoolRealtime = ({
+  userId,
+  filters,
+  pagePool,
+  pageLimit,
+  availableOrders,
+  availableOrdersMeta,
+  totalPool,
+  setAvailableOrders,
+  setAvailableOrdersMeta,
+  setTotalPool,
+  onNewEmergencyOrder,
+  logPerf,
+}) => {
+  const stateRef = useRef({ orders: [], meta: [], total: 0 });
+  const optionsRef = useRef({ filters, pagePool, pageLimit, onNewEmergencyOrder, logPerf });
+  const reconcileTimerRef = useRef(null);
+
+  stateRef.current = { orders: availableOrders || [], meta: availableOrdersMeta || [], total: totalPool || 0 };
+  optionsRef.current = { filters, pagePool, pageLimit, onNewEmergencyOrder, logPerf };
+
+  useEffect(() => {
+    if (!MASTER_REALTIME_SYNC_ENABLED || !userId) return undefined;
+    const channelName = `master-pool-sync-${userId}`;
+
+    const commit = (next) => {
+      stateRef.current = { orders: next.orders, meta: next.meta, total: next.total };
+      setAvailableOrders(next.orders);
+      setAvailableOrdersMeta(next.meta);
+      setTotalPool(next.total);
+    };
+
+    const scheduleMetaReconcile = (trigger) => {
+      if (reconcileTimerRef.current) clearTimeout(reconcileTimerRef.current);
+      reconcileTimerRef.current = setTimeout(async () => {
+        reconcileTimerRef.current = null;
+        // An empty pool is reconciled too; only a failed fetch keeps the current rows.
+        const freshMeta = await ordersService.getAvailableOrdersMeta({
+          nullOnError: true,
+          withLocations: !!optionsRef.current.filters?.origin,
+        });
+        if (!Array.isArray(freshMeta)) return;
+        const liveIds = new Set(freshMeta.map((row) => row.id));
+        const { filters: currentFilters } = optionsRef.current;
+        const current = stateRef.current;
+        commit({
+          orders: current.orders.filter((row) => liveIds.has(row.id)),
+          meta: freshMeta,
+          total: freshMeta.filter((row) => matchesPoolFilters(row, currentFilters)).length,
+        });
+        optionsRef.current.logPerf?.('pool_realtime_reconcile', { trigger, metaCount: freshMeta.length });
+      }, META_RECONCILE_DEBOUNCE_MS);
+    };
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'orders' },
+        (payload) => {
+          const { filters: currentFilters, pagePool: currentPage, pageLimit: currentLimit } = optionsRef.current;
+          const next = applyPoolRealtimeChange(stateRef.current, payload, {
+            filters: currentFilters,
+            pageLimit: currentLimit,
+            isFirstPage: (currentPage || 1) === 1,
+          });
+          if (next.changed) {
+            commit(next);
+            optionsRef.current.logPerf?.('pool_realtime_event', {
+              eventType: payload?.eventType,
+              orderId: payload?.new?.id || payload?.old?.id || null,
+              added: !!next.added,
+              removed: !!next.removed,
+            });
+            if (next.added && next.order?.urgency === 'emergency') {
+              optionsRef.current.onNewEmergencyOrder?.(next.order);
+            }
+          }
+          scheduleMetaReconcile(String(payload?.eventType || 'unknown').toLowerCase());
+        }
+      )
+      .subscribe((status) => {
+        optionsRef.current.logPerf?.('pool_realtime_status', { status, channel: channelName });
+      });
+
+    return () => {
+      if (reconcileTimerRef.current) {
+        clearTimeout(reconcileTimerRef.current);
+        reconcileTimerRef.current = null;
+      }
+      supabase.removeChannel(channel);
+    };
+  }, [setAvailableOrders, setAvailableOrdersMeta, setTotalPool, userId]);
+};
@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useState } from 'react';
+import earningsService from '../../../services/earnings';
+import { hasPendingTopUp } from '../../../utils/balanceTopUps';
+
+const TOP_UP_ERROR_KEYS = {
+  amount: ['topUpErrorAmount', 'Enter a valid amount'],
+  amountMin: ['topUpErrorAmountMin', 'Amount is below the minimum'],
+  amountMax: ['topUpErrorAmountMax', 'Amount is above the maximum'],
+  method: ['topUpErrorMethod', 'Choose a payment method'],
+  proof: ['topUpErrorProof', 'Attach a payment screenshot'],
+  pending: ['topUpErrorPending', 'You already have a request under review'],
+};
+
+/**
+ * Master's balance top-up requests: loads the list while the top-up view is open and
+ * submits new requests (proof upload + row). `onSubmitted` lets the dashboard refresh.
+ */
+export const useMasterTopUps = ({ userId, enabled, showToast, safeT, onSubmitted }) => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const getErrorMessage = useCallback((error) => {
+    const [key, fallback] = TOP_UP_ERROR_KEYS[error] || ['topUpErrorSubmit', 'Could not send the request'];
+    return safeT(key, fallback);
+  }, [safeT]);
+
+  const loadRequests = useCallback(async () => {
+    if (!userId) return;
+    setLoading(true);
+    try {
+      setRequests(await earningsService.getTopUpRequests(userId));
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    loadRequests();
+  }, [enabled, loadRequests]);
+
+  const submitRequest = useCallback(async (form) => {
+    if (!userId || submitting) return false;
+    setSubmitting(true);
+    try {
+      const result = await earningsService.submitTopUpRequest(userId, form);
+      if (!result.success) {
+        showToast?.(getErrorMessage(result.error), 'error');
+        if (result.error === 'pending') loadRequests();
+        return false;
+      }
+      setRequests((prev) => [result.request, ...prev]);
+      showToast?.(safeT('toastTopUpSubmitted', 'Top-up request sent for review'), 'success');
+      onSubmitted?.();
+      return true;
+    } finally {
+      setSubmitting(false);
+    }
+  }, [getErrorMessage, loadRequests, onSubmitted, safeT, showToast, submitting, userId]);
+
+  return {
+    requests,
+    loading,
+    submitting,
+    hasPending: hasPendingTopUp(requests),
+    loadRequests,
+    submitRequest,
+    getErrorMessage,
+  };
+};
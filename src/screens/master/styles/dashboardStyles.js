@@ -111,6 +111,11 @@ const styles = StyleSheet.create({
     outlineButtonText: { fontSize: 12, fontWeight: '700', textTransform: 'uppercase', letterSpacing: 0.4 },
     pendingBadge: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 8, gap: 4 },
     pendingText: { fontSize: 11, fontStyle: 'italic' },
+    syncBadge: { flexDirection: 'row', alignItems: 'center', alignSelf: 'flex-start', gap: 4, paddingHorizontal: 8, paddingVertical: 3, borderRadius: 8, marginBottom: 6 },
+    syncBadgeText: { fontSize: 11, fontWeight: '600' },
+    syncNotice: { flexDirection: 'row', alignItems: 'center', gap: 8, marginTop: 10, paddingTop: 10, borderTopWidth: 1 },
+    syncNoticeText: { flex: 1, fontSize: 12 },
+    syncNoticeAction: { fontSize: 12, fontWeight: '700' },
     bottomBar: { position: 'absolute', bottom: 0, left: 0, right: 0, flexDirection: 'row', paddingBottom: Platform.OS === 'ios' ? 24 : 10, paddingTop: 10, borderTopWidth: 1 },
     tabBtn: { flex: 1, alignItems: 'center', gap: 4 },
     tabLabel: { fontSize: 10, fontWeight: '700', textTransform: 'uppercase' },
@@ -179,6 +184,11 @@ const styles = StyleSheet.create({
     statsRow: { flexDirection: 'row', gap: 10 },
     statItem: { flex: 1, alignItems: 'center', padding: 16, borderRadius: 12, gap: 4 },
     infoRow: { flexDirection: 'row', justifyContent: 'space-between', paddingVertical: 6 },
+    reviewSummaryRow: { flexDirection: 'row', alignItems: 'center', gap: 12 },
+    reviewSummaryValue: { fontSize: 32, fontWeight: '700' },
+    reviewStarsRow: { flexDirection: 'row', alignItems: 'center', gap: 2 },
+    reviewItem: { padding: 12, borderRadius: 10, borderWidth: 1, gap: 4 },
+    reviewItemHeader: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' },
     modalOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.5)', justifyContent: 'center', alignItems: 'center', padding: 20 },
     modalContent: { width: '100%', maxWidth: 500, borderRadius: 16, padding: 20, maxHeight: '80%' },
     modalTitle: { fontSize: 18, fontWeight: '700', marginBottom: 20, textAlign: 'center' },
@@ -0,0 +1,142 @@
+/**
+ * Offline outbox for master job actions (start / complete / refuse).
+ * Pure helpers: persistence and replay live in useMasterOfflineOutbox.
+ */
+
+export const OUTBOX_STORAGE_KEY = 'master_offline_outbox';
+
+export const OUTBOX_ACTIONS = {
+  START: 'start',
+  COMPLETE: 'complete',
+  REFUSE: 'refuse',
+};
+
+export const OUTBOX_ENTRY_STATES = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+};
+
+export const OUTBOX_CONFLICTS = {
+  ORDER_UNAVAILABLE: 'order_unavailable',
+  REASSIGNED: 'reassigned',
+  STATUS_CHANGED: 'status_changed',
+  REJECTED: 'rejected',
+};
+
+// Status the order must be in for the action to apply, and the status it ends in.
+const ACTION_RULES = {
+  [OUTBOX_ACTIONS.START]: { from: ['claimed'], to: 'started' },
+  [OUTBOX_ACTIONS.COMPLETE]: { from: ['started'], to: 'completed' },
+  [OUTBOX_ACTIONS.REFUSE]: { from: ['claimed', 'started'], to: 'canceled_by_master' },
+};
+
+export const REPLAY_OUTCOMES = {
+  SYNCED: 'synced',
+  RETRY: 'retry',
+  CONFLICT: 'conflict',
+};
+
+let entrySeq = 0;
+
+export const createOutboxEntry = (action, orderId, masterId, payload = {}, now = Date.now()) => {
+  entrySeq += 1;
+  return {
+    id: `${now}-${entrySeq}`,
+    action,
+    orderId: String(orderId),
+    masterId,
+    payload,
+    createdAt: now,
+    attempts: 0,
+    state: OUTBOX_ENTRY_STATES.PENDING,
+    conflict: null,
+    lastError: null,
+  };
+};
+
+/**
+ * Append an entry. A repeated action for the same order replaces the older one
+ * (e.g. the master edits the completion report while still offline).
+ */
+export const enqueueOutboxEntry = (queue = [], entry) => {
+  const rest = queue.filter((item) => !(
+    item.orderId === entry.orderId
+    && item.action === entry.action
+    && item.state === OUTBOX_ENTRY_STATES.PENDING
+  ));
+  return [...rest, entry].sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const getPendingEntries = (queue = [], masterId = null) => queue
+  .filter((item) => item.state === OUTBOX_ENTRY_STATES.PENDING)
+  .filter((item) => !masterId || item.masterId === masterId)
+  .sort((a, b) => a.createdAt - b.createdAt);
+
+/**
+ * Decide what to do with an entry after a replay attempt.
+ * `serverOrder` is the fresh order row (or null when RLS hides it) and is only
+ * consulted for non-network failures.
+ */
+export const resolveReplayOutcome = (entry, result, serverOrder) => {
+  if (result?.success) return { outcome: REPLAY_OUTCOMES.SYNCED };
+  if (result?.offline) return { outcome: REPLAY_OUTCOMES.RETRY };
+
+  const rule = ACTION_RULES[entry.action];
+  if (!serverOrder) {
+    // Refused orders leave the master's scope, so a missing row after a refuse means it went through.
+    if (entry.action === OUTBOX_ACTIONS.REFUSE) return { outcome: REPLAY_OUTCOMES.SYNCED };
+    return { outcome: REPLAY_OUTCOMES.CONFLICT, conflict: OUTBOX_CONFLICTS.ORDER_UNAVAILABLE };
+  }
+  if (serverOrder.master_id && entry.masterId && serverOrder.master_id !== entry.masterId) {
+    if (entry.action === OUTBOX_ACTIONS.REFUSE) return { outcome: REPLAY_OUTCOMES.SYNCED };
+    return { outcome: REPLAY_OUTCOMES.CONFLICT, conflict: OUTBOX_CONFLICTS.REASSIGNED };
+  }
+  // A previous attempt may have landed even though the response was lost.
+  if (rule && serverOrder.status === rule.to) return { outcome: REPLAY_OUTCOMES.SYNCED };
+  if (rule && !rule.from.includes(serverOrder.status)) {
+    return { outcome: REPLAY_OUTCOMES.CONFLICT, conflict: OUTBOX_CONFLICTS.STATUS_CHANGED };
+  }
+  return { outcome: REPLAY_OUTCOMES.CONFLICT, conflict: OUTBOX_CONFLICTS.REJECTED };
+};
+
+/**
+ * Overlay unsynced actions on the server order list so the UI shows the master's
+ * local state and marks rows with `pending_sync` / `sync_conflict`.
+ */
+export const applyOutboxToOrders = (orders = [], queue = []) => {
+  if (!queue.length) return orders;
+  const byOrder = new Map();
+  queue.forEach((entry) => {
+    const list = byOrder.get(entry.orderId) || [];
+    list.push(entry);
+    byOrder.set(entry.orderId, list);
+  });
+
+  return orders.map((order) => {
+    const entries = byOrder.get(String(order.id));
+    if (!entries) return order;
+    const conflict = entries.find((entry) => entry.state === OUTBOX_ENTRY_STATES.CONFLICT);
+    if (conflict) {
+      return { ...order, sync_conflict: conflict.conflict || OUTBOX_CONFLICTS.REJECTED, sync_entry_id: conflict.id };
+    }
+    return entries.reduce((acc, entry) => {
+      const next = { ...acc, pending_sync: entry.action };
+      if (entry.action === OUTBOX_ACTIONS.START) {
+        next.status = 'started';
+        next.started_at = next.started_at || new Date(entry.createdAt).toISOString();
+      }
+      if (entry.action === OUTBOX_ACTIONS.COMPLETE) {
+        const data = entry.payload?.completionData || {};
+        next.status = 'completed';
+        // The server stamps completion when the entry replays; until then it is unknown.
+        next.completed_at = null;
+        next.final_price = data.finalPrice ?? next.final_price;
+        next.work_performed = data.workPerformed ?? next.work_performed;
+        next.hours_worked = data.hoursWorked ?? next.hours_worked;
+        next.line_items = data.lineItems ?? next.line_items;
+        next.work_segments = data.workSegments ?? next.work_segments;
+      }
+      return next;
+    }, order);
+  });
+};
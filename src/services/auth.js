@@ -5,6 +5,7 @@
 
 import { supabase } from '../lib/supabase';
 import { normalizeKyrgyzPhone } from '../utils/phone';
+import { COMMISSION_TIERS, DEFAULT_COMMISSION_TIER, normalizeCommissionRate } from '../utils/commissionRules';
 
 const LOG_PREFIX = '[AuthService]';
 const isDebug = process?.env?.EXPO_PUBLIC_ENABLE_AUTH_LOGS === '1';
@@ -61,6 +62,15 @@ const PROFILE_SELECT_FIELDS = [
 const PROFILE_SELECT_FIELDS_LEGACY = PROFILE_SELECT_BASE_FIELDS.join(', ');
 const EMAIL_FORMAT_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const PROFILE_LIST_PRESENCE_FIELDS = ['last_active_at', 'last_seen_at', 'is_online'];
+// Added by PATCH_COMMISSION_RULES.sql.
+const PROFILE_LIST_COMMISSION_FIELDS = ['commission_tier', 'commission_rate_override'];
+// Added by PATCH_MASTER_AVAILABILITY.sql.
+const PROFILE_LIST_AVAILABILITY_FIELDS = ['is_on_duty', 'on_duty_changed_at', 'availability_schedule', 'time_off'];
+const PROFILE_LIST_OPTIONAL_FIELDS = [
+  ...PROFILE_LIST_PRESENCE_FIELDS,
+  ...PROFILE_LIST_COMMISSION_FIELDS,
+  ...PROFILE_LIST_AVAILABILITY_FIELDS,
+];
 
 const MASTER_LIST_FIELDS = [
   'id',
@@ -80,6 +90,8 @@ const MASTER_LIST_FIELDS = [
   'updated_at',
   'last_login_at',
   ...PROFILE_LIST_PRESENCE_FIELDS,
+  ...PROFILE_LIST_COMMISSION_FIELDS,
+  ...PROFILE_LIST_AVAILABILITY_FIELDS,
 ].join(', ');
 
 const DISPATCHER_LIST_FIELDS = [
@@ -114,21 +126,21 @@ const PARTNER_LIST_FIELDS = [
   ...PROFILE_LIST_PRESENCE_FIELDS,
 ].join(', ');
 
-const isMissingOptionalPresenceColumnError = (error) => {
+const isMissingOptionalListColumnError = (error) => {
   const code = String(error?.code || '');
   if (code !== '42703') return false;
   const text = `${String(error?.message || '')} ${String(error?.details || '')} ${String(error?.hint || '')}`.toLowerCase();
-  return PROFILE_LIST_PRESENCE_FIELDS.some((field) => (
+  return PROFILE_LIST_OPTIONAL_FIELDS.some((field) => (
     text.includes(`profiles.${field}`) || text.includes(field)
   ));
 };
 
-const stripOptionalPresenceFields = (selectFields = '') => (
+const stripOptionalListFields = (selectFields = '') => (
   selectFields
     .split(',')
     .map((field) => String(field || '').trim())
     .filter(Boolean)
-    .filter((field) => !PROFILE_LIST_PRESENCE_FIELDS.includes(field))
+    .filter((field) => !PROFILE_LIST_OPTIONAL_FIELDS.includes(field))
     .join(', ')
 );
 
@@ -295,10 +307,10 @@ class AuthService {
     };
 
     let { data, error } = await runWithSelect(selectFields);
-    if (error && isMissingOptionalPresenceColumnError(error)) {
-      const fallbackFields = stripOptionalPresenceFields(selectFields);
+    if (error && isMissingOptionalListColumnError(error)) {
+      const fallbackFields = stripOptionalListFields(selectFields);
       if (fallbackFields && fallbackFields !== selectFields) {
-        authDiag('profile_list_presence_fallback_legacy_schema', { role });
+        authDiag('profile_list_optional_fallback_legacy_schema', { role });
         ({ data, error } = await runWithSelect(fallbackFields));
       }
     }
@@ -813,6 +825,27 @@ class AuthService {
         }
       }
 
+      if (hasField('commission_tier')) {
+        const tier = String(updates.commission_tier || '').trim() || DEFAULT_COMMISSION_TIER;
+        if (!COMMISSION_TIERS.includes(tier)) {
+          return { success: false, message: 'Unknown commission tier' };
+        }
+        profileUpdates.commission_tier = tier;
+      }
+
+      if (hasField('commission_rate_override')) {
+        const raw = String(updates.commission_rate_override ?? '').trim();
+        if (!raw) {
+          profileUpdates.commission_rate_override = null;
+        } else {
+          const normalizedRate = normalizeCommissionRate(raw.replace(',', '.'));
+          if (normalizedRate === null) {
+            return { success: false, message: 'Commission rate must be between 0 and 100' };
+          }
+          profileUpdates.commission_rate_override = normalizedRate;
+        }
+      }
+
       if (hasField('partner_min_payout')) {
         const parsed = parseNonNegativeDecimal(updates.partner_min_payout, 'Partner minimum payout', { allowNull: true, precision: 2 });
         if (parsed.error) return { success: false, message: parsed.error };
@@ -0,0 +1,117 @@
+/**
+ * Availability Service
+ * Master on-duty status, weekly hours and vacation periods (data/PATCH_MASTER_AVAILABILITY.sql).
+ * Whether a master takes work right now is decided by src/utils/masterAvailability.js.
+ */
+
+import { supabase } from '../lib/supabase';
+import {
+  getMasterAvailability,
+  normalizeAvailabilitySchedule,
+  normalizeTimeOff,
+} from '../utils/masterAvailability';
+import { isMissingColumn } from '../utils/supabaseErrors';
+
+const LOG_PREFIX = '[AvailabilityService]';
+
+const AVAILABILITY_COLUMNS = ['is_on_duty', 'on_duty_changed_at', 'availability_schedule', 'time_off'];
+
+export const AVAILABILITY_FIELDS = ['id', ...AVAILABILITY_COLUMNS].join(', ');
+
+const isMissingAvailabilityColumn = (error) => AVAILABILITY_COLUMNS.some((column) => isMissingColumn(error, column));
+
+class AvailabilityService {
+  constructor() {
+    // Set once the columns are known to be missing so master lists do not retry on every load.
+    this.columnsUnavailable = false;
+  }
+
+  /**
+   * Saved availability of one master, or null when it cannot be loaded.
+   */
+  async getMasterAvailability(userId) {
+    if (!userId || this.columnsUnavailable) return null;
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select(AVAILABILITY_FIELDS)
+        .eq('id', userId)
+        .maybeSingle();
+      if (error) {
+        if (isMissingAvailabilityColumn(error)) this.columnsUnavailable = true;
+        throw error;
+      }
+      if (!data) return null;
+      return {
+        is_on_duty: data.is_on_duty !== false,
+        on_duty_changed_at: data.on_duty_changed_at || null,
+        availability_schedule: normalizeAvailabilitySchedule(data.availability_schedule),
+        time_off: normalizeTimeOff(data.time_off),
+      };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getMasterAvailability failed`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the calling master's on-duty flag, and optionally schedule and vacation periods.
+   * Returns { success, settings } or { success: false, message }.
+   */
+  async updateMasterAvailability({ isOnDuty, schedule, timeOff } = {}) {
+    const settings = {
+      is_on_duty: isOnDuty !== false,
+      ...(schedule !== undefined ? { availability_schedule: normalizeAvailabilitySchedule(schedule) } : {}),
+      ...(timeOff !== undefined ? { time_off: normalizeTimeOff(timeOff) } : {}),
+    };
+    try {
+      const { data, error } = await supabase.rpc('update_master_availability', {
+        p_is_on_duty: settings.is_on_duty,
+        p_schedule: settings.availability_schedule ?? null,
+        p_time_off: settings.time_off ?? null,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Failed to save availability' };
+      }
+      return { success: true, settings };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} updateMasterAvailability failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Adds `availability` ({ available, reason, timeOff }) to master rows and drops the
+   * unavailable ones unless `includeUnavailable` is set. Rows are returned unchanged when
+   * the lookup fails, so assignment keeps working before the patch is applied.
+   */
+  async applyAvailability(masters = [], { includeUnavailable = false, now = new Date() } = {}) {
+    const list = Array.isArray(masters) ? masters : [];
+    const ids = list.map((master) => master?.id).filter(Boolean);
+    if (!ids.length || this.columnsUnavailable) return list;
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select(AVAILABILITY_FIELDS)
+        .in('id', ids);
+      if (error) {
+        if (isMissingAvailabilityColumn(error)) this.columnsUnavailable = true;
+        throw error;
+      }
+      const byId = new Map((data || []).map((row) => [row.id, row]));
+      const annotated = list.map((master) => {
+        const row = byId.get(master?.id);
+        const merged = row ? { ...master, ...row } : master;
+        return { ...merged, availability: getMasterAvailability(merged, now) };
+      });
+      return includeUnavailable ? annotated : annotated.filter((master) => master.availability.available);
+    } catch (error) {
+      console.error(`${LOG_PREFIX} applyAvailability failed`, error);
+      return list;
+    }
+  }
+}
+
+const availabilityService = new AvailabilityService();
+export default availabilityService;
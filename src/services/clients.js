@@ -0,0 +1,87 @@
+/**
+ * Clients Service
+ * Client directory keyed by normalized phone (public.clients, see PATCH_CLIENT_DIRECTORY.sql).
+ * Staff look up repeat customers while creating orders; admins browse the full list.
+ */
+
+import { supabase } from '../lib/supabase';
+import { normalizeKyrgyzPhone } from '../utils/phone';
+import { buildClientLookup } from '../utils/clientDirectory';
+import { isMissingRpcFunction } from '../utils/supabaseErrors';
+
+const LOG_PREFIX = '[ClientsService]';
+const LOOKUP_RPC_NAME = 'lookup_client_by_phone';
+const SEARCH_RPC_NAME = 'search_clients';
+const FALLBACK_ORDER_LIMIT = 100;
+
+class ClientsService {
+  /**
+   * Known client for a phone: { client, stats, addresses, recent_orders, disputes }.
+   * client is null for a phone that never ordered. Dispute history is admin-only.
+   */
+  async lookupByPhone(phone, { orderLimit = 5 } = {}) {
+    const normalized = normalizeKyrgyzPhone(phone);
+    if (!normalized) {
+      return { success: false, message: 'Invalid phone number' };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc(LOOKUP_RPC_NAME, {
+        p_phone: normalized,
+        p_order_limit: orderLimit,
+      });
+      if (!error) {
+        if (!data?.success) {
+          return { success: false, message: data?.message || data?.error || 'Client lookup failed' };
+        }
+        return {
+          success: true,
+          phone: normalized,
+          client: data.client || null,
+          stats: data.stats || null,
+          addresses: data.addresses || [],
+          recent_orders: data.recent_orders || [],
+          disputes: data.disputes || [],
+        };
+      }
+      if (!isMissingRpcFunction(error, LOOKUP_RPC_NAME)) throw error;
+
+      // Patch not applied yet: summarize the orders visible to this user under RLS.
+      const { data: rows, error: readError } = await supabase
+        .from('orders')
+        .select('id, status, service_type, urgency, area, full_address, orientir, latitude, longitude, initial_price, final_price, is_disputed, created_at, client_name, client_id, master:master_id(full_name)')
+        .eq('client_phone', normalized)
+        .order('created_at', { ascending: false })
+        .limit(FALLBACK_ORDER_LIMIT);
+      if (readError) throw readError;
+      return { success: true, phone: normalized, ...buildClientLookup(normalized, rows, orderLimit) };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} lookupByPhone failed`, error);
+      return { success: false, message: error?.message || 'Client lookup failed' };
+    }
+  }
+
+  /**
+   * Admin client list with lifetime stats. Matches name or phone digits.
+   */
+  async searchClients({ query = '', limit = 50, offset = 0 } = {}) {
+    try {
+      const { data, error } = await supabase.rpc(SEARCH_RPC_NAME, {
+        p_query: String(query || '').trim() || null,
+        p_limit: limit,
+        p_offset: offset,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, items: [], total: 0, message: data?.message || data?.error || 'Client search failed' };
+      }
+      return { success: true, items: data.items || [], total: Number(data.total) || 0 };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} searchClients failed`, error);
+      return { success: false, items: [], total: 0, message: error?.message || 'Client search failed' };
+    }
+  }
+}
+
+const clientsService = new ClientsService();
+export default clientsService;
@@ -0,0 +1,188 @@
+/**
+ * Disputes Service
+ * Admin case handling for payment disputes (see PATCH_DISPUTE_CASES.sql): assignment,
+ * in_review / rejected transitions, the per-dispute message thread, evidence photos
+ * and resolution outcomes. Reporting and listing stay in ordersService.
+ */
+
+import { supabase } from '../lib/supabase';
+import ordersService from './orders';
+import orderPhotosService, { PHOTO_KINDS } from './orderPhotos';
+import { applyLineAdjustments, normalizeLineItems } from '../utils/lineItems';
+import {
+  DISPUTE_OUTCOME_ERRORS,
+  DISPUTE_STATUSES,
+  canTransitionDispute,
+  normalizeDisputeOutcome,
+} from '../utils/disputeCases';
+
+const LOG_PREFIX = '[DisputesService]';
+const ASSIGN_RPC_NAME = 'assign_dispute';
+const STATUS_RPC_NAME = 'set_dispute_status';
+const RESOLVE_RPC_NAME = 'resolve_dispute_case';
+const MESSAGE_MAX_LENGTH = 2000;
+
+const OUTCOME_ERROR_MESSAGES = {
+  [DISPUTE_OUTCOME_ERRORS.INVALID_PRICE]: 'Invalid final amount',
+  [DISPUTE_OUTCOME_ERRORS.BELOW_CALLOUT]: 'Final price cannot be lower than call-out fee',
+  [DISPUTE_OUTCOME_ERRORS.INVALID_PENALTY]: 'Invalid penalty amount',
+  [DISPUTE_OUTCOME_ERRORS.INVALID_REFUND]: 'Invalid refund amount',
+  [DISPUTE_OUTCOME_ERRORS.REFUND_EXCEEDS_PRICE]: 'Refund cannot exceed the final price',
+};
+
+class DisputesService {
+  /**
+   * Take a case (no adminId) or hand it to another admin. Moves open cases to in_review.
+   */
+  async assignDispute(disputeId, adminId = null) {
+    if (!disputeId) return { success: false, message: 'Dispute is required' };
+    try {
+      const { data, error } = await supabase.rpc(ASSIGN_RPC_NAME, {
+        p_dispute_id: disputeId,
+        p_admin_id: adminId || null,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Assignment failed' };
+      }
+      ordersService.invalidateAdminQueueCache();
+      return { success: true, assignedAdminId: data.assigned_admin_id, status: data.status };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} assignDispute failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Move a case to in_review or reject it. Rejection needs notes and sends the order
+   * back to the payment queue with the master's price.
+   */
+  async setDisputeStatus(dispute, status, notes = '') {
+    if (!dispute?.id) return { success: false, message: 'Dispute is required' };
+    if (!canTransitionDispute(dispute.status, status) || status === DISPUTE_STATUSES.RESOLVED) {
+      return { success: false, message: 'Status change not allowed' };
+    }
+    const trimmedNotes = String(notes || '').trim();
+    if (status === DISPUTE_STATUSES.REJECTED && !trimmedNotes) {
+      return { success: false, message: 'Rejection reason is required' };
+    }
+    try {
+      const { data, error } = await supabase.rpc(STATUS_RPC_NAME, {
+        p_dispute_id: dispute.id,
+        p_status: status,
+        p_notes: trimmedNotes || null,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Status change failed' };
+      }
+      ordersService.invalidateAdminQueueCache();
+      return { success: true, status: data.status };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} setDisputeStatus failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Resolve a case with its outcome: optional new final price (or per-line amounts),
+   * master penalty and client refund. All of it is applied in one transaction.
+   */
+  async resolveDispute(dispute, order, {
+    finalPrice = null,
+    lineAdjustments = null,
+    penaltyAmount = null,
+    refundAmount = null,
+    notes = '',
+  } = {}) {
+    if (!dispute?.id || !order?.id) return { success: false, message: 'Dispute is required' };
+    if (!canTransitionDispute(dispute.status, DISPUTE_STATUSES.RESOLVED)) {
+      return { success: false, message: 'Dispute is already closed' };
+    }
+
+    const currentLines = normalizeLineItems(order.line_items);
+    const adjustedLines = lineAdjustments && currentLines.length
+      ? applyLineAdjustments(currentLines, lineAdjustments)
+      : null;
+    const { outcome, error: outcomeError } = normalizeDisputeOutcome(order, {
+      finalPrice,
+      penaltyAmount,
+      refundAmount,
+    });
+    if (outcomeError) {
+      return { success: false, message: OUTCOME_ERROR_MESSAGES[outcomeError] || 'Invalid outcome' };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc(RESOLVE_RPC_NAME, {
+        p_dispute_id: dispute.id,
+        p_final_price: outcome.finalPrice,
+        p_line_items: adjustedLines,
+        p_penalty_amount: outcome.penaltyAmount,
+        p_refund_amount: outcome.refundAmount,
+        p_notes: String(notes || '').trim() || null,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Dispute resolution failed' };
+      }
+      ordersService.invalidateAdminQueueCache();
+      return { success: true, outcome: data.outcome || null };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} resolveDispute failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Thread for a dispute, oldest first, with author name and role.
+   */
+  async getMessages(disputeId) {
+    if (!disputeId) return [];
+    try {
+      const { data, error } = await supabase
+        .from('dispute_messages')
+        .select('id, dispute_id, body, created_at, author:author_id(id, full_name, role)')
+        .eq('dispute_id', disputeId)
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getMessages failed`, error);
+      return [];
+    }
+  }
+
+  async postMessage(disputeId, body) {
+    const text = String(body || '').trim();
+    if (!disputeId) return { success: false, message: 'Dispute is required' };
+    if (!text) return { success: false, message: 'Message is empty' };
+    if (text.length > MESSAGE_MAX_LENGTH) return { success: false, message: 'Message is too long' };
+    try {
+      const { data: authData, error: authError } = await supabase.auth.getUser();
+      if (authError) throw authError;
+      const authorId = authData?.user?.id;
+      if (!authorId) throw new Error('Unauthorized');
+      const { data, error } = await supabase
+        .from('dispute_messages')
+        .insert({ dispute_id: disputeId, author_id: authorId, body: text })
+        .select('id, dispute_id, body, created_at, author:author_id(id, full_name, role)')
+        .single();
+      if (error) throw error;
+      return { success: true, item: data };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} postMessage failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Evidence photos live with the order's other photos (kind `evidence`).
+   */
+  async uploadEvidence(orderId, photos = []) {
+    return orderPhotosService.uploadOrderPhotos(orderId, photos, PHOTO_KINDS.EVIDENCE);
+  }
+}
+
+const disputesService = new DisputesService();
+export default disputesService;
@@ -4,8 +4,24 @@
  */
 
 import { supabase } from '../lib/supabase';
+import {
+    buildCommissionConfig,
+    estimateOrderCommission,
+    normalizeCommissionTier,
+    resolveCommissionRate,
+} from '../utils/commissionRules';
+import {
+    buildTopUpProofPath,
+    parseTopUpAmount,
+    validateTopUpRequest,
+} from '../utils/balanceTopUps';
+import { isMissingRpcFunction } from '../utils/supabaseErrors';
 
 const LOG_PREFIX = '[EarningsService]';
+const COMMISSION_CONTEXT_RPC_NAME = 'get_commission_context';
+const TOP_UP_PROOF_BUCKET = 'balance-proofs';
+const TOP_UP_PROOF_URL_TTL_SECONDS = 60 * 60;
+const TOP_UP_REQUEST_FIELDS = 'id, master_id, amount, method, proof_path, notes, status, reviewed_at, review_notes, balance_after, created_at';
 const ENABLE_EARNINGS_LOGS = process?.env?.EXPO_PUBLIC_ENABLE_EARNINGS_LOGS === '1';
 const earningsLog = (...args) => {
     if (ENABLE_EARNINGS_LOGS) {
@@ -13,6 +29,39 @@ const earningsLog = (...args) => {
     }
 };
 
+const getMonthStart = (now = new Date()) => new Date(now.getFullYear(), now.getMonth(), 1);
+
+const toCommissionContext = (row = {}) => ({
+    config: buildCommissionConfig(row),
+    master: {
+        commission_tier: normalizeCommissionTier(row.commission_tier),
+        commission_rate_override: row.commission_rate_override ?? null,
+    },
+    monthlyOrders: Number(row.monthly_orders) || 0,
+});
+
+/**
+ * { start, end } Dates for a stats date filter (see getCommissionStats).
+ */
+const resolveDateFilterRange = (dateFilter = { type: 'all' }) => {
+    const now = new Date();
+    switch (dateFilter?.type) {
+        case 'today':
+            return { start: new Date(now.getFullYear(), now.getMonth(), now.getDate()), end: null };
+        case 'week':
+            return { start: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000), end: null };
+        case 'month':
+            return { start: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000), end: null };
+        case 'custom':
+            return {
+                start: dateFilter.start ? new Date(dateFilter.start) : null,
+                end: dateFilter.end ? new Date(dateFilter.end) : null,
+            };
+        default:
+            return { start: null, end: null };
+    }
+};
+
 class EarningsService {
     // ============================================
     // MASTER FUNCTIONS
@@ -25,6 +74,7 @@ class EarningsService {
         earningsLog(`${LOG_PREFIX} Fetching financial summary for master: ${masterId}`);
 
         try {
+            const contextPromise = this.getCommissionContext(masterId);
             const { data, error } = await supabase
                 .from('profiles')
                 .select(`
@@ -38,6 +88,7 @@ class EarningsService {
                 .single();
 
             if (error) throw error;
+            const commissionContext = await contextPromise;
 
             const summary = {
                 totalEarnings: Number(data.total_earnings) || 0,
@@ -60,7 +111,16 @@ class EarningsService {
                 specializations: data.specializations || [],
                 fullName: data.full_name || '',
                 email: data.email || '',
-                phone: data.phone || ''
+                phone: data.phone || '',
+                // Commission rules: context for per-order estimates and the rate without order specifics
+                commissionContext,
+                commissionRate: commissionContext
+                    ? resolveCommissionRate({
+                        tier: commissionContext.master.commission_tier,
+                        overrideRate: commissionContext.master.commission_rate_override,
+                        monthlyOrders: commissionContext.monthlyOrders,
+                    }, commissionContext.config)
+                    : null
             };
 
             earningsLog(`${LOG_PREFIX} Summary:`, summary);
@@ -85,11 +145,56 @@ class EarningsService {
                 specializations: [],
                 fullName: '',
                 email: '',
-                phone: ''
+                phone: '',
+                commissionContext: null,
+                commissionRate: null
             };
         }
     }
 
+    /**
+     * Commission context for a master: tier, override, confirmed orders this month and the
+     * platform rules, for estimates with src/utils/commissionRules.js.
+     * Uses get_commission_context (PATCH_COMMISSION_RULES.sql) with a table-read fallback.
+     * @returns {Object|null} { config, master, monthlyOrders }
+     */
+    async getCommissionContext(masterId) {
+        if (!masterId) return null;
+        try {
+            const { data, error } = await supabase.rpc(COMMISSION_CONTEXT_RPC_NAME, { p_master_id: masterId });
+            if (error) throw error;
+            if (!data?.success) throw new Error(data?.message || data?.error || 'Commission context unavailable');
+            return toCommissionContext(data);
+        } catch (error) {
+            if (!isMissingRpcFunction(error, COMMISSION_CONTEXT_RPC_NAME)) {
+                console.error(`${LOG_PREFIX} getCommissionContext failed:`, error);
+            }
+        }
+
+        try {
+            const [settingsRes, profileRes, volumeRes] = await Promise.all([
+                supabase.from('platform_settings').select('*').eq('id', 1).single(),
+                supabase.from('profiles').select('*').eq('id', masterId).single(),
+                supabase
+                    .from('orders')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('master_id', masterId)
+                    .eq('status', 'confirmed')
+                    .gte('confirmed_at', getMonthStart().toISOString()),
+            ]);
+            if (settingsRes.error) throw settingsRes.error;
+            return toCommissionContext({
+                ...settingsRes.data,
+                commission_tier: profileRes.data?.commission_tier,
+                commission_rate_override: profileRes.data?.commission_rate_override,
+                monthly_orders: volumeRes.count,
+            });
+        } catch (error) {
+            console.error(`${LOG_PREFIX} getCommissionContext fallback failed:`, error);
+            return null;
+        }
+    }
+
     /**
      * Get master's earnings history
      */
@@ -240,6 +345,8 @@ class EarningsService {
 
     /**
      * Get platform commission statistics
+     * Collected = commission deducted from balances; outstanding = completed orders awaiting
+     * confirmation, estimated with the commission rules (same evaluator as the master app).
      * @param {Object} dateFilter - { type: 'all'|'today'|'week'|'month'|'custom', start?, end? }
      * @returns {Object} { totalOutstanding, totalCollected, mastersWithDebt: Array }
      */
@@ -247,54 +354,46 @@ class EarningsService {
         earningsLog(`${LOG_PREFIX} Fetching commission statistics with filter:`, dateFilter);
 
         try {
+            const { start, end } = resolveDateFilterRange(dateFilter);
             // Commission is now deducted directly from balance transactions
             let query = supabase
                 .from('balance_transactions')
                 .select('amount, transaction_type, created_at')
                 .in('transaction_type', ['commission', 'commission_deduct']);
-
-            // Apply date filters if needed
-            if (dateFilter.type !== 'all') {
-                const now = new Date();
-                let startDate;
-
-                switch (dateFilter.type) {
-                    case 'today':
-                        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-                        break;
-                    case 'week':
-                        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                        break;
-                    case 'month':
-                        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-                        break;
-                    case 'custom':
-                        if (dateFilter.start) {
-                            startDate = new Date(dateFilter.start);
-                        }
-                        if (dateFilter.end) {
-                            query = query.lte('created_at', new Date(dateFilter.end).toISOString());
-                        }
-                        break;
-                }
-
-                if (startDate) {
-                    query = query.gte('created_at', startDate.toISOString());
-                }
+            let pendingQuery = supabase
+                .from('orders')
+                .select('id, master_id, service_type, area, urgency, final_price, initial_price, callout_fee, completed_at')
+                .eq('status', 'completed')
+                .not('master_id', 'is', null);
+
+            if (start) {
+                query = query.gte('created_at', start.toISOString());
+                pendingQuery = pendingQuery.gte('completed_at', start.toISOString());
+            }
+            if (end) {
+                query = query.lte('created_at', end.toISOString());
+                pendingQuery = pendingQuery.lte('completed_at', end.toISOString());
             }
 
-            const { data: transactions, error } = await query;
+            const [{ data: transactions, error }, { data: pendingOrders, error: pendingError }] = await Promise.all([
+                query,
+                pendingQuery,
+            ]);
             if (error) throw error;
+            if (pendingError) throw pendingError;
 
             const totalCollected = (transactions || [])
                 .map(t => Number(t.amount))
                 .filter(val => Number.isFinite(val))
                 .reduce((sum, val) => sum + Math.abs(val), 0);
 
+            const mastersWithDebt = await this.estimateOutstandingByMaster(pendingOrders || []);
+            const totalOutstanding = mastersWithDebt.reduce((sum, row) => sum + row.amount, 0);
+
             const stats = {
-                totalOutstanding: 0,
+                totalOutstanding: Math.round(totalOutstanding * 100) / 100,
                 totalCollected,
-                mastersWithDebt: []
+                mastersWithDebt
             };
 
             earningsLog(`${LOG_PREFIX} Commission stats:`, stats);
@@ -305,6 +404,51 @@ class EarningsService {
         }
     }
 
+    /**
+     * Commission owed per master for completed, unconfirmed orders, largest first.
+     * @returns {Array} [{ masterId, fullName, orders, amount }]
+     */
+    async estimateOutstandingByMaster(orders = []) {
+        if (!orders.length) return [];
+        const masterIds = [...new Set(orders.map(o => o.master_id).filter(Boolean))];
+        const [settingsRes, mastersRes, volumeRes] = await Promise.all([
+            supabase.from('platform_settings').select('*').eq('id', 1).single(),
+            supabase.from('profiles').select('*').in('id', masterIds),
+            supabase
+                .from('orders')
+                .select('master_id')
+                .eq('status', 'confirmed')
+                .in('master_id', masterIds)
+                .gte('confirmed_at', getMonthStart().toISOString()),
+        ]);
+        if (settingsRes.error) throw settingsRes.error;
+        const config = buildCommissionConfig(settingsRes.data);
+        const mastersById = new Map((mastersRes.data || []).map(m => [m.id, m]));
+        const volumeByMaster = (volumeRes.data || []).reduce((acc, row) => {
+            acc[row.master_id] = (acc[row.master_id] || 0) + 1;
+            return acc;
+        }, {});
+
+        const byMaster = new Map();
+        orders.forEach((order) => {
+            const master = mastersById.get(order.master_id) || null;
+            const { amount } = estimateOrderCommission(order, {
+                master,
+                monthlyOrders: volumeByMaster[order.master_id] || 0,
+            }, config);
+            const row = byMaster.get(order.master_id) || {
+                masterId: order.master_id,
+                fullName: master?.full_name || '',
+                orders: 0,
+                amount: 0,
+            };
+            row.orders += 1;
+            row.amount = Math.round((row.amount + amount) * 100) / 100;
+            byMaster.set(order.master_id, row);
+        });
+        return [...byMaster.values()].sort((a, b) => b.amount - a.amount);
+    }
+
     /**
      * Get balance transaction history for master
      * Used in My Account tab to show deposit/commission history
@@ -408,6 +552,149 @@ class EarningsService {
             return { success: false, message: error.message };
         }
     }
+
+    // ============================================
+    // BALANCE TOP-UP REQUESTS
+    // ============================================
+
+    /**
+     * Master submits a top-up request: uploads the proof screenshot to `balance-proofs`
+     * and inserts a balance_topup_requests row. The file is removed if the row fails.
+     * @param {string} masterId - Master UUID (must be the signed-in master)
+     * @param {Object} request - { amount, method, proof: { uri, mimeType }, notes }
+     */
+    async submitTopUpRequest(masterId, { amount, method, proof, notes = '' } = {}) {
+        const check = validateTopUpRequest({ amount, method, proof });
+        if (!masterId || !check.isValid) {
+            return { success: false, error: check.error || 'master', message: 'Invalid top-up request' };
+        }
+
+        const mimeType = proof.mimeType || 'image/jpeg';
+        const proofPath = buildTopUpProofPath(masterId, mimeType);
+        try {
+            const response = await fetch(proof.uri);
+            const body = await response.arrayBuffer();
+            const { error: uploadError } = await supabase.storage
+                .from(TOP_UP_PROOF_BUCKET)
+                .upload(proofPath, body, { contentType: mimeType, upsert: false });
+            if (uploadError) throw uploadError;
+        } catch (error) {
+            console.error(`${LOG_PREFIX} submitTopUpRequest upload failed:`, error);
+            return { success: false, error: 'upload', message: error.message };
+        }
+
+        try {
+            const { data, error } = await supabase
+                .from('balance_topup_requests')
+                .insert({
+                    master_id: masterId,
+                    amount: parseTopUpAmount(amount),
+                    method,
+                    proof_path: proofPath,
+                    notes: String(notes || '').trim() || null,
+                })
+                .select(TOP_UP_REQUEST_FIELDS)
+                .single();
+            if (error) throw error;
+            return { success: true, request: data };
+        } catch (error) {
+            console.error(`${LOG_PREFIX} submitTopUpRequest insert failed:`, error);
+            await supabase.storage.from(TOP_UP_PROOF_BUCKET).remove([proofPath]);
+            // 23505: the one-open-request-per-master index
+            const isDuplicate = error?.code === '23505';
+            return { success: false, error: isDuplicate ? 'pending' : 'insert', message: error.message };
+        }
+    }
+
+    /**
+     * Master's own top-up requests, newest first
+     */
+    async getTopUpRequests(masterId, limit = 20) {
+        if (!masterId) return [];
+        try {
+            const { data, error } = await supabase
+                .from('balance_topup_requests')
+                .select(TOP_UP_REQUEST_FIELDS)
+                .eq('master_id', masterId)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error(`${LOG_PREFIX} getTopUpRequests failed:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Top-up queue for admins with the master and a short-lived proof URL per row
+     * @param {Object} options - { status: 'requested' | 'approved' | 'rejected' | 'all', limit }
+     */
+    async getTopUpRequestsAdmin({ status = 'all', limit = 100 } = {}) {
+        try {
+            let query = supabase
+                .from('balance_topup_requests')
+                .select(`${TOP_UP_REQUEST_FIELDS}, master:master_id(id, full_name, phone, email, prepaid_balance)`)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+            if (status && status !== 'all') {
+                query = query.eq('status', status);
+            }
+            const { data, error } = await query;
+            if (error) throw error;
+            const rows = data || [];
+            if (!rows.length) return { success: true, items: [] };
+
+            const { data: signed, error: signError } = await supabase.storage
+                .from(TOP_UP_PROOF_BUCKET)
+                .createSignedUrls(rows.map((row) => row.proof_path), TOP_UP_PROOF_URL_TTL_SECONDS);
+            if (signError) {
+                console.error(`${LOG_PREFIX} getTopUpRequestsAdmin proof URLs failed:`, signError);
+            }
+            const urlByPath = new Map((signed || []).map((item) => [item.path, item.signedUrl]));
+            return {
+                success: true,
+                items: rows.map((row) => ({ ...row, proof_url: urlByPath.get(row.proof_path) || null })),
+            };
+        } catch (error) {
+            console.error(`${LOG_PREFIX} getTopUpRequestsAdmin failed:`, error);
+            return { success: false, items: [], message: error.message };
+        }
+    }
+
+    /**
+     * Admin decision on a top-up request (verify_topup_proof RPC).
+     * Approval credits prepaid_balance through add_master_balance in the same transaction;
+     * rejection needs a reason.
+     * @param {string} requestId - balance_topup_requests UUID
+     * @param {boolean} isValid - true to approve, false to reject
+     * @param {string} notes - Review notes (required when rejecting)
+     */
+    async verifyTopUpProof(requestId, isValid, notes = null) {
+        earningsLog(`${LOG_PREFIX} Verifying top-up request ${requestId}: ${isValid ? 'approve' : 'reject'}`);
+        try {
+            const { data, error } = await supabase.rpc('verify_topup_proof', {
+                p_request_id: requestId,
+                p_is_valid: isValid,
+                p_notes: notes,
+            });
+
+            if (error) throw error;
+            if (!data?.success) {
+                return { success: false, error: data?.error || null, message: data?.message || 'Failed to review top-up' };
+            }
+
+            return {
+                success: true,
+                verified: data.verified === true,
+                status: data.status,
+                balanceAfter: data.balance_after ?? null,
+            };
+        } catch (error) {
+            console.error(`${LOG_PREFIX} verifyTopUpProof failed:`, error);
+            return { success: false, message: error.message };
+        }
+    }
 }
 
 const earningsService = new EarningsService();
@@ -0,0 +1,47 @@
+/**
+ * Job Timer Service
+ * Saves the job timer segments of a started order to orders.work_segments
+ * (data/PATCH_JOB_TIME_TRACKING.sql). The device copy lives in useJobTimer; this keeps
+ * the server copy close so the timer follows the master to another device.
+ */
+
+import { supabase } from '../lib/supabase';
+import { normalizeWorkSegments } from '../utils/jobTimer';
+import { isMissingColumn } from '../utils/supabaseErrors';
+
+const LOG_PREFIX = '[JobTimerService]';
+
+class JobTimerService {
+  constructor() {
+    // Set once the column is known to be missing; the timer then stays on the device only.
+    this.columnUnavailable = false;
+  }
+
+  /**
+   * Store the segments of an order the master is working on.
+   * Returns { success } or { success: false, message }.
+   */
+  async saveWorkSegments(orderId, masterId, segments) {
+    if (!orderId || !masterId) return { success: false, message: 'Order is required' };
+    if (this.columnUnavailable) return { success: false, message: 'Job timer is not enabled' };
+    try {
+      const { error } = await supabase
+        .from('orders')
+        .update({ work_segments: normalizeWorkSegments(segments) })
+        .eq('id', orderId)
+        .eq('master_id', masterId)
+        .eq('status', 'started');
+      if (error) {
+        if (isMissingColumn(error, 'work_segments')) this.columnUnavailable = true;
+        throw error;
+      }
+      return { success: true };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} saveWorkSegments failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+const jobTimerService = new JobTimerService();
+export default jobTimerService;
@@ -0,0 +1,109 @@
+/**
+ * Location Service
+ * Device location (expo-location), the master's saved work location, and approximate
+ * coordinates for pool orders. All distance math stays client-side (src/utils/geo.js).
+ */
+
+import * as Location from 'expo-location';
+import { supabase } from '../lib/supabase';
+import { getMasterCoords, toCoords } from '../utils/geo';
+
+const LOG_PREFIX = '[LocationService]';
+
+class LocationService {
+  constructor() {
+    // Set once the RPC is known to be missing so the pool does not retry it on every load.
+    this.poolLocationsUnavailable = false;
+  }
+
+  /**
+   * Current device position. Returns { success, coords } or { success: false, message }.
+   */
+  async getCurrentCoords() {
+    try {
+      let { status } = await Location.getForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        ({ status } = await Location.requestForegroundPermissionsAsync());
+      }
+      if (status !== 'granted') {
+        return { success: false, message: 'Location permission denied' };
+      }
+      const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+      const coords = toCoords(position?.coords?.latitude, position?.coords?.longitude);
+      if (!coords) return { success: false, message: 'Location unavailable' };
+      return { success: true, coords };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getCurrentCoords failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  async getMasterLocation(userId) {
+    if (!userId) return null;
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('location_latitude, location_longitude')
+        .eq('id', userId)
+        .maybeSingle();
+      if (error) throw error;
+      return getMasterCoords(data);
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getMasterLocation failed`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save (or clear with null) the calling master's home/current location.
+   */
+  async updateMasterLocation(coords) {
+    const next = coords ? toCoords(coords.latitude, coords.longitude) : null;
+    if (coords && !next) return { success: false, message: 'Invalid coordinates' };
+    try {
+      const { data, error } = await supabase.rpc('update_master_location', {
+        p_latitude: next?.latitude ?? null,
+        p_longitude: next?.longitude ?? null,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Failed to save location' };
+      }
+      return { success: true, coords: next };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} updateMasterLocation failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Merge approximate coordinates into pool rows. Rows keep their shape when the
+   * lookup fails, so the pool still renders without distances.
+   */
+  async attachPoolLocations(orders = []) {
+    const list = Array.isArray(orders) ? orders : [];
+    const ids = list.filter((order) => order?.id && !toCoords(order.latitude, order.longitude)).map((order) => order.id);
+    if (!ids.length || this.poolLocationsUnavailable) return list;
+    try {
+      const { data, error } = await supabase.rpc('get_pool_order_locations', { p_order_ids: ids });
+      if (error) {
+        if (String(error.message || '').includes('get_pool_order_locations')) {
+          this.poolLocationsUnavailable = true;
+        }
+        throw error;
+      }
+      if (!data?.success) return list;
+      const byId = new Map((data.items || []).map((item) => [item.id, item]));
+      return list.map((order) => {
+        const location = byId.get(order.id);
+        return location ? { ...order, latitude: location.latitude, longitude: location.longitude } : order;
+      });
+    } catch (error) {
+      console.error(`${LOG_PREFIX} attachPoolLocations failed`, error);
+      return list;
+    }
+  }
+}
+
+const locationService = new LocationService();
+export default locationService;
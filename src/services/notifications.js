@@ -0,0 +1,372 @@
+/**
+ * Notifications Service
+ * Expo push token registration, per-role notification preferences and
+ * order lifecycle notification payloads.
+ *
+ * Payloads are handed to a sender:
+ *  - remote: enqueue_order_notification RPC fills notification_outbox (default); the
+ *    server checks the event against the order and writes the text itself
+ *  - local: keeps an in-memory log and shows the alert on this device
+ *    (EXPO_PUBLIC_NOTIFICATIONS_SENDER=local), so the flow works offline.
+ */
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { supabase } from '../lib/supabase';
+
+const LOG_PREFIX = '[NotificationsService]';
+const SENDER_MODE = process?.env?.EXPO_PUBLIC_NOTIFICATIONS_SENDER === 'local' ? 'local' : 'remote';
+const EXPO_PROJECT_ID = process?.env?.EXPO_PUBLIC_EAS_PROJECT_ID || undefined;
+const ANDROID_CHANNEL_ID = 'orders';
+const LOCAL_LOG_LIMIT = 50;
+
+export const NOTIFICATION_EVENTS = {
+  ORDER_CREATED: 'order_created',
+  ORDER_CLAIMED: 'order_claimed',
+  ORDER_COMPLETED: 'order_completed',
+  ORDER_REFUSED: 'order_refused',
+  PAYMENT_DISPUTED: 'payment_disputed',
+  // Queued server-side by sync_order_sla_breaches (data/PATCH_SLA_RULES.sql), admins only.
+  SLA_ESCALATED: 'sla_escalated',
+};
+
+// Keep in sync with enqueue_order_notification (data/PATCH_PUSH_NOTIFICATIONS.sql).
+export const NOTIFICATION_PREF_DEFAULTS = {
+  master: {
+    order_created: true,
+    emergency_only: false,
+  },
+  dispatcher: {
+    order_claimed: true,
+    order_completed: true,
+    order_refused: true,
+    payment_disputed: true,
+  },
+  partner: {
+    order_claimed: true,
+    order_completed: true,
+    order_refused: true,
+    payment_disputed: true,
+  },
+  admin: {
+    order_refused: false,
+    payment_disputed: true,
+    sla_escalated: true,
+  },
+};
+
+// Toggle rows rendered by the settings tabs, per role.
+export const NOTIFICATION_PREF_OPTIONS = {
+  master: [
+    { key: 'order_created', labelKey: 'notifPrefOrderCreated', fallback: 'New orders in the pool' },
+    { key: 'emergency_only', labelKey: 'notifPrefEmergencyOnly', fallback: 'Only emergency orders' },
+  ],
+  dispatcher: [
+    { key: 'order_claimed', labelKey: 'notifPrefOrderClaimed', fallback: 'Order claimed by a master' },
+    { key: 'order_completed', labelKey: 'notifPrefOrderCompleted', fallback: 'Job completed, awaiting payment' },
+    { key: 'order_refused', labelKey: 'notifPrefOrderRefused', fallback: 'Master refused a job' },
+    { key: 'payment_disputed', labelKey: 'notifPrefPaymentDisputed', fallback: 'Payment disputes' },
+  ],
+  admin: [
+    { key: 'payment_disputed', labelKey: 'notifPrefPaymentDisputed', fallback: 'Payment disputes' },
+    { key: 'order_refused', labelKey: 'notifPrefOrderRefused', fallback: 'Master refused a job' },
+    { key: 'sla_escalated', labelKey: 'notifPrefSlaEscalated', fallback: 'Orders overdue past their SLA' },
+  ],
+};
+NOTIFICATION_PREF_OPTIONS.partner = NOTIFICATION_PREF_OPTIONS.dispatcher;
+
+const normalizeRole = (role) => String(role || '').trim().toLowerCase();
+const shortOrderId = (orderId) => String(orderId || '').slice(-6).toUpperCase();
+const formatServiceType = (value) => String(value || 'other').replace(/_/g, ' ');
+
+/**
+ * Merge stored preference flags over the defaults for a role.
+ */
+export const resolveNotificationPrefs = (role, storedPrefs = {}) => {
+  const defaults = NOTIFICATION_PREF_DEFAULTS[normalizeRole(role)] || {};
+  const stored = storedPrefs && typeof storedPrefs === 'object' ? storedPrefs : {};
+  return Object.keys(defaults).reduce((acc, key) => {
+    acc[key] = typeof stored[key] === 'boolean' ? stored[key] : defaults[key];
+    return acc;
+  }, {});
+};
+
+/**
+ * Build the notification payload for an order event. Returns null for unknown events.
+ */
+export const buildOrderNotification = (event, order = {}, extra = {}) => {
+  const orderId = order?.id || extra?.orderId || null;
+  if (!orderId) return null;
+  const ref = `#${shortOrderId(orderId)}`;
+  const urgency = order?.urgency || null;
+  const dispatcherIds = [order?.assigned_dispatcher_id, order?.dispatcher_id]
+    .filter(Boolean)
+    .filter((id, idx, list) => list.indexOf(id) === idx);
+
+  let content = null;
+  switch (event) {
+    case NOTIFICATION_EVENTS.ORDER_CREATED:
+      content = {
+        audience: 'masters',
+        title: urgency === 'emergency' ? 'Emergency order available' : 'New order available',
+        body: [formatServiceType(order?.service_type), order?.area].filter(Boolean).join(' - '),
+      };
+      break;
+    case NOTIFICATION_EVENTS.ORDER_CLAIMED:
+      content = {
+        audience: 'dispatchers',
+        title: 'Order claimed',
+        body: `${ref} was claimed by a master`,
+      };
+      break;
+    case NOTIFICATION_EVENTS.ORDER_COMPLETED: {
+      const finalPrice = Number(order?.final_price);
+      content = {
+        audience: 'dispatchers',
+        title: 'Job completed',
+        body: Number.isFinite(finalPrice) && finalPrice > 0
+          ? `${ref} is waiting for payment confirmation (${finalPrice} som)`
+          : `${ref} is waiting for payment confirmation`,
+      };
+      break;
+    }
+    case NOTIFICATION_EVENTS.ORDER_REFUSED:
+      content = {
+        audience: 'dispatchers',
+        title: 'Master refused job',
+        body: extra?.reason ? `${ref}: ${String(extra.reason).replace(/_/g, ' ')}` : `${ref} needs a new master`,
+      };
+      break;
+    case NOTIFICATION_EVENTS.PAYMENT_DISPUTED:
+      content = {
+        audience: 'dispatchers',
+        title: 'Payment dispute opened',
+        body: extra?.disputeType ? `${ref}: ${String(extra.disputeType).replace(/_/g, ' ')}` : `${ref} was disputed`,
+      };
+      break;
+    default:
+      return null;
+  }
+
+  return {
+    event,
+    orderId,
+    urgency,
+    dispatcherIds,
+    ...content,
+    data: { orderId, event, urgency },
+  };
+};
+
+/**
+ * Whether a payload should reach a user with the given role and preferences.
+ * Mirrors the recipient filter of enqueue_order_notification.
+ */
+export const shouldDeliverNotification = (payload, role, prefs = {}) => {
+  if (!payload?.event) return false;
+  const normalizedRole = normalizeRole(role);
+  const resolved = resolveNotificationPrefs(normalizedRole, prefs);
+  if (payload.audience === 'masters') {
+    if (normalizedRole !== 'master' || !resolved.order_created) return false;
+    return !resolved.emergency_only || payload.urgency === 'emergency';
+  }
+  if (!Object.prototype.hasOwnProperty.call(resolved, payload.event)) return false;
+  return resolved[payload.event] === true;
+};
+
+/**
+ * Offline stand-in for the push backend: records payloads and shows the ones
+ * the signed-in user would receive as local notifications.
+ */
+export const createLocalNotificationSender = ({ present = true } = {}) => {
+  const sent = [];
+  return {
+    name: 'local',
+    sent,
+    async send(payload, recipient = {}) {
+      const delivered = shouldDeliverNotification(payload, recipient.role, recipient.prefs);
+      sent.unshift({ ...payload, delivered, sentAt: new Date().toISOString() });
+      if (sent.length > LOCAL_LOG_LIMIT) sent.length = LOCAL_LOG_LIMIT;
+      if (delivered && present && Platform.OS !== 'web' && Notifications?.scheduleNotificationAsync) {
+        await Notifications.scheduleNotificationAsync({
+          content: { title: payload.title, body: payload.body, data: payload.data },
+          trigger: null,
+        });
+      }
+      return { success: true, queued: delivered ? 1 : 0 };
+    },
+  };
+};
+
+export const createRemoteNotificationSender = () => ({
+  name: 'remote',
+  async send(payload) {
+    // Title and body are built server-side from the order; only the event is sent.
+    const { data, error } = await supabase.rpc('enqueue_order_notification', {
+      p_order_id: payload.orderId,
+      p_event: payload.event,
+    });
+    if (error) throw error;
+    if (!data?.success) {
+      return { success: false, message: data?.message || data?.error || 'Failed to queue notification' };
+    }
+    return { success: true, queued: Number(data.queued) || 0 };
+  },
+});
+
+class NotificationsService {
+  constructor() {
+    this.sender = SENDER_MODE === 'local' ? createLocalNotificationSender() : createRemoteNotificationSender();
+    this.recipient = { id: null, role: null, prefs: {} };
+    this.handlerConfigured = false;
+  }
+
+  setSender(sender) {
+    this.sender = sender || createRemoteNotificationSender();
+  }
+
+  getSender() {
+    return this.sender;
+  }
+
+  configureForegroundHandler() {
+    if (this.handlerConfigured || Platform.OS === 'web' || !Notifications?.setNotificationHandler) return;
+    Notifications.setNotificationHandler({
+      handleNotification: async () => ({
+        shouldShowBanner: true,
+        shouldShowList: true,
+        shouldPlaySound: true,
+        shouldSetBadge: false,
+      }),
+    });
+    this.handlerConfigured = true;
+  }
+
+  /**
+   * Ask for permission, fetch the Expo push token and store it on the profile.
+   * Web has no Expo push support; the user is still tracked for the local sender.
+   */
+  async registerDevice(user) {
+    if (!user?.id) return { success: false, message: 'User is required' };
+    this.recipient = { id: user.id, role: normalizeRole(user.role), prefs: user.notification_prefs || {} };
+    if (Platform.OS === 'web') {
+      return { success: false, message: 'Push notifications are not supported on web' };
+    }
+
+    try {
+      this.configureForegroundHandler();
+      if (Platform.OS === 'android') {
+        await Notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+          name: 'Orders',
+          importance: Notifications.AndroidImportance.HIGH,
+        });
+      }
+
+      let { status } = await Notifications.getPermissionsAsync();
+      if (status !== 'granted') {
+        ({ status } = await Notifications.requestPermissionsAsync());
+      }
+      if (status !== 'granted') {
+        return { success: false, message: 'Notification permission denied' };
+      }
+
+      const tokenResponse = await Notifications.getExpoPushTokenAsync(
+        EXPO_PROJECT_ID ? { projectId: EXPO_PROJECT_ID } : undefined
+      );
+      const token = tokenResponse?.data;
+      if (!token) return { success: false, message: 'Push token unavailable' };
+
+      const { data, error } = await supabase.rpc('register_push_token', {
+        p_token: token,
+        p_platform: Platform.OS,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Failed to save push token' };
+      }
+      return { success: true, token };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} registerDevice failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Detach this device from the profile (call before sign-out while the session is valid).
+   */
+  async unregisterDevice() {
+    const hadRecipient = !!this.recipient.id;
+    this.recipient = { id: null, role: null, prefs: {} };
+    if (!hadRecipient || Platform.OS === 'web') return { success: true };
+    try {
+      const { data, error } = await supabase.rpc('register_push_token', { p_token: null });
+      if (error) throw error;
+      return { success: !!data?.success, message: data?.message };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} unregisterDevice failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  async getPreferences(userId, role) {
+    if (!userId) return resolveNotificationPrefs(role);
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('notification_prefs')
+        .eq('id', userId)
+        .maybeSingle();
+      if (error) throw error;
+      const prefs = resolveNotificationPrefs(role, data?.notification_prefs);
+      if (this.recipient.id === userId) this.recipient.prefs = prefs;
+      return prefs;
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getPreferences failed`, error);
+      return resolveNotificationPrefs(role);
+    }
+  }
+
+  async updatePreferences(role, prefs = {}) {
+    const allowed = NOTIFICATION_PREF_DEFAULTS[normalizeRole(role)] || {};
+    const payload = Object.keys(prefs || {}).reduce((acc, key) => {
+      if (Object.prototype.hasOwnProperty.call(allowed, key) && typeof prefs[key] === 'boolean') {
+        acc[key] = prefs[key];
+      }
+      return acc;
+    }, {});
+    if (!Object.keys(payload).length) {
+      return { success: false, message: 'No preferences to save' };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('update_notification_prefs', { p_prefs: payload });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Failed to save preferences' };
+      }
+      const resolved = resolveNotificationPrefs(role, data.prefs);
+      this.recipient.prefs = resolved;
+      return { success: true, prefs: resolved };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} updatePreferences failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Fire-and-forget hook for ordersService transitions. Never throws.
+   */
+  async notifyOrderEvent(event, order, extra = {}) {
+    const payload = buildOrderNotification(event, order, extra);
+    if (!payload || !this.sender) return { success: false, message: 'Nothing to send' };
+    try {
+      return await this.sender.send(payload, this.recipient);
+    } catch (error) {
+      console.error(`${LOG_PREFIX} notifyOrderEvent failed`, { event, orderId: payload.orderId }, error);
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+const notificationsService = new NotificationsService();
+export default notificationsService;
@@ -0,0 +1,229 @@
+/**
+ * Order Photos Service
+ * Problem photos (dispatcher, at creation), before/after photos (master, at completion)
+ * and evidence photos (admin, on dispute cases).
+ * Files live in the private `order-photos` Storage bucket under `<orderId>/<kind>/`;
+ * order_photos rows index them for the details drawer and dispute review.
+ */
+
+import * as ImagePicker from 'expo-image-picker';
+import { supabase } from '../lib/supabase';
+import {
+  VALIDATION_RULES,
+  getFileExtension,
+  validatePhotoCount,
+  validatePhotoFormat,
+  validatePhotoSize,
+} from '../utils/validation';
+
+const LOG_PREFIX = '[OrderPhotosService]';
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+export const ORDER_PHOTO_BUCKET = 'order-photos';
+
+export const PHOTO_KINDS = {
+  PROBLEM: 'problem',
+  BEFORE: 'before',
+  AFTER: 'after',
+  EVIDENCE: 'evidence',
+};
+
+const EXTENSION_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+};
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+export const resolvePhotoMimeType = (asset) => {
+  const explicit = String(asset?.mimeType || '').toLowerCase();
+  if (explicit) return explicit;
+  const fromName = EXTENSION_MIME_TYPES[getFileExtension(asset?.fileName || '')];
+  if (fromName) return fromName;
+  const uri = String(asset?.uri || '');
+  const dataUriMatch = uri.match(/^data:([^;]+);/);
+  if (dataUriMatch) return dataUriMatch[1].toLowerCase();
+  return EXTENSION_MIME_TYPES[getFileExtension(uri.split('?')[0])] || null;
+};
+
+/**
+ * Validate one picked asset against the shared photo rules.
+ * `currentCount` is the number of photos already attached in the same slot.
+ */
+export const validatePhotoAsset = (asset, currentCount = 0) => {
+  const countCheck = validatePhotoCount(currentCount);
+  if (!countCheck.isValid) return countCheck;
+  const formatCheck = validatePhotoFormat(resolvePhotoMimeType(asset));
+  if (!formatCheck.isValid) return formatCheck;
+  // Some pickers (web, older Android) do not report a size; the bucket limit still applies.
+  if (Number.isFinite(Number(asset?.fileSize)) && Number(asset.fileSize) > 0) {
+    const sizeCheck = validatePhotoSize(Number(asset.fileSize));
+    if (!sizeCheck.isValid) return sizeCheck;
+  }
+  return { isValid: true };
+};
+
+export const buildOrderPhotoPath = (orderId, kind, mimeType, index = 0, now = Date.now()) => {
+  const extension = MIME_EXTENSIONS[String(mimeType || '').toLowerCase()] || 'jpg';
+  return `${orderId}/${kind}/${now}-${index}.${extension}`;
+};
+
+const toAttachment = (asset) => ({
+  uri: asset.uri,
+  mimeType: resolvePhotoMimeType(asset),
+  fileSize: Number(asset.fileSize) || null,
+  width: asset.width || null,
+  height: asset.height || null,
+});
+
+class OrderPhotosService {
+  /**
+   * Open the library (or camera) and return validated attachments.
+   * Returns { assets, errors, canceled }.
+   */
+  async pickPhotos({ currentCount = 0, camera = false } = {}) {
+    const remaining = VALIDATION_RULES.photo.maxPhotos - currentCount;
+    if (remaining <= 0) {
+      return { assets: [], errors: [validatePhotoCount(currentCount).message], canceled: false };
+    }
+
+    try {
+      if (camera) {
+        const permission = await ImagePicker.requestCameraPermissionsAsync();
+        if (!permission?.granted) {
+          return { assets: [], errors: ['Camera permission denied'], canceled: false };
+        }
+      }
+      const options = {
+        mediaTypes: ['images'],
+        quality: 0.6,
+        allowsMultipleSelection: !camera && remaining > 1,
+        selectionLimit: remaining,
+      };
+      const result = camera
+        ? await ImagePicker.launchCameraAsync(options)
+        : await ImagePicker.launchImageLibraryAsync(options);
+      if (result.canceled) return { assets: [], errors: [], canceled: true };
+
+      const assets = [];
+      const errors = [];
+      (result.assets || []).forEach((asset) => {
+        const check = validatePhotoAsset(asset, currentCount + assets.length);
+        if (check.isValid) {
+          assets.push(toAttachment(asset));
+        } else if (!errors.includes(check.message)) {
+          errors.push(check.message);
+        }
+      });
+      return { assets, errors, canceled: false };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} pickPhotos failed`, error);
+      return { assets: [], errors: [error.message], canceled: false };
+    }
+  }
+
+  /**
+   * Upload attachments for an order and index them in order_photos.
+   * Partial failures are reported via failedCount; uploaded rows are kept.
+   */
+  async uploadOrderPhotos(orderId, photos = [], kind = PHOTO_KINDS.PROBLEM) {
+    const list = Array.isArray(photos) ? photos.filter((photo) => photo?.uri) : [];
+    if (!orderId) return { success: false, message: 'Order id is required', uploaded: [], failedCount: list.length };
+    if (!Object.values(PHOTO_KINDS).includes(kind)) {
+      return { success: false, message: 'Unknown photo kind', uploaded: [], failedCount: list.length };
+    }
+    if (!list.length) return { success: true, uploaded: [], failedCount: 0 };
+
+    const { data: authData } = await supabase.auth.getUser();
+    const uploaderId = authData?.user?.id || null;
+    const now = Date.now();
+    const rows = [];
+    let failedCount = 0;
+
+    for (let index = 0; index < list.length; index += 1) {
+      const photo = list[index];
+      const mimeType = photo.mimeType || resolvePhotoMimeType(photo) || 'image/jpeg';
+      const storagePath = buildOrderPhotoPath(orderId, kind, mimeType, index, now);
+      try {
+        const response = await fetch(photo.uri);
+        const body = await response.arrayBuffer();
+        const { error: uploadError } = await supabase.storage
+          .from(ORDER_PHOTO_BUCKET)
+          .upload(storagePath, body, { contentType: mimeType, upsert: false });
+        if (uploadError) throw uploadError;
+        rows.push({
+          order_id: orderId,
+          kind,
+          storage_path: storagePath,
+          mime_type: mimeType,
+          size_bytes: photo.fileSize || body?.byteLength || null,
+          uploaded_by: uploaderId,
+        });
+      } catch (error) {
+        failedCount += 1;
+        console.error(`${LOG_PREFIX} uploadOrderPhotos file failed`, { orderId, kind, index }, error);
+      }
+    }
+
+    if (!rows.length) {
+      return { success: false, message: 'Photo upload failed', uploaded: [], failedCount };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('order_photos')
+        .insert(rows)
+        .select('id, order_id, kind, storage_path, created_at');
+      if (error) throw error;
+      return {
+        success: failedCount === 0,
+        message: failedCount ? 'Some photos failed to upload' : 'Photos uploaded',
+        uploaded: data || [],
+        failedCount,
+      };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} uploadOrderPhotos insert failed`, error);
+      await supabase.storage.from(ORDER_PHOTO_BUCKET).remove(rows.map((row) => row.storage_path));
+      return { success: false, message: error.message, uploaded: [], failedCount: list.length };
+    }
+  }
+
+  /**
+   * Photos for an order with short-lived signed URLs, oldest first.
+   */
+  async getOrderPhotos(orderId) {
+    if (!orderId) return [];
+    try {
+      const { data, error } = await supabase
+        .from('order_photos')
+        .select('id, order_id, kind, storage_path, mime_type, uploaded_by, created_at')
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      const rows = data || [];
+      if (!rows.length) return [];
+
+      const { data: signed, error: signError } = await supabase.storage
+        .from(ORDER_PHOTO_BUCKET)
+        .createSignedUrls(rows.map((row) => row.storage_path), SIGNED_URL_TTL_SECONDS);
+      if (signError) throw signError;
+      const urlByPath = new Map((signed || []).map((item) => [item.path, item.signedUrl]));
+      return rows
+        .map((row) => ({ ...row, url: urlByPath.get(row.storage_path) || null }))
+        .filter((row) => row.url);
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getOrderPhotos failed`, error);
+      return [];
+    }
+  }
+}
+
+const orderPhotosService = new OrderPhotosService();
+export default orderPhotosService;
@@ -5,6 +5,18 @@
 
 import { supabase } from '../lib/supabase';
 import { normalizeKyrgyzPhone as normalizeKyrgyzPhoneUtil, validateKyrgyzPhone as validateKyrgyzPhoneUtil } from '../utils/phone';
+import notificationsService, { NOTIFICATION_EVENTS } from './notifications';
+import locationService from './location';
+import availabilityService from './availability';
+import { buildOrderTimeline } from '../utils/orderTimeline';
+import { AGENDA_STATUSES, toDateKey } from '../utils/orderAgenda';
+import { DISTANCE_NEAREST, toCoords } from '../utils/geo';
+import { rankMastersForOrder } from '../utils/masterRecommendations';
+import { DEFAULT_SLA_RULES, isOrderSlaBreached, normalizeSlaRules } from '../utils/slaRules';
+import { applyLineAdjustments, normalizeLineItems, sumLineItems } from '../utils/lineItems';
+import { PRICE_REVIEW_DECISIONS, getPriceDeviation, resolveReviewPrice } from '../utils/priceReview';
+import { normalizeWorkSegments } from '../utils/jobTimer';
+import { isMissingColumn, isMissingRelationship, isMissingRpcFunction } from '../utils/supabaseErrors';
 
 const LOG_PREFIX = '[OrdersService]';
 const ENABLE_ORDERS_LOGS = process?.env?.EXPO_PUBLIC_ENABLE_ORDERS_LOGS === '1';
@@ -31,6 +43,10 @@ const isTransientError = (error) => {
     || message.includes('econnreset')
     || message.includes('eai_again');
 };
+// Connectivity failures (as opposed to rejections) - callers may queue the action and retry later.
+const isOfflineError = (error) => error?.code === 'SUPABASE_TIMEOUT'
+  || error?.name === 'AbortError'
+  || isTransientError(error);
 
 const callWithRetry = async (fn, retries = 1, delayMs = 300) => {
   let attempt = 0;
@@ -45,22 +61,55 @@ const callWithRetry = async (fn, retries = 1, delayMs = 300) => {
   return fn();
 };
 const POOL_RPC_NAME = 'get_available_orders_pool';
+const NEARBY_POOL_RPC_NAME = 'get_nearby_pool_orders';
 const DISPATCHER_QUEUE_RPC_NAME = 'get_dispatcher_orders_page';
 const DISPATCHER_STATS_RPC_NAME = 'get_dispatcher_stats_summary';
 const ADMIN_QUEUE_RPC_NAME = 'get_admin_orders_page';
 const AVAILABLE_MASTERS_SEARCH_RPC_NAME = 'search_available_masters';
+const ORDER_TIMELINE_RPC_NAME = 'get_order_timeline';
+const ASSIGNMENT_CANDIDATES_RPC_NAME = 'get_master_assignment_candidates';
+const SLA_SYNC_RPC_NAME = 'sync_order_sla_breaches';
+const SLA_COMPLIANCE_RPC_NAME = 'get_sla_compliance';
+const PRICE_REVIEW_QUEUE_RPC_NAME = 'get_price_review_queue';
+const PRICE_REVIEW_DECIDE_RPC_NAME = 'decide_price_review';
 const normalizePoolFilters = (filters = {}) => ({
   urgency: filters?.urgency && filters.urgency !== '' ? filters.urgency : 'all',
   service: filters?.service && filters.service !== '' ? filters.service : 'all',
   area: filters?.area && filters.area !== '' ? filters.area : 'all',
   pricing: filters?.pricing && filters.pricing !== '' ? filters.pricing : 'all',
+  distance: filters?.distance && filters.distance !== '' ? String(filters.distance) : 'all',
 });
-const isMissingRpcFunction = (error, fnName) => {
-  const msg = String(error?.message || '').toLowerCase();
-  return msg.includes('function')
-    && msg.includes(String(fnName || '').toLowerCase())
-    && (msg.includes('does not exist') || msg.includes('not found'));
-};
+// Dispute list columns added by optional patches, with the select lines that go with them;
+// a group is dropped from the select when one of its columns or embeds is missing.
+const DISPUTE_OPTIONAL_COLUMNS = [
+  // PATCH_ORDER_LINE_ITEMS.sql
+  { columns: ['disputed_line_ids'] },
+  { columns: ['line_items'] },
+  // PATCH_JOB_TIME_TRACKING.sql
+  { columns: ['work_segments'] },
+  // PATCH_CLIENT_DIRECTORY.sql
+  { columns: ['directory_client_id'] },
+  // PATCH_DISPUTE_CASES.sql
+  {
+    columns: ['assigned_admin_id', 'assigned_at', 'review_started_at', 'rejected_at', 'outcome'],
+    lines: ['assigned_admin:assigned_admin_id(id, full_name)'],
+  },
+];
+
+const isMissingDisputeGroup = (error, group) => (
+  group.columns.some((column) => isMissingColumn(error, column) || isMissingRelationship(error, column))
+);
+
+// Drop whole "column," lines of a multi-line select string.
+const omitSelectColumns = (select, columns = []) => (columns.length
+  ? select
+    .split('\n')
+    .filter((line) => !columns.includes(line.trim().replace(/,$/, '')))
+    .join('\n')
+  : select);
+
+// orders.work_segments comes with PATCH_JOB_TIME_TRACKING.sql; completion works without it.
+const isMissingWorkSegmentsColumn = (error) => isMissingColumn(error, 'work_segments');
 
 // Order status constants
 export const ORDER_STATUS = {
@@ -155,6 +204,7 @@ const normalizeAvailableMastersOptions = (options = {}) => ({
   limit: Number.isInteger(options.limit) && options.limit > 0 ? options.limit : null,
   offset: Number.isInteger(options.offset) && options.offset >= 0 ? options.offset : 0,
   force: options.force === true,
+  includeUnavailable: options.includeUnavailable === true,
 });
 
 const getAvailableMasterSearchScore = (master, needleLower, needleDigits) => {
@@ -218,7 +268,8 @@ const computeAdminStatusCounts = (orders = []) => {
   return counts;
 };
 
-const computeAdminNeedsAttention = (orders = []) => {
+// Placed/reopened/claimed orders need attention once they breach their SLA rule (src/utils/slaRules.js).
+const computeAdminNeedsAttention = (orders = [], slaRules = DEFAULT_SLA_RULES) => {
   const now = Date.now();
   return filterOutDisputedOrders(orders)
     .filter((o) => {
@@ -226,15 +277,7 @@ const computeAdminNeedsAttention = (orders = []) => {
       if (status === ORDER_STATUS.COMPLETED) return true;
       if (status === ORDER_STATUS.CANCELED_BY_CLIENT) return false;
       if (status === ORDER_STATUS.CANCELED_BY_MASTER) return true;
-      if (status === ORDER_STATUS.PLACED) {
-        const createdAt = new Date(o?.created_at || 0).getTime();
-        return createdAt > 0 && (now - createdAt) > 15 * 60 * 1000;
-      }
-      if (status === ORDER_STATUS.CLAIMED) {
-        const updatedAt = new Date(o?.updated_at || 0).getTime();
-        return updatedAt > 0 && (now - updatedAt) > 30 * 60 * 1000;
-      }
-      return false;
+      return isOrderSlaBreached(o, slaRules, now);
     })
     .sort((a, b) => new Date(b?.created_at || 0).getTime() - new Date(a?.created_at || 0).getTime());
 };
@@ -318,7 +361,7 @@ const computeDispatcherStatusCounts = (orders = []) => {
   return counts;
 };
 
-const computeDispatcherNeedsAttention = (orders = []) => {
+const computeDispatcherNeedsAttention = (orders = [], slaRules = DEFAULT_SLA_RULES) => {
   const now = Date.now();
   return filterOutDisputedOrders(orders)
     .filter((order) => {
@@ -326,15 +369,7 @@ const computeDispatcherNeedsAttention = (orders = []) => {
       if (status === ORDER_STATUS.COMPLETED) return true;
       if (status === ORDER_STATUS.CANCELED_BY_CLIENT) return false;
       if (status === ORDER_STATUS.CANCELED_BY_MASTER) return true;
-      if (status === ORDER_STATUS.PLACED) {
-        const createdAt = new Date(order?.created_at || 0).getTime();
-        return createdAt > 0 && (now - createdAt) > 15 * 60 * 1000;
-      }
-      if (status === ORDER_STATUS.CLAIMED) {
-        const updatedAt = new Date(order?.updated_at || 0).getTime();
-        return updatedAt > 0 && (now - updatedAt) > 30 * 60 * 1000;
-      }
-      return false;
+      return isOrderSlaBreached(order, slaRules, now);
     })
     .sort((a, b) => new Date(b?.created_at || 0).getTime() - new Date(a?.created_at || 0).getTime());
 };
@@ -429,6 +464,9 @@ export const CANCEL_REASONS = {
 class OrdersService {
   adminQueueCache = new Map();
 
+  // Set once get_nearby_pool_orders is known to be missing; distance then filters the loaded page only.
+  nearbyPoolUnavailable = false;
+
   adminQueueInflight = new Map();
 
   adminQueueCacheTtlMs = 8000;
@@ -443,6 +481,14 @@ class OrdersService {
 
   availableMastersInflightTtlMs = Number(process?.env?.EXPO_PUBLIC_AVAILABLE_MASTERS_INFLIGHT_TTL_MS || 15000);
 
+  slaRulesCache = null;
+
+  slaRulesCacheTtlMs = 60000;
+
+  slaSyncIntervalMs = Number(process?.env?.EXPO_PUBLIC_SLA_SYNC_INTERVAL_MS || 60000);
+
+  slaLastSyncAt = 0;
+
   invalidateAdminQueueCache = () => {
     this.adminQueueCache.clear();
     this.adminQueueInflight.clear();
@@ -577,11 +623,18 @@ class OrdersService {
   /**
    * Get available orders (pool view for masters)
    * Uses RPC for one-roundtrip fetch, with automatic fallback to legacy flow.
+   * With filters.origin and a distance filter the page is filtered/sorted by distance in SQL.
    */
   getAvailableOrders = async (page = 1, limit = 10, filters = {}) => {
     const safePage = Number.isInteger(page) && page > 0 ? page : 1;
     const safeLimit = Number.isInteger(limit) && limit > 0 ? limit : 10;
     const safeFilters = normalizePoolFilters(filters);
+    const origin = toCoords(filters?.origin?.latitude, filters?.origin?.longitude);
+
+    if (origin && safeFilters.distance !== 'all' && !this.nearbyPoolUnavailable) {
+      const nearby = await this.getNearbyAvailableOrders(safePage, safeLimit, safeFilters, origin);
+      if (nearby) return nearby;
+    }
 
     try {
       const { data: rpcData, error: rpcError } = await callWithRetry(() => supabase.rpc(POOL_RPC_NAME, {
@@ -599,23 +652,64 @@ class OrdersService {
         } else {
           console.warn(`${LOG_PREFIX} ${POOL_RPC_NAME} failed, using legacy flow:`, rpcError?.message || rpcError);
         }
-        return this.getAvailableOrdersLegacy(safePage, safeLimit, safeFilters);
+        return this.withPoolLocations(await this.getAvailableOrdersLegacy(safePage, safeLimit, safeFilters));
       }
 
       const items = Array.isArray(rpcData?.items) ? rpcData.items : [];
       const count = Number(rpcData?.total_count || 0);
       serviceLog(`${LOG_PREFIX} Found ${items.length} available orders (Total: ${count})`);
-      return { data: items, count };
+      return this.withPoolLocations({ data: items, count });
     } catch (error) {
       console.warn(`${LOG_PREFIX} ${POOL_RPC_NAME} exception, using legacy flow:`, error?.message || error);
-      return this.getAvailableOrdersLegacy(safePage, safeLimit, safeFilters);
+      return this.withPoolLocations(await this.getAvailableOrdersLegacy(safePage, safeLimit, safeFilters));
+    }
+  };
+
+  /**
+   * Pool page by distance from `origin` (get_nearby_pool_orders). Returns null when the
+   * RPC is unavailable, so the caller falls back to the regular pool flow.
+   */
+  getNearbyAvailableOrders = async (page, limit, filters, origin) => {
+    try {
+      const { data, error } = await callWithRetry(() => supabase.rpc(NEARBY_POOL_RPC_NAME, {
+        p_latitude: origin.latitude,
+        p_longitude: origin.longitude,
+        p_max_km: filters.distance === DISTANCE_NEAREST ? null : Number(filters.distance),
+        p_page: page,
+        p_limit: limit,
+        p_urgency: filters.urgency,
+        p_service: filters.service,
+        p_area: filters.area,
+        p_pricing: filters.pricing,
+      }));
+      if (error) {
+        if (isMissingRpcFunction(error, NEARBY_POOL_RPC_NAME)) this.nearbyPoolUnavailable = true;
+        throw error;
+      }
+      if (!data?.success) throw new Error(data?.message || data?.error || 'Nearby pool unavailable');
+      const items = Array.isArray(data.items) ? data.items : [];
+      serviceLog(`${LOG_PREFIX} Found ${items.length} nearby orders (Total: ${data.total_count || 0})`);
+      return { data: items, count: Number(data.total_count || 0) };
+    } catch (error) {
+      console.warn(`${LOG_PREFIX} ${NEARBY_POOL_RPC_NAME} failed, using pool flow:`, error?.message || error);
+      return null;
     }
   };
 
+  /**
+   * Attach approximate coordinates to pool rows for the master distance filter/sort.
+   */
+  withPoolLocations = async (result) => {
+    const data = await locationService.attachPoolLocations(result?.data || []);
+    return { ...result, data };
+  };
+
   /**
    * Get metadata for ALL available orders (for filters/counts)
+   * With { nullOnError } a failed fetch returns null, so callers can tell it from an empty pool.
+   * With { withLocations } rows carry approximate coordinates for the distance filter counts.
    */
-  getAvailableOrdersMeta = async () => {
+  getAvailableOrdersMeta = async ({ nullOnError = false, withLocations = false } = {}) => {
     try {
       const { data, error } = await supabase
         .from('orders')
@@ -629,10 +723,10 @@ class OrdersService {
         .in('status', [ORDER_STATUS.PLACED, ORDER_STATUS.REOPENED]);
 
       if (error) throw error;
-      return data || [];
+      return withLocations ? locationService.attachPoolLocations(data || []) : (data || []);
     } catch (error) {
       console.error(`${LOG_PREFIX} getAvailableOrdersMeta failed:`, error);
-      return [];
+      return nullOnError ? null : [];
     }
   }
 
@@ -715,6 +809,7 @@ class OrdersService {
       }
 
       serviceLog(`${LOG_PREFIX} Order claimed successfully`);
+      void notificationsService.notifyOrderEvent(NOTIFICATION_EVENTS.ORDER_CLAIMED, { id: data.order_id || orderId });
       return {
         success: true,
         message: 'Order claimed!',
@@ -753,18 +848,26 @@ class OrdersService {
 
       return { success: true, message: 'Job started!', order: data };
     } catch (error) {
-      return { success: false, message: error.message };
+      return { success: false, message: error.message, offline: isOfflineError(error) };
     }
   }
 
   /**
    * Complete job (master) - Submit final price and work details
+   * With `lineItems` (labor, materials, extra call-out) the final price is their sum.
+   * `workSegments` are the job timer periods (src/utils/jobTimer.js), stored as evidence.
    */
   completeJob = async (orderId, masterId, completionData) => {
     serviceLog(`${LOG_PREFIX} Completing job: ${orderId}`);
 
     try {
-      const { finalPrice, workPerformed, hoursWorked, priceChangeReason } = completionData;
+      const { workPerformed, hoursWorked, priceChangeReason } = completionData;
+      const lineItems = normalizeLineItems(completionData?.lineItems);
+      const lineTotal = sumLineItems(lineItems);
+      if (lineItems.length && completionData?.finalPrice && Math.abs(completionData.finalPrice - lineTotal) >= 0.01) {
+        throw new Error('Line items must add up to the final price');
+      }
+      const finalPrice = lineItems.length ? lineTotal : completionData?.finalPrice;
 
       if (!finalPrice || finalPrice <= 0) {
         throw new Error('Final price is required');
@@ -783,28 +886,45 @@ class OrdersService {
         throw new Error('Final price cannot be lower than call-out fee');
       }
 
-      const { data, error } = await callWithRetry(() => supabase
+      const updatePayload = {
+        status: ORDER_STATUS.COMPLETED,
+        completed_at: new Date().toISOString(),
+        final_price: finalPrice,
+        work_performed: workPerformed,
+        hours_worked: hoursWorked,
+        price_change_reason: priceChangeReason || null
+      };
+      if (lineItems.length) {
+        updatePayload.line_items = lineItems;
+      }
+      const workSegments = normalizeWorkSegments(completionData?.workSegments);
+      if (workSegments.length) {
+        updatePayload.work_segments = workSegments;
+      }
+
+      const submitCompletion = (payload) => callWithRetry(() => supabase
         .from('orders')
-        .update({
-          status: ORDER_STATUS.COMPLETED,
-          completed_at: new Date().toISOString(),
-          final_price: finalPrice,
-          work_performed: workPerformed,
-          hours_worked: hoursWorked,
-          price_change_reason: priceChangeReason || null
-        })
+        .update(payload)
         .eq('id', orderId)
         .eq('master_id', masterId)
         .eq('status', ORDER_STATUS.STARTED)
         .select()
         .single());
 
+      let { data, error } = await submitCompletion(updatePayload);
+      if (error && updatePayload.work_segments && isMissingWorkSegmentsColumn(error)) {
+        const withoutSegments = { ...updatePayload };
+        delete withoutSegments.work_segments;
+        ({ data, error } = await submitCompletion(withoutSegments));
+      }
+
       if (error) throw error;
 
       // Check price deviation
       const deviation = await this.checkPriceDeviation(orderId);
 
       serviceLog(`${LOG_PREFIX} Job completed. Deviation check:`, deviation);
+      void notificationsService.notifyOrderEvent(NOTIFICATION_EVENTS.ORDER_COMPLETED, data);
 
       return {
         success: true,
@@ -814,7 +934,7 @@ class OrdersService {
       };
     } catch (error) {
       console.error(`${LOG_PREFIX} completeJob failed:`, error);
-      return { success: false, message: error.message };
+      return { success: false, message: error.message, offline: isOfflineError(error) };
     }
   }
 
@@ -848,10 +968,11 @@ class OrdersService {
       }
 
       serviceLog(`${LOG_PREFIX} Job refused successfully`);
+      void notificationsService.notifyOrderEvent(NOTIFICATION_EVENTS.ORDER_REFUSED, { id: orderId }, { reason });
       return { success: true, message: 'Job canceled. Dispatcher notified.' };
     } catch (error) {
       console.error(`${LOG_PREFIX} refuseJob failed:`, error);
-      return { success: false, message: error.message };
+      return { success: false, message: error.message, offline: isOfflineError(error) };
     }
   }
 
@@ -1629,6 +1750,10 @@ class OrdersService {
         throw new Error('Initial price cannot be lower than call-out fee');
       }
 
+      const orderCoords = orderData.location
+        ? toCoords(orderData.location.latitude, orderData.location.longitude)
+        : null;
+
       const insertPayload = {
         client_id: existingClientId, // null if no registered client found
         client_name: clientName,
@@ -1645,6 +1770,8 @@ class OrdersService {
         area: orderData.area,
         full_address: orderData.fullAddress,
         orientir: orderData.orientir || null,
+        latitude: orderCoords?.latitude ?? null,
+        longitude: orderCoords?.longitude ?? null,
         preferred_date: orderData.preferredDate || null,
         preferred_time: orderData.preferredTime || null,
         dispatcher_note: orderData.dispatcherNote || null,
@@ -1652,21 +1779,31 @@ class OrdersService {
 
       serviceLog(`${LOG_PREFIX} Insert payload:`, JSON.stringify(insertPayload, null, 2));
 
-      const { data, error } = await supabase
+      const insertOrder = (payload) => supabase
         .from('orders')
-        .insert(insertPayload)
+        .insert(payload)
         .select(`
           *,
           client:client_id(full_name, phone)
         `)
         .single();
 
+      let { data, error } = await insertOrder(insertPayload);
+      // orders.latitude/longitude come with PATCH_ORDER_GEOLOCATION.sql; orders are created without them.
+      if (error && (isMissingColumn(error, 'latitude') || isMissingColumn(error, 'longitude'))) {
+        const withoutCoords = { ...insertPayload };
+        delete withoutCoords.latitude;
+        delete withoutCoords.longitude;
+        ({ data, error } = await insertOrder(withoutCoords));
+      }
+
       if (error) {
         console.error(`${LOG_PREFIX} createOrderExtended error:`, error);
         throw error;
       }
 
       serviceLog(`${LOG_PREFIX} Order created successfully:`, data.id);
+      void notificationsService.notifyOrderEvent(NOTIFICATION_EVENTS.ORDER_CREATED, data);
       return { success: true, orderId: data.id, order: data };
     } catch (error) {
       console.error(`${LOG_PREFIX} createOrderExtended failed:`, error);
@@ -1676,6 +1813,10 @@ class OrdersService {
 
   /**
  * Get available masters for assignment (uses RPC function)
+ * Off-duty, on-vacation and out-of-hours masters are dropped unless `includeUnavailable`
+ * is set; kept rows carry `availability` (see services/availability.js). Unavailable
+ * masters are dropped before limit/offset: by search_available_masters for searches,
+ * here for the full list and the local search fallback.
  */
   getAvailableMasters = async (options = {}) => {
     const opts = normalizeAvailableMastersOptions(options);
@@ -1683,6 +1824,7 @@ class OrdersService {
       search: opts.search,
       limit: opts.limit,
       offset: opts.offset,
+      includeUnavailable: opts.includeUnavailable,
     });
     const now = Date.now();
 
@@ -1711,15 +1853,20 @@ class OrdersService {
             p_search: opts.search,
             p_limit: searchLimit,
             p_offset: opts.offset || 0,
+            p_include_unavailable: opts.includeUnavailable,
           }));
 
           if (!searchError) {
-            payload = Array.isArray(searchData) ? searchData : [];
+            // Already filtered by the RPC; only add the availability details.
+            payload = await availabilityService.applyAvailability(
+              Array.isArray(searchData) ? searchData : [],
+              { includeUnavailable: true },
+            );
           } else {
             if (!isMissingRpcFunction(searchError, AVAILABLE_MASTERS_SEARCH_RPC_NAME)) {
               console.warn(`${LOG_PREFIX} ${AVAILABLE_MASTERS_SEARCH_RPC_NAME} failed, using local fallback:`, searchError?.message || searchError);
             }
-            const baseList = await this.getAvailableMasters({ force: opts.force });
+            const baseList = await this.getAvailableMasters({ force: opts.force, includeUnavailable: opts.includeUnavailable });
             payload = filterAvailableMastersLocally(baseList, opts.search);
             if (opts.limit !== null) {
               payload = payload.slice(opts.offset, opts.offset + opts.limit);
@@ -1733,7 +1880,10 @@ class OrdersService {
             console.error(`${LOG_PREFIX} getAvailableMasters RPC error:`, error);
             throw error;
           }
-          payload = Array.isArray(data) ? data : [];
+          payload = await availabilityService.applyAvailability(
+            Array.isArray(data) ? data : [],
+            { includeUnavailable: opts.includeUnavailable },
+          );
           if (opts.limit !== null) {
             payload = payload.slice(opts.offset, opts.offset + opts.limit);
           } else if (opts.offset > 0) {
@@ -1758,6 +1908,32 @@ class OrdersService {
     return task;
   }
 
+  /**
+   * Masters ranked for one order (specialization, area, workload, rating, refusals).
+   * Candidates come from get_master_assignment_candidates; without the patch the
+   * plain available-masters list is ranked with whatever fields it carries.
+   */
+  getMasterRecommendations = async (order) => {
+    try {
+      const { data, error } = await callWithRetry(() => supabase.rpc(ASSIGNMENT_CANDIDATES_RPC_NAME));
+      if (!error) {
+        if (!data?.success) {
+          console.warn(`${LOG_PREFIX} ${ASSIGNMENT_CANDIDATES_RPC_NAME} rejected:`, data?.message || data?.error);
+          return [];
+        }
+        return rankMastersForOrder(data.items, order);
+      }
+      if (!isMissingRpcFunction(error, ASSIGNMENT_CANDIDATES_RPC_NAME)) {
+        console.warn(`${LOG_PREFIX} ${ASSIGNMENT_CANDIDATES_RPC_NAME} failed, using available masters:`, error?.message || error);
+      }
+      const masters = await this.getAvailableMasters({ includeUnavailable: true });
+      return rankMastersForOrder(masters, order);
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getMasterRecommendations failed:`, error);
+      return [];
+    }
+  }
+
   /**
    * Force assign master to order (dispatcher/admin only)
    */
@@ -1777,7 +1953,9 @@ class OrdersService {
       }
 
       if (!data || !data.success) {
-        const errorCode = data?.error || 'UNKNOWN';
+        const errorCode = String(data?.message || '').toLowerCase().includes('master is not available')
+          ? 'MASTER_UNAVAILABLE'
+          : data?.error || 'UNKNOWN';
         console.warn(`${LOG_PREFIX} forceAssignMaster failed:`, data?.message || errorCode);
         return { success: false, message: data?.message, error: errorCode };
       }
@@ -1793,6 +1971,7 @@ class OrdersService {
       if (normalized.includes('unauthorized')) errorCode = 'UNAUTHORIZED';
       if (normalized.includes('order not found')) errorCode = 'ORDER_NOT_FOUND';
       if (normalized.includes('master not found')) errorCode = 'MASTER_NOT_FOUND';
+      if (normalized.includes('master is not available')) errorCode = 'MASTER_UNAVAILABLE';
       return { success: false, message: error?.message, error: errorCode };
     }
   }
@@ -1877,6 +2056,8 @@ class OrdersService {
   /**
    * Resolve disputed completed order (admin only):
    * - sets final amount (if provided)
+   * - applies per-line amounts (`lineAdjustments`: { [lineId]: amount }); without a final amount
+   *   the new final price is the adjusted line total
    * - clears order dispute flags
    * - returns order to completed status (back to payment queue)
    * - closes active disputes for this order
@@ -1934,8 +2115,32 @@ class OrdersService {
         requires_review: false,
         updated_at: nowIso,
       };
+      const currentLines = normalizeLineItems(currentOrder?.line_items);
+      const lineAdjustments = normalizedPayload?.lineAdjustments && typeof normalizedPayload.lineAdjustments === 'object'
+        ? normalizedPayload.lineAdjustments
+        : null;
+      const adjustedLines = lineAdjustments && currentLines.length
+        ? applyLineAdjustments(currentLines, lineAdjustments)
+        : null;
+      const adjustmentNotes = adjustedLines
+        ? currentLines
+          .filter((line) => !adjustedLines.some((next) => next.id === line.id && next.amount === line.amount))
+          .map((line) => {
+            const next = adjustedLines.find((item) => item.id === line.id);
+            return `${line.description || line.kind}: ${line.amount} -> ${next ? next.amount : 0}`;
+          })
+        : [];
+      if (adjustmentNotes.length) {
+        updatePayload.line_items = adjustedLines;
+      }
       if (hasFinalAmount) {
         updatePayload.final_price = parsedFinalAmount;
+      } else if (adjustmentNotes.length) {
+        const adjustedTotal = sumLineItems(adjustedLines);
+        if (!(adjustedTotal > 0)) {
+          return { success: false, message: 'Invalid final amount' };
+        }
+        updatePayload.final_price = adjustedTotal;
       }
 
       const { data: orderData, error: orderError } = await supabase
@@ -1951,9 +2156,12 @@ class OrdersService {
       }
 
       const resolutionNotes = String(normalizedPayload?.resolutionNotes || '').trim();
-      const fallbackResolution = hasFinalAmount
-        ? `Resolved in payment confirmation. final_amount=${parsedFinalAmount}`
-        : 'Resolved in payment confirmation.';
+      const fallbackResolution = [
+        hasFinalAmount
+          ? `Resolved in payment confirmation. final_amount=${parsedFinalAmount}`
+          : 'Resolved in payment confirmation.',
+        adjustmentNotes.length ? `Adjusted lines: ${adjustmentNotes.join('; ')}` : null,
+      ].filter(Boolean).join(' ');
       const { error: disputeError } = await supabase
         .from('disputes')
         .update({
@@ -2004,6 +2212,139 @@ class OrdersService {
     }
   }
 
+  /**
+   * Admin price review queue: completed/confirmed orders whose final price deviates
+   * beyond price_deviation_threshold (or flagged requires_review) without a decision yet.
+   * Returns { items, total, threshold, recent } where recent lists the latest decisions.
+   */
+  getPriceReviewQueueAdmin = async ({ limit = 50, offset = 0 } = {}) => {
+    try {
+      const { data, error } = await supabase.rpc(PRICE_REVIEW_QUEUE_RPC_NAME, {
+        p_limit: limit,
+        p_offset: offset,
+      });
+      if (!error) {
+        if (!data?.success) {
+          return { success: false, items: [], total: 0, recent: [], message: data?.message || data?.error || 'Review queue failed' };
+        }
+        return {
+          success: true,
+          items: Array.isArray(data.items) ? data.items : [],
+          total: Number(data.total) || 0,
+          threshold: Number(data.threshold) || null,
+          recent: Array.isArray(data.recent) ? data.recent : [],
+        };
+      }
+      if (!isMissingRpcFunction(error, PRICE_REVIEW_QUEUE_RPC_NAME)) throw error;
+
+      // Patch not applied yet: flagged orders only, no decision history.
+      const { data: rows, error: readError, count } = await supabase
+        .from('orders')
+        .select(`
+          id, status, service_type, area, urgency, pricing_type, initial_price, callout_fee, final_price,
+          price_change_reason, work_performed, line_items, requires_review, completed_at,
+          master:master_id(id, full_name, phone)
+        `, { count: 'exact' })
+        .in('status', [ORDER_STATUS.COMPLETED, ORDER_STATUS.CONFIRMED])
+        .eq('requires_review', true)
+        .eq('is_disputed', false)
+        .order('completed_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+      if (readError) throw readError;
+      return {
+        success: true,
+        items: (rows || []).map((row) => ({ ...row, deviation: getPriceDeviation(row) })),
+        total: count ?? (rows || []).length,
+        threshold: null,
+        recent: [],
+      };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getPriceReviewQueueAdmin failed:`, error);
+      return { success: false, items: [], total: 0, recent: [], message: error.message };
+    }
+  }
+
+  /**
+   * Record an admin decision on a price review: approve keeps the master's price,
+   * reject resets it to the initial price, adjust sets `finalPrice`.
+   */
+  decidePriceReviewAdmin = async (order, { decision, finalPrice = null, notes = '' } = {}) => {
+    serviceLog(`${LOG_PREFIX} Admin price review for order: ${order?.id}`, decision);
+
+    try {
+      if (!order?.id) {
+        return { success: false, message: 'Order is required' };
+      }
+      if (!Object.values(PRICE_REVIEW_DECISIONS).includes(decision)) {
+        return { success: false, message: 'Unknown review decision' };
+      }
+      const { price, error: priceError } = resolveReviewPrice(order, decision, finalPrice);
+      if (priceError === 'below_callout') {
+        return { success: false, message: 'Final price cannot be lower than call-out fee' };
+      }
+      if (priceError) {
+        return { success: false, message: 'Invalid final price' };
+      }
+
+      const { data, error } = await supabase.rpc(PRICE_REVIEW_DECIDE_RPC_NAME, {
+        p_order_id: order.id,
+        p_decision: decision,
+        p_final_price: decision === PRICE_REVIEW_DECISIONS.ADJUST ? price : null,
+        p_notes: String(notes || '').trim() || null,
+      });
+      if (error) {
+        if (!isMissingRpcFunction(error, PRICE_REVIEW_DECIDE_RPC_NAME)) throw error;
+        return await this.decidePriceReviewLegacy(order, decision, price);
+      }
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Review decision failed' };
+      }
+
+      this.invalidateAdminQueueCache();
+      return { success: true, decision: data.decision, finalPrice: data.final_price ?? price };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} decidePriceReviewAdmin failed:`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Patch not applied yet: apply the price and clear requires_review directly, matching the
+   * fallback queue. Confirmed orders go through admin_override_final_price; no decision history.
+   */
+  decidePriceReviewLegacy = async (order, decision, price) => {
+    const { data: current, error: readError } = await supabase
+      .from('orders')
+      .select('id, status, final_price, is_disputed')
+      .eq('id', order.id)
+      .single();
+    if (readError) throw readError;
+    if (![ORDER_STATUS.COMPLETED, ORDER_STATUS.CONFIRMED].includes(current.status)) {
+      return { success: false, message: 'Only completed orders can be reviewed' };
+    }
+    if (current.is_disputed) {
+      return { success: false, message: 'Resolve the dispute first' };
+    }
+
+    const updates = { requires_review: false };
+    if (Number(current.final_price) !== price) {
+      if (current.status === ORDER_STATUS.CONFIRMED) {
+        const override = await this.overrideFinalPriceAdmin(order.id, price, `price_review_${decision}`);
+        if (!override.success) return override;
+      } else {
+        updates.final_price = price;
+      }
+    }
+    const { error: updateError } = await supabase
+      .from('orders')
+      .update(updates)
+      .eq('id', order.id);
+    if (updateError) throw updateError;
+
+    this.invalidateAdminQueueCache();
+    return { success: true, decision, finalPrice: price };
+  }
+
   // NOTE: updateOrderInline is defined earlier in the file (around line 531)
   // with proper fee handling and debug logging
 
@@ -2133,6 +2474,7 @@ class OrdersService {
       }
 
       perfLog(`[OrdersService][PERF] dispatcher_queue_done`, { ms: Date.now() - perfStart, rows: items.length, totalCount });
+      this.syncSlaBreaches();
       return { data: items, count: totalCount, statusCounts, attentionItems, attentionCount, source: 'rpc' };
     } catch (rpcFallbackError) {
       try {
@@ -2141,7 +2483,8 @@ class OrdersService {
         const filtered = filterDispatcherOrdersLocally(queueScopeOrders, opts);
         const offset = (opts.page - 1) * opts.limit;
         const paged = filtered.slice(offset, offset + opts.limit);
-        const attentionItems = computeDispatcherNeedsAttention(queueScopeOrders).slice(0, 20);
+        const slaRules = await this.getSlaRules();
+        const attentionItems = computeDispatcherNeedsAttention(queueScopeOrders, slaRules).slice(0, 20);
         const statusCounts = computeDispatcherStatusCounts(queueScopeOrders);
         perfLog(`[OrdersService][PERF] dispatcher_queue_done`, {
           ms: Date.now() - perfStart,
@@ -2274,6 +2617,7 @@ class OrdersService {
           source: payload.source,
         });
         this.adminQueueCache.set(cacheKey, { ts: Date.now(), payload });
+        this.syncSlaBreaches();
         return payload;
       } catch (rpcFallbackError) {
         try {
@@ -2304,7 +2648,8 @@ class OrdersService {
 
           const offset = (opts.page - 1) * opts.limit;
           const paged = filtered.slice(offset, offset + opts.limit);
-          const attentionItems = computeAdminNeedsAttention(queueScopeOrders).slice(0, 30);
+          const slaRules = await this.getSlaRules();
+          const attentionItems = computeAdminNeedsAttention(queueScopeOrders, slaRules).slice(0, 30);
           const payload = {
             data: paged,
             count: filtered.length,
@@ -2596,6 +2941,77 @@ class OrdersService {
     }
   }
 
+  /**
+   * Order history from order_audit_log (status transitions, reassignments, transfers, repricing).
+   * Uses get_order_timeline so every role sees actor names; falls back to a direct read
+   * where the RPC patch is not applied yet.
+   */
+  getOrderTimeline = async (orderId) => {
+    if (!orderId) return [];
+    try {
+      const { data, error } = await callWithRetry(() => supabase.rpc(ORDER_TIMELINE_RPC_NAME, { p_order_id: orderId }));
+      if (!error) {
+        if (!data?.success) {
+          console.warn(`${LOG_PREFIX} ${ORDER_TIMELINE_RPC_NAME} rejected:`, data?.message || data?.error);
+          return [];
+        }
+        return buildOrderTimeline(data.events);
+      }
+      if (!isMissingRpcFunction(error, ORDER_TIMELINE_RPC_NAME)) {
+        console.warn(`${LOG_PREFIX} ${ORDER_TIMELINE_RPC_NAME} failed, using direct read:`, error?.message || error);
+      }
+
+      const { data: rows, error: readError } = await callWithRetry(() => supabase
+        .from('order_audit_log')
+        .select('*, actor:performed_by(full_name, role)')
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: true }));
+      if (readError) throw readError;
+      return buildOrderTimeline(rows);
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getOrderTimeline failed:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Orders with a preferred slot in [fromDate, toDate) for the agenda views.
+   * Scoped to a dispatcher's own/assigned orders when dispatcherId is given, or to a
+   * master's jobs when masterId is given.
+   */
+  getScheduledOrders = async ({ fromDate, toDate, dispatcherId = null, masterId = null, statuses = AGENDA_STATUSES } = {}) => {
+    try {
+      const buildQuery = () => {
+        let query = supabase
+          .from('orders')
+          .select(`
+            *,
+            client:client_id(id, full_name, phone),
+            master:master_id(id, full_name, phone)
+          `)
+          .not('preferred_date', 'is', null)
+          .in('status', statuses)
+          .gte('preferred_date', toDateKey(fromDate))
+          .lt('preferred_date', toDateKey(toDate))
+          .order('preferred_date', { ascending: true })
+          .order('preferred_time', { ascending: true, nullsFirst: false });
+        if (dispatcherId) {
+          query = query.or(`assigned_dispatcher_id.eq.${dispatcherId},dispatcher_id.eq.${dispatcherId}`);
+        }
+        if (masterId) {
+          query = query.eq('master_id', masterId);
+        }
+        return query;
+      };
+      const { data, error } = await callWithRetry(buildQuery);
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getScheduledOrders failed:`, error);
+      return [];
+    }
+  }
+
   /**
    * Get single order by id (lightweight read-confirm helper)
    */
@@ -2742,6 +3158,10 @@ class OrdersService {
       if (!order?.id) {
         return { success: false, message: 'Order not found' };
       }
+      const orderLineIds = normalizeLineItems(order.line_items).map((line) => line.id);
+      const disputedLineIds = (Array.isArray(disputeData?.disputedLineIds) ? disputeData.disputedLineIds : [])
+        .map(String)
+        .filter((id, idx, list) => orderLineIds.includes(id) && list.indexOf(id) === idx);
       if (order.status !== ORDER_STATUS.COMPLETED) {
         return { success: false, message: 'Only completed orders can be reported' };
       }
@@ -2788,7 +3208,20 @@ class OrdersService {
       const rpcName = 'report_payment_dispute';
       const { data: rpcData, error: rpcError } = await supabase.rpc(rpcName, rpcPayload);
       if (!rpcError) {
+        if (rpcData?.success !== false && disputedLineIds.length) {
+          const { error: linesError } = await supabase
+            .from('disputes')
+            .update({ disputed_line_ids: disputedLineIds })
+            .eq('order_id', order.id)
+            .in('status', ['open', 'in_review']);
+          if (linesError) {
+            console.warn(`${LOG_PREFIX} reportPaymentDispute could not store disputed lines:`, linesError?.message || linesError);
+          }
+        }
         this.invalidateAdminQueueCache();
+        if (rpcData?.success !== false) {
+          void notificationsService.notifyOrderEvent(NOTIFICATION_EVENTS.PAYMENT_DISPUTED, order, { disputeType });
+        }
         if (rpcData && typeof rpcData === 'object' && Object.prototype.hasOwnProperty.call(rpcData, 'success')) {
           return rpcData;
         }
@@ -2808,6 +3241,7 @@ class OrdersService {
         masterFinalAmount !== null ? `master_final_amount=${masterFinalAmount}` : null,
         hoursWorked !== null ? `hours_worked=${hoursWorked}` : null,
         workPerformed ? `work_performed=${workPerformed}` : null,
+        disputedLineIds.length ? `disputed_lines=${disputedLineIds.join(',')}` : null,
         `reported_by=${reporterId}`,
         reporterRole ? `reporter_role=${reporterRole}` : null,
       ].filter(Boolean);
@@ -2821,11 +3255,21 @@ class OrdersService {
         reason,
         client_notes: metadataBits.length ? metadataBits.join('; ') : null,
       };
-      const { data: dispute, error: insertError } = await supabase
+      if (disputedLineIds.length) {
+        insertPayload.disputed_line_ids = disputedLineIds;
+      }
+      const insertDispute = (payload) => supabase
         .from('disputes')
-        .insert(insertPayload)
+        .insert(payload)
         .select()
         .single();
+      let { data: dispute, error: insertError } = await insertDispute(insertPayload);
+      // Without disputes.disputed_line_ids the lines are still recorded in client_notes.
+      if (insertError && insertPayload.disputed_line_ids && isMissingColumn(insertError, 'disputed_line_ids')) {
+        const withoutLines = { ...insertPayload };
+        delete withoutLines.disputed_line_ids;
+        ({ data: dispute, error: insertError } = await insertDispute(withoutLines));
+      }
       if (insertError) throw insertError;
 
       const { error: orderUpdateError } = await supabase
@@ -2838,6 +3282,7 @@ class OrdersService {
       if (orderUpdateError) throw orderUpdateError;
 
       this.invalidateAdminQueueCache();
+      void notificationsService.notifyOrderEvent(NOTIFICATION_EVENTS.PAYMENT_DISPUTED, order, { disputeType });
       return { success: true, dispute };
     } catch (error) {
       console.error(`${LOG_PREFIX} reportPaymentDispute failed:`, error);
@@ -2851,16 +3296,20 @@ class OrdersService {
   getDisputesAdmin = async ({ status = 'all', limit = 200 } = {}) => {
     try {
       const safeLimit = Math.max(1, Math.min(500, Number(limit) || 200));
-      let query = supabase
-        .from('disputes')
-        .select(`
+      const select = `
           id,
           order_id,
           dispute_type,
           reason,
           client_notes,
+          disputed_line_ids,
           status,
           resolution_notes,
+          assigned_admin_id,
+          assigned_at,
+          review_started_at,
+          rejected_at,
+          outcome,
           created_at,
           updated_at,
           resolved_at,
@@ -2870,8 +3319,13 @@ class OrdersService {
             is_disputed,
             final_price,
             initial_price,
+            callout_fee,
+            master_id,
+            directory_client_id,
             work_performed,
             hours_worked,
+            line_items,
+            work_segments,
             full_address,
             service_type,
             created_at
@@ -2879,16 +3333,31 @@ class OrdersService {
           master:master_id(id, full_name, phone),
           dispatcher:dispatcher_id(id, full_name, phone),
           client:client_id(id, full_name, phone),
+          assigned_admin:assigned_admin_id(id, full_name),
           resolved_by_profile:resolved_by(id, full_name)
-        `)
-        .order('created_at', { ascending: false })
-        .limit(safeLimit);
+        `;
+      const omitted = [];
+      const fetchDisputes = () => {
+        let query = supabase
+          .from('disputes')
+          .select(omitSelectColumns(select, omitted))
+          .order('created_at', { ascending: false })
+          .limit(safeLimit);
+        if (status && status !== 'all') {
+          query = query.eq('status', status);
+        }
+        return query;
+      };
 
-      if (status && status !== 'all') {
-        query = query.eq('status', status);
+      let { data, error } = await fetchDisputes();
+      const dropped = new Set();
+      while (error) {
+        const missing = DISPUTE_OPTIONAL_COLUMNS.find((group) => !dropped.has(group) && isMissingDisputeGroup(error, group));
+        if (!missing) break;
+        dropped.add(missing);
+        omitted.push(...missing.columns, ...(missing.lines || []));
+        ({ data, error } = await fetchDisputes());
       }
-
-      const { data, error } = await query;
       if (error) throw error;
       return data || [];
     } catch (error) {
@@ -3096,7 +3565,9 @@ class OrdersService {
         max_pending_confirmation: data.default_max_pending_confirmation || 5,
         price_deviation_threshold: Math.round((data.price_deviation_threshold || 0.25) * 100),
         commission_exempt_base_fee: data.commission_exempt_base_fee || false,
-        ...data // Include all raw fields too
+        ...data, // Include all raw fields too
+        sla_rules: normalizeSlaRules(data.sla_rules, { claimTimeoutMinutes: data.claim_timeout_minutes }),
+        sla_rules_raw: data.sla_rules || {},
       };
     } catch (error) {
       console.error(`${LOG_PREFIX} getPlatformSettings failed:`, error);
@@ -3109,6 +3580,91 @@ class OrdersService {
     }
   }
 
+  /**
+   * SLA rules for "needs attention" checks (platform_settings.sla_rules, see src/utils/slaRules.js).
+   * Cached for a minute; falls back to the defaults when settings cannot be read.
+   */
+  getSlaRules = async () => {
+    const now = Date.now();
+    if (this.slaRulesCache && (now - this.slaRulesCache.ts) < this.slaRulesCacheTtlMs) {
+      return this.slaRulesCache.rules;
+    }
+    try {
+      const { data, error } = await supabase
+        .from('platform_settings')
+        .select('sla_rules, claim_timeout_minutes')
+        .eq('id', 1)
+        .single();
+      if (error) throw error;
+      const rules = normalizeSlaRules(data?.sla_rules, { claimTimeoutMinutes: data?.claim_timeout_minutes });
+      this.slaRulesCache = { ts: now, rules };
+      return rules;
+    } catch (error) {
+      console.warn(`${LOG_PREFIX} getSlaRules failed, using defaults:`, error?.message || error);
+      return normalizeSlaRules(DEFAULT_SLA_RULES);
+    }
+  }
+
+  /**
+   * Record SLA breaches and escalate overdue orders (sync_order_sla_breaches RPC).
+   * Fire-and-forget from queue loads, throttled to slaSyncIntervalMs.
+   */
+  syncSlaBreaches = async ({ force = false } = {}) => {
+    const now = Date.now();
+    if (!force && (now - this.slaLastSyncAt) < this.slaSyncIntervalMs) {
+      return { success: true, skipped: true };
+    }
+    this.slaLastSyncAt = now;
+    try {
+      const { data, error } = await supabase.rpc(SLA_SYNC_RPC_NAME);
+      if (error) {
+        if (!isMissingRpcFunction(error, SLA_SYNC_RPC_NAME)) {
+          console.warn(`${LOG_PREFIX} ${SLA_SYNC_RPC_NAME} failed:`, error?.message || error);
+        }
+        return { success: false, message: error?.message };
+      }
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error };
+      }
+      serviceLog(`${LOG_PREFIX} SLA sync`, data);
+      return data;
+    } catch (error) {
+      console.warn(`${LOG_PREFIX} syncSlaBreaches failed:`, error?.message || error);
+      return { success: false, message: error?.message };
+    }
+  }
+
+  /**
+   * SLA compliance for orders created in the period, overall and per dispatcher / district.
+   * Returns null when the report is unavailable (patch not applied or not an admin).
+   */
+  getSlaCompliance = async ({ from = null, to = null } = {}) => {
+    try {
+      const { data, error } = await supabase.rpc(SLA_COMPLIANCE_RPC_NAME, {
+        p_from: from ? new Date(from).toISOString() : null,
+        p_to: to ? new Date(to).toISOString() : null,
+      });
+      if (error) {
+        if (!isMissingRpcFunction(error, SLA_COMPLIANCE_RPC_NAME)) {
+          console.error(`${LOG_PREFIX} getSlaCompliance failed:`, error);
+        }
+        return null;
+      }
+      if (!data?.success) {
+        console.warn(`${LOG_PREFIX} ${SLA_COMPLIANCE_RPC_NAME} rejected:`, data?.message || data?.error);
+        return null;
+      }
+      return {
+        overall: data.overall || { total: 0, breached: 0, escalated: 0 },
+        byDispatcher: Array.isArray(data.by_dispatcher) ? data.by_dispatcher : [],
+        byDistrict: Array.isArray(data.by_district) ? data.by_district : [],
+      };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getSlaCompliance failed:`, error);
+      return null;
+    }
+  }
+
   // ============================================
   // ADMIN-ONLY FUNCTIONS (Missing DB Wrappers)
   // ============================================
@@ -3338,6 +3894,7 @@ class OrdersService {
 
       if (error) throw error;
 
+      this.slaRulesCache = null;
       serviceLog(`${LOG_PREFIX} Settings updated successfully`);
       return { success: true, message: 'Settings updated', settings: data };
     } catch (error) {
@@ -1,4 +1,10 @@
 import { supabase } from '../lib/supabase';
+import { exportTextFile } from '../utils/fileExport';
+import {
+  normalizePayoutFileTemplate,
+  payoutBatchToCsv,
+  payoutBatchToFixedWidth,
+} from '../utils/payoutBatches';
 
 const LOG_PREFIX = '[PartnerFinanceService]';
 
@@ -121,6 +127,25 @@ class PartnerFinanceService {
     }
   }
 
+  async getPartnerReferredOrders(partnerId, { since = null, limit = 500 } = {}) {
+    if (!partnerId) return [];
+    try {
+      let query = supabase
+        .from('orders')
+        .select('id, status, service_type, master_id, initial_price, final_price, created_at, confirmed_at')
+        .eq('dispatcher_id', partnerId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (since) query = query.gte('created_at', since);
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getPartnerReferredOrders failed`, error);
+      return [];
+    }
+  }
+
   async createPayoutRequest(amount, note = null) {
     try {
       const { data, error } = await supabase.rpc('create_partner_payout_request', {
@@ -189,6 +214,124 @@ class PartnerFinanceService {
     }
   }
 
+  /**
+   * Pays many requests at once (admin_process_partner_payout_batch RPC); `items` come from
+   * utils/payoutBatches validatePayoutBatch. All or nothing.
+   * Returns { success, batch: { id, reference, created_at, request_count, total_amount } }.
+   */
+  async processPayoutBatch(items, reference, adminNote = null) {
+    try {
+      const { data, error } = await supabase.rpc('admin_process_partner_payout_batch', {
+        p_items: items,
+        p_reference: reference,
+        p_admin_note: adminNote,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Failed to process payout batch' };
+      }
+      return {
+        success: true,
+        batch: {
+          id: data.batch_id,
+          reference: data.reference,
+          created_at: data.created_at,
+          request_count: data.request_count,
+          total_amount: data.total_amount,
+        },
+      };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} processPayoutBatch failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  async getPayoutBatches(limit = 50) {
+    try {
+      const { data, error } = await supabase
+        .from('partner_payout_batches')
+        .select(`
+          id,
+          reference,
+          status,
+          total_amount,
+          request_count,
+          admin_note,
+          created_at,
+          reversed_at,
+          reversal_reason,
+          items:partner_payout_batch_items(
+            request_id,
+            partner_id,
+            amount,
+            partner:partner_id(full_name, phone, email)
+          )
+        `)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getPayoutBatches failed`, error);
+      return [];
+    }
+  }
+
+  /**
+   * The bank rejected the transfer: credits the partners back and rejects the requests.
+   */
+  async reversePayoutBatch(batchId, reason) {
+    try {
+      const { data, error } = await supabase.rpc('admin_reverse_partner_payout_batch', {
+        p_batch_id: batchId,
+        p_reason: reason,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Failed to reverse payout batch' };
+      }
+      return { success: true, message: data.message || 'Payout batch reversed' };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} reversePayoutBatch failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Fixed-width layout from platform_settings.payout_bank_template, default when unset.
+   */
+  async getPayoutBankTemplate() {
+    try {
+      const { data, error } = await supabase
+        .from('platform_settings')
+        .select('payout_bank_template')
+        .eq('id', 1)
+        .single();
+      if (error) throw error;
+      return normalizePayoutFileTemplate(data?.payout_bank_template);
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getPayoutBankTemplate failed`, error);
+      return normalizePayoutFileTemplate(null);
+    }
+  }
+
+  /**
+   * Bank file of a batch: format 'csv' or 'fixed' (fixed-width laid out by `template`).
+   */
+  async exportPayoutBatchFile(batch, format, template = null) {
+    try {
+      if (format === 'csv') {
+        await exportTextFile(payoutBatchToCsv(batch), `${batch.reference}.csv`);
+      } else {
+        await exportTextFile(payoutBatchToFixedWidth(batch, template), `${batch.reference}.txt`, 'text/plain', 'public.plain-text');
+      }
+      return { success: true };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} exportPayoutBatchFile failed`, error);
+      return { success: false, message: error.message, error: error.code || null };
+    }
+  }
+
   async setPartnerCommissionRate(partnerId, percentValue) {
     try {
       const rate = toNumber(percentValue) / 100;
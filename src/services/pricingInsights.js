@@ -0,0 +1,100 @@
+/**
+ * Pricing Insights Service
+ * Median and interquartile final price of confirmed orders per service type, district
+ * and urgency (get_price_insights, see PATCH_PRICE_INSIGHTS.sql). The group table is small,
+ * so it is fetched once and cached; lookups happen client-side.
+ */
+
+import { supabase } from '../lib/supabase';
+import {
+  PRICE_INSIGHT_WINDOW_DAYS,
+  buildPriceInsightGroups,
+  findPriceInsight,
+  toPriceRange,
+} from '../utils/pricingInsights';
+import { isMissingRpcFunction } from '../utils/supabaseErrors';
+
+const LOG_PREFIX = '[PricingInsightsService]';
+const INSIGHTS_RPC_NAME = 'get_price_insights';
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const FALLBACK_ORDER_LIMIT = 2000;
+
+class PricingInsightsService {
+  constructor() {
+    this.cache = null;
+    this.pending = null;
+  }
+
+  /**
+   * All insight groups: [{ service_type, area, urgency, n, p25, p50, p75, iqr }].
+   * A null area/urgency means the group covers any value.
+   */
+  async getInsightGroups({ force = false } = {}) {
+    if (!force && this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL_MS) {
+      return { success: true, groups: this.cache.groups };
+    }
+    if (this.pending) return this.pending;
+
+    this.pending = this.fetchInsightGroups()
+      .then((result) => {
+        if (result.success) {
+          this.cache = { groups: result.groups, loadedAt: Date.now() };
+        }
+        return result;
+      })
+      .finally(() => {
+        this.pending = null;
+      });
+    return this.pending;
+  }
+
+  async fetchInsightGroups() {
+    try {
+      const { data, error } = await supabase.rpc(INSIGHTS_RPC_NAME, {
+        p_days: PRICE_INSIGHT_WINDOW_DAYS,
+      });
+      if (!error) {
+        if (!data?.success) {
+          return { success: false, groups: [], message: data?.message || data?.error || 'Price insights failed' };
+        }
+        return { success: true, groups: Array.isArray(data.groups) ? data.groups : [] };
+      }
+      if (!isMissingRpcFunction(error, INSIGHTS_RPC_NAME)) throw error;
+
+      // Patch not applied yet: compute from the confirmed orders visible under RLS.
+      const since = new Date(Date.now() - PRICE_INSIGHT_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const { data: rows, error: readError } = await supabase
+        .from('orders')
+        .select('service_type, area, urgency, final_price')
+        .eq('status', 'confirmed')
+        .gt('final_price', 0)
+        .not('is_disputed', 'is', true)
+        .gte('confirmed_at', since)
+        .order('confirmed_at', { ascending: false })
+        .limit(FALLBACK_ORDER_LIMIT);
+      if (readError) throw readError;
+      return { success: true, groups: buildPriceInsightGroups(rows) };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} fetchInsightGroups failed`, error);
+      return { success: false, groups: [], message: error?.message || 'Price insights failed' };
+    }
+  }
+
+  /**
+   * Suggested range for a new order: { low, median, high, sample, level } or null
+   * when no group has enough confirmed orders.
+   */
+  async suggestPriceRange({ serviceType, area, urgency } = {}) {
+    if (!serviceType) return null;
+    const { groups } = await this.getInsightGroups();
+    const insight = findPriceInsight(groups, { serviceType, area, urgency });
+    return insight ? { ...toPriceRange(insight), level: insight.level } : null;
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+}
+
+const pricingInsightsService = new PricingInsightsService();
+export default pricingInsightsService;
@@ -0,0 +1,147 @@
+/**
+ * Reconciliation Service
+ * Loads every money ledger (master balance, partner balance, earnings, commission payments)
+ * plus confirmed orders and builds the integrity report in utils/ledgerReconciliation.
+ * Admin only: relies on the admin read policies of each table.
+ */
+
+import { supabase } from '../lib/supabase';
+import {
+  LEDGER_TABLES,
+  RECONCILIATION_ACCOUNT_TYPES,
+  buildReconciliationReport,
+  getOpeningBalance,
+  replayLedger,
+  sortLedger,
+} from '../utils/ledgerReconciliation';
+import { fetchAllRows } from '../utils/supabasePaging';
+
+const LOG_PREFIX = '[ReconciliationService]';
+
+const LEDGER_FIELDS = 'id, amount, transaction_type, balance_before, balance_after, notes, created_at';
+const LEDGER_ORDER = ['created_at', 'id'];
+
+class ReconciliationService {
+  /**
+   * Integrity report across all master and partner accounts.
+   * Returns { success, issues, summary, truncated, generatedAt }.
+   */
+  async getReconciliationReport() {
+    try {
+      const results = await Promise.all([
+        fetchAllRows(() => supabase
+          .from('profiles')
+          .select('id, full_name, phone, prepaid_balance, initial_deposit, total_earnings, total_commission_owed, total_commission_paid')
+          .eq('role', 'master')),
+        fetchAllRows(() => supabase
+          .from('profiles')
+          .select('id, full_name, phone, partner_balance')
+          .eq('role', 'partner')),
+        fetchAllRows(() => supabase
+          .from('balance_transactions')
+          .select(`master_id, ${LEDGER_FIELDS}`), LEDGER_ORDER),
+        fetchAllRows(() => supabase
+          .from('partner_balance_transactions')
+          .select(`partner_id, ${LEDGER_FIELDS}`), LEDGER_ORDER),
+        fetchAllRows(() => supabase
+          .from('master_earnings')
+          .select('id, master_id, order_id, amount, commission_amount, status')),
+        fetchAllRows(() => supabase
+          .from('commission_payments')
+          .select('id, master_id, amount')),
+        fetchAllRows(() => supabase
+          .from('orders')
+          .select('id, master_id, status, final_price, initial_price, confirmed_at')
+          .eq('status', 'confirmed')
+          .not('master_id', 'is', null)),
+      ]);
+      const [masters, partners, balanceTransactions, partnerTransactions, earnings, commissionPayments, confirmedOrders] = results;
+      const report = buildReconciliationReport({
+        masters: masters.rows,
+        partners: partners.rows,
+        balanceTransactions: balanceTransactions.rows,
+        partnerTransactions: partnerTransactions.rows,
+        earnings: earnings.rows,
+        commissionPayments: commissionPayments.rows,
+        confirmedOrders: confirmedOrders.rows,
+      });
+      return {
+        success: true,
+        ...report,
+        truncated: results.some((result) => result.truncated),
+        generatedAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getReconciliationReport failed`, error);
+      return { success: false, message: error.message, issues: [], summary: null, truncated: false, generatedAt: null };
+    }
+  }
+
+  /**
+   * Drill-down for one account: its ledger oldest first with the issues of each row,
+   * the current profile balance and, for masters, the earnings rows.
+   */
+  async getAccountLedger(accountType, accountId) {
+    const config = LEDGER_TABLES[accountType];
+    if (!config || !accountId) {
+      return { success: false, message: 'Unknown account', transactions: [], earnings: [], issues: [] };
+    }
+    try {
+      const isMaster = accountType === RECONCILIATION_ACCOUNT_TYPES.MASTER;
+      const [profileRes, ledger, earningsRes] = await Promise.all([
+        supabase
+          .from('profiles')
+          .select(`id, full_name, phone, ${config.balanceColumn}${isMaster ? ', initial_deposit' : ''}`)
+          .eq('id', accountId)
+          .single(),
+        fetchAllRows(() => supabase
+          .from(config.table)
+          .select(LEDGER_FIELDS)
+          .eq(config.ownerColumn, accountId), LEDGER_ORDER),
+        isMaster
+          ? supabase
+            .from('master_earnings')
+            .select('id, order_id, amount, commission_amount, status, created_at')
+            .eq('master_id', accountId)
+            .order('created_at', { ascending: false })
+            .limit(200)
+          : Promise.resolve({ data: [], error: null }),
+      ]);
+      if (profileRes.error) throw profileRes.error;
+      if (earningsRes.error) throw earningsRes.error;
+
+      const profile = profileRes.data;
+      const openingBalance = isMaster ? getOpeningBalance(profile?.initial_deposit, ledger.rows) : 0;
+      const transactions = sortLedger(ledger.rows, openingBalance);
+      const { ledgerBalance, issues } = replayLedger({
+        type: accountType,
+        id: accountId,
+        name: profile?.full_name,
+        balance: profile?.[config.balanceColumn],
+        openingBalance,
+      }, transactions);
+      const issuesByTx = issues.reduce((map, issue) => {
+        if (!issue.transactionId) return map;
+        map.set(issue.transactionId, [...(map.get(issue.transactionId) || []), issue.type]);
+        return map;
+      }, new Map());
+
+      return {
+        success: true,
+        profile,
+        balance: Number(profile?.[config.balanceColumn]) || 0,
+        ledgerBalance,
+        transactions: transactions.map((tx) => ({ ...tx, issueTypes: issuesByTx.get(tx.id) || [] })),
+        earnings: earningsRes.data || [],
+        issues,
+        truncated: ledger.truncated,
+      };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getAccountLedger failed`, error);
+      return { success: false, message: error.message, transactions: [], earnings: [], issues: [] };
+    }
+  }
+}
+
+const reconciliationService = new ReconciliationService();
+export default reconciliationService;
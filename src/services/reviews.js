@@ -0,0 +1,97 @@
+/**
+ * Reviews Service
+ * Client ratings (1-5) recorded by dispatchers on payment confirmation.
+ * profiles.rating is recalculated server-side by trg_recalculate_rating.
+ */
+
+import { supabase } from '../lib/supabase';
+
+const LOG_PREFIX = '[ReviewsService]';
+const REVIEW_MIN_RATING = 1;
+const REVIEW_MAX_RATING = 5;
+
+const toRating = (value) => {
+  const parsed = Math.round(Number(value));
+  if (!Number.isFinite(parsed)) return null;
+  if (parsed < REVIEW_MIN_RATING || parsed > REVIEW_MAX_RATING) return null;
+  return parsed;
+};
+
+/**
+ * Aggregate a review list into { count, average, distribution }.
+ */
+export const summarizeReviews = (reviews = []) => {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let count = 0;
+  (reviews || []).forEach((review) => {
+    const rating = toRating(review?.rating);
+    if (rating === null) return;
+    distribution[rating] += 1;
+    total += rating;
+    count += 1;
+  });
+  return {
+    count,
+    average: count ? Math.round((total / count) * 100) / 100 : 0,
+    distribution,
+  };
+};
+
+class ReviewsService {
+  /**
+   * Record (or update) the client review for a confirmed order.
+   */
+  async submitOrderReview(orderId, { rating, comment } = {}) {
+    const normalizedRating = toRating(rating);
+    if (!orderId) {
+      return { success: false, message: 'Order id is required' };
+    }
+    if (normalizedRating === null) {
+      return { success: false, message: 'Rating must be between 1 and 5' };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('submit_order_review', {
+        p_order_id: orderId,
+        p_rating: normalizedRating,
+        p_comment: String(comment || '').trim() || null,
+      });
+      if (error) throw error;
+      if (!data?.success) {
+        return { success: false, message: data?.message || data?.error || 'Failed to save review' };
+      }
+      return { success: true, message: data.message || 'Review saved', reviewId: data.review_id || null };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} submitOrderReview failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Review history for a master, newest first.
+   */
+  async getMasterReviews(masterId, limit = 50) {
+    if (!masterId) return [];
+    try {
+      const { data, error } = await supabase
+        .from('reviews')
+        .select(`
+          id, order_id, master_id, rating, comment, created_at,
+          order:order_id(service_type, area, confirmed_at),
+          reviewer:dispatcher_id(full_name)
+        `)
+        .eq('master_id', masterId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getMasterReviews failed`, error);
+      return [];
+    }
+  }
+}
+
+const reviewsService = new ReviewsService();
+export default reviewsService;
@@ -0,0 +1,168 @@
+/**
+ * Statements Service
+ * Loads ledger rows for monthly statements (utils/statements) and exports them as CSV or
+ * PDF: a download/print window on web, a shared file on native.
+ * Masters and partners read their own ledger; bulk generation relies on admin read policies.
+ */
+
+import { Platform } from 'react-native';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { supabase } from '../lib/supabase';
+import { exportTextFile } from '../utils/fileExport';
+import { LEDGER_TABLES } from '../utils/ledgerReconciliation';
+import {
+  STATEMENT_ACCOUNT_TYPES,
+  buildStatement,
+  statementToCsv,
+  statementsToCsv,
+  statementsToHtml,
+} from '../utils/statements';
+import { fetchAllRows } from '../utils/supabasePaging';
+
+const LOG_PREFIX = '[StatementsService]';
+
+const LEDGER_FIELDS = 'id, amount, transaction_type, balance_before, balance_after, notes, created_at';
+
+// Only partner_balance_transactions links rows to an order.
+const getLedgerFields = (accountType) => (
+  accountType === STATEMENT_ACCOUNT_TYPES.PARTNER ? `${LEDGER_FIELDS}, order_id` : LEDGER_FIELDS
+);
+
+const groupByOwner = (rows, ownerColumn) => rows.reduce((map, row) => {
+  if (!map.has(row[ownerColumn])) map.set(row[ownerColumn], []);
+  map.get(row[ownerColumn]).push(row);
+  return map;
+}, new Map());
+
+const printOnWeb = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) throw new Error('Popup blocked');
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
+
+class StatementsService {
+  /**
+   * Statement of one account for a period from utils/statements resolveStatementPeriod.
+   * Returns { success, statement }.
+   */
+  async getStatement(accountType, accountId, period) {
+    const config = LEDGER_TABLES[accountType];
+    if (!config || !accountId || !period) {
+      return { success: false, message: 'Unknown account', statement: null };
+    }
+    try {
+      const [profileRes, ledger] = await Promise.all([
+        supabase
+          .from('profiles')
+          .select(`id, full_name, phone, ${config.balanceColumn}`)
+          .eq('id', accountId)
+          .single(),
+        fetchAllRows(() => supabase
+          .from(config.table)
+          .select(getLedgerFields(accountType))
+          .eq(config.ownerColumn, accountId)
+          .gte('created_at', period.start)),
+      ]);
+      if (profileRes.error) throw profileRes.error;
+
+      const profile = profileRes.data;
+      return {
+        success: true,
+        statement: buildStatement({
+          account: { type: accountType, id: accountId, name: profile?.full_name, phone: profile?.phone },
+          period,
+          transactions: ledger.rows,
+          currentBalance: profile?.[config.balanceColumn],
+        }),
+        truncated: ledger.truncated,
+      };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getStatement failed`, error);
+      return { success: false, message: error.message, statement: null };
+    }
+  }
+
+  /**
+   * Statements of every master and partner for one period (admin).
+   * Returns { success, statements, truncated }, masters first, each group by name.
+   */
+  async getStatementsBulk(period) {
+    if (!period) return { success: false, message: 'Missing period', statements: [] };
+    try {
+      const accountTypes = [STATEMENT_ACCOUNT_TYPES.MASTER, STATEMENT_ACCOUNT_TYPES.PARTNER];
+      const results = await Promise.all(accountTypes.map(async (accountType) => {
+        const config = LEDGER_TABLES[accountType];
+        const [profiles, ledger] = await Promise.all([
+          fetchAllRows(() => supabase
+            .from('profiles')
+            .select(`id, full_name, phone, ${config.balanceColumn}`)
+            .eq('role', accountType)),
+          fetchAllRows(() => supabase
+            .from(config.table)
+            .select(`${config.ownerColumn}, ${getLedgerFields(accountType)}`)
+            .gte('created_at', period.start)),
+        ]);
+        const ledgerByOwner = groupByOwner(ledger.rows, config.ownerColumn);
+        const statements = profiles.rows
+          .map((profile) => buildStatement({
+            account: { type: accountType, id: profile.id, name: profile.full_name, phone: profile.phone },
+            period,
+            transactions: ledgerByOwner.get(profile.id) || [],
+            currentBalance: profile[config.balanceColumn],
+          }))
+          .sort((a, b) => a.account.name.localeCompare(b.account.name));
+        return { statements, truncated: profiles.truncated || ledger.truncated };
+      }));
+      return {
+        success: true,
+        statements: results.flatMap((result) => result.statements),
+        truncated: results.some((result) => result.truncated),
+      };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getStatementsBulk failed`, error);
+      return { success: false, message: error.message, statements: [] };
+    }
+  }
+
+  /**
+   * CSV export. A single statement includes its transaction lines; several statements
+   * export one summary row per account.
+   */
+  async exportCsv(statements, fileName) {
+    try {
+      const list = Array.isArray(statements) ? statements : [statements];
+      const content = list.length === 1 ? statementToCsv(list[0]) : statementsToCsv(list);
+      await exportTextFile(content, fileName);
+      return { success: true };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} exportCsv failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * PDF export; `labels` are the translated captions passed to statementsToHtml.
+   */
+  async exportPdf(statements, labels = {}) {
+    try {
+      const html = statementsToHtml(Array.isArray(statements) ? statements : [statements], labels);
+      if (Platform.OS === 'web') {
+        printOnWeb(html);
+        return { success: true };
+      }
+      const { uri } = await Print.printToFileAsync({ html });
+      await Sharing.shareAsync(uri, { mimeType: 'application/pdf', UTI: 'com.adobe.pdf' });
+      return { success: true };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} exportPdf failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+const statementsService = new StatementsService();
+export default statementsService;
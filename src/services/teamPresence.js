@@ -0,0 +1,59 @@
+/**
+ * Team Presence Service
+ * Masters and dispatchers with their heartbeat, availability and current order
+ * (data/PATCH_TEAM_PRESENCE_BOARD.sql). Board rows are built by src/utils/teamPresence.js.
+ */
+
+import { supabase } from '../lib/supabase';
+import authService from './auth';
+import { isMissingRpcFunction } from '../utils/supabaseErrors';
+
+const LOG_PREFIX = '[TeamPresenceService]';
+const PRESENCE_RPC_NAME = 'get_team_presence';
+
+class TeamPresenceService {
+  constructor() {
+    // Set once the RPC is known to be missing so realtime reloads go straight to the fallback.
+    this.rpcUnavailable = false;
+  }
+
+  /**
+   * Active masters and dispatchers. Returns { success, people } or { success: false, message }.
+   * Without the patch the profile lists are used, so heartbeat data still shows but active
+   * jobs are unknown.
+   */
+  async getTeamPresence() {
+    if (!this.rpcUnavailable) {
+      try {
+        const { data, error } = await supabase.rpc(PRESENCE_RPC_NAME);
+        if (error) throw error;
+        if (!data?.success) {
+          return { success: false, message: data?.message || data?.error || 'Failed to load team presence' };
+        }
+        return { success: true, people: Array.isArray(data.items) ? data.items : [] };
+      } catch (error) {
+        if (!isMissingRpcFunction(error, PRESENCE_RPC_NAME)) {
+          console.error(`${LOG_PREFIX} getTeamPresence failed`, error);
+          return { success: false, message: error.message };
+        }
+        this.rpcUnavailable = true;
+      }
+    }
+    try {
+      const [masters, dispatchers] = await Promise.all([
+        authService.getAllMasters({ force: true }),
+        authService.getAllDispatchers({ force: true }),
+      ]);
+      const people = [...(masters || []), ...(dispatchers || [])]
+        .filter((person) => person?.is_active !== false)
+        .map((person) => ({ ...person, active_jobs: 0, active_job: null }));
+      return { success: true, people };
+    } catch (error) {
+      console.error(`${LOG_PREFIX} getTeamPresence fallback failed`, error);
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+const teamPresenceService = new TeamPresenceService();
+export default teamPresenceService;
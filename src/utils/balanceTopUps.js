@@ -0,0 +1,79 @@
+/**
+ * Balance Top-ups
+ * Master-submitted requests to increase prepaid_balance: amount, payment method and a
+ * proof screenshot. An admin approves (credits the balance via add_master_balance) or
+ * rejects with a note. data/PATCH_BALANCE_TOPUP_REQUESTS.sql enforces the same limits.
+ */
+
+export const TOP_UP_STATUSES = {
+    REQUESTED: 'requested',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+export const TOP_UP_METHODS = ['transfer', 'card', 'cash'];
+
+export const TOP_UP_LIMITS = {
+    minAmount: 100,
+    maxAmount: 100000,
+};
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+};
+
+/**
+ * Amount from a form value, rounded to cents; null when it is not a positive number.
+ */
+export const parseTopUpAmount = (value) => {
+    const num = Number(String(value ?? '').replace(',', '.').trim());
+    if (!Number.isFinite(num) || num <= 0) return null;
+    return Math.round(num * 100) / 100;
+};
+
+/**
+ * Validate a master's request before upload.
+ * Returns { isValid, error } with error one of
+ * 'amount' | 'amountMin' | 'amountMax' | 'method' | 'proof' | 'pending'.
+ */
+export const validateTopUpRequest = ({ amount, method, proof } = {}, { hasPending = false } = {}) => {
+    if (hasPending) return { isValid: false, error: 'pending' };
+    const parsed = parseTopUpAmount(amount);
+    if (parsed === null) return { isValid: false, error: 'amount' };
+    if (parsed < TOP_UP_LIMITS.minAmount) return { isValid: false, error: 'amountMin' };
+    if (parsed > TOP_UP_LIMITS.maxAmount) return { isValid: false, error: 'amountMax' };
+    if (!TOP_UP_METHODS.includes(method)) return { isValid: false, error: 'method' };
+    if (!proof?.uri) return { isValid: false, error: 'proof' };
+    return { isValid: true, error: null };
+};
+
+/**
+ * Storage path for a proof file. The first folder is the master id; storage policies
+ * rely on it.
+ */
+export const buildTopUpProofPath = (masterId, mimeType, now = Date.now()) => {
+    const extension = MIME_EXTENSIONS[String(mimeType || '').toLowerCase()] || 'jpg';
+    return `${masterId}/${now}.${extension}`;
+};
+
+export const hasPendingTopUp = (requests = []) => (
+    (requests || []).some((request) => request?.status === TOP_UP_STATUSES.REQUESTED)
+);
+
+/**
+ * Request counts per status plus 'all', for admin queue filter chips.
+ */
+export const countTopUpsByStatus = (requests = []) => (requests || []).reduce((acc, request) => {
+    const status = request?.status;
+    if (Object.prototype.hasOwnProperty.call(acc, status)) acc[status] += 1;
+    acc.all += 1;
+    return acc;
+}, {
+    [TOP_UP_STATUSES.REQUESTED]: 0,
+    [TOP_UP_STATUSES.APPROVED]: 0,
+    [TOP_UP_STATUSES.REJECTED]: 0,
+    all: 0,
+});
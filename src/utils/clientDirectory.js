@@ -0,0 +1,110 @@
+/**
+ * Client Directory
+ * Repeat-customer summaries keyed by normalized phone. The shapes mirror the
+ * lookup_client_by_phone RPC so the direct-read fallback renders the same way.
+ */
+
+export const CLIENT_COMPLETED_STATUSES = ['completed', 'confirmed'];
+export const CLIENT_CANCELED_STATUSES = ['canceled_by_master', 'canceled_by_client'];
+export const CLIENT_ADDRESS_LIMIT = 5;
+
+const toStamp = (value) => {
+    const parsed = Date.parse(value || '');
+    return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+const byNewest = (a, b) => toStamp(b?.created_at) - toStamp(a?.created_at);
+
+const addressKey = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Lifetime stats for one client: counts, spend (confirmed final prices) and disputes.
+ */
+export const summarizeClientOrders = (orders = []) => {
+    const list = orders || [];
+    let lifetimeSpend = 0;
+    let lastOrderAt = null;
+    list.forEach((order) => {
+        if (order?.status === 'confirmed') {
+            const price = Number(order.final_price);
+            if (Number.isFinite(price)) lifetimeSpend += price;
+        }
+        if (order?.created_at && toStamp(order.created_at) > toStamp(lastOrderAt)) {
+            lastOrderAt = order.created_at;
+        }
+    });
+    return {
+        order_count: list.length,
+        completed_count: list.filter((order) => CLIENT_COMPLETED_STATUSES.includes(order?.status)).length,
+        canceled_count: list.filter((order) => CLIENT_CANCELED_STATUSES.includes(order?.status)).length,
+        lifetime_spend: lifetimeSpend,
+        dispute_count: list.filter((order) => order?.is_disputed === true).length,
+        last_order_at: lastOrderAt,
+    };
+};
+
+/**
+ * Distinct past addresses, most recently used first. Addresses differing only in case
+ * or spacing are treated as the same place.
+ */
+export const collectClientAddresses = (orders = [], limit = CLIENT_ADDRESS_LIMIT) => {
+    const seen = new Set();
+    const addresses = [];
+    [...(orders || [])].sort(byNewest).forEach((order) => {
+        const key = addressKey(order?.full_address);
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+        addresses.push({
+            area: order.area || null,
+            full_address: String(order.full_address).trim(),
+            orientir: order.orientir || null,
+            latitude: order.latitude ?? null,
+            longitude: order.longitude ?? null,
+            last_used_at: order.created_at || null,
+        });
+    });
+    return addresses.slice(0, limit);
+};
+
+/**
+ * Build a lookup result ({ client, stats, addresses, recent_orders, disputes }) from raw
+ * order rows of one phone. Returns client: null when there are no orders.
+ */
+export const buildClientLookup = (phone, orders = [], orderLimit = 5) => {
+    const sorted = [...(orders || [])].sort(byNewest);
+    if (!sorted.length) {
+        return { client: null, stats: null, addresses: [], recent_orders: [], disputes: [] };
+    }
+    const named = sorted.find((order) => String(order?.client_name || '').trim());
+    const oldest = sorted[sorted.length - 1];
+    return {
+        client: {
+            id: null,
+            phone,
+            full_name: named ? String(named.client_name).trim() : null,
+            profile_id: sorted.find((order) => order?.client_id)?.client_id || null,
+            first_order_at: oldest?.created_at || null,
+        },
+        stats: summarizeClientOrders(sorted),
+        addresses: collectClientAddresses(sorted),
+        recent_orders: sorted.slice(0, orderLimit).map((order) => ({
+            id: order.id,
+            status: order.status,
+            service_type: order.service_type,
+            urgency: order.urgency,
+            area: order.area,
+            full_address: order.full_address,
+            initial_price: order.initial_price,
+            final_price: order.final_price,
+            is_disputed: order.is_disputed === true,
+            created_at: order.created_at,
+            master_name: order.master?.full_name || null,
+        })),
+        disputes: [],
+    };
+};
+
+/**
+ * True when the lookup describes a returning client (at least one earlier order).
+ */
+export const isReturningClient = (lookup) => Number(lookup?.stats?.order_count) > 0;
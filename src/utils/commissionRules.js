@@ -0,0 +1,207 @@
+/**
+ * Commission Rules
+ * Platform commission per order: a per-master override wins, otherwise the most specific
+ * matching rule from platform_settings.commission_rules, otherwise commission_rate.
+ * Rules match on service type, district, urgency, master tier and the master's confirmed
+ * orders this month. data/PATCH_COMMISSION_RULES.sql mirrors this evaluator.
+ */
+
+export const COMMISSION_TIERS = ['standard', 'silver', 'gold'];
+export const DEFAULT_COMMISSION_TIER = 'standard';
+export const DEFAULT_COMMISSION_RATE = 0.15;
+
+const RULE_MATCH_FIELDS = ['service_type', 'area', 'urgency', 'tier'];
+
+const toText = (value) => {
+    const text = String(value ?? '').trim();
+    return text || null;
+};
+
+const toNumberOrNull = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Rate as a ratio. Stored rates are ratios (0.15); forms show percent (15).
+ */
+export const normalizeCommissionRate = (value) => {
+    const num = toNumberOrNull(value);
+    if (num === null || num < 0) return null;
+    const ratio = num > 1 ? num / 100 : num;
+    return ratio <= 1 ? Math.round(ratio * 10000) / 10000 : null;
+};
+
+export const normalizeCommissionTier = (value) => (
+    COMMISSION_TIERS.includes(value) ? value : DEFAULT_COMMISSION_TIER
+);
+
+/**
+ * Valid rules from a stored value. Rules without a rate are dropped; empty match
+ * fields mean "any".
+ */
+export const normalizeCommissionRules = (raw) => {
+    const list = Array.isArray(raw) ? raw : [];
+    return list
+        .map((rule, index) => {
+            const rate = normalizeCommissionRate(rule?.rate);
+            if (rate === null) return null;
+            const tier = toText(rule?.tier);
+            return {
+                id: toText(rule?.id) || `rule-${index + 1}`,
+                service_type: toText(rule?.service_type),
+                area: toText(rule?.area),
+                urgency: toText(rule?.urgency),
+                tier: tier && COMMISSION_TIERS.includes(tier) ? tier : null,
+                min_monthly_orders: Math.max(0, Math.floor(toNumberOrNull(rule?.min_monthly_orders) || 0)),
+                rate,
+            };
+        })
+        .filter(Boolean);
+};
+
+/**
+ * Config the evaluator needs, from a platform_settings row (raw or mapped).
+ */
+export const buildCommissionConfig = (settings = {}) => ({
+    baseRate: normalizeCommissionRate(settings?.commission_rate) ?? DEFAULT_COMMISSION_RATE,
+    rules: normalizeCommissionRules(settings?.commission_rules),
+    exemptBaseFee: settings?.commission_exempt_base_fee === true,
+});
+
+const getRuleSpecificity = (rule) => (
+    RULE_MATCH_FIELDS.filter((field) => rule[field] !== null).length + (rule.min_monthly_orders > 0 ? 1 : 0)
+);
+
+/**
+ * Rate for one order context: { serviceType, area, urgency, tier, monthlyOrders, overrideRate }.
+ * Among matching rules the most specific wins, then the higher volume step, then list order.
+ * Returns { rate, source: 'override' | 'rule' | 'default', ruleId }.
+ */
+export const resolveCommissionRate = (context = {}, config = {}) => {
+    const overrideRate = normalizeCommissionRate(context.overrideRate);
+    if (overrideRate !== null) return { rate: overrideRate, source: 'override', ruleId: null };
+
+    const values = {
+        service_type: toText(context.serviceType),
+        area: toText(context.area),
+        urgency: toText(context.urgency),
+        tier: normalizeCommissionTier(context.tier),
+    };
+    const monthlyOrders = Math.max(0, Number(context.monthlyOrders) || 0);
+    const rules = normalizeCommissionRules(config.rules);
+    let best = null;
+    rules.forEach((rule, index) => {
+        const matches = RULE_MATCH_FIELDS.every((field) => rule[field] === null || rule[field] === values[field])
+            && monthlyOrders >= rule.min_monthly_orders;
+        if (!matches) return;
+        const candidate = { rule, index, specificity: getRuleSpecificity(rule) };
+        if (!best
+            || candidate.specificity > best.specificity
+            || (candidate.specificity === best.specificity && rule.min_monthly_orders > best.rule.min_monthly_orders)) {
+            best = candidate;
+        }
+    });
+    if (best) return { rate: best.rule.rate, source: 'rule', ruleId: best.rule.id };
+    return {
+        rate: normalizeCommissionRate(config.baseRate) ?? DEFAULT_COMMISSION_RATE,
+        source: 'default',
+        ruleId: null,
+    };
+};
+
+/**
+ * Price the commission is charged on. With commission_exempt_base_fee the call-out fee
+ * is not commissioned.
+ */
+export const getCommissionBase = (order, { exemptBaseFee = false } = {}) => {
+    const price = toNumberOrNull(order?.final_price) ?? toNumberOrNull(order?.initial_price) ?? 0;
+    if (price <= 0) return 0;
+    const calloutFee = toNumberOrNull(order?.callout_fee) || 0;
+    return exemptBaseFee ? Math.max(0, price - calloutFee) : price;
+};
+
+/**
+ * Commission for an order and its master: { rate, base, amount, source, ruleId }.
+ * `master` carries commission_tier / commission_rate_override; `monthlyOrders` is the
+ * master's confirmed orders this month before this one.
+ */
+export const estimateOrderCommission = (order, { master = null, monthlyOrders = 0 } = {}, config = {}) => {
+    const resolved = resolveCommissionRate({
+        serviceType: order?.service_type,
+        area: order?.area,
+        urgency: order?.urgency,
+        tier: master?.commission_tier,
+        overrideRate: master?.commission_rate_override,
+        monthlyOrders,
+    }, config);
+    const base = getCommissionBase(order, config);
+    return {
+        ...resolved,
+        base,
+        amount: Math.round(base * resolved.rate * 100) / 100,
+    };
+};
+
+/**
+ * Commission amount for reporting: what was charged for confirmed orders that recorded
+ * it, otherwise the estimate.
+ */
+export const getOrderCommissionAmount = (order, masterContext = {}, config = {}) => {
+    const stored = toNumberOrNull(order?.commission_amount);
+    if (order?.status === 'confirmed' && stored !== null && stored > 0) return stored;
+    return estimateOrderCommission(order, masterContext, config).amount;
+};
+
+const toMonthKey = (stamp) => {
+    const date = new Date(stamp);
+    if (Number.isNaN(date.getTime())) return null;
+    return `${date.getFullYear()}-${date.getMonth() + 1}`;
+};
+
+/**
+ * Monthly volume lookup over a list of orders: for a confirmed order, the same master's
+ * orders confirmed earlier that month; for any other order, everything confirmed this month.
+ */
+export const buildMonthlyVolumeLookup = (orders = [], now = Date.now()) => {
+    const stampsByKey = new Map();
+    (orders || []).forEach((order) => {
+        if (order?.status !== 'confirmed' || !order?.master_id) return;
+        const stamp = Date.parse(order.confirmed_at || order.updated_at || '');
+        const monthKey = Number.isNaN(stamp) ? null : toMonthKey(stamp);
+        if (!monthKey) return;
+        const key = `${order.master_id}:${monthKey}`;
+        if (!stampsByKey.has(key)) stampsByKey.set(key, []);
+        stampsByKey.get(key).push(stamp);
+    });
+    return (order) => {
+        if (!order?.master_id) return 0;
+        const isConfirmed = order.status === 'confirmed';
+        const stamp = isConfirmed ? Date.parse(order.confirmed_at || order.updated_at || '') : now;
+        const monthKey = Number.isNaN(stamp) ? null : toMonthKey(stamp);
+        const stamps = monthKey ? stampsByKey.get(`${order.master_id}:${monthKey}`) || [] : [];
+        return isConfirmed ? stamps.filter((value) => value < stamp).length : stamps.length;
+    };
+};
+
+/**
+ * Editable rows for the settings form (rate in percent, numbers as strings).
+ */
+export const toCommissionRulesForm = (rules) => normalizeCommissionRules(rules).map((rule) => ({
+    id: rule.id,
+    service_type: rule.service_type || '',
+    area: rule.area || '',
+    urgency: rule.urgency || '',
+    tier: rule.tier || '',
+    min_monthly_orders: rule.min_monthly_orders ? String(rule.min_monthly_orders) : '',
+    rate: String(Math.round(rule.rate * 10000) / 100),
+}));
+
+export const fromCommissionRulesForm = (rows) => normalizeCommissionRules(
+    (Array.isArray(rows) ? rows : []).map((row, index) => ({
+        ...row,
+        id: toText(row?.id) || `rule-${Date.now()}-${index}`,
+        rate: toNumberOrNull(row?.rate) === null ? null : Number(row.rate) / 100,
+    })),
+);
@@ -0,0 +1,121 @@
+/**
+ * Dispute Cases
+ * Status transitions, outcome validation and SLA for admin dispute handling
+ * (see data/PATCH_DISPUTE_CASES.sql, which enforces the same transitions).
+ */
+
+export const DISPUTE_STATUSES = {
+    OPEN: 'open',
+    IN_REVIEW: 'in_review',
+    RESOLVED: 'resolved',
+    REJECTED: 'rejected',
+    CLOSED: 'closed',
+};
+
+export const ACTIVE_DISPUTE_STATUSES = [DISPUTE_STATUSES.OPEN, DISPUTE_STATUSES.IN_REVIEW];
+
+const DISPUTE_TRANSITIONS = {
+    [DISPUTE_STATUSES.OPEN]: [DISPUTE_STATUSES.IN_REVIEW, DISPUTE_STATUSES.RESOLVED, DISPUTE_STATUSES.REJECTED],
+    [DISPUTE_STATUSES.IN_REVIEW]: [DISPUTE_STATUSES.RESOLVED, DISPUTE_STATUSES.REJECTED],
+};
+
+export const canTransitionDispute = (from, to) => (
+    (DISPUTE_TRANSITIONS[String(from || DISPUTE_STATUSES.OPEN)] || []).includes(to)
+);
+
+export const isDisputeActive = (dispute) => (
+    ACTIVE_DISPUTE_STATUSES.includes(String(dispute?.status || DISPUTE_STATUSES.OPEN))
+);
+
+/**
+ * Hours an open case may wait for an admin to pick it up (response) and an
+ * in-review case may take to reach a decision (resolution), counted from creation.
+ */
+export const DISPUTE_SLA_HOURS = {
+    response: 4,
+    resolution: 48,
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * SLA state of an active case, or null for closed cases and bad timestamps.
+ */
+export const getDisputeSla = (dispute, now = Date.now(), slaHours = DISPUTE_SLA_HOURS) => {
+    if (!isDisputeActive(dispute)) return null;
+    const createdAt = Date.parse(dispute?.created_at || '');
+    if (Number.isNaN(createdAt)) return null;
+    const stage = dispute?.status === DISPUTE_STATUSES.IN_REVIEW || dispute?.assigned_admin_id
+        ? 'resolution'
+        : 'response';
+    const thresholdMinutes = Math.round((slaHours?.[stage] || DISPUTE_SLA_HOURS[stage]) * 60);
+    const ageMinutes = Math.max(0, Math.floor((now - createdAt) / MINUTE_MS));
+    return {
+        stage,
+        ageMinutes,
+        thresholdMinutes,
+        remainingMinutes: thresholdMinutes - ageMinutes,
+        breached: ageMinutes > thresholdMinutes,
+    };
+};
+
+/**
+ * Compact age label: "45m", "5h 10m", "3d 4h".
+ */
+export const formatCaseAge = (minutes) => {
+    const total = Math.max(0, Math.floor(Number(minutes) || 0));
+    if (total < 60) return `${total}m`;
+    const hours = Math.floor(total / 60);
+    if (hours < 24) return `${hours}h ${total % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+export const DISPUTE_OUTCOME_ERRORS = {
+    INVALID_PRICE: 'invalid_price',
+    BELOW_CALLOUT: 'below_callout',
+    INVALID_PENALTY: 'invalid_penalty',
+    INVALID_REFUND: 'invalid_refund',
+    REFUND_EXCEEDS_PRICE: 'refund_exceeds_price',
+};
+
+const toAmountOrNull = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? Math.round(num * 100) / 100 : NaN;
+};
+
+/**
+ * Outcome of a resolution: optional new final price, master penalty (deducted from
+ * the prepaid balance) and client refund (credited to the directory client balance).
+ * Returns { outcome: { finalPrice, penaltyAmount, refundAmount }, error }.
+ */
+export const normalizeDisputeOutcome = (order, { finalPrice, penaltyAmount, refundAmount } = {}) => {
+    const price = toAmountOrNull(finalPrice);
+    const penalty = toAmountOrNull(penaltyAmount);
+    const refund = toAmountOrNull(refundAmount);
+    if (Number.isNaN(price) || (price !== null && price <= 0)) {
+        return { outcome: null, error: DISPUTE_OUTCOME_ERRORS.INVALID_PRICE };
+    }
+    const calloutFee = Number(order?.callout_fee);
+    if (price !== null && Number.isFinite(calloutFee) && calloutFee > 0 && price < calloutFee) {
+        return { outcome: null, error: DISPUTE_OUTCOME_ERRORS.BELOW_CALLOUT };
+    }
+    if (Number.isNaN(penalty) || (penalty !== null && penalty < 0)) {
+        return { outcome: null, error: DISPUTE_OUTCOME_ERRORS.INVALID_PENALTY };
+    }
+    if (Number.isNaN(refund) || (refund !== null && refund < 0)) {
+        return { outcome: null, error: DISPUTE_OUTCOME_ERRORS.INVALID_REFUND };
+    }
+    const chargedPrice = price ?? Number(order?.final_price);
+    if (refund && Number.isFinite(chargedPrice) && refund > chargedPrice) {
+        return { outcome: null, error: DISPUTE_OUTCOME_ERRORS.REFUND_EXCEEDS_PRICE };
+    }
+    return {
+        outcome: {
+            finalPrice: price,
+            penaltyAmount: penalty || 0,
+            refundAmount: refund || 0,
+        },
+        error: null,
+    };
+};
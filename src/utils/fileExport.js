@@ -0,0 +1,36 @@
+/**
+ * File Export
+ * Hands a generated text file (statement CSV, payout bank file) to the user: a download on
+ * web, the share sheet on native.
+ */
+
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+const downloadOnWeb = (content, fileName, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Download (web) or share (native) a text file.
+ */
+export const exportTextFile = async (content, fileName, mimeType = 'text/csv', uti = 'public.comma-separated-values-text') => {
+    if (Platform.OS === 'web') {
+        downloadOnWeb(content, fileName, `${mimeType};charset=utf-8`);
+        return;
+    }
+    const file = new FileSystem.File(FileSystem.Paths.cache, fileName);
+    if (file.exists) file.delete();
+    file.create();
+    file.write(content);
+    await Sharing.shareAsync(file.uri, { mimeType, UTI: uti });
+};
@@ -0,0 +1,86 @@
+/**
+ * Geo helpers
+ * Client-side geometry for order/master coordinates (distance filter and sort in the master pool).
+ * Coordinates are plain { latitude, longitude } objects in decimal degrees.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Pool distance filter values: 'nearest' only sorts, a radius (km) also filters.
+export const DISTANCE_NEAREST = 'nearest';
+export const DISTANCE_RADIUS_OPTIONS = ['3', '5', '10', '20'];
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Normalize any lat/lng pair into { latitude, longitude } or null when missing/out of range.
+ */
+export const toCoords = (latitude, longitude) => {
+    const lat = toNumber(latitude);
+    const lng = toNumber(longitude);
+    if (lat === null || lng === null) return null;
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+    // 0,0 is what broken GPS fixes and empty numeric inputs produce; never a real order here.
+    if (lat === 0 && lng === 0) return null;
+    return { latitude: lat, longitude: lng };
+};
+
+// Pool orders only expose ~1km precision before claim, same as the hidden full_address.
+export const POOL_COORD_PRECISION = 2;
+
+export const roundCoords = (coords, precision = POOL_COORD_PRECISION) => {
+    if (!coords) return null;
+    const factor = 10 ** precision;
+    return toCoords(
+        Math.round(coords.latitude * factor) / factor,
+        Math.round(coords.longitude * factor) / factor
+    );
+};
+
+export const getOrderCoords = (order) => toCoords(order?.latitude, order?.longitude);
+
+export const getMasterCoords = (profile) => toCoords(profile?.location_latitude, profile?.location_longitude);
+
+/**
+ * Parse "42.8746, 74.5698" (as copied from a maps app) into coordinates.
+ */
+export const parseCoordsInput = (text) => {
+    const parts = String(text || '')
+        .trim()
+        .split(/[\s,;]+/)
+        .filter(Boolean);
+    if (parts.length !== 2) return null;
+    return toCoords(parts[0], parts[1]);
+};
+
+export const formatCoords = (coords, digits = 5) => {
+    if (!coords) return '';
+    return `${coords.latitude.toFixed(digits)}, ${coords.longitude.toFixed(digits)}`;
+};
+
+/**
+ * Great-circle distance in kilometres (haversine).
+ */
+export const distanceKm = (from, to) => {
+    if (!from || !to) return null;
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.latitude - from.latitude);
+    const dLng = toRad(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+export const formatDistanceKm = (km) => {
+    if (km === null || km === undefined || !Number.isFinite(km)) return '';
+    if (km < 1) return `${Math.max(100, Math.round(km * 10) * 100)} m`;
+    return km < 10 ? `${km.toFixed(1)} km` : `${Math.round(km)} km`;
+};
+
+export const buildMapsUrl = (coords) => (
+    coords ? `https://maps.google.com/?q=${coords.latitude},${coords.longitude}` : null
+);
@@ -0,0 +1,144 @@
+/**
+ * Job Timer
+ * Worked time of a started order as segments ({ start, end } ISO timestamps, end null while
+ * the timer runs). The timer starts with startJob, pauses and resumes from the order sheet
+ * and pre-fills hours worked on completion. Segments are kept on the device and in
+ * orders.work_segments (data/PATCH_JOB_TIME_TRACKING.sql) as dispute evidence.
+ */
+
+export const JOB_TIMER_STORAGE_KEY = 'master_job_timers';
+
+// Hours worked are reported in quarter hours.
+const HOURS_STEP = 0.25;
+
+// Device clock skew the server accepts around the job start and now.
+export const WORK_SEGMENT_SKEW_MS = 5 * 60000;
+
+const toTs = (value) => {
+    if (!value) return NaN;
+    const ts = new Date(value).getTime();
+    return Number.isFinite(ts) && ts > 0 ? ts : NaN;
+};
+
+const toIso = (ts) => new Date(ts).toISOString();
+
+/**
+ * Valid segments in time order. Invalid entries are dropped, overlaps are cut and only
+ * the last segment may stay open.
+ */
+export const normalizeWorkSegments = (raw) => {
+    const list = (Array.isArray(raw) ? raw : [])
+        .map((segment) => ({ start: toTs(segment?.start), end: toTs(segment?.end) }))
+        .filter((segment) => Number.isFinite(segment.start))
+        .sort((a, b) => a.start - b.start);
+    const result = [];
+    list.forEach((segment) => {
+        const prev = result[result.length - 1];
+        let start = segment.start;
+        if (prev) {
+            // An open segment followed by another one ends where the next starts.
+            if (prev.end === null) prev.end = start;
+            start = Math.max(start, prev.end);
+        }
+        const end = Number.isFinite(segment.end) ? Math.max(segment.end, start) : null;
+        result.push({ start, end });
+    });
+    return result.map((segment) => ({
+        start: toIso(segment.start),
+        end: segment.end === null ? null : toIso(segment.end),
+    }));
+};
+
+export const isTimerRunning = (segments) => {
+    const list = Array.isArray(segments) ? segments : [];
+    return list.length > 0 && !list[list.length - 1]?.end;
+};
+
+/**
+ * Start or resume: opens a segment at `now` unless one is already running.
+ */
+export const startTimer = (segments, now = Date.now()) => {
+    const list = normalizeWorkSegments(segments);
+    if (isTimerRunning(list)) return list;
+    return normalizeWorkSegments([...list, { start: toIso(now), end: null }]);
+};
+
+/**
+ * Pause: closes the running segment at `now`.
+ */
+export const pauseTimer = (segments, now = Date.now()) => {
+    const list = normalizeWorkSegments(segments);
+    if (!isTimerRunning(list)) return list;
+    const last = list[list.length - 1];
+    return [...list.slice(0, -1), { start: last.start, end: toIso(Math.max(now, toTs(last.start))) }];
+};
+
+/**
+ * Whether every segment lies between the order's started_at and `now`, within the clock
+ * skew trg_check_order_work_segments allows. The server rejects backdated and future
+ * segments, so they are not sent.
+ */
+export const isWithinJobWindow = (segments, startedAt, now = Date.now()) => {
+    const earliest = toTs(startedAt) - WORK_SEGMENT_SKEW_MS;
+    const latest = Number(now) + WORK_SEGMENT_SKEW_MS;
+    return normalizeWorkSegments(segments).every((segment) => {
+        const start = toTs(segment.start);
+        const end = segment.end ? toTs(segment.end) : start;
+        return !(start < earliest) && start <= latest && end <= latest;
+    });
+};
+
+/**
+ * Worked milliseconds; a running segment counts until `now`.
+ */
+export const getWorkedMs = (segments, now = Date.now()) => normalizeWorkSegments(segments)
+    .reduce((sum, segment) => {
+        const end = segment.end ? toTs(segment.end) : Math.max(Number(now), toTs(segment.start));
+        return sum + (end - toTs(segment.start));
+    }, 0);
+
+/**
+ * Hours for the completion form: rounded to a quarter hour, at least one quarter once
+ * any time was tracked.
+ */
+export const toHoursWorked = (workedMs) => {
+    const ms = Number(workedMs) || 0;
+    if (ms <= 0) return 0;
+    const hours = Math.round(ms / 3600000 / HOURS_STEP) * HOURS_STEP;
+    return Math.max(HOURS_STEP, hours);
+};
+
+/**
+ * The more recently touched of the device and server copies. A copy is touched at its
+ * latest start or end; ties keep the server copy.
+ */
+export const pickLatestSegments = (local, remote) => {
+    const lastTouch = (segments) => normalizeWorkSegments(segments)
+        .reduce((latest, segment) => Math.max(latest, toTs(segment.start), toTs(segment.end) || 0), 0);
+    const localList = normalizeWorkSegments(local);
+    const remoteList = normalizeWorkSegments(remote);
+    if (!localList.length) return remoteList;
+    if (!remoteList.length) return localList;
+    return lastTouch(localList) > lastTouch(remoteList) ? localList : remoteList;
+};
+
+/**
+ * Dispute evidence: worked and paused minutes between the first start and the last end.
+ */
+export const summarizeWorkSegments = (segments, now = Date.now()) => {
+    const list = normalizeWorkSegments(segments);
+    if (!list.length) return null;
+    const firstStart = toTs(list[0].start);
+    const last = list[list.length - 1];
+    const lastEnd = last.end ? toTs(last.end) : Math.max(Number(now), toTs(last.start));
+    const workedMinutes = Math.floor(getWorkedMs(list, now) / 60000);
+    return {
+        segments: list,
+        count: list.length,
+        running: isTimerRunning(list),
+        startedAt: list[0].start,
+        endedAt: last.end,
+        workedMinutes,
+        pausedMinutes: Math.max(0, Math.floor((lastEnd - firstStart) / 60000) - workedMinutes),
+    };
+};
@@ -0,0 +1,266 @@
+/**
+ * Ledger Reconciliation
+ * Replays master (balance_transactions) and partner (partner_balance_transactions) ledgers
+ * and cross-checks them against profile balances/totals, master_earnings and
+ * commission_payments. Pure functions; services/reconciliation.js loads the rows.
+ */
+
+export const RECONCILIATION_ISSUE_TYPES = {
+    CHAIN_GAP: 'chain_gap',
+    AMOUNT_MISMATCH: 'amount_mismatch',
+    BALANCE_MISMATCH: 'balance_mismatch',
+    TOTALS_MISMATCH: 'totals_mismatch',
+    MISSING_EARNING: 'missing_earning',
+};
+
+export const RECONCILIATION_ACCOUNT_TYPES = {
+    MASTER: 'master',
+    PARTNER: 'partner',
+};
+
+// Ledger table of each account type and the profile column it should end at.
+export const LEDGER_TABLES = {
+    [RECONCILIATION_ACCOUNT_TYPES.MASTER]: { table: 'balance_transactions', ownerColumn: 'master_id', balanceColumn: 'prepaid_balance' },
+    [RECONCILIATION_ACCOUNT_TYPES.PARTNER]: { table: 'partner_balance_transactions', ownerColumn: 'partner_id', balanceColumn: 'partner_balance' },
+};
+
+// Money columns are NUMERIC(12,2); anything below a cent is rounding noise.
+export const RECONCILIATION_TOLERANCE = 0.01;
+
+const toNumber = (value) => {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+};
+
+const roundMoney = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const differs = (a, b, tolerance = RECONCILIATION_TOLERANCE) => Math.abs(toNumber(a) - toNumber(b)) >= tolerance;
+
+const toStamp = (value) => {
+    const stamp = Date.parse(value || '');
+    return Number.isNaN(stamp) ? 0 : stamp;
+};
+
+const buildIssue = (type, account, details = {}) => {
+    const expected = details.expected ?? null;
+    const actual = details.actual ?? null;
+    return {
+        id: [type, account.type, account.id, details.field || details.transactionId || details.orderId || '']
+            .filter(Boolean)
+            .join(':'),
+        type,
+        accountType: account.type,
+        accountId: account.id,
+        accountName: account.name || null,
+        field: details.field || null,
+        transactionId: details.transactionId || null,
+        orderId: details.orderId || null,
+        expected: expected === null ? null : roundMoney(expected),
+        actual: actual === null ? null : roundMoney(actual),
+        difference: expected === null || actual === null ? null : roundMoney(actual - expected),
+        createdAt: details.createdAt || null,
+    };
+};
+
+/**
+ * Balance the chain starts from: the profile's initial deposit, unless the ledger books
+ * it as an initial_deposit transaction (the chain then starts at 0 like any other).
+ */
+export const getOpeningBalance = (initialDeposit, transactions = []) => (
+    (transactions || []).some((tx) => tx?.transaction_type === 'initial_deposit')
+        ? 0
+        : roundMoney(initialDeposit)
+);
+
+/**
+ * Oldest first. Rows written in the same instant are ordered along the balance chain:
+ * each next row is the one whose balance_before continues the running balance, starting
+ * from `openingBalance` (or the row no other tied row leads into). Without a match the
+ * fetch order is kept.
+ */
+export const sortLedger = (transactions = [], openingBalance = null) => {
+    const byTime = [...(transactions || [])]
+        .sort((a, b) => toStamp(a.created_at) - toStamp(b.created_at));
+    const ordered = [];
+    let running = openingBalance;
+    let index = 0;
+    while (index < byTime.length) {
+        const stamp = toStamp(byTime[index].created_at);
+        const tied = [];
+        while (index < byTime.length && toStamp(byTime[index].created_at) === stamp) {
+            tied.push(byTime[index]);
+            index += 1;
+        }
+        while (tied.length) {
+            let next = running === null ? -1 : tied.findIndex((tx) => !differs(tx.balance_before, running));
+            if (next < 0) {
+                next = tied.findIndex((tx) => !tied.some((other) => other !== tx
+                    && !differs(other.balance_after, tx.balance_before)));
+            }
+            const [tx] = tied.splice(Math.max(next, 0), 1);
+            ordered.push(tx);
+            running = toNumber(tx.balance_after);
+        }
+    }
+    return ordered;
+};
+
+/**
+ * Replay one account's ledger from its opening balance. Flags:
+ *   - chain_gap: balance_before differs from the previous row's balance_after (the opening
+ *     balance for the first row)
+ *   - amount_mismatch: balance_after - balance_before is not ±amount
+ *     (some writers store debits as negative amounts, others as positive)
+ *   - balance_mismatch: the last balance_after (the opening balance without rows) differs
+ *     from the profile
+ * `account` is { type, id, name, balance, openingBalance }.
+ */
+export const replayLedger = (account, transactions = []) => {
+    const openingBalance = toNumber(account.openingBalance);
+    const ordered = sortLedger(transactions, openingBalance);
+    const issues = [];
+    let running = openingBalance;
+    ordered.forEach((tx) => {
+        const before = toNumber(tx.balance_before);
+        const after = toNumber(tx.balance_after);
+        const amount = toNumber(tx.amount);
+        if (differs(before, running)) {
+            issues.push(buildIssue(RECONCILIATION_ISSUE_TYPES.CHAIN_GAP, account, {
+                transactionId: tx.id,
+                expected: running,
+                actual: before,
+                createdAt: tx.created_at,
+            }));
+        }
+        const delta = after - before;
+        if (differs(delta, amount) && differs(delta, -amount)) {
+            issues.push(buildIssue(RECONCILIATION_ISSUE_TYPES.AMOUNT_MISMATCH, account, {
+                transactionId: tx.id,
+                expected: before + amount,
+                actual: after,
+                createdAt: tx.created_at,
+            }));
+        }
+        running = after;
+    });
+
+    const ledgerBalance = running;
+    if (differs(ledgerBalance, account.balance)) {
+        issues.push(buildIssue(RECONCILIATION_ISSUE_TYPES.BALANCE_MISMATCH, account, {
+            field: 'balance',
+            expected: ledgerBalance,
+            actual: account.balance,
+        }));
+    }
+    return { ledgerBalance: roundMoney(ledgerBalance), issues };
+};
+
+/**
+ * Profile totals vs master_earnings / commission_payments:
+ *   total_earnings = sum(amount), total_commission_owed = pending commission,
+ *   total_commission_paid = paid commission = sum(commission_payments.amount).
+ */
+export const checkMasterTotals = (profile, earnings = [], payments = []) => {
+    const account = { type: RECONCILIATION_ACCOUNT_TYPES.MASTER, id: profile?.id, name: profile?.full_name };
+    const sumCommission = (status) => earnings
+        .filter((row) => row?.status === status)
+        .reduce((sum, row) => sum + toNumber(row.commission_amount), 0);
+    const checks = [
+        { field: 'total_earnings', expected: earnings.reduce((sum, row) => sum + toNumber(row?.amount), 0) },
+        { field: 'total_commission_owed', expected: sumCommission('pending') },
+        { field: 'total_commission_paid', expected: sumCommission('paid') },
+        {
+            field: 'commission_payments',
+            profileField: 'total_commission_paid',
+            expected: payments.reduce((sum, row) => sum + toNumber(row?.amount), 0),
+        },
+    ];
+    return checks
+        .filter((check) => differs(check.expected, profile?.[check.profileField || check.field]))
+        .map((check) => buildIssue(RECONCILIATION_ISSUE_TYPES.TOTALS_MISMATCH, account, {
+            field: check.field,
+            expected: check.expected,
+            actual: profile?.[check.profileField || check.field],
+        }));
+};
+
+/**
+ * Confirmed orders with a master but no master_earnings row.
+ */
+export const findOrdersWithoutEarning = (orders = [], earnings = [], mastersById = new Map()) => {
+    const earnedOrderIds = new Set((earnings || []).map((row) => row?.order_id).filter(Boolean));
+    return (orders || [])
+        .filter((order) => order?.status === 'confirmed' && order?.master_id && !earnedOrderIds.has(order.id))
+        .map((order) => buildIssue(RECONCILIATION_ISSUE_TYPES.MISSING_EARNING, {
+            type: RECONCILIATION_ACCOUNT_TYPES.MASTER,
+            id: order.master_id,
+            name: mastersById.get(order.master_id)?.full_name,
+        }, {
+            orderId: order.id,
+            expected: order.final_price ?? order.initial_price ?? null,
+            actual: 0,
+            createdAt: order.confirmed_at,
+        }));
+};
+
+const groupBy = (rows, key) => (rows || []).reduce((map, row) => {
+    const value = row?.[key];
+    if (!value) return map;
+    if (!map.has(value)) map.set(value, []);
+    map.get(value).push(row);
+    return map;
+}, new Map());
+
+/**
+ * Full report: { issues, summary: { accountsChecked, transactionsReplayed, issueCount, byType } }.
+ * `masters` carry prepaid_balance, initial_deposit and the commission totals; `partners` carry partner_balance.
+ */
+export const buildReconciliationReport = ({
+    masters = [],
+    partners = [],
+    balanceTransactions = [],
+    partnerTransactions = [],
+    earnings = [],
+    commissionPayments = [],
+    confirmedOrders = [],
+} = {}) => {
+    const masterTx = groupBy(balanceTransactions, 'master_id');
+    const partnerTx = groupBy(partnerTransactions, 'partner_id');
+    const earningsByMaster = groupBy(earnings, 'master_id');
+    const paymentsByMaster = groupBy(commissionPayments, 'master_id');
+    const mastersById = new Map((masters || []).map((master) => [master.id, master]));
+    const issues = [];
+
+    (masters || []).forEach((master) => {
+        const account = {
+            type: RECONCILIATION_ACCOUNT_TYPES.MASTER,
+            id: master.id,
+            name: master.full_name,
+            balance: master.prepaid_balance,
+            openingBalance: getOpeningBalance(master.initial_deposit, masterTx.get(master.id)),
+        };
+        issues.push(...replayLedger(account, masterTx.get(master.id)).issues);
+        issues.push(...checkMasterTotals(master, earningsByMaster.get(master.id) || [], paymentsByMaster.get(master.id) || []));
+    });
+    (partners || []).forEach((partner) => {
+        issues.push(...replayLedger({
+            type: RECONCILIATION_ACCOUNT_TYPES.PARTNER,
+            id: partner.id,
+            name: partner.full_name,
+            balance: partner.partner_balance,
+        }, partnerTx.get(partner.id)).issues);
+    });
+    issues.push(...findOrdersWithoutEarning(confirmedOrders, earnings, mastersById));
+
+    const byType = Object.values(RECONCILIATION_ISSUE_TYPES)
+        .reduce((acc, type) => ({ ...acc, [type]: issues.filter((issue) => issue.type === type).length }), {});
+    return {
+        issues,
+        summary: {
+            accountsChecked: (masters || []).length + (partners || []).length,
+            transactionsReplayed: (balanceTransactions || []).length + (partnerTransactions || []).length,
+            issueCount: issues.length,
+            byType,
+        },
+    };
+};
@@ -0,0 +1,140 @@
+/**
+ * Order Line Items
+ * Itemized completion breakdown stored in orders.line_items (see data/PATCH_ORDER_LINE_ITEMS.sql).
+ * Each line is { id, kind, description, quantity, unit_price, amount }; the final price is the sum of amounts.
+ * Line ids are referenced by disputes (disputes.disputed_line_ids) and admin adjustments.
+ */
+
+export const LINE_ITEM_KINDS = {
+    LABOR: 'labor',
+    MATERIAL: 'material',
+    CALLOUT: 'callout',
+};
+
+export const LINE_ITEM_KIND_LABELS = {
+    [LINE_ITEM_KINDS.LABOR]: { key: 'lineItemLabor', fallback: 'Labor' },
+    [LINE_ITEM_KINDS.MATERIAL]: { key: 'lineItemMaterial', fallback: 'Material' },
+    [LINE_ITEM_KINDS.CALLOUT]: { key: 'lineItemCallout', fallback: 'Extra call-out' },
+};
+
+export const LINE_ITEM_ERRORS = {
+    EMPTY: 'empty',
+    INVALID_LINE: 'invalid_line',
+    BELOW_CALLOUT: 'below_callout',
+};
+
+export const MAX_LINE_ITEMS = 30;
+
+const KIND_VALUES = Object.values(LINE_ITEM_KINDS);
+
+const toNumberOrNull = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(String(value).replace(',', '.'));
+    return Number.isFinite(num) ? num : null;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+let lineSeq = 0;
+const nextLineId = () => {
+    lineSeq += 1;
+    return `li_${Date.now().toString(36)}${lineSeq.toString(36)}`;
+};
+
+/**
+ * Blank editor row. Quantity only matters for materials; labor and call-out lines are quantity 1.
+ */
+export const createLineItem = (kind = LINE_ITEM_KINDS.LABOR) => ({
+    id: nextLineId(),
+    kind: KIND_VALUES.includes(kind) ? kind : LINE_ITEM_KINDS.LABOR,
+    description: '',
+    quantity: '1',
+    unit_price: '',
+});
+
+export const getLineAmount = (item) => {
+    const quantity = item?.kind === LINE_ITEM_KINDS.MATERIAL ? toNumberOrNull(item?.quantity) : 1;
+    const unitPrice = toNumberOrNull(item?.unit_price);
+    if (quantity === null || unitPrice === null) return null;
+    return roundMoney(quantity * unitPrice);
+};
+
+/**
+ * Stored shape from editor rows or a stored JSON value. Rows without a positive amount are dropped.
+ */
+export const normalizeLineItems = (raw) => {
+    const list = Array.isArray(raw) ? raw : [];
+    return list
+        .map((item) => {
+            const kind = KIND_VALUES.includes(item?.kind) ? item.kind : LINE_ITEM_KINDS.LABOR;
+            const quantity = kind === LINE_ITEM_KINDS.MATERIAL ? toNumberOrNull(item?.quantity) : 1;
+            const unitPrice = toNumberOrNull(item?.unit_price);
+            const amount = toNumberOrNull(item?.amount) ?? getLineAmount({ ...item, kind });
+            const normalized = {
+                id: String(item?.id || nextLineId()),
+                kind,
+                description: String(item?.description || '').trim(),
+                quantity,
+                unit_price: unitPrice,
+                amount,
+            };
+            const adjustedFrom = toNumberOrNull(item?.adjusted_from);
+            if (adjustedFrom !== null) normalized.adjusted_from = adjustedFrom;
+            return normalized;
+        })
+        .filter((item) => item.amount !== null && item.amount > 0 && item.quantity !== null && item.quantity > 0)
+        .slice(0, MAX_LINE_ITEMS);
+};
+
+export const sumLineItems = (items = []) => roundMoney(
+    (items || []).reduce((sum, item) => sum + (toNumberOrNull(item?.amount) ?? getLineAmount(item) ?? 0), 0)
+);
+
+/**
+ * Totals per kind: { labor, material, callout }.
+ */
+export const summarizeLineItems = (items = []) => normalizeLineItems(items).reduce((acc, item) => {
+    acc[item.kind] = roundMoney((acc[item.kind] || 0) + item.amount);
+    return acc;
+}, { labor: 0, material: 0, callout: 0 });
+
+/**
+ * Validate editor rows before completion.
+ * Returns { valid, error, items, total } where items are normalized.
+ */
+export const validateLineItems = (rows = [], { calloutFee = null } = {}) => {
+    const touched = (rows || []).filter((row) => (
+        String(row?.description || '').trim() || String(row?.unit_price ?? '').trim()
+    ));
+    if (!touched.length) {
+        return { valid: false, error: LINE_ITEM_ERRORS.EMPTY, items: [], total: 0 };
+    }
+    const items = normalizeLineItems(touched);
+    if (items.length !== touched.length || items.some((item) => !item.description)) {
+        return { valid: false, error: LINE_ITEM_ERRORS.INVALID_LINE, items, total: sumLineItems(items) };
+    }
+    const total = sumLineItems(items);
+    const fee = toNumberOrNull(calloutFee);
+    if (fee !== null && total < fee) {
+        return { valid: false, error: LINE_ITEM_ERRORS.BELOW_CALLOUT, items, total };
+    }
+    return { valid: true, error: null, items, total };
+};
+
+/**
+ * Apply admin amounts to disputed lines: `adjustments` maps line id -> new amount
+ * (0 removes the line). Adjusted lines keep their original amount in `adjusted_from`.
+ */
+export const applyLineAdjustments = (items = [], adjustments = {}) => normalizeLineItems(
+    normalizeLineItems(items).map((item) => {
+        const next = toNumberOrNull(adjustments?.[item.id]);
+        if (next === null || next === item.amount) return item;
+        return {
+            ...item,
+            quantity: 1,
+            unit_price: next,
+            amount: next,
+            adjusted_from: item.adjusted_from ?? item.amount,
+        };
+    })
+);
@@ -0,0 +1,182 @@
+/**
+ * Master Availability
+ * On-duty toggle, weekly working hours and vacation periods from
+ * data/PATCH_MASTER_AVAILABILITY.sql. Times are platform-local (Asia/Bishkek, UTC+6 without
+ * DST), the same zone the SQL check `is_master_available` uses.
+ */
+
+export const AVAILABILITY_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+export const AVAILABILITY_UTC_OFFSET_MINUTES = 6 * 60;
+
+export const AVAILABILITY_REASONS = {
+    OFF_DUTY: 'off_duty',
+    TIME_OFF: 'time_off',
+    OUTSIDE_HOURS: 'outside_hours',
+};
+
+export const MAX_DAY_INTERVALS = 3;
+export const MAX_TIME_OFF_PERIODS = 20;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// getUTCDay() order (Sunday first) mapped to AVAILABILITY_DAYS keys.
+const DAY_BY_UTC_INDEX = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const isValidDate = (value) => {
+    if (!DATE_PATTERN.test(String(value || ''))) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Day key, YYYY-MM-DD date and minutes since midnight of `now` in platform time.
+ */
+export const getPlatformClock = (now = new Date()) => {
+    const local = new Date(new Date(now).getTime() + AVAILABILITY_UTC_OFFSET_MINUTES * 60 * 1000);
+    return {
+        day: DAY_BY_UTC_INDEX[local.getUTCDay()],
+        date: `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}`,
+        minutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+    };
+};
+
+/**
+ * Valid weekly schedule from a stored value: { mon: [{ start: 'HH:MM', end: 'HH:MM' }], ... }.
+ * Intervals must end after they start; overnight hours are two intervals. An empty object
+ * means no hours restriction, otherwise days without intervals are days off.
+ */
+export const normalizeAvailabilitySchedule = (raw) => {
+    const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    return AVAILABILITY_DAYS.reduce((acc, day) => {
+        if (!Array.isArray(source[day])) return acc;
+        acc[day] = source[day]
+            .filter((interval) => TIME_PATTERN.test(interval?.start) && TIME_PATTERN.test(interval?.end))
+            .filter((interval) => toMinutes(interval.end) > toMinutes(interval.start))
+            .map((interval) => ({ start: interval.start, end: interval.end }))
+            .sort((a, b) => toMinutes(a.start) - toMinutes(b.start))
+            .slice(0, MAX_DAY_INTERVALS);
+        return acc;
+    }, {});
+};
+
+/**
+ * Valid vacation periods, [{ start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', note }] with both
+ * dates inclusive, sorted by start.
+ */
+export const normalizeTimeOff = (raw) => (Array.isArray(raw) ? raw : [])
+    .filter((period) => isValidDate(period?.start) && isValidDate(period?.end) && period.end >= period.start)
+    .map((period) => ({ start: period.start, end: period.end, note: String(period.note || '').trim().slice(0, 120) }))
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .slice(0, MAX_TIME_OFF_PERIODS);
+
+export const hasWeeklySchedule = (schedule) => Object.keys(normalizeAvailabilitySchedule(schedule)).length > 0;
+
+/**
+ * Whether a master profile (is_on_duty, availability_schedule, time_off) takes work at `now`.
+ * Returns { available, reason, timeOff } where timeOff is the current vacation period.
+ * Profiles without the columns (patch not applied) are available.
+ */
+export const getMasterAvailability = (master, now = new Date()) => {
+    const clock = getPlatformClock(now);
+    const timeOff = normalizeTimeOff(master?.time_off)
+        .find((period) => period.start <= clock.date && period.end >= clock.date) || null;
+    if (master?.is_on_duty === false) {
+        return { available: false, reason: AVAILABILITY_REASONS.OFF_DUTY, timeOff };
+    }
+    if (timeOff) {
+        return { available: false, reason: AVAILABILITY_REASONS.TIME_OFF, timeOff };
+    }
+    const schedule = normalizeAvailabilitySchedule(master?.availability_schedule);
+    if (Object.keys(schedule).length > 0) {
+        const inHours = (schedule[clock.day] || [])
+            .some((interval) => clock.minutes >= toMinutes(interval.start) && clock.minutes < toMinutes(interval.end));
+        if (!inHours) {
+            return { available: false, reason: AVAILABILITY_REASONS.OUTSIDE_HOURS, timeOff: null };
+        }
+    }
+    return { available: true, reason: null, timeOff: null };
+};
+
+export const isMasterAvailable = (master, now = new Date()) => getMasterAvailability(master, now).available;
+
+const DEFAULT_INTERVAL = { start: '09:00', end: '18:00' };
+
+/**
+ * Editable schedule for the account form: one row per day with an on/off switch and its
+ * intervals (a split day such as 09:00-13:00 and 14:00-18:00 stays two intervals).
+ * Without a stored schedule every day starts as 09:00-18:00 but `restricted` is off, so
+ * saving keeps "no hours restriction".
+ */
+export const toScheduleForm = (raw) => {
+    const schedule = normalizeAvailabilitySchedule(raw);
+    const restricted = Object.keys(schedule).length > 0;
+    return {
+        restricted,
+        days: AVAILABILITY_DAYS.map((day) => {
+            const intervals = schedule[day] || [];
+            return {
+                day,
+                enabled: restricted ? intervals.length > 0 : true,
+                intervals: intervals.length ? intervals : [{ ...DEFAULT_INTERVAL }],
+            };
+        }),
+    };
+};
+
+/**
+ * Schedule to store from the account form. Returns { schedule, errors: [day] } where a day
+ * is listed when it is enabled with an invalid, empty or overlapping interval.
+ */
+export const fromScheduleForm = (form) => {
+    if (!form?.restricted) return { schedule: {}, errors: [] };
+    const errors = [];
+    const schedule = (form.days || []).reduce((acc, row) => {
+        if (!AVAILABILITY_DAYS.includes(row?.day)) return acc;
+        if (!row.enabled) {
+            acc[row.day] = [];
+            return acc;
+        }
+        const intervals = (Array.isArray(row.intervals) ? row.intervals : []).map((interval) => ({
+            start: String(interval?.start || '').trim(),
+            end: String(interval?.end || '').trim(),
+        }));
+        const valid = intervals.length > 0
+            && intervals.length <= MAX_DAY_INTERVALS
+            && intervals.every(({ start, end }) => (
+                TIME_PATTERN.test(start) && TIME_PATTERN.test(end) && toMinutes(end) > toMinutes(start)
+            ));
+        const sorted = valid ? [...intervals].sort((a, b) => toMinutes(a.start) - toMinutes(b.start)) : [];
+        const overlaps = sorted.some((interval, index) => (
+            index > 0 && toMinutes(interval.start) < toMinutes(sorted[index - 1].end)
+        ));
+        if (!valid || overlaps) {
+            errors.push(row.day);
+            return acc;
+        }
+        acc[row.day] = sorted;
+        return acc;
+    }, {});
+    return { schedule, errors };
+};
+
+/**
+ * Checks a vacation period before it is added. Returns null or an error code:
+ * INVALID_DATE, END_BEFORE_START, IN_PAST or OVERLAP.
+ */
+export const validateTimeOffPeriod = (period, existing = [], now = new Date()) => {
+    if (!isValidDate(period?.start) || !isValidDate(period?.end)) return 'INVALID_DATE';
+    if (period.end < period.start) return 'END_BEFORE_START';
+    if (period.end < getPlatformClock(now).date) return 'IN_PAST';
+    const overlaps = normalizeTimeOff(existing)
+        .some((item) => item.start <= period.end && item.end >= period.start);
+    return overlaps ? 'OVERLAP' : null;
+};
@@ -0,0 +1,133 @@
+/**
+ * Master Recommendations
+ * Ranks assignment candidates for one order. Each factor contributes points up to its
+ * weight (100 in total); blocked, full or unavailable masters stay in the list but are never
+ * the top match.
+ */
+
+import { getMasterAvailability } from './masterAvailability';
+
+export const RECOMMENDATION_WEIGHTS = {
+    specialization: 40,
+    area: 20,
+    workload: 15,
+    rating: 15,
+    refusals: 10,
+};
+
+// Points deducted per recorded refusal.
+export const REFUSAL_PENALTY = 2;
+// Used for the workload ratio when a master has no max_active_jobs set.
+export const DEFAULT_MAX_ACTIVE_JOBS = 5;
+
+export const RECOMMENDATION_BLOCKERS = {
+    BALANCE_BLOCKED: 'balance_blocked',
+    LIMIT_REACHED: 'limit_reached',
+    UNAVAILABLE: 'unavailable',
+};
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase();
+
+const toNumberOrNull = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const getSpecializations = (master) => {
+    const raw = master?.specializations;
+    if (Array.isArray(raw)) return raw.map(normalizeText).filter(Boolean);
+    if (typeof raw === 'string') return raw.split(',').map(normalizeText).filter(Boolean);
+    return [];
+};
+
+const scoreSpecialization = (master, serviceType) => {
+    const weight = RECOMMENDATION_WEIGHTS.specialization;
+    const specs = getSpecializations(master);
+    const service = normalizeText(serviceType);
+    // Unknown on either side: neither reward nor punish fully.
+    if (!specs.length || !service) return weight / 3;
+    return specs.some((spec) => spec === service || spec.includes(service) || service.includes(spec)) ? weight : 0;
+};
+
+const scoreArea = (master, area) => {
+    const weight = RECOMMENDATION_WEIGHTS.area;
+    const serviceArea = normalizeText(master?.service_area);
+    const orderArea = normalizeText(area);
+    if (!serviceArea || !orderArea) return weight / 3;
+    return serviceArea.includes(orderArea) || orderArea.includes(serviceArea) ? weight : 0;
+};
+
+const scoreWorkload = (activeJobs, maxJobs) => {
+    const capacity = maxJobs && maxJobs > 0 ? maxJobs : DEFAULT_MAX_ACTIVE_JOBS;
+    const ratio = Math.min(1, Math.max(0, activeJobs / capacity));
+    return RECOMMENDATION_WEIGHTS.workload * (1 - ratio);
+};
+
+const scoreRating = (master) => {
+    const rating = toNumberOrNull(master?.rating);
+    if (rating === null || rating <= 0) return RECOMMENDATION_WEIGHTS.rating / 2;
+    return RECOMMENDATION_WEIGHTS.rating * Math.min(5, rating) / 5;
+};
+
+const scoreRefusals = (master) => {
+    const refusals = Math.max(0, toNumberOrNull(master?.refusal_count) || 0);
+    return Math.max(0, RECOMMENDATION_WEIGHTS.refusals - refusals * REFUSAL_PENALTY);
+};
+
+/**
+ * Score one master for an order.
+ * Returns { score, breakdown: { specialization, area, workload, rating, refusals }, eligible, blockers }.
+ * Availability (on duty, vacation, working hours) is checked at `now`.
+ */
+export const scoreMasterForOrder = (master, order = {}, now = new Date()) => {
+    const activeJobs = Math.max(0, toNumberOrNull(master?.active_jobs) || 0);
+    const maxJobs = toNumberOrNull(master?.max_active_jobs);
+    const breakdown = {
+        specialization: round1(scoreSpecialization(master, order?.service_type)),
+        area: round1(scoreArea(master, order?.area)),
+        workload: round1(scoreWorkload(activeJobs, maxJobs)),
+        rating: round1(scoreRating(master)),
+        refusals: round1(scoreRefusals(master)),
+    };
+    const blockers = [];
+    if (master?.balance_blocked === true || master?.balance_blocked_at) {
+        blockers.push(RECOMMENDATION_BLOCKERS.BALANCE_BLOCKED);
+    }
+    if (maxJobs !== null && activeJobs >= maxJobs) {
+        blockers.push(RECOMMENDATION_BLOCKERS.LIMIT_REACHED);
+    }
+    if (!getMasterAvailability(master, now).available) {
+        blockers.push(RECOMMENDATION_BLOCKERS.UNAVAILABLE);
+    }
+    const score = round1(Object.values(breakdown).reduce((sum, points) => sum + points, 0));
+    return { score, breakdown, eligible: blockers.length === 0, blockers };
+};
+
+/**
+ * Masters sorted best-first for the order: eligible before blocked, then by score,
+ * then by lighter workload. Each entry is the master with a `recommendation` field.
+ */
+export const rankMastersForOrder = (masters = [], order = {}, now = new Date()) => (
+    (masters || [])
+        .filter(Boolean)
+        .map((master) => ({ ...master, recommendation: scoreMasterForOrder(master, order, now) }))
+        .sort((a, b) => {
+            if (a.recommendation.eligible !== b.recommendation.eligible) {
+                return a.recommendation.eligible ? -1 : 1;
+            }
+            if (b.recommendation.score !== a.recommendation.score) {
+                return b.recommendation.score - a.recommendation.score;
+            }
+            return (toNumberOrNull(a.active_jobs) || 0) - (toNumberOrNull(b.active_jobs) || 0);
+        })
+);
+
+/**
+ * Best eligible master from a ranked list, or null.
+ */
+export const getTopMatch = (rankedMasters = []) => (
+    (rankedMasters || []).find((master) => master?.recommendation?.eligible) || null
+);
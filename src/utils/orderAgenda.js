@@ -0,0 +1,139 @@
+/**
+ * Order Agenda
+ * Day/week agenda for planned orders (master "My Jobs" and the dispatcher queue).
+ * Orders are placed by preferred_date/preferred_time; a time slot is assumed to last
+ * AGENDA_SLOT_MINUTES, and two timed orders of the same master closer than that conflict.
+ */
+
+export const AGENDA_VIEWS = {
+    DAY: 'day',
+    WEEK: 'week',
+};
+
+export const AGENDA_SLOT_MINUTES = 120;
+
+// Statuses that still occupy a slot in someone's day.
+export const AGENDA_STATUSES = ['placed', 'reopened', 'claimed', 'started'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Sort stamp for an order: preferred slot when set, otherwise creation time.
+ * Date-only slots sort at the start of the day.
+ */
+export const getPreferredStamp = (order) => {
+    if (order?.preferred_date) {
+        const dateStr = order.preferred_date;
+        const timeStr = order.preferred_time || '00:00:00';
+        const raw = `${dateStr}T${timeStr}`;
+        const parsed = Date.parse(raw);
+        return Number.isNaN(parsed) ? 0 : parsed;
+    }
+    const created = Date.parse(order?.created_at || '');
+    return Number.isNaN(created) ? 0 : created;
+};
+
+export const toDateKey = (date) => {
+    const value = date instanceof Date ? date : new Date(date);
+    if (Number.isNaN(value.getTime())) return '';
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+export const startOfDay = (date) => {
+    const value = new Date(date);
+    value.setHours(0, 0, 0, 0);
+    return value;
+};
+
+export const addDays = (date, days) => {
+    const value = new Date(date);
+    value.setDate(value.getDate() + days);
+    return value;
+};
+
+/**
+ * Visible range for the anchor date. Weeks start on Monday.
+ * Returns { start, end, days } where `end` is exclusive and `days` are Date objects.
+ */
+export const getAgendaRange = (anchorDate = new Date(), view = AGENDA_VIEWS.WEEK) => {
+    const anchor = startOfDay(anchorDate);
+    if (view === AGENDA_VIEWS.DAY) {
+        return { start: anchor, end: addDays(anchor, 1), days: [anchor] };
+    }
+    const mondayOffset = (anchor.getDay() + 6) % 7;
+    const start = addDays(anchor, -mondayOffset);
+    const days = Array.from({ length: 7 }, (_, index) => addDays(start, index));
+    return { start, end: addDays(start, 7), days };
+};
+
+export const shiftAgendaAnchor = (anchorDate, view, direction) => (
+    addDays(anchorDate, (view === AGENDA_VIEWS.DAY ? 1 : 7) * direction)
+);
+
+const getMasterKey = (order) => order?.master_id || order?.master?.id || null;
+
+/**
+ * Ids of orders whose timed slots overlap another order of the same master.
+ * Unassigned and date-only orders never conflict.
+ */
+export const findAgendaConflicts = (orders = [], slotMinutes = AGENDA_SLOT_MINUTES) => {
+    const windowMs = slotMinutes * 60 * 1000;
+    const byMaster = new Map();
+    orders.forEach((order) => {
+        const masterKey = getMasterKey(order);
+        if (!masterKey || !order?.preferred_date || !order?.preferred_time) return;
+        if (!AGENDA_STATUSES.includes(order.status)) return;
+        const list = byMaster.get(masterKey) || [];
+        list.push({ id: order.id, stamp: getPreferredStamp(order) });
+        byMaster.set(masterKey, list);
+    });
+
+    const conflicts = new Set();
+    byMaster.forEach((list) => {
+        list.sort((a, b) => a.stamp - b.stamp);
+        for (let i = 0; i < list.length; i += 1) {
+            for (let j = i + 1; j < list.length && list[j].stamp - list[i].stamp < windowMs; j += 1) {
+                conflicts.add(list[i].id);
+                conflicts.add(list[j].id);
+            }
+        }
+    });
+    return conflicts;
+};
+
+/**
+ * Group scheduled orders into the visible days.
+ * Returns [{ key, date, items: [{ order, stamp, hasTime, conflict }] }] with items in slot order.
+ */
+export const buildAgendaDays = (orders = [], { anchorDate = new Date(), view = AGENDA_VIEWS.WEEK, slotMinutes = AGENDA_SLOT_MINUTES } = {}) => {
+    const { days } = getAgendaRange(anchorDate, view);
+    const scheduled = orders.filter((order) => order?.preferred_date && AGENDA_STATUSES.includes(order.status));
+    const conflicts = findAgendaConflicts(scheduled, slotMinutes);
+    const byDay = new Map(days.map((date) => [toDateKey(date), []]));
+
+    scheduled.forEach((order) => {
+        const key = String(order.preferred_date).slice(0, 10);
+        const bucket = byDay.get(key);
+        if (!bucket) return;
+        bucket.push({
+            order,
+            stamp: getPreferredStamp(order),
+            hasTime: Boolean(order.preferred_time),
+            conflict: conflicts.has(order.id),
+        });
+    });
+
+    return days.map((date) => {
+        const key = toDateKey(date);
+        const items = byDay.get(key).sort((a, b) => {
+            // Date-only orders ("any time") go after timed slots.
+            if (a.hasTime !== b.hasTime) return a.hasTime ? -1 : 1;
+            return a.stamp - b.stamp;
+        });
+        return { key, date, items };
+    });
+};
+
+export const isSameDay = (a, b) => toDateKey(a) === toDateKey(b);
+
+export const formatSlotTime = (preferredTime) => (preferredTime ? String(preferredTime).slice(0, 5) : '');
@@ -0,0 +1,141 @@
+/**
+ * Order Timeline
+ * Turns raw order_audit_log rows into display events (claimed, started, reassigned, repriced...).
+ * Rows come from two writers with different shapes:
+ *   - trg_log_order_status_change: status transitions (old/new status columns or old_data/new_data)
+ *   - ordersService.updateOrderInline: action 'order_updated' with old_data/new_data snapshots
+ */
+
+export const TIMELINE_EVENTS = {
+    CREATED: 'created',
+    CLAIMED: 'claimed',
+    STARTED: 'started',
+    COMPLETED: 'completed',
+    CONFIRMED: 'confirmed',
+    CANCELED: 'canceled',
+    REOPENED: 'reopened',
+    EXPIRED: 'expired',
+    UNASSIGNED: 'unassigned',
+    REASSIGNED: 'reassigned',
+    TRANSFERRED: 'transferred',
+    REPRICED: 'repriced',
+    EDITED: 'edited',
+    STATUS_CHANGED: 'status_changed',
+};
+
+export const TIMELINE_EVENT_LABELS = {
+    [TIMELINE_EVENTS.CREATED]: { key: 'timelineCreated', fallback: 'Order created' },
+    [TIMELINE_EVENTS.CLAIMED]: { key: 'timelineClaimed', fallback: 'Claimed by master' },
+    [TIMELINE_EVENTS.STARTED]: { key: 'timelineStarted', fallback: 'Work started' },
+    [TIMELINE_EVENTS.COMPLETED]: { key: 'timelineCompleted', fallback: 'Work completed' },
+    [TIMELINE_EVENTS.CONFIRMED]: { key: 'timelineConfirmed', fallback: 'Payment confirmed' },
+    [TIMELINE_EVENTS.CANCELED]: { key: 'timelineCanceled', fallback: 'Canceled' },
+    [TIMELINE_EVENTS.REOPENED]: { key: 'timelineReopened', fallback: 'Reopened' },
+    [TIMELINE_EVENTS.EXPIRED]: { key: 'timelineExpired', fallback: 'Expired' },
+    [TIMELINE_EVENTS.UNASSIGNED]: { key: 'timelineUnassigned', fallback: 'Master removed' },
+    [TIMELINE_EVENTS.REASSIGNED]: { key: 'timelineReassigned', fallback: 'Master reassigned' },
+    [TIMELINE_EVENTS.TRANSFERRED]: { key: 'timelineTransferred', fallback: 'Transferred to dispatcher' },
+    [TIMELINE_EVENTS.REPRICED]: { key: 'timelineRepriced', fallback: 'Price changed' },
+    [TIMELINE_EVENTS.EDITED]: { key: 'timelineEdited', fallback: 'Details edited' },
+    [TIMELINE_EVENTS.STATUS_CHANGED]: { key: 'timelineStatusChanged', fallback: 'Status changed' },
+};
+
+export const TIMELINE_PRICE_FIELDS = ['initial_price', 'callout_fee', 'final_price'];
+
+const STATUS_EVENT_MAP = {
+    placed: TIMELINE_EVENTS.CREATED,
+    claimed: TIMELINE_EVENTS.CLAIMED,
+    started: TIMELINE_EVENTS.STARTED,
+    completed: TIMELINE_EVENTS.COMPLETED,
+    confirmed: TIMELINE_EVENTS.CONFIRMED,
+    canceled_by_master: TIMELINE_EVENTS.CANCELED,
+    canceled_by_client: TIMELINE_EVENTS.CANCELED,
+    reopened: TIMELINE_EVENTS.REOPENED,
+    expired: TIMELINE_EVENTS.EXPIRED,
+};
+
+const parseSnapshot = (value) => {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        return {};
+    }
+};
+
+const pickStatus = (...values) => values.find((value) => typeof value === 'string' && value) || null;
+
+const toPriceValue = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+const hasKey = (snapshot, key) => Object.prototype.hasOwnProperty.call(snapshot, key);
+
+const changedKey = (oldData, newData, key) => (
+    hasKey(newData, key) && hasKey(oldData, key) && (oldData[key] ?? null) !== (newData[key] ?? null)
+);
+
+/**
+ * Map one audit row to a timeline event.
+ */
+export const toTimelineEvent = (row = {}) => {
+    const oldData = parseSnapshot(row.old_data);
+    const newData = parseSnapshot(row.new_data);
+    const fromStatus = pickStatus(row.old_status, oldData.status);
+    const toStatus = pickStatus(row.new_status, newData.status);
+    const action = String(row.action || '').toLowerCase();
+
+    const priceChanges = TIMELINE_PRICE_FIELDS
+        .filter((field) => hasKey(newData, field) && hasKey(oldData, field))
+        .map((field) => ({ field, from: toPriceValue(oldData[field]), to: toPriceValue(newData[field]) }))
+        .filter((change) => change.from !== change.to);
+    const masterChanged = changedKey(oldData, newData, 'master_id');
+    const dispatcherChanged = changedKey(oldData, newData, 'assigned_dispatcher_id');
+    const statusChanged = !!toStatus && fromStatus !== toStatus;
+
+    let type = TIMELINE_EVENTS.EDITED;
+    if (action === 'created' || action === 'insert' || action === 'order_created') {
+        type = TIMELINE_EVENTS.CREATED;
+    } else if (statusChanged && toStatus === 'placed' && (fromStatus === 'claimed' || fromStatus === 'started')) {
+        type = TIMELINE_EVENTS.UNASSIGNED;
+    } else if (statusChanged) {
+        type = STATUS_EVENT_MAP[toStatus] || TIMELINE_EVENTS.STATUS_CHANGED;
+    } else if (masterChanged) {
+        type = newData.master_id ? TIMELINE_EVENTS.REASSIGNED : TIMELINE_EVENTS.UNASSIGNED;
+    } else if (dispatcherChanged) {
+        type = TIMELINE_EVENTS.TRANSFERRED;
+    } else if (priceChanges.length) {
+        type = TIMELINE_EVENTS.REPRICED;
+    }
+
+    return {
+        id: row.id || `${row.order_id || 'order'}-${row.created_at || ''}-${action}`,
+        type,
+        at: row.created_at || row.changed_at || null,
+        actorId: row.performed_by || row.changed_by || null,
+        actorName: row.actor_name || row.actor?.full_name || null,
+        actorRole: row.actor_role || row.actor?.role || null,
+        fromStatus,
+        toStatus,
+        priceChanges,
+        notes: row.notes || null,
+    };
+};
+
+/**
+ * Build the full timeline, oldest first.
+ */
+export const buildOrderTimeline = (rows = []) => (
+    (Array.isArray(rows) ? rows : [])
+        .filter(Boolean)
+        .map(toTimelineEvent)
+        .sort((a, b) => {
+            const aTime = a.at ? new Date(a.at).getTime() : 0;
+            const bTime = b.at ? new Date(b.at).getTime() : 0;
+            return aTime - bTime;
+        })
+);
@@ -0,0 +1,181 @@
+/**
+ * Partner Analytics
+ * Referred-order funnel, conversion by service type, commission per order, commission
+ * forecast and payout request lifecycle for the partner dashboard. Orders are the ones the
+ * partner created (orders.dispatcher_id); money comes from partner_balance_transactions.
+ * Pure functions; services/partnerFinance.js loads the rows.
+ */
+
+export const PARTNER_FUNNEL_STAGES = ['referred', 'assigned', 'completed', 'confirmed'];
+
+export const PARTNER_FORECAST_WINDOW_DAYS = 30;
+
+const ASSIGNED_STATUSES = ['claimed', 'started', 'completed', 'confirmed'];
+const COMPLETED_STATUSES = ['completed', 'confirmed'];
+const CANCELED_STATUSES = ['canceled_by_master', 'canceled_by_client', 'expired'];
+const OPEN_STATUSES = ['placed', 'reopened', 'claimed', 'started', 'completed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+};
+
+const roundMoney = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const ratio = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+const getOrderPrice = (order) => toNumber(order?.final_price ?? order?.initial_price);
+
+const isCommissionRow = (tx) => tx?.transaction_type === 'commission_earned';
+
+/**
+ * Stage counts of the referred orders; `rate` is the share of referred orders (percent).
+ * Returns { stages: [{ key, count, rate }], canceled, canceledRate }.
+ */
+export const buildReferralFunnel = (orders = []) => {
+    const list = orders || [];
+    const counts = {
+        referred: list.length,
+        assigned: list.filter((order) => order?.master_id || ASSIGNED_STATUSES.includes(order?.status)).length,
+        completed: list.filter((order) => COMPLETED_STATUSES.includes(order?.status)).length,
+        confirmed: list.filter((order) => order?.status === 'confirmed').length,
+    };
+    const canceled = list.filter((order) => CANCELED_STATUSES.includes(order?.status)).length;
+    return {
+        stages: PARTNER_FUNNEL_STAGES.map((key) => ({ key, count: counts[key], rate: ratio(counts[key], counts.referred) })),
+        canceled,
+        canceledRate: ratio(canceled, counts.referred),
+    };
+};
+
+/**
+ * Referred vs confirmed orders per service type, busiest first.
+ */
+export const buildServiceConversion = (orders = []) => {
+    const byService = (orders || []).reduce((map, order) => {
+        const key = order?.service_type || 'other';
+        const row = map.get(key) || { serviceType: key, referred: 0, confirmed: 0, canceled: 0 };
+        row.referred += 1;
+        if (order?.status === 'confirmed') row.confirmed += 1;
+        if (CANCELED_STATUSES.includes(order?.status)) row.canceled += 1;
+        map.set(key, row);
+        return map;
+    }, new Map());
+    return Array.from(byService.values())
+        .map((row) => ({ ...row, conversion: ratio(row.confirmed, row.referred) }))
+        .sort((a, b) => (b.referred - a.referred) || a.serviceType.localeCompare(b.serviceType));
+};
+
+/**
+ * commission_earned rows grouped by order and joined with the order, newest first.
+ * `effectiveRate` is commission / order price in percent (null without a price).
+ */
+export const buildOrderCommissions = (orders = [], transactions = []) => {
+    const ordersById = new Map((orders || []).map((order) => [order.id, order]));
+    const byOrder = (transactions || []).filter(isCommissionRow).reduce((map, tx) => {
+        const key = tx.order_id || `tx:${tx.id}`;
+        const row = map.get(key) || { orderId: tx.order_id || null, commission: 0, earnedAt: tx.created_at };
+        row.commission += toNumber(tx.amount);
+        if (String(tx.created_at || '') > String(row.earnedAt || '')) row.earnedAt = tx.created_at;
+        map.set(key, row);
+        return map;
+    }, new Map());
+    return Array.from(byOrder.values())
+        .map((row) => {
+            const order = ordersById.get(row.orderId) || null;
+            const price = getOrderPrice(order);
+            return {
+                ...row,
+                commission: roundMoney(row.commission),
+                serviceType: order?.service_type || null,
+                orderPrice: order ? price : null,
+                effectiveRate: price > 0 ? ratio(row.commission, price) : null,
+            };
+        })
+        .sort((a, b) => String(b.earnedAt || '').localeCompare(String(a.earnedAt || '')));
+};
+
+/**
+ * Commission forecast:
+ *   monthlyRunRate: commission earned in the last `windowDays`, scaled to 30 days
+ *   expectedFromOpen: open referred orders x their expected commission x the close rate
+ *     (confirmed / (confirmed + canceled)); an order's commission is price x rate, or the
+ *     average commission per order when it has no price yet.
+ */
+export const forecastPartnerCommission = ({
+    orders = [],
+    transactions = [],
+    commissionRatePercent = 0,
+    now = new Date(),
+    windowDays = PARTNER_FORECAST_WINDOW_DAYS,
+} = {}) => {
+    const since = now.getTime() - windowDays * DAY_MS;
+    const commissionRows = (transactions || []).filter(isCommissionRow);
+    const earnedInWindow = commissionRows
+        .filter((tx) => Date.parse(tx.created_at || '') >= since)
+        .reduce((sum, tx) => sum + toNumber(tx.amount), 0);
+    const perOrder = buildOrderCommissions([], commissionRows);
+    const averageCommission = perOrder.length
+        ? perOrder.reduce((sum, row) => sum + row.commission, 0) / perOrder.length
+        : 0;
+
+    const list = orders || [];
+    const confirmed = list.filter((order) => order?.status === 'confirmed').length;
+    const canceled = list.filter((order) => CANCELED_STATUSES.includes(order?.status)).length;
+    const closeRate = confirmed + canceled > 0 ? confirmed / (confirmed + canceled) : 0;
+    const openOrders = list.filter((order) => OPEN_STATUSES.includes(order?.status));
+    const openCommission = openOrders.reduce((sum, order) => {
+        const price = getOrderPrice(order);
+        return sum + (price > 0 ? price * toNumber(commissionRatePercent) / 100 : averageCommission);
+    }, 0);
+
+    return {
+        windowDays,
+        earnedInWindow: roundMoney(earnedInWindow),
+        monthlyRunRate: roundMoney(earnedInWindow * 30 / windowDays),
+        averageCommission: roundMoney(averageCommission),
+        openOrders: openOrders.length,
+        closeRate: Math.round(closeRate * 1000) / 10,
+        expectedFromOpen: roundMoney(openCommission * closeRate),
+    };
+};
+
+/**
+ * Steps of one payout request: requested -> review (pending) or paid/rejected -> ledger
+ * entry (paid only, the payout_paid row linked by payout_request_id).
+ */
+export const getPayoutLifecycle = (request, transactions = []) => {
+    if (!request) return [];
+    const steps = [{
+        key: 'requested',
+        done: true,
+        at: request.created_at || null,
+        amount: toNumber(request.requested_amount),
+        note: request.requested_note || null,
+    }];
+    if (request.status === 'requested') {
+        steps.push({ key: 'review', done: false, at: null, amount: null, note: null });
+        return steps;
+    }
+    steps.push({
+        key: request.status,
+        done: true,
+        at: request.processed_at || null,
+        amount: request.status === 'paid' ? toNumber(request.approved_amount ?? request.requested_amount) : null,
+        note: request.admin_note || null,
+    });
+    if (request.status === 'paid') {
+        const ledgerRow = (transactions || []).find((tx) => tx?.transaction_type === 'payout_paid'
+            && tx?.payout_request_id === request.id);
+        steps.push({
+            key: 'ledger',
+            done: Boolean(ledgerRow),
+            at: ledgerRow?.created_at || null,
+            amount: ledgerRow ? Math.abs(toNumber(ledgerRow.amount)) : null,
+            note: null,
+        });
+    }
+    return steps;
+};
@@ -0,0 +1,234 @@
+/**
+ * Partner Payout Batches
+ * Batch approval of partner payout requests and the bank transfer files built from a
+ * batch: a CSV and a fixed-width file laid out by platform_settings.payout_bank_template.
+ * Pure functions; services/partnerFinance.js runs data/PATCH_PARTNER_PAYOUT_BATCHES.sql RPCs.
+ */
+
+export const PAYOUT_BATCH_STATUSES = {
+    PAID: 'paid',
+    REVERSED: 'reversed',
+};
+
+export const PAYOUT_BATCH_MAX_ITEMS = 200;
+
+// Values a bank file field can take; see buildPayoutBatchRows.
+export const PAYOUT_FILE_FIELDS = [
+    'reference',
+    'date',
+    'request_id',
+    'partner_id',
+    'partner_name',
+    'phone',
+    'email',
+    'amount',
+    'amount_cents',
+];
+
+export const DEFAULT_PAYOUT_FILE_TEMPLATE = {
+    fields: [
+        { key: 'reference', width: 16, align: 'left', pad: ' ' },
+        { key: 'date', width: 8, align: 'left', pad: ' ' },
+        { key: 'phone', width: 16, align: 'left', pad: ' ' },
+        { key: 'partner_name', width: 40, align: 'left', pad: ' ' },
+        { key: 'amount_cents', width: 12, align: 'right', pad: '0' },
+    ],
+};
+
+const CSV_COLUMNS = ['reference', 'date', 'request_id', 'partner_id', 'partner_name', 'phone', 'email', 'amount'];
+
+const MAX_FIELD_WIDTH = 200;
+
+const toNumber = (value) => {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+};
+
+const roundMoney = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Default batch reference, PB-YYYYMMDD-HHMM in UTC.
+ */
+export const buildPayoutBatchReference = (now = new Date()) => (
+    `PB-${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}`
+    + `-${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}`
+);
+
+/**
+ * Checks a selection of [{ request, amount }] before it is sent to the batch RPC.
+ * Only `requested` payouts with a positive amount pass.
+ * Returns { valid, items: [{ request_id, approved_amount }], total, errors: [{ requestId, error }] }
+ * with error NOT_REQUESTED, INVALID_AMOUNT or DUPLICATE; TOO_MANY / EMPTY have no requestId.
+ */
+export const validatePayoutBatch = (selection = []) => {
+    const list = selection || [];
+    const errors = [];
+    const items = [];
+    const seen = new Set();
+    list.forEach(({ request, amount }) => {
+        const requestId = request?.id;
+        if (seen.has(requestId)) {
+            errors.push({ requestId, error: 'DUPLICATE' });
+            return;
+        }
+        seen.add(requestId);
+        if (String(request?.status || '').toLowerCase() !== 'requested') {
+            errors.push({ requestId, error: 'NOT_REQUESTED' });
+            return;
+        }
+        const approved = roundMoney(String(amount ?? '').replace(',', '.'));
+        if (!(approved > 0)) {
+            errors.push({ requestId, error: 'INVALID_AMOUNT' });
+            return;
+        }
+        items.push({ request_id: requestId, approved_amount: approved });
+    });
+    if (list.length === 0) errors.push({ requestId: null, error: 'EMPTY' });
+    if (list.length > PAYOUT_BATCH_MAX_ITEMS) errors.push({ requestId: null, error: 'TOO_MANY' });
+    return {
+        valid: errors.length === 0,
+        items,
+        total: roundMoney(items.reduce((sum, item) => sum + item.approved_amount, 0)),
+        errors,
+    };
+};
+
+/**
+ * Valid template from a stored value; unknown keys and widths outside 1..200 are dropped.
+ * Literal fields use `value` instead of a key. An empty result falls back to the default.
+ */
+export const normalizePayoutFileTemplate = (raw) => {
+    const fields = (Array.isArray(raw?.fields) ? raw.fields : [])
+        .map((field) => {
+            const width = Math.floor(toNumber(field?.width));
+            const isLiteral = typeof field?.value === 'string' && !field?.key;
+            if (width < 1 || width > MAX_FIELD_WIDTH) return null;
+            if (!isLiteral && !PAYOUT_FILE_FIELDS.includes(field?.key)) return null;
+            return {
+                ...(isLiteral ? { value: field.value } : { key: field.key }),
+                width,
+                align: field?.align === 'right' ? 'right' : 'left',
+                pad: String(field?.pad || ' ').charAt(0) || ' ',
+            };
+        })
+        .filter(Boolean);
+    return fields.length ? { fields } : DEFAULT_PAYOUT_FILE_TEMPLATE;
+};
+
+// Form parts with whitespace, quotes or backslashes are double-quoted with \" and \\ escapes.
+const quoteTemplatePart = (text) => (/[\s"\\]/.test(text) ? `"${text.replace(/[\\"]/g, '\\$&')}"` : text);
+
+// Splits a form line on whitespace outside double quotes; an unclosed quote runs to the end.
+const splitTemplateLine = (line) => {
+    const parts = [];
+    let current = null;
+    let quoted = false;
+    for (let index = 0; index < line.length; index += 1) {
+        const char = line[index];
+        if (quoted && char === '\\' && index + 1 < line.length) {
+            index += 1;
+            current += line[index];
+        } else if (char === '"') {
+            current = current ?? '';
+            quoted = !quoted;
+        } else if (!quoted && /\s/.test(char)) {
+            if (current !== null) parts.push(current);
+            current = null;
+        } else {
+            current = (current ?? '') + char;
+        }
+    }
+    if (current !== null) parts.push(current);
+    return parts;
+};
+
+/**
+ * Settings form text: one field per line, "key width [left|right] [pad]".
+ * Literal text is written as "=TEXT width ..." and double-quoted when it has spaces:
+ * ="ACME BANK" 9. fromPayoutTemplateForm normalizes the parsed lines, so invalid ones are
+ * dropped on save.
+ */
+export const toPayoutTemplateForm = (raw) => normalizePayoutFileTemplate(raw).fields
+    .map((field) => [
+        field.value !== undefined ? `=${quoteTemplatePart(field.value)}` : field.key,
+        field.width,
+        field.align,
+        field.pad === ' ' ? null : quoteTemplatePart(field.pad),
+    ].filter((part) => part !== null).join(' '))
+    .join('\n');
+
+export const fromPayoutTemplateForm = (text) => normalizePayoutFileTemplate({
+    fields: String(text || '')
+        .split('\n')
+        .map(splitTemplateLine)
+        .filter((parts) => parts[0])
+        .map(([name, width, align, padChar]) => ({
+            ...(name.startsWith('=') ? { value: name.slice(1) } : { key: name }),
+            width: Number(width),
+            align: align === 'right' ? 'right' : 'left',
+            pad: padChar || ' ',
+        })),
+});
+
+/**
+ * One row per payout of a batch ({ reference, created_at, items: [{ request_id, partner_id,
+ * amount, partner: { full_name, phone, email } }] }), with every PAYOUT_FILE_FIELDS value.
+ */
+export const buildPayoutBatchRows = (batch) => {
+    const createdAt = new Date(batch?.created_at || Date.now());
+    const date = `${createdAt.getUTCFullYear()}${pad(createdAt.getUTCMonth() + 1)}${pad(createdAt.getUTCDate())}`;
+    return (batch?.items || []).map((item) => {
+        const amount = roundMoney(item.amount);
+        return {
+            reference: batch.reference || '',
+            date,
+            request_id: item.request_id || '',
+            partner_id: item.partner_id || '',
+            partner_name: item.partner?.full_name || '',
+            phone: String(item.partner?.phone || '').replace(/\s+/g, ''),
+            email: item.partner?.email || '',
+            amount: amount.toFixed(2),
+            amount_cents: String(Math.round(amount * 100)),
+        };
+    });
+};
+
+export const payoutBatchToCsv = (batch) => [
+    CSV_COLUMNS,
+    ...buildPayoutBatchRows(batch).map((row) => CSV_COLUMNS.map((column) => row[column])),
+].map((row) => row.map(csvCell).join(',')).join('\n');
+
+// Fields a bank reads as numbers; cutting them would change the amount.
+const NUMERIC_FILE_FIELDS = ['amount', 'amount_cents'];
+
+const fitField = (value, field) => {
+    const full = String(value ?? '').replace(/[\r\n]+/g, ' ');
+    if (full.length > field.width && NUMERIC_FILE_FIELDS.includes(field.key)) {
+        const error = new Error(`${field.key} ${full} does not fit ${field.width} characters`);
+        error.code = 'FIELD_OVERFLOW';
+        error.field = field.key;
+        throw error;
+    }
+    const text = full.slice(0, field.width);
+    return field.align === 'right'
+        ? text.padStart(field.width, field.pad)
+        : text.padEnd(field.width, field.pad);
+};
+
+/**
+ * Fixed-width bank file: one line per payout, CRLF line endings. Text longer than its
+ * field is cut to the width; an amount that does not fit throws (code FIELD_OVERFLOW).
+ */
+export const payoutBatchToFixedWidth = (batch, template) => {
+    const { fields } = normalizePayoutFileTemplate(template);
+    return buildPayoutBatchRows(batch)
+        .map((row) => fields.map((field) => fitField(field.value ?? row[field.key], field)).join(''))
+        .join('\r\n');
+};
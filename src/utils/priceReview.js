@@ -0,0 +1,73 @@
+/**
+ * Price Review
+ * Admin decisions on orders whose final price deviates from the initial price by more than
+ * platform_settings.price_deviation_threshold (see data/PATCH_PRICE_REVIEW_QUEUE.sql).
+ */
+
+export const PRICE_REVIEW_DECISIONS = {
+    APPROVE: 'approve',
+    ADJUST: 'adjust',
+    REJECT: 'reject',
+};
+
+export const PRICE_REVIEW_DECISION_LABELS = {
+    [PRICE_REVIEW_DECISIONS.APPROVE]: { key: 'priceReviewApprove', fallback: 'Approve' },
+    [PRICE_REVIEW_DECISIONS.ADJUST]: { key: 'priceReviewAdjust', fallback: 'Adjust' },
+    [PRICE_REVIEW_DECISIONS.REJECT]: { key: 'priceReviewReject', fallback: 'Reject' },
+};
+
+export const DEFAULT_PRICE_DEVIATION_THRESHOLD = 0.25;
+
+const toNumberOrNull = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Threshold as a ratio. Settings store 0.25; the settings form shows 25 (%).
+ */
+export const normalizeDeviationThreshold = (value) => {
+    const num = toNumberOrNull(value);
+    if (num === null || num <= 0) return DEFAULT_PRICE_DEVIATION_THRESHOLD;
+    return num > 1 ? num / 100 : num;
+};
+
+/**
+ * Signed deviation of the final price from the initial price ((final - initial) / initial),
+ * or null when the order has no initial price to compare against.
+ */
+export const getPriceDeviation = (order) => {
+    const initial = toNumberOrNull(order?.initial_price);
+    const final = toNumberOrNull(order?.final_price);
+    if (initial === null || initial <= 0 || final === null) return null;
+    return Math.round(((final - initial) / initial) * 10000) / 10000;
+};
+
+export const isPriceDeviationFlagged = (order, threshold = DEFAULT_PRICE_DEVIATION_THRESHOLD) => {
+    if (order?.requires_review === true) return true;
+    const deviation = getPriceDeviation(order);
+    return deviation !== null && Math.abs(deviation) > normalizeDeviationThreshold(threshold);
+};
+
+/**
+ * Final price a decision would set: approve keeps the master's price, reject goes back to
+ * the initial price, adjust uses `adjustedPrice`. Returns { price, error } where error is
+ * 'invalid_price' or 'below_callout'.
+ */
+export const resolveReviewPrice = (order, decision, adjustedPrice) => {
+    let price = null;
+    if (decision === PRICE_REVIEW_DECISIONS.APPROVE) price = toNumberOrNull(order?.final_price);
+    if (decision === PRICE_REVIEW_DECISIONS.REJECT) price = toNumberOrNull(order?.initial_price);
+    if (decision === PRICE_REVIEW_DECISIONS.ADJUST) price = toNumberOrNull(adjustedPrice);
+    if (price === null || price <= 0) return { price: null, error: 'invalid_price' };
+    const calloutFee = toNumberOrNull(order?.callout_fee);
+    if (calloutFee !== null && price < calloutFee) return { price, error: 'below_callout' };
+    return { price, error: null };
+};
+
+export const formatDeviation = (deviation) => {
+    if (deviation === null || deviation === undefined || !Number.isFinite(Number(deviation))) return '-';
+    const pct = Math.round(Number(deviation) * 100);
+    return `${pct > 0 ? '+' : ''}${pct}%`;
+};
@@ -0,0 +1,148 @@
+/**
+ * Pricing Insights
+ * Typical final price per service type, district and urgency from confirmed orders
+ * (get_price_insights in data/PATCH_PRICE_INSIGHTS.sql uses the same percentile definition).
+ * The suggested range is the interquartile range (p25-p75) around the median.
+ */
+
+// Groups with fewer confirmed orders are not shown as guidance.
+export const PRICE_INSIGHT_MIN_SAMPLE = 5;
+export const PRICE_INSIGHT_WINDOW_DAYS = 180;
+
+// Most specific first. A missing dimension means "any".
+const GROUP_LEVELS = [
+    ['service_type', 'area', 'urgency'],
+    ['service_type', 'area'],
+    ['service_type', 'urgency'],
+    ['service_type'],
+];
+const DIMENSIONS = ['service_type', 'area', 'urgency'];
+
+export const percentile = (sortedValues, p) => {
+    if (!sortedValues.length) return 0;
+    const n = sortedValues.length;
+    const index = (p / 100) * (n - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    if (lower === upper) return sortedValues[lower];
+    const weight = index - lower;
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight;
+};
+
+export const calcStats = (values) => {
+    if (!values.length) {
+        return {
+            n: 0,
+            min: 0,
+            max: 0,
+            mean: 0,
+            std: 0,
+            p5: 0,
+            p25: 0,
+            p50: 0,
+            p75: 0,
+            p90: 0,
+            p95: 0,
+            iqr: 0,
+            cv: 0,
+        };
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    const min = sorted[0];
+    const max = sorted[n - 1];
+    const mean = sorted.reduce((sum, val) => sum + val, 0) / n;
+    const variance = sorted.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / n;
+    const std = Math.sqrt(variance);
+    const p5 = percentile(sorted, 5);
+    const p25 = percentile(sorted, 25);
+    const p50 = percentile(sorted, 50);
+    const p75 = percentile(sorted, 75);
+    const p90 = percentile(sorted, 90);
+    const p95 = percentile(sorted, 95);
+    const iqr = p75 - p25;
+    const cv = mean ? std / mean : 0;
+    return { n, min, max, mean, std, p5, p25, p50, p75, p90, p95, iqr, cv };
+};
+
+const normalizeKey = (value) => {
+    const text = String(value ?? '').trim();
+    return text || null;
+};
+
+const groupKey = (group) => DIMENSIONS.map((dim) => normalizeKey(group?.[dim]) || '*').join('|');
+
+/**
+ * Insight groups from confirmed order rows ({ service_type, area, urgency, final_price }),
+ * one row per group at every level in GROUP_LEVELS: { service_type, area, urgency, n, p25, p50, p75, iqr }.
+ * Used when the RPC is not available.
+ */
+export const buildPriceInsightGroups = (orders = []) => {
+    const buckets = new Map();
+    (orders || []).forEach((order) => {
+        const price = Number(order?.final_price);
+        const serviceType = normalizeKey(order?.service_type);
+        if (!serviceType || !Number.isFinite(price) || price <= 0) return;
+        GROUP_LEVELS.forEach((level) => {
+            const group = { service_type: null, area: null, urgency: null };
+            level.forEach((dim) => {
+                group[dim] = normalizeKey(order?.[dim]);
+            });
+            if (level.some((dim) => !group[dim])) return;
+            const key = groupKey(group);
+            if (!buckets.has(key)) buckets.set(key, { ...group, values: [] });
+            buckets.get(key).values.push(price);
+        });
+    });
+    return Array.from(buckets.values()).map(({ values, ...group }) => {
+        const stats = calcStats(values);
+        return { ...group, n: stats.n, p25: stats.p25, p50: stats.p50, p75: stats.p75, iqr: stats.iqr };
+    });
+};
+
+/**
+ * Most specific group with enough orders for the given service type / district / urgency,
+ * or null. The result carries `level` (number of matched dimensions, 1-3).
+ */
+export const findPriceInsight = (groups = [], { serviceType, area, urgency } = {}, minSample = PRICE_INSIGHT_MIN_SAMPLE) => {
+    const wanted = {
+        service_type: normalizeKey(serviceType),
+        area: normalizeKey(area),
+        urgency: normalizeKey(urgency),
+    };
+    if (!wanted.service_type || !Array.isArray(groups) || !groups.length) return null;
+    const byKey = new Map(groups.map((group) => [groupKey(group), group]));
+    for (const level of GROUP_LEVELS) {
+        if (level.some((dim) => !wanted[dim])) continue;
+        const probe = { service_type: null, area: null, urgency: null };
+        level.forEach((dim) => {
+            probe[dim] = wanted[dim];
+        });
+        const match = byKey.get(groupKey(probe));
+        if (match && Number(match.n) >= minSample) {
+            return { ...match, level: level.length };
+        }
+    }
+    return null;
+};
+
+const roundPrice = (value) => {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return 0;
+    // Round to a price people actually quote: tens below 1000, fifties above.
+    const step = num >= 1000 ? 50 : 10;
+    return Math.round(num / step) * step;
+};
+
+/**
+ * Display values for a group: { low, median, high, sample }.
+ */
+export const toPriceRange = (insight) => {
+    if (!insight) return null;
+    return {
+        low: roundPrice(insight.p25),
+        median: roundPrice(insight.p50),
+        high: roundPrice(insight.p75),
+        sample: Number(insight.n) || 0,
+    };
+};
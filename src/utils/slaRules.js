@@ -0,0 +1,141 @@
+/**
+ * SLA Rules
+ * "Needs attention" thresholds per order status and urgency, stored in
+ * platform_settings.sla_rules (see data/PATCH_SLA_RULES.sql, which mirrors these defaults).
+ * A claimed threshold left empty falls back to claim_timeout_minutes from Settings.
+ */
+
+export const SLA_STATUSES = ['placed', 'reopened', 'claimed'];
+export const SLA_URGENCIES = ['emergency', 'urgent', 'planned'];
+
+export const DEFAULT_CLAIM_TIMEOUT_MINUTES = 30;
+export const DEFAULT_ESCALATION_FACTOR = 2;
+
+export const DEFAULT_SLA_RULES = {
+    placed: { emergency: 5, urgent: 15, planned: 60 },
+    reopened: { emergency: 5, urgent: 15, planned: 60 },
+    claimed: { emergency: 15, urgent: null, planned: null },
+    escalation_factor: DEFAULT_ESCALATION_FACTOR,
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const toPositiveNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) && num > 0 ? num : null;
+};
+
+/**
+ * Complete rules object from a stored (possibly partial) value. Every status/urgency
+ * pair gets a positive minute threshold.
+ */
+export const normalizeSlaRules = (raw, { claimTimeoutMinutes } = {}) => {
+    const stored = raw && typeof raw === 'object' ? raw : {};
+    const claimTimeout = toPositiveNumber(claimTimeoutMinutes) || DEFAULT_CLAIM_TIMEOUT_MINUTES;
+    const rules = {};
+    SLA_STATUSES.forEach((status) => {
+        rules[status] = {};
+        SLA_URGENCIES.forEach((urgency) => {
+            const value = toPositiveNumber(stored?.[status]?.[urgency])
+                ?? toPositiveNumber(DEFAULT_SLA_RULES[status][urgency]);
+            rules[status][urgency] = value ?? claimTimeout;
+        });
+    });
+    const factor = toPositiveNumber(stored.escalation_factor);
+    rules.escalation_factor = factor && factor >= 1 ? factor : DEFAULT_ESCALATION_FACTOR;
+    return rules;
+};
+
+/**
+ * When the SLA clock of an order started: creation for placed orders,
+ * the last status change for reopened and claimed ones.
+ */
+export const getSlaStartStamp = (order) => {
+    const raw = order?.status === 'placed'
+        ? order?.created_at
+        : (order?.updated_at || order?.created_at);
+    const parsed = Date.parse(raw || '');
+    return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+/**
+ * SLA state of one order, or null when no rule applies (status outside SLA_STATUSES,
+ * disputed, no timestamp). Escalated means overdue by escalation_factor x threshold.
+ */
+export const evaluateOrderSla = (order, rules = DEFAULT_SLA_RULES, now = Date.now()) => {
+    const status = String(order?.status || '');
+    if (!SLA_STATUSES.includes(status) || order?.is_disputed === true) return null;
+    const startedAt = getSlaStartStamp(order);
+    if (!startedAt) return null;
+    const urgency = SLA_URGENCIES.includes(order?.urgency) ? order.urgency : 'planned';
+    const isComplete = rules?.escalation_factor && SLA_STATUSES.every((key) => rules?.[key]?.[urgency] > 0);
+    const normalized = isComplete ? rules : normalizeSlaRules(rules);
+    const thresholdMinutes = normalized[status][urgency];
+    const elapsedMinutes = Math.max(0, Math.floor((now - startedAt) / MINUTE_MS));
+    const breached = now - startedAt > thresholdMinutes * MINUTE_MS;
+    return {
+        status,
+        urgency,
+        thresholdMinutes,
+        elapsedMinutes,
+        overdueMinutes: breached ? elapsedMinutes - thresholdMinutes : 0,
+        breached,
+        escalated: breached && now - startedAt > thresholdMinutes * normalized.escalation_factor * MINUTE_MS,
+    };
+};
+
+export const isOrderSlaBreached = (order, rules, now = Date.now()) => Boolean(evaluateOrderSla(order, rules, now)?.breached);
+
+/**
+ * Compliance rows from get_sla_compliance groups: adds `compliance` (0..1, null without orders)
+ * and sorts worst first.
+ */
+export const toComplianceRows = (groups = []) => (
+    (groups || [])
+        .map((group) => {
+            const total = Number(group?.total) || 0;
+            const breached = Number(group?.breached) || 0;
+            return {
+                ...group,
+                total,
+                breached,
+                compliance: total > 0 ? Math.max(0, (total - breached) / total) : null,
+            };
+        })
+        .sort((a, b) => (a.compliance ?? 1) - (b.compliance ?? 1) || b.total - a.total)
+);
+
+/**
+ * Settings form values (strings) from the stored rules. Claimed cells without a stored
+ * value stay empty so they keep following claim_timeout_minutes.
+ */
+export const toSlaRulesForm = (stored) => {
+    const source = stored && typeof stored === 'object' ? stored : {};
+    const form = {};
+    SLA_STATUSES.forEach((status) => {
+        form[status] = {};
+        SLA_URGENCIES.forEach((urgency) => {
+            const value = toPositiveNumber(source?.[status]?.[urgency]) ?? DEFAULT_SLA_RULES[status][urgency];
+            form[status][urgency] = value ? String(value) : '';
+        });
+    });
+    form.escalation_factor = String(toPositiveNumber(source.escalation_factor) || DEFAULT_ESCALATION_FACTOR);
+    return form;
+};
+
+/**
+ * Stored rules from the settings form: numbers, or null for empty/invalid cells.
+ */
+export const fromSlaRulesForm = (form) => {
+    const rules = {};
+    SLA_STATUSES.forEach((status) => {
+        rules[status] = {};
+        SLA_URGENCIES.forEach((urgency) => {
+            rules[status][urgency] = toPositiveNumber(form?.[status]?.[urgency]);
+        });
+    });
+    const factor = toPositiveNumber(form?.escalation_factor);
+    rules.escalation_factor = factor && factor >= 1 ? factor : DEFAULT_ESCALATION_FACTOR;
+    return rules;
+};
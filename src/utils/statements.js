@@ -0,0 +1,290 @@
+/**
+ * Account Statements
+ * Monthly statements for master (balance_transactions) and partner
+ * (partner_balance_transactions) accounts: opening balance, top-ups, commissions,
+ * payouts, adjustments and closing balance, plus CSV/HTML renderers for export.
+ * Pure functions; services/statements.js loads the rows.
+ */
+
+import { RECONCILIATION_ACCOUNT_TYPES, sortLedger } from './ledgerReconciliation';
+
+export const STATEMENT_ACCOUNT_TYPES = RECONCILIATION_ACCOUNT_TYPES;
+
+export const STATEMENT_CATEGORIES = {
+    TOP_UPS: 'topUps',
+    EARNED: 'earned',
+    COMMISSIONS: 'commissions',
+    PAYOUTS: 'payouts',
+    ADJUSTMENTS: 'adjustments',
+};
+
+const CATEGORY_BY_TYPE = {
+    top_up: STATEMENT_CATEGORIES.TOP_UPS,
+    initial_deposit: STATEMENT_CATEGORIES.TOP_UPS,
+    commission_earned: STATEMENT_CATEGORIES.EARNED,
+    commission: STATEMENT_CATEGORIES.COMMISSIONS,
+    commission_deduct: STATEMENT_CATEGORIES.COMMISSIONS,
+    payout_paid: STATEMENT_CATEGORIES.PAYOUTS,
+};
+
+// Debit categories are reported as positive totals and subtracted from the balance.
+const DEBIT_CATEGORIES = [STATEMENT_CATEGORIES.COMMISSIONS, STATEMENT_CATEGORIES.PAYOUTS];
+
+const CSV_COLUMNS = ['date', 'type', 'category', 'amount', 'balance_before', 'balance_after', 'notes'];
+const BULK_CSV_COLUMNS = ['account_type', 'account_id', 'name', 'phone', 'period', 'opening_balance',
+    'top_ups', 'earned', 'commissions', 'payouts', 'adjustments', 'closing_balance', 'transactions'];
+
+const toNumber = (value) => {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+};
+
+const roundMoney = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Months are cut at platform-local midnight (Asia/Bishkek, UTC+6 without DST).
+const STATEMENT_UTC_OFFSET_MS = 6 * 60 * 60000;
+
+export const getStatementCategory = (transactionType) => CATEGORY_BY_TYPE[transactionType] || STATEMENT_CATEGORIES.ADJUSTMENTS;
+
+/**
+ * Calendar month in platform time (Asia/Bishkek, UTC+6). `month` is 1-12. Returns
+ * { year, month, label: 'YYYY-MM', start, end } where start and end are UTC instants of
+ * local midnight and `end` is exclusive (first instant of the next month).
+ */
+export const resolveStatementPeriod = (year, month) => {
+    const local = new Date(Date.UTC(year, month - 1, 1));
+    const start = new Date(local.getTime() - STATEMENT_UTC_OFFSET_MS);
+    const end = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 1) - STATEMENT_UTC_OFFSET_MS);
+    return {
+        year: local.getUTCFullYear(),
+        month: local.getUTCMonth() + 1,
+        label: `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}`,
+        start: start.toISOString(),
+        end: end.toISOString(),
+    };
+};
+
+/**
+ * The current month and the `count - 1` months before it, newest first.
+ */
+export const listRecentPeriods = (count = 6, now = new Date()) => {
+    const local = new Date(now.getTime() + STATEMENT_UTC_OFFSET_MS);
+    return Array.from({ length: count }, (_, index) => (
+        resolveStatementPeriod(local.getUTCFullYear(), local.getUTCMonth() + 1 - index)
+    ));
+};
+
+// Platform-local calendar date (YYYY-MM-DD) of a timestamp.
+const toLocalDate = (value) => {
+    const stamp = Date.parse(value || '');
+    if (!Number.isFinite(stamp)) return '';
+    return new Date(stamp + STATEMENT_UTC_OFFSET_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Signed balance change of a row: balance_after - balance_before when both are stored,
+ * otherwise the amount with the category's sign (writers disagree on the sign of debits).
+ */
+const getSignedDelta = (tx, category) => {
+    if (hasValue(tx?.balance_before) && hasValue(tx?.balance_after)) {
+        return toNumber(tx.balance_after) - toNumber(tx.balance_before);
+    }
+    const amount = toNumber(tx?.amount);
+    if (DEBIT_CATEGORIES.includes(category)) return -Math.abs(amount);
+    if (category === STATEMENT_CATEGORIES.ADJUSTMENTS) return amount;
+    return Math.abs(amount);
+};
+
+/**
+ * Build one statement.
+ *   account: { type, id, name, phone }
+ *   period: from resolveStatementPeriod
+ *   transactions: the account's rows created at or after period.start (later rows anchor
+ *     the opening balance of a month without activity)
+ *   currentBalance: profile balance, used when no row from period.start onwards has a balance
+ */
+export const buildStatement = ({ account, period, transactions = [], currentBalance = 0 }) => {
+    const startStamp = Date.parse(period.start);
+    const endStamp = Date.parse(period.end);
+    const ordered = sortLedger((transactions || []).filter((tx) => Date.parse(tx?.created_at || '') >= startStamp));
+    const inPeriod = ordered.filter((tx) => Date.parse(tx.created_at) < endStamp);
+    const firstAfter = ordered.find((tx) => Date.parse(tx.created_at) >= endStamp);
+
+    const anchor = inPeriod[0] || firstAfter;
+    const openingBalance = toNumber(hasValue(anchor?.balance_before) ? anchor.balance_before : currentBalance);
+
+    const totals = Object.values(STATEMENT_CATEGORIES).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+    const lines = inPeriod.map((tx) => {
+        const category = getStatementCategory(tx.transaction_type);
+        const delta = getSignedDelta(tx, category);
+        totals[category] += DEBIT_CATEGORIES.includes(category) ? -delta : delta;
+        return {
+            id: tx.id,
+            createdAt: tx.created_at,
+            type: tx.transaction_type || null,
+            category,
+            amount: roundMoney(delta),
+            balanceBefore: tx.balance_before ?? null,
+            balanceAfter: tx.balance_after ?? null,
+            notes: tx.notes || '',
+            orderId: tx.order_id || null,
+        };
+    });
+
+    const lastRow = inPeriod[inPeriod.length - 1];
+    const closingBalance = hasValue(lastRow?.balance_after)
+        ? lastRow.balance_after
+        : lines.reduce((sum, line) => sum + line.amount, openingBalance);
+    return {
+        account: {
+            type: account?.type,
+            id: account?.id,
+            name: account?.name || '',
+            phone: account?.phone || '',
+        },
+        period,
+        openingBalance: roundMoney(openingBalance),
+        closingBalance: roundMoney(closingBalance),
+        totals: Object.keys(totals).reduce((acc, key) => ({ ...acc, [key]: roundMoney(totals[key]) }), {}),
+        lines,
+    };
+};
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map((row) => row.map(csvCell).join(',')).join('\n');
+
+/**
+ * One statement: summary rows, a blank line, then the transaction lines.
+ */
+export const statementToCsv = (statement) => {
+    const { account, period, totals } = statement;
+    return toCsv([
+        ['account_type', account.type],
+        ['account_id', account.id],
+        ['name', account.name],
+        ['period', period.label],
+        ['opening_balance', statement.openingBalance],
+        ...Object.values(STATEMENT_CATEGORIES).map((key) => [key, totals[key]]),
+        ['closing_balance', statement.closingBalance],
+        [],
+        CSV_COLUMNS,
+        ...statement.lines.map((line) => [
+            line.createdAt,
+            line.type,
+            line.category,
+            line.amount,
+            line.balanceBefore,
+            line.balanceAfter,
+            line.notes,
+        ]),
+    ]);
+};
+
+/**
+ * Bulk export: one summary row per account.
+ */
+export const statementsToCsv = (statements = []) => toCsv([
+    BULK_CSV_COLUMNS,
+    ...statements.map((statement) => [
+        statement.account.type,
+        statement.account.id,
+        statement.account.name,
+        statement.account.phone,
+        statement.period.label,
+        statement.openingBalance,
+        statement.totals.topUps,
+        statement.totals.earned,
+        statement.totals.commissions,
+        statement.totals.payouts,
+        statement.totals.adjustments,
+        statement.closingBalance,
+        statement.lines.length,
+    ]),
+]);
+
+const STATEMENT_LABELS = {
+    title: ['statementTitle', 'Statement'],
+    opening: ['statementOpening', 'Opening balance'],
+    topUps: ['statementTopUps', 'Top-ups'],
+    earned: ['statementEarned', 'Commission earned'],
+    commissions: ['statementCommissions', 'Commissions deducted'],
+    payouts: ['statementPayouts', 'Payouts'],
+    adjustments: ['statementAdjustments', 'Adjustments'],
+    closing: ['statementClosing', 'Closing balance'],
+    date: ['statementDate', 'Date'],
+    type: ['statementType', 'Type'],
+    amount: ['statementAmount', 'Amount'],
+    balance: ['statementBalance', 'Balance'],
+    notes: ['statementNotes', 'Notes'],
+    empty: ['statementEmpty', 'No transactions in this period'],
+};
+
+/**
+ * Captions for the summary and statementsToHtml; `translate(key, fallback)` is the
+ * caller's translation lookup.
+ */
+export const buildStatementLabels = (translate) => Object.keys(STATEMENT_LABELS).reduce((acc, key) => {
+    const [translationKey, fallback] = STATEMENT_LABELS[key];
+    return { ...acc, [key]: translate(translationKey, fallback) };
+}, {});
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatHtmlMoney = (value) => roundMoney(value).toFixed(2);
+
+/**
+ * Printable HTML for expo-print. Several statements are separated by page breaks.
+ * `labels` overrides the English captions (title, opening, closing, category keys, columns).
+ */
+export const statementsToHtml = (statements = [], labels = {}) => {
+    const label = (key, fallback) => escapeHtml(labels[key] || fallback);
+    const pages = statements.map((statement) => {
+        const summary = [
+            [label('opening', 'Opening balance'), statement.openingBalance],
+            [label('topUps', 'Top-ups'), statement.totals.topUps],
+            [label('earned', 'Commission earned'), statement.totals.earned],
+            [label('commissions', 'Commissions deducted'), statement.totals.commissions],
+            [label('payouts', 'Payouts'), statement.totals.payouts],
+            [label('adjustments', 'Adjustments'), statement.totals.adjustments],
+            [label('closing', 'Closing balance'), statement.closingBalance],
+        ].map(([caption, value]) => `<tr><td>${caption}</td><td class="num">${formatHtmlMoney(value)}</td></tr>`).join('');
+        const rows = statement.lines.map((line) => `<tr>
+<td>${escapeHtml(toLocalDate(line.createdAt))}</td>
+<td>${escapeHtml(line.type || '')}</td>
+<td class="num">${formatHtmlMoney(line.amount)}</td>
+<td class="num">${line.balanceAfter === null ? '' : formatHtmlMoney(line.balanceAfter)}</td>
+<td>${escapeHtml(line.notes)}</td>
+</tr>`).join('');
+        return `<section>
+<h1>${label('title', 'Statement')} ${escapeHtml(statement.period.label)}</h1>
+<p>${escapeHtml(statement.account.name)}${statement.account.phone ? ` · ${escapeHtml(statement.account.phone)}` : ''}</p>
+<table class="summary">${summary}</table>
+<table>
+<tr><th>${label('date', 'Date')}</th><th>${label('type', 'Type')}</th><th>${label('amount', 'Amount')}</th><th>${label('balance', 'Balance')}</th><th>${label('notes', 'Notes')}</th></tr>
+${rows || `<tr><td colspan="5">${label('empty', 'No transactions in this period')}</td></tr>`}
+</table>
+</section>`;
+    });
+    return `<html><head><meta charset="utf-8" /><style>
+body { font-family: -apple-system, Roboto, Arial, sans-serif; font-size: 12px; color: #111; }
+section { page-break-after: always; }
+section:last-child { page-break-after: auto; }
+h1 { font-size: 18px; margin-bottom: 4px; }
+table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+th, td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+.summary { width: 50%; }
+.num { text-align: right; }
+</style></head><body>${pages.join('')}</body></html>`;
+};
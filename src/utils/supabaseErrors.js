@@ -0,0 +1,37 @@
+/**
+ * Supabase Errors
+ * Detection of schema pieces that come with optional data/PATCH_*.sql files, so services
+ * can fall back to the baseline schema while a patch is not applied yet.
+ */
+
+/**
+ * True when the error says the given RPC function does not exist (Postgres 42883 or the
+ * PostgREST schema cache miss PGRST202, "Could not find the function ...").
+ */
+export const isMissingRpcFunction = (error, fnName) => {
+  const msg = String(error?.message || '').toLowerCase();
+  return msg.includes('function')
+    && msg.includes(String(fnName || '').toLowerCase())
+    && (msg.includes('does not exist') || msg.includes('not found') || msg.includes('could not find'));
+};
+
+/**
+ * True when the error is an unknown column (Postgres 42703 or PostgREST schema cache miss)
+ * that names the given column.
+ */
+export const isMissingColumn = (error, columnName) => {
+  const code = String(error?.code || '');
+  const message = String(error?.message || '').toLowerCase();
+  return (code === '42703' || code === 'PGRST204')
+    && message.includes(String(columnName || '').toLowerCase());
+};
+
+/**
+ * True when PostgREST cannot resolve an embed (PGRST200) that names the given column or
+ * table, e.g. an embed through a foreign key column a patch has not added yet.
+ */
+export const isMissingRelationship = (error, name) => {
+  const message = String(error?.message || '').toLowerCase();
+  return String(error?.code || '') === 'PGRST200'
+    && message.includes(String(name || '').toLowerCase());
+};
@@ -0,0 +1,29 @@
+/**
+ * Supabase Paging
+ * Reads whole tables past PostgREST's row limit, one range request at a time.
+ */
+
+const PAGE_SIZE = 1000;
+const MAX_PAGES = 50;
+
+/**
+ * Read a table page by page. `build` returns a fresh filtered query; rows are ordered by
+ * `orderColumns`, ending with id so pages stay stable. Ledgers pass created_at first so
+ * they arrive oldest first; utils/ledgerReconciliation orders same-instant rows along the
+ * balance chain. Returns { rows, truncated }.
+ */
+export const fetchAllRows = async (build, orderColumns = ['id']) => {
+    const rows = [];
+    for (let page = 0; page < MAX_PAGES; page += 1) {
+        const from = page * PAGE_SIZE;
+        const query = orderColumns.reduce(
+            (current, column) => current.order(column, { ascending: true }),
+            build(),
+        );
+        const { data, error } = await query.range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return { rows, truncated: false };
+    }
+    return { rows, truncated: true };
+};
@@ -0,0 +1,166 @@
+/**
+ * Team Presence
+ * Live board of masters and dispatchers: online state from the AuthContext heartbeat
+ * (last_active_at / last_seen_at / is_online), the claimed or started order they handle and
+ * how long they have been in their current status. Rows come from get_team_presence
+ * (data/PATCH_TEAM_PRESENCE_BOARD.sql).
+ */
+
+import { getMasterAvailability } from './masterAvailability';
+
+// A heartbeat older than this counts as offline (same default as the admin team view).
+export const DEFAULT_ONLINE_RECENCY_MS = 3 * 60 * 1000;
+
+export const PRESENCE_STATUSES = {
+    ON_JOB: 'on_job',
+    CLAIMED: 'claimed',
+    IDLE: 'idle',
+    UNAVAILABLE: 'unavailable',
+    OFFLINE: 'offline',
+};
+
+// Board order: people doing something first, offline last.
+const STATUS_RANK = {
+    [PRESENCE_STATUSES.ON_JOB]: 0,
+    [PRESENCE_STATUSES.CLAIMED]: 1,
+    [PRESENCE_STATUSES.IDLE]: 2,
+    [PRESENCE_STATUSES.UNAVAILABLE]: 3,
+    [PRESENCE_STATUSES.OFFLINE]: 4,
+};
+
+const toTs = (value) => {
+    if (!value) return 0;
+    const ts = new Date(value).getTime();
+    return Number.isFinite(ts) && ts > 0 ? ts : 0;
+};
+
+/**
+ * Latest heartbeat timestamp (ms) of a profile, 0 when unknown.
+ */
+export const getLastSeenTs = (person) => Math.max(
+    toTs(person?.last_active_at),
+    toTs(person?.last_seen_at),
+);
+
+/**
+ * Online when the last heartbeat is recent. An explicit is_online=false wins, so a clean
+ * logout shows up at once.
+ */
+export const isPersonOnline = (person, now = Date.now(), recencyMs = DEFAULT_ONLINE_RECENCY_MS) => {
+    if (person?.is_online === false) return false;
+    const lastSeen = getLastSeenTs(person);
+    return lastSeen > 0 && (Number(now) - lastSeen) <= recencyMs;
+};
+
+/**
+ * Status of one row and the timestamp it started at, when the data tells:
+ * started_at / claimed_at for jobs, the last heartbeat for offline, the on-duty switch for
+ * unavailable masters. Idle has no stored start.
+ */
+export const getPresenceStatus = (person, now = Date.now(), recencyMs = DEFAULT_ONLINE_RECENCY_MS) => {
+    const job = person?.active_job || null;
+    if (!isPersonOnline(person, now, recencyMs)) {
+        return { status: PRESENCE_STATUSES.OFFLINE, since: getLastSeenTs(person) || null };
+    }
+    if (job?.status === 'started') {
+        return { status: PRESENCE_STATUSES.ON_JOB, since: toTs(job.started_at) || toTs(job.updated_at) || null };
+    }
+    if (job?.status === 'claimed') {
+        return { status: PRESENCE_STATUSES.CLAIMED, since: toTs(job.claimed_at) || toTs(job.updated_at) || null };
+    }
+    if (person?.role === 'master' && !getMasterAvailability(person, new Date(Number(now))).available) {
+        return { status: PRESENCE_STATUSES.UNAVAILABLE, since: toTs(person.on_duty_changed_at) || null };
+    }
+    return { status: PRESENCE_STATUSES.IDLE, since: null };
+};
+
+/**
+ * Board rows sorted by status, then name. `previous` is the last board: a row whose status
+ * did not change keeps its start, and a change seen live starts at `now`, so idle time
+ * is known from the first transition on.
+ */
+export const buildPresenceBoard = (people = [], {
+    now = Date.now(),
+    previous = [],
+    recencyMs = DEFAULT_ONLINE_RECENCY_MS,
+} = {}) => {
+    const previousById = new Map((previous || []).map((row) => [String(row.id), row]));
+    return (people || [])
+        .filter((person) => person?.id)
+        .map((person) => {
+            const { status, since } = getPresenceStatus(person, now, recencyMs);
+            const before = previousById.get(String(person.id));
+            let statusSince = since;
+            if (!statusSince && before) {
+                statusSince = before.status === status ? before.statusSince : Number(now);
+            }
+            return {
+                id: person.id,
+                role: person.role,
+                name: person.full_name || person.phone || String(person.id).slice(0, 6),
+                phone: person.phone || '',
+                online: status !== PRESENCE_STATUSES.OFFLINE,
+                lastSeenAt: getLastSeenTs(person) || null,
+                status,
+                statusSince: statusSince || null,
+                activeJob: person.active_job || null,
+                activeJobs: Number(person.active_jobs) || 0,
+            };
+        })
+        .sort((a, b) => (
+            STATUS_RANK[a.status] - STATUS_RANK[b.status]
+            || String(a.name).localeCompare(String(b.name))
+        ));
+};
+
+// Profile columns a heartbeat or availability change touches; see mergePresenceUpdate.
+export const PRESENCE_PROFILE_FIELDS = [
+    'is_online',
+    'last_active_at',
+    'last_seen_at',
+    'is_on_duty',
+    'on_duty_changed_at',
+    'availability_schedule',
+    'time_off',
+];
+
+/**
+ * Apply a realtime profiles UPDATE row to the loaded people without a reload: presence
+ * columns present on the row are copied, a deactivated profile leaves the board. Returns
+ * `people` itself when nothing changed, e.g. the update is about someone not on the board.
+ */
+export const mergePresenceUpdate = (people = [], row = null) => {
+    const id = row?.id ? String(row.id) : null;
+    const list = people || [];
+    const index = id ? list.findIndex((person) => String(person?.id) === id) : -1;
+    if (index < 0) return list;
+    if (row.is_active === false) return list.filter((_, i) => i !== index);
+    const current = list[index];
+    const changes = PRESENCE_PROFILE_FIELDS
+        .filter((field) => field in row && JSON.stringify(row[field]) !== JSON.stringify(current[field]));
+    if (!changes.length) return list;
+    const next = [...list];
+    next[index] = changes.reduce((person, field) => ({ ...person, [field]: row[field] }), current);
+    return next;
+};
+
+/**
+ * Minutes a row has been in its status, or null when the start is unknown.
+ */
+export const getMinutesInStatus = (row, now = Date.now()) => (
+    row?.statusSince ? Math.max(0, Math.floor((Number(now) - row.statusSince) / 60000)) : null
+);
+
+/**
+ * Online / total counts per role for the board header.
+ */
+export const summarizePresence = (rows = []) => (rows || []).reduce((acc, row) => {
+    const key = row.role === 'dispatcher' ? 'dispatchers' : 'masters';
+    acc[key].total += 1;
+    if (row.online) acc[key].online += 1;
+    if (row.status === PRESENCE_STATUSES.ON_JOB) acc[key].onJob += 1;
+    return acc;
+}, {
+    masters: { online: 0, total: 0, onJob: 0 },
+    dispatchers: { online: 0, total: 0, onJob: 0 },
+});
@@ -0,0 +1,41 @@
+import {
+  buildTopUpProofPath,
+  countTopUpsByStatus,
+  hasPendingTopUp,
+  parseTopUpAmount,
+  validateTopUpRequest,
+} from '../../src/utils/balanceTopUps';
+
+const proof = { uri: 'file:///tmp/receipt.png', mimeType: 'image/png' };
+
+describe('balance top-ups', () => {
+  it('validates amount, method, proof and the open request', () => {
+    expect(validateTopUpRequest({ amount: '1500', method: 'transfer', proof })).toEqual({ isValid: true, error: null });
+    expect(validateTopUpRequest({ amount: 'abc', method: 'transfer', proof }).error).toBe('amount');
+    expect(validateTopUpRequest({ amount: '50', method: 'transfer', proof }).error).toBe('amountMin');
+    expect(validateTopUpRequest({ amount: '250000', method: 'transfer', proof }).error).toBe('amountMax');
+    expect(validateTopUpRequest({ amount: '1500', method: 'crypto', proof }).error).toBe('method');
+    expect(validateTopUpRequest({ amount: '1500', method: 'card' }).error).toBe('proof');
+    expect(validateTopUpRequest({ amount: '1500', method: 'card', proof }, { hasPending: true }).error).toBe('pending');
+  });
+
+  it('parses form amounts and keeps proofs under the master folder', () => {
+    expect(parseTopUpAmount('1 000')).toBeNull();
+    expect(parseTopUpAmount('1250,555')).toBe(1250.56);
+    expect(parseTopUpAmount('-5')).toBeNull();
+    expect(buildTopUpProofPath('m1', 'image/png', 1700000000000)).toBe('m1/1700000000000.png');
+    expect(buildTopUpProofPath('m1', 'application/pdf', 1)).toBe('m1/1.jpg');
+  });
+
+  it('counts requests per status for the admin queue', () => {
+    const requests = [
+      { id: 'a', status: 'requested' },
+      { id: 'b', status: 'approved' },
+      { id: 'c', status: 'approved' },
+      { id: 'd', status: 'rejected' },
+    ];
+    expect(countTopUpsByStatus(requests)).toEqual({ requested: 1, approved: 2, rejected: 1, all: 4 });
+    expect(hasPendingTopUp(requests)).toBe(true);
+    expect(hasPendingTopUp(requests.slice(1))).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+import {
+  buildClientLookup,
+  collectClientAddresses,
+  isReturningClient,
+  summarizeClientOrders,
+} from '../../src/utils/clientDirectory';
+
+const orders = [
+  { id: 'o1', status: 'confirmed', final_price: 1500, created_at: '2026-01-05T10:00:00Z', client_name: 'Aibek', area: 'Leninsky', full_address: 'Chui 10, apt 4' },
+  { id: 'o2', status: 'confirmed', final_price: '2000', is_disputed: true, created_at: '2026-02-01T10:00:00Z', client_name: '', area: 'Leninsky', full_address: ' chui 10,  APT 4 ', orientir: 'Near the bank' },
+  { id: 'o3', status: 'canceled_by_client', created_at: '2026-02-10T10:00:00Z', client_name: 'Aibek U.', area: 'Sverdlovsky', full_address: 'Manas 1' },
+  { id: 'o4', status: 'completed', final_price: 900, created_at: '2026-02-12T10:00:00Z', area: 'Pervomaisky', full_address: '' },
+];
+
+describe('client directory', () => {
+  it('summarizes lifetime stats with spend from confirmed orders only', () => {
+    expect(summarizeClientOrders(orders)).toEqual({
+      order_count: 4,
+      completed_count: 3,
+      canceled_count: 1,
+      lifetime_spend: 3500,
+      dispute_count: 1,
+      last_order_at: '2026-02-12T10:00:00Z',
+    });
+  });
+
+  it('dedupes past addresses by normalized text, newest first', () => {
+    const addresses = collectClientAddresses(orders);
+    expect(addresses.map((item) => item.full_address)).toEqual(['Manas 1', 'chui 10,  APT 4']);
+    expect(addresses[1].orientir).toBe('Near the bank');
+  });
+
+  it('builds an RPC-shaped lookup from raw orders', () => {
+    const lookup = buildClientLookup('+996555123456', orders, 2);
+    expect(lookup.client).toMatchObject({ phone: '+996555123456', full_name: 'Aibek U.', first_order_at: '2026-01-05T10:00:00Z' });
+    expect(lookup.recent_orders.map((item) => item.id)).toEqual(['o4', 'o3']);
+    expect(isReturningClient(lookup)).toBe(true);
+    expect(isReturningClient(buildClientLookup('+996555123456', []))).toBe(false);
+  });
+});
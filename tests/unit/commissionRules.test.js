@@ -0,0 +1,62 @@
+import {
+  buildCommissionConfig,
+  buildMonthlyVolumeLookup,
+  estimateOrderCommission,
+  fromCommissionRulesForm,
+  getOrderCommissionAmount,
+  resolveCommissionRate,
+  toCommissionRulesForm,
+} from '../../src/utils/commissionRules';
+
+const config = buildCommissionConfig({
+  commission_rate: 0.15,
+  commission_exempt_base_fee: true,
+  commission_rules: [
+    { id: 'plumbing', service_type: 'plumbing', rate: 0.12 },
+    { id: 'plumbing-urgent', service_type: 'plumbing', urgency: 'urgent', rate: 0.18 },
+    { id: 'gold', tier: 'gold', rate: 0.1 },
+    { id: 'volume-20', min_monthly_orders: 20, rate: 0.11 },
+    { id: 'volume-40', min_monthly_orders: 40, rate: 0.09 },
+    { id: 'broken', service_type: 'electrical', rate: 'abc' },
+  ],
+});
+
+describe('commission rules', () => {
+  it('picks the override, then the most specific rule, then the base rate', () => {
+    expect(resolveCommissionRate({ serviceType: 'plumbing', urgency: 'urgent' }, config))
+      .toEqual({ rate: 0.18, source: 'rule', ruleId: 'plumbing-urgent' });
+    expect(resolveCommissionRate({ serviceType: 'plumbing', urgency: 'planned' }, config).ruleId).toBe('plumbing');
+    expect(resolveCommissionRate({ serviceType: 'electrical', monthlyOrders: 45 }, config).ruleId).toBe('volume-40');
+    expect(resolveCommissionRate({ serviceType: 'electrical', tier: 'gold' }, config).ruleId).toBe('gold');
+    expect(resolveCommissionRate({ serviceType: 'electrical' }, config))
+      .toEqual({ rate: 0.15, source: 'default', ruleId: null });
+    expect(resolveCommissionRate({ serviceType: 'plumbing', overrideRate: 0.05 }, config))
+      .toEqual({ rate: 0.05, source: 'override', ruleId: null });
+  });
+
+  it('charges on the price minus the call-out fee when the base fee is exempt', () => {
+    const order = { service_type: 'plumbing', urgency: 'planned', final_price: 2500, callout_fee: 500 };
+    expect(estimateOrderCommission(order, {}, config)).toMatchObject({ base: 2000, amount: 240 });
+    expect(estimateOrderCommission({ ...order, final_price: null, initial_price: null }, {}, config).amount).toBe(0);
+    expect(getOrderCommissionAmount({ ...order, status: 'confirmed', commission_amount: 300 }, {}, config)).toBe(300);
+    expect(getOrderCommissionAmount({ ...order, status: 'completed', commission_amount: 300 }, {}, config)).toBe(240);
+  });
+
+  it('counts earlier confirmed orders in the month and round-trips the settings form', () => {
+    const orders = [
+      { id: 'a', master_id: 'm1', status: 'confirmed', confirmed_at: '2026-02-03T10:00:00Z' },
+      { id: 'b', master_id: 'm1', status: 'confirmed', confirmed_at: '2026-02-10T10:00:00Z' },
+      { id: 'c', master_id: 'm1', status: 'confirmed', confirmed_at: '2026-01-28T10:00:00Z' },
+      { id: 'd', master_id: 'm2', status: 'confirmed', confirmed_at: '2026-02-05T10:00:00Z' },
+    ];
+    const lookup = buildMonthlyVolumeLookup(orders, Date.parse('2026-02-20T12:00:00Z'));
+    expect(lookup(orders[1])).toBe(1);
+    expect(lookup({ master_id: 'm1', status: 'completed' })).toBe(2);
+    expect(lookup({ master_id: 'm3', status: 'completed' })).toBe(0);
+
+    const form = toCommissionRulesForm(config.rules);
+    expect(form[0]).toMatchObject({ id: 'plumbing', service_type: 'plumbing', area: '', rate: '12' });
+    expect(fromCommissionRulesForm(form)).toEqual(config.rules);
+    expect(fromCommissionRulesForm([{ service_type: 'x', rate: '' }])).toEqual([]);
+  });
+});
@@ -0,0 +1,41 @@
+import {
+  diffOrderStatuses,
+  markOrderSeen,
+  pruneSeenStatuses,
+  seedSeenStatuses,
+} from '../../src/screens/dispatcher/utils/orderChangeTracker';
+
+describe('dispatcher order change tracker', () => {
+  it('seeds unseen orders as baseline without highlighting them', () => {
+    const seen = seedSeenStatuses({}, [{ id: 'a', status: 'placed' }, { id: 'b', status: 'claimed' }]);
+    expect(seen).toEqual({ a: 'placed', b: 'claimed' });
+    expect(diffOrderStatuses([{ id: 'a', status: 'placed' }, { id: 'b', status: 'claimed' }], seen)).toEqual({});
+    expect(seedSeenStatuses(seen, [{ id: 'a', status: 'started' }])).toBe(seen);
+  });
+
+  it('highlights master-driven status transitions only', () => {
+    const seen = { a: 'placed', b: 'completed', c: 'claimed' };
+    const changes = diffOrderStatuses([
+      { id: 'a', status: 'claimed' },
+      { id: 'b', status: 'confirmed' },
+      { id: 'c', status: 'started' },
+    ], seen);
+    expect(changes).toEqual({
+      a: { from: 'placed', to: 'claimed' },
+      c: { from: 'claimed', to: 'started' },
+    });
+  });
+
+  it('clears the highlight once the order is marked seen', () => {
+    const seen = { a: 'placed' };
+    const next = markOrderSeen(seen, { id: 'a', status: 'claimed' });
+    expect(next).toEqual({ a: 'claimed' });
+    expect(diffOrderStatuses([{ id: 'a', status: 'claimed' }], next)).toEqual({});
+    expect(markOrderSeen(next, { id: 'a', status: 'claimed' })).toBe(next);
+  });
+
+  it('prunes the oldest entries beyond the cap', () => {
+    const pruned = pruneSeenStatuses({ a: 'placed', b: 'placed', c: 'placed' }, 2);
+    expect(Object.keys(pruned)).toEqual(['b', 'c']);
+  });
+});
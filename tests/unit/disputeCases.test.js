@@ -0,0 +1,42 @@
+import {
+  DISPUTE_OUTCOME_ERRORS,
+  canTransitionDispute,
+  formatCaseAge,
+  getDisputeSla,
+  normalizeDisputeOutcome,
+} from '../../src/utils/disputeCases';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2026-02-25T12:00:00Z');
+
+describe('dispute cases', () => {
+  it('allows only forward status transitions', () => {
+    expect(canTransitionDispute('open', 'in_review')).toBe(true);
+    expect(canTransitionDispute('open', 'rejected')).toBe(true);
+    expect(canTransitionDispute('in_review', 'resolved')).toBe(true);
+    expect(canTransitionDispute('in_review', 'open')).toBe(false);
+    expect(canTransitionDispute('resolved', 'rejected')).toBe(false);
+  });
+
+  it('tracks response SLA until a case is picked up, then resolution SLA', () => {
+    const createdAt = new Date(NOW - 5 * HOUR_MS).toISOString();
+    const open = getDisputeSla({ status: 'open', created_at: createdAt }, NOW);
+    expect(open).toMatchObject({ stage: 'response', ageMinutes: 300, thresholdMinutes: 240, breached: true });
+    const inReview = getDisputeSla({ status: 'in_review', created_at: createdAt }, NOW);
+    expect(inReview).toMatchObject({ stage: 'resolution', remainingMinutes: 43 * 60, breached: false });
+    expect(getDisputeSla({ status: 'resolved', created_at: createdAt }, NOW)).toBeNull();
+    expect(formatCaseAge(45)).toBe('45m');
+    expect(formatCaseAge(310)).toBe('5h 10m');
+    expect(formatCaseAge(3 * 24 * 60 + 125)).toBe('3d 2h');
+  });
+
+  it('validates resolution outcomes', () => {
+    const order = { final_price: 2000, callout_fee: 500 };
+    expect(normalizeDisputeOutcome(order, { finalPrice: '1500', penaltyAmount: '200', refundAmount: '' }))
+      .toEqual({ outcome: { finalPrice: 1500, penaltyAmount: 200, refundAmount: 0 }, error: null });
+    expect(normalizeDisputeOutcome(order, { finalPrice: '300' }).error).toBe(DISPUTE_OUTCOME_ERRORS.BELOW_CALLOUT);
+    expect(normalizeDisputeOutcome(order, { penaltyAmount: '-5' }).error).toBe(DISPUTE_OUTCOME_ERRORS.INVALID_PENALTY);
+    expect(normalizeDisputeOutcome(order, { refundAmount: '2500' }).error).toBe(DISPUTE_OUTCOME_ERRORS.REFUND_EXCEEDS_PRICE);
+    expect(normalizeDisputeOutcome(order, { finalPrice: 'abc' }).error).toBe(DISPUTE_OUTCOME_ERRORS.INVALID_PRICE);
+  });
+});
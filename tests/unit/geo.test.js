@@ -0,0 +1,39 @@
+import {
+  distanceKm,
+  formatDistanceKm,
+  parseCoordsInput,
+  roundCoords,
+  toCoords,
+} from '../../src/utils/geo';
+
+describe('geo helpers', () => {
+  it('normalizes coordinates and rejects missing or out-of-range values', () => {
+    expect(toCoords('42.87', '74.59')).toEqual({ latitude: 42.87, longitude: 74.59 });
+    expect(toCoords(null, 74.59)).toBeNull();
+    expect(toCoords(91, 74.59)).toBeNull();
+    expect(toCoords(0, 0)).toBeNull();
+  });
+
+  it('parses coordinates pasted from a maps app', () => {
+    expect(parseCoordsInput('42.8746, 74.5698')).toEqual({ latitude: 42.8746, longitude: 74.5698 });
+    expect(parseCoordsInput(' 42.8746 74.5698 ')).toEqual({ latitude: 42.8746, longitude: 74.5698 });
+    expect(parseCoordsInput('Bishkek')).toBeNull();
+  });
+
+  it('computes haversine distance in km', () => {
+    const bishkek = { latitude: 42.8746, longitude: 74.5698 };
+    const osh = { latitude: 40.5283, longitude: 72.7985 };
+    expect(distanceKm(bishkek, bishkek)).toBe(0);
+    expect(distanceKm(bishkek, osh)).toBeGreaterThan(295);
+    expect(distanceKm(bishkek, osh)).toBeLessThan(305);
+    expect(distanceKm(bishkek, null)).toBeNull();
+  });
+
+  it('formats distances and rounds pool coordinates', () => {
+    expect(formatDistanceKm(0.34)).toBe('300 m');
+    expect(formatDistanceKm(3.26)).toBe('3.3 km');
+    expect(formatDistanceKm(42.4)).toBe('42 km');
+    expect(formatDistanceKm(null)).toBe('');
+    expect(roundCoords({ latitude: 42.87461, longitude: 74.56982 })).toEqual({ latitude: 42.87, longitude: 74.57 });
+  });
+});
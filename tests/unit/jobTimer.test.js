@@ -0,0 +1,66 @@
+import {
+  getWorkedMs,
+  isTimerRunning,
+  isWithinJobWindow,
+  normalizeWorkSegments,
+  pauseTimer,
+  pickLatestSegments,
+  startTimer,
+  summarizeWorkSegments,
+  toHoursWorked,
+} from '../../src/utils/jobTimer';
+
+const at = (minutes) => new Date('2026-03-03T04:00:00Z').getTime() + minutes * 60000;
+const iso = (minutes) => new Date(at(minutes)).toISOString();
+
+describe('job timer', () => {
+  it('tracks worked time across pauses and resumes', () => {
+    let segments = startTimer([], at(0));
+    expect(isTimerRunning(segments)).toBe(true);
+    expect(startTimer(segments, at(5))).toEqual(segments);
+    segments = pauseTimer(segments, at(50));
+    expect(isTimerRunning(segments)).toBe(false);
+    segments = startTimer(segments, at(80));
+    expect(getWorkedMs(segments, at(120))).toBe(90 * 60000);
+    expect(toHoursWorked(getWorkedMs(segments, at(120)))).toBe(1.5);
+    expect(toHoursWorked(5 * 60000)).toBe(0.25);
+    expect(toHoursWorked(0)).toBe(0);
+  });
+
+  it('normalizes stored segments and keeps the newer copy', () => {
+    expect(normalizeWorkSegments([
+      { start: iso(30), end: iso(40) },
+      { start: 'bad' },
+      { start: iso(0), end: null },
+      { start: iso(35), end: iso(60) },
+    ])).toEqual([
+      { start: iso(0), end: iso(30) },
+      { start: iso(30), end: iso(40) },
+      { start: iso(40), end: iso(60) },
+    ]);
+    const server = [{ start: iso(0), end: null }];
+    const device = [{ start: iso(0), end: iso(20) }];
+    expect(pickLatestSegments(device, server)).toEqual(device);
+    expect(pickLatestSegments([], server)).toEqual(server);
+  });
+
+  it('rejects backdated and future segments', () => {
+    const startedAt = iso(0);
+    const now = at(120);
+    expect(isWithinJobWindow([{ start: iso(0), end: iso(60) }, { start: iso(90), end: null }], startedAt, now)).toBe(true);
+    // Five minutes of clock skew are allowed either way.
+    expect(isWithinJobWindow([{ start: iso(-4), end: iso(124) }], startedAt, now)).toBe(true);
+    expect(isWithinJobWindow([{ start: iso(-30), end: iso(60) }], startedAt, now)).toBe(false);
+    expect(isWithinJobWindow([{ start: iso(0), end: iso(180) }], startedAt, now)).toBe(false);
+    expect(isWithinJobWindow([{ start: iso(150), end: null }], startedAt, now)).toBe(false);
+  });
+
+  it('summarizes segments as dispute evidence', () => {
+    const summary = summarizeWorkSegments([
+      { start: iso(0), end: iso(45) },
+      { start: iso(75), end: iso(120) },
+    ]);
+    expect(summary).toMatchObject({ count: 2, running: false, workedMinutes: 90, pausedMinutes: 30 });
+    expect(summarizeWorkSegments([])).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  buildReconciliationReport,
+  checkMasterTotals,
+  findOrdersWithoutEarning,
+  getOpeningBalance,
+  replayLedger,
+  sortLedger,
+} from '../../src/utils/ledgerReconciliation';
+
+const account = { type: 'master', id: 'm1', name: 'Aibek', balance: 700 };
+
+describe('ledger reconciliation', () => {
+  it('replays the balance chain and flags gaps, bad amounts and a drifted balance', () => {
+    const clean = [
+      { id: 't2', amount: -300, balance_before: 1000, balance_after: 700, created_at: '2026-02-02T10:00:00Z' },
+      { id: 't1', amount: 1000, balance_before: 0, balance_after: 1000, created_at: '2026-02-01T10:00:00Z' },
+    ];
+    expect(replayLedger(account, clean)).toEqual({ ledgerBalance: 700, issues: [] });
+
+    const broken = [
+      { id: 't1', amount: 1000, balance_before: 0, balance_after: 1000, created_at: '2026-02-01T10:00:00Z' },
+      { id: 't2', amount: 300, balance_before: 900, balance_after: 600, created_at: '2026-02-02T10:00:00Z' },
+      { id: 't3', amount: 50, balance_before: 600, balance_after: 700, created_at: '2026-02-03T10:00:00Z' },
+    ];
+    const { issues } = replayLedger({ ...account, balance: 650 }, broken);
+    expect(issues.map((issue) => [issue.type, issue.transactionId || issue.field])).toEqual([
+      ['chain_gap', 't2'],
+      ['amount_mismatch', 't3'],
+      ['balance_mismatch', 'balance'],
+    ]);
+    expect(issues[0]).toMatchObject({ expected: 1000, actual: 900, difference: -100 });
+  });
+
+  it('starts the chain at the opening balance', () => {
+    expect(getOpeningBalance(500, [])).toBe(500);
+    expect(getOpeningBalance(500, [{ transaction_type: 'initial_deposit' }])).toBe(0);
+    expect(replayLedger({ ...account, balance: 500, openingBalance: 500 }, [])).toEqual({ ledgerBalance: 500, issues: [] });
+
+    const afterDeposit = [
+      { id: 't1', amount: -100, balance_before: 500, balance_after: 400, created_at: '2026-02-01T10:00:00Z' },
+    ];
+    expect(replayLedger({ ...account, balance: 400, openingBalance: 500 }, afterDeposit).issues).toEqual([]);
+    expect(replayLedger({ ...account, balance: 400 }, afterDeposit).issues.map((issue) => issue.type)).toEqual(['chain_gap']);
+  });
+
+  it('orders same-instant rows along the balance chain', () => {
+    const sameInstant = [
+      { id: 'b', amount: -50, balance_before: 900, balance_after: 850, created_at: '2026-02-01T10:00:00Z' },
+      { id: 'c', amount: -25, balance_before: 850, balance_after: 825, created_at: '2026-02-01T10:00:00Z' },
+      { id: 'a', amount: -100, balance_before: 1000, balance_after: 900, created_at: '2026-02-01T10:00:00Z' },
+    ];
+    expect(sortLedger(sameInstant, 1000).map((tx) => tx.id)).toEqual(['a', 'b', 'c']);
+    expect(sortLedger(sameInstant).map((tx) => tx.id)).toEqual(['a', 'b', 'c']);
+    expect(replayLedger({ ...account, balance: 825, openingBalance: 1000 }, sameInstant).issues).toEqual([]);
+  });
+
+  it('compares profile totals with earnings and payments', () => {
+    const earnings = [
+      { order_id: 'o1', amount: 2000, commission_amount: 300, status: 'paid' },
+      { order_id: 'o2', amount: 1000, commission_amount: 150, status: 'pending' },
+      { order_id: 'o3', amount: 500, commission_amount: 75, status: 'waived' },
+    ];
+    const profile = { id: 'm1', total_earnings: 3500, total_commission_owed: 150, total_commission_paid: 300 };
+    expect(checkMasterTotals(profile, earnings, [{ amount: 300 }])).toEqual([]);
+
+    const drifted = checkMasterTotals({ ...profile, total_commission_owed: 0 }, earnings, [{ amount: 200 }]);
+    expect(drifted.map((issue) => issue.field)).toEqual(['total_commission_owed', 'commission_payments']);
+    expect(drifted[1]).toMatchObject({ expected: 200, actual: 300 });
+  });
+
+  it('finds confirmed orders without an earning and summarizes the report', () => {
+    const orders = [
+      { id: 'o1', master_id: 'm1', status: 'confirmed', final_price: 2000 },
+      { id: 'o4', master_id: 'm1', status: 'confirmed', final_price: 1200 },
+      { id: 'o5', master_id: 'm1', status: 'completed', final_price: 900 },
+    ];
+    const earnings = [{ master_id: 'm1', order_id: 'o1', amount: 2000, commission_amount: 300, status: 'pending' }];
+    expect(findOrdersWithoutEarning(orders, earnings).map((issue) => issue.orderId)).toEqual(['o4']);
+
+    const report = buildReconciliationReport({
+      masters: [{ id: 'm1', full_name: 'Aibek', prepaid_balance: 0, total_earnings: 2000, total_commission_owed: 300, total_commission_paid: 0 }],
+      partners: [{ id: 'p1', full_name: 'Partner', partner_balance: 50 }],
+      partnerTransactions: [{ id: 'pt1', partner_id: 'p1', amount: 50, balance_before: 0, balance_after: 50 }],
+      earnings,
+      confirmedOrders: orders,
+    });
+    expect(report.summary).toMatchObject({ accountsChecked: 2, transactionsReplayed: 1, issueCount: 1 });
+    expect(report.summary.byType.missing_earning).toBe(1);
+  });
+});
@@ -0,0 +1,37 @@
+import {
+  LINE_ITEM_ERRORS,
+  applyLineAdjustments,
+  normalizeLineItems,
+  summarizeLineItems,
+  validateLineItems,
+} from '../../src/utils/lineItems';
+
+const rows = [
+  { id: 'a', kind: 'labor', description: 'Replace faucet', quantity: '1', unit_price: '800' },
+  { id: 'b', kind: 'material', description: 'Faucet', quantity: '2', unit_price: '350,5' },
+  { id: 'c', kind: 'callout', description: 'Second visit', quantity: '5', unit_price: '200' },
+];
+
+describe('line items', () => {
+  it('normalizes amounts and ignores quantity outside materials', () => {
+    const items = normalizeLineItems(rows);
+    expect(items.map((item) => item.amount)).toEqual([800, 701, 200]);
+    expect(items[2].quantity).toBe(1);
+    expect(summarizeLineItems(items)).toEqual({ labor: 800, material: 701, callout: 200 });
+    expect(normalizeLineItems([{ kind: 'labor', description: 'Free', unit_price: '0' }])).toEqual([]);
+  });
+
+  it('validates editor rows against the call-out fee', () => {
+    expect(validateLineItems(rows, { calloutFee: 500 })).toMatchObject({ valid: true, total: 1701 });
+    expect(validateLineItems([{ kind: 'labor', description: '', unit_price: '' }]).error).toBe(LINE_ITEM_ERRORS.EMPTY);
+    expect(validateLineItems([{ kind: 'labor', description: '', unit_price: '100' }]).error).toBe(LINE_ITEM_ERRORS.INVALID_LINE);
+    expect(validateLineItems([rows[0]], { calloutFee: 1000 }).error).toBe(LINE_ITEM_ERRORS.BELOW_CALLOUT);
+  });
+
+  it('applies admin adjustments to disputed lines', () => {
+    const adjusted = applyLineAdjustments(normalizeLineItems(rows), { b: '500', c: 0 });
+    expect(adjusted.map((item) => item.id)).toEqual(['a', 'b']);
+    expect(adjusted[1]).toMatchObject({ amount: 500, adjusted_from: 701 });
+    expect(applyLineAdjustments(adjusted, { b: 400 })[1].adjusted_from).toBe(701);
+  });
+});
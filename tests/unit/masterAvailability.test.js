@@ -0,0 +1,58 @@
+import {
+  AVAILABILITY_REASONS,
+  fromScheduleForm,
+  getMasterAvailability,
+  toScheduleForm,
+  validateTimeOffPeriod,
+} from '../../src/utils/masterAvailability';
+import { RECOMMENDATION_BLOCKERS, scoreMasterForOrder } from '../../src/utils/masterRecommendations';
+
+// Monday 2026-03-02, 10:30 in Bishkek (UTC+6).
+const mondayMorning = new Date('2026-03-02T04:30:00Z');
+
+describe('master availability', () => {
+  it('checks on-duty status, vacations and weekly hours in platform time', () => {
+    const schedule = { mon: [{ start: '09:00', end: '18:00' }], tue: [] };
+    expect(getMasterAvailability({}, mondayMorning)).toEqual({ available: true, reason: null, timeOff: null });
+    expect(getMasterAvailability({ is_on_duty: false }, mondayMorning).reason).toBe(AVAILABILITY_REASONS.OFF_DUTY);
+    expect(getMasterAvailability({ availability_schedule: schedule }, mondayMorning).available).toBe(true);
+    // 20:00 Monday in Bishkek is still 14:00 UTC.
+    expect(getMasterAvailability({ availability_schedule: schedule }, new Date('2026-03-02T14:00:00Z')).reason)
+      .toBe(AVAILABILITY_REASONS.OUTSIDE_HOURS);
+    const onVacation = getMasterAvailability({
+      availability_schedule: schedule,
+      time_off: [{ start: '2026-03-01', end: '2026-03-02', note: 'Family' }],
+    }, mondayMorning);
+    expect(onVacation.reason).toBe(AVAILABILITY_REASONS.TIME_OFF);
+    expect(onVacation.timeOff).toEqual({ start: '2026-03-01', end: '2026-03-02', note: 'Family' });
+  });
+
+  it('round-trips the schedule form and reports invalid days', () => {
+    expect(toScheduleForm({}).restricted).toBe(false);
+    expect(fromScheduleForm(toScheduleForm({}))).toEqual({ schedule: {}, errors: [] });
+    const split = [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '17:00' }];
+    const form = toScheduleForm({ mon: split });
+    // A split day keeps its break instead of collapsing to 08:00-17:00.
+    expect(form.days[0]).toEqual({ day: 'mon', enabled: true, intervals: split });
+    expect(form.days[1].enabled).toBe(false);
+    form.days[2] = { ...form.days[2], enabled: true, intervals: [{ start: '18:00', end: '09:00' }] };
+    form.days[3] = { ...form.days[3], enabled: true, intervals: [{ start: '09:00', end: '13:00' }, { start: '12:00', end: '18:00' }] };
+    const result = fromScheduleForm(form);
+    expect(result.errors).toEqual(['wed', 'thu']);
+    expect(result.schedule.mon).toEqual(split);
+    expect(result.schedule.tue).toEqual([]);
+  });
+
+  it('validates vacation periods and blocks unavailable masters in recommendations', () => {
+    const existing = [{ start: '2026-03-10', end: '2026-03-15' }];
+    expect(validateTimeOffPeriod({ start: '2026-03-20', end: '2026-03-21' }, existing, mondayMorning)).toBeNull();
+    expect(validateTimeOffPeriod({ start: '2026-02-30', end: '2026-03-01' }, existing, mondayMorning)).toBe('INVALID_DATE');
+    expect(validateTimeOffPeriod({ start: '2026-03-05', end: '2026-03-04' }, existing, mondayMorning)).toBe('END_BEFORE_START');
+    expect(validateTimeOffPeriod({ start: '2026-02-20', end: '2026-02-25' }, existing, mondayMorning)).toBe('IN_PAST');
+    expect(validateTimeOffPeriod({ start: '2026-03-14', end: '2026-03-18' }, existing, mondayMorning)).toBe('OVERLAP');
+
+    const result = scoreMasterForOrder({ is_on_duty: false, active_jobs: 0 }, {}, mondayMorning);
+    expect(result.eligible).toBe(false);
+    expect(result.blockers).toEqual([RECOMMENDATION_BLOCKERS.UNAVAILABLE]);
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  OUTBOX_ACTIONS,
+  OUTBOX_CONFLICTS,
+  OUTBOX_ENTRY_STATES,
+  REPLAY_OUTCOMES,
+  applyOutboxToOrders,
+  createOutboxEntry,
+  enqueueOutboxEntry,
+  getPendingEntries,
+  resolveReplayOutcome,
+} from '../../src/screens/master/utils/offlineOutbox';
+
+describe('master offline outbox', () => {
+  it('keeps entries in order and replaces a repeated action for the same order', () => {
+    const start = createOutboxEntry(OUTBOX_ACTIONS.START, 'o1', 'm1', {}, 1000);
+    const firstComplete = createOutboxEntry(OUTBOX_ACTIONS.COMPLETE, 'o1', 'm1', { completionData: { finalPrice: 100 } }, 2000);
+    const otherMaster = createOutboxEntry(OUTBOX_ACTIONS.START, 'o2', 'm2', {}, 1500);
+    let queue = enqueueOutboxEntry([], firstComplete);
+    queue = enqueueOutboxEntry(queue, start);
+    queue = enqueueOutboxEntry(queue, otherMaster);
+    const editedComplete = createOutboxEntry(OUTBOX_ACTIONS.COMPLETE, 'o1', 'm1', { completionData: { finalPrice: 150 } }, 3000);
+    queue = enqueueOutboxEntry(queue, editedComplete);
+
+    expect(queue.map((entry) => entry.id)).toEqual([start.id, otherMaster.id, editedComplete.id]);
+    expect(getPendingEntries(queue, 'm1').map((entry) => entry.action)).toEqual([OUTBOX_ACTIONS.START, OUTBOX_ACTIONS.COMPLETE]);
+  });
+
+  it('resolves replay results against the current server order', () => {
+    const start = createOutboxEntry(OUTBOX_ACTIONS.START, 'o1', 'm1');
+    const refuse = createOutboxEntry(OUTBOX_ACTIONS.REFUSE, 'o1', 'm1', { reason: 'client_absent' });
+
+    expect(resolveReplayOutcome(start, { success: true }, null).outcome).toBe(REPLAY_OUTCOMES.SYNCED);
+    expect(resolveReplayOutcome(start, { success: false, offline: true }, null).outcome).toBe(REPLAY_OUTCOMES.RETRY);
+    // Response lost on a previous attempt: the order is already started.
+    expect(resolveReplayOutcome(start, { success: false }, { status: 'started', master_id: 'm1' }).outcome)
+      .toBe(REPLAY_OUTCOMES.SYNCED);
+    expect(resolveReplayOutcome(start, { success: false }, { status: 'claimed', master_id: 'm2' }))
+      .toEqual({ outcome: REPLAY_OUTCOMES.CONFLICT, conflict: OUTBOX_CONFLICTS.REASSIGNED });
+    expect(resolveReplayOutcome(start, { success: false }, { status: 'canceled_by_client', master_id: 'm1' }))
+      .toEqual({ outcome: REPLAY_OUTCOMES.CONFLICT, conflict: OUTBOX_CONFLICTS.STATUS_CHANGED });
+    expect(resolveReplayOutcome(start, { success: false }, null))
+      .toEqual({ outcome: REPLAY_OUTCOMES.CONFLICT, conflict: OUTBOX_CONFLICTS.ORDER_UNAVAILABLE });
+    // A refused order leaving the master's scope means the refusal already landed.
+    expect(resolveReplayOutcome(refuse, { success: false }, null).outcome).toBe(REPLAY_OUTCOMES.SYNCED);
+  });
+
+  it('overlays pending actions and marks conflicts on my orders', () => {
+    const orders = [
+      { id: 'o1', status: 'claimed', final_price: null },
+      { id: 'o2', status: 'started' },
+      { id: 'o3', status: 'claimed' },
+    ];
+    const complete = createOutboxEntry(OUTBOX_ACTIONS.COMPLETE, 'o1', 'm1', {
+      completionData: { finalPrice: 1200, workPerformed: 'Pipe replaced', hoursWorked: 2 },
+    }, 2000);
+    const queue = [
+      createOutboxEntry(OUTBOX_ACTIONS.START, 'o1', 'm1', {}, 1000),
+      complete,
+      { ...createOutboxEntry(OUTBOX_ACTIONS.COMPLETE, 'o2', 'm1'), state: OUTBOX_ENTRY_STATES.CONFLICT, conflict: OUTBOX_CONFLICTS.STATUS_CHANGED },
+    ];
+    const [first, second, third] = applyOutboxToOrders(orders, queue);
+
+    expect(first).toMatchObject({ status: 'completed', pending_sync: OUTBOX_ACTIONS.COMPLETE, final_price: 1200, hours_worked: 2 });
+    // Completion time is stamped by the server on replay, not taken from the queue time.
+    expect(first.completed_at).toBeNull();
+    expect(second).toMatchObject({ status: 'started', sync_conflict: OUTBOX_CONFLICTS.STATUS_CHANGED });
+    expect(second.pending_sync).toBeUndefined();
+    expect(third).toBe(orders[2]);
+    expect(applyOutboxToOrders(orders, [])).toBe(orders);
+  });
+});
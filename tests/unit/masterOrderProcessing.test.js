@@ -1,6 +1,7 @@
 import {
   buildMasterCounters,
   filterPoolOrders,
+  matchesPoolDistance,
   sortMyJobs,
 } from '../../src/screens/master/hooks/useMasterOrderProcessing';
 
@@ -15,6 +16,23 @@ describe('master order processing', () => {
     expect(filtered[0].id).toBe('1');
   });
 
+  it('filters and sorts pool orders by distance from the master location', () => {
+    const origin = { latitude: 42.8746, longitude: 74.5698 };
+    const orders = [
+      { id: 'far', urgency: 'emergency', latitude: 42.95, longitude: 74.75, created_at: '2026-02-08T10:00:00Z' },
+      { id: 'near', urgency: 'planned', latitude: 42.88, longitude: 74.58, created_at: '2026-02-08T09:00:00Z' },
+      { id: 'unknown', urgency: 'urgent', created_at: '2026-02-08T11:00:00Z' },
+    ];
+    expect(filterPoolOrders(orders, { distance: 'nearest' }, origin).map((o) => o.id)).toEqual(['near', 'far', 'unknown']);
+    expect(filterPoolOrders(orders, { distance: '5' }, origin).map((o) => o.id)).toEqual(['near']);
+    // Without a saved location the distance filter is ignored and urgency ordering applies.
+    expect(filterPoolOrders(orders, { distance: '5' }).map((o) => o.id)).toEqual(['far', 'unknown', 'near']);
+    // Pool queries carry the location in the filters; meta rows are counted the same way.
+    expect(filterPoolOrders(orders, { distance: '5', origin }).map((o) => o.id)).toEqual(['near']);
+    expect(orders.filter((o) => matchesPoolDistance(o, { distance: '5', origin })).map((o) => o.id)).toEqual(['near']);
+    expect(orders.filter((o) => matchesPoolDistance(o, { distance: 'nearest', origin }))).toHaveLength(3);
+  });
+
   it('sorts my jobs by status priority and urgency', () => {
     const myOrders = [
       { id: 'a', status: 'claimed', urgency: 'planned', preferred_date: '2026-02-09', preferred_time: '12:00:00', created_at: '2026-02-08T09:00:00Z' },
@@ -0,0 +1,73 @@
+import {
+  applyPoolRealtimeChange,
+  isPoolOrderRow,
+} from '../../src/screens/master/hooks/useMasterPoolRealtime';
+
+const baseState = () => ({
+  orders: [
+    { id: 'a', status: 'placed', urgency: 'urgent', service_type: 'plumbing', area: 'A', pricing_type: 'fixed', created_at: '2026-02-08T10:00:00Z' },
+  ],
+  meta: [
+    { id: 'a', urgency: 'urgent', service_type: 'plumbing', area: 'A', pricing_type: 'fixed' },
+  ],
+  total: 1,
+});
+
+describe('master pool realtime', () => {
+  it('detects pool rows by status and missing master', () => {
+    expect(isPoolOrderRow({ id: '1', status: 'placed', master_id: null })).toBe(true);
+    expect(isPoolOrderRow({ id: '1', status: 'reopened' })).toBe(true);
+    expect(isPoolOrderRow({ id: '1', status: 'claimed', master_id: 'm1' })).toBe(false);
+  });
+
+  it('adds new pool orders on the first page and strips private fields', () => {
+    const next = applyPoolRealtimeChange(baseState(), {
+      eventType: 'INSERT',
+      new: { id: 'b', status: 'placed', urgency: 'emergency', service_type: 'plumbing', area: 'B', pricing_type: 'unknown', full_address: 'Secret 1', client_id: 'c1' },
+    });
+    expect(next.orders.map((o) => o.id)).toEqual(['b', 'a']);
+    expect(next.orders[0].full_address).toBeUndefined();
+    expect(next.orders[0].client_id).toBeUndefined();
+    expect(next.meta).toHaveLength(2);
+    expect(next.total).toBe(2);
+    expect(next.added).toBe(true);
+  });
+
+  it('counts but does not list new orders outside the first page or filters', () => {
+    const offPage = applyPoolRealtimeChange(baseState(), {
+      eventType: 'INSERT',
+      new: { id: 'b', status: 'placed', urgency: 'planned', service_type: 'plumbing', area: 'B', pricing_type: 'fixed' },
+    }, { isFirstPage: false });
+    expect(offPage.orders).toHaveLength(1);
+    expect(offPage.total).toBe(2);
+
+    const filteredOut = applyPoolRealtimeChange(baseState(), {
+      eventType: 'INSERT',
+      new: { id: 'b', status: 'placed', urgency: 'planned', service_type: 'electrician', area: 'B', pricing_type: 'fixed' },
+    }, { filters: { service: 'plumbing' } });
+    expect(filteredOut.orders).toHaveLength(1);
+    expect(filteredOut.meta).toHaveLength(2);
+    expect(filteredOut.total).toBe(1);
+  });
+
+  it('removes claimed orders and decrements the total', () => {
+    const next = applyPoolRealtimeChange(baseState(), {
+      eventType: 'UPDATE',
+      new: { id: 'a', status: 'claimed', master_id: 'm1' },
+    });
+    expect(next.orders).toHaveLength(0);
+    expect(next.meta).toHaveLength(0);
+    expect(next.total).toBe(0);
+    expect(next.removed).toBe(true);
+  });
+
+  it('ignores changes to orders that were never in the pool', () => {
+    const state = baseState();
+    const next = applyPoolRealtimeChange(state, {
+      eventType: 'UPDATE',
+      new: { id: 'z', status: 'started', master_id: 'm2' },
+    });
+    expect(next.changed).toBe(false);
+    expect(next.orders).toBe(state.orders);
+  });
+});
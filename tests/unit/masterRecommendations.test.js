@@ -0,0 +1,45 @@
+import {
+  RECOMMENDATION_BLOCKERS,
+  getTopMatch,
+  rankMastersForOrder,
+  scoreMasterForOrder,
+} from '../../src/utils/masterRecommendations';
+
+const order = { id: 'o1', service_type: 'plumbing', area: 'Leninsky' };
+
+describe('master recommendations', () => {
+  it('gives full points for a matching, idle, top-rated master', () => {
+    const result = scoreMasterForOrder({
+      specializations: ['Plumbing', 'heating'],
+      service_area: 'Leninsky district',
+      active_jobs: 0,
+      max_active_jobs: 3,
+      rating: 5,
+      refusal_count: 0,
+    }, order);
+    expect(result).toEqual({
+      score: 100,
+      breakdown: { specialization: 40, area: 20, workload: 15, rating: 15, refusals: 10 },
+      eligible: true,
+      blockers: [],
+    });
+  });
+
+  it('marks balance-blocked and full masters as ineligible', () => {
+    const result = scoreMasterForOrder({ balance_blocked: true, active_jobs: 2, max_active_jobs: 2 }, order);
+    expect(result.eligible).toBe(false);
+    expect(result.blockers).toEqual([RECOMMENDATION_BLOCKERS.BALANCE_BLOCKED, RECOMMENDATION_BLOCKERS.LIMIT_REACHED]);
+    expect(result.breakdown.workload).toBe(0);
+  });
+
+  it('ranks eligible masters first and picks the best eligible one as top match', () => {
+    const ranked = rankMastersForOrder([
+      { id: 'electrician', specializations: ['electrician'], service_area: 'Leninsky', rating: 5, active_jobs: 0, max_active_jobs: 3 },
+      { id: 'blocked', specializations: ['plumbing'], service_area: 'Leninsky', rating: 5, balance_blocked_at: '2026-02-01T00:00:00Z' },
+      { id: 'plumber', specializations: ['plumbing'], service_area: 'Sverdlovsky', rating: 4, active_jobs: 1, max_active_jobs: 3, refusal_count: 2 },
+    ], order);
+    expect(ranked.map((master) => master.id)).toEqual(['plumber', 'electrician', 'blocked']);
+    expect(getTopMatch(ranked).id).toBe('plumber');
+    expect(getTopMatch([ranked[2]])).toBeNull();
+  });
+});
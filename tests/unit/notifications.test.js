@@ -0,0 +1,63 @@
+import {
+  NOTIFICATION_EVENTS,
+  buildOrderNotification,
+  createLocalNotificationSender,
+  resolveNotificationPrefs,
+  shouldDeliverNotification,
+} from '../../src/services/notifications';
+
+describe('order notifications', () => {
+  it('builds payloads for lifecycle events and rejects unknown ones', () => {
+    const created = buildOrderNotification(NOTIFICATION_EVENTS.ORDER_CREATED, {
+      id: 'order-abc123', urgency: 'emergency', service_type: 'plumbing', area: 'Bishkek',
+    });
+    expect(created.audience).toBe('masters');
+    expect(created.title).toBe('Emergency order available');
+    expect(created.data).toEqual({ orderId: 'order-abc123', event: 'order_created', urgency: 'emergency' });
+
+    const completed = buildOrderNotification(NOTIFICATION_EVENTS.ORDER_COMPLETED, {
+      id: 'order-abc123', final_price: 1500, dispatcher_id: 'd1', assigned_dispatcher_id: 'd1',
+    });
+    expect(completed.audience).toBe('dispatchers');
+    expect(completed.dispatcherIds).toEqual(['d1']);
+    expect(completed.body).toContain('1500');
+
+    expect(buildOrderNotification('unknown_event', { id: 'x' })).toBeNull();
+    expect(buildOrderNotification(NOTIFICATION_EVENTS.ORDER_CLAIMED, {})).toBeNull();
+  });
+
+  it('merges stored preferences over role defaults', () => {
+    expect(resolveNotificationPrefs('master', { emergency_only: true, unknown: true })).toEqual({
+      order_created: true,
+      emergency_only: true,
+    });
+    expect(resolveNotificationPrefs('admin').order_refused).toBe(false);
+    expect(resolveNotificationPrefs('client')).toEqual({});
+  });
+
+  it('applies role and preference filters before delivery', () => {
+    const planned = buildOrderNotification(NOTIFICATION_EVENTS.ORDER_CREATED, { id: 'o1', urgency: 'planned' });
+    expect(shouldDeliverNotification(planned, 'master', {})).toBe(true);
+    expect(shouldDeliverNotification(planned, 'master', { emergency_only: true })).toBe(false);
+    expect(shouldDeliverNotification(planned, 'dispatcher', {})).toBe(false);
+
+    const refused = buildOrderNotification(NOTIFICATION_EVENTS.ORDER_REFUSED, { id: 'o1' }, { reason: 'too_far' });
+    expect(shouldDeliverNotification(refused, 'dispatcher', {})).toBe(true);
+    expect(shouldDeliverNotification(refused, 'dispatcher', { order_refused: false })).toBe(false);
+    expect(shouldDeliverNotification(refused, 'admin', {})).toBe(false);
+    expect(shouldDeliverNotification(refused, 'master', {})).toBe(false);
+  });
+
+  it('records payloads with the local sender', async () => {
+    const sender = createLocalNotificationSender({ present: false });
+    const payload = buildOrderNotification(NOTIFICATION_EVENTS.ORDER_CLAIMED, { id: 'o2' });
+    const result = await sender.send(payload, { role: 'dispatcher', prefs: {} });
+    expect(result).toEqual({ success: true, queued: 1 });
+    expect(sender.sent).toHaveLength(1);
+    expect(sender.sent[0].delivered).toBe(true);
+
+    const skipped = await sender.send(payload, { role: 'master', prefs: {} });
+    expect(skipped.queued).toBe(0);
+    expect(sender.sent).toHaveLength(2);
+  });
+});
@@ -0,0 +1,52 @@
+import {
+  AGENDA_VIEWS,
+  buildAgendaDays,
+  findAgendaConflicts,
+  getAgendaRange,
+  getPreferredStamp,
+  toDateKey,
+} from '../../src/utils/orderAgenda';
+
+describe('order agenda', () => {
+  it('builds a Monday-based week and a single-day range', () => {
+    const week = getAgendaRange(new Date(2026, 1, 12), AGENDA_VIEWS.WEEK);
+    expect(week.days.map(toDateKey)).toEqual([
+      '2026-02-09', '2026-02-10', '2026-02-11', '2026-02-12', '2026-02-13', '2026-02-14', '2026-02-15',
+    ]);
+    expect(toDateKey(week.end)).toBe('2026-02-16');
+    expect(getAgendaRange(new Date(2026, 1, 15, 18), AGENDA_VIEWS.DAY).days.map(toDateKey)).toEqual(['2026-02-15']);
+  });
+
+  it('flags overlapping timed slots of the same master only', () => {
+    const orders = [
+      { id: 'a', status: 'claimed', master_id: 'm1', preferred_date: '2026-02-10', preferred_time: '10:00:00' },
+      { id: 'b', status: 'claimed', master_id: 'm1', preferred_date: '2026-02-10', preferred_time: '11:30:00' },
+      { id: 'c', status: 'claimed', master_id: 'm1', preferred_date: '2026-02-10', preferred_time: '14:00:00' },
+      { id: 'd', status: 'claimed', master_id: 'm2', preferred_date: '2026-02-10', preferred_time: '10:00:00' },
+      { id: 'e', status: 'placed', preferred_date: '2026-02-10', preferred_time: '10:00:00' },
+      { id: 'f', status: 'claimed', master_id: 'm1', preferred_date: '2026-02-10' },
+      { id: 'g', status: 'confirmed', master_id: 'm1', preferred_date: '2026-02-10', preferred_time: '14:30:00' },
+    ];
+    expect([...findAgendaConflicts(orders)].sort()).toEqual(['a', 'b']);
+  });
+
+  it('groups orders by day with timed slots first', () => {
+    const orders = [
+      { id: 'late', status: 'claimed', master_id: 'm1', preferred_date: '2026-02-10', preferred_time: '16:00:00' },
+      { id: 'anytime', status: 'claimed', master_id: 'm1', preferred_date: '2026-02-10' },
+      { id: 'early', status: 'started', master_id: 'm1', preferred_date: '2026-02-10', preferred_time: '09:00:00' },
+      { id: 'nextWeek', status: 'claimed', master_id: 'm1', preferred_date: '2026-02-17', preferred_time: '09:00:00' },
+      { id: 'done', status: 'completed', master_id: 'm1', preferred_date: '2026-02-11', preferred_time: '09:00:00' },
+    ];
+    const days = buildAgendaDays(orders, { anchorDate: new Date(2026, 1, 10), view: AGENDA_VIEWS.WEEK });
+    expect(days).toHaveLength(7);
+    expect(days[1].items.map((item) => item.order.id)).toEqual(['early', 'late', 'anytime']);
+    expect(days.flatMap((day) => day.items).map((item) => item.order.id)).not.toContain('nextWeek');
+    expect(days[2].items).toHaveLength(0);
+  });
+
+  it('falls back to created_at when there is no preferred slot', () => {
+    expect(getPreferredStamp({ created_at: '2026-02-08T10:00:00Z' })).toBe(Date.parse('2026-02-08T10:00:00Z'));
+    expect(getPreferredStamp({})).toBe(0);
+  });
+});
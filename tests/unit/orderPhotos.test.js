@@ -0,0 +1,28 @@
+import {
+  PHOTO_KINDS,
+  buildOrderPhotoPath,
+  resolvePhotoMimeType,
+  validatePhotoAsset,
+} from '../../src/services/orderPhotos';
+
+describe('order photos', () => {
+  it('resolves mime type from picker metadata, file name or data uri', () => {
+    expect(resolvePhotoMimeType({ mimeType: 'image/PNG', uri: 'file:///a.jpg' })).toBe('image/png');
+    expect(resolvePhotoMimeType({ fileName: 'IMG_1.JPG', uri: 'file:///x' })).toBe('image/jpeg');
+    expect(resolvePhotoMimeType({ uri: 'data:image/webp;base64,AAAA' })).toBe('image/webp');
+    expect(resolvePhotoMimeType({ uri: 'file:///cache/photo.heic' })).toBeNull();
+  });
+
+  it('validates count, format and size with the shared rules', () => {
+    expect(validatePhotoAsset({ uri: 'file:///a.jpg', fileSize: 1024 }, 0).isValid).toBe(true);
+    expect(validatePhotoAsset({ uri: 'file:///a.jpg' }, 5).isValid).toBe(false);
+    expect(validatePhotoAsset({ uri: 'file:///a.gif', mimeType: 'image/gif' }, 0).message).toMatch(/JPEG, PNG/);
+    expect(validatePhotoAsset({ uri: 'file:///a.png', fileSize: 6 * 1024 * 1024 }, 0).message).toMatch(/5MB/);
+  });
+
+  it('builds storage paths under the order and kind folders', () => {
+    expect(buildOrderPhotoPath('order-1', PHOTO_KINDS.AFTER, 'image/png', 2, 1700000000000))
+      .toBe('order-1/after/1700000000000-2.png');
+    expect(buildOrderPhotoPath('order-1', PHOTO_KINDS.PROBLEM, null, 0, 1)).toBe('order-1/problem/1-0.jpg');
+  });
+});
@@ -0,0 +1,51 @@
+import { TIMELINE_EVENTS, buildOrderTimeline, toTimelineEvent } from '../../src/utils/orderTimeline';
+
+describe('order timeline', () => {
+  it('maps trigger status transitions to lifecycle events', () => {
+    const events = buildOrderTimeline([
+      { id: 3, order_id: 'o1', old_status: 'claimed', new_status: 'started', created_at: '2026-02-10T10:30:00Z' },
+      { id: 1, order_id: 'o1', old_status: null, new_status: 'placed', created_at: '2026-02-10T09:00:00Z' },
+      { id: 2, order_id: 'o1', old_status: 'placed', new_status: 'claimed', performed_by: 'm1', actor_name: 'Master', created_at: '2026-02-10T10:00:00Z' },
+      { id: 4, order_id: 'o1', old_data: { status: 'started' }, new_data: { status: 'completed' }, created_at: '2026-02-10T12:00:00Z' },
+    ]);
+    expect(events.map((event) => event.type)).toEqual([
+      TIMELINE_EVENTS.CREATED,
+      TIMELINE_EVENTS.CLAIMED,
+      TIMELINE_EVENTS.STARTED,
+      TIMELINE_EVENTS.COMPLETED,
+    ]);
+    expect(events[1]).toMatchObject({ actorId: 'm1', actorName: 'Master' });
+  });
+
+  it('treats claimed back to placed as master removal', () => {
+    expect(toTimelineEvent({ old_status: 'claimed', new_status: 'placed' }).type).toBe(TIMELINE_EVENTS.UNASSIGNED);
+  });
+
+  it('detects reassignment, transfer and repricing from inline edits', () => {
+    const base = { action: 'order_updated', notes: 'Order edited by dispatcher' };
+    expect(toTimelineEvent({
+      ...base,
+      old_data: { status: 'claimed', master_id: 'm1' },
+      new_data: { status: 'claimed', master_id: 'm2' },
+    }).type).toBe(TIMELINE_EVENTS.REASSIGNED);
+    expect(toTimelineEvent({
+      ...base,
+      old_data: { assigned_dispatcher_id: 'd1' },
+      new_data: { assigned_dispatcher_id: 'd2' },
+    }).type).toBe(TIMELINE_EVENTS.TRANSFERRED);
+
+    const repriced = toTimelineEvent({
+      ...base,
+      old_data: { initial_price: '1000', callout_fee: 200, problem_description: 'a' },
+      new_data: { initial_price: 1500, callout_fee: 200, problem_description: 'b' },
+    });
+    expect(repriced.type).toBe(TIMELINE_EVENTS.REPRICED);
+    expect(repriced.priceChanges).toEqual([{ field: 'initial_price', from: 1000, to: 1500 }]);
+
+    expect(toTimelineEvent({
+      ...base,
+      old_data: JSON.stringify({ problem_description: 'a' }),
+      new_data: JSON.stringify({ problem_description: 'b' }),
+    }).type).toBe(TIMELINE_EVENTS.EDITED);
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  buildOrderCommissions,
+  buildReferralFunnel,
+  buildServiceConversion,
+  forecastPartnerCommission,
+  getPayoutLifecycle,
+} from '../../src/utils/partnerAnalytics';
+
+const orders = [
+  { id: 'o1', status: 'confirmed', service_type: 'plumbing', master_id: 'm1', final_price: 2000 },
+  { id: 'o2', status: 'confirmed', service_type: 'plumbing', master_id: 'm2', final_price: 1000 },
+  { id: 'o3', status: 'started', service_type: 'electrician', master_id: 'm1', initial_price: 1500 },
+  { id: 'o4', status: 'placed', service_type: 'plumbing', master_id: null },
+  { id: 'o5', status: 'canceled_by_client', service_type: 'electrician', master_id: null },
+];
+
+const transactions = [
+  { id: 't1', transaction_type: 'commission_earned', amount: 100, order_id: 'o1', created_at: '2026-02-20T10:00:00Z' },
+  { id: 't2', transaction_type: 'commission_earned', amount: 50, order_id: 'o2', created_at: '2026-01-05T10:00:00Z' },
+  { id: 't3', transaction_type: 'payout_paid', amount: -120, payout_request_id: 'r1', created_at: '2026-02-22T10:00:00Z' },
+];
+
+describe('partner analytics', () => {
+  it('builds the referred-order funnel and conversion by service type', () => {
+    const funnel = buildReferralFunnel(orders);
+    expect(funnel.stages.map((stage) => [stage.key, stage.count, stage.rate])).toEqual([
+      ['referred', 5, 100],
+      ['assigned', 3, 60],
+      ['completed', 2, 40],
+      ['confirmed', 2, 40],
+    ]);
+    expect(funnel).toMatchObject({ canceled: 1, canceledRate: 20 });
+    expect(buildServiceConversion(orders)).toEqual([
+      { serviceType: 'plumbing', referred: 3, confirmed: 2, canceled: 0, conversion: 66.7 },
+      { serviceType: 'electrician', referred: 2, confirmed: 0, canceled: 1, conversion: 0 },
+    ]);
+  });
+
+  it('joins commission per order and forecasts from run rate and open orders', () => {
+    expect(buildOrderCommissions(orders, transactions)).toEqual([
+      { orderId: 'o1', commission: 100, earnedAt: '2026-02-20T10:00:00Z', serviceType: 'plumbing', orderPrice: 2000, effectiveRate: 5 },
+      { orderId: 'o2', commission: 50, earnedAt: '2026-01-05T10:00:00Z', serviceType: 'plumbing', orderPrice: 1000, effectiveRate: 5 },
+    ]);
+    const forecast = forecastPartnerCommission({
+      orders,
+      transactions,
+      commissionRatePercent: 5,
+      now: new Date('2026-02-28T00:00:00Z'),
+    });
+    // Open: o3 (1500 x 5% = 75) and o4 (no price -> average 75); close rate 2 / 3.
+    expect(forecast).toEqual({
+      windowDays: 30,
+      earnedInWindow: 100,
+      monthlyRunRate: 100,
+      averageCommission: 75,
+      openOrders: 2,
+      closeRate: 66.7,
+      expectedFromOpen: 100,
+    });
+  });
+
+  it('describes the payout request lifecycle', () => {
+    expect(getPayoutLifecycle({ id: 'r2', status: 'requested', requested_amount: 80, created_at: '2026-02-25T10:00:00Z' })
+      .map((step) => [step.key, step.done])).toEqual([['requested', true], ['review', false]]);
+    const paid = getPayoutLifecycle({
+      id: 'r1',
+      status: 'paid',
+      requested_amount: 150,
+      approved_amount: 120,
+      created_at: '2026-02-21T10:00:00Z',
+      processed_at: '2026-02-22T09:00:00Z',
+    }, transactions);
+    expect(paid.map((step) => [step.key, step.done, step.amount])).toEqual([
+      ['requested', true, 150],
+      ['paid', true, 120],
+      ['ledger', true, 120],
+    ]);
+    expect(getPayoutLifecycle({ id: 'r3', status: 'rejected', admin_note: 'Wrong card' }).pop())
+      .toMatchObject({ key: 'rejected', note: 'Wrong card', amount: null });
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  DEFAULT_PAYOUT_FILE_TEMPLATE,
+  buildPayoutBatchReference,
+  fromPayoutTemplateForm,
+  payoutBatchToCsv,
+  payoutBatchToFixedWidth,
+  toPayoutTemplateForm,
+  validatePayoutBatch,
+} from '../../src/utils/payoutBatches';
+
+const batch = {
+  reference: 'PB-20260228-0930',
+  created_at: '2026-02-28T09:30:00Z',
+  items: [
+    { request_id: 'r1', partner_id: 'p1', amount: 1500, partner: { full_name: 'Aibek, Jr.', phone: '+996 555 123 456' } },
+    { request_id: 'r2', partner_id: 'p2', amount: 80.5, partner: { full_name: 'Nurlan', phone: '+996700000001' } },
+  ],
+};
+
+describe('payout batches', () => {
+  it('validates the selection and totals the approved amounts', () => {
+    expect(buildPayoutBatchReference(new Date('2026-02-28T09:30:00Z'))).toBe('PB-20260228-0930');
+    const result = validatePayoutBatch([
+      { request: { id: 'r1', status: 'requested' }, amount: '1500' },
+      { request: { id: 'r2', status: 'requested' }, amount: '80,5' },
+      { request: { id: 'r3', status: 'paid' }, amount: '100' },
+      { request: { id: 'r4', status: 'requested' }, amount: '0' },
+      { request: { id: 'r1', status: 'requested' }, amount: '10' },
+    ]);
+    expect(result.valid).toBe(false);
+    expect(result.items).toEqual([
+      { request_id: 'r1', approved_amount: 1500 },
+      { request_id: 'r2', approved_amount: 80.5 },
+    ]);
+    expect(result.total).toBe(1580.5);
+    expect(result.errors.map((item) => [item.requestId, item.error])).toEqual([
+      ['r3', 'NOT_REQUESTED'],
+      ['r4', 'INVALID_AMOUNT'],
+      ['r1', 'DUPLICATE'],
+    ]);
+    expect(validatePayoutBatch([]).errors).toEqual([{ requestId: null, error: 'EMPTY' }]);
+  });
+
+  it('renders the bank CSV and the fixed-width file', () => {
+    const csv = payoutBatchToCsv(batch).split('\n');
+    expect(csv[0]).toBe('reference,date,request_id,partner_id,partner_name,phone,email,amount');
+    expect(csv[1]).toBe('PB-20260228-0930,20260228,r1,p1,"Aibek, Jr.",+996555123456,,1500.00');
+
+    const lines = payoutBatchToFixedWidth(batch, {
+      fields: [
+        { value: 'KGS', width: 3 },
+        { key: 'phone', width: 13 },
+        { key: 'partner_name', width: 6 },
+        { key: 'amount_cents', width: 8, align: 'right', pad: '0' },
+      ],
+    }).split('\r\n');
+    expect(lines).toEqual([
+      'KGS+996555123456Aibek,00150000',
+      'KGS+996700000001Nurlan00008050',
+    ]);
+  });
+
+  it('throws instead of cutting an amount that does not fit its field', () => {
+    const template = { fields: [{ key: 'partner_name', width: 3 }, { key: 'amount_cents', width: 5, align: 'right', pad: '0' }] };
+    expect(() => payoutBatchToFixedWidth(batch, template)).toThrow(expect.objectContaining({
+      code: 'FIELD_OVERFLOW',
+      field: 'amount_cents',
+    }));
+  });
+
+  it('round-trips the settings form and drops invalid template lines', () => {
+    const text = toPayoutTemplateForm(DEFAULT_PAYOUT_FILE_TEMPLATE);
+    expect(text.split('\n')[4]).toBe('amount_cents 12 right 0');
+    expect(fromPayoutTemplateForm(text)).toEqual(DEFAULT_PAYOUT_FILE_TEMPLATE);
+    expect(fromPayoutTemplateForm('=KGS 3\nunknown 10\nphone 0\namount 10 right')).toEqual({
+      fields: [
+        { value: 'KGS', width: 3, align: 'left', pad: ' ' },
+        { key: 'amount', width: 10, align: 'right', pad: ' ' },
+      ],
+    });
+    expect(toPayoutTemplateForm({})).toBe(text);
+  });
+
+  it('quotes literal text with spaces so it survives the form round trip', () => {
+    const template = {
+      fields: [
+        { value: 'ACME BANK 20', width: 14, align: 'left', pad: ' ' },
+        { value: 'say "hi" \\ bye', width: 16, align: 'left', pad: ' ' },
+        { key: 'amount', width: 10, align: 'right', pad: '"' },
+      ],
+    };
+    const text = toPayoutTemplateForm(template);
+    expect(text.split('\n')[0]).toBe('="ACME BANK 20" 14 left');
+    expect(fromPayoutTemplateForm(text)).toEqual(template);
+    expect(fromPayoutTemplateForm('="ACME BANK" 9 right')).toEqual({
+      fields: [{ value: 'ACME BANK', width: 9, align: 'right', pad: ' ' }],
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import {
+  PRICE_REVIEW_DECISIONS,
+  formatDeviation,
+  getPriceDeviation,
+  isPriceDeviationFlagged,
+  resolveReviewPrice,
+} from '../../src/utils/priceReview';
+
+describe('price review', () => {
+  it('computes the signed deviation from the initial price', () => {
+    expect(getPriceDeviation({ initial_price: 1000, final_price: 1300 })).toBe(0.3);
+    expect(getPriceDeviation({ initial_price: 1500, final_price: 1000 })).toBe(-0.3333);
+    expect(getPriceDeviation({ initial_price: null, final_price: 1000 })).toBeNull();
+    expect(formatDeviation(0.3)).toBe('+30%');
+    expect(formatDeviation(-0.3333)).toBe('-33%');
+    expect(formatDeviation(null)).toBe('-');
+  });
+
+  it('flags orders beyond the threshold given as ratio or percent', () => {
+    const order = { initial_price: 1000, final_price: 1200 };
+    expect(isPriceDeviationFlagged(order, 0.25)).toBe(false);
+    expect(isPriceDeviationFlagged(order, 15)).toBe(true);
+    expect(isPriceDeviationFlagged({ ...order, requires_review: true }, 0.5)).toBe(true);
+    expect(isPriceDeviationFlagged({ final_price: 5000 })).toBe(false);
+  });
+
+  it('resolves the final price for each decision', () => {
+    const order = { initial_price: 1000, final_price: 1800, callout_fee: 500 };
+    expect(resolveReviewPrice(order, PRICE_REVIEW_DECISIONS.APPROVE)).toEqual({ price: 1800, error: null });
+    expect(resolveReviewPrice(order, PRICE_REVIEW_DECISIONS.REJECT)).toEqual({ price: 1000, error: null });
+    expect(resolveReviewPrice(order, PRICE_REVIEW_DECISIONS.ADJUST, '1400')).toEqual({ price: 1400, error: null });
+    expect(resolveReviewPrice(order, PRICE_REVIEW_DECISIONS.ADJUST, '300').error).toBe('below_callout');
+    expect(resolveReviewPrice({ final_price: 900 }, PRICE_REVIEW_DECISIONS.REJECT).error).toBe('invalid_price');
+  });
+});
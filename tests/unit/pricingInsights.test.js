@@ -0,0 +1,49 @@
+import {
+  buildPriceInsightGroups,
+  calcStats,
+  findPriceInsight,
+  toPriceRange,
+} from '../../src/utils/pricingInsights';
+
+const order = (final_price, overrides = {}) => ({
+  service_type: 'plumbing',
+  area: 'lenin',
+  urgency: 'urgent',
+  final_price,
+  ...overrides,
+});
+
+describe('pricing insights', () => {
+  it('computes interpolated quartiles', () => {
+    const stats = calcStats([400, 100, 300, 200]);
+    expect(stats).toMatchObject({ n: 4, p25: 175, p50: 250, p75: 325, iqr: 150 });
+  });
+
+  it('groups confirmed orders at every level and skips invalid prices', () => {
+    const groups = buildPriceInsightGroups([
+      order(1000),
+      order(2000, { urgency: 'planned' }),
+      order(0),
+      order(1500, { area: '' }),
+    ]);
+    const serviceOnly = groups.find((g) => g.area === null && g.urgency === null);
+    expect(serviceOnly).toMatchObject({ n: 3, p50: 1500 });
+    const exact = groups.find((g) => g.area === 'lenin' && g.urgency === 'urgent');
+    expect(exact.n).toBe(1);
+    expect(groups.some((g) => g.area === null && g.urgency === 'urgent' && g.n === 2)).toBe(true);
+  });
+
+  it('falls back to broader groups when the sample is small', () => {
+    const orders = [
+      ...[1000, 1100, 1200].map((price) => order(price)),
+      ...[800, 900, 1000, 1500, 2000].map((price) => order(price, { area: 'oktyabr' })),
+    ];
+    const groups = buildPriceInsightGroups(orders);
+    const insight = findPriceInsight(groups, { serviceType: 'plumbing', area: 'lenin', urgency: 'urgent' });
+    expect(insight.level).toBe(2);
+    expect(insight.area).toBeNull();
+    expect(insight.n).toBe(8);
+    expect(findPriceInsight(groups, { serviceType: 'electrical' })).toBeNull();
+    expect(toPriceRange({ p25: 1037, p50: 1234, p75: 987, n: 8 })).toEqual({ low: 1050, median: 1250, high: 990, sample: 8 });
+  });
+});
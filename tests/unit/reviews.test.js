@@ -0,0 +1,32 @@
+import reviewsService, { summarizeReviews } from '../../src/services/reviews';
+
+describe('reviews', () => {
+  it('aggregates valid ratings into count, average and distribution', () => {
+    const summary = summarizeReviews([
+      { rating: 5 },
+      { rating: 4 },
+      { rating: '4' },
+      { rating: 2.6 },
+      { rating: 0 },
+      { rating: 7 },
+      { rating: 'bad' },
+      null,
+    ]);
+    expect(summary).toEqual({
+      count: 4,
+      average: 4,
+      distribution: { 1: 0, 2: 0, 3: 1, 4: 2, 5: 1 },
+    });
+    expect(summarizeReviews([{ rating: 5 }, { rating: 4 }, { rating: 4 }])).toMatchObject({ average: 4.33 });
+    expect(summarizeReviews()).toMatchObject({ count: 0, average: 0 });
+  });
+
+  it('rejects reviews without an order or with a rating outside 1-5', async () => {
+    await expect(reviewsService.submitOrderReview(null, { rating: 5 }))
+      .resolves.toEqual({ success: false, message: 'Order id is required' });
+    await expect(reviewsService.submitOrderReview('order-1', { rating: 6 }))
+      .resolves.toEqual({ success: false, message: 'Rating must be between 1 and 5' });
+    await expect(reviewsService.submitOrderReview('order-1', {}))
+      .resolves.toEqual({ success: false, message: 'Rating must be between 1 and 5' });
+  });
+});
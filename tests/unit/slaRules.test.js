@@ -0,0 +1,51 @@
+import {
+  evaluateOrderSla,
+  fromSlaRulesForm,
+  normalizeSlaRules,
+  toComplianceRows,
+  toSlaRulesForm,
+} from '../../src/utils/slaRules';
+
+const NOW = Date.parse('2026-02-21T12:00:00Z');
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60 * 1000).toISOString();
+
+describe('SLA rules', () => {
+  it('fills missing thresholds from defaults and claim timeout', () => {
+    const rules = normalizeSlaRules({ placed: { urgent: '20' }, claimed: { planned: 0 } }, { claimTimeoutMinutes: 45 });
+    expect(rules.placed).toEqual({ emergency: 5, urgent: 20, planned: 60 });
+    expect(rules.claimed).toEqual({ emergency: 15, urgent: 45, planned: 45 });
+    expect(rules.escalation_factor).toBe(2);
+  });
+
+  it('evaluates orders per status and urgency', () => {
+    const rules = normalizeSlaRules({}, { claimTimeoutMinutes: 30 });
+    const emergency = evaluateOrderSla({ status: 'placed', urgency: 'emergency', created_at: minutesAgo(12) }, rules, NOW);
+    expect(emergency).toMatchObject({ thresholdMinutes: 5, elapsedMinutes: 12, overdueMinutes: 7, breached: true, escalated: true });
+
+    const planned = evaluateOrderSla({ status: 'placed', urgency: 'planned', created_at: minutesAgo(12) }, rules, NOW);
+    expect(planned.breached).toBe(false);
+
+    const claimed = evaluateOrderSla({
+      status: 'claimed', urgency: 'urgent', created_at: minutesAgo(120), updated_at: minutesAgo(40),
+    }, rules, NOW);
+    expect(claimed).toMatchObject({ thresholdMinutes: 30, breached: true, escalated: false });
+
+    expect(evaluateOrderSla({ status: 'started', created_at: minutesAgo(500) }, rules, NOW)).toBeNull();
+    expect(evaluateOrderSla({ status: 'placed', is_disputed: true, created_at: minutesAgo(500) }, rules, NOW)).toBeNull();
+  });
+
+  it('round-trips the settings form and sorts compliance worst first', () => {
+    const form = toSlaRulesForm({ claimed: { emergency: 10 } });
+    expect(form.claimed).toEqual({ emergency: '10', urgent: '', planned: '' });
+    expect(fromSlaRulesForm({ ...form, escalation_factor: '3' }).claimed).toEqual({ emergency: 10, urgent: null, planned: null });
+
+    const rows = toComplianceRows([
+      { name: 'A', total: 10, breached: 1 },
+      { name: 'B', total: 4, breached: 2 },
+      { name: 'C', total: 0, breached: 0 },
+    ]);
+    expect(rows.map((row) => row.name)).toEqual(['B', 'A', 'C']);
+    expect(rows[0].compliance).toBe(0.5);
+    expect(rows[2].compliance).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+import {
+  buildStatement,
+  listRecentPeriods,
+  resolveStatementPeriod,
+  statementToCsv,
+  statementsToCsv,
+} from '../../src/utils/statements';
+
+const account = { type: 'master', id: 'm1', name: 'Aibek, Jr.' };
+
+describe('statements', () => {
+  it('resolves calendar months across year boundaries', () => {
+    expect(resolveStatementPeriod(2026, 2)).toEqual({
+      year: 2026,
+      month: 2,
+      label: '2026-02',
+      start: '2026-01-31T18:00:00.000Z',
+      end: '2026-02-28T18:00:00.000Z',
+    });
+    expect(listRecentPeriods(3, new Date('2026-01-15T00:00:00Z')).map((period) => period.label))
+      .toEqual(['2026-01', '2025-12', '2025-11']);
+    // 20:00 UTC on Dec 31 is already January in Bishkek.
+    expect(listRecentPeriods(1, new Date('2025-12-31T20:00:00Z'))[0].label).toBe('2026-01');
+  });
+
+  it('puts a row at 01:00 Bishkek time on the 1st into the new month', () => {
+    const row = { id: 't1', transaction_type: 'top_up', amount: 100, balance_before: 0, balance_after: 100, created_at: '2026-02-28T19:00:00Z' };
+    const february = buildStatement({ account, period: resolveStatementPeriod(2026, 2), transactions: [row] });
+    const march = buildStatement({ account, period: resolveStatementPeriod(2026, 3), transactions: [row] });
+    expect(february.lines).toEqual([]);
+    expect(march.lines.map((line) => line.id)).toEqual(['t1']);
+  });
+
+  it('totals top-ups, commissions and adjustments between opening and closing balances', () => {
+    const period = resolveStatementPeriod(2026, 2);
+    const statement = buildStatement({
+      account,
+      period,
+      transactions: [
+        { id: 't3', transaction_type: 'top_up', amount: 200, balance_before: 650, balance_after: 850, created_at: '2026-03-02T10:00:00Z' },
+        { id: 't2', transaction_type: 'commission', amount: 150, balance_before: 1000, balance_after: 850, created_at: '2026-02-10T10:00:00Z' },
+        { id: 't1', transaction_type: 'top_up', amount: 500, balance_before: 500, balance_after: 1000, created_at: '2026-02-01T08:00:00Z' },
+        { id: 't4', transaction_type: 'adjustment', amount: -200, balance_before: 850, balance_after: 650, created_at: '2026-02-20T10:00:00Z' },
+      ],
+      currentBalance: 850,
+    });
+    expect(statement).toMatchObject({ openingBalance: 500, closingBalance: 650 });
+    expect(statement.totals).toEqual({ topUps: 500, earned: 0, commissions: 150, payouts: 0, adjustments: -200 });
+    expect(statement.lines.map((line) => line.id)).toEqual(['t1', 't2', 't4']);
+
+    // A month without activity opens and closes at the next row's balance_before.
+    const quiet = buildStatement({
+      account,
+      period: resolveStatementPeriod(2026, 1),
+      transactions: [
+        { id: 't1', transaction_type: 'top_up', amount: 500, balance_before: 500, balance_after: 1000, created_at: '2026-02-01T08:00:00Z' },
+      ],
+      currentBalance: 850,
+    });
+    expect(quiet).toMatchObject({ openingBalance: 500, closingBalance: 500, lines: [] });
+  });
+
+  it('renders a detailed CSV for one statement and a summary CSV for many', () => {
+    const statement = buildStatement({
+      account,
+      period: resolveStatementPeriod(2026, 2),
+      transactions: [
+        { id: 'p1', transaction_type: 'payout_paid', amount: 300, created_at: '2026-02-05T10:00:00Z', notes: 'Bank "A"' },
+      ],
+      currentBalance: 300,
+    });
+    expect(statement).toMatchObject({ openingBalance: 300, closingBalance: 0 });
+    expect(statement.totals.payouts).toBe(300);
+    const csv = statementToCsv(statement).split('\n');
+    expect(csv[2]).toBe('name,"Aibek, Jr."');
+    expect(csv[csv.length - 1]).toBe('2026-02-05T10:00:00Z,payout_paid,payouts,-300,,,"Bank ""A"""');
+    expect(statementsToCsv([statement]).split('\n')[1])
+      .toBe('master,m1,"Aibek, Jr.",,2026-02,300,0,0,0,300,0,0,1');
+  });
+});
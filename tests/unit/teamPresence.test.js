@@ -0,0 +1,65 @@
+import {
+  PRESENCE_STATUSES,
+  buildPresenceBoard,
+  getMinutesInStatus,
+  isPersonOnline,
+  mergePresenceUpdate,
+  summarizePresence,
+} from '../../src/utils/teamPresence';
+
+const now = new Date('2026-03-02T06:00:00Z').getTime();
+const minutesAgo = (minutes) => new Date(now - minutes * 60000).toISOString();
+
+describe('team presence', () => {
+  it('treats a recent heartbeat as online unless the profile says otherwise', () => {
+    expect(isPersonOnline({ last_active_at: minutesAgo(1) }, now)).toBe(true);
+    expect(isPersonOnline({ last_seen_at: minutesAgo(10) }, now)).toBe(false);
+    expect(isPersonOnline({ last_active_at: minutesAgo(1), is_online: false }, now)).toBe(false);
+    expect(isPersonOnline({}, now)).toBe(false);
+  });
+
+  it('derives status and time in status from the active job and heartbeat', () => {
+    const board = buildPresenceBoard([
+      { id: 'd1', role: 'dispatcher', full_name: 'Dana', last_active_at: minutesAgo(1) },
+      { id: 'm1', role: 'master', full_name: 'Bakyt', last_active_at: minutesAgo(2), active_jobs: 1,
+        active_job: { id: 'o1', status: 'started', started_at: minutesAgo(45) } },
+      { id: 'm2', role: 'master', full_name: 'Aibek', last_seen_at: minutesAgo(90) },
+      { id: 'm3', role: 'master', full_name: 'Timur', last_active_at: minutesAgo(1), is_on_duty: false },
+    ], { now });
+    expect(board.map((row) => [row.id, row.status])).toEqual([
+      ['m1', PRESENCE_STATUSES.ON_JOB],
+      ['d1', PRESENCE_STATUSES.IDLE],
+      ['m3', PRESENCE_STATUSES.UNAVAILABLE],
+      ['m2', PRESENCE_STATUSES.OFFLINE],
+    ]);
+    expect(getMinutesInStatus(board[0], now)).toBe(45);
+    expect(getMinutesInStatus(board[1], now)).toBeNull();
+    expect(getMinutesInStatus(board[3], now)).toBe(90);
+    expect(summarizePresence(board)).toEqual({
+      masters: { online: 2, total: 3, onJob: 1 },
+      dispatchers: { online: 1, total: 1, onJob: 0 },
+    });
+  });
+
+  it('keeps the start of an unchanged status across reloads and restarts it on change', () => {
+    const idle = { id: 'm1', role: 'master', full_name: 'Bakyt', last_active_at: minutesAgo(1) };
+    const first = buildPresenceBoard([idle], { now: now - 10 * 60000, previous: [{ id: 'm1', status: 'claimed' }] });
+    expect(first[0].statusSince).toBe(now - 10 * 60000);
+    const second = buildPresenceBoard([idle], { now, previous: first });
+    expect(getMinutesInStatus(second[0], now)).toBe(10);
+  });
+
+  it('merges a heartbeat into the loaded people and skips unrelated updates', () => {
+    const people = [
+      { id: 'm1', role: 'master', full_name: 'Aibek', last_seen_at: minutesAgo(10), active_jobs: 1 },
+      { id: 'd1', role: 'dispatcher', full_name: 'Dana', last_seen_at: minutesAgo(1) },
+    ];
+    const merged = mergePresenceUpdate(people, { id: 'm1', last_seen_at: minutesAgo(0), phone: '+996555000000' });
+    expect(merged[0]).toEqual({ ...people[0], last_seen_at: minutesAgo(0) });
+    expect(merged[1]).toBe(people[1]);
+
+    expect(mergePresenceUpdate(people, { id: 'x9', last_seen_at: minutesAgo(0) })).toBe(people);
+    expect(mergePresenceUpdate(people, { id: 'd1', last_seen_at: people[1].last_seen_at })).toBe(people);
+    expect(mergePresenceUpdate(people, { id: 'd1', is_active: false }).map((person) => person.id)).toEqual(['m1']);
+  });
+});